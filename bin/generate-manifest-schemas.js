@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * ===============================================================================
+ * 🧩 GENERATE MANIFEST SCHEMAS - JSON SCHEMA PUBLISHER
+ * ===============================================================================
+ *
+ * 🎯 WHAT IT DOES:
+ * Writes the JSON Schemas for NGSchema manifests and transform manifests to
+ * webapp/schemas/, generated from webapp/engine/manifest-rules.js - the same
+ * rules the validator enforces. The web app publishes that folder, so editors
+ * can load the schemas by URL.
+ *
+ *   node bin/generate-manifest-schemas.js           # regenerate the files
+ *   node bin/generate-manifest-schemas.js --check   # fail if they are stale
+ *
+ * 🚦 EXIT CODES:
+ * - 0: schemas written, or (--check) every committed schema is up to date
+ * - 1: (--check) a schema is missing or differs from the rules
+ * - 2: bad arguments or unwritable output
+ * ===============================================================================
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const manifestRules = require('../webapp/engine/manifest-rules.js');
+
+const SCHEMA_DIRECTORY = path.join(__dirname, '..', 'webapp', 'schemas');
+
+const USAGE = `Usage: generate-manifest-schemas [--check]
+
+Generates webapp/schemas/*.schema.json from webapp/engine/manifest-rules.js.
+
+Options:
+  --check      Compare the committed schemas with the rules instead of writing
+  -h, --help   Show this help`;
+
+function renderSchema(kind) {
+    return JSON.stringify(manifestRules.generateJsonSchema(kind), null, 2) + '\n';
+}
+
+function main(argv) {
+    const unknown = argv.filter(arg => arg !== '--check' && arg !== '-h' && arg !== '--help');
+    if (unknown.length > 0) {
+        console.error(`Unknown option: ${unknown[0]}`);
+        console.error(USAGE);
+        return 2;
+    }
+    if (argv.includes('-h') || argv.includes('--help')) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const check = argv.includes('--check');
+    const stale = [];
+
+    Object.keys(manifestRules.SCHEMA_FILES).forEach(kind => {
+        const fileName = manifestRules.SCHEMA_FILES[kind];
+        const filePath = path.join(SCHEMA_DIRECTORY, fileName);
+        const expected = renderSchema(kind);
+
+        if (check) {
+            const actual = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+            if (actual !== expected) {
+                stale.push(fileName);
+            }
+        } else {
+            fs.mkdirSync(SCHEMA_DIRECTORY, { recursive: true });
+            fs.writeFileSync(filePath, expected);
+            console.log(`Wrote webapp/schemas/${fileName}`);
+        }
+    });
+
+    if (stale.length > 0) {
+        console.error(`Out of date with webapp/engine/manifest-rules.js: ${stale.join(', ')}`);
+        console.error('Run "node bin/generate-manifest-schemas.js" and commit the result.');
+        return 1;
+    }
+    if (check) {
+        console.log('Manifest JSON Schemas match the validator rules.');
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Unable to generate schemas: ${error.message}`);
+        process.exitCode = 2;
+    }
+}
+
+module.exports = { main, renderSchema };
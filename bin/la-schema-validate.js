@@ -0,0 +1,397 @@
+#!/usr/bin/env node
+/**
+ * ===============================================================================
+ * 🖥️ LA SCHEMA VALIDATE - COMMAND-LINE VALIDATOR
+ * ===============================================================================
+ *
+ * 🎯 WHAT IT DOES FOR YOUR FRIENDS:
+ * Runs the exact same rules as the web validator against an onboarding package
+ * folder on disk, so it can be used locally, in pre-commit hooks and in CI.
+ *
+ *   la-schema-validate ./Content/NGSchemas/MyTeam
+ *   la-schema-validate --baseline ./previous-release/MyTeam ./Content/NGSchemas/MyTeam
+ *
+ * 📋 OUTPUT:
+ * - Overall PASSED/FAILED status with the same summary counts as the web UI
+ * - Errors and warnings grouped by category
+ * - Detailed results for every file
+ * - Or a machine-readable report with --format json|sarif|junit
+ *
+ * 🚦 EXIT CODES:
+ * - 0: every file passed (warnings are allowed)
+ * - 1: at least one file has status 'fail'
+ * - 2: bad arguments or unreadable input
+ * ===============================================================================
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+
+const engine = require('../webapp/engine/validator-engine.js');
+const report = require('../webapp/engine/report-export.js');
+const packageInfo = require('../package.json');
+
+const SKIPPED_DIRECTORIES = ['node_modules'];
+
+// Dot files are skipped, except the package's rule configuration
+const INCLUDED_DOT_FILES = ['.lasvalidator.json'];
+
+const USAGE = `Usage: la-schema-validate [options] <package-folder|file>...
+
+Validates Log Analytics onboarding packages (NGSchema manifests, transform
+manifests, KQL files and sample records).
+
+Options:
+  -f, --format <format>  Output format: text (default), json, sarif, junit
+  -o, --output <file>    Write the report to a file instead of stdout
+  -b, --baseline <path>  Previous release of the package; manifests are
+                         checked for breaking changes against it
+  --no-color             Disable colored output
+  -h, --help             Show this help
+  -v, --version          Show the version number
+
+Exit codes: 0 = passed, 1 = validation failed, 2 = usage error`;
+
+// ===== ARGUMENTS =====
+
+function parseArguments(argv) {
+    const options = {
+        paths: [],
+        format: 'text',
+        output: null,
+        baseline: null,
+        color: process.stdout.isTTY === true && !('NO_COLOR' in process.env),
+        help: false,
+        version: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const [arg, inlineValue] = splitOption(argv[i]);
+        const readValue = () => {
+            if (inlineValue !== undefined) {
+                return inlineValue;
+            }
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        if (arg === '-f' || arg === '--format') {
+            options.format = readValue().toLowerCase();
+            if (options.format !== 'text' && !report.EXPORT_FORMATS[options.format]) {
+                throw new Error(`Unknown format: ${options.format}`);
+            }
+        } else if (arg === '-o' || arg === '--output') {
+            options.output = readValue();
+        } else if (arg === '-b' || arg === '--baseline') {
+            options.baseline = readValue();
+        } else if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-v' || arg === '--version') {
+            options.version = true;
+        } else if (arg === '--no-color') {
+            options.color = false;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.paths.push(arg);
+        }
+    }
+
+    return options;
+}
+
+function splitOption(arg) {
+    const match = /^(--[^=]+)=(.*)$/.exec(arg);
+    return match ? [match[1], match[2]] : [arg, undefined];
+}
+
+// ===== PACKAGE LOADING =====
+
+/**
+ * Builds the in-memory package the engine expects. Paths are made relative to
+ * the parent of each given folder, so the first segment is the folder name -
+ * the same shape the browser produces for a dropped folder.
+ *
+ * sourcePaths, when given, receives the path of every file relative to the
+ * current directory, keyed by its package path - reports use it to point at
+ * the files in the repository.
+ */
+function loadPackage(inputPaths, sourcePaths = {}) {
+    const contentsByPath = {};
+    const addFile = (packagePath, filePath) => {
+        contentsByPath[packagePath] = readTextFile(filePath);
+        sourcePaths[packagePath] = toPosixPath(path.relative(process.cwd(), filePath));
+    };
+
+    for (const inputPath of inputPaths) {
+        const absolutePath = path.resolve(inputPath);
+        const stats = fs.statSync(absolutePath);
+
+        if (stats.isDirectory()) {
+            const baseDirectory = path.dirname(absolutePath);
+            collectFiles(absolutePath).forEach(filePath => {
+                addFile(toPosixPath(path.relative(baseDirectory, filePath)), filePath);
+            });
+        } else {
+            addFile(path.basename(absolutePath), absolutePath);
+        }
+    }
+
+    return engine.createPackage(contentsByPath);
+}
+
+function toPosixPath(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+function collectFiles(directory) {
+    const files = [];
+    const entries = fs.readdirSync(directory, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+        if (entry.name.startsWith('.') && !INCLUDED_DOT_FILES.includes(entry.name)) {
+            continue;
+        }
+
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            if (!SKIPPED_DIRECTORIES.includes(entry.name)) {
+                files.push(...collectFiles(entryPath));
+            }
+        } else if (entry.isFile()) {
+            files.push(entryPath);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Reads a file as UTF-8; engine.createPackage drops a byte order mark.
+ */
+function readTextFile(filePath) {
+    return fs.readFileSync(filePath, 'utf8');
+}
+
+// ===== REPORTING =====
+
+function createPalette(enabled) {
+    const wrap = (code) => (text) => enabled ? `\u001b[${code}m${text}\u001b[0m` : String(text);
+    return {
+        bold: wrap('1'),
+        dim: wrap('2'),
+        red: wrap('31'),
+        green: wrap('32'),
+        yellow: wrap('33'),
+        cyan: wrap('36')
+    };
+}
+
+function describeFinding(finding) {
+    if (typeof finding !== 'object' || finding === null) {
+        return { message: String(finding) };
+    }
+    return finding;
+}
+
+function groupFindings(results, key, getCategoryName) {
+    const grouped = {};
+
+    results.forEach(result => {
+        (result[key] || []).forEach(finding => {
+            const findingType = typeof finding === 'object' ? (finding.type || 'unknown') : 'general';
+            const category = getCategoryName(findingType);
+
+            if (!grouped[category]) {
+                grouped[category] = [];
+            }
+            grouped[category].push({ finding: describeFinding(finding), result: result });
+        });
+    });
+
+    return grouped;
+}
+
+function getResultName(result) {
+    return result.relativePath || result.displayName || result.filename;
+}
+
+function printFinding(out, color, finding, label, paint, indent) {
+    const position = finding.column ? `line ${finding.lineNumber}, column ${finding.column}` : `line ${finding.lineNumber}`;
+    const lineInfo = finding.lineNumber && !/\bline\b/.test(finding.location || '') ? ` (${position})` : '';
+    const ruleId = finding.ruleId ? ` ${color.dim(`[${finding.ruleId}]`)}` : '';
+    out(`${indent}${paint(label)} ${finding.message}${ruleId}`);
+    if (finding.location) {
+        out(`${indent}  ${color.dim('at')} ${finding.location}${lineInfo}`);
+    }
+    if (finding.currentValue !== undefined && finding.currentValue !== null && finding.currentValue !== '') {
+        out(`${indent}  ${color.dim('current:')} ${formatValue(finding.currentValue)}`);
+    }
+    if (finding.expectedValue !== undefined && finding.expectedValue !== null && finding.expectedValue !== '') {
+        out(`${indent}  ${color.dim('expected:')} ${formatValue(finding.expectedValue)}`);
+    }
+    if (finding.suggestion) {
+        out(`${indent}  ${color.dim('fix:')} ${finding.suggestion}`);
+    }
+}
+
+function formatValue(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function printReport(results, color, out) {
+    const summary = engine.summarizeResults(results);
+    const passed = summary.overallStatus === 'pass';
+
+    out('');
+    out(color.bold(passed ? color.green('✔ VALIDATION PASSED') : color.red('✖ VALIDATION FAILED')));
+    out(passed ? 'All files passed validation successfully!' : 'Some files have validation issues that need attention.');
+    out(`Files: ${summary.totalFiles} total, ${summary.passedFiles} passed, ${summary.failedFiles} failed, ${summary.warningFiles} with warnings`);
+    out(`Findings: ${color.red(summary.totalIssues + ' errors')}, ${color.yellow(summary.totalWarnings + ' warnings')}` +
+        (summary.totalSuppressed > 0 ? `, ${color.dim(summary.totalSuppressed + ' suppressed')}` : ''));
+
+    if (summary.totalIssues > 0 || summary.totalWarnings > 0) {
+        out('');
+        out(color.bold('Issues & Warnings by Category'));
+
+        const groupedIssues = groupFindings(results, 'issues', engine.getIssueCategoryName);
+        const groupedWarnings = groupFindings(results, 'warnings', engine.getWarningCategoryName);
+
+        Object.keys(groupedIssues).forEach(category => {
+            out(`  ${color.red(category)} (${groupedIssues[category].length})`);
+            groupedIssues[category].forEach(item => {
+                out(`    - ${getResultName(item.result)}: ${item.finding.message}`);
+            });
+        });
+        Object.keys(groupedWarnings).forEach(category => {
+            out(`  ${color.yellow(category)} (${groupedWarnings[category].length})`);
+            groupedWarnings[category].forEach(item => {
+                out(`    - ${getResultName(item.result)}: ${item.finding.message}`);
+            });
+        });
+    }
+
+    out('');
+    out(color.bold(`Detailed Validation Results by File (${summary.totalFiles} files analyzed)`));
+
+    results.forEach(result => {
+        const issues = result.issues || [];
+        const warnings = result.warnings || [];
+        const status = result.status === 'fail'
+            ? color.red('FAIL')
+            : (warnings.length > 0 ? color.yellow('WARN') : color.green('PASS'));
+
+        out('');
+        out(`${status} ${color.cyan(getResultName(result))} ${color.dim(`[${result.type}]`)}`);
+        issues.forEach(issue => printFinding(out, color, describeFinding(issue), 'error', color.red, '  '));
+        warnings.forEach(warning => printFinding(out, color, describeFinding(warning), 'warning', color.yellow, '  '));
+    });
+
+    if (summary.totalSuppressed > 0) {
+        out('');
+        out(color.bold(`Suppressed Findings (${summary.totalSuppressed})`));
+        results.forEach(result => {
+            (result.suppressed || []).forEach(finding => {
+                out(`  ${color.dim(finding.severity)} ${getResultName(result)}: ${finding.message}`);
+                out(`    ${color.dim('at')} ${finding.location} ${color.dim(`[${finding.ruleId || finding.type}]`)}`);
+                out(`    ${color.dim('justification:')} ${finding.suppression.justification}`);
+            });
+        });
+    }
+
+    out('');
+    return summary;
+}
+
+// ===== MAIN =====
+
+function main(argv) {
+    let options;
+    try {
+        options = parseArguments(argv);
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return 2;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (options.version) {
+        console.log(packageInfo.version);
+        return 0;
+    }
+    if (options.paths.length === 0) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    let files;
+    const sourcePaths = {};
+    try {
+        files = loadPackage(options.paths, sourcePaths);
+    } catch (error) {
+        console.error(`Unable to read package: ${error.message}`);
+        return 2;
+    }
+
+    if (files.length === 0) {
+        console.error('No files found to validate.');
+        return 2;
+    }
+
+    let baseline;
+    if (options.baseline) {
+        try {
+            baseline = loadPackage([options.baseline]);
+        } catch (error) {
+            console.error(`Unable to read baseline: ${error.message}`);
+            return 2;
+        }
+    }
+
+    const results = engine.validatePackage(files, { baseline: baseline });
+    const summary = engine.summarizeResults(results);
+
+    try {
+        if (options.format === 'text') {
+            if (options.output) {
+                const lines = [];
+                printReport(results, createPalette(false), line => lines.push(line));
+                fs.writeFileSync(options.output, lines.join('\n') + '\n');
+            } else {
+                printReport(results, createPalette(options.color), line => console.log(line));
+            }
+        } else {
+            const output = report.exportResults(results, options.format, {
+                toolVersion: packageInfo.version,
+                sourcePaths: sourcePaths,
+                sourceRoot: url.pathToFileURL(process.cwd()).href.replace(/\/?$/, '/')
+            });
+            if (options.output) {
+                fs.writeFileSync(options.output, output);
+            } else {
+                process.stdout.write(output);
+            }
+        }
+    } catch (error) {
+        console.error(`Unable to write report: ${error.message}`);
+        return 2;
+    }
+
+    return summary.failedFiles > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, loadPackage };
@@ -0,0 +1,129 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const autofix = require('../webapp/engine/autofix.js');
+const jsonParser = require('../webapp/engine/json-parser.js');
+
+const WRAP_FINDING = { type: 'invalid_json_structure', expectedValue: 'array', currentValue: 'object' };
+
+function describeFinding(location, currentValue) {
+    return { type: 'formatting_error', field: 'description', location: location, currentValue: currentValue };
+}
+
+test('removing the last item of an array takes the comma before it', () => {
+    const content = [
+        '{',
+        '  "columns": [',
+        '    { "name": "Count", "description": "count" },',
+        '    { "name": "TenantId" }',
+        '  ]',
+        '}'
+    ].join('\n');
+    const outcome = autofix.applyFixes(content, [
+        { type: 'forbidden_system_column', field: 'name', location: 'columns[1].name', currentValue: 'TenantId' },
+        describeFinding('columns[0].description', 'count')
+    ]);
+
+    assert.strictEqual(outcome.content, [
+        '{',
+        '  "columns": [',
+        '    { "name": "Count", "description": "Count." }',
+        '  ]',
+        '}'
+    ].join('\n'));
+    assert.strictEqual(outcome.applied.length, 2);
+});
+
+test('a fix that overlaps an earlier edit is skipped', () => {
+    const outcome = autofix.applyFixes('{\n  "description": "abc"\n}', [WRAP_FINDING, describeFinding('description', 'abc')]);
+
+    assert.strictEqual(outcome.content, '[\n  {\n    "description": "abc"\n  }\n]');
+    assert.deepStrictEqual(outcome.applied.map(candidate => candidate.fix.action), ['wrap']);
+    assert.deepStrictEqual(outcome.skipped.map(candidate => candidate.fix.action), ['set']);
+});
+
+test('a fix whose value is no longer there is skipped', () => {
+    const outcome = autofix.applyFixes('{ "description": "Already fixed." }', [describeFinding('description', 'already fixed')]);
+
+    assert.strictEqual(outcome.content, '{ "description": "Already fixed." }');
+    assert.strictEqual(outcome.skipped.length, 1);
+});
+
+test('the fixes of a file are rolled back when the fixed file would not parse', () => {
+    const content = '{ "description": "abc" }';
+    const parse = jsonParser.parse;
+    jsonParser.parse = text => (text === content ? parse(text) : { root: null, error: { message: 'broken' } });
+    try {
+        const outcome = autofix.applyFixes(content, [describeFinding('description', 'abc')]);
+
+        assert.strictEqual(outcome.content, content);
+        assert.deepStrictEqual(outcome.edits, []);
+        assert.deepStrictEqual(outcome.applied, []);
+        assert.strictEqual(outcome.skipped.length, 1);
+    } finally {
+        jsonParser.parse = parse;
+    }
+});
+
+test('fixPackage wraps a single sample object in an array and diffs the file', () => {
+    const files = [
+        { name: 'WidgetsSample.json', relativePath: 'Contoso/SampleInputRecords/WidgetsSample.json', content: '{\n  "time": 1\n}' },
+        { name: 'Widgets.kql', relativePath: 'Contoso/KQL/Widgets.kql', content: 'source' }
+    ];
+    const results = [
+        { relativePath: files[0].relativePath, type: 'json', issues: [WRAP_FINDING], warnings: [] },
+        { relativePath: files[1].relativePath, type: 'kql', issues: [WRAP_FINDING], warnings: [] }
+    ];
+
+    const [change, ...others] = autofix.fixPackage(files, results);
+
+    assert.deepStrictEqual(others, [], 'only JSON files are fixed');
+    assert.strictEqual(change.path, 'Contoso/SampleInputRecords/WidgetsSample.json');
+    assert.strictEqual(change.fixed, '[\n  {\n    "time": 1\n  }\n]');
+    assert.strictEqual(change.diff, [
+        '--- a/Contoso/SampleInputRecords/WidgetsSample.json',
+        '+++ b/Contoso/SampleInputRecords/WidgetsSample.json',
+        '@@ -1,3 +1,5 @@',
+        '-{',
+        '-  "time": 1',
+        '-}',
+        '+[',
+        '+  {',
+        '+    "time": 1',
+        '+  }',
+        '+]',
+        ''
+    ].join('\n'));
+});
+
+test('createUnifiedDiff keeps context lines around a change', () => {
+    assert.strictEqual(autofix.createUnifiedDiff('a\nb\nc', 'a\nB\nc', 'M.json'), [
+        '--- a/M.json',
+        '+++ b/M.json',
+        '@@ -1,3 +1,3 @@',
+        ' a',
+        '-b',
+        '+B',
+        ' c',
+        ''
+    ].join('\n'));
+    assert.strictEqual(autofix.createUnifiedDiff('same', 'same', 'M.json'), '');
+});
+
+test('createZip stores every file under its path', () => {
+    const entries = [
+        { path: 'Contoso/Contoso.manifest.json', content: '{}' },
+        { path: 'Contoso/KQL/Widgets.kql', content: 'source' }
+    ];
+    const archive = Buffer.from(autofix.createZip(entries));
+
+    assert.strictEqual(archive.readUInt32LE(0), 0x04034b50, 'starts with a local file header');
+    const endOfCentralDirectory = archive.length - 22;
+    assert.strictEqual(archive.readUInt32LE(endOfCentralDirectory), 0x06054b50);
+    assert.strictEqual(archive.readUInt16LE(endOfCentralDirectory + 10), 2, 'two entries');
+    entries.forEach(entry => {
+        assert.ok(archive.includes(entry.path + entry.content), `${entry.path} is stored uncompressed after its name`);
+    });
+});
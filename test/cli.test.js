@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createManifest, createPackage } = require('./helpers.js');
+
+const CLI = path.join(__dirname, '..', 'bin', 'la-schema-validate.js');
+
+// Write a package to a folder of its own and return the package folder
+function writePackage(t, manifest) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'la-schema-cli-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    createPackage(manifest).forEach(file => {
+        const target = path.join(directory, file.relativePath);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, file.content);
+    });
+    return path.join(directory, 'Contoso');
+}
+
+function runCli(args) {
+    return childProcess.spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', env: Object.assign({}, process.env, { NO_COLOR: '1' }) });
+}
+
+function createInvalidManifest() {
+    const manifest = createManifest();
+    delete manifest.tables[0].dataTypeId;
+    return manifest;
+}
+
+test('a valid package passes with exit code 0', t => {
+    const run = runCli([writePackage(t, createManifest())]);
+
+    assert.strictEqual(run.status, 0, run.stderr);
+    assert.match(run.stdout, /VALIDATION PASSED/);
+    assert.match(run.stdout, /Files: 5 total, 5 passed, 0 failed/);
+});
+
+test('an invalid package fails with exit code 1 and names the rule', t => {
+    const run = runCli([writePackage(t, createInvalidManifest())]);
+
+    assert.strictEqual(run.status, 1, run.stderr);
+    assert.match(run.stdout, /VALIDATION FAILED/);
+    assert.match(run.stdout, /\[LAS-TBL-002\]/);
+});
+
+test('--format json writes the report with its summary', t => {
+    const run = runCli(['--format', 'json', writePackage(t, createInvalidManifest())]);
+    const reportJson = JSON.parse(run.stdout);
+    const manifest = reportJson.results.find(result => result.path === 'Contoso/Contoso.manifest.json');
+
+    assert.strictEqual(run.status, 1);
+    assert.strictEqual(reportJson.summary.overallStatus, 'fail');
+    assert.strictEqual(reportJson.summary.failedFiles, 1);
+    assert.ok(manifest.issues.some(issue => issue.ruleId === 'LAS-TBL-002'));
+});
+
+test('--format sarif and --format junit write their formats', t => {
+    const packageFolder = writePackage(t, createInvalidManifest());
+
+    const sarif = runCli(['-f', 'sarif', packageFolder]);
+    const log = JSON.parse(sarif.stdout);
+    assert.strictEqual(sarif.status, 1);
+    assert.strictEqual(log.version, '2.1.0');
+    assert.ok(log.runs[0].results.some(result => result.ruleId === 'LAS-TBL-002' && result.level === 'error'));
+
+    const junit = runCli(['--format=junit', packageFolder]);
+    assert.strictEqual(junit.status, 1);
+    assert.match(junit.stdout, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="LA Schema Validator" tests="6" failures="1"/);
+    assert.match(junit.stdout, /<failure message="Table &apos;ContosoWidgets&apos;: Missing required field &apos;dataTypeId&apos;" type="LAS-TBL-002">/);
+});
+
+test('an unknown format or a missing folder is a usage error with exit code 2', t => {
+    const unknownFormat = runCli(['--format', 'xml', writePackage(t, createManifest())]);
+    assert.strictEqual(unknownFormat.status, 2);
+    assert.match(unknownFormat.stderr, /Unknown format: xml/);
+
+    const missingFolder = runCli([path.join(os.tmpdir(), 'la-schema-cli-does-not-exist')]);
+    assert.strictEqual(missingFolder.status, 2);
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const engine = require('../webapp/engine/validator-engine.js');
+const { MANIFEST_PATH, KQL_PATH, createManifest, createPackage, findResult, getFindings } = require('./helpers.js');
+
+const QUERY_PATH = 'Contoso/KQL/ContosoWidgetsByName.kql';
+
+/**
+ * The widget manifest with WidgetName deprecated in favour of a new WidgetLabel
+ * column, and an example query over the table
+ */
+function createDeprecatedManifest() {
+    const manifest = createManifest();
+    const columns = manifest.tables[0].columns;
+    columns[1].description = '[Deprecated] Name of the widget.';
+    columns[1].deprecation = { date: '2025-12-31', replacement: 'WidgetLabel' };
+    columns.push({ name: 'WidgetLabel', type: 'String', description: 'Label of the widget.' });
+    manifest.queries.push({
+        id: '6c5d2b0e-3f1a-4c8e-9b7d-2a4f6e8c0d13',
+        displayName: 'Widgets by label',
+        description: 'Counts widget events by widget label.',
+        bodyFilePath: 'KQL/ContosoWidgetsByName.kql',
+        relatedTables: ['ContosoWidgets'],
+        tags: { Topic: ['Usage'] }
+    });
+    return manifest;
+}
+
+// The deprecation findings (LAS-DEP-*) of the manifest
+function deprecationFindings(manifest, files) {
+    const results = engine.validatePackage(createPackage(manifest, Object.assign({
+        [KQL_PATH]: 'source\n| project TimeGenerated = time, WidgetLabel = widget',
+        [QUERY_PATH]: 'ContosoWidgets\n| summarize count() by WidgetLabel'
+    }, files)));
+    return getFindings(findResult(results, MANIFEST_PATH))
+        .filter(finding => finding.ruleId.startsWith('LAS-DEP-'))
+        .map(finding => [finding.ruleId, finding.severity, finding.location]);
+}
+
+test('incomplete or invalid deprecation metadata is reported', () => {
+    const withoutReplacement = createDeprecatedManifest();
+    delete withoutReplacement.tables[0].columns[1].deprecation.replacement;
+    assert.deepStrictEqual(deprecationFindings(withoutReplacement), [['LAS-DEP-001', 'error', 'tables[0].columns[1].deprecation']]);
+
+    const shownByDefault = createDeprecatedManifest();
+    const column = shownByDefault.tables[0].columns[1];
+    column.deprecation.date = '2025-02-30';
+    column.description = 'Name of the widget.';
+    column.isDefaultDisplay = true;
+    assert.deepStrictEqual(deprecationFindings(shownByDefault), [
+        ['LAS-DEP-002', 'error', 'tables[0].columns[1].deprecation.date'],
+        ['LAS-DEP-005', 'error', 'tables[0].columns[1].isDefaultDisplay'],
+        ['LAS-DEP-006', 'warning', 'tables[0].columns[1].description']
+    ]);
+});
+
+test('queries and transformations that still use a deprecated column are reported', () => {
+    const findings = deprecationFindings(createDeprecatedManifest(), {
+        [KQL_PATH]: 'source\n| project TimeGenerated = time, WidgetName = widget, WidgetLabel = widget',
+        [QUERY_PATH]: 'ContosoWidgets\n| summarize count() by WidgetName'
+    });
+
+    assert.deepStrictEqual(findings, [
+        ['LAS-DEP-007', 'warning', 'tables[0].transformFilePath'],
+        ['LAS-DEP-007', 'warning', 'queries[0].bodyFilePath']
+    ]);
+});
+
+test('a complete deprecation that nothing uses any more has no findings', () => {
+    assert.deepStrictEqual(deprecationFindings(createDeprecatedManifest()), []);
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const engine = require('../webapp/engine/validator-engine.js');
+const { MANIFEST_PATH, createManifest, createPackage, findResult } = require('./helpers.js');
+
+function validateFunction(body, parameters) {
+    const manifest = createManifest();
+    manifest.functions.push({
+        name: 'ContosoWidgetsByName',
+        displayName: 'Widgets by name',
+        description: 'Widget events of one widget.',
+        bodyFilePath: 'KQL/ContosoWidgetsByName.kql',
+        parameters: parameters,
+        relatedTables: ['ContosoWidgets']
+    });
+    const results = engine.validatePackage(createPackage(manifest, {
+        'Contoso/KQL/ContosoWidgetsByName.kql': body
+    }));
+    return findResult(results, MANIFEST_PATH).warnings.filter(warning => warning.ruleId === 'LAS-FUN-009');
+}
+
+test('a function body column that no table defines is reported', () => {
+    const findings = validateFunction('ContosoWidgets\n| where WidgetName == name and WidgetColor == "red"', 'name:string');
+
+    assert.deepStrictEqual(findings.map(finding => finding.columnName), ['WidgetColor']);
+    assert.strictEqual(findings[0].kqlLocation, 'Contoso/KQL/ContosoWidgetsByName.kql, line 2, column 32');
+});
+
+test('parameters, let bindings and created columns resolve', () => {
+    const body = 'let cutoff = ago(1d);\nContosoWidgets\n| where TimeGenerated > cutoff and WidgetName == name\n| extend Label = strcat(WidgetName, "!")\n| project Label';
+
+    assert.deepStrictEqual(validateFunction(body, 'name:string'), []);
+});
+
+test('a column written in a different case is reported with the declared name', () => {
+    const [finding] = validateFunction('ContosoWidgets\n| project widgetname', '');
+
+    assert.strictEqual(finding.currentValue, 'widgetname');
+    assert.strictEqual(finding.expectedValue, 'WidgetName');
+});
+
+test('columns of a tabular parameter resolve against its schema', () => {
+    const findings = validateFunction('T\n| where Size > 1 and Weight > 2', 'T:(Size:long)');
+
+    assert.deepStrictEqual(findings.map(finding => finding.columnName), ['Weight']);
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Fixtures shared by the engine tests: a small, valid Contoso Widgets package
+ * that each test changes in the one place it is about.
+ */
+
+const engine = require('../webapp/engine/validator-engine.js');
+
+const MANIFEST_PATH = 'Contoso/Contoso.manifest.json';
+const KQL_PATH = 'Contoso/KQL/ContosoWidgets.kql';
+const SAMPLE_INPUT_PATH = 'Contoso/SampleInputRecords/ContosoWidgetsSample.json';
+const SAMPLE_OUTPUT_PATH = 'Contoso/SampleOutputRecords/ContosoWidgetsSample.json';
+
+/**
+ * A valid NGSchema manifest with one table, ContosoWidgets, fed by
+ * KQL/ContosoWidgets.kql
+ */
+function createManifest() {
+    return {
+        type: 'NGSchema',
+        displayName: 'Contoso Widgets',
+        description: 'Logs emitted by Contoso widgets.',
+        simplifiedSchemaVersion: '3',
+        tables: [{
+            name: 'ContosoWidgets',
+            description: 'Widget events.',
+            dataTypeId: 'CONTOSO_WIDGETS',
+            artifactVersion: 1,
+            input: [
+                { name: 'time', type: 'DateTime' },
+                { name: 'widget', type: 'String' }
+            ],
+            transformFilePath: 'KQL/ContosoWidgets.kql',
+            columns: [
+                { name: 'TimeGenerated', type: 'DateTime', description: 'Time the event was generated.' },
+                { name: 'WidgetName', type: 'String', description: 'Name of the widget.' }
+            ]
+        }],
+        functions: [],
+        queries: []
+    };
+}
+
+/**
+ * Package entries for a manifest together with the transformation and sample
+ * records of createManifest(); files replaces or adds entries by path (a null
+ * content leaves the entry out)
+ */
+function createPackage(manifest, files = {}) {
+    const contents = Object.assign({
+        [MANIFEST_PATH]: JSON.stringify(manifest, null, 2),
+        [KQL_PATH]: 'source\n| project TimeGenerated = time, WidgetName = widget',
+        [SAMPLE_INPUT_PATH]: JSON.stringify([{ time: '2024-01-01T00:00:00Z', widget: 'a' }]),
+        [SAMPLE_OUTPUT_PATH]: JSON.stringify([{ TimeGenerated: '2024-01-01T00:00:00Z', WidgetName: 'a' }])
+    }, files);
+    Object.keys(contents).filter(path => contents[path] === null).forEach(path => delete contents[path]);
+    return engine.createPackage(contents);
+}
+
+function findResult(results, path) {
+    return results.find(result => result.relativePath === path);
+}
+
+/**
+ * Every finding of a result, errors first
+ */
+function getFindings(result) {
+    return [...result.issues, ...result.warnings];
+}
+
+module.exports = {
+    MANIFEST_PATH: MANIFEST_PATH,
+    KQL_PATH: KQL_PATH,
+    SAMPLE_INPUT_PATH: SAMPLE_INPUT_PATH,
+    SAMPLE_OUTPUT_PATH: SAMPLE_OUTPUT_PATH,
+    createManifest: createManifest,
+    createPackage: createPackage,
+    findResult: findResult,
+    getFindings: getFindings
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const interpreter = require('../webapp/engine/kql-interpreter.js');
+
+const RECORDS = [
+    { time: new Date('2024-01-01T00:00:00Z'), message: 'user=alice id=42', count: 3 },
+    { time: new Date('2024-01-01T00:05:00Z'), message: 'user=bob id=7', count: 1 }
+];
+
+function run(query, options) {
+    return interpreter.run(query, RECORDS, options).rows;
+}
+
+function runError(query) {
+    try {
+        interpreter.run(query, RECORDS);
+    } catch (error) {
+        return error;
+    }
+    assert.fail(`'${query}' ran`);
+}
+
+test('extend adds columns computed per row, with iff choosing between values', () => {
+    const rows = run('source\n| extend Double = count * 2, Size = iff(count > 2, "big", "small")');
+
+    assert.deepStrictEqual(rows.map(row => [row.Double, row.Size]), [[6, 'big'], [2, 'small']]);
+    assert.strictEqual(rows[0].message, 'user=alice id=42', 'extend keeps the input columns');
+});
+
+test('project keeps, renames and computes only the listed columns', () => {
+    const rows = run('source\n| project TimeGenerated = time, Count = count + 1');
+
+    assert.deepStrictEqual(rows, [
+        { TimeGenerated: new Date('2024-01-01T00:00:00Z'), Count: 4 },
+        { TimeGenerated: new Date('2024-01-01T00:05:00Z'), Count: 2 }
+    ]);
+});
+
+test('where drops the rows its predicate is not true for', () => {
+    assert.deepStrictEqual(run('source\n| where count > 2 and message has "alice"').map(row => row.count), [3]);
+    assert.deepStrictEqual(run('source\n| where count > 5'), []);
+});
+
+test('parse extracts typed columns from a string', () => {
+    const rows = run('source\n| parse message with "user=" User " id=" Id:int');
+
+    assert.deepStrictEqual(rows.map(row => [row.User, row.Id]), [['alice', 42], ['bob', 7]]);
+});
+
+test('todatetime, tostring and tolong convert values; values that do not convert are null', () => {
+    const [row] = run('source\n| project At = todatetime("2024-02-03T04:05:06Z"), Text = tostring(count), Number = tolong("7"), Bad = todatetime("not a date")');
+
+    assert.deepStrictEqual(row, { At: new Date('2024-02-03T04:05:06Z'), Text: '3', Number: 7, Bad: null });
+});
+
+test('a column that does not exist is a runtime error with its position', () => {
+    const error = runError('source\n| extend X = missing + 1');
+
+    assert.strictEqual(error.code, 'runtime');
+    assert.strictEqual(error.message, "Failed to resolve column or scalar 'missing'");
+    assert.deepStrictEqual([error.start, error.end], [20, 27]);
+});
+
+test('columns computed from now() or new_guid() are reported as volatile', () => {
+    const now = new Date('2024-06-01T00:00:00Z');
+    const result = interpreter.run('source\n| extend Ingested = now(), Id = new_guid(), Name = "fixed"', RECORDS, { now: now });
+
+    assert.deepStrictEqual(result.volatileColumns, ['Ingested', 'Id']);
+    assert.deepStrictEqual(result.rows[0].Ingested, now);
+});
+
+test('operators outside the ingestion-time subset are unsupported, not runtime errors', () => {
+    ['summarize count() by message', 'join (source) on count', 'take 1'].forEach(operator => {
+        const error = runError(`source\n| ${operator}`);
+
+        assert.strictEqual(error.code, 'unsupported', operator);
+    });
+});
@@ -0,0 +1,34 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const engine = require('../webapp/engine/validator-engine.js');
+const kqlLimitations = require('../webapp/engine/kql-limitations.js');
+const kqlParser = require('../webapp/engine/kql-parser.js');
+const { KQL_PATH, createManifest, createPackage, findResult, getFindings } = require('./helpers.js');
+
+function checkTransformation(query) {
+    return kqlLimitations.checkTransformation(kqlParser.parse(query).ast)
+        .map(finding => [finding.limitation, finding.severity, finding.token]);
+}
+
+test('multi-row operators, other tables and aggregations are limitations', () => {
+    assert.deepStrictEqual(checkTransformation('source\n| summarize count() by x'), [['single_row_operator', 'error', 'summarize']]);
+    assert.deepStrictEqual(checkTransformation('OtherTable\n| where x > 1'), [['source_only', 'error', 'OtherTable']]);
+    assert.deepStrictEqual(checkTransformation('source\n| extend n = count()'), [['row_scoped_function', 'error', 'count']]);
+    assert.deepStrictEqual(checkTransformation('source\n| extend ip = check_malicious_ip(x)'), [['restricted_extension', 'warning', 'check_malicious_ip']]);
+});
+
+test('single-row operators over source have no limitation', () => {
+    assert.deepStrictEqual(checkTransformation('source\n| extend y = strlen(x)\n| where y > 1\n| project TimeGenerated = now(), y'), []);
+});
+
+test('a limitation of a table transformation is reported on its KQL file with its position', () => {
+    const query = 'source\n| summarize count() by widget\n| project TimeGenerated = now(), WidgetName = widget';
+    const results = engine.validatePackage(createPackage(createManifest(), { [KQL_PATH]: query }));
+    const [finding, ...others] = getFindings(findResult(results, KQL_PATH));
+
+    assert.deepStrictEqual(others, []);
+    assert.deepStrictEqual([finding.ruleId, finding.severity, finding.lineNumber, finding.column], ['LAS-KQL-101', 'error', 2, 3]);
+});
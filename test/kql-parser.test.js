@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const kqlParser = require('../webapp/engine/kql-parser.js');
+
+function parseErrors(query) {
+    return kqlParser.parse(query).errors.map(error => [error.code, error.line, error.column, error.message]);
+}
+
+test('every pipe stage with a mistake is reported', () => {
+    const { errors } = kqlParser.parse('source\n| wher x > 1\n| extend y = 1 +\n| extnd z = 2');
+
+    assert.deepStrictEqual(errors.map(error => [error.line, error.code]), [
+        [2, 'unknown_operator'],
+        [4, 'misplaced_pipe'],
+        [4, 'unknown_operator']
+    ]);
+    assert.ok(errors.every(error => !error.hidesLaterErrors));
+});
+
+test('a broken string flags that later errors are not reported', () => {
+    const { errors } = kqlParser.parse('source\n| extend y = "abc\n| extnd z = 2');
+
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].code, 'unterminated_string');
+    assert.strictEqual(errors[0].hidesLaterErrors, true);
+});
+
+test('brackets that are never closed or never opened are reported where they are', () => {
+    assert.deepStrictEqual(parseErrors('source\n| where (a > 1'), [
+        ['unbalanced_bracket', 2, 9, "'(' is never closed"]
+    ]);
+    assert.deepStrictEqual(parseErrors('source\n| extend x = tostring(a))'), [
+        ['unbalanced_bracket', 2, 25, "Unexpected ')' without a matching '('"]
+    ]);
+    assert.deepStrictEqual(parseErrors('source\n| extend x = [1, 2'), [
+        ['unbalanced_bracket', 2, 14, "'[' is never closed"]
+    ]);
+});
+
+test('an unterminated string is reported at its opening quote', () => {
+    assert.deepStrictEqual(parseErrors("source\n| extend x = 'abc"), [
+        ['unterminated_string', 2, 14, "Unterminated string literal: missing closing '"]
+    ]);
+});
+
+test('an unknown operator is reported with the closest known operator', () => {
+    const [error] = kqlParser.parse('source\n| projct a').errors;
+
+    assert.strictEqual(error.message, "Unknown query operator 'projct'. Did you mean 'project'?");
+    assert.deepStrictEqual([error.line, error.column, error.endLine, error.endColumn], [2, 3, 2, 9]);
+    assert.deepStrictEqual([error.start, error.end], [9, 15]);
+});
+
+test('a pipe without an operator is a misplaced pipe', () => {
+    assert.deepStrictEqual(parseErrors('source\n| where a > 1 |'), [
+        ['misplaced_pipe', 2, 15, "Trailing '|' is not followed by a query operator"]
+    ]);
+    assert.deepStrictEqual(parseErrors('source\n|| where a > 1'), [
+        ['misplaced_pipe', 2, 2, "Empty pipe stage: '|' must be followed by a query operator"]
+    ]);
+});
+
+test('a query that stops in the middle of an expression is reported at its end', () => {
+    assert.deepStrictEqual(parseErrors('source\n| extend x = 1\n| where y =='), [
+        ['unexpected_end', 3, 13, 'The query ends unexpectedly; expected an expression']
+    ]);
+});
+
+test('parseParameters reads tabular schemas and default values', () => {
+    const { ast, errors } = kqlParser.parseParameters('T:(TimeGenerated:datetime, Name:string), since:datetime = ago(1d), limit:long = 10');
+    const [table, since, limit] = ast.parameters;
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual([table.name, table.type], ['T', 'table']);
+    assert.deepStrictEqual(table.tabularSchema.map(column => [column.name, column.type]), [['TimeGenerated', 'datetime'], ['Name', 'string']]);
+    assert.deepStrictEqual([since.type, since.defaultValue.kind, since.defaultValue.name], ['datetime', 'Call', 'ago']);
+    assert.deepStrictEqual([limit.type, limit.defaultValue.value], ['long', 10]);
+});
+
+test('parseParameters accepts a wildcard schema and reports a missing type', () => {
+    assert.deepStrictEqual(kqlParser.parseParameters('T:(*), x:string').ast.parameters[0].tabularSchema, [{ kind: 'Wildcard' }]);
+    assert.deepStrictEqual(kqlParser.parseParameters('a string').errors.map(error => [error.code, error.column, error.message]), [
+        ['unexpected_token', 3, "Unexpected 'string'; expected ':' after parameter 'a'"]
+    ]);
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const engine = require('../webapp/engine/validator-engine.js');
+const kqlSchema = require('../webapp/engine/kql-schema.js');
+const { MANIFEST_PATH, KQL_PATH, createManifest, createPackage, findResult, getFindings } = require('./helpers.js');
+
+const INPUT_COLUMNS = [
+    { name: 'time', type: 'DateTime' },
+    { name: 'message', type: 'String' },
+    { name: 'count', type: 'Int' }
+];
+
+function deriveColumns(query) {
+    const schema = kqlSchema.deriveOutputSchema(query, { inputColumns: INPUT_COLUMNS });
+    return schema.columns.map(column => [column.name, column.type]);
+}
+
+function transformationMismatches(query) {
+    const results = engine.validatePackage(createPackage(createManifest(), { [KQL_PATH]: query }));
+    return getFindings(findResult(results, MANIFEST_PATH)).filter(finding => finding.ruleId === 'LAS-TRN-002');
+}
+
+test('each operator adds, renames or replaces columns with inferred types', () => {
+    assert.deepStrictEqual(deriveColumns('source\n| extend Total = count * 2, Ratio = count / 2.0\n| project-rename When = time\n| parse message with "id=" Id:long *'), [
+        ['When', 'datetime'],
+        ['message', 'string'],
+        ['count', 'int'],
+        ['Total', 'long'],
+        ['Ratio', 'real'],
+        ['Id', 'long']
+    ]);
+    assert.deepStrictEqual(deriveColumns('source\n| project TimeGenerated = time, Name = message'), [['TimeGenerated', 'datetime'], ['Name', 'string']]);
+});
+
+test('operators whose columns cannot be known open the schema', () => {
+    const schema = kqlSchema.deriveOutputSchema('source\n| join (source) on count', { inputColumns: INPUT_COLUMNS });
+
+    assert.strictEqual(schema.isOpen, true);
+    assert.strictEqual(schema.openedBy, 'join');
+});
+
+test('a declared column the transformation does not produce is a mismatch', () => {
+    const [mismatch, ...others] = transformationMismatches('source\n| project TimeGenerated = time');
+
+    assert.deepStrictEqual(others, []);
+    assert.strictEqual(mismatch.location, 'tables[0].columns[1]');
+    assert.match(mismatch.message, /Column 'WidgetName' is defined in table schema but not produced by transformation/);
+});
+
+test('a transformation producing exactly the declared columns has no mismatch', () => {
+    assert.deepStrictEqual(transformationMismatches('source\n| project TimeGenerated = time, WidgetName = widget'), []);
+});
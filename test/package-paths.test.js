@@ -0,0 +1,54 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const engine = require('../webapp/engine/validator-engine.js');
+const packagePaths = require('../webapp/engine/package-paths.js');
+const { MANIFEST_PATH, createManifest, createPackage, findResult, getFindings } = require('./helpers.js');
+
+const KQL_FILE = { kind: 'file', extensions: ['.kql'] };
+
+function resolve(referencedPath, expect = KQL_FILE) {
+    const files = createPackage(createManifest());
+    const manifestFile = files.find(file => file.relativePath === MANIFEST_PATH);
+    const resolution = packagePaths.resolvePath(files, manifestFile, referencedPath, expect);
+    return [resolution.status, resolution.actualPath || resolution.path];
+}
+
+// The findings on transformFilePath of the widget table for a path
+function transformPathFindings(transformFilePath) {
+    const manifest = createManifest();
+    manifest.tables[0].transformFilePath = transformFilePath;
+    const results = engine.validatePackage(createPackage(manifest));
+    return getFindings(findResult(results, MANIFEST_PATH))
+        .filter(finding => finding.location === 'tables[0].transformFilePath')
+        .map(finding => [finding.ruleId, finding.type]);
+}
+
+test('paths resolve relative to the manifest folder and stay inside it', () => {
+    assert.deepStrictEqual(resolve('KQL/ContosoWidgets.kql'), ['resolved', 'Contoso/KQL/ContosoWidgets.kql']);
+    assert.deepStrictEqual(resolve('./KQL/../KQL/ContosoWidgets.kql'), ['resolved', 'Contoso/KQL/ContosoWidgets.kql']);
+    assert.deepStrictEqual(resolve('KQL/Missing.kql'), ['missing', 'Contoso/KQL/Missing.kql']);
+    assert.deepStrictEqual(resolve('kql/contosowidgets.kql'), ['case_mismatch', 'Contoso/KQL/ContosoWidgets.kql']);
+    assert.deepStrictEqual(resolve('../Other/ContosoWidgets.kql'), ['outside_package', 'Other/ContosoWidgets.kql']);
+    assert.deepStrictEqual(resolve('/KQL/ContosoWidgets.kql'), ['outside_package', '/KQL/ContosoWidgets.kql']);
+});
+
+test('a folder or a file of another type is the wrong kind unless expected', () => {
+    assert.deepStrictEqual(resolve('KQL'), ['wrong_kind', 'Contoso/KQL/']);
+    assert.deepStrictEqual(resolve('SampleInputRecords/ContosoWidgetsSample.json'), ['wrong_kind', 'Contoso/SampleInputRecords/ContosoWidgetsSample.json']);
+    assert.deepStrictEqual(resolve('KQL', { kind: 'fileOrFolder', extensions: ['.kql'] }), ['resolved', 'Contoso/KQL/']);
+    assert.deepStrictEqual(resolve('   '), ['invalid', '   ']);
+});
+
+test('a transformFilePath that does not resolve is an error on the manifest', () => {
+    assert.deepStrictEqual(transformPathFindings('KQL/Missing.kql'), [['LAS-TRN-001', 'missing_transformation_file']]);
+    assert.deepStrictEqual(transformPathFindings('kql/ContosoWidgets.kql'), [['LAS-PTH-002', 'path_case_mismatch']]);
+    assert.deepStrictEqual(transformPathFindings('../Other/ContosoWidgets.kql'), [['LAS-PTH-003', 'path_outside_package']]);
+    assert.deepStrictEqual(transformPathFindings('KQL'), [['LAS-PTH-004', 'wrong_file_kind']]);
+});
+
+test('a transformFilePath that resolves has no findings', () => {
+    assert.deepStrictEqual(transformPathFindings('KQL/ContosoWidgets.kql'), []);
+});
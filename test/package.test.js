@@ -0,0 +1,149 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const engine = require('../webapp/engine/validator-engine.js');
+const { MANIFEST_PATH, createManifest, createPackage, findResult, getFindings } = require('./helpers.js');
+
+const ROOT = path.join(__dirname, '..');
+
+test('createPackageFile drops a UTF-8 byte order mark', () => {
+    const file = engine.createPackageFile('Team/Team.manifest.json', '\uFEFF{"a":1}');
+
+    assert.strictEqual(file.content, '{"a":1}');
+    assert.strictEqual(file.size, 7);
+});
+
+test('a BOM-prefixed manifest parses through createPackage and validatePackage', () => {
+    const content = fs.readFileSync(path.join(ROOT, 'AADIAM.manifest.json'), 'utf8');
+    assert.strictEqual(content.charCodeAt(0), 0xFEFF, 'fixture should start with a byte order mark');
+
+    const files = engine.createPackage({ 'AADIAM.manifest.json': content });
+    const [result] = engine.validatePackage(files);
+
+    assert.ok(result.parsedContent, 'manifest should parse');
+    assert.ok(!result.issues.some(issue => issue.type === 'json_syntax_error'));
+});
+
+test('transform manifests next to the NGSchema manifest are not counted as extra manifests', () => {
+    const files = engine.createPackage({
+        'Contoso/Contoso.manifest.json': '{}',
+        'Contoso/ContosoGadgets.transform.manifest.json': '{}',
+        'Contoso/KQL/ContosoGadgets.kql': 'source'
+    });
+    const [folder] = engine.validatePackage(files);
+
+    assert.strictEqual(folder.type, 'folder');
+    assert.ok(!folder.warnings.some(warning => warning.ruleId === 'LAS-PKG-003'));
+});
+
+test('two NGSchema manifests in one package are reported', () => {
+    const files = engine.createPackage({
+        'Contoso/Contoso.manifest.json': '{}',
+        'Contoso/ContosoCopy.manifest.json': '{}'
+    });
+    const [folder] = engine.validatePackage(files);
+
+    assert.ok(folder.warnings.some(warning => warning.ruleId === 'LAS-PKG-003'));
+});
+
+test('validateFile checks a manifest on its own; missing files are reported by the package phase', () => {
+    const manifest = createManifest();
+    manifest.functions.push({ name: 'ContosoWidgetsByName', bodyFilePath: 'KQL/ContosoWidgetsByName.kql' });
+    const files = createPackage(manifest);
+    const isMissingFile = finding => /^LAS-PTH-/.test(finding.ruleId);
+
+    const single = engine.validateFile(files.find(file => file.relativePath === MANIFEST_PATH));
+    assert.ok(!getFindings(single).some(isMissingFile));
+
+    const packaged = findResult(engine.validatePackage(files), MANIFEST_PATH);
+    assert.ok(getFindings(packaged).some(isMissingFile));
+});
+
+test('completePackageValidation finishes per-file results the way validatePackage does', () => {
+    const files = engine.createPackage({
+        'Contoso/Contoso.manifest.json': '{"type": "NGSchema", "tables": [{"name": "ContosoWidgets", "transformFilePath": "KQL/Missing.kql"}]}',
+        'Contoso/KQL/Orphan.kql': 'source',
+        'Contoso/.lasvalidator.json': '{"rules": {"LAS-PTH-001": "off"}}'
+    });
+    const expected = engine.validatePackage(files);
+
+    const results = files.map(file => engine.validateFile(file));
+    const completed = engine.completePackageValidation(results, files);
+
+    assert.strictEqual(completed, results);
+    assert.deepStrictEqual(completed, expected);
+});
+
+test('the sample of a transform-pattern table is linked to its manifest and checked', () => {
+    const manifest = {
+        type: 'NGSchema',
+        tables: [{
+            workflowName: 'ContosoGadgetsWorkflow',
+            transformName: 'ContosoGadgets',
+            physicalName: 'ContosoGadgets',
+            logicalName: 'ContosoGadgets',
+            input: [{ name: 'time', type: 'DateTime' }],
+            sampleInputRecordsFilePath: 'SampleInputRecords/ContosoGadgetsInput.json',
+            columns: [{ name: 'TimeGenerated', type: 'DateTime' }]
+        }]
+    };
+    const samplePath = 'Contoso/SampleInputRecords/ContosoGadgetsInput.json';
+    const results = engine.validatePackage(engine.createPackage({
+        'Contoso/Contoso.manifest.json': JSON.stringify(manifest),
+        [samplePath]: JSON.stringify([{ time: '2024-01-01T00:00:00Z', extra: true }])
+    }));
+    const folder = results.find(result => result.type === 'folder');
+    const sample = results.find(result => result.relativePath === samplePath);
+
+    assert.ok(!folder.warnings.some(warning => warning.ruleId === 'LAS-PKG-008'), 'the sample is not an orphan');
+    assert.deepStrictEqual(sample.warnings.filter(warning => warning.ruleId === 'LAS-SMP-017').map(warning => warning.columnName), ['extra']);
+});
+
+test('a package rule that fails is reported on a package-level result', () => {
+    engine.registerPackageRule('failing-for-test', pkg => {
+        if (pkg.files.some(file => file.name === 'Fail.kql')) {
+            throw new Error('boom');
+        }
+    });
+    const results = engine.validatePackage(engine.createPackage({
+        'Contoso/Contoso.manifest.json': '{}',
+        'Contoso/KQL/Fail.kql': 'source'
+    }));
+    const packageResult = results.find(result => result.type === 'package');
+
+    assert.deepStrictEqual(packageResult.warnings.map(warning => [warning.ruleId, warning.message]), [
+        ['LAS-ENG-001', "Package rule 'failing-for-test' could not run: boom"]
+    ]);
+    assert.ok(results.filter(result => result.relativePath).every(result =>
+        !result.warnings.some(warning => warning.ruleId === 'LAS-ENG-001')));
+});
+
+test('files no manifest references are reported by folder and kind', () => {
+    const results = engine.validatePackage(createPackage(createManifest(), {
+        'Contoso/KQL/Old.kql': 'source',
+        'Contoso/KQL/Older.kql': 'source',
+        'Contoso/SampleInputRecords/OldSample.json': '[]',
+        'Contoso/notes.md': 'Draft notes',
+        'Contoso/owners.txt': 'contoso@example.com'
+    }));
+    const folder = results.find(result => result.type === 'folder');
+
+    assert.deepStrictEqual(folder.warnings.filter(warning => warning.type === 'orphaned_file').map(warning => [warning.ruleId, warning.folder, warning.files]), [
+        ['LAS-PKG-007', 'Contoso/KQL/', ['Old.kql', 'Older.kql']],
+        ['LAS-PKG-008', 'Contoso/SampleInputRecords/', ['OldSample.json']],
+        ['LAS-PKG-009', 'Contoso/', ['notes.md']]
+    ]);
+});
+
+test('a package whose files are all referenced has no orphans', () => {
+    const manifest = createManifest();
+    manifest.functions.push({ name: 'ContosoWidgetNames', description: 'Names of the widgets.', bodyFilePath: 'KQL/ContosoWidgetNames.kql' });
+    const results = engine.validatePackage(createPackage(manifest, { 'Contoso/KQL/ContosoWidgetNames.kql': 'ContosoWidgets\n| distinct WidgetName' }));
+    const folder = results.find(result => result.type === 'folder');
+
+    assert.deepStrictEqual(folder.warnings.filter(warning => warning.type === 'orphaned_file'), []);
+});
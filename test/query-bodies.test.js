@@ -0,0 +1,51 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const engine = require('../webapp/engine/validator-engine.js');
+const { MANIFEST_PATH, createManifest, createPackage, findResult } = require('./helpers.js');
+
+// The query body findings (relatedTables and columns) of one example query
+function validateQuery(body, relatedTables = ['ContosoWidgets']) {
+    const manifest = createManifest();
+    manifest.queries.push({
+        id: '6c5d2b0e-3f1a-4c8e-9b7d-2a4f6e8c0d13',
+        displayName: 'Widgets by name',
+        description: 'Counts widget events by widget name.',
+        bodyFilePath: 'KQL/ContosoWidgetsByName.kql',
+        relatedTables: relatedTables,
+        tags: { Topic: ['Usage'] }
+    });
+    const results = engine.validatePackage(createPackage(manifest, {
+        'Contoso/KQL/ContosoWidgetsByName.kql': body
+    }));
+    return findResult(results, MANIFEST_PATH).warnings
+        .filter(warning => ['LAS-QRY-006', 'LAS-QRY-007', 'LAS-QRY-008'].includes(warning.ruleId))
+        .map(warning => [warning.ruleId, warning.location, warning.currentValue]);
+}
+
+test('relatedTables that the query does not read, or misses, are reported', () => {
+    assert.deepStrictEqual(validateQuery('ContosoWidgets\n| summarize count() by WidgetName', ['ContosoWidgets', 'ContosoGadgets']), [
+        ['LAS-QRY-006', 'queries[0].relatedTables[1]', 'ContosoGadgets']
+    ]);
+    assert.deepStrictEqual(validateQuery('ContosoWidgets\n| union ContosoGadgets'), [
+        ['LAS-QRY-006', 'queries[0].relatedTables', 'ContosoWidgets']
+    ]);
+    assert.deepStrictEqual(validateQuery('ContosoWidgets\n| take 10', ['contosoWidgets']), [
+        ['LAS-QRY-006', 'queries[0].relatedTables[0]', 'contosoWidgets']
+    ]);
+});
+
+test('columns the table does not define, or writes in another case, are reported', () => {
+    const findings = validateQuery('ContosoWidgets\n| where widgetName == "a" and WidgetColour == "red"');
+
+    assert.deepStrictEqual(findings, [
+        ['LAS-QRY-008', 'queries[0].bodyFilePath', 'widgetName'],
+        ['LAS-QRY-007', 'queries[0].bodyFilePath', 'WidgetColour']
+    ]);
+});
+
+test('a query that reads its related tables and their columns has no findings', () => {
+    assert.deepStrictEqual(validateQuery('ContosoWidgets\n| extend Day = bin(TimeGenerated, 1d)\n| summarize Events = count() by WidgetName, Day\n| order by Events desc'), []);
+});
@@ -0,0 +1,35 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const engine = require('../webapp/engine/validator-engine.js');
+const report = require('../webapp/engine/report-export.js');
+const { loadPackage } = require('../bin/la-schema-validate.js');
+
+test('SARIF locations are relative to the directory the CLI runs in', () => {
+    const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'la-schema-repo-'));
+    const team = path.join(repo, 'Content', 'NGSchemas', 'MyTeam');
+    fs.mkdirSync(team, { recursive: true });
+    fs.writeFileSync(path.join(team, 'MyTeam.manifest.json'), '{ "type": "NGSchema" }');
+
+    const cwd = process.cwd();
+    process.chdir(repo);
+    try {
+        const sourcePaths = {};
+        const files = loadPackage(['./Content/NGSchemas/MyTeam'], sourcePaths);
+        const log = report.createSarifLog(engine.validatePackage(files), { sourcePaths: sourcePaths, sourceRoot: 'file:///repo/' });
+        const run = log.runs[0];
+        const artifact = run.results[0].locations[0].physicalLocation.artifactLocation;
+
+        assert.strictEqual(artifact.uri, 'Content/NGSchemas/MyTeam/MyTeam.manifest.json');
+        assert.strictEqual(artifact.uriBaseId, '%SRCROOT%');
+        assert.deepStrictEqual(run.originalUriBaseIds, { '%SRCROOT%': { uri: 'file:///repo/' } });
+    } finally {
+        process.chdir(cwd);
+        fs.rmSync(repo, { recursive: true, force: true });
+    }
+});
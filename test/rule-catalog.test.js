@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const engine = require('../webapp/engine/validator-engine.js');
+const ruleCatalog = require('../webapp/engine/rule-catalog.js');
+const { MANIFEST_PATH, createManifest, createPackage, findResult, getFindings } = require('./helpers.js');
+
+const ENGINE_DIRECTORY = path.join(__dirname, '..', 'webapp', 'engine');
+
+// Every rule ID written in the engine sources
+function reportedRuleIds() {
+    const ids = new Set();
+    fs.readdirSync(ENGINE_DIRECTORY).forEach(fileName => {
+        const source = fs.readFileSync(path.join(ENGINE_DIRECTORY, fileName), 'utf8');
+        for (const match of source.matchAll(/'(LAS-[A-Z]{3}-\d{3})'/g)) {
+            ids.add(match[1]);
+        }
+    });
+    return ids;
+}
+
+test('a rule ID resolves to its catalogue entry and an unknown ID to null', () => {
+    const rule = ruleCatalog.getRule('LAS-TBL-004');
+
+    assert.deepStrictEqual([rule.title, rule.severity, rule.category], ['TimeGenerated must be DateTime', 'error', 'Tables']);
+    assert.ok(rule.rationale && rule.microsoftRequirement);
+    assert.strictEqual(ruleCatalog.getRule('LAS-TBL-999'), null);
+    assert.strictEqual(ruleCatalog.isKnownRule('missing_field'), true);
+    assert.strictEqual(ruleCatalog.isKnownRule('LAS-TBL-999'), false);
+});
+
+test('a search matches every word across the rule text', () => {
+    assert.deepStrictEqual(ruleCatalog.searchRules('timegenerated DATETIME').map(rule => rule.id), ['LAS-TBL-004']);
+    assert.deepStrictEqual(ruleCatalog.searchRules('timegenerated nonsense'), []);
+    assert.strictEqual(ruleCatalog.searchRules('').length, ruleCatalog.RULES.length);
+});
+
+test('every rule the engine reports is in the catalogue and every catalogue rule is reported', () => {
+    const reported = reportedRuleIds();
+
+    assert.deepStrictEqual([...reported].filter(id => !ruleCatalog.getRule(id)), []);
+    assert.deepStrictEqual(ruleCatalog.RULES.map(rule => rule.id).filter(id => !reported.has(id)), []);
+});
+
+test('a finding carries the requirement of its rule', () => {
+    const manifest = createManifest();
+    delete manifest.tables[0].dataTypeId;
+    const results = engine.validatePackage(createPackage(manifest));
+    const finding = getFindings(findResult(results, MANIFEST_PATH)).find(item => item.ruleId === 'LAS-TBL-002');
+
+    assert.strictEqual(finding.microsoftRequirement, ruleCatalog.getRule('LAS-TBL-002').microsoftRequirement);
+    assert.ok(getFindings(findResult(engine.validatePackage(createPackage(createManifest())), MANIFEST_PATH))
+        .every(item => item.ruleId !== 'LAS-TBL-002' && item.microsoftRequirement === ruleCatalog.getRule(item.ruleId).microsoftRequirement));
+});
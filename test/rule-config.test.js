@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const engine = require('../webapp/engine/validator-engine.js');
+const ruleConfig = require('../webapp/engine/rule-config.js');
+const { MANIFEST_PATH, createManifest, createPackage, findResult, getFindings } = require('./helpers.js');
+
+const CONFIG_PATH = 'Contoso/.lasvalidator.json';
+
+function createResult(findings) {
+    return {
+        relativePath: MANIFEST_PATH,
+        type: 'manifest',
+        status: 'fail',
+        issues: findings.filter(finding => finding.severity === 'error'),
+        warnings: findings.filter(finding => finding.severity === 'warning'),
+        originalContent: JSON.stringify(createManifest(), null, 2)
+    };
+}
+
+test('a severity override moves the finding and recomputes the status', () => {
+    const { config, problems } = ruleConfig.parseConfig('{ "rules": { "LAS-TBL-002": "warning", "LAS-DSC-003": "off" } }');
+    const result = createResult([
+        { ruleId: 'LAS-TBL-002', type: 'missing_field', location: 'tables[0].dataTypeId', severity: 'error' },
+        { ruleId: 'LAS-DSC-003', type: 'formatting_error', location: 'description', severity: 'warning' }
+    ]);
+
+    const outcome = ruleConfig.applyConfig([result], config);
+
+    assert.deepStrictEqual(problems, []);
+    assert.strictEqual(outcome.disabled, 1);
+    assert.deepStrictEqual(result.issues, []);
+    assert.deepStrictEqual(result.warnings.map(warning => [warning.ruleId, warning.severity, warning.defaultSeverity]), [
+        ['LAS-TBL-002', 'warning', 'error']
+    ]);
+    assert.strictEqual(result.status, 'pass');
+});
+
+test('a suppression matches by file and by a path that resolves to the same node', () => {
+    const { config } = ruleConfig.parseConfig(JSON.stringify({
+        suppressions: [
+            { rule: 'LAS-COL-005', file: 'Contoso.manifest.json', path: 'tables.ContosoWidgets.columns.WidgetName', justification: 'Kept for existing queries.' },
+            { rule: 'LAS-COL-005', file: 'Other.manifest.json', path: 'tables[0].columns[0]', justification: 'Another package.' }
+        ]
+    }));
+    const result = createResult([
+        { ruleId: 'LAS-COL-005', type: 'naming_convention_warning', location: 'tables[0].columns[1]', severity: 'warning' },
+        { ruleId: 'LAS-COL-005', type: 'naming_convention_warning', location: 'tables[0].columns[0]', severity: 'warning' }
+    ]);
+
+    const outcome = ruleConfig.applyConfig([result], config);
+
+    assert.deepStrictEqual(outcome.usedSuppressions, [0]);
+    assert.deepStrictEqual(result.suppressed.map(finding => [finding.location, finding.suppression.justification]), [
+        ['tables[0].columns[1]', 'Kept for existing queries.']
+    ]);
+    assert.deepStrictEqual(result.warnings.map(warning => warning.location), ['tables[0].columns[0]']);
+});
+
+test('a suppression that matches nothing is reported on the configuration file', () => {
+    const results = engine.validatePackage(createPackage(createManifest(), {
+        [CONFIG_PATH]: JSON.stringify({
+            suppressions: [{ rule: 'LAS-COL-005', path: 'tables[0].columns[7]', justification: 'Removed long ago.' }]
+        })
+    }));
+    const config = findResult(results, CONFIG_PATH);
+
+    assert.deepStrictEqual(config.warnings.map(warning => [warning.ruleId, warning.message]), [
+        ['LAS-CFG-002', 'Suppression of LAS-COL-005 at tables[0].columns[7] did not match any finding']
+    ]);
+});
+
+test('a suppression without a justification is an error and is not applied', () => {
+    const text = JSON.stringify({ suppressions: [{ rule: 'LAS-DSC-003', path: 'description', justification: ' ' }] });
+    const { config, problems } = ruleConfig.parseConfig(text);
+
+    assert.deepStrictEqual(config.suppressions, []);
+    assert.deepStrictEqual(problems.map(problem => [problem.location, problem.message]), [
+        ['suppressions[0].justification', 'Suppression 1: a justification is required']
+    ]);
+
+    const manifest = createManifest();
+    manifest.description = 'Logs emitted by Contoso widgets';
+    const results = engine.validatePackage(createPackage(manifest, { [CONFIG_PATH]: text }));
+
+    assert.strictEqual(findResult(results, CONFIG_PATH).status, 'fail');
+    assert.ok(findResult(results, CONFIG_PATH).issues.some(issue => issue.location === 'suppressions[0].justification'));
+    assert.ok(getFindings(findResult(results, MANIFEST_PATH)).some(finding => finding.ruleId === 'LAS-DSC-003'));
+});
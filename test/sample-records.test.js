@@ -0,0 +1,52 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const engine = require('../webapp/engine/validator-engine.js');
+const { SAMPLE_INPUT_PATH, SAMPLE_OUTPUT_PATH, createManifest, createPackage, findResult, getFindings } = require('./helpers.js');
+
+// The sample findings (LAS-SMP-*) of one file of the widget package
+function sampleFindings(path, files) {
+    const results = engine.validatePackage(createPackage(createManifest(), files));
+    return getFindings(findResult(results, path))
+        .filter(finding => finding.ruleId.startsWith('LAS-SMP-'))
+        .map(finding => [finding.ruleId, finding.severity, finding.location]);
+}
+
+test('sample output values are checked against the column types and system columns', () => {
+    const records = [
+        { TimeGenerated: 'yesterday', WidgetName: 'a', TenantId: '00000000-0000-0000-0000-000000000000' },
+        { TimeGenerated: '2024-01-01T00:00:00Z', WidgetName: 'b' }
+    ];
+
+    assert.deepStrictEqual(sampleFindings(SAMPLE_OUTPUT_PATH, { [SAMPLE_OUTPUT_PATH]: JSON.stringify(records) }), [
+        ['LAS-SMP-012', 'error', '[0].TimeGenerated'],
+        ['LAS-SMP-014', 'error', '[0].TenantId']
+    ]);
+});
+
+test('sample output records that match the columns have no findings', () => {
+    assert.deepStrictEqual(sampleFindings(SAMPLE_OUTPUT_PATH, {}), []);
+});
+
+test('sample input values are checked against the input declaration', () => {
+    const records = [{ time: 'not a time', widget: 'a', colour: 'red' }];
+
+    assert.deepStrictEqual(sampleFindings(SAMPLE_INPUT_PATH, { [SAMPLE_INPUT_PATH]: JSON.stringify(records) }), [
+        ['LAS-SMP-016', 'error', '[0].time'],
+        ['LAS-SMP-017', 'warning', '[0].colour']
+    ]);
+});
+
+test('a declared input field no record has is reported', () => {
+    const records = [{ time: '2024-01-01T00:00:00Z' }];
+
+    assert.deepStrictEqual(sampleFindings(SAMPLE_INPUT_PATH, { [SAMPLE_INPUT_PATH]: JSON.stringify(records) }), [
+        ['LAS-SMP-018', 'warning', 'entire_file']
+    ]);
+});
+
+test('sample input records that match the input declaration have no findings', () => {
+    assert.deepStrictEqual(sampleFindings(SAMPLE_INPUT_PATH, {}), []);
+});
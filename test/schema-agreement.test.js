@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * The published JSON Schemas (webapp/schemas/) and the validator must accept and
+ * reject the same manifests. Each fixture is run through both: the engine, as part
+ * of a complete package, and the schema with a JSON Schema validator (ajv).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Ajv = require('ajv');
+
+const engine = require('../webapp/engine/validator-engine.js');
+const { MANIFEST_PATH, createManifest, createPackage, findResult } = require('./helpers.js');
+
+// The published files - `npm run check-schemas` keeps them in step with manifest-rules.js
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateManifestSchema = ajv.compile(require('../webapp/schemas/ngschema.manifest.schema.json'));
+const validateTransformSchema = ajv.compile(require('../webapp/schemas/transform.manifest.schema.json'));
+
+const TRANSFORM_PATH = 'Contoso/ContosoGadgets.transform.manifest.json';
+
+function createQuery(topics) {
+    return {
+        id: '6c5d2b0e-3f1a-4c8e-9b7d-2a4f6e8c0d13',
+        displayName: 'Widgets by name',
+        description: 'Counts widget events by widget name.',
+        bodyFilePath: 'KQL/ContosoWidgetsByName.kql',
+        relatedTables: ['ContosoWidgets'],
+        tags: { Topic: topics }
+    };
+}
+
+function createTransformManifest() {
+    return {
+        name: 'ContosoGadgets',
+        description: 'Sends gadget events to the widget table.',
+        transformVersion: 1,
+        dataTypeId: 'CONTOSO_GADGETS',
+        transformState: 'Validation',
+        icmTeam: 'Contoso',
+        contactDL: 'contoso@example.com',
+        relatedTable: 'ContosoWidgets',
+        kqlFilePath: 'KQL/ContosoWidgets.kql',
+        sampleInputRecordsFilePath: 'SampleInputRecords/ContosoWidgetsSample.json',
+        sampleOutputRecordsFilePath: 'SampleOutputRecords/ContosoWidgetsSample.json'
+    };
+}
+
+function validatePackage(manifest, transformManifest) {
+    return engine.validatePackage(createPackage(manifest, {
+        'Contoso/KQL/ContosoWidgetsByName.kql': 'ContosoWidgets\n| summarize count() by WidgetName',
+        [TRANSFORM_PATH]: transformManifest ? JSON.stringify(transformManifest, null, 2) : null
+    }));
+}
+
+function engineErrors(results, path) {
+    return findResult(results, path).issues.map(issue => issue.ruleId);
+}
+
+// [description, change to the valid manifest, whether both must accept it]
+const MANIFEST_CASES = [
+    ['the valid manifest', () => {}, true],
+    ['optional table fields', manifest => Object.assign(manifest.tables[0], { tableState: 'Production', isHidden: false, categories: ['Monitoring'] }), true],
+    ['a column deprecation', manifest => { manifest.tables[0].columns[1].deprecation = { date: '2030-01-01', replacement: 'TimeGenerated' }; }, true],
+    ['a missing displayName', manifest => { delete manifest.displayName; }, false],
+    ['a missing tables array', manifest => { delete manifest.tables; }, false],
+    ['an empty tables array', manifest => { manifest.tables = []; }, false],
+    ['simplifiedSchemaVersion 2', manifest => { manifest.simplifiedSchemaVersion = '2'; }, false],
+    ['a description without a period', manifest => { manifest.description = 'Logs emitted by Contoso widgets'; }, false],
+    ['a table without dataTypeId', manifest => { delete manifest.tables[0].dataTypeId; }, false],
+    ['a table without a name', manifest => { delete manifest.tables[0].name; }, false],
+    ['a table name over 45 characters', manifest => { manifest.tables[0].name = 'C'.repeat(46); }, false],
+    ['artifactVersion 0', manifest => { manifest.tables[0].artifactVersion = 0; }, false],
+    ['artifactVersion as a string', manifest => { manifest.tables[0].artifactVersion = '1'; }, false],
+    ['an unknown tableState', manifest => { manifest.tables[0].tableState = 'Live'; }, false],
+    ['an unknown input type', manifest => { manifest.tables[0].input[1].type = 'Text'; }, false],
+    ['a lower-case column type', manifest => { manifest.tables[0].columns[1].type = 'string'; }, false],
+    ['a column without a description', manifest => { delete manifest.tables[0].columns[1].description; }, false],
+    ['a system column', manifest => { manifest.tables[0].columns[1].name = 'TenantId'; }, false],
+    ['a reserved column name', manifest => { manifest.tables[0].columns[1].name = 'ResourceId'; }, false],
+    ['no TimeGenerated column', manifest => { manifest.tables[0].columns[0].name = 'EventTime'; }, false],
+    ['TimeGenerated as a String', manifest => { manifest.tables[0].columns[0].type = 'String'; }, false],
+    ['a deprecation without a replacement', manifest => { manifest.tables[0].columns[1].deprecation = { date: '2030-01-01' }; }, false],
+    ['a query with a recommended topic', manifest => { manifest.queries.push(createQuery(['Usage'])); }, true],
+    ['a query with a topic outside the recommended ones', manifest => { manifest.queries.push(createQuery(['Inventory'])); }, true],
+    ['a deprecation date in another format', manifest => { manifest.tables[0].columns[1].deprecation = { date: '01/01/2030', replacement: 'TimeGenerated' }; }, false]
+];
+
+MANIFEST_CASES.forEach(([description, change, isValid]) => {
+    test(`manifest with ${description}: engine and JSON Schema agree`, () => {
+        const manifest = createManifest();
+        change(manifest);
+
+        const schemaAccepts = validateManifestSchema(manifest);
+        const errors = engineErrors(validatePackage(manifest), MANIFEST_PATH);
+
+        assert.strictEqual(schemaAccepts, isValid, `JSON Schema: ${ajv.errorsText(validateManifestSchema.errors)}`);
+        assert.strictEqual(errors.length === 0, isValid, `engine: ${errors.join(', ') || 'no errors'}`);
+    });
+});
+
+const TRANSFORM_CASES = [
+    ['the valid transform manifest', () => {}, true],
+    ['transformState Production', transform => { transform.transformState = 'Production'; }, true],
+    ['a missing relatedTable', transform => { delete transform.relatedTable; }, false],
+    ['transformVersion 0', transform => { transform.transformVersion = 0; }, false],
+    ['an unknown transformState', transform => { transform.transformState = 'Live'; }, false],
+    ['a kqlFilePath that is not a .kql file', transform => { transform.kqlFilePath = 'KQL/ContosoWidgets.txt'; }, false],
+    ['an NGSchema field', transform => { transform.tables = []; }, false]
+];
+
+TRANSFORM_CASES.forEach(([description, change, isValid]) => {
+    test(`transform manifest with ${description}: engine and JSON Schema agree`, () => {
+        const transform = createTransformManifest();
+        change(transform);
+
+        const schemaAccepts = validateTransformSchema(transform);
+        const errors = engineErrors(validatePackage(createManifest(), transform), TRANSFORM_PATH);
+
+        assert.strictEqual(schemaAccepts, isValid, `JSON Schema: ${ajv.errorsText(validateTransformSchema.errors)}`);
+        assert.strictEqual(errors.length === 0, isValid, `engine: ${errors.join(', ') || 'no errors'}`);
+    });
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const engine = require('../webapp/engine/validator-engine.js');
+const schemaEvolution = require('../webapp/engine/schema-evolution.js');
+const { MANIFEST_PATH, createManifest, createPackage, findResult, getFindings } = require('./helpers.js');
+
+function compare(current) {
+    return schemaEvolution.compareManifests(createManifest(), current)
+        .map(change => [change.kind, change.ruleId, change.location]);
+}
+
+// The schema-evolution findings (LAS-EVO-*) of the manifest against the widget package as baseline
+function evolutionFindings(manifest) {
+    const results = engine.validatePackage(createPackage(manifest), { baseline: createPackage(createManifest()) });
+    return getFindings(findResult(results, MANIFEST_PATH))
+        .filter(finding => finding.ruleId.startsWith('LAS-EVO-'))
+        .map(finding => [finding.ruleId, finding.severity, finding.location]);
+}
+
+test('removed, renamed and retyped columns are breaking changes', () => {
+    const removed = createManifest();
+    removed.tables[0].artifactVersion = 2;
+    removed.tables[0].columns.pop();
+    assert.deepStrictEqual(compare(removed), [['column_removed', 'LAS-EVO-002', 'tables[0].columns']]);
+
+    const renamed = createManifest();
+    renamed.tables[0].artifactVersion = 2;
+    renamed.tables[0].columns[1].name = 'Widgetname';
+    assert.deepStrictEqual(compare(renamed), [['column_renamed', 'LAS-EVO-003', 'tables[0].columns[1].name']]);
+
+    const retyped = createManifest();
+    retyped.tables[0].artifactVersion = 2;
+    retyped.tables[0].columns[1].type = 'Int';
+    assert.deepStrictEqual(compare(retyped), [['column_type_changed', 'LAS-EVO-004', 'tables[0].columns[1].type']]);
+});
+
+test('a changed table needs a higher artifactVersion and keeps its dataTypeId and production state', () => {
+    const manifest = createManifest();
+    manifest.tables[0].dataTypeId = 'CONTOSO_GADGETS';
+    manifest.tables[0].tableState = 'Validation';
+    const baseline = createManifest();
+    baseline.tables[0].tableState = 'Production';
+
+    assert.deepStrictEqual(schemaEvolution.compareManifests(baseline, manifest).map(change => change.kind), [
+        'data_type_id_changed',
+        'table_state_downgraded',
+        'artifact_version_not_bumped'
+    ]);
+});
+
+test('a breaking change is reported on the manifest when validating against a baseline', () => {
+    const manifest = createManifest();
+    manifest.tables[0].columns[1].type = 'Int';
+
+    assert.deepStrictEqual(evolutionFindings(manifest), [
+        ['LAS-EVO-004', 'error', 'tables[0].columns[1].type'],
+        ['LAS-EVO-006', 'error', 'tables[0].artifactVersion']
+    ]);
+});
+
+test('an added column with an artifactVersion bump is not a breaking change', () => {
+    const manifest = createManifest();
+    manifest.tables[0].artifactVersion = 2;
+    manifest.tables[0].columns.push({ name: 'WidgetColour', type: 'String', description: 'Colour of the widget.' });
+
+    assert.deepStrictEqual(evolutionFindings(manifest), []);
+    assert.deepStrictEqual(evolutionFindings(createManifest()), []);
+});
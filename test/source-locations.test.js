@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * Findings point at the file they are attached to, with a line/column range
+ * inside that file.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const engine = require('../webapp/engine/validator-engine.js');
+const { MANIFEST_PATH, KQL_PATH, SAMPLE_INPUT_PATH, SAMPLE_OUTPUT_PATH, createManifest, createPackage, findResult } = require('./helpers.js');
+
+// The widget table with a WidgetCount column declared as a string
+function createCountManifest() {
+    const manifest = createManifest();
+    manifest.tables[0].input.push({ name: 'count', type: 'Int' });
+    manifest.tables[0].columns.push({ name: 'WidgetCount', type: 'String', description: 'Number of widgets.' });
+    return manifest;
+}
+
+function validatePackage(outputRecords) {
+    return engine.validatePackage(createPackage(createCountManifest(), {
+        [KQL_PATH]: 'source\n| project TimeGenerated = time, WidgetName = widget, WidgetCount = count',
+        [SAMPLE_INPUT_PATH]: JSON.stringify([{ time: '2024-01-01T00:00:00Z', widget: 'a', count: 1 }]),
+        [SAMPLE_OUTPUT_PATH]: JSON.stringify(outputRecords, null, 2)
+    }));
+}
+
+test('a transformation schema mismatch points at the mismatched column', () => {
+    const results = validatePackage([{ TimeGenerated: '2024-01-01T00:00:00Z', WidgetName: 'a', WidgetCount: '1' }]);
+    const mismatch = findResult(results, MANIFEST_PATH).issues.find(issue => issue.ruleId === 'LAS-TRN-002');
+
+    assert.ok(mismatch, 'WidgetCount is produced as int but declared as string');
+    assert.strictEqual(mismatch.location, 'tables[0].columns[2]');
+    assert.ok(mismatch.lineNumber > 0);
+});
+
+test('sample output differences are reported on the sample output file', () => {
+    const results = validatePackage([{ TimeGenerated: '2024-01-01T00:00:00Z', WidgetName: 'b', WidgetCount: 1 }]);
+    const output = findResult(results, SAMPLE_OUTPUT_PATH);
+    const difference = output.issues.find(issue => issue.ruleId === 'LAS-TRN-005');
+
+    assert.ok(difference, 'WidgetName differs');
+    assert.ok(!findResult(results, MANIFEST_PATH).issues.some(issue => issue.ruleId === 'LAS-TRN-005'));
+    assert.strictEqual(difference.location, '[0].WidgetName');
+    assert.strictEqual(difference.lineNumber, 4);
+    assert.strictEqual(difference.column, 5);
+});
+
+test('findings about the whole document get the range of its opening bracket', () => {
+    const manifest = createManifest();
+    delete manifest.queries;
+    const result = engine.validateFile(engine.createPackageFile(MANIFEST_PATH, JSON.stringify(manifest, null, 2)));
+    const noQueries = result.warnings.find(warning => warning.ruleId === 'LAS-QRY-004');
+
+    assert.strictEqual(noQueries.location, 'root.queries');
+    assert.deepStrictEqual(
+        [noQueries.lineNumber, noQueries.column, noQueries.endLineNumber, noQueries.endColumn],
+        [1, 1, 1, 2]
+    );
+});
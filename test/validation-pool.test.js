@@ -0,0 +1,107 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const engine = require('../webapp/engine/validator-engine.js');
+const pool = require('../webapp/engine/validation-pool.js');
+
+const ENGINE_DIR = path.join(__dirname, '..', 'webapp', 'engine');
+
+/**
+ * Stands in for a browser Web Worker: runs engine/validation-worker.js in a
+ * context of its own and passes messages through structuredClone, asynchronously.
+ */
+class FakeWorker {
+    constructor(url) {
+        FakeWorker.started.push(this);
+        this.url = url;
+        this.received = [];
+        this.isTerminated = false;
+
+        const scope = vm.createContext({ console: console });
+        scope.self = scope;
+        scope.importScripts = (...names) => names.forEach(name => {
+            vm.runInContext(fs.readFileSync(path.join(ENGINE_DIR, name), 'utf8'), scope, { filename: name });
+        });
+        scope.postMessage = message => this.deliver(() => this.onmessage && this.onmessage({ data: structuredClone(message) }));
+        vm.runInContext(fs.readFileSync(path.join(ENGINE_DIR, 'validation-worker.js'), 'utf8'), scope);
+        this.scope = scope;
+    }
+
+    postMessage(message) {
+        this.received.push(message.type);
+        this.deliver(() => this.scope.onmessage({ data: structuredClone(message) }));
+    }
+
+    terminate() {
+        this.isTerminated = true;
+    }
+
+    deliver(callback) {
+        setImmediate(() => {
+            if (!this.isTerminated) {
+                callback();
+            }
+        });
+    }
+}
+
+function withFakeWorkers(run) {
+    return async () => {
+        FakeWorker.started = [];
+        global.Worker = FakeWorker;
+        try {
+            await run();
+        } finally {
+            delete global.Worker;
+        }
+    };
+}
+
+function createFiles() {
+    return engine.createPackage({
+        'Contoso/Contoso.manifest.json': '{"type": "NGSchema", "tables": [{"name": "ContosoWidgets", "transformFilePath": "KQL/Missing.kql"}]}',
+        'Contoso/KQL/Orphan.kql': 'source\n| where'
+    });
+}
+
+test('both phases in workers give the results of validatePackage', withFakeWorkers(async () => {
+    const files = createFiles();
+    const progress = [];
+
+    const results = await pool.validateFiles(files, {
+        workers: 2,
+        onResult: (result, index, completed) => progress.push(completed)
+    });
+    const completed = await pool.completePackage(results, files);
+
+    assert.deepStrictEqual(progress, [1, 2]);
+    assert.deepStrictEqual(completed, engine.validatePackage(files));
+    assert.deepStrictEqual(FakeWorker.started.map(worker => worker.received), [['validate'], ['validate'], ['complete']]);
+    assert.ok(FakeWorker.started.every(worker => worker.isTerminated));
+}));
+
+test('aborting the package phase terminates its worker', withFakeWorkers(async () => {
+    const files = createFiles();
+    const results = files.map(file => engine.validateFile(file));
+    const controller = new AbortController();
+
+    const completion = pool.completePackage(results, files, { signal: controller.signal });
+    controller.abort();
+
+    await assert.rejects(completion, error => pool.isAbortError(error));
+    assert.strictEqual(FakeWorker.started.length, 1);
+    assert.ok(FakeWorker.started[0].isTerminated);
+}));
+
+test('without workers the package phase runs on the calling thread', async () => {
+    const files = createFiles();
+    const results = await pool.validateFiles(files);
+
+    assert.deepStrictEqual(await pool.completePackage(results, files), engine.validatePackage(files));
+    await assert.rejects(pool.completePackage(results, files, { signal: AbortSignal.abort() }), error => pool.isAbortError(error));
+});
@@ -0,0 +1,542 @@
+/**
+ * ===============================================================================
+ * AZURE LOG ANALYTICS SCHEMA VALIDATOR - AUTOFIX ENGINE
+ * ===============================================================================
+ *
+ * OVERVIEW:
+ * Turns validation findings into edits of the JSON files they were found in and
+ * produces a corrected package. Fixes are only offered where the right value is
+ * certain:
+ * - descriptions: capitalise the first letter and end with a period
+ * - column and input types: correct the casing (COLUMN_TYPE_CORRECTIONS /
+ *   INPUT_TYPE_CORRECTIONS in manifest-rules.js)
+ * - system columns (TenantId, _ResourceId, ...): remove the column
+ * - simplifiedSchemaVersion: set it to "3"
+ * - sample files holding a single object: wrap it in an array
+ *
+ * HOW EDITS ARE MADE:
+ * Each fix targets a JSON path and is resolved against the syntax tree from
+ * json-parser.js, then applied as a text edit at that node's offsets. The rest
+ * of the file - formatting, key order, comments in strings - stays untouched. A
+ * fix is skipped when the value it expects is no longer there, when it overlaps
+ * another edit, or when the edited file would not parse.
+ *
+ * MODULE FORMAT:
+ * Universal module - loaded with a <script> tag it exposes window.LASchemaAutofix
+ * (load engine/json-parser.js and manifest-rules.js first), loaded with require()
+ * it exports the same API through module.exports.
+ * ===============================================================================
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./json-parser.js'), require('./manifest-rules.js'));
+    } else {
+        root.LASchemaAutofix = factory(root.LASchemaJson, root.LASchemaManifestRules);
+    }
+}(typeof self !== 'undefined' ? self : this, function (jsonParser, manifestRules) {
+    'use strict';
+
+    // ===== FIXES =====
+
+    /**
+     * Describe how a finding can be fixed
+     *
+     * @param {Object|string} finding - Issue or warning from the validation engine
+     * @returns {Object|null} { action, path, value, expected, title } - action is
+     *   'set' (replace or add the property at path), 'remove' (delete the array item
+     *   at path) or 'wrap' (put the whole document in an array); null when the
+     *   finding has no safe automatic fix
+     */
+    function getFix(finding) {
+        if (!finding || typeof finding !== 'object') {
+            return null;
+        }
+
+        const path = typeof finding.location === 'string' ? jsonParser.parsePath(finding.location) : [];
+
+        if (finding.type === 'formatting_error' && finding.field === 'description' && path[path.length - 1] === 'description') {
+            const value = formatDescription(finding.currentValue);
+            if (!value || value === finding.currentValue) {
+                return null;
+            }
+            return { action: 'set', path: path, value: value, expected: finding.currentValue, title: `Set description to "${value}"` };
+        }
+
+        if (finding.type === 'incorrect_capitalization' && finding.field === 'type' && typeof finding.currentValue === 'string') {
+            const container = path[path.length - 3];
+            const corrections = container === 'input' ? manifestRules.INPUT_TYPE_CORRECTIONS : manifestRules.COLUMN_TYPE_CORRECTIONS;
+            const value = corrections[finding.currentValue.toLowerCase()];
+            if (!value || value === finding.currentValue) {
+                return null;
+            }
+            return { action: 'set', path: path, value: value, expected: finding.currentValue, title: `Change type "${finding.currentValue}" to "${value}"` };
+        }
+
+        if (finding.type === 'forbidden_system_column' && path[path.length - 1] === 'name' && typeof path[path.length - 2] === 'number') {
+            return {
+                action: 'remove',
+                path: path.slice(0, -1),
+                expected: { name: finding.currentValue },
+                title: `Remove system column "${finding.currentValue}"`
+            };
+        }
+
+        if (finding.field === 'simplifiedSchemaVersion' && (finding.type === 'invalid_value' || finding.type === 'missing_field')) {
+            return {
+                action: 'set',
+                path: ['simplifiedSchemaVersion'],
+                value: manifestRules.SIMPLIFIED_SCHEMA_VERSION,
+                title: `Set simplifiedSchemaVersion to "${manifestRules.SIMPLIFIED_SCHEMA_VERSION}"`
+            };
+        }
+
+        if (finding.type === 'invalid_json_structure' && finding.expectedValue === 'array' && finding.currentValue === 'object') {
+            return { action: 'wrap', path: [], title: 'Wrap the sample record in an array' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Capitalise the first letter and end the text with a period
+     * Empty or whitespace-only descriptions need real words, so they get no fix.
+     */
+    function formatDescription(description) {
+        if (typeof description !== 'string' || description.trim() === '') {
+            return null;
+        }
+        const text = description.trim();
+        // Keep the [Deprecated] prefix and capitalise the sentence behind it
+        const prefix = text.startsWith(manifestRules.DEPRECATED_PREFIX + ' ') ? manifestRules.DEPRECATED_PREFIX + ' ' : '';
+        const sentence = text.slice(prefix.length);
+        const capitalised = prefix + sentence.charAt(0).toUpperCase() + sentence.slice(1);
+        return capitalised.endsWith('.') ? capitalised : capitalised + '.';
+    }
+
+    // ===== EDITS =====
+
+    function sameValue(node, expected) {
+        if (expected === undefined) {
+            return true;
+        }
+        if (expected && typeof expected === 'object') {
+            return Object.keys(expected).every(key => {
+                const property = node.type === 'object' && node.properties.find(candidate => candidate.key === key);
+                return property && property.value.value === expected[key];
+            });
+        }
+        return node.value === expected;
+    }
+
+    // Leading whitespace of the line an offset is on
+    function indentationAt(text, offset) {
+        const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+        return /^[ \t]*/.exec(text.slice(lineStart))[0];
+    }
+
+    function detectIndentUnit(text) {
+        const match = /\n([ \t]+)\S/.exec(text);
+        return match ? match[1] : '  ';
+    }
+
+    /**
+     * Resolve a fix against the syntax tree into a text edit { start, end, text }
+     */
+    function createEdit(text, parsed, fix) {
+        if (fix.action === 'wrap') {
+            if (parsed.root.type !== 'object') {
+                return null;
+            }
+            const unit = detectIndentUnit(text);
+            const document = text.slice(parsed.root.start, parsed.root.end);
+            return {
+                start: parsed.root.start,
+                end: parsed.root.end,
+                text: `[\n${document.split('\n').map(line => (line ? unit + line : line)).join('\n')}\n]`
+            };
+        }
+
+        const resolution = jsonParser.resolvePath(parsed.root, fix.path);
+
+        if (fix.action === 'remove') {
+            const array = resolution.parent;
+            if (!resolution.complete || !array || array.type !== 'array' || !sameValue(resolution.node, fix.expected)) {
+                return null;
+            }
+            const items = array.items;
+            const index = items.indexOf(resolution.node);
+            if (index < items.length - 1) {
+                // Take the item, its comma and the whitespace up to the next item
+                return { start: items[index].start, end: items[index + 1].start, text: '' };
+            }
+            if (index > 0) {
+                return { start: items[index - 1].end, end: items[index].end, text: '' };
+            }
+            return { start: array.start + 1, end: array.end - 1, text: '' };
+        }
+
+        if (resolution.complete) {
+            if (!sameValue(resolution.node, fix.expected)) {
+                return null;
+            }
+            return { start: resolution.node.start, end: resolution.node.end, text: JSON.stringify(fix.value) };
+        }
+
+        // A missing property is added as the last one of its object
+        const container = resolution.node;
+        if (resolution.resolved !== fix.path.length - 1 || container.type !== 'object' || fix.expected !== undefined) {
+            return null;
+        }
+        const property = `${JSON.stringify(fix.path[fix.path.length - 1])}: ${JSON.stringify(fix.value)}`;
+        if (container.properties.length === 0) {
+            const indent = indentationAt(text, container.start);
+            const unit = detectIndentUnit(text);
+            return { start: container.start + 1, end: container.end - 1, text: `\n${indent}${unit}${property}\n${indent}` };
+        }
+        const last = container.properties[container.properties.length - 1];
+        return { start: last.end, end: last.end, text: `,\n${indentationAt(text, last.start)}${property}` };
+    }
+
+    /**
+     * Apply the fixable findings of one file to its text
+     *
+     * @param {string} content - Text of the JSON file
+     * @param {Object[]} findings - Issues and warnings reported for the file
+     * @returns {Object} { content, applied, skipped, edits } - applied lists
+     *   { finding, fix } pairs; skipped lists those that could not be applied safely.
+     *   content is unchanged when nothing was applied.
+     */
+    function applyFixes(content, findings) {
+        const text = String(content || '');
+        const parsed = jsonParser.parse(text);
+        const applied = [];
+        const skipped = [];
+        const edits = [];
+
+        if (!parsed.root) {
+            return { content: text, applied: applied, skipped: skipped, edits: edits };
+        }
+
+        const candidates = (findings || [])
+            .map(finding => ({ finding: finding, fix: getFix(finding) }))
+            .filter(candidate => candidate.fix);
+
+        // Removals go first: fixes inside a column that is removed are no longer needed
+        candidates.sort((a, b) => (b.fix.action === 'remove') - (a.fix.action === 'remove'));
+
+        candidates.forEach(candidate => {
+            const edit = createEdit(text, parsed, candidate.fix);
+            if (!edit) {
+                skipped.push(candidate);
+                return;
+            }
+
+            // The same fix reported twice (e.g. a description missing both its capital and its period)
+            const duplicate = edits.find(other => other.start === edit.start && other.end === edit.end && other.text === edit.text);
+            if (duplicate) {
+                applied.push(candidate);
+                return;
+            }
+            const removed = edits.some(other => other.text === '' && other.start <= edit.start && edit.end <= other.end);
+            if (removed) {
+                return;
+            }
+            const overlapping = edits.some(other => edit.start < other.end && other.start < edit.end ||
+                (edit.start === edit.end && edit.start === other.start && other.start === other.end));
+            if (overlapping) {
+                skipped.push(candidate);
+                return;
+            }
+
+            edits.push(edit);
+            applied.push(candidate);
+        });
+
+        const fixed = edits.slice()
+            .sort((a, b) => b.start - a.start)
+            .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), text);
+
+        if (edits.length > 0 && jsonParser.parse(fixed).error) {
+            return { content: text, applied: [], skipped: skipped.concat(applied), edits: [] };
+        }
+
+        edits.sort((a, b) => a.start - b.start);
+        return { content: fixed, applied: applied, skipped: skipped, edits: edits };
+    }
+
+    /**
+     * Apply every fixable finding of a validated package
+     *
+     * @param {Object[]} files - Package entries: { name, relativePath, content, size }
+     * @param {Object[]} results - Validation results for those files
+     * @returns {Object[]} One entry per changed file: { path, original, fixed, applied, skipped, diff }
+     */
+    function fixPackage(files, results) {
+        const changes = [];
+
+        (results || []).forEach(result => {
+            const file = findResultFile(files, result);
+            if (!file || !['manifest', 'transform-manifest', 'json'].includes(result.type)) {
+                return;
+            }
+            const outcome = applyFixes(file.content, [...(result.issues || []), ...(result.warnings || [])]);
+            if (outcome.edits.length === 0) {
+                return;
+            }
+            const path = file.relativePath || file.name;
+            changes.push({
+                path: path,
+                original: file.content,
+                fixed: outcome.content,
+                applied: outcome.applied,
+                skipped: outcome.skipped,
+                diff: createUnifiedDiff(file.content, outcome.content, path)
+            });
+        });
+
+        return changes;
+    }
+
+    function findResultFile(files, result) {
+        return (files || []).find(file => result.relativePath
+            ? file.relativePath === result.relativePath
+            : !file.relativePath && file.name === result.filename) || null;
+    }
+
+    /**
+     * The package with the changed files swapped in, ready to be zipped
+     */
+    function buildFixedPackage(files, changes) {
+        const fixedByPath = {};
+        changes.forEach(change => {
+            fixedByPath[change.path] = change.fixed;
+        });
+        return files.map(file => {
+            const path = file.relativePath || file.name;
+            return { path: path, content: fixedByPath[path] !== undefined ? fixedByPath[path] : file.content };
+        });
+    }
+
+    // ===== DIFF =====
+
+    const DIFF_CONTEXT_LINES = 3;
+
+    /**
+     * Unified diff of two texts (Myers' algorithm over lines)
+     *
+     * @returns {string} Diff with ---/+++ headers and @@ hunks; empty when the texts are equal
+     */
+    function createUnifiedDiff(original, fixed, path) {
+        const before = String(original).split('\n');
+        const after = String(fixed).split('\n');
+        const operations = diffLines(before, after);
+
+        if (!operations.some(operation => operation.kind !== ' ')) {
+            return '';
+        }
+
+        const lines = [`--- a/${path}`, `+++ b/${path}`];
+        let index = 0;
+        while (index < operations.length) {
+            if (operations[index].kind === ' ') {
+                index++;
+                continue;
+            }
+
+            // Grow the hunk until the changes are more than two contexts apart
+            const hunkStart = Math.max(0, index - DIFF_CONTEXT_LINES);
+            let hunkEnd = index;
+            let unchanged = 0;
+            for (let i = index; i < operations.length; i++) {
+                if (operations[i].kind === ' ') {
+                    unchanged++;
+                    if (unchanged > DIFF_CONTEXT_LINES * 2) {
+                        break;
+                    }
+                } else {
+                    unchanged = 0;
+                    hunkEnd = i;
+                }
+            }
+            hunkEnd = Math.min(operations.length - 1, hunkEnd + DIFF_CONTEXT_LINES);
+
+            const hunk = operations.slice(hunkStart, hunkEnd + 1);
+            const first = operations[hunkStart];
+            const oldCount = hunk.filter(operation => operation.kind !== '+').length;
+            const newCount = hunk.filter(operation => operation.kind !== '-').length;
+            lines.push(`@@ -${first.oldLine + (oldCount ? 1 : 0)},${oldCount} +${first.newLine + (newCount ? 1 : 0)},${newCount} @@`);
+            hunk.forEach(operation => lines.push(operation.kind + operation.text));
+
+            index = hunkEnd + 1;
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Shortest edit script between two line arrays
+     * Each operation is { kind: ' ' | '-' | '+', text, oldLine, newLine } where
+     * oldLine/newLine count the lines of each side that precede it.
+     */
+    function diffLines(before, after) {
+        const max = before.length + after.length;
+        const offset = max + 1;
+        const frontier = new Array(2 * max + 3).fill(0);
+        const trace = [];
+
+        // Only diagonals -d..d are read when backtracking from step d, so keep just those
+        let found = false;
+        for (let d = 0; d <= max && !found; d++) {
+            trace.push(frontier.slice(offset - d, offset + d + 1));
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && frontier[offset + k - 1] < frontier[offset + k + 1]))
+                    ? frontier[offset + k + 1]
+                    : frontier[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < before.length && y < after.length && before[x] === after[y]) {
+                    x++;
+                    y++;
+                }
+                frontier[offset + k] = x;
+                if (x >= before.length && y >= after.length) {
+                    found = true;
+                    break;
+                }
+            }
+        }
+
+        // Walk the trace back from the end to recover the operations
+        const operations = [];
+        let x = before.length;
+        let y = after.length;
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const previous = diagonal => trace[d][diagonal + d];
+            const k = x - y;
+            const previousK = (k === -d || (k !== d && previous(k - 1) < previous(k + 1))) ? k + 1 : k - 1;
+            const previousX = d === 0 ? 0 : previous(previousK);
+            const previousY = previousX - previousK;
+
+            while (x > previousX && y > previousY) {
+                x--;
+                y--;
+                operations.push({ kind: ' ', text: before[x], oldLine: x, newLine: y });
+            }
+            if (d > 0) {
+                if (x === previousX) {
+                    y--;
+                    operations.push({ kind: '+', text: after[y], oldLine: x, newLine: y });
+                } else {
+                    x--;
+                    operations.push({ kind: '-', text: before[x], oldLine: x, newLine: y });
+                }
+            }
+        }
+
+        return operations.reverse();
+    }
+
+    // ===== ZIP =====
+
+    let crcTable = null;
+
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // MS-DOS date and time fields of a zip entry
+    function toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Build a zip archive (stored, uncompressed) from text files
+     *
+     * @param {Object[]} entries - { path, content } with forward-slash paths
+     * @returns {Uint8Array} Archive bytes
+     */
+    function createZip(entries) {
+        const encoder = new TextEncoder();
+        const timestamp = toDosDateTime(new Date());
+        const chunks = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        entries.forEach(entry => {
+            const name = encoder.encode(entry.path);
+            const data = encoder.encode(String(entry.content));
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(10, timestamp.time, true);
+            local.setUint16(12, timestamp.date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            chunks.push(new Uint8Array(local.buffer), name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(12, timestamp.time, true);
+            central.setUint16(14, timestamp.date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralDirectory.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const directorySize = centralDirectory.reduce((size, chunk) => size + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = chunks.concat(centralDirectory, [new Uint8Array(end.buffer)]);
+        const archive = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            archive.set(part, position);
+            position += part.length;
+        });
+        return archive;
+    }
+
+    return {
+        getFix: getFix,
+        formatDescription: formatDescription,
+        applyFixes: applyFixes,
+        fixPackage: fixPackage,
+        buildFixedPackage: buildFixedPackage,
+        createUnifiedDiff: createUnifiedDiff,
+        createZip: createZip
+    };
+}));
@@ -0,0 +1,404 @@
+/**
+ * ===============================================================================
+ * AZURE LOG ANALYTICS SCHEMA VALIDATOR - POSITION-AWARE JSON PARSER
+ * ===============================================================================
+ *
+ * OVERVIEW:
+ * JSON.parse() gives values but no positions, so issue locations used to be
+ * found by searching lines for field names and counting braces - which breaks
+ * on minified files, braces inside strings and repeated column names.
+ *
+ * This parser builds a syntax tree in which every node (and every object
+ * property, key included) carries `start`/`end` character offsets. A finding's
+ * JSON path, e.g. `tables[2].columns[5].type`, resolves to exact start and end
+ * line:column positions with locate().
+ *
+ * PATHS:
+ * Dot-separated property names and [index] steps, optionally prefixed with
+ * `root`. A name step on an array selects the item whose "name" property
+ * matches case-insensitively (`tables[0].columns.TimeGenerated.type`).
+ *
+ * MODULE FORMAT:
+ * Universal module - loaded with a <script> tag it exposes window.LASchemaJson,
+ * loaded with require() it exports the same API through module.exports.
+ * ===============================================================================
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LASchemaJson = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ===== POSITIONS =====
+
+    function computeLineStarts(text) {
+        const lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') {
+                lineStarts.push(i + 1);
+            }
+        }
+        return lineStarts;
+    }
+
+    /**
+     * Convert a character offset into a 1-based { line, column }
+     */
+    function offsetToPosition(lineStarts, offset) {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    }
+
+    function getLineColumn(text, offset) {
+        return offsetToPosition(computeLineStarts(text), offset);
+    }
+
+    // ===== PARSER =====
+
+    const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+    const NUMBER_PATTERN = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+
+    function ParseError(message, offset) {
+        this.message = message;
+        this.offset = offset;
+    }
+
+    function createParser(text) {
+        let pos = 0;
+
+        function fail(message, offset) {
+            throw new ParseError(message, offset === undefined ? pos : offset);
+        }
+
+        function describeCurrent() {
+            return pos >= text.length ? 'end of input' : `'${text[pos]}'`;
+        }
+
+        function skipWhitespace() {
+            while (pos < text.length) {
+                const ch = text[pos];
+                if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r') {
+                    pos++;
+                } else {
+                    break;
+                }
+            }
+        }
+
+        function expect(ch) {
+            if (text[pos] !== ch) {
+                fail(`Expected '${ch}' but found ${describeCurrent()}`);
+            }
+            pos++;
+        }
+
+        function parseString() {
+            const start = pos;
+            expect('"');
+            let value = '';
+            while (true) {
+                if (pos >= text.length) {
+                    fail('Unterminated string', start);
+                }
+                const ch = text[pos];
+                if (ch === '"') {
+                    pos++;
+                    break;
+                }
+                if (ch === '\\') {
+                    const escape = text[pos + 1];
+                    if (escape === 'u') {
+                        const hex = text.slice(pos + 2, pos + 6);
+                        if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+                            fail('Invalid unicode escape in string');
+                        }
+                        value += String.fromCharCode(parseInt(hex, 16));
+                        pos += 6;
+                    } else if (ESCAPES[escape] !== undefined) {
+                        value += ESCAPES[escape];
+                        pos += 2;
+                    } else {
+                        fail('Invalid escape sequence in string');
+                    }
+                    continue;
+                }
+                if (ch < ' ') {
+                    fail('Control character in string (escape line breaks as \\n)');
+                }
+                value += ch;
+                pos++;
+            }
+            return { type: 'string', value: value, start: start, end: pos };
+        }
+
+        function parseNumber() {
+            NUMBER_PATTERN.lastIndex = pos;
+            const match = NUMBER_PATTERN.exec(text);
+            if (!match) {
+                fail(`Unexpected ${describeCurrent()}`);
+            }
+            const start = pos;
+            pos += match[0].length;
+            return { type: 'number', value: Number(match[0]), start: start, end: pos };
+        }
+
+        function parseLiteral(word, value) {
+            if (text.slice(pos, pos + word.length) !== word) {
+                fail(`Unexpected ${describeCurrent()}`);
+            }
+            const start = pos;
+            pos += word.length;
+            return { type: value === null ? 'null' : 'boolean', value: value, start: start, end: pos };
+        }
+
+        function parseObject() {
+            const start = pos;
+            expect('{');
+            const properties = [];
+            skipWhitespace();
+            if (text[pos] === '}') {
+                pos++;
+                return { type: 'object', properties: properties, start: start, end: pos };
+            }
+            while (true) {
+                skipWhitespace();
+                if (text[pos] !== '"') {
+                    fail(text[pos] === '}' ? 'Trailing comma before \'}\'' : `Expected a property name but found ${describeCurrent()}`);
+                }
+                const key = parseString();
+                skipWhitespace();
+                expect(':');
+                skipWhitespace();
+                const value = parseValue();
+                properties.push({ key: key.value, keyStart: key.start, keyEnd: key.end, value: value, start: key.start, end: value.end });
+                skipWhitespace();
+                if (text[pos] === ',') {
+                    pos++;
+                } else if (text[pos] === '}') {
+                    pos++;
+                    return { type: 'object', properties: properties, start: start, end: pos };
+                } else {
+                    fail(`Expected ',' or '}' but found ${describeCurrent()}`);
+                }
+            }
+        }
+
+        function parseArray() {
+            const start = pos;
+            expect('[');
+            const items = [];
+            skipWhitespace();
+            if (text[pos] === ']') {
+                pos++;
+                return { type: 'array', items: items, start: start, end: pos };
+            }
+            while (true) {
+                skipWhitespace();
+                if (text[pos] === ']') {
+                    fail('Trailing comma before \']\'');
+                }
+                items.push(parseValue());
+                skipWhitespace();
+                if (text[pos] === ',') {
+                    pos++;
+                } else if (text[pos] === ']') {
+                    pos++;
+                    return { type: 'array', items: items, start: start, end: pos };
+                } else {
+                    fail(`Expected ',' or ']' but found ${describeCurrent()}`);
+                }
+            }
+        }
+
+        function parseValue() {
+            skipWhitespace();
+            const ch = text[pos];
+            if (ch === '{') return parseObject();
+            if (ch === '[') return parseArray();
+            if (ch === '"') return parseString();
+            if (ch === 't') return parseLiteral('true', true);
+            if (ch === 'f') return parseLiteral('false', false);
+            if (ch === 'n') return parseLiteral('null', null);
+            if (ch === '-' || (ch >= '0' && ch <= '9')) return parseNumber();
+            return fail(`Unexpected ${describeCurrent()}`);
+        }
+
+        return {
+            parseDocument: function () {
+                // A leading byte order mark is not part of the document
+                if (text.charCodeAt(0) === 0xFEFF) {
+                    pos = 1;
+                }
+                const node = parseValue();
+                skipWhitespace();
+                if (pos < text.length) {
+                    fail(`Unexpected ${describeCurrent()} after the end of the document`);
+                }
+                return node;
+            }
+        };
+    }
+
+    /**
+     * Parse JSON text into a syntax tree with source offsets
+     *
+     * @returns {Object} { root, error, lineStarts } - root is null and error is
+     *   { message, offset, line, column } when the text is not valid JSON
+     */
+    function parse(text) {
+        const source = String(text || '');
+        const lineStarts = computeLineStarts(source);
+        try {
+            return { root: createParser(source).parseDocument(), error: null, lineStarts: lineStarts };
+        } catch (error) {
+            if (!(error instanceof ParseError)) {
+                throw error;
+            }
+            const position = offsetToPosition(lineStarts, error.offset);
+            return {
+                root: null,
+                error: { message: error.message, offset: error.offset, line: position.line, column: position.column },
+                lineStarts: lineStarts
+            };
+        }
+    }
+
+    // ===== PATHS =====
+
+    /**
+     * Split a JSON path into property names and array indexes
+     * "root.tables[2].columns[5].type" → ['tables', 2, 'columns', 5, 'type']
+     */
+    function parsePath(path) {
+        const segments = [];
+        const pattern = /\[(\d+)\]|([^.[\]]+)/g;
+        let match;
+        while ((match = pattern.exec(String(path || ''))) !== null) {
+            segments.push(match[1] !== undefined ? Number(match[1]) : match[2]);
+        }
+        if (segments[0] === 'root') {
+            segments.shift();
+        }
+        return segments;
+    }
+
+    function getPropertyValue(node, key) {
+        const property = findProperty(node, key);
+        return property ? property.value : null;
+    }
+
+    function findProperty(node, key) {
+        if (!node || node.type !== 'object') {
+            return null;
+        }
+        // Duplicate keys: JSON.parse keeps the last one, so do we
+        for (let i = node.properties.length - 1; i >= 0; i--) {
+            if (node.properties[i].key === key) {
+                return node.properties[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Walk a path through the tree as far as it goes
+     *
+     * @returns {Object} { node, property, parent, resolved, complete } - node is the
+     *   deepest node reached, property the object property holding it (if any)
+     *   and resolved the number of path segments consumed
+     */
+    function resolvePath(rootNode, segments) {
+        let node = rootNode;
+        let parent = null;
+        let property = null;
+        let resolved = 0;
+
+        for (const segment of segments) {
+            let next = null;
+            let nextProperty = null;
+
+            if (node && node.type === 'array') {
+                if (typeof segment === 'number') {
+                    next = node.items[segment] || null;
+                } else {
+                    const wanted = segment.toLowerCase();
+                    next = node.items.find(item => {
+                        const name = getPropertyValue(item, 'name');
+                        return name && name.type === 'string' && name.value.toLowerCase() === wanted;
+                    }) || null;
+                }
+            } else if (node && node.type === 'object' && typeof segment === 'string') {
+                nextProperty = findProperty(node, segment);
+                next = nextProperty ? nextProperty.value : null;
+            }
+
+            if (!next) {
+                break;
+            }
+            parent = node;
+            node = next;
+            property = nextProperty;
+            resolved++;
+        }
+
+        return { node: node, property: property, parent: parent, resolved: resolved, complete: resolved === segments.length };
+    }
+
+    function toRange(parsed, start, end) {
+        const from = offsetToPosition(parsed.lineStarts, start);
+        const to = offsetToPosition(parsed.lineStarts, end);
+        return { start: start, end: end, line: from.line, column: from.column, endLine: to.line, endColumn: to.column };
+    }
+
+    /**
+     * Source range of the value at a JSON path (for a property: from its key to the
+     * end of its value)
+     *
+     * @returns {Object|null} { start, end, line, column, endLine, endColumn, exact } -
+     *   exact is false when only a prefix of the path exists; the range is then the
+     *   point right after the last property of the deepest object reached, where a
+     *   missing field would be inserted
+     */
+    function locate(parsed, path) {
+        if (!parsed || !parsed.root) {
+            return null;
+        }
+        const segments = Array.isArray(path) ? path : parsePath(path);
+        const resolution = resolvePath(parsed.root, segments);
+
+        if (resolution.complete) {
+            const target = resolution.property || resolution.node;
+            return Object.assign(toRange(parsed, target.start, target.end), { exact: true });
+        }
+
+        const container = resolution.node;
+        let insertAt = container.start + 1;
+        if (container.type === 'object' && container.properties.length > 0) {
+            insertAt = container.properties[container.properties.length - 1].end;
+        } else if (container.type === 'array' && container.items.length > 0) {
+            insertAt = container.items[container.items.length - 1].end;
+        }
+        return Object.assign(toRange(parsed, insertAt, insertAt), { exact: false, resolved: resolution.resolved });
+    }
+
+    return {
+        parse: parse,
+        parsePath: parsePath,
+        resolvePath: resolvePath,
+        locate: locate,
+        getLineColumn: getLineColumn
+    };
+}));
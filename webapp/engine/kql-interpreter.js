@@ -0,0 +1,1395 @@
+/**
+ * ===============================================================================
+ * AZURE LOG ANALYTICS SCHEMA VALIDATOR - LOCAL KQL INTERPRETER
+ * ===============================================================================
+ *
+ * OVERVIEW:
+ * Runs a transformation over sample input records without a Log Analytics
+ * workspace, so the output can be compared with the package's sample output
+ * records. Only the ingestion-time subset of KQL is supported - the same
+ * single-row operators that engine/kql-limitations.js allows:
+ *
+ *   let statements (scalars and datatable constants)
+ *   source | where | extend | project | project-away | project-keep
+ *          | project-rename | project-reorder | parse | parse-where
+ *
+ * plus the scalar operators and the commonly used scalar functions
+ * (conversions, string, datetime, math, dynamic and conditional functions).
+ *
+ * VALUES:
+ * null, string, number (int/long/real), boolean, Date (datetime),
+ * Timespan (timespan) and plain JSON values (dynamic). guid values are strings.
+ *
+ * ERRORS:
+ * Anything outside the supported subset throws an error with
+ * code 'unsupported' (and the offending node's offsets), so callers can tell
+ * "cannot run this locally" apart from a transformation that fails at runtime.
+ *
+ * MODULE FORMAT:
+ * Universal module - loaded with a <script> tag it exposes
+ * window.LASchemaKqlInterpreter (load engine/kql-parser.js first), loaded with
+ * require() it exports the same API through module.exports.
+ * ===============================================================================
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./kql-parser.js'));
+    } else {
+        root.LASchemaKqlInterpreter = factory(root.LASchemaKql);
+    }
+}(typeof self !== 'undefined' ? self : this, function (kqlParser) {
+    'use strict';
+
+    // ===== VALUES =====
+
+    const MS_PER_TICK = 0.0001;
+    const MS_PER_UNIT = {
+        d: 86400000, day: 86400000, days: 86400000,
+        h: 3600000, hr: 3600000, hrs: 3600000, hour: 3600000, hours: 3600000,
+        m: 60000, min: 60000, minute: 60000, minutes: 60000,
+        s: 1000, sec: 1000, second: 1000, seconds: 1000,
+        ms: 1, milli: 1, millis: 1, millisecond: 1, milliseconds: 1,
+        microsecond: 0.001, microseconds: 0.001,
+        tick: MS_PER_TICK, ticks: MS_PER_TICK
+    };
+
+    function Timespan(milliseconds) {
+        this.milliseconds = milliseconds;
+    }
+
+    Timespan.prototype.toString = function () {
+        return formatTimespan(this.milliseconds);
+    };
+
+    function isDate(value) {
+        return value instanceof Date;
+    }
+
+    function isTimespan(value) {
+        return value instanceof Timespan;
+    }
+
+    function isDynamicObject(value) {
+        return value !== null && typeof value === 'object' && !isDate(value) && !isTimespan(value);
+    }
+
+    function pad(number, width) {
+        return String(number).padStart(width, '0');
+    }
+
+    /**
+     * Timespans serialize as [-][d.]hh:mm:ss[.fffffff], like Log Analytics
+     */
+    function formatTimespan(milliseconds) {
+        const sign = milliseconds < 0 ? '-' : '';
+        let ticks = Math.round(Math.abs(milliseconds) / MS_PER_TICK);
+        const days = Math.floor(ticks / 864000000000);
+        ticks -= days * 864000000000;
+        const hours = Math.floor(ticks / 36000000000);
+        ticks -= hours * 36000000000;
+        const minutes = Math.floor(ticks / 600000000);
+        ticks -= minutes * 600000000;
+        const seconds = Math.floor(ticks / 10000000);
+        ticks -= seconds * 10000000;
+
+        return sign + (days > 0 ? `${days}.` : '') + `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(seconds, 2)}` +
+            (ticks > 0 ? `.${pad(ticks, 7)}` : '');
+    }
+
+    function parseTimespan(text) {
+        if (typeof text !== 'string') {
+            return null;
+        }
+        const trimmed = text.trim();
+
+        const literal = /^(-?\d+(?:\.\d+)?)\s*([a-z]+)$/i.exec(trimmed);
+        if (literal && MS_PER_UNIT[literal[2].toLowerCase()] !== undefined) {
+            return new Timespan(Number(literal[1]) * MS_PER_UNIT[literal[2].toLowerCase()]);
+        }
+
+        const clock = /^(-)?(?:(\d+)\.)?(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,7}))?)?$/.exec(trimmed);
+        if (clock) {
+            const fraction = clock[6] ? Number(clock[6].padEnd(7, '0')) * MS_PER_TICK : 0;
+            const total = Number(clock[2] || 0) * 86400000 + Number(clock[3]) * 3600000 +
+                Number(clock[4]) * 60000 + Number(clock[5] || 0) * 1000 + fraction;
+            return new Timespan(clock[1] ? -total : total);
+        }
+        return null;
+    }
+
+    function parseDatetime(text) {
+        if (typeof text !== 'string' || text.trim() === '') {
+            return null;
+        }
+        let normalized = text.trim();
+        // Date-only and zone-less values are UTC in KQL
+        if (/^\d{4}-\d{2}-\d{2}$/.test(normalized)) {
+            normalized += 'T00:00:00Z';
+        } else if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(normalized)) {
+            normalized = normalized.replace(' ', 'T') + 'Z';
+        }
+        // JavaScript keeps milliseconds only
+        normalized = normalized.replace(/(\.\d{3})\d+/, '$1');
+        const time = Date.parse(normalized);
+        return Number.isNaN(time) ? null : new Date(time);
+    }
+
+    /**
+     * Convert a value to a KQL scalar type, returning null when it cannot be converted
+     */
+    function convert(value, type) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+
+        switch (type) {
+            case 'string':
+                return toStringValue(value);
+            case 'bool': {
+                if (typeof value === 'boolean') return value;
+                if (typeof value === 'number') return value !== 0;
+                const text = String(value).trim().toLowerCase();
+                if (text === 'true' || text === '1') return true;
+                if (text === 'false' || text === '0') return false;
+                return null;
+            }
+            case 'int':
+            case 'long': {
+                if (typeof value === 'boolean') return value ? 1 : 0;
+                if (isTimespan(value)) return Math.round(value.milliseconds / MS_PER_TICK);
+                if (isDate(value) || isDynamicObject(value)) return null;
+                if (typeof value === 'string' && value.trim() === '') return null;
+                const number = typeof value === 'number' ? value : Number(String(value).trim());
+                if (!Number.isFinite(number)) return null;
+                const whole = Math.trunc(number);
+                if (type === 'int' && (whole > 2147483647 || whole < -2147483648)) return null;
+                return whole;
+            }
+            case 'real':
+            case 'decimal': {
+                if (typeof value === 'boolean') return value ? 1 : 0;
+                if (typeof value === 'string' && value.trim() === '') return null;
+                const number = typeof value === 'number' ? value : Number(String(value).trim());
+                return Number.isNaN(number) ? null : number;
+            }
+            case 'datetime':
+                if (isDate(value)) return value;
+                return typeof value === 'string' ? parseDatetime(value) : null;
+            case 'timespan':
+                if (isTimespan(value)) return value;
+                if (typeof value === 'number') return new Timespan(value * MS_PER_TICK);
+                return parseTimespan(String(value));
+            case 'guid': {
+                const text = String(value).trim();
+                return /^[{(]?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}[)}]?$/i.test(text)
+                    ? text.replace(/^[{(]|[)}]$/g, '').toLowerCase()
+                    : null;
+            }
+            case 'dynamic':
+                if (typeof value === 'string') {
+                    try {
+                        return JSON.parse(value);
+                    } catch (error) {
+                        return value;
+                    }
+                }
+                return toJsonValue(value);
+            default:
+                return value;
+        }
+    }
+
+    function toStringValue(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'string') return value;
+        if (isDate(value)) return formatDatetime(value);
+        if (isTimespan(value)) return formatTimespan(value.milliseconds);
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    function formatDatetime(date) {
+        return date.toISOString().replace(/\.(\d{3})Z$/, '.$10000Z');
+    }
+
+    /**
+     * Plain JSON form of a value (datetimes and timespans become strings)
+     */
+    function toJsonValue(value) {
+        if (value === undefined) return null;
+        if (isDate(value)) return formatDatetime(value);
+        if (isTimespan(value)) return formatTimespan(value.milliseconds);
+        if (Array.isArray(value)) return value.map(toJsonValue);
+        if (value !== null && typeof value === 'object') {
+            const json = {};
+            Object.keys(value).forEach(key => {
+                json[key] = toJsonValue(value[key]);
+            });
+            return json;
+        }
+        return value;
+    }
+
+    function isEmptyValue(value) {
+        return value === null || value === undefined || value === '';
+    }
+
+    // ===== ERRORS =====
+
+    function createError(code, message, node) {
+        const error = new Error(message);
+        error.code = code;
+        error.start = node && node.start !== undefined ? node.start : null;
+        error.end = node && node.end !== undefined ? node.end : null;
+        return error;
+    }
+
+    function unsupported(message, node) {
+        return createError('unsupported', message, node);
+    }
+
+    // ===== SCALAR FUNCTIONS =====
+
+    function regexFrom(pattern) {
+        return new RegExp(String(pattern));
+    }
+
+    function stringArgument(value) {
+        return toStringValue(value);
+    }
+
+    function startOf(unit) {
+        return args => {
+            const date = convert(args[0], 'datetime');
+            if (!date) return null;
+            const result = new Date(date.getTime());
+            if (unit === 'day') {
+                result.setUTCHours(0, 0, 0, 0);
+            } else if (unit === 'week') {
+                result.setUTCHours(0, 0, 0, 0);
+                result.setUTCDate(result.getUTCDate() - result.getUTCDay());
+            } else if (unit === 'month') {
+                return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+            } else if (unit === 'year') {
+                return new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+            }
+            return result;
+        };
+    }
+
+    function fromUnixTime(multiplier) {
+        return args => {
+            const number = convert(args[0], 'real');
+            return number === null ? null : new Date(number * multiplier);
+        };
+    }
+
+    function roundTo(value, step) {
+        if (isDate(value)) {
+            const span = isTimespan(step) ? step.milliseconds : Number(step);
+            return span > 0 ? new Date(Math.floor(value.getTime() / span) * span) : null;
+        }
+        if (isTimespan(value)) {
+            const span = isTimespan(step) ? step.milliseconds : Number(step);
+            return span > 0 ? new Timespan(Math.floor(value.milliseconds / span) * span) : null;
+        }
+        if (typeof value !== 'number' || typeof step !== 'number' || step <= 0) {
+            return null;
+        }
+        return Math.floor(value / step) * step;
+    }
+
+    const DATETIME_PARTS = {
+        year: date => date.getUTCFullYear(),
+        quarter: date => Math.floor(date.getUTCMonth() / 3) + 1,
+        month: date => date.getUTCMonth() + 1,
+        day: date => date.getUTCDate(),
+        dayofyear: date => Math.floor((date.getTime() - Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000) + 1,
+        hour: date => date.getUTCHours(),
+        minute: date => date.getUTCMinutes(),
+        second: date => date.getUTCSeconds(),
+        millisecond: date => date.getUTCMilliseconds()
+    };
+
+    const DATETIME_UNITS_MS = {
+        week: 604800000, day: 86400000, hour: 3600000, minute: 60000, second: 1000, millisecond: 1
+    };
+
+    function addToDatetime(unit, amount, date) {
+        const result = new Date(date.getTime());
+        switch (unit) {
+            case 'year':
+                result.setUTCFullYear(result.getUTCFullYear() + amount);
+                return result;
+            case 'quarter':
+                result.setUTCMonth(result.getUTCMonth() + amount * 3);
+                return result;
+            case 'month':
+                result.setUTCMonth(result.getUTCMonth() + amount);
+                return result;
+            default:
+                return DATETIME_UNITS_MS[unit] ? new Date(date.getTime() + amount * DATETIME_UNITS_MS[unit]) : null;
+        }
+    }
+
+    function formatDatetimeWith(date, format) {
+        const tokens = {
+            yyyy: pad(date.getUTCFullYear(), 4),
+            yy: pad(date.getUTCFullYear() % 100, 2),
+            MM: pad(date.getUTCMonth() + 1, 2),
+            M: String(date.getUTCMonth() + 1),
+            dd: pad(date.getUTCDate(), 2),
+            d: String(date.getUTCDate()),
+            HH: pad(date.getUTCHours(), 2),
+            H: String(date.getUTCHours()),
+            hh: pad(date.getUTCHours() % 12 || 12, 2),
+            h: String(date.getUTCHours() % 12 || 12),
+            mm: pad(date.getUTCMinutes(), 2),
+            m: String(date.getUTCMinutes()),
+            ss: pad(date.getUTCSeconds(), 2),
+            s: String(date.getUTCSeconds()),
+            fff: pad(date.getUTCMilliseconds(), 3),
+            ff: pad(Math.floor(date.getUTCMilliseconds() / 10), 2),
+            f: String(Math.floor(date.getUTCMilliseconds() / 100)),
+            tt: date.getUTCHours() < 12 ? 'AM' : 'PM'
+        };
+        return format.replace(/yyyy|yy|MM|M|dd|d|HH|H|hh|h|mm|m|ss|s|fff|ff|f|tt/g, token => tokens[token]);
+    }
+
+    /**
+     * Scalar functions: name -> function(args, context)
+     * Arguments are evaluated before the call, except for the functions in LAZY_FUNCTIONS.
+     */
+    const FUNCTIONS = {
+        // Conversions
+        tostring: args => args[0] === null || args[0] === undefined ? '' : toStringValue(args[0]),
+        toint: args => convert(args[0], 'int'),
+        tolong: args => convert(args[0], 'long'),
+        toreal: args => convert(args[0], 'real'),
+        todouble: args => convert(args[0], 'real'),
+        todecimal: args => convert(args[0], 'decimal'),
+        tobool: args => convert(args[0], 'bool'),
+        toboolean: args => convert(args[0], 'bool'),
+        todatetime: args => convert(args[0], 'datetime'),
+        totimespan: args => convert(args[0], 'timespan'),
+        toguid: args => convert(args[0], 'guid'),
+        todynamic: args => convert(args[0], 'dynamic'),
+        toobject: args => convert(args[0], 'dynamic'),
+        parse_json: args => convert(args[0], 'dynamic'),
+        parsejson: args => convert(args[0], 'dynamic'),
+        dynamic_to_json: args => JSON.stringify(toJsonValue(args[0])),
+        gettype: args => {
+            const value = args[0];
+            if (value === null || value === undefined) return 'null';
+            if (typeof value === 'string') return 'string';
+            if (typeof value === 'boolean') return 'bool';
+            if (typeof value === 'number') return Number.isInteger(value) ? 'long' : 'real';
+            if (isDate(value)) return 'datetime';
+            if (isTimespan(value)) return 'timespan';
+            return Array.isArray(value) ? 'array' : 'dictionary';
+        },
+
+        // Strings
+        strcat: args => args.map(stringArgument).join(''),
+        strcat_delim: args => args.slice(1).map(stringArgument).join(stringArgument(args[0])),
+        strcat_array: args => Array.isArray(args[0]) ? args[0].map(stringArgument).join(stringArgument(args[1])) : null,
+        strlen: args => Array.from(stringArgument(args[0])).length,
+        substring: args => {
+            const text = stringArgument(args[0]);
+            const start = Math.max(0, convert(args[1], 'long') || 0);
+            return args.length > 2 && args[2] !== null ? text.substr(start, Math.max(0, convert(args[2], 'long'))) : text.substr(start);
+        },
+        tolower: args => stringArgument(args[0]).toLowerCase(),
+        toupper: args => stringArgument(args[0]).toUpperCase(),
+        trim: args => stringArgument(args[1]).replace(new RegExp(`^(?:${args[0]})+|(?:${args[0]})+$`, 'g'), ''),
+        trim_start: args => stringArgument(args[1]).replace(new RegExp(`^(?:${args[0]})+`), ''),
+        trim_end: args => stringArgument(args[1]).replace(new RegExp(`(?:${args[0]})+$`), ''),
+        replace_string: args => stringArgument(args[0]).split(stringArgument(args[1])).join(stringArgument(args[2])),
+        replace_strings: args => {
+            let text = stringArgument(args[0]);
+            (args[1] || []).forEach((lookup, index) => {
+                text = text.split(stringArgument(lookup)).join(stringArgument((args[2] || [])[index]));
+            });
+            return text;
+        },
+        replace_regex: args => stringArgument(args[0]).replace(new RegExp(String(args[1]), 'g'), stringArgument(args[2]).replace(/\\(\d)/g, '$$$1')),
+        replace: args => stringArgument(args[2]).replace(new RegExp(String(args[0]), 'g'), stringArgument(args[1]).replace(/\\(\d)/g, '$$$1')),
+        reverse: args => Array.from(stringArgument(args[0])).reverse().join(''),
+        split: args => {
+            const parts = stringArgument(args[0]).split(stringArgument(args[1]));
+            if (args.length > 2 && args[2] !== null) {
+                const index = convert(args[2], 'long');
+                return index !== null && index >= 0 && index < parts.length ? [parts[index]] : [];
+            }
+            return parts;
+        },
+        indexof: args => {
+            const text = stringArgument(args[0]);
+            const start = args.length > 2 ? convert(args[2], 'long') || 0 : 0;
+            return text.indexOf(stringArgument(args[1]), start);
+        },
+        countof: args => {
+            const text = stringArgument(args[0]);
+            const search = stringArgument(args[1]);
+            if (args[2] === 'regex') return (text.match(new RegExp(search, 'g')) || []).length;
+            return search === '' ? 0 : text.split(search).length - 1;
+        },
+        extract: args => {
+            const match = regexFrom(args[0]).exec(stringArgument(args[2]));
+            const group = convert(args[1], 'long');
+            const value = match && match[group] !== undefined ? match[group] : null;
+            if (args.length > 3) {
+                return value === null ? null : convert(value, args[3]);
+            }
+            return value === null ? '' : value;
+        },
+        extract_all: args => {
+            const regex = new RegExp(String(args[0]), 'g');
+            const text = stringArgument(args[args.length - 1]);
+            const matches = [];
+            let match;
+            while ((match = regex.exec(text)) !== null) {
+                matches.push(match.length > 2 ? match.slice(1) : (match[1] !== undefined ? match[1] : match[0]));
+                if (match[0] === '') regex.lastIndex++;
+            }
+            return matches.length > 0 ? matches : null;
+        },
+        extract_json: args => {
+            const value = jsonPath(convert(args[1], 'dynamic'), stringArgument(args[0]));
+            return args.length > 2 ? convert(value, args[2]) : (value === null ? '' : toStringValue(value));
+        },
+        url_decode: args => {
+            try {
+                return decodeURIComponent(stringArgument(args[0]).replace(/\+/g, ' '));
+            } catch (error) {
+                return null;
+            }
+        },
+        url_encode: args => encodeURIComponent(stringArgument(args[0])),
+        url_encode_component: args => encodeURIComponent(stringArgument(args[0])),
+        base64_encode_tostring: args => encodeBase64(stringArgument(args[0])),
+        base64_decode_tostring: args => decodeBase64(stringArgument(args[0])),
+        isempty: args => isEmptyValue(args[0]),
+        isnotempty: args => !isEmptyValue(args[0]),
+        isnull: args => args[0] === null || args[0] === undefined,
+        isnotnull: args => args[0] !== null && args[0] !== undefined,
+        isascii: args => /^[\x00-\x7F]*$/.test(stringArgument(args[0])),
+        tohex: args => {
+            const number = convert(args[0], 'long');
+            return number === null ? null : (number >>> 0).toString(16);
+        },
+        parse_url: args => parseUrl(stringArgument(args[0])),
+        parse_path: args => parsePath(stringArgument(args[0])),
+        parse_csv: args => stringArgument(args[0]).split(','),
+
+        // Datetime
+        now: (args, context) => args.length > 0 && isTimespan(args[0])
+            ? new Date(context.now.getTime() + args[0].milliseconds)
+            : new Date(context.now.getTime()),
+        ago: (args, context) => isTimespan(args[0]) ? new Date(context.now.getTime() - args[0].milliseconds) : null,
+        startofday: startOf('day'),
+        startofweek: startOf('week'),
+        startofmonth: startOf('month'),
+        startofyear: startOf('year'),
+        datetime_add: args => {
+            const date = convert(args[2], 'datetime');
+            const amount = convert(args[1], 'long');
+            return date && amount !== null ? addToDatetime(String(args[0]).toLowerCase(), amount, date) : null;
+        },
+        datetime_part: args => {
+            const date = convert(args[1], 'datetime');
+            const part = DATETIME_PARTS[String(args[0]).toLowerCase()];
+            return date && part ? part(date) : null;
+        },
+        datetime_diff: args => {
+            const unit = String(args[0]).toLowerCase();
+            const first = convert(args[1], 'datetime');
+            const second = convert(args[2], 'datetime');
+            if (!first || !second) return null;
+            if (unit === 'year') return first.getUTCFullYear() - second.getUTCFullYear();
+            if (unit === 'month') return (first.getUTCFullYear() - second.getUTCFullYear()) * 12 + first.getUTCMonth() - second.getUTCMonth();
+            return DATETIME_UNITS_MS[unit] ? Math.floor(first.getTime() / DATETIME_UNITS_MS[unit]) - Math.floor(second.getTime() / DATETIME_UNITS_MS[unit]) : null;
+        },
+        format_datetime: args => {
+            const date = convert(args[0], 'datetime');
+            return date ? formatDatetimeWith(date, stringArgument(args[1])) : '';
+        },
+        getyear: args => { const date = convert(args[0], 'datetime'); return date ? date.getUTCFullYear() : null; },
+        getmonth: args => { const date = convert(args[0], 'datetime'); return date ? date.getUTCMonth() + 1 : null; },
+        monthofyear: args => { const date = convert(args[0], 'datetime'); return date ? date.getUTCMonth() + 1 : null; },
+        dayofmonth: args => { const date = convert(args[0], 'datetime'); return date ? date.getUTCDate() : null; },
+        hourofday: args => { const date = convert(args[0], 'datetime'); return date ? date.getUTCHours() : null; },
+        dayofweek: args => { const date = convert(args[0], 'datetime'); return date ? new Timespan(date.getUTCDay() * 86400000) : null; },
+        unixtime_seconds_todatetime: fromUnixTime(1000),
+        unixtime_milliseconds_todatetime: fromUnixTime(1),
+        unixtime_microseconds_todatetime: fromUnixTime(0.001),
+        unixtime_nanoseconds_todatetime: fromUnixTime(0.000001),
+        make_datetime: args => {
+            const parts = args.map(arg => convert(arg, 'real'));
+            if (parts.some(part => part === null)) return null;
+            const seconds = parts[5] || 0;
+            return new Date(Date.UTC(parts[0], (parts[1] || 1) - 1, parts[2] || 1, parts[3] || 0, parts[4] || 0, Math.floor(seconds), (seconds % 1) * 1000));
+        },
+        make_timespan: args => {
+            const parts = args.map(arg => convert(arg, 'real'));
+            if (parts.some(part => part === null)) return null;
+            if (parts.length === 2) return new Timespan(parts[0] * 3600000 + parts[1] * 60000);
+            if (parts.length === 3) return new Timespan(parts[0] * 3600000 + parts[1] * 60000 + parts[2] * 1000);
+            return new Timespan(parts[0] * 86400000 + parts[1] * 3600000 + parts[2] * 60000 + parts[3] * 1000);
+        },
+
+        // Math
+        abs: args => isTimespan(args[0]) ? new Timespan(Math.abs(args[0].milliseconds)) : (typeof args[0] === 'number' ? Math.abs(args[0]) : null),
+        bin: args => roundTo(args[0], args[1]),
+        floor: args => roundTo(args[0], args[1]),
+        bin_at: args => {
+            const fixed = args[2];
+            if (isDate(args[0]) && isDate(fixed)) {
+                const span = isTimespan(args[1]) ? args[1].milliseconds : null;
+                return span ? new Date(fixed.getTime() + Math.floor((args[0].getTime() - fixed.getTime()) / span) * span) : null;
+            }
+            return typeof args[0] === 'number' ? fixed + Math.floor((args[0] - fixed) / args[1]) * args[1] : null;
+        },
+        round: args => {
+            if (typeof args[0] !== 'number') return null;
+            const factor = Math.pow(10, args.length > 1 ? convert(args[1], 'long') || 0 : 0);
+            return Math.round(args[0] * factor) / factor;
+        },
+        ceiling: args => typeof args[0] === 'number' ? Math.ceil(args[0]) : null,
+        sqrt: args => typeof args[0] === 'number' ? Math.sqrt(args[0]) : null,
+        pow: args => typeof args[0] === 'number' && typeof args[1] === 'number' ? Math.pow(args[0], args[1]) : null,
+        log: args => typeof args[0] === 'number' ? Math.log(args[0]) : null,
+        log10: args => typeof args[0] === 'number' ? Math.log10(args[0]) : null,
+        log2: args => typeof args[0] === 'number' ? Math.log2(args[0]) : null,
+        exp: args => typeof args[0] === 'number' ? Math.exp(args[0]) : null,
+        sign: args => typeof args[0] === 'number' ? Math.sign(args[0]) : null,
+        min_of: args => pickExtreme(args, -1),
+        max_of: args => pickExtreme(args, 1),
+        isnan: args => typeof args[0] === 'number' && Number.isNaN(args[0]),
+        isfinite: args => typeof args[0] === 'number' && Number.isFinite(args[0]),
+        isinf: args => args[0] === Infinity || args[0] === -Infinity,
+        binary_and: args => Number(BigInt.asIntN(64, BigInt(args[0]) & BigInt(args[1]))),
+        binary_or: args => Number(BigInt.asIntN(64, BigInt(args[0]) | BigInt(args[1]))),
+        binary_xor: args => Number(BigInt.asIntN(64, BigInt(args[0]) ^ BigInt(args[1]))),
+        binary_shift_left: args => Number(BigInt.asIntN(64, BigInt(args[0]) << BigInt(args[1]))),
+        binary_shift_right: args => Number(BigInt.asIntN(64, BigInt(args[0]) >> BigInt(args[1]))),
+
+        // Dynamic
+        array_length: args => Array.isArray(args[0]) ? args[0].length : null,
+        array_concat: args => args.every(Array.isArray) ? [].concat(...args) : null,
+        array_slice: args => {
+            if (!Array.isArray(args[0])) return null;
+            const length = args[0].length;
+            const start = args[1] < 0 ? length + args[1] : args[1];
+            const end = args[2] < 0 ? length + args[2] : args[2];
+            return args[0].slice(start, end + 1);
+        },
+        array_index_of: args => Array.isArray(args[0]) ? args[0].findIndex(item => deepEqual(item, toJsonValue(args[1]))) : null,
+        array_sort_asc: args => Array.isArray(args[0]) ? args[0].slice().sort(compareValues) : null,
+        array_sort_desc: args => Array.isArray(args[0]) ? args[0].slice().sort((a, b) => compareValues(b, a)) : null,
+        array_reverse: args => Array.isArray(args[0]) ? args[0].slice().reverse() : null,
+        pack_array: args => args.map(toJsonValue),
+        pack: args => packPairs(args),
+        bag_pack: args => packPairs(args),
+        pack_dictionary: args => packPairs(args),
+        pack_all: (args, context) => {
+            const bag = {};
+            Object.keys(context.row).forEach(key => {
+                if (!args[0] || context.row[key] !== null) {
+                    bag[key] = toJsonValue(context.row[key]);
+                }
+            });
+            return bag;
+        },
+        bag_keys: args => isDynamicObject(args[0]) && !Array.isArray(args[0]) ? Object.keys(args[0]) : null,
+        bag_has_key: args => isDynamicObject(args[0]) && !Array.isArray(args[0]) && Object.prototype.hasOwnProperty.call(args[0], stringArgument(args[1])),
+        bag_merge: args => Object.assign({}, ...args.slice().reverse().filter(bag => isDynamicObject(bag) && !Array.isArray(bag))),
+        bag_remove_keys: args => {
+            if (!isDynamicObject(args[0]) || Array.isArray(args[0])) return null;
+            const bag = Object.assign({}, args[0]);
+            (args[1] || []).forEach(key => delete bag[key]);
+            return bag;
+        },
+        bag_set_key: args => {
+            if (!isDynamicObject(args[0]) || Array.isArray(args[0])) return null;
+            return Object.assign({}, args[0], { [stringArgument(args[1])]: toJsonValue(args[2]) });
+        },
+        set_has_element: args => Array.isArray(args[0]) && args[0].some(item => deepEqual(item, toJsonValue(args[1]))),
+        zip: args => {
+            const arrays = args.filter(Array.isArray);
+            const length = Math.max(0, ...arrays.map(array => array.length));
+            return Array.from({ length: length }, (item, index) => arrays.map(array => index < array.length ? array[index] : null));
+        },
+        column_ifexists: (args, context, call) => {
+            const name = call.args[0].kind === 'Literal' ? call.args[0].value : null;
+            return name !== null && Object.prototype.hasOwnProperty.call(context.row, name) ? context.row[name] : args[1];
+        },
+
+        // Identifiers
+        new_guid: () => 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+            const random = Math.floor(Math.random() * 16);
+            return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+        })
+    };
+
+    // Functions that decide which of their arguments to evaluate
+    const LAZY_FUNCTIONS = {
+        iff: evaluateConditional,
+        iif: evaluateConditional,
+        case: (call, scope) => {
+            const args = call.args;
+            for (let i = 0; i + 1 < args.length; i += 2) {
+                if (evaluate(args[i], scope) === true) {
+                    return evaluate(args[i + 1], scope);
+                }
+            }
+            return args.length % 2 === 1 ? evaluate(args[args.length - 1], scope) : null;
+        },
+        coalesce: (call, scope) => {
+            for (const arg of call.args) {
+                const value = evaluate(arg, scope);
+                if (!isEmptyValue(value) || (typeof value === 'string' && call.args.length === 1)) {
+                    return value;
+                }
+            }
+            return null;
+        }
+    };
+
+    // Functions whose result changes from run to run
+    const VOLATILE_FUNCTIONS = ['now', 'ago', 'new_guid', 'rand'];
+
+    function evaluateConditional(call, scope) {
+        return evaluate(call.args[0], scope) === true ? evaluate(call.args[1], scope) : evaluate(call.args[2], scope);
+    }
+
+    function pickExtreme(values, direction) {
+        const candidates = values.filter(value => value !== null && value !== undefined);
+        if (candidates.length === 0) return null;
+        return candidates.reduce((best, value) => compareValues(value, best) * direction > 0 ? value : best);
+    }
+
+    function packPairs(args) {
+        const bag = {};
+        for (let i = 0; i + 1 < args.length; i += 2) {
+            bag[stringArgument(args[i])] = toJsonValue(args[i + 1]);
+        }
+        return bag;
+    }
+
+    function jsonPath(value, path) {
+        const steps = path.replace(/^\$/, '').match(/\.[^.[\]]+|\[\s*(?:'[^']*'|"[^"]*"|\d+)\s*\]/g) || [];
+        let current = value;
+        for (const step of steps) {
+            if (current === null || typeof current !== 'object') return null;
+            const key = step.startsWith('.') ? step.slice(1) : step.slice(1, -1).trim().replace(/^['"]|['"]$/g, '');
+            current = current[key];
+            if (current === undefined) return null;
+        }
+        return current;
+    }
+
+    function parseUrl(text) {
+        const match = /^([a-z][a-z0-9+.-]*):\/\/(?:([^:@/]*)(?::([^@/]*))?@)?([^:/?#]*)(?::(\d+))?([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/i.exec(text);
+        if (!match) return {};
+        const args = {};
+        (match[7] || '').split('&').filter(Boolean).forEach(pair => {
+            const [key, value] = pair.split('=');
+            args[key] = value === undefined ? '' : value;
+        });
+        return {
+            Scheme: match[1], Host: match[4], Port: match[5] || '', Path: match[6] || '',
+            Username: match[2] || '', Password: match[3] || '', 'Query Parameters': args, Fragment: match[8] || ''
+        };
+    }
+
+    function parsePath(text) {
+        const separator = text.includes('\\') ? '\\' : '/';
+        const index = text.lastIndexOf(separator);
+        const filename = index === -1 ? text : text.slice(index + 1);
+        const dot = filename.lastIndexOf('.');
+        return {
+            Scheme: '', RootPath: '', DirectoryPath: index === -1 ? '' : text.slice(0, index),
+            DirectoryName: index === -1 ? '' : text.slice(0, index).split(separator).pop(),
+            Filename: filename, Extension: dot === -1 ? '' : filename.slice(dot + 1), AlternateDataStreamName: ''
+        };
+    }
+
+    function encodeBase64(text) {
+        if (typeof Buffer !== 'undefined') {
+            return Buffer.from(text, 'utf8').toString('base64');
+        }
+        return btoa(unescape(encodeURIComponent(text)));
+    }
+
+    function decodeBase64(text) {
+        try {
+            if (typeof Buffer !== 'undefined') {
+                return Buffer.from(text, 'base64').toString('utf8');
+            }
+            return decodeURIComponent(escape(atob(text)));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // ===== OPERATORS =====
+
+    function compareValues(left, right) {
+        if (isDate(left) && isDate(right)) return left.getTime() - right.getTime();
+        if (isTimespan(left) && isTimespan(right)) return left.milliseconds - right.milliseconds;
+        if (typeof left === 'number' && typeof right === 'number') return left - right;
+        const a = toStringValue(left);
+        const b = toStringValue(right);
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    function deepEqual(left, right) {
+        return JSON.stringify(toJsonValue(left)) === JSON.stringify(toJsonValue(right));
+    }
+
+    function valuesEqual(left, right) {
+        if (left === null || left === undefined || right === null || right === undefined) {
+            return false;
+        }
+        if (isDate(left) || isDate(right) || isTimespan(left) || isTimespan(right)) {
+            return compareValues(left, right) === 0;
+        }
+        if (typeof left === 'object' || typeof right === 'object') {
+            return deepEqual(left, right);
+        }
+        return left === right;
+    }
+
+    // Whole-term matching for has / has_cs
+    function hasTerm(text, term, caseSensitive) {
+        const haystack = caseSensitive ? text : text.toLowerCase();
+        const needle = caseSensitive ? term : term.toLowerCase();
+        if (needle === '') return true;
+        let index = haystack.indexOf(needle);
+        while (index !== -1) {
+            const before = index === 0 ? '' : haystack[index - 1];
+            const after = haystack[index + needle.length] || '';
+            if (!/[A-Za-z0-9_]/.test(before) && !/[A-Za-z0-9_]/.test(after)) {
+                return true;
+            }
+            index = haystack.indexOf(needle, index + 1);
+        }
+        return false;
+    }
+
+    const STRING_PREDICATES = {
+        'contains': (a, b) => a.toLowerCase().includes(b.toLowerCase()),
+        'contains_cs': (a, b) => a.includes(b),
+        'has': (a, b) => hasTerm(a, b, false),
+        'has_cs': (a, b) => hasTerm(a, b, true),
+        'hasprefix': (a, b) => a.toLowerCase().split(/[^a-z0-9_]+/).some(term => term.startsWith(b.toLowerCase())),
+        'hasprefix_cs': (a, b) => a.split(/[^A-Za-z0-9_]+/).some(term => term.startsWith(b)),
+        'hassuffix': (a, b) => a.toLowerCase().split(/[^a-z0-9_]+/).some(term => term.endsWith(b.toLowerCase())),
+        'hassuffix_cs': (a, b) => a.split(/[^A-Za-z0-9_]+/).some(term => term.endsWith(b)),
+        'startswith': (a, b) => a.toLowerCase().startsWith(b.toLowerCase()),
+        'startswith_cs': (a, b) => a.startsWith(b),
+        'endswith': (a, b) => a.toLowerCase().endsWith(b.toLowerCase()),
+        'endswith_cs': (a, b) => a.endsWith(b),
+        '=~': (a, b) => a.toLowerCase() === b.toLowerCase(),
+        '!~': (a, b) => a.toLowerCase() !== b.toLowerCase(),
+        'matches regex': (a, b) => new RegExp(b).test(a)
+    };
+
+    function evaluateBinary(node, scope) {
+        const operator = node.operator;
+
+        if (operator === 'and') {
+            const left = evaluate(node.left, scope);
+            if (left === false) return false;
+            const right = evaluate(node.right, scope);
+            return left === null || right === null ? (right === false ? false : null) : left && right;
+        }
+        if (operator === 'or') {
+            const left = evaluate(node.left, scope);
+            if (left === true) return true;
+            const right = evaluate(node.right, scope);
+            return left === null || right === null ? (right === true ? true : null) : left || right;
+        }
+
+        const left = evaluate(node.left, scope);
+        const right = evaluate(node.right, scope);
+
+        const negated = operator.startsWith('!') && operator !== '!=' && operator !== '!~';
+        const predicateName = negated ? operator.slice(1) : operator;
+        if (STRING_PREDICATES[predicateName]) {
+            const result = STRING_PREDICATES[predicateName](toStringValue(left), toStringValue(right));
+            return negated ? !result : result;
+        }
+
+        switch (operator) {
+            case '==':
+                return left === null || right === null ? null : valuesEqual(left, right);
+            case '!=':
+            case '<>':
+                return left === null || right === null ? null : !valuesEqual(left, right);
+            case '<':
+                return left === null || right === null ? null : compareValues(left, right) < 0;
+            case '<=':
+                return left === null || right === null ? null : compareValues(left, right) <= 0;
+            case '>':
+                return left === null || right === null ? null : compareValues(left, right) > 0;
+            case '>=':
+                return left === null || right === null ? null : compareValues(left, right) >= 0;
+            case '+':
+            case '-':
+            case '*':
+            case '/':
+            case '%':
+                return evaluateArithmetic(operator, left, right, node);
+            default:
+                throw unsupported(`Operator '${operator}' is not supported by the local interpreter`, node);
+        }
+    }
+
+    function isRealExpression(node) {
+        return (node.kind === 'Literal' && (node.type === 'real' || node.type === 'decimal')) ||
+            (node.kind === 'Call' && ['toreal', 'todouble', 'todecimal'].includes(node.name));
+    }
+
+    function evaluateArithmetic(operator, left, right, node) {
+        if (left === null || right === null || left === undefined || right === undefined) {
+            return null;
+        }
+
+        if (isDate(left) && isTimespan(right)) {
+            return new Date(left.getTime() + (operator === '-' ? -right.milliseconds : right.milliseconds));
+        }
+        if (isTimespan(left) && isDate(right) && operator === '+') {
+            return new Date(right.getTime() + left.milliseconds);
+        }
+        if (isDate(left) && isDate(right) && operator === '-') {
+            return new Timespan(left.getTime() - right.getTime());
+        }
+        if (isTimespan(left) && isTimespan(right)) {
+            if (operator === '+') return new Timespan(left.milliseconds + right.milliseconds);
+            if (operator === '-') return new Timespan(left.milliseconds - right.milliseconds);
+            if (operator === '/') return left.milliseconds / right.milliseconds;
+        }
+        if (isTimespan(left) && typeof right === 'number') {
+            if (operator === '*') return new Timespan(left.milliseconds * right);
+            if (operator === '/') return new Timespan(left.milliseconds / right);
+        }
+        if (typeof left === 'number' && isTimespan(right) && operator === '*') {
+            return new Timespan(left * right.milliseconds);
+        }
+
+        if (typeof left !== 'number' || typeof right !== 'number') {
+            return null;
+        }
+
+        // Integer arithmetic stays integral, as with KQL long values
+        const integral = Number.isInteger(left) && Number.isInteger(right) && !isRealExpression(node.left) && !isRealExpression(node.right);
+        switch (operator) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/':
+                if (integral) return right === 0 ? null : Math.trunc(left / right);
+                return left / right;
+            case '%':
+                return right === 0 ? null : left % right;
+            default:
+                return null;
+        }
+    }
+
+    // ===== EXPRESSIONS =====
+
+    function evaluate(node, scope) {
+        switch (node.kind) {
+            case 'Literal':
+                return evaluateLiteral(node);
+            case 'Identifier':
+                return scope.lookup(node.name, node);
+            case 'Paren':
+                return evaluate(node.expression, scope);
+            case 'Member': {
+                const object = evaluate(node.object, scope);
+                return isDynamicObject(object) && !Array.isArray(object) && object[node.name] !== undefined ? object[node.name] : null;
+            }
+            case 'Index': {
+                const object = evaluate(node.object, scope);
+                const key = evaluate(node.index, scope);
+                if (Array.isArray(object) && typeof key === 'number') {
+                    const index = key < 0 ? object.length + key : key;
+                    return object[index] !== undefined ? object[index] : null;
+                }
+                if (isDynamicObject(object) && !Array.isArray(object) && key !== null) {
+                    const value = object[toStringValue(key)];
+                    return value !== undefined ? value : null;
+                }
+                return null;
+            }
+            case 'Unary': {
+                const operand = evaluate(node.operand, scope);
+                if (node.operator === 'not' || node.operator === '!') {
+                    return operand === null ? null : !operand;
+                }
+                if (node.operator === '-') {
+                    if (isTimespan(operand)) return new Timespan(-operand.milliseconds);
+                    return typeof operand === 'number' ? -operand : null;
+                }
+                return operand;
+            }
+            case 'Binary':
+                return evaluateBinary(node, scope);
+            case 'In': {
+                const value = evaluate(node.left, scope);
+                const candidates = [];
+                node.values.forEach(item => {
+                    const evaluated = evaluate(item, scope);
+                    if (Array.isArray(evaluated)) {
+                        candidates.push(...evaluated);
+                    } else {
+                        candidates.push(evaluated);
+                    }
+                });
+                return evaluateIn(node.operator, value, candidates);
+            }
+            case 'Between': {
+                const value = evaluate(node.left, scope);
+                const low = evaluate(node.low, scope);
+                const high = evaluate(node.high, scope);
+                if (value === null || low === null || high === null) return null;
+                const inside = compareValues(value, low) >= 0 && compareValues(value, high) <= 0;
+                return node.operator.startsWith('!') ? !inside : inside;
+            }
+            case 'Call':
+                return evaluateCall(node, scope);
+            case 'TypeOf':
+                return node.type;
+            default:
+                throw unsupported(`Expression '${node.kind}' is not supported by the local interpreter`, node);
+        }
+    }
+
+    function evaluateIn(operator, value, candidates) {
+        switch (operator) {
+            case 'in':
+                return candidates.some(candidate => valuesEqual(value, candidate));
+            case '!in':
+                return !candidates.some(candidate => valuesEqual(value, candidate));
+            case 'in~':
+                return candidates.some(candidate => toStringValue(value).toLowerCase() === toStringValue(candidate).toLowerCase());
+            case '!in~':
+                return !candidates.some(candidate => toStringValue(value).toLowerCase() === toStringValue(candidate).toLowerCase());
+            case 'has_any':
+                return candidates.some(candidate => hasTerm(toStringValue(value), toStringValue(candidate), false));
+            case 'has_all':
+                return candidates.every(candidate => hasTerm(toStringValue(value), toStringValue(candidate), false));
+            default:
+                return null;
+        }
+    }
+
+    function evaluateLiteral(node) {
+        if (node.value === null) {
+            return null;
+        }
+        switch (node.type) {
+            case 'datetime':
+                return parseDatetime(String(node.value));
+            case 'timespan':
+                return parseTimespan(String(node.value));
+            case 'guid':
+                return convert(node.value, 'guid');
+            case 'long':
+            case 'int':
+            case 'real':
+            case 'decimal':
+                return typeof node.value === 'number' ? node.value : convert(node.value, 'real');
+            default:
+                return node.value;
+        }
+    }
+
+    function evaluateCall(call, scope) {
+        if (LAZY_FUNCTIONS[call.name]) {
+            return LAZY_FUNCTIONS[call.name](call, scope);
+        }
+        const implementation = FUNCTIONS[call.name];
+        if (!implementation) {
+            throw unsupported(`Function '${call.name}()' is not supported by the local interpreter`, call);
+        }
+        // column_ifexists() must not fail on the missing column it guards against
+        const args = call.name === 'column_ifexists'
+            ? [null, evaluate(call.args[1], scope)]
+            : call.args.map(arg => evaluate(arg, scope));
+        return implementation(args, scope.context, call);
+    }
+
+    function isVolatileExpression(node, volatileColumns) {
+        let volatile = false;
+        kqlParser.walk(node, child => {
+            if ((child.kind === 'Call' && VOLATILE_FUNCTIONS.includes(child.name)) ||
+                (child.kind === 'Identifier' && volatileColumns[child.name])) {
+                volatile = true;
+                return false;
+            }
+            return !volatile;
+        });
+        return volatile;
+    }
+
+    // ===== TABULAR OPERATORS =====
+
+    /**
+     * Scope for expressions: the current row's columns, then `let` scalars
+     */
+    function createRowScope(row, context) {
+        return {
+            context: Object.assign({}, context, { row: row }),
+            lookup: (name, node) => {
+                if (Object.prototype.hasOwnProperty.call(row, name)) {
+                    return row[name];
+                }
+                if (Object.prototype.hasOwnProperty.call(context.scalars, name)) {
+                    return context.scalars[name];
+                }
+                if (name === '$executionContextProperties') {
+                    return context.executionContextProperties;
+                }
+                throw createError('runtime', `Failed to resolve column or scalar '${name}'`, node);
+            }
+        };
+    }
+
+    function getOutputName(assignment, index) {
+        if (assignment.names.length === 1) {
+            return assignment.names[0].name;
+        }
+        const expression = assignment.expression;
+        if (expression.kind === 'Identifier') {
+            return expression.name;
+        }
+        if (expression.kind === 'Member') {
+            const base = expression.object.kind === 'Identifier' ? expression.object.name : null;
+            return base ? `${base}_${expression.name}` : `Column${index + 1}`;
+        }
+        if (expression.kind === 'Index' && expression.index.kind === 'Literal' && expression.object.kind === 'Identifier') {
+            return `${expression.object.name}_${expression.index.value}`;
+        }
+        return `Column${index + 1}`;
+    }
+
+    function markVolatile(context, name, expression) {
+        if (isVolatileExpression(expression, context.volatileColumns)) {
+            context.volatileColumns[name] = true;
+        } else {
+            delete context.volatileColumns[name];
+        }
+    }
+
+    function patternMatcher(pattern) {
+        const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+        return new RegExp(`^${escaped}$`);
+    }
+
+    function applyAssignments(target, assignments, context, baseRow) {
+        assignments.forEach((assignment, index) => {
+            if (assignment.names.length > 1) {
+                throw unsupported('Assigning several columns at once is not supported by the local interpreter', assignment);
+            }
+            const value = evaluate(assignment.expression, createRowScope(Object.assign({}, baseRow || {}, target), context));
+            const name = getOutputName(assignment, index);
+            target[name] = value === undefined ? null : value;
+            markVolatile(context, name, assignment.expression);
+        });
+        return target;
+    }
+
+    function buildParseRegex(operator) {
+        const kind = operator.options && operator.options.kind ? operator.options.kind : 'simple';
+        const flags = operator.options && operator.options.flags ? operator.options.flags.replace(/[^imsU]/g, '').replace('U', '') : '';
+        if (kind === 'regex') {
+            let source = '';
+            operator.pattern.forEach(part => {
+                if (part.kind === 'PatternText') source += part.value;
+                else if (part.kind === 'PatternWildcard') source += '.*?';
+                else source += '(.*?)';
+            });
+            return new RegExp(source, flags);
+        }
+
+        let source = '^';
+        operator.pattern.forEach((part, index) => {
+            const isLast = index === operator.pattern.length - 1;
+            if (part.kind === 'PatternText') {
+                source += part.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            } else if (part.kind === 'PatternWildcard') {
+                source += isLast ? '.*' : '.*?';
+            } else if (part.type === 'int' || part.type === 'long') {
+                source += '([-+]?\\d+)';
+            } else if (part.type === 'real' || part.type === 'decimal') {
+                source += '([-+]?\\d+(?:\\.\\d+)?(?:[eE][-+]?\\d+)?)';
+            } else {
+                source += isLast ? '(.*)' : '(.*?)';
+            }
+        });
+        if (kind === 'simple') {
+            const last = operator.pattern[operator.pattern.length - 1];
+            if (last.kind === 'PatternText') {
+                source += '$';
+            }
+        }
+        return new RegExp(source, flags);
+    }
+
+    function applyParse(rows, operator, context) {
+        const regex = buildParseRegex(operator);
+        const columns = operator.pattern.filter(part => part.kind === 'PatternColumn');
+        const output = [];
+
+        rows.forEach(row => {
+            const text = toStringValue(evaluate(operator.expression, createRowScope(row, context)));
+            const match = regex.exec(text);
+            const next = Object.assign({}, row);
+            let converted = Boolean(match);
+
+            columns.forEach((column, index) => {
+                const raw = match ? match[index + 1] : undefined;
+                let value = raw === undefined ? null : convert(raw, column.type);
+                if (raw !== undefined && value === null && column.type !== 'string') {
+                    converted = false;
+                }
+                if (column.type === 'string' && value === null) {
+                    value = '';
+                }
+                next[column.name] = value;
+            });
+
+            if (operator.name === 'parse-where') {
+                if (converted) {
+                    output.push(next);
+                }
+            } else {
+                output.push(next);
+            }
+        });
+
+        columns.forEach(column => {
+            delete context.volatileColumns[column.name];
+        });
+        return output;
+    }
+
+    function applyOperator(rows, operator, context) {
+        switch (operator.name) {
+            case 'where':
+            case 'filter':
+                return rows.filter(row => evaluate(operator.predicate, createRowScope(row, context)) === true);
+
+            case 'extend':
+                return rows.map(row => applyAssignments(Object.assign({}, row), operator.columns, context));
+
+            case 'project':
+                return rows.map(row => applyAssignments({}, operator.columns, context, row));
+
+            case 'project-away':
+                return rows.map(row => {
+                    const matchers = operator.columns.map(pattern => patternMatcher(pattern.pattern));
+                    const next = {};
+                    Object.keys(row).forEach(key => {
+                        if (!matchers.some(matcher => matcher.test(key))) {
+                            next[key] = row[key];
+                        }
+                    });
+                    return next;
+                });
+
+            case 'project-keep':
+                return rows.map(row => {
+                    const matchers = operator.columns.map(pattern => patternMatcher(pattern.pattern));
+                    const next = {};
+                    Object.keys(row).forEach(key => {
+                        if (matchers.some(matcher => matcher.test(key))) {
+                            next[key] = row[key];
+                        }
+                    });
+                    return next;
+                });
+
+            case 'project-rename':
+                return rows.map(row => {
+                    const next = {};
+                    const renames = {};
+                    operator.columns.forEach(assignment => {
+                        renames[assignment.expression.name] = assignment.names[0].name;
+                        if (context.volatileColumns[assignment.expression.name]) {
+                            context.volatileColumns[assignment.names[0].name] = true;
+                        }
+                    });
+                    Object.keys(row).forEach(key => {
+                        next[renames[key] || key] = row[key];
+                    });
+                    return next;
+                });
+
+            case 'project-reorder':
+                return rows.map(row => {
+                    const next = {};
+                    operator.columns.forEach(pattern => {
+                        const matcher = patternMatcher(pattern.pattern);
+                        Object.keys(row).filter(key => matcher.test(key)).forEach(key => {
+                            next[key] = row[key];
+                        });
+                    });
+                    return Object.assign(next, row);
+                });
+
+            case 'parse':
+            case 'parse-where':
+                return applyParse(rows, operator, context);
+
+            default:
+                throw unsupported(`The '${operator.name}' operator is not supported by the local interpreter`, operator);
+        }
+    }
+
+    function evaluateTabular(node, context) {
+        if (node.kind === 'Pipeline') {
+            let rows = evaluateTabular(node.source, context);
+            node.operators.forEach(operator => {
+                rows = applyOperator(rows, operator, context);
+            });
+            return rows;
+        }
+        if (node.kind === 'Paren') {
+            return evaluateTabular(node.expression, context);
+        }
+        if (node.kind === 'Identifier') {
+            if (node.name === context.sourceName) {
+                return context.input.map(row => Object.assign({}, row));
+            }
+            if (context.tables[node.name]) {
+                return context.tables[node.name].map(row => Object.assign({}, row));
+            }
+            throw createError('runtime', `Failed to resolve table '${node.name}'`, node);
+        }
+        if (node.kind === 'Operator' && node.name === 'datatable') {
+            const names = node.schema.map(column => column.name);
+            const rows = [];
+            for (let i = 0; i + names.length <= node.values.length; i += names.length) {
+                const row = {};
+                names.forEach((name, index) => {
+                    row[name] = convert(evaluate(node.values[i + index], createRowScope({}, context)), node.schema[index].type);
+                });
+                rows.push(row);
+            }
+            return rows;
+        }
+        if (node.kind === 'Operator' && node.name === 'print') {
+            return [applyAssignments({}, node.columns.map((column, index) => column.names.length > 0 ? column : Object.assign({}, column, {
+                names: [{ name: `print_${index}` }]
+            })), context)];
+        }
+        throw unsupported('Only `source` pipelines are supported by the local interpreter', node);
+    }
+
+    // ===== PUBLIC API =====
+
+    /**
+     * Type the raw JSON records of a sample input file with the table's `input`
+     * declarations, as the ingestion pipeline does before the transformation runs
+     *
+     * @param {Object[]} records - Sample input records
+     * @param {Object[]} inputColumns - [{ name, type }] (manifest types: String, Long, DateTime, ...)
+     * @param {Function} toKqlType - Maps a manifest type to a KQL type
+     */
+    function typeInputRecords(records, inputColumns, toKqlType) {
+        if (!Array.isArray(inputColumns) || inputColumns.length === 0) {
+            return records.map(record => Object.assign({}, record));
+        }
+        return records.map(record => {
+            const row = {};
+            inputColumns.forEach(input => {
+                if (!input || typeof input.name !== 'string') {
+                    return;
+                }
+                const type = toKqlType(input.type) || 'dynamic';
+                const value = record && Object.prototype.hasOwnProperty.call(record, input.name) ? record[input.name] : null;
+                row[input.name] = type === 'dynamic' ? toJsonValue(value === undefined ? null : value) : convert(value, type);
+            });
+            return row;
+        });
+    }
+
+    /**
+     * Run a transformation over input rows
+     *
+     * options.sourceName                  - input table name (default 'source')
+     * options.now                         - Date used by now()/ago() (default: current time)
+     * options.executionContextProperties  - value of $executionContextProperties
+     *
+     * Returns { rows, volatileColumns } where volatileColumns lists output columns
+     * computed from now(), ago(), new_guid() or rand(). Throws an error with
+     * code 'unsupported' or 'runtime' (and start/end offsets) when it cannot run.
+     */
+    function run(astOrText, inputRows, options = {}) {
+        let ast = astOrText;
+        if (typeof astOrText === 'string') {
+            const parsed = kqlParser.parse(astOrText);
+            if (parsed.errors.length > 0) {
+                throw createError('syntax', parsed.errors[0].message, parsed.errors[0]);
+            }
+            ast = parsed.ast;
+        }
+
+        const context = {
+            sourceName: options.sourceName || 'source',
+            input: Array.isArray(inputRows) ? inputRows : [],
+            now: options.now instanceof Date ? options.now : new Date(),
+            executionContextProperties: options.executionContextProperties || {},
+            scalars: {},
+            tables: {},
+            volatileColumns: {},
+            row: {}
+        };
+
+        let result = null;
+        (ast.statements || []).forEach(statement => {
+            if (statement.kind === 'Let') {
+                const value = statement.value;
+                if (value.kind === 'FunctionDefinition') {
+                    throw unsupported('User-defined functions are not supported by the local interpreter', statement);
+                }
+                if (value.kind === 'Pipeline' || value.kind === 'Operator') {
+                    context.tables[statement.name.name] = evaluateTabular(value, context);
+                } else {
+                    context.scalars[statement.name.name] = evaluate(value, createRowScope({}, context));
+                }
+            } else if (statement.kind !== 'Directive') {
+                result = statement;
+            }
+        });
+
+        if (!result) {
+            throw createError('runtime', 'The transformation has no query to run', ast);
+        }
+
+        const rows = evaluateTabular(result, context);
+        return {
+            rows: rows,
+            volatileColumns: Object.keys(context.volatileColumns)
+        };
+    }
+
+    return {
+        Timespan: Timespan,
+        VOLATILE_FUNCTIONS: VOLATILE_FUNCTIONS,
+        run: run,
+        typeInputRecords: typeInputRecords,
+        convert: convert,
+        toJsonValue: toJsonValue,
+        parseDatetime: parseDatetime,
+        parseTimespan: parseTimespan,
+        formatTimespan: formatTimespan,
+        isSupportedFunction: name => Boolean(FUNCTIONS[name] || LAZY_FUNCTIONS[name])
+    };
+}));
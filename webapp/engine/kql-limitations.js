@@ -0,0 +1,304 @@
+/**
+ * ===============================================================================
+ * AZURE LOG ANALYTICS SCHEMA VALIDATOR - KQL TRANSFORMATION LIMITATIONS
+ * ===============================================================================
+ *
+ * OVERVIEW:
+ * Ingestion-time transformations run a subset of KQL: "the set of operators
+ * that takes a single row as an input and returns a single row" (docs/KQL
+ * limitations for transformation authoring). Anything else is accepted by the
+ * KQL parser but rejected when the data collection rule is deployed.
+ *
+ * This rule pack walks the syntax tree of a transformation and flags:
+ * - Operators outside the supported set (summarize, join, union, mv-expand, ...)
+ * - Data coming from anywhere but `source` (other tables, table(), externaldata)
+ * - Functions that need more than the current row (aggregations, window
+ *   functions, toscalar) or that are not available at ingestion time
+ * - Log Analytics extensions that need sign-off before use (check_malicious_ip)
+ *
+ * Every finding carries the offending token's offsets and the limitation it
+ * violates, including a link to the documentation.
+ *
+ * MODULE FORMAT:
+ * Universal module - loaded with a <script> tag it exposes
+ * window.LASchemaKqlLimitations (load engine/kql-parser.js first), loaded with
+ * require() it exports the same API through module.exports.
+ * ===============================================================================
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./kql-parser.js'));
+    } else {
+        root.LASchemaKqlLimitations = factory(root.LASchemaKql);
+    }
+}(typeof self !== 'undefined' ? self : this, function (kqlParser) {
+    'use strict';
+
+    // ===== DOCUMENTATION =====
+
+    const LIMITATIONS_DOCUMENT = 'docs/KQL limitations for transformation authoring _ AMBackend.html';
+    const SUPPORTED_KQL_URL = 'https://docs.microsoft.com/azure/azure-monitor/essentials/data-collection-rule-transformations#supported-kql-features';
+
+    // ===== LIMITATIONS =====
+
+    /**
+     * One entry per documented limitation; findings reference them by key
+     */
+    const LIMITATIONS = {
+        single_row_operator: {
+            ruleId: 'LAS-KQL-101',
+            title: 'Only single-row operators are supported',
+            description: 'A transformation processes one input row at a time and must return at most one row for it. Supported tabular operators are where, extend, project, project-away, project-keep, project-rename, project-reorder, parse and parse-where (plus print and datatable for constant tables).',
+            section: 'KQL limitations for transformation authoring',
+            url: SUPPORTED_KQL_URL
+        },
+        source_only: {
+            ruleId: 'LAS-KQL-102',
+            title: 'Transformations can only read the incoming data',
+            description: 'The only table available to a transformation is `source`, the incoming records. Other tables, workspaces, clusters and external data cannot be referenced.',
+            section: 'KQL limitations for transformation authoring',
+            url: SUPPORTED_KQL_URL
+        },
+        row_scoped_function: {
+            ruleId: 'LAS-KQL-103',
+            title: 'Only row-scoped scalar functions are supported',
+            description: 'Aggregation and window functions need more than the current row, and cross-table functions need data outside `source`; none of them are available at ingestion time.',
+            section: 'KQL limitations for transformation authoring',
+            url: SUPPORTED_KQL_URL
+        },
+        restricted_extension: {
+            ruleId: 'LAS-KQL-104',
+            title: 'Restricted Log Analytics extension',
+            description: 'check_malicious_ip returns premium threat intelligence. Do not use it without consulting with the Log Analytics team.',
+            section: 'Additions to KQL - check_malicious_ip(IPv4: dynamic, reverseScanOrder: bool)',
+            url: SUPPORTED_KQL_URL
+        }
+    };
+
+    // ===== RULE TABLES =====
+
+    // Tabular operators allowed after `source |`
+    const SUPPORTED_OPERATORS = [
+        'where', 'filter', 'extend', 'project', 'project-away', 'project-keep', 'project-rename',
+        'project-reorder', 'parse', 'parse-where'
+    ];
+
+    // Operators allowed to start a constant table in a `let` statement
+    const SUPPORTED_SOURCE_OPERATORS = ['print', 'datatable'];
+
+    // Why an unsupported operator is rejected, for a precise message
+    const OPERATOR_REASONS = {
+        'summarize': 'aggregates many rows into one',
+        'make-series': 'aggregates many rows into one',
+        'count': 'aggregates many rows into one',
+        'distinct': 'compares rows with each other',
+        'top': 'compares rows with each other',
+        'top-nested': 'compares rows with each other',
+        'top-hitters': 'compares rows with each other',
+        'sort': 'compares rows with each other',
+        'order': 'compares rows with each other',
+        'serialize': 'depends on the order of rows',
+        'scan': 'depends on the order of rows',
+        'take': 'limits the number of rows',
+        'limit': 'limits the number of rows',
+        'sample': 'limits the number of rows',
+        'sample-distinct': 'limits the number of rows',
+        'mv-expand': 'turns one row into many',
+        'mvexpand': 'turns one row into many',
+        'mv-apply': 'turns one row into many',
+        'join': 'reads another table',
+        'lookup': 'reads another table',
+        'union': 'reads other tables',
+        'externaldata': 'reads data from outside Log Analytics',
+        'evaluate': 'runs a plugin',
+        'invoke': 'runs a tabular function',
+        'fork': 'produces several result sets',
+        'facet': 'produces several result sets',
+        'partition': 'produces several result sets',
+        'as': 'names an intermediate result set',
+        'getschema': 'returns the schema instead of the data',
+        'render': 'only applies to query results',
+        'range': 'generates rows',
+        'find': 'reads other tables',
+        'search': 'reads other tables'
+    };
+
+    // Functions that read outside `source`
+    const CROSS_TABLE_FUNCTIONS = ['table', 'database', 'cluster', 'workspace', 'app', 'resource', 'external_table', 'materialized_view', 'toscalar', 'materialize'];
+
+    // Functions that need other rows of the input
+    const WINDOW_FUNCTIONS = ['row_number', 'row_cumsum', 'row_rank_dense', 'row_rank_min', 'row_window_session', 'prev', 'next'];
+
+    // Aggregations (only valid inside summarize, which is itself unsupported)
+    const AGGREGATION_FUNCTIONS = [
+        'count', 'countif', 'dcount', 'dcountif', 'count_distinct', 'count_distinctif', 'sum', 'sumif', 'avg', 'avgif',
+        'min', 'minif', 'max', 'maxif', 'any', 'anyif', 'take_any', 'take_anyif', 'arg_max', 'arg_min', 'make_list',
+        'make_list_if', 'make_list_with_nulls', 'make_set', 'make_set_if', 'make_bag', 'make_bag_if', 'percentile',
+        'percentiles', 'percentiles_array', 'stdev', 'stdevif', 'stdevp', 'variance', 'varianceif', 'variancep',
+        'hll', 'hll_merge', 'tdigest', 'tdigest_merge', 'binary_all_and', 'binary_all_or', 'binary_all_xor', 'buildschema'
+    ];
+
+    // Functions with no meaning at ingestion time
+    const UNAVAILABLE_FUNCTIONS = ['current_cluster_endpoint', 'current_database', 'current_principal', 'current_principal_details', 'current_principal_is_member_of', 'estimate_data_size', 'ingestion_time', 'cursor_current', 'cursor_after', 'cursor_before_or_at'];
+
+    const RESTRICTED_FUNCTIONS = ['check_malicious_ip'];
+
+    // Operators whose arguments are aggregations
+    const AGGREGATING_OPERATORS = ['summarize', 'make-series', 'top-nested'];
+
+    // ===== CHECKS =====
+
+    function finding(limitation, severity, node, start, end, message, suggestion) {
+        return {
+            limitation: limitation,
+            severity: severity,
+            token: node,
+            start: start,
+            end: end,
+            message: message,
+            suggestion: suggestion
+        };
+    }
+
+    function checkOperator(operator, findings) {
+        if (SUPPORTED_OPERATORS.includes(operator.name)) {
+            return;
+        }
+
+        const reason = OPERATOR_REASONS[operator.name] || 'is not a single-row operator';
+        const isCrossTable = ['join', 'lookup', 'union', 'externaldata', 'find', 'search'].includes(operator.name);
+        const message = `The '${operator.name}' operator is not supported in transformations: it ${reason}`;
+
+        let suggestion;
+        if (operator.name === 'summarize' || operator.name === 'count' || operator.name === 'make-series') {
+            suggestion = 'Aggregate at query time (in a function or example query) instead of in the transformation.';
+        } else if (operator.name === 'mv-expand' || operator.name === 'mvexpand' || operator.name === 'mv-apply') {
+            suggestion = 'Keep the array in a dynamic column, or extract the elements you need with extend (e.g. tostring(Items[0].Name)).';
+        } else if (isCrossTable) {
+            suggestion = 'Enrich the data at query time, or embed small constant lookups with a `let` datatable and iff()/case().';
+        } else if (operator.name === 'take' || operator.name === 'limit' || operator.name === 'sample') {
+            suggestion = 'Filter rows with where instead of limiting their number.';
+        } else {
+            suggestion = `Remove the '${operator.name}' operator; transformations may only use ${SUPPORTED_OPERATORS.join(', ')}.`;
+        }
+
+        findings.push(finding(
+            isCrossTable ? 'source_only' : 'single_row_operator',
+            'error',
+            operator.name,
+            operator.start,
+            operator.nameEnd,
+            message,
+            suggestion
+        ));
+    }
+
+    function checkCall(call, findings) {
+        const name = call.name;
+        const nameEnd = call.nameEnd;
+
+        if (CROSS_TABLE_FUNCTIONS.includes(name)) {
+            findings.push(finding('source_only', 'error', name, call.start, nameEnd,
+                `The '${name}()' function is not supported in transformations: it reads data outside the incoming records`,
+                'Use only columns of `source`; enrich the data at query time instead.'));
+        } else if (WINDOW_FUNCTIONS.includes(name)) {
+            findings.push(finding('row_scoped_function', 'error', name, call.start, nameEnd,
+                `The '${name}()' window function is not supported in transformations: it depends on other rows`,
+                'Compute the value from the current row only, or at query time.'));
+        } else if (AGGREGATION_FUNCTIONS.includes(name)) {
+            findings.push(finding('row_scoped_function', 'error', name, call.start, nameEnd,
+                `The '${name}()' aggregation function is not supported in transformations: it combines several rows`,
+                name === 'min' || name === 'max'
+                    ? `Use ${name}_of() to compare values within the current row.`
+                    : 'Aggregate at query time (in a function or example query) instead of in the transformation.'));
+        } else if (UNAVAILABLE_FUNCTIONS.includes(name)) {
+            findings.push(finding('row_scoped_function', 'error', name, call.start, nameEnd,
+                `The '${name}()' function is not available in transformations`,
+                `Remove '${name}()' from the transformation.`));
+        } else if (RESTRICTED_FUNCTIONS.includes(name)) {
+            findings.push(finding('restricted_extension', 'warning', name, call.start, nameEnd,
+                `'${name}()' returns premium threat intelligence and must not be used without consulting with the Log Analytics team`,
+                `Confirm the use of '${name}()' with the Log Analytics team before onboarding.`));
+        }
+    }
+
+    /**
+     * Check the input of a pipeline: `source`, a `let` name or a constant table
+     */
+    function checkPipelineSource(node, tabularNames, findings) {
+        if (!node) {
+            return;
+        }
+        if (node.kind === 'Identifier') {
+            if (node.name !== 'source' && !tabularNames.includes(node.name)) {
+                findings.push(finding('source_only', 'error', node.name, node.start, node.end,
+                    `Table '${node.name}' cannot be referenced in a transformation; the input must be 'source'`,
+                    `Start the transformation with 'source | ...' instead of '${node.name}'.`));
+            }
+        } else if (node.kind === 'Operator') {
+            if (!SUPPORTED_SOURCE_OPERATORS.includes(node.name)) {
+                checkOperator(node, findings);
+            }
+        } else if (node.kind === 'Paren') {
+            checkPipelineSource(node.expression, tabularNames, findings);
+        }
+    }
+
+    function checkTabular(node, tabularNames, findings) {
+        if (node.kind === 'Pipeline') {
+            checkPipelineSource(node.source, tabularNames, findings);
+            node.operators.forEach(operator => checkOperator(operator, findings));
+        } else {
+            checkPipelineSource(node, tabularNames, findings);
+        }
+    }
+
+    /**
+     * Check a transformation against the ingestion-time limitations
+     *
+     * @param {Object} ast - Script node from kql-parser.js
+     * @returns {Object[]} Findings sorted by position:
+     *   { limitation, severity, token, start, end, message, suggestion }
+     */
+    function checkTransformation(ast) {
+        const findings = [];
+        if (!ast || !ast.statements) {
+            return findings;
+        }
+
+        const tabularNames = [];
+        ast.statements.forEach(statement => {
+            if (statement.kind === 'Let') {
+                const value = statement.value;
+                if (value && (value.kind === 'Pipeline' || value.kind === 'Operator')) {
+                    checkTabular(value, tabularNames, findings);
+                    tabularNames.push(statement.name.name);
+                }
+            } else if (statement.kind === 'Pipeline' || statement.kind === 'Operator' || statement.kind === 'Identifier' || statement.kind === 'Paren') {
+                checkTabular(statement, tabularNames, findings);
+            }
+        });
+
+        // Tabular operators nested in subqueries (join (...), union (...)) and every call
+        kqlParser.walk(ast, (node, parent) => {
+            if (node.kind === 'Operator' && AGGREGATING_OPERATORS.includes(node.name)) {
+                // The operator is already reported; its aggregations need no second finding
+                return false;
+            }
+            if (node.kind === 'Call') {
+                checkCall(node, findings);
+            } else if (node.kind === 'Pipeline' && parent && parent.kind === 'Operator') {
+                checkTabular(node, tabularNames, findings);
+            }
+        });
+
+        return findings.sort((a, b) => a.start - b.start);
+    }
+
+    return {
+        LIMITATIONS: LIMITATIONS,
+        LIMITATIONS_DOCUMENT: LIMITATIONS_DOCUMENT,
+        SUPPORTED_OPERATORS: SUPPORTED_OPERATORS,
+        checkTransformation: checkTransformation
+    };
+}));
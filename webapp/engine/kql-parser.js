@@ -0,0 +1,1650 @@
+/**
+ * ===============================================================================
+ * AZURE LOG ANALYTICS SCHEMA VALIDATOR - KQL PARSER
+ * ===============================================================================
+ *
+ * OVERVIEW:
+ * Tokenizer and recursive-descent parser for the KQL used in onboarding
+ * packages: transformations (source | where | extend | project | parse |
+ * mv-expand | ...), stored function bodies and example queries.
+ *
+ * WHAT IT REPORTS (with exact line and column):
+ * - Unbalanced brackets: ( ) [ ] { } that are never closed or closed by the wrong bracket
+ * - Unterminated string literals ('...', "...", @'...', ```...```)
+ * - Unknown query operators after a pipe (with a "did you mean" suggestion)
+ * - Misplaced pipes: leading pipes, empty pipe stages and trailing pipes
+ * - Any other token the grammar does not expect
+ *
+ * Every error is reported: after one, the parser resumes at the next pipe stage
+ * or statement. The exception is a broken string or bracket, after which the
+ * tokens no longer mean what they seem - grammar errors past it are dropped, and
+ * the broken string or bracket is flagged with hidesLaterErrors.
+ *
+ * OUTPUT - SYNTAX TREE:
+ * parse(text) returns { ast, errors, tokens }. Every AST node is a plain object
+ * with a `kind` and `start`/`end` character offsets into the text, so the tree
+ * can be walked by later checks (schema derivation, limitations, interpreter)
+ * and sent between workers as-is.
+ *
+ * MODULE FORMAT:
+ * Universal module - loaded with a <script> tag it exposes window.LASchemaKql,
+ * loaded with require() it exports the same API through module.exports.
+ * ===============================================================================
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LASchemaKql = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ===== LANGUAGE TABLES =====
+
+    // Tabular operators that may follow a pipe
+    const TABULAR_OPERATORS = [
+        'as', 'consume', 'count', 'distinct', 'evaluate', 'extend', 'facet', 'filter',
+        'fork', 'getschema', 'invoke', 'join', 'limit', 'lookup', 'make-graph',
+        'make-series', 'mv-apply', 'mv-expand', 'mvapply', 'mvexpand', 'order', 'parse',
+        'parse-kv', 'parse-where', 'partition', 'project', 'project-away', 'project-keep',
+        'project-rename', 'project-reorder', 'reduce', 'render', 'sample', 'sample-distinct',
+        'scan', 'search', 'serialize', 'sort', 'summarize', 'take', 'top', 'top-hitters',
+        'top-nested', 'union', 'where'
+    ];
+
+    // Operators that start a query on their own (no input table)
+    const SOURCE_OPERATORS = ['datatable', 'print', 'range', 'union', 'externaldata', 'search', 'find', 'evaluate'];
+
+    const HYPHENATED_WORDS = TABULAR_OPERATORS.filter(name => name.includes('-'));
+
+    // Word operators used between two scalar expressions
+    const STRING_OPERATORS = [
+        'contains', 'contains_cs', '!contains', '!contains_cs',
+        'has', 'has_cs', '!has', '!has_cs',
+        'hasprefix', 'hasprefix_cs', '!hasprefix', '!hasprefix_cs',
+        'hassuffix', 'hassuffix_cs', '!hassuffix', '!hassuffix_cs',
+        'startswith', 'startswith_cs', '!startswith', '!startswith_cs',
+        'endswith', 'endswith_cs', '!endswith', '!endswith_cs',
+        'like', 'notlike', 'likecs', 'notlikecs'
+    ];
+
+    const IN_OPERATORS = ['in', '!in', 'in~', '!in~'];
+    const LIST_OPERATORS = ['has_any', 'has_all'];
+    const COMPARISON_OPERATORS = ['==', '!=', '<>', '<', '<=', '>', '>=', '=~', '!~'];
+
+    // Words that may be written with a leading '!' to negate them
+    const NEGATABLE_WORDS = STRING_OPERATORS
+        .filter(op => op.startsWith('!'))
+        .map(op => op.slice(1))
+        .concat(['in', 'between']);
+
+    // KQL scalar type names and their canonical form
+    const SCALAR_TYPES = {
+        bool: 'bool',
+        boolean: 'bool',
+        int: 'int',
+        int32: 'int',
+        long: 'long',
+        int64: 'long',
+        real: 'real',
+        double: 'real',
+        decimal: 'decimal',
+        string: 'string',
+        datetime: 'datetime',
+        date: 'datetime',
+        timespan: 'timespan',
+        time: 'timespan',
+        guid: 'guid',
+        uuid: 'guid',
+        uniqueid: 'guid',
+        dynamic: 'dynamic'
+    };
+
+    // Calls whose parentheses hold a literal rather than expressions, e.g. datetime(2024-01-01)
+    const LITERAL_FUNCTIONS = Object.keys(SCALAR_TYPES);
+
+    const TIMESPAN_UNITS = [
+        'd', 'day', 'days', 'h', 'hr', 'hrs', 'hour', 'hours', 'm', 'min', 'minute', 'minutes',
+        's', 'sec', 'second', 'seconds', 'ms', 'milli', 'millis', 'millisecond', 'milliseconds',
+        'microsecond', 'microseconds', 'tick', 'ticks'
+    ];
+
+    // Option names accepted right after an operator name (kind=inner, hint.strategy=shuffle, ...)
+    const OPERATOR_OPTIONS = {
+        'join': ['kind', 'hint'],
+        'lookup': ['kind', 'hint'],
+        'union': ['kind', 'withsource', 'isfuzzy', 'hint'],
+        'parse': ['kind', 'flags'],
+        'parse-where': ['kind', 'flags'],
+        'mv-expand': ['bagexpansion', 'with_itemindex', 'kind'],
+        'mvexpand': ['bagexpansion', 'with_itemindex', 'kind'],
+        'summarize': ['hint'],
+        'evaluate': ['hint'],
+        'distinct': ['hint'],
+        'as': ['hint']
+    };
+
+    const MULTI_CHAR_PUNCTUATION = ['..', '==', '!=', '<>', '<=', '>=', '=~', '!~', '=>'];
+    const SINGLE_CHAR_PUNCTUATION = '|(),;=<>+-*/%.:[]{}?!~@';
+
+    const CLOSING_BRACKETS = { ')': '(', ']': '[', '}': '{' };
+
+    // ===== POSITIONS =====
+
+    function computeLineStarts(text) {
+        const lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') {
+                lineStarts.push(i + 1);
+            }
+        }
+        return lineStarts;
+    }
+
+    /**
+     * Convert a character offset into a 1-based { line, column }
+     */
+    function offsetToPosition(lineStarts, offset) {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    }
+
+    function getLineColumn(text, offset) {
+        return offsetToPosition(computeLineStarts(text), offset);
+    }
+
+    function createError(code, message, start, end) {
+        return { code: code, message: message, severity: 'error', start: start, end: Math.max(end, start + 1) };
+    }
+
+    // ===== TOKENIZER =====
+
+    function isIdentifierStart(ch) {
+        return (ch >= 'a' && ch <= 'z') || (ch >= 'A' && ch <= 'Z') || ch === '_' || ch === '$';
+    }
+
+    function isIdentifierPart(ch) {
+        return isIdentifierStart(ch) || (ch >= '0' && ch <= '9');
+    }
+
+    function isDigit(ch) {
+        return ch >= '0' && ch <= '9';
+    }
+
+    function isWhitespace(ch) {
+        return ch === ' ' || ch === '\t' || ch === '\r' || ch === '\n' || ch === '\f' || ch === '\v' || ch === '\u00A0' || ch === '\uFEFF';
+    }
+
+    function readWord(text, index) {
+        let end = index;
+        while (end < text.length && isIdentifierPart(text[end])) {
+            end++;
+        }
+        return text.slice(index, end);
+    }
+
+    /**
+     * Split KQL text into tokens
+     * Returns { tokens, errors }; the token list always ends with an 'eof' token.
+     * Token kinds: identifier, string, number, timespan, punct, eof.
+     */
+    function tokenize(text) {
+        const tokens = [];
+        const errors = [];
+        const length = text.length;
+        let i = 0;
+
+        function readQuoted(start, quoteIndex, verbatim) {
+            const quote = text[quoteIndex];
+            let j = quoteIndex + 1;
+            let value = '';
+
+            while (true) {
+                if (j >= length || text[j] === '\n' || text[j] === '\r') {
+                    errors.push(createError('unterminated_string', `Unterminated string literal: missing closing ${quote}`, start, j));
+                    break;
+                }
+                const ch = text[j];
+                if (!verbatim && ch === '\\' && j + 1 < length) {
+                    const escaped = text[j + 1];
+                    value += escaped === 'n' ? '\n' : escaped === 't' ? '\t' : escaped === 'r' ? '\r' : escaped;
+                    j += 2;
+                    continue;
+                }
+                if (ch === quote) {
+                    if (verbatim && text[j + 1] === quote) {
+                        value += quote;
+                        j += 2;
+                        continue;
+                    }
+                    j++;
+                    break;
+                }
+                value += ch;
+                j++;
+            }
+
+            tokens.push({ kind: 'string', value: value, start: start, end: j });
+            return j;
+        }
+
+        while (i < length) {
+            const ch = text[i];
+
+            if (isWhitespace(ch)) {
+                i++;
+                continue;
+            }
+
+            // Comments run to the end of the line
+            if (ch === '/' && text[i + 1] === '/') {
+                while (i < length && text[i] !== '\n') {
+                    i++;
+                }
+                continue;
+            }
+
+            const start = i;
+
+            // Multi-line string: ```...```
+            if (ch === '`' && text.startsWith('```', i)) {
+                const close = text.indexOf('```', i + 3);
+                if (close === -1) {
+                    errors.push(createError('unterminated_string', 'Unterminated multi-line string literal: missing closing ```', start, start + 3));
+                    tokens.push({ kind: 'string', value: text.slice(i + 3), start: start, end: length });
+                    i = length;
+                } else {
+                    tokens.push({ kind: 'string', value: text.slice(i + 3, close), start: start, end: close + 3 });
+                    i = close + 3;
+                }
+                continue;
+            }
+
+            // Obfuscated (h'...', h@'...') and verbatim (@'...') strings
+            if ((ch === 'h' || ch === 'H') && (text[i + 1] === '\'' || text[i + 1] === '"')) {
+                i = readQuoted(start, i + 1, false);
+                continue;
+            }
+            if ((ch === 'h' || ch === 'H') && text[i + 1] === '@' && (text[i + 2] === '\'' || text[i + 2] === '"')) {
+                i = readQuoted(start, i + 2, true);
+                continue;
+            }
+            if (ch === '@' && (text[i + 1] === '\'' || text[i + 1] === '"')) {
+                i = readQuoted(start, i + 1, true);
+                continue;
+            }
+            if (ch === '\'' || ch === '"') {
+                i = readQuoted(start, i, false);
+                continue;
+            }
+
+            // Numbers and timespans (10, 1.5, 1e3, 0x1F, 5m, 1.5h)
+            if (isDigit(ch) || (ch === '.' && isDigit(text[i + 1] || '') && !(tokens.length && tokens[tokens.length - 1].end === i))) {
+                const match = /^(0[xX][0-9a-fA-F]+|\d*\.?\d+(?:[eE][+-]?\d+)?|\d+)/.exec(text.slice(i, i + 64));
+                let end = i + match[0].length;
+                // "1." followed by another "." is the start of a range (1..10)
+                if (text[end] === '.' && isDigit(text[end + 1] || '')) {
+                    const fraction = /^\.\d+(?:[eE][+-]?\d+)?/.exec(text.slice(end, end + 64));
+                    end += fraction[0].length;
+                }
+                const suffix = readWord(text, end);
+                if (suffix && TIMESPAN_UNITS.includes(suffix.toLowerCase())) {
+                    tokens.push({ kind: 'timespan', value: text.slice(i, end + suffix.length), start: start, end: end + suffix.length });
+                    i = end + suffix.length;
+                } else {
+                    tokens.push({ kind: 'number', value: text.slice(i, end), start: start, end: end });
+                    i = end;
+                }
+                continue;
+            }
+
+            // Identifiers, including hyphenated operator names (project-away, mv-expand)
+            if (isIdentifierStart(ch)) {
+                let word = readWord(text, i);
+                let end = i + word.length;
+
+                while (text[end] === '-' && isIdentifierStart(text[end + 1] || '')) {
+                    const nextWord = readWord(text, end + 1);
+                    const candidate = word + '-' + nextWord;
+                    if (!HYPHENATED_WORDS.includes(candidate)) {
+                        break;
+                    }
+                    word = candidate;
+                    end += nextWord.length + 1;
+                }
+
+                if (word === 'in' && text[end] === '~') {
+                    word = 'in~';
+                    end++;
+                }
+
+                tokens.push({ kind: 'identifier', value: word, start: start, end: end });
+                i = end;
+                continue;
+            }
+
+            // Negated word operators (!contains, !in~, !between)
+            if (ch === '!' && isIdentifierStart(text[i + 1] || '')) {
+                const word = readWord(text, i + 1);
+                if (NEGATABLE_WORDS.includes(word)) {
+                    let end = i + 1 + word.length;
+                    let value = '!' + word;
+                    if (word === 'in' && text[end] === '~') {
+                        value += '~';
+                        end++;
+                    }
+                    tokens.push({ kind: 'identifier', value: value, start: start, end: end });
+                    i = end;
+                    continue;
+                }
+            }
+
+            const multi = MULTI_CHAR_PUNCTUATION.find(p => text.startsWith(p, i));
+            if (multi) {
+                tokens.push({ kind: 'punct', value: multi, start: start, end: i + multi.length });
+                i += multi.length;
+                continue;
+            }
+
+            if (SINGLE_CHAR_PUNCTUATION.includes(ch)) {
+                tokens.push({ kind: 'punct', value: ch, start: start, end: i + 1 });
+                i++;
+                continue;
+            }
+
+            errors.push(createError('unexpected_character', `Unexpected character '${ch}'`, start, start + 1));
+            i++;
+        }
+
+        tokens.push({ kind: 'eof', value: '', start: length, end: length });
+        return { tokens: tokens, errors: errors };
+    }
+
+    // ===== BRACKET BALANCE =====
+
+    /**
+     * Report brackets that are never closed, closed by the wrong bracket,
+     * or closed without being opened
+     */
+    function checkBrackets(tokens, lineStarts) {
+        const errors = [];
+        const stack = [];
+
+        tokens.forEach(token => {
+            if (token.kind !== 'punct') {
+                return;
+            }
+            if (token.value === '(' || token.value === '[' || token.value === '{') {
+                stack.push(token);
+                return;
+            }
+            const opener = CLOSING_BRACKETS[token.value];
+            if (!opener) {
+                return;
+            }
+
+            if (stack.length > 0 && stack[stack.length - 1].value === opener) {
+                stack.pop();
+                return;
+            }
+
+            const matchIndex = findLastIndex(stack, open => open.value === opener);
+            if (matchIndex === -1) {
+                if (stack.length === 0) {
+                    errors.push(createError('unbalanced_bracket', `Unexpected '${token.value}' without a matching '${opener}'`, token.start, token.end));
+                    return;
+                }
+                // Wrong kind of closing bracket for the innermost open one
+                const innermost = stack.pop();
+                const position = offsetToPosition(lineStarts, innermost.start);
+                const expected = Object.keys(CLOSING_BRACKETS).find(close => CLOSING_BRACKETS[close] === innermost.value);
+                errors.push(createError(
+                    'unbalanced_bracket',
+                    `Expected '${expected}' to close '${innermost.value}' opened at line ${position.line}, column ${position.column}, but found '${token.value}'`,
+                    token.start,
+                    token.end
+                ));
+                return;
+            }
+
+            // Everything opened after the matching bracket was left open
+            stack.splice(matchIndex + 1).forEach(unclosed => {
+                const position = offsetToPosition(lineStarts, unclosed.start);
+                errors.push(createError(
+                    'unbalanced_bracket',
+                    `'${unclosed.value}' opened at line ${position.line}, column ${position.column} is closed by '${token.value}'`,
+                    token.start,
+                    token.end
+                ));
+            });
+            stack.pop();
+        });
+
+        stack.forEach(unclosed => {
+            errors.push(createError('unbalanced_bracket', `'${unclosed.value}' is never closed`, unclosed.start, unclosed.end));
+        });
+
+        return errors;
+    }
+
+    function findLastIndex(items, predicate) {
+        for (let i = items.length - 1; i >= 0; i--) {
+            if (predicate(items[i])) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    // ===== PARSER =====
+
+    function closestMatch(word, candidates) {
+        let best = null;
+        let bestDistance = Infinity;
+        candidates.forEach(candidate => {
+            const distance = editDistance(word.toLowerCase(), candidate);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+        return bestDistance <= Math.max(2, Math.floor(word.length / 3)) ? best : null;
+    }
+
+    function editDistance(a, b) {
+        const previous = [];
+        for (let j = 0; j <= b.length; j++) {
+            previous[j] = j;
+        }
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = previous[0];
+            previous[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const above = previous[j];
+                previous[j] = Math.min(
+                    previous[j] + 1,
+                    previous[j - 1] + 1,
+                    diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                diagonal = above;
+            }
+        }
+        return previous[b.length];
+    }
+
+    function describeToken(token) {
+        if (token.kind === 'eof') return 'the end of the query';
+        if (token.kind === 'string') return 'a string literal';
+        return `'${token.value}'`;
+    }
+
+    /**
+     * Parse a token list into a Script node
+     * Errors are collected (not thrown) - after an error the parser skips to
+     * the next pipe or semicolon and keeps going.
+     */
+    /**
+     * @param {string} [entry] - 'parameters' parses a parameter list instead of a script
+     */
+    function parseTokens(tokens, sourceText, entry) {
+        const errors = [];
+        let index = 0;
+
+        function peek(offset = 0) {
+            return tokens[Math.min(index + offset, tokens.length - 1)];
+        }
+
+        function previous() {
+            return tokens[Math.max(index - 1, 0)];
+        }
+
+        function next() {
+            const token = tokens[index];
+            if (index < tokens.length - 1) {
+                index++;
+            }
+            return token;
+        }
+
+        function atEnd() {
+            return peek().kind === 'eof';
+        }
+
+        function isPunct(token, value) {
+            return token.kind === 'punct' && token.value === value;
+        }
+
+        function isWord(token, value) {
+            return token.kind === 'identifier' && token.value === value;
+        }
+
+        function raise(token, code, message) {
+            const error = new Error(message);
+            error.kqlError = createError(code, message, token.start, token.end);
+            throw error;
+        }
+
+        function raiseUnexpected(token, context) {
+            if (token.kind === 'eof') {
+                raise(token, 'unexpected_end', `The query ends unexpectedly; expected ${context}`);
+            }
+            if (isPunct(token, '|')) {
+                raise(token, 'misplaced_pipe', `Unexpected '|'; expected ${context}`);
+            }
+            raise(token, 'unexpected_token', `Unexpected ${describeToken(token)}; expected ${context}`);
+        }
+
+        function expectPunct(value, context) {
+            const token = peek();
+            if (!isPunct(token, value)) {
+                raiseUnexpected(token, `'${value}' ${context}`);
+            }
+            return next();
+        }
+
+        function expectWord(value, context) {
+            const token = peek();
+            if (!isWord(token, value)) {
+                raiseUnexpected(token, `'${value}' ${context}`);
+            }
+            return next();
+        }
+
+        function isBoundary(token) {
+            return token.kind === 'eof' ||
+                (token.kind === 'punct' && (token.value === '|' || token.value === ';' || token.value === ')' || token.value === '}' || token.value === ']'));
+        }
+
+        function finish(node) {
+            node.end = previous().end;
+            return node;
+        }
+
+        /**
+         * Skip to the end of the current pipe stage: the next pipe or semicolon at
+         * this nesting level, or the bracket that closes the enclosing group
+         */
+        function skipToBoundary(fromIndex) {
+            index = fromIndex;
+            let depth = 0;
+            while (!atEnd()) {
+                const token = peek();
+                if (token.kind === 'punct') {
+                    if (token.value === '(' || token.value === '[' || token.value === '{') {
+                        depth++;
+                    } else if (CLOSING_BRACKETS[token.value]) {
+                        if (depth === 0) {
+                            return;
+                        }
+                        depth--;
+                    } else if (depth === 0 && (token.value === '|' || token.value === ';')) {
+                        return;
+                    }
+                }
+                next();
+            }
+        }
+
+        // ----- Statements -----
+
+        function parseStatementList(terminator) {
+            const statements = [];
+
+            while (!atEnd() && !(terminator && isPunct(peek(), terminator))) {
+                if (isPunct(peek(), ';')) {
+                    next();
+                    continue;
+                }
+
+                const statementIndex = index;
+                try {
+                    statements.push(parseStatement());
+                    const token = peek();
+                    if (!atEnd() && !isPunct(token, ';') && !(terminator && isPunct(token, terminator))) {
+                        if (CLOSING_BRACKETS[token.value] && token.kind === 'punct') {
+                            // Reported by the bracket check; resume after it
+                            next();
+                            continue;
+                        }
+                        raise(token, 'unexpected_token', `Unexpected ${describeToken(token)}; statements must be separated by ';'`);
+                    }
+                } catch (error) {
+                    if (!error.kqlError) {
+                        throw error;
+                    }
+                    errors.push(error.kqlError);
+                    skipToStatementEnd(statementIndex, terminator);
+                }
+            }
+
+            return statements;
+        }
+
+        function skipToStatementEnd(fromIndex, terminator) {
+            index = fromIndex;
+            let depth = 0;
+            while (!atEnd()) {
+                const token = peek();
+                if (token.kind === 'punct') {
+                    if (token.value === '(' || token.value === '[' || token.value === '{') {
+                        depth++;
+                    } else if (CLOSING_BRACKETS[token.value]) {
+                        if (depth === 0 && terminator && token.value === terminator) {
+                            return;
+                        }
+                        depth = Math.max(0, depth - 1);
+                    } else if (depth === 0 && token.value === ';') {
+                        return;
+                    }
+                }
+                next();
+            }
+        }
+
+        function parseStatement() {
+            const token = peek();
+            if (isWord(token, 'let')) {
+                return parseLet();
+            }
+            if (isWord(token, 'set') || isWord(token, 'declare') || isWord(token, 'alias') || isWord(token, 'restrict')) {
+                const node = { kind: 'Directive', name: next().value, start: token.start };
+                while (!atEnd() && !isPunct(peek(), ';')) {
+                    next();
+                }
+                return finish(node);
+            }
+            return parseTabularExpression();
+        }
+
+        function parseLet() {
+            const letToken = next();
+            const node = { kind: 'Let', name: parseName('a name after \'let\''), value: null, start: letToken.start };
+            expectPunct('=', 'after the name in a \'let\' statement');
+
+            if (isWord(peek(), 'view') && isPunct(peek(1), '(')) {
+                next();
+            }
+
+            if (isPunct(peek(), '(') && looksLikeFunctionDefinition()) {
+                node.value = parseFunctionDefinition();
+            } else {
+                node.value = parseTabularExpression();
+            }
+            return finish(node);
+        }
+
+        function looksLikeFunctionDefinition() {
+            if (isPunct(peek(1), ')')) {
+                return isPunct(peek(2), '{');
+            }
+            return peek(1).kind === 'identifier' && isPunct(peek(2), ':');
+        }
+
+        function parseFunctionDefinition() {
+            const open = expectPunct('(', 'to start the parameter list');
+            const node = { kind: 'FunctionDefinition', parameters: [], body: [], start: open.start };
+
+            if (!isPunct(peek(), ')')) {
+                do {
+                    node.parameters.push(parseParameter());
+                } while (isPunct(peek(), ',') && next());
+            }
+            expectPunct(')', 'to close the parameter list');
+            expectPunct('{', 'to start the function body');
+            node.body = parseStatementList('}');
+            expectPunct('}', 'to close the function body');
+            return finish(node);
+        }
+
+        function parseParameter() {
+            const name = parseName('a parameter name');
+            const node = { kind: 'Parameter', name: name.name, type: null, tabularSchema: null, defaultValue: null, start: name.start };
+            expectPunct(':', `after parameter '${name.name}'`);
+
+            if (isPunct(peek(), '(')) {
+                next();
+                node.type = 'table';
+                node.tabularSchema = [];
+                if (!isPunct(peek(), ')')) {
+                    do {
+                        if (isPunct(peek(), '*')) {
+                            next();
+                            node.tabularSchema.push({ kind: 'Wildcard' });
+                        } else {
+                            node.tabularSchema.push(parseColumnDeclaration());
+                        }
+                    } while (isPunct(peek(), ',') && next());
+                }
+                expectPunct(')', 'to close the tabular parameter schema');
+            } else {
+                node.type = parseTypeName();
+            }
+
+            if (isPunct(peek(), '=')) {
+                next();
+                node.defaultValue = parseExpression();
+            }
+            return finish(node);
+        }
+
+        function parseTypeName() {
+            const token = peek();
+            if (token.kind !== 'identifier') {
+                raiseUnexpected(token, 'a type name such as string, long or datetime');
+            }
+            if (!SCALAR_TYPES[token.value]) {
+                raise(token, 'unknown_type', `Unknown type '${token.value}'. Valid types: ${Object.keys(SCALAR_TYPES).join(', ')}`);
+            }
+            next();
+            return SCALAR_TYPES[token.value];
+        }
+
+        function parseColumnDeclaration() {
+            const name = parseName('a column name');
+            expectPunct(':', `after column '${name.name}'`);
+            const type = parseTypeName();
+            return finish({ kind: 'ColumnDeclaration', name: name.name, type: type, start: name.start });
+        }
+
+        function isNameStart(offset = 0) {
+            const token = peek(offset);
+            if (token.kind === 'identifier') {
+                return true;
+            }
+            return isPunct(token, '[') && peek(offset + 1).kind === 'string' && isPunct(peek(offset + 2), ']');
+        }
+
+        function nameLength() {
+            return peek().kind === 'identifier' ? 1 : 3;
+        }
+
+        /**
+         * Column or entity name: Name, ['name with spaces'] or ["name"]
+         */
+        function parseName(context) {
+            const token = peek();
+            if (token.kind === 'identifier') {
+                next();
+                return { kind: 'Name', name: token.value, quoted: false, start: token.start, end: token.end };
+            }
+            if (isNameStart()) {
+                const open = next();
+                const value = next();
+                const close = next();
+                return { kind: 'Name', name: value.value, quoted: true, start: open.start, end: close.end };
+            }
+            raiseUnexpected(token, context);
+        }
+
+        // ----- Tabular expressions -----
+
+        /**
+         * Source followed by zero or more '| operator' stages
+         * A scalar expression without pipes is returned as-is.
+         */
+        function parseTabularExpression() {
+            const first = peek();
+            if (isPunct(first, '|')) {
+                raise(first, 'misplaced_pipe', 'A query cannot start with \'|\'; put the input table (e.g. \'source\') before the first pipe');
+            }
+
+            let source;
+            if (first.kind === 'identifier' && SOURCE_OPERATORS.includes(first.value) && !(first.value === 'range' && isPunct(peek(1), '('))) {
+                source = parseOperator();
+            } else {
+                source = parseExpression();
+            }
+
+            if (!isPunct(peek(), '|') && source.kind !== 'Operator') {
+                return source;
+            }
+
+            const node = { kind: 'Pipeline', source: source, operators: [], start: source.start };
+
+            while (isPunct(peek(), '|')) {
+                const pipe = next();
+                const token = peek();
+
+                if (isPunct(token, '|')) {
+                    errors.push(createError('misplaced_pipe', 'Empty pipe stage: \'|\' must be followed by a query operator', token.start, token.end));
+                    continue;
+                }
+                if (token.kind === 'eof' || isPunct(token, ';') || isPunct(token, ')') || isPunct(token, '}')) {
+                    errors.push(createError('misplaced_pipe', 'Trailing \'|\' is not followed by a query operator', pipe.start, pipe.end));
+                    break;
+                }
+
+                const operatorIndex = index;
+                try {
+                    node.operators.push(parseOperator());
+                } catch (error) {
+                    if (!error.kqlError) {
+                        throw error;
+                    }
+                    errors.push(error.kqlError);
+                    skipToBoundary(operatorIndex);
+                }
+            }
+
+            return finish(node);
+        }
+
+        function parseOptions(node) {
+            const allowed = OPERATOR_OPTIONS[node.name] || [];
+            node.options = {};
+
+            while (peek().kind === 'identifier' && allowed.includes(peek().value)) {
+                let key = peek().value;
+                let lookahead = 1;
+                while (isPunct(peek(lookahead), '.') && peek(lookahead + 1).kind === 'identifier') {
+                    key += '.' + peek(lookahead + 1).value;
+                    lookahead += 2;
+                }
+                if (!isPunct(peek(lookahead), '=')) {
+                    break;
+                }
+                for (let i = 0; i <= lookahead; i++) {
+                    next();
+                }
+                const value = next();
+                if (value.kind === 'eof' || value.kind === 'punct') {
+                    raiseUnexpected(value, `a value for option '${key}'`);
+                }
+                node.options[key] = value.value;
+            }
+        }
+
+        function parseOperator() {
+            const token = next();
+            const name = token.value;
+
+            if (token.kind !== 'identifier') {
+                raiseUnexpected(token, 'a query operator after \'|\'');
+            }
+
+            // Misspelled hyphenated operators (project-awya) arrive as three tokens
+            if (isPunct(peek(), '-') && peek().start === token.end && peek(1).kind === 'identifier' && peek(1).start === peek().end) {
+                const hyphenated = name + '-' + peek(1).value;
+                const suggestion = closestMatch(hyphenated, TABULAR_OPERATORS);
+                raise(
+                    { start: token.start, end: peek(1).end },
+                    'unknown_operator',
+                    `Unknown query operator '${hyphenated}'` + (suggestion ? `. Did you mean '${suggestion}'?` : '')
+                );
+            }
+
+            const isSource = index === 1 || !isPunct(tokens[index - 2], '|');
+            if (!TABULAR_OPERATORS.includes(name) && !(isSource && SOURCE_OPERATORS.includes(name))) {
+                const suggestion = closestMatch(name, TABULAR_OPERATORS);
+                raise(token, 'unknown_operator', `Unknown query operator '${name}'` + (suggestion ? `. Did you mean '${suggestion}'?` : ''));
+            }
+
+            const node = { kind: 'Operator', name: name, start: token.start, end: token.end, nameEnd: token.end };
+
+            if (OPERATOR_OPTIONS[name]) {
+                parseOptions(node);
+            }
+
+            switch (name) {
+                case 'where':
+                case 'filter':
+                    node.predicate = parseExpression();
+                    break;
+                case 'extend':
+                case 'project':
+                case 'print':
+                    node.columns = parseAssignmentList();
+                    break;
+                case 'serialize':
+                    node.columns = isBoundary(peek()) ? [] : parseAssignmentList();
+                    break;
+                case 'project-away':
+                case 'project-keep':
+                    node.columns = parseNamePatternList(false);
+                    break;
+                case 'project-reorder':
+                    node.columns = parseNamePatternList(true);
+                    break;
+                case 'project-rename':
+                    node.columns = parseRenameList();
+                    break;
+                case 'parse':
+                case 'parse-where':
+                    parseParseOperator(node);
+                    break;
+                case 'mv-expand':
+                case 'mvexpand':
+                    parseMvExpand(node);
+                    break;
+                case 'summarize':
+                    node.aggregates = isWord(peek(), 'by') ? [] : parseAssignmentList();
+                    node.by = [];
+                    if (isWord(peek(), 'by')) {
+                        next();
+                        node.by = parseAssignmentList();
+                    }
+                    break;
+                case 'take':
+                case 'limit':
+                case 'sample':
+                    node.count = parseExpression();
+                    break;
+                case 'top':
+                    node.count = parseExpression();
+                    expectWord('by', 'after the number of rows in \'top\'');
+                    node.by = parseSortList();
+                    break;
+                case 'sort':
+                case 'order':
+                    expectWord('by', `after '${name}'`);
+                    node.by = parseSortList();
+                    break;
+                case 'distinct':
+                    node.columns = parseExpressionList();
+                    break;
+                case 'count':
+                    node.alias = null;
+                    if (isWord(peek(), 'as')) {
+                        next();
+                        node.alias = parseName('a column name after \'as\'');
+                    }
+                    break;
+                case 'as':
+                    node.alias = parseName('a name after \'as\'');
+                    break;
+                case 'join':
+                case 'lookup':
+                    node.right = parseTableReference();
+                    node.on = [];
+                    if (isWord(peek(), 'on')) {
+                        next();
+                        node.on = parseExpressionList();
+                    } else if (name === 'lookup') {
+                        raiseUnexpected(peek(), '\'on\' with the lookup key columns');
+                    }
+                    break;
+                case 'union':
+                    node.tables = [];
+                    do {
+                        node.tables.push(parseTableReference());
+                    } while (isPunct(peek(), ',') && next());
+                    break;
+                case 'invoke':
+                case 'evaluate':
+                    node.call = parseExpression();
+                    break;
+                case 'datatable':
+                    parseDatatable(node);
+                    break;
+                case 'externaldata':
+                    parseExternalData(node);
+                    break;
+                case 'range':
+                    node.column = parseName('a column name after \'range\'');
+                    expectWord('from', 'in \'range\'');
+                    node.from = parseExpression();
+                    expectWord('to', 'in \'range\'');
+                    node.to = parseExpression();
+                    expectWord('step', 'in \'range\'');
+                    node.step = parseExpression();
+                    break;
+                case 'getschema':
+                    break;
+                default:
+                    // Operators this validator does not model in detail
+                    node.generic = true;
+                    skipToBoundary(index);
+                    break;
+            }
+
+            finish(node);
+            expectOperatorEnd(node);
+            return node;
+        }
+
+        function expectOperatorEnd(node) {
+            const token = peek();
+            if (isBoundary(token)) {
+                return;
+            }
+            if (isPunct(token, '=') && (node.name === 'where' || node.name === 'filter')) {
+                raise(token, 'unexpected_token', 'Unexpected \'=\' in a filter; use \'==\' to compare values');
+            }
+            raise(token, 'unexpected_token', `Unexpected ${describeToken(token)} after the '${node.name}' operator`);
+        }
+
+        function parseTableReference() {
+            const token = peek();
+            if (isPunct(token, '(')) {
+                next();
+                const query = parseTabularExpression();
+                expectPunct(')', 'to close the subquery');
+                return query;
+            }
+            if (isNameStart()) {
+                const pattern = parseNamePattern();
+                return { kind: 'TableReference', name: pattern.pattern, isWildcard: pattern.isWildcard, start: pattern.start, end: pattern.end };
+            }
+            raiseUnexpected(token, 'a table name or a parenthesized query');
+        }
+
+        function parseAssignmentList() {
+            const items = [];
+            do {
+                items.push(parseAssignment());
+            } while (isPunct(peek(), ',') && next());
+            return items;
+        }
+
+        /**
+         * Name = Expression, (Name1, Name2) = Expression, or a bare Expression
+         */
+        function parseAssignment() {
+            const token = peek();
+
+            if (isPunct(token, '(') && isNameStart(1)) {
+                let offset = 1;
+                while (isNameStart(offset)) {
+                    offset += peek(offset).kind === 'identifier' ? 1 : 3;
+                    if (!isPunct(peek(offset), ',')) {
+                        break;
+                    }
+                    offset++;
+                }
+                if (isPunct(peek(offset), ')') && isPunct(peek(offset + 1), '=')) {
+                    next();
+                    const names = [];
+                    do {
+                        names.push(parseName('a column name'));
+                    } while (isPunct(peek(), ',') && next());
+                    next();
+                    next();
+                    const expression = parseExpression();
+                    return finish({ kind: 'Assignment', names: names, expression: expression, start: token.start });
+                }
+            }
+
+            if (isNameStart() && isPunct(peek(nameLength()), '=')) {
+                const name = parseName('a column name');
+                next();
+                const expression = parseExpression();
+                return finish({ kind: 'Assignment', names: [name], expression: expression, start: token.start });
+            }
+
+            const expression = parseExpression();
+            return { kind: 'Assignment', names: [], expression: expression, start: expression.start, end: expression.end };
+        }
+
+        function parseRenameList() {
+            const items = [];
+            do {
+                const start = peek().start;
+                const name = parseName('the new column name');
+                expectPunct('=', `after '${name.name}' in 'project-rename'`);
+                const source = parseName('the existing column name');
+                items.push(finish({
+                    kind: 'Assignment',
+                    names: [name],
+                    expression: { kind: 'Identifier', name: source.name, start: source.start, end: source.end },
+                    start: start
+                }));
+            } while (isPunct(peek(), ',') && next());
+            return items;
+        }
+
+        /**
+         * Column name that may contain wildcards, e.g. Properties_* or *Id
+         */
+        function parseNamePattern() {
+            const first = peek();
+            if (!isNameStart() && !isPunct(first, '*')) {
+                raiseUnexpected(first, 'a column name');
+            }
+
+            if (isNameStart() && peek().kind !== 'identifier') {
+                const name = parseName('a column name');
+                return { kind: 'NamePattern', pattern: name.name, isWildcard: false, start: name.start, end: name.end };
+            }
+
+            let pattern = '';
+            let end = first.start;
+            while ((peek().kind === 'identifier' || isPunct(peek(), '*')) && (pattern === '' || peek().start === end)) {
+                const token = next();
+                pattern += token.value;
+                end = token.end;
+            }
+            return { kind: 'NamePattern', pattern: pattern, isWildcard: pattern.includes('*'), start: first.start, end: end };
+        }
+
+        function parseNamePatternList(allowDirection) {
+            const items = [];
+            do {
+                const pattern = parseNamePattern();
+                if (allowDirection && (isWord(peek(), 'asc') || isWord(peek(), 'desc') || isWord(peek(), 'granny-asc') || isWord(peek(), 'granny-desc'))) {
+                    pattern.direction = next().value;
+                    pattern.end = previous().end;
+                }
+                items.push(pattern);
+            } while (isPunct(peek(), ',') && next());
+            return items;
+        }
+
+        function parseSortList() {
+            const items = [];
+            do {
+                const expression = parseExpression();
+                const item = { kind: 'SortKey', expression: expression, direction: null, nulls: null, start: expression.start };
+                if (isWord(peek(), 'asc') || isWord(peek(), 'desc')) {
+                    item.direction = next().value;
+                }
+                if (isWord(peek(), 'nulls')) {
+                    next();
+                    const position = peek();
+                    if (!isWord(position, 'first') && !isWord(position, 'last')) {
+                        raiseUnexpected(position, '\'first\' or \'last\' after \'nulls\'');
+                    }
+                    item.nulls = next().value;
+                }
+                items.push(finish(item));
+            } while (isPunct(peek(), ',') && next());
+            return items;
+        }
+
+        function parseExpressionList() {
+            const items = [];
+            do {
+                items.push(parseExpression());
+            } while (isPunct(peek(), ',') && next());
+            return items;
+        }
+
+        /**
+         * parse [kind=regex] Expression with "text" Column:type * ...
+         */
+        function parseParseOperator(node) {
+            node.expression = parseExpression();
+            expectWord('with', 'before the parse pattern');
+            node.pattern = [];
+
+            while (!isBoundary(peek())) {
+                const token = peek();
+                if (token.kind === 'string') {
+                    next();
+                    node.pattern.push({ kind: 'PatternText', value: token.value, start: token.start, end: token.end });
+                } else if (isPunct(token, '*')) {
+                    next();
+                    node.pattern.push({ kind: 'PatternWildcard', start: token.start, end: token.end });
+                } else if (isNameStart()) {
+                    const name = parseName('a column name');
+                    const column = { kind: 'PatternColumn', name: name.name, type: 'string', start: name.start, end: name.end };
+                    if (isPunct(peek(), ':')) {
+                        next();
+                        column.type = parseTypeName();
+                        column.end = previous().end;
+                    }
+                    node.pattern.push(column);
+                } else {
+                    raiseUnexpected(token, 'a string, \'*\' or a column name in the parse pattern');
+                }
+            }
+
+            if (node.pattern.length === 0) {
+                raiseUnexpected(peek(), 'a parse pattern after \'with\'');
+            }
+        }
+
+        /**
+         * mv-expand [bagexpansion=array] [with_itemindex=Index] Column [to typeof(T)], ... [limit N]
+         */
+        function parseMvExpand(node) {
+            node.columns = [];
+            do {
+                const item = parseAssignment();
+                item.toType = null;
+                if (isWord(peek(), 'to')) {
+                    next();
+                    expectWord('typeof', 'after \'to\'');
+                    expectPunct('(', 'after \'typeof\'');
+                    item.toType = parseTypeName();
+                    expectPunct(')', 'to close \'typeof\'');
+                    item.end = previous().end;
+                }
+                node.columns.push(item);
+            } while (isPunct(peek(), ',') && next());
+
+            if (isWord(peek(), 'limit')) {
+                next();
+                node.limit = parseExpression();
+            }
+        }
+
+        function parseDatatable(node) {
+            expectPunct('(', 'after \'datatable\'');
+            node.schema = [];
+            do {
+                node.schema.push(parseColumnDeclaration());
+            } while (isPunct(peek(), ',') && next());
+            expectPunct(')', 'to close the datatable schema');
+            expectPunct('[', 'to start the datatable values');
+            node.values = [];
+            if (!isPunct(peek(), ']')) {
+                do {
+                    if (isPunct(peek(), ']')) {
+                        break;
+                    }
+                    node.values.push(parseExpression());
+                } while (isPunct(peek(), ',') && next());
+            }
+            expectPunct(']', 'to close the datatable values');
+        }
+
+        function parseExternalData(node) {
+            expectPunct('(', 'after \'externaldata\'');
+            node.schema = [];
+            do {
+                node.schema.push(parseColumnDeclaration());
+            } while (isPunct(peek(), ',') && next());
+            expectPunct(')', 'to close the externaldata schema');
+            expectPunct('[', 'to start the list of storage URIs');
+            node.uris = parseExpressionList();
+            expectPunct(']', 'to close the list of storage URIs');
+            if (isWord(peek(), 'with')) {
+                next();
+                expectPunct('(', 'after \'with\'');
+                skipToBoundary(index);
+                expectPunct(')', 'to close the externaldata properties');
+            }
+        }
+
+        // ----- Scalar expressions -----
+
+        function parseExpression() {
+            return parseOr();
+        }
+
+        function parseOr() {
+            let left = parseAnd();
+            while (isWord(peek(), 'or')) {
+                next();
+                const right = parseAnd();
+                left = { kind: 'Binary', operator: 'or', left: left, right: right, start: left.start, end: right.end };
+            }
+            return left;
+        }
+
+        function parseAnd() {
+            let left = parseComparison();
+            while (isWord(peek(), 'and')) {
+                next();
+                const right = parseComparison();
+                left = { kind: 'Binary', operator: 'and', left: left, right: right, start: left.start, end: right.end };
+            }
+            return left;
+        }
+
+        function parseComparison() {
+            let left = parseAdditive();
+
+            while (true) {
+                const token = peek();
+
+                if (token.kind === 'punct' && COMPARISON_OPERATORS.includes(token.value)) {
+                    next();
+                    const right = parseAdditive();
+                    left = { kind: 'Binary', operator: token.value, left: left, right: right, start: left.start, end: right.end };
+                    continue;
+                }
+
+                if (token.kind !== 'identifier') {
+                    break;
+                }
+
+                if (IN_OPERATORS.includes(token.value) || LIST_OPERATORS.includes(token.value)) {
+                    next();
+                    expectPunct('(', `after '${token.value}'`);
+                    const values = [];
+                    if (!isPunct(peek(), ')')) {
+                        do {
+                            values.push(parseTabularExpression());
+                        } while (isPunct(peek(), ',') && next());
+                    }
+                    expectPunct(')', `to close the '${token.value}' list`);
+                    left = finish({ kind: 'In', operator: token.value, left: left, values: values, start: left.start });
+                } else if (token.value === 'between' || token.value === '!between') {
+                    next();
+                    expectPunct('(', `after '${token.value}'`);
+                    const low = parseAdditive();
+                    expectPunct('..', 'between the range bounds');
+                    const high = parseAdditive();
+                    expectPunct(')', 'to close the range');
+                    left = finish({ kind: 'Between', operator: token.value, left: left, low: low, high: high, start: left.start });
+                } else if (token.value === 'matches' && isWord(peek(1), 'regex')) {
+                    next();
+                    next();
+                    const right = parseAdditive();
+                    left = { kind: 'Binary', operator: 'matches regex', left: left, right: right, start: left.start, end: right.end };
+                } else if (STRING_OPERATORS.includes(token.value)) {
+                    next();
+                    const right = parseAdditive();
+                    left = { kind: 'Binary', operator: token.value, left: left, right: right, start: left.start, end: right.end };
+                } else {
+                    break;
+                }
+            }
+
+            return left;
+        }
+
+        function parseAdditive() {
+            let left = parseMultiplicative();
+            while (isPunct(peek(), '+') || isPunct(peek(), '-')) {
+                const operator = next().value;
+                const right = parseMultiplicative();
+                left = { kind: 'Binary', operator: operator, left: left, right: right, start: left.start, end: right.end };
+            }
+            return left;
+        }
+
+        function parseMultiplicative() {
+            let left = parseUnary();
+            while (isPunct(peek(), '*') || isPunct(peek(), '/') || isPunct(peek(), '%')) {
+                const operator = next().value;
+                const right = parseUnary();
+                left = { kind: 'Binary', operator: operator, left: left, right: right, start: left.start, end: right.end };
+            }
+            return left;
+        }
+
+        function parseUnary() {
+            const token = peek();
+            if (isPunct(token, '-') || isPunct(token, '+')) {
+                next();
+                const operand = parseUnary();
+                return { kind: 'Unary', operator: token.value, operand: operand, start: token.start, end: operand.end };
+            }
+            return parsePostfix();
+        }
+
+        function parsePostfix() {
+            let expression = parsePrimary();
+
+            while (true) {
+                if (isPunct(peek(), '.')) {
+                    next();
+                    const name = parseName('a property name after \'.\'');
+                    expression = { kind: 'Member', object: expression, name: name.name, start: expression.start, end: name.end };
+                } else if (isPunct(peek(), '[')) {
+                    next();
+                    const key = parseExpression();
+                    expectPunct(']', 'to close the index');
+                    expression = finish({ kind: 'Index', object: expression, index: key, start: expression.start });
+                } else {
+                    return expression;
+                }
+            }
+        }
+
+        function parsePrimary() {
+            const token = peek();
+
+            if (token.kind === 'number') {
+                next();
+                const isReal = /[.eE]/.test(token.value) && !/^0[xX]/.test(token.value);
+                return { kind: 'Literal', type: isReal ? 'real' : 'long', value: Number(token.value), raw: token.value, start: token.start, end: token.end };
+            }
+
+            if (token.kind === 'timespan') {
+                next();
+                return { kind: 'Literal', type: 'timespan', value: token.value, raw: token.value, start: token.start, end: token.end };
+            }
+
+            if (token.kind === 'string') {
+                // Adjacent string literals are concatenated
+                let value = '';
+                let end = token.end;
+                while (peek().kind === 'string') {
+                    const part = next();
+                    value += part.value;
+                    end = part.end;
+                }
+                return { kind: 'Literal', type: 'string', value: value, start: token.start, end: end };
+            }
+
+            if (token.kind === 'identifier') {
+                if (token.value === 'true' || token.value === 'false') {
+                    next();
+                    return { kind: 'Literal', type: 'bool', value: token.value === 'true', raw: token.value, start: token.start, end: token.end };
+                }
+                if (isPunct(peek(1), '(')) {
+                    if (LITERAL_FUNCTIONS.includes(token.value) || token.value === 'typeof') {
+                        return parseTypedLiteral();
+                    }
+                    return parseCall();
+                }
+                next();
+                return { kind: 'Identifier', name: token.value, start: token.start, end: token.end };
+            }
+
+            if (isNameStart()) {
+                const name = parseName('a column name');
+                return { kind: 'Identifier', name: name.name, quoted: true, start: name.start, end: name.end };
+            }
+
+            if (isPunct(token, '(')) {
+                next();
+                const inner = parseTabularExpression();
+                expectPunct(')', 'to close the parenthesis');
+                return finish({ kind: 'Paren', expression: inner, start: token.start });
+            }
+
+            if (isPunct(token, '*')) {
+                next();
+                return { kind: 'Star', start: token.start, end: token.end };
+            }
+
+            raiseUnexpected(token, 'an expression');
+        }
+
+        function parseCall() {
+            const nameToken = next();
+            next();
+            const node = { kind: 'Call', name: nameToken.value, args: [], start: nameToken.start, nameEnd: nameToken.end };
+            if (!isPunct(peek(), ')')) {
+                do {
+                    node.args.push(parseTabularExpression());
+                } while (isPunct(peek(), ',') && next());
+            }
+            expectPunct(')', `to close the call to '${nameToken.value}'`);
+            return finish(node);
+        }
+
+        /**
+         * datetime(2024-01-01), dynamic({"a": 1}), typeof(string), int(null), ...
+         * The text inside the parentheses is kept raw.
+         */
+        function parseTypedLiteral() {
+            const nameToken = next();
+            const open = next();
+            let depth = 0;
+            while (!atEnd()) {
+                const token = peek();
+                if (isPunct(token, '(') || isPunct(token, '[') || isPunct(token, '{')) {
+                    depth++;
+                } else if (token.kind === 'punct' && CLOSING_BRACKETS[token.value]) {
+                    if (depth === 0) {
+                        break;
+                    }
+                    depth--;
+                }
+                next();
+            }
+            const close = expectPunct(')', `to close '${nameToken.value}('`);
+            const raw = sourceText.slice(open.end, close.start).trim();
+
+            if (nameToken.value === 'typeof') {
+                if (!SCALAR_TYPES[raw]) {
+                    raise(nameToken, 'unknown_type', `Unknown type '${raw}' in typeof()`);
+                }
+                return { kind: 'TypeOf', type: SCALAR_TYPES[raw], start: nameToken.start, end: close.end };
+            }
+
+            const node = { kind: 'Literal', type: SCALAR_TYPES[nameToken.value], raw: raw, value: null, start: nameToken.start, end: close.end };
+            if (raw !== 'null') {
+                node.value = decodeTypedLiteral(node.type, raw);
+            }
+            return node;
+        }
+
+        if (entry === 'parameters') {
+            const node = { kind: 'ParameterList', parameters: [], start: 0, end: sourceText.length };
+            try {
+                if (!atEnd()) {
+                    do {
+                        node.parameters.push(parseParameter());
+                    } while (isPunct(peek(), ',') && next());
+                }
+                if (!atEnd()) {
+                    raiseUnexpected(peek(), '\',\' between parameters');
+                }
+            } catch (error) {
+                if (!error.kqlError) {
+                    throw error;
+                }
+                errors.push(error.kqlError);
+            }
+            return { ast: node, errors: errors };
+        }
+
+        const ast = { kind: 'Script', statements: parseStatementList(null), start: 0, end: sourceText.length };
+        return { ast: ast, errors: errors };
+    }
+
+    function decodeTypedLiteral(type, raw) {
+        if (type === 'dynamic') {
+            try {
+                return JSON.parse(raw);
+            } catch (error) {
+                return raw;
+            }
+        }
+        if (type === 'long' || type === 'int' || type === 'real' || type === 'decimal') {
+            const number = Number(raw);
+            return Number.isNaN(number) ? raw : number;
+        }
+        if (type === 'bool') {
+            return raw === 'true' ? true : raw === 'false' ? false : raw;
+        }
+        return raw;
+    }
+
+    // ===== PUBLIC API =====
+
+    /**
+     * Parse KQL text
+     * Returns { ast, errors, tokens }. Each error carries code, message,
+     * severity, start/end offsets and 1-based line/column/endLine/endColumn.
+     */
+    function parse(text) {
+        return parseSource(text);
+    }
+
+    /**
+     * Parse a stored function's parameter declaration, e.g.
+     * "Computer:string, Since:datetime = ago(1d), T:(TimeGenerated:datetime)"
+     * Returns { ast, errors, tokens } like parse(); ast is a ParameterList node
+     * whose parameters are Parameter nodes (name, type, tabularSchema, defaultValue).
+     */
+    function parseParameters(text) {
+        return parseSource(text, 'parameters');
+    }
+
+    function parseSource(text, entry) {
+        const source = typeof text === 'string' ? text : '';
+        const lineStarts = computeLineStarts(source);
+        const lexed = tokenize(source);
+
+        const bracketErrors = checkBrackets(lexed.tokens, lineStarts);
+        const parsed = parseTokens(lexed.tokens, source, entry);
+
+        // A broken string or bracket makes everything after it unreliable, so
+        // grammar errors are only kept up to the first lexical/bracket problem
+        const unterminated = lexed.errors.filter(error => error.code === 'unterminated_string');
+        const structuralErrors = lexed.errors.concat(bracketErrors.filter(error => {
+            return !(/never closed/.test(error.message) && unterminated.some(stringError => stringError.start > error.start));
+        }));
+        const firstStructural = structuralErrors.reduce((min, error) => Math.min(min, error.start), Infinity);
+        const grammarErrors = parsed.errors.filter(error => error.start < firstStructural);
+        const hiddenErrors = parsed.errors.filter(error => error.start > firstStructural);
+
+        const seen = new Set();
+        const errors = structuralErrors.concat(grammarErrors)
+            .sort((a, b) => a.start - b.start)
+            .filter(error => {
+                const key = `${error.start}:${error.code}`;
+                if (seen.has(key)) {
+                    return false;
+                }
+                seen.add(key);
+                return true;
+            })
+            .map(error => {
+                const start = offsetToPosition(lineStarts, error.start);
+                const end = offsetToPosition(lineStarts, error.end);
+                return Object.assign(error, { line: start.line, column: start.column, endLine: end.line, endColumn: end.column });
+            });
+        
+        const firstStructuralError = errors.find(error => error.start === firstStructural);
+        if (firstStructuralError && hiddenErrors.length > 0) {
+            firstStructuralError.hidesLaterErrors = true;
+        }
+
+        return { ast: parsed.ast, errors: errors, tokens: lexed.tokens };
+    }
+
+    /**
+     * Depth-first walk over every AST node
+     * callback(node, parent) may return false to skip the node's children.
+     */
+    function walk(node, callback, parent = null) {
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+        if (Array.isArray(node)) {
+            node.forEach(child => walk(child, callback, parent));
+            return;
+        }
+        if (!node.kind) {
+            return;
+        }
+        if (callback(node, parent) === false) {
+            return;
+        }
+        Object.keys(node).forEach(key => {
+            const value = node[key];
+            if (value && typeof value === 'object') {
+                walk(value, callback, node);
+            }
+        });
+    }
+
+    return {
+        TABULAR_OPERATORS: TABULAR_OPERATORS,
+        SOURCE_OPERATORS: SOURCE_OPERATORS,
+        SCALAR_TYPES: SCALAR_TYPES,
+        tokenize: tokenize,
+        parse: parse,
+        parseParameters: parseParameters,
+        walk: walk,
+        getLineColumn: getLineColumn
+    };
+}));
@@ -0,0 +1,140 @@
+/**
+ * ===============================================================================
+ * AZURE LOG ANALYTICS SCHEMA VALIDATOR - KQL REFERENCES
+ * ===============================================================================
+ *
+ * OVERVIEW:
+ * Lists what a KQL syntax tree from kql-parser.js reads, so manifest checks can
+ * cross-reference stored functions, example queries and transformations with
+ * the tables and columns the manifest declares:
+ * - tables:  tabular sources (the start of a pipeline, union/join/lookup
+ *            operands, table("Name"))
+ * - columns: identifiers read as scalars (where, extend, project, by, ...), the
+ *            $left/$right members of join conditions and the names listed by
+ *            project-away, project-keep and project-reorder
+ * - outputs: column names written by assignments (extend X = ..., project X = ...)
+ *            and by parse patterns (parse Message with "id=" Id:string)
+ * - calls:   functions called by name
+ * - lets:    names bound by let statements, which are neither tables nor columns
+ *
+ * Each reference keeps its start/end character offsets so findings can point at
+ * the exact token.
+ *
+ * MODULE FORMAT:
+ * Universal module - loaded with a <script> tag it exposes
+ * window.LASchemaKqlReferences (load engine/kql-parser.js first), loaded with
+ * require() it exports the same API through module.exports.
+ * ===============================================================================
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./kql-parser.js'));
+    } else {
+        root.LASchemaKqlReferences = factory(root.LASchemaKql);
+    }
+}(typeof self !== 'undefined' ? self : this, function (kqlParser) {
+    'use strict';
+
+    // Operators whose name list selects existing columns
+    const COLUMN_LIST_OPERATORS = ['project-away', 'project-keep', 'project-reorder'];
+
+    // Sides of a join condition
+    const JOIN_SCOPES = ['$left', '$right'];
+
+    /**
+     * Tables, columns, function calls and let names used by a KQL syntax tree
+     *
+     * @param {Object} ast - Script node from kqlParser.parse(text).ast
+     * @returns {Object} { tables, columns, outputs, calls, lets } - arrays of { name, start, end }
+     */
+    function collectReferences(ast) {
+        const references = { tables: [], columns: [], outputs: [], calls: [], lets: [] };
+        const tableNodes = new Set();
+        const joinScopes = new Set();
+
+        kqlParser.walk(ast, (node, parent) => {
+            switch (node.kind) {
+                case 'Let':
+                    references.lets.push(toReference(node.name));
+                    break;
+                case 'Pipeline':
+                    if (node.source && node.source.kind === 'Identifier') {
+                        tableNodes.add(node.source);
+                    }
+                    break;
+                case 'TableReference':
+                    if (!node.isWildcard) {
+                        references.tables.push(toReference(node));
+                    }
+                    break;
+                case 'Assignment':
+                    node.names.forEach(name => references.outputs.push(toReference(name)));
+                    break;
+                case 'PatternColumn':
+                    references.outputs.push(toReference(node));
+                    break;
+                case 'Call':
+                    references.calls.push({ name: node.name, start: node.start, end: node.nameEnd || node.end });
+                    if (node.name === 'table' && node.args && node.args[0] && node.args[0].kind === 'Literal' && typeof node.args[0].value === 'string') {
+                        references.tables.push({ name: node.args[0].value, start: node.args[0].start, end: node.args[0].end });
+                    }
+                    break;
+                case 'Operator':
+                    // join/lookup (Table) on ...
+                    if (node.right && node.right.kind === 'Identifier') {
+                        tableNodes.add(node.right);
+                    }
+                    if (COLUMN_LIST_OPERATORS.includes(node.name)) {
+                        kqlParser.walk(node, child => {
+                            if (child.kind === 'NamePattern' && !child.isWildcard) {
+                                references.columns.push({ name: child.pattern, start: child.start, end: child.end });
+                            }
+                        });
+                    }
+                    break;
+                case 'Member':
+                    // $left.Column / $right.Column in join conditions
+                    if (node.object && node.object.kind === 'Identifier' && JOIN_SCOPES.includes(node.object.name)) {
+                        joinScopes.add(node.object);
+                        references.columns.push({ name: node.name, start: node.end - node.name.length, end: node.end });
+                    }
+                    break;
+                case 'Identifier':
+                    if (joinScopes.has(node)) {
+                        break;
+                    }
+                    if (tableNodes.has(node) || (parent && parent.kind === 'Script')) {
+                        references.tables.push(toReference(node));
+                    } else {
+                        references.columns.push(toReference(node));
+                    }
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        // Names bound by let are variables, not tables or columns
+        const letNames = new Set(references.lets.map(reference => reference.name));
+        references.tables = references.tables.filter(reference => !letNames.has(reference.name));
+        references.columns = references.columns.filter(reference => !letNames.has(reference.name));
+
+        return references;
+    }
+
+    function toReference(node) {
+        return { name: node.name, start: node.start, end: node.end };
+    }
+
+    /**
+     * Distinct names of a reference list, in order of first use
+     */
+    function getNames(references) {
+        return references.map(reference => reference.name).filter((name, index, names) => names.indexOf(name) === index);
+    }
+
+    return {
+        collectReferences: collectReferences,
+        getNames: getNames
+    };
+}));
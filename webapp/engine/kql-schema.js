@@ -0,0 +1,705 @@
+/**
+ * ===============================================================================
+ * AZURE LOG ANALYTICS SCHEMA VALIDATOR - KQL SCHEMA DERIVATION
+ * ===============================================================================
+ *
+ * OVERVIEW:
+ * Works out which columns (and which types) a transformation produces by
+ * walking its pipeline operator by operator, starting from the `source` table
+ * described by the manifest's `input` declarations:
+ *
+ *   source                      -> input columns
+ *   | extend A = tolong(x)      -> + A:long
+ *   | project-rename B = A      -> A renamed to B
+ *   | parse Msg with Id:int *   -> + Id:int
+ *   | project TimeGenerated, B  -> exactly these two columns
+ *
+ * Types are inferred from literals, operators and function signatures. When a
+ * type cannot be known (unknown function, column of an undeclared input) it is
+ * left as null so callers never report a mismatch they cannot prove. When the
+ * set of columns cannot be known (join, evaluate bag_unpack, ...) the schema is
+ * marked open.
+ *
+ * TYPES:
+ * KQL types are used throughout (string, int, long, real, decimal, bool,
+ * datetime, timespan, guid, dynamic). toKqlType() maps manifest types
+ * (String, BigInt, DateTime, ...) onto them.
+ *
+ * MODULE FORMAT:
+ * Universal module - loaded with a <script> tag it exposes window.LASchemaKqlSchema
+ * (load engine/kql-parser.js first), loaded with require() it exports the same
+ * API through module.exports.
+ * ===============================================================================
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./kql-parser.js'));
+    } else {
+        root.LASchemaKqlSchema = factory(root.LASchemaKql);
+    }
+}(typeof self !== 'undefined' ? self : this, function (kqlParser) {
+    'use strict';
+
+    // ===== TYPE MAPPING =====
+
+    // Manifest column and input types -> KQL types
+    const MANIFEST_TO_KQL_TYPES = {
+        string: 'string',
+        bool: 'bool',
+        boolean: 'bool',
+        sbyte: 'int',
+        byte: 'int',
+        short: 'int',
+        ushort: 'int',
+        tinyint: 'int',
+        smallint: 'int',
+        int: 'int',
+        uint: 'long',
+        long: 'long',
+        ulong: 'long',
+        bigint: 'long',
+        float: 'real',
+        double: 'real',
+        real: 'real',
+        decimal: 'decimal',
+        datetime: 'datetime',
+        timespan: 'timespan',
+        guid: 'guid',
+        dynamic: 'dynamic',
+        binary: 'string'
+    };
+
+    const NUMERIC_TYPES = ['int', 'long', 'real', 'decimal'];
+
+    function toKqlType(manifestType) {
+        if (typeof manifestType !== 'string') {
+            return null;
+        }
+        return MANIFEST_TO_KQL_TYPES[manifestType.toLowerCase()] || null;
+    }
+
+    /**
+     * Can a value of KQL type `producedType` be stored in a column declared as
+     * `manifestType`? Unknown types (null) are always accepted.
+     */
+    function isTypeCompatible(producedType, manifestType) {
+        const expectedType = toKqlType(manifestType);
+        if (!producedType || !expectedType || producedType === expectedType) {
+            return true;
+        }
+        // Dynamic values are converted to the column type at ingestion
+        if (producedType === 'dynamic') {
+            return true;
+        }
+        // Whole numbers fit either integer width
+        if ((producedType === 'int' || producedType === 'long') && (expectedType === 'int' || expectedType === 'long')) {
+            return true;
+        }
+        if ((producedType === 'real' || producedType === 'decimal') && (expectedType === 'real' || expectedType === 'decimal')) {
+            return true;
+        }
+        // Guid columns accept their string form
+        if (producedType === 'string' && expectedType === 'guid') {
+            return true;
+        }
+        return false;
+    }
+
+    // ===== FUNCTION SIGNATURES =====
+
+    const FUNCTION_RETURN_TYPES = {
+        string: [
+            'tostring', 'strcat', 'strcat_delim', 'strcat_array', 'substring', 'replace', 'replace_string',
+            'replace_regex', 'trim', 'trim_start', 'trim_end', 'tolower', 'toupper', 'strrep', 'reverse',
+            'translate', 'base64_encode_tostring', 'base64_decode_tostring', 'base64_encodestring',
+            'base64_decodestring', 'url_encode', 'url_decode', 'url_encode_component', 'format_datetime',
+            'format_timespan', 'format_ipv4', 'format_ipv4_mask', 'tohex', 'hash_sha256', 'hash_sha1',
+            'hash_md5', 'hash_xxhash64', 'gettype', 'dynamic_to_json', 'parse_version', 'strcmp_string',
+            'ipv6_compare_string', 'unicode_codepoints_to_string', 'make_string', 'zlib_compress_to_base64_string',
+            'zlib_decompress_from_base64_string', 'gzip_compress_to_base64_string', 'gzip_decompress_from_base64_string',
+            'current_cluster_endpoint', 'current_database', 'current_principal', 'string_format'
+        ],
+        long: [
+            'tolong', 'strlen', 'string_size', 'countof', 'indexof', 'indexof_regex', 'hash', 'array_length',
+            'array_index_of', 'datetime_diff', 'count', 'countif', 'dcount', 'dcountif', 'count_distinct',
+            'count_distinctif', 'row_number', 'parse_ipv4', 'parse_ipv4_mask', 'bitset_count_ones', 'binary_and',
+            'binary_or', 'binary_xor', 'binary_not', 'binary_shift_left', 'binary_shift_right', 'has_any_index',
+            'strcmp', 'ipv4_compare', 'ipv6_compare', 'estimate_data_size', 'bag_keys_count', 'toscalar_count',
+            'unixtime_seconds', 'week_of_year'
+        ],
+        int: [
+            'toint', 'getmonth', 'getyear', 'monthofyear', 'hourofday', 'dayofmonth', 'dayofyear', 'weekofyear',
+            'datetime_part', 'sign'
+        ],
+        real: [
+            'toreal', 'todouble', 'avg', 'avgif', 'stdev', 'stdevif', 'stdevp', 'variance', 'varianceif',
+            'variancep', 'sqrt', 'log', 'log10', 'log2', 'exp', 'exp10', 'exp2', 'pow', 'rand', 'pi', 'sin',
+            'cos', 'tan', 'asin', 'acos', 'atan', 'atan2', 'cot', 'degrees', 'radians', 'gamma', 'loggamma',
+            'geo_distance_2points', 'series_stats_dynamic_avg'
+        ],
+        decimal: ['todecimal'],
+        bool: [
+            'tobool', 'toboolean', 'isempty', 'isnotempty', 'isnull', 'isnotnull', 'isnan', 'isinf',
+            'isfinite', 'not', 'isascii', 'isutf8', 'ipv4_is_private', 'ipv4_is_in_range', 'ipv4_is_in_any_range',
+            'ipv4_is_match', 'ipv6_is_match', 'ipv6_is_in_range', 'ipv6_is_in_any_range', 'bag_has_key',
+            'set_has_element', 'array_iff_bool', 'has_ipv4', 'has_ipv4_prefix', 'has_any_ipv4', 'has_any_ipv4_prefix'
+        ],
+        datetime: [
+            'todatetime', 'now', 'ago', 'datetime_add', 'startofday', 'startofweek', 'startofmonth', 'startofyear',
+            'endofday', 'endofweek', 'endofmonth', 'endofyear', 'make_datetime', 'unixtime_seconds_todatetime',
+            'unixtime_milliseconds_todatetime', 'unixtime_microseconds_todatetime', 'unixtime_nanoseconds_todatetime',
+            'datetime_utc_to_local', 'datetime_local_to_utc', 'ingestion_time', 'bin_at'
+        ],
+        timespan: ['totimespan', 'make_timespan', 'dayofweek'],
+        guid: ['toguid', 'new_guid'],
+        dynamic: [
+            'parse_json', 'parsejson', 'todynamic', 'toobject', 'parse_xml', 'parse_url', 'parse_urlquery',
+            'parse_path', 'parse_user_agent', 'parse_command_line', 'parse_csv', 'split', 'extract_all',
+            'pack', 'pack_array', 'bag_pack', 'bag_pack_columns', 'pack_all', 'pack_dictionary', 'bag_merge',
+            'bag_remove_keys', 'bag_set_key', 'bag_keys', 'array_concat', 'array_slice', 'array_split',
+            'array_sort_asc', 'array_sort_desc', 'array_reverse', 'array_rotate_left', 'array_rotate_right',
+            'array_shift_left', 'array_shift_right', 'array_iff', 'array_iif', 'set_union', 'set_intersect',
+            'set_difference', 'make_list', 'make_list_if', 'make_list_with_nulls', 'make_set', 'make_set_if',
+            'make_bag', 'make_bag_if', 'make_dictionary', 'zip', 'range', 'treepath', 'hll', 'hll_merge',
+            'tdigest', 'tdigest_merge', 'percentiles_array', 'geo_info_from_ip_address', 'repeat',
+            'extract_all', 'regex_split', 'series_decompose', 'todynamic',
+            // Log Analytics ingestion-time additions
+            'geo_location', 'check_malicious_ip', 'parse_cef', 'parse_cef_dictionary',
+            'parse_windows_event_data_xml'
+        ]
+    };
+
+    // Functions whose result has the type of one of their arguments
+    const ARGUMENT_TYPED_FUNCTIONS = {
+        iff: [1, 2],
+        iif: [1, 2],
+        coalesce: 'all',
+        min: [0],
+        max: [0],
+        minif: [0],
+        maxif: [0],
+        min_of: 'all',
+        max_of: 'all',
+        any: [0],
+        anyif: [0],
+        take_any: [0],
+        take_anyif: [0],
+        arg_max: [1],
+        arg_min: [1],
+        sum: [0],
+        sumif: [0],
+        percentile: [0],
+        bin: [0],
+        floor: [0],
+        abs: [0],
+        round: [0],
+        ceiling: [0],
+        prev: [0],
+        next: [0],
+        column_ifexists: [1],
+        assert: [0]
+    };
+
+    const RETURN_TYPE_BY_FUNCTION = {};
+    Object.keys(FUNCTION_RETURN_TYPES).forEach(type => {
+        FUNCTION_RETURN_TYPES[type].forEach(name => {
+            RETURN_TYPE_BY_FUNCTION[name] = type;
+        });
+    });
+
+    // Aggregations usable in summarize (drives the default column names)
+    const AGGREGATE_FUNCTIONS = [
+        'count', 'countif', 'dcount', 'dcountif', 'count_distinct', 'count_distinctif', 'sum', 'sumif',
+        'avg', 'avgif', 'min', 'minif', 'max', 'maxif', 'any', 'anyif', 'take_any', 'take_anyif',
+        'arg_max', 'arg_min', 'make_list', 'make_list_if', 'make_list_with_nulls', 'make_set', 'make_set_if',
+        'make_bag', 'make_bag_if', 'percentile', 'percentiles', 'percentiles_array', 'stdev', 'stdevif',
+        'stdevp', 'variance', 'varianceif', 'variancep', 'hll', 'hll_merge', 'tdigest', 'tdigest_merge',
+        'binary_all_and', 'binary_all_or', 'binary_all_xor', 'buildschema'
+    ];
+
+    // Functions whose return type is not derived (plugins, cross-table and window
+    // functions, ...) - listed so that callers can tell them from unknown names
+    const UNTYPED_FUNCTIONS = [
+        'extract', 'extract_json', 'extractjson', 'case', 'table', 'database', 'cluster', 'workspace', 'app',
+        'resource', 'external_table', 'materialized_view', 'toscalar', 'materialize', 'row_cumsum',
+        'row_rank_dense', 'row_rank_min', 'row_window_session', 'percentiles', 'bag_unpack', 'narrow', 'pivot',
+        'autocluster', 'basket', 'diffpatterns', 'preview', 'format_bytes', 'parse_ipv6', 'parse_ipv6_mask',
+        'ipv4_netmask_suffix', 'series_decompose_anomalies', 'series_decompose_forecast', 'series_fir',
+        'series_iir', 'series_fit_line', 'series_outliers', 'series_stats', 'cursor_current', 'cursor_after',
+        'cursor_before_or_at', 'current_principal_details', 'current_principal_is_member_of'
+    ];
+
+    /**
+     * Whether a name is a KQL function this module knows, typed or not
+     */
+    function isKnownFunction(name) {
+        return Boolean(RETURN_TYPE_BY_FUNCTION[name]) ||
+            Object.prototype.hasOwnProperty.call(ARGUMENT_TYPED_FUNCTIONS, name) ||
+            AGGREGATE_FUNCTIONS.includes(name) ||
+            UNTYPED_FUNCTIONS.includes(name);
+    }
+
+    /**
+     * Return type of a function call, or null when it cannot be determined
+     */
+    function inferCallType(call, scope) {
+        const name = call.name;
+
+        // extract(regex, group, text, typeof(T)) and extract_json(path, json, typeof(T))
+        if (name === 'extract' || name === 'extract_json' || name === 'extractjson') {
+            const typeArgument = call.args.find(arg => arg.kind === 'TypeOf');
+            return typeArgument ? typeArgument.type : 'string';
+        }
+
+        if (name === 'case') {
+            const branches = call.args.filter((arg, index) => index % 2 === 1 || index === call.args.length - 1);
+            return firstKnownType(branches, scope);
+        }
+
+        if (ARGUMENT_TYPED_FUNCTIONS[name]) {
+            const positions = ARGUMENT_TYPED_FUNCTIONS[name];
+            const candidates = positions === 'all' ? call.args : positions.map(position => call.args[position]).filter(Boolean);
+            const type = firstKnownType(candidates, scope);
+            // sum() of small integers is a long
+            return (name === 'sum' || name === 'sumif') && type === 'int' ? 'long' : type;
+        }
+
+        return RETURN_TYPE_BY_FUNCTION[name] || null;
+    }
+
+    function firstKnownType(expressions, scope) {
+        for (const expression of expressions) {
+            const type = inferType(expression, scope);
+            if (type) {
+                return type;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Infer the KQL type of a scalar expression against the current column scope
+     */
+    function inferType(expression, scope) {
+        if (!expression) {
+            return null;
+        }
+
+        switch (expression.kind) {
+            case 'Literal':
+                return expression.type;
+            case 'Identifier': {
+                const column = scope.lookup(expression.name);
+                if (column) {
+                    return column.type;
+                }
+                return expression.name === '$executionContextProperties' ? 'dynamic' : null;
+            }
+            case 'Member':
+            case 'Index':
+                return 'dynamic';
+            case 'Paren':
+                return inferType(expression.expression, scope);
+            case 'Unary':
+                return inferType(expression.operand, scope);
+            case 'In':
+            case 'Between':
+                return 'bool';
+            case 'Binary':
+                return inferBinaryType(expression, scope);
+            case 'Call':
+                return inferCallType(expression, scope);
+            default:
+                return null;
+        }
+    }
+
+    function inferBinaryType(expression, scope) {
+        const operator = expression.operator;
+        if (!['+', '-', '*', '/', '%'].includes(operator)) {
+            // Logical, comparison and string operators
+            return 'bool';
+        }
+
+        const left = inferType(expression.left, scope);
+        const right = inferType(expression.right, scope);
+        if (!left || !right) {
+            return null;
+        }
+
+        if (left === 'datetime' && right === 'datetime' && operator === '-') return 'timespan';
+        if (left === 'datetime' && right === 'timespan') return 'datetime';
+        if (left === 'timespan' && right === 'datetime' && operator === '+') return 'datetime';
+        if (left === 'timespan' && right === 'timespan') return operator === '/' ? 'real' : 'timespan';
+        if (left === 'timespan' && NUMERIC_TYPES.includes(right)) return 'timespan';
+        if (NUMERIC_TYPES.includes(left) && right === 'timespan' && operator === '*') return 'timespan';
+
+        if (NUMERIC_TYPES.includes(left) && NUMERIC_TYPES.includes(right)) {
+            if (left === 'real' || right === 'real') return 'real';
+            if (left === 'decimal' || right === 'decimal') return 'decimal';
+            if (left === 'long' || right === 'long') return 'long';
+            return 'int';
+        }
+        return null;
+    }
+
+    // ===== COLUMN NAMING =====
+
+    /**
+     * Name KQL gives an unnamed expression: X -> X, a.b -> a_b, a['b'] -> a_b
+     */
+    function getImplicitName(expression) {
+        if (!expression) {
+            return null;
+        }
+        if (expression.kind === 'Identifier') {
+            return expression.name;
+        }
+        if (expression.kind === 'Member') {
+            const base = getImplicitName(expression.object);
+            return base ? `${base}_${expression.name}` : null;
+        }
+        if (expression.kind === 'Index' && expression.index.kind === 'Literal') {
+            const base = getImplicitName(expression.object);
+            return base ? `${base}_${expression.index.value}` : null;
+        }
+        if (expression.kind === 'Paren') {
+            return getImplicitName(expression.expression);
+        }
+        return null;
+    }
+
+    function getAggregateName(expression) {
+        if (expression.kind !== 'Call') {
+            return getImplicitName(expression);
+        }
+        const argumentName = expression.args.length > 0 ? getImplicitName(expression.args[0]) : null;
+        return `${expression.name}_${argumentName || ''}`;
+    }
+
+    // ===== SCHEMA MODEL =====
+
+    /**
+     * Ordered set of columns plus an "open" flag for schemas that may hold
+     * columns nobody declared
+     */
+    function createSchema(columns, isOpen) {
+        const schema = {
+            columns: [],
+            isOpen: Boolean(isOpen),
+            lookup: function (name) {
+                return this.columns.find(column => column.name === name) || null;
+            },
+            set: function (column) {
+                const index = this.columns.findIndex(existing => existing.name === column.name);
+                if (index === -1) {
+                    this.columns.push(column);
+                } else {
+                    this.columns[index] = column;
+                }
+            },
+            remove: function (name) {
+                this.columns = this.columns.filter(column => column.name !== name);
+            },
+            clone: function () {
+                return createSchema(this.columns.slice(), this.isOpen);
+            }
+        };
+        (columns || []).forEach(column => schema.set(column));
+        return schema;
+    }
+
+    function column(name, type, node) {
+        return {
+            name: name,
+            type: type || null,
+            start: node ? node.start : null,
+            end: node ? node.end : null
+        };
+    }
+
+    function patternToRegExp(pattern) {
+        const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+        return new RegExp(`^${escaped}$`);
+    }
+
+    // ===== PIPELINE EVALUATION =====
+
+    /**
+     * Apply assignments (extend/project items) to a schema
+     * Items see the columns produced by earlier items in the same list.
+     */
+    function applyAssignments(target, assignments, scope, nameFallback) {
+        let unnamedCount = 0;
+        assignments.forEach(assignment => {
+            const type = inferType(assignment.expression, scope);
+
+            if (assignment.names.length > 1) {
+                // (A, B) = f(...) - element types are not modelled
+                assignment.names.forEach(name => target.set(column(name.name, null, assignment)));
+                return;
+            }
+
+            let name = assignment.names.length === 1 ? assignment.names[0].name : nameFallback(assignment.expression);
+            if (!name) {
+                unnamedCount++;
+                name = `Column${unnamedCount}`;
+            }
+            target.set(column(name, type, assignment));
+        });
+    }
+
+    // Column lookups fall back to scalar `let` values declared before the query
+    function withScalars(schema, context) {
+        return {
+            lookup: name => schema.lookup(name) || context.scalars.lookup(name)
+        };
+    }
+
+    function applyOperator(schema, operator, context) {
+        const next = schema.clone();
+
+        switch (operator.name) {
+            case 'where':
+            case 'filter':
+            case 'take':
+            case 'limit':
+            case 'sample':
+            case 'sort':
+            case 'order':
+            case 'top':
+            case 'as':
+            case 'render':
+            case 'project-reorder':
+                return next;
+
+            case 'extend':
+            case 'serialize':
+                applyAssignments(next, operator.columns || [], withScalars(next, context), getImplicitName);
+                return next;
+
+            case 'project': {
+                const projected = createSchema([], false);
+                applyAssignments(projected, operator.columns, {
+                    lookup: name => projected.lookup(name) || schema.lookup(name) || context.scalars.lookup(name)
+                }, getImplicitName);
+                return projected;
+            }
+
+            case 'project-away':
+                operator.columns.forEach(pattern => {
+                    const matcher = patternToRegExp(pattern.pattern);
+                    next.columns = next.columns.filter(existing => !matcher.test(existing.name));
+                });
+                return next;
+
+            case 'project-keep': {
+                const kept = createSchema([], schema.isOpen && operator.columns.some(pattern => pattern.isWildcard));
+                schema.columns.forEach(existing => {
+                    if (operator.columns.some(pattern => patternToRegExp(pattern.pattern).test(existing.name))) {
+                        kept.set(existing);
+                    }
+                });
+                operator.columns.forEach(pattern => {
+                    if (!pattern.isWildcard && !kept.lookup(pattern.pattern)) {
+                        kept.set(column(pattern.pattern, null, pattern));
+                    }
+                });
+                return kept;
+            }
+
+            case 'project-rename':
+                operator.columns.forEach(assignment => {
+                    const oldName = assignment.expression.name;
+                    const existing = schema.lookup(oldName);
+                    const index = next.columns.findIndex(candidate => candidate.name === oldName);
+                    const renamed = column(assignment.names[0].name, existing ? existing.type : null, assignment);
+                    if (index === -1) {
+                        next.set(renamed);
+                    } else {
+                        next.columns[index] = renamed;
+                    }
+                });
+                return next;
+
+            case 'parse':
+            case 'parse-where':
+                operator.pattern.filter(part => part.kind === 'PatternColumn').forEach(part => {
+                    next.set(column(part.name, part.type, part));
+                });
+                return next;
+
+            case 'mv-expand':
+            case 'mvexpand':
+                operator.columns.forEach(item => {
+                    const name = item.names.length === 1 ? item.names[0].name : getImplicitName(item.expression);
+                    if (name) {
+                        next.set(column(name, item.toType || 'dynamic', item));
+                    }
+                });
+                if (operator.options && operator.options.with_itemindex) {
+                    next.set(column(operator.options.with_itemindex, 'long', operator));
+                }
+                return next;
+
+            case 'summarize': {
+                const summarized = createSchema([], false);
+                applyAssignments(summarized, operator.by || [], withScalars(schema, context), expression => {
+                    if (expression.kind === 'Call' && expression.args.length > 0) {
+                        return getImplicitName(expression.args[0]);
+                    }
+                    return getImplicitName(expression);
+                });
+                (operator.aggregates || []).forEach(assignment => {
+                    const expression = assignment.expression;
+                    // arg_max(Time, *) keeps every input column
+                    if (expression.kind === 'Call' && (expression.name === 'arg_max' || expression.name === 'arg_min') &&
+                        expression.args.some(arg => arg.kind === 'Star')) {
+                        schema.columns.forEach(existing => summarized.set(existing));
+                        summarized.isOpen = schema.isOpen;
+                        return;
+                    }
+                    applyAssignments(summarized, [assignment], withScalars(schema, context), getAggregateName);
+                });
+                return summarized;
+            }
+
+            case 'distinct':
+                if (operator.columns.some(expression => expression.kind === 'Star')) {
+                    return next;
+                }
+                {
+                    const distinct = createSchema([], false);
+                    const items = operator.columns.map(expression => ({ names: [], expression: expression, start: expression.start, end: expression.end }));
+                    applyAssignments(distinct, items, withScalars(schema, context), getImplicitName);
+                    return distinct;
+                }
+
+            case 'count':
+                return createSchema([column(operator.alias ? operator.alias.name : 'Count', 'long', operator)], false);
+
+            case 'getschema':
+                return createSchema([
+                    column('ColumnName', 'string', operator),
+                    column('ColumnOrdinal', 'int', operator),
+                    column('DataType', 'string', operator),
+                    column('ColumnType', 'string', operator)
+                ], false);
+
+            default:
+                // join, lookup, union, evaluate, mv-apply, make-series, ... add columns we cannot see
+                next.isOpen = true;
+                context.openedBy = context.openedBy || operator;
+                return next;
+        }
+    }
+
+    function evaluateSource(node, context) {
+        if (!node) {
+            return createSchema([], true);
+        }
+
+        if (node.kind === 'Pipeline') {
+            let schema = evaluateSource(node.source, context);
+            node.operators.forEach(operator => {
+                schema = applyOperator(schema, operator, context);
+            });
+            return schema;
+        }
+
+        if (node.kind === 'Paren') {
+            return evaluateSource(node.expression, context);
+        }
+
+        if (node.kind === 'Identifier') {
+            if (context.tables[node.name]) {
+                return context.tables[node.name].clone();
+            }
+            if (node.name === context.sourceName && context.inputSchema) {
+                return context.inputSchema.clone();
+            }
+            return createSchema([], true);
+        }
+
+        if (node.kind === 'Operator') {
+            if (node.name === 'datatable') {
+                return createSchema(node.schema.map(declaration => column(declaration.name, declaration.type, declaration)), false);
+            }
+            if (node.name === 'print') {
+                const printed = createSchema([], false);
+                let unnamed = 0;
+                applyAssignments(printed, node.columns, printed, () => `print_${unnamed++}`);
+                return printed;
+            }
+            if (node.name === 'range') {
+                return createSchema([column(node.column.name, inferType(node.from, createSchema([], false)), node)], false);
+            }
+            return applyOperator(createSchema([], true), node, context);
+        }
+
+        return createSchema([], true);
+    }
+
+    /**
+     * Derive the output schema of a KQL script (a transformation or query)
+     *
+     * options.inputColumns - [{ name, type }] declared for the input table
+     *                        (manifest `input`); without it the source is open
+     * options.sourceName   - name of the input table (default 'source')
+     *
+     * Returns { columns: [{ name, type, start, end }], isOpen, openedBy }.
+     * start/end are offsets of the expression that produced the column.
+     */
+    function deriveOutputSchema(astOrText, options = {}) {
+        const ast = typeof astOrText === 'string' ? kqlParser.parse(astOrText).ast : astOrText;
+        const context = {
+            sourceName: options.sourceName || 'source',
+            inputSchema: null,
+            tables: {},
+            scalars: createSchema([], true),
+            openedBy: null
+        };
+
+        if (Array.isArray(options.inputColumns)) {
+            context.inputSchema = createSchema(options.inputColumns
+                .filter(input => input && typeof input.name === 'string')
+                .map(input => column(input.name, toKqlType(input.type), null)), false);
+        }
+
+        let result = null;
+        (ast && ast.statements ? ast.statements : []).forEach(statement => {
+            if (statement.kind === 'Let') {
+                const value = statement.value;
+                if (value && (value.kind === 'Pipeline' || value.kind === 'Operator')) {
+                    context.tables[statement.name.name] = evaluateSource(value, context);
+                } else if (value && value.kind !== 'FunctionDefinition') {
+                    context.scalars.set(column(statement.name.name, inferType(value, context.scalars), value));
+                }
+                return;
+            }
+            if (statement.kind !== 'Directive') {
+                result = statement;
+            }
+        });
+
+        const schema = result ? evaluateSource(result, context) : createSchema([], true);
+        return {
+            columns: schema.columns.map(item => ({ name: item.name, type: item.type, start: item.start, end: item.end })),
+            isOpen: schema.isOpen,
+            openedBy: context.openedBy ? context.openedBy.name : null
+        };
+    }
+
+    return {
+        MANIFEST_TO_KQL_TYPES: MANIFEST_TO_KQL_TYPES,
+        AGGREGATE_FUNCTIONS: AGGREGATE_FUNCTIONS,
+        FUNCTION_RETURN_TYPES: FUNCTION_RETURN_TYPES,
+        deriveOutputSchema: deriveOutputSchema,
+        inferType: function (expression, columns) {
+            return inferType(expression, createSchema(columns || [], true));
+        },
+        toKqlType: toKqlType,
+        isTypeCompatible: isTypeCompatible,
+        isKnownFunction: isKnownFunction
+    };
+}));
@@ -0,0 +1,493 @@
+/**
+ * ===============================================================================
+ * AZURE LOG ANALYTICS SCHEMA VALIDATOR - MANIFEST RULES
+ * ===============================================================================
+ *
+ * OVERVIEW:
+ * The structural rules of NGSchema v3 manifests (*.manifest.json) and transform
+ * manifests (*.transform.manifest.json) in one declarative place: required
+ * fields, field types, allowed values, formats and forbidden names.
+ *
+ * Two consumers read these rules:
+ * - validator-engine.js takes its required field lists, allowed types, states,
+ *   system and reserved column names from here
+ * - generateJsonSchema() turns them into the JSON Schemas published in
+ *   webapp/schemas/ for editor completion and inline errors
+ *
+ * bin/generate-manifest-schemas.js writes those schema files; with --check it
+ * fails when a committed schema no longer matches these rules.
+ *
+ * RULE FORMAT:
+ * Each object rule lists `required` fields, optional `requiredOneOf` groups
+ * (one complete group must be present), `forbidden` fields and `properties`.
+ * A property has a `type` (string, integer, boolean, array) plus any of:
+ * enum, const, minimum, minLength, maxLength, pattern, extension, sentence
+ * (capitalized, ends with a period), forbiddenValues, reservedNames
+ * (case-insensitive), items (a type or the name of another object rule),
+ * itemExamples (recommended values of string items - suggested by editors, not
+ * enforced), minItems and requiredItem (an
+ * array must contain an object with these values).
+ * A property of type object names the object rule it follows in `rule`.
+ *
+ * MODULE FORMAT:
+ * Universal module - loaded with a <script> tag it exposes
+ * window.LASchemaManifestRules, loaded with require() it exports the same API
+ * through module.exports.
+ * ===============================================================================
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LASchemaManifestRules = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ===== VALUE SETS =====
+
+    const SIMPLIFIED_SCHEMA_VERSION = '3';
+
+    const COLUMN_TYPES = ['String', 'Int', 'BigInt', 'SmallInt', 'TinyInt', 'Float', 'Double', 'Bool', 'DateTime', 'Guid', 'Binary', 'Dynamic'];
+
+    const INPUT_TYPES = ['Bool', 'SByte', 'Byte', 'Short', 'UShort', 'Int', 'UInt', 'Long', 'ULong', 'Float', 'Double', 'String', 'DateTime', 'Guid', 'Dynamic'];
+
+    // Lower-cased spellings that are only a casing (or alias) away from a valid type
+    const COLUMN_TYPE_CORRECTIONS = {
+        'string': 'String',
+        'int': 'Int',
+        'bigint': 'BigInt',
+        'smallint': 'SmallInt',
+        'tinyint': 'TinyInt',
+        'float': 'Float',
+        'double': 'Double',
+        'bool': 'Bool',
+        'boolean': 'Bool',
+        'datetime': 'DateTime',
+        'guid': 'Guid',
+        'binary': 'Binary',
+        'dynamic': 'Dynamic'
+    };
+
+    const INPUT_TYPE_CORRECTIONS = {
+        'bool': 'Bool',
+        'sbyte': 'SByte',
+        'byte': 'Byte',
+        'short': 'Short',
+        'ushort': 'UShort',
+        'int': 'Int',
+        'uint': 'UInt',
+        'long': 'Long',
+        'ulong': 'ULong',
+        'float': 'Float',
+        'double': 'Double',
+        'string': 'String',
+        'datetime': 'DateTime',
+        'guid': 'Guid',
+        'dynamic': 'Dynamic'
+    };
+
+    // Column type changes that keep every stored value representable (old → new)
+    const COLUMN_TYPE_WIDENINGS = {
+        'TinyInt': ['SmallInt', 'Int', 'BigInt', 'Float', 'Double'],
+        'SmallInt': ['Int', 'BigInt', 'Float', 'Double'],
+        'Int': ['BigInt', 'Double'],
+        'Float': ['Double']
+    };
+
+    const DATA_TYPE_HINTS = ['IP', 'GUID', 'URI', 'ARMPath'];
+
+    const DEPLOYMENT_STATES = ['Validation', 'Production'];
+
+    // Added by the ingestion pipeline; a table must not declare them
+    const SYSTEM_COLUMNS = ['Type', 'TenantId', '_ResourceId', '_SubscriptionId'];
+
+    // Blocked at deployment regardless of casing
+    const RESERVED_COLUMN_NAMES = ['resource', 'resourceid', 'resourcename', 'resourcetype', 'subscriptionid'];
+
+    const TABLE_NAME_MAX_LENGTH = 45;
+
+    const GUID_PATTERN = '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$';
+
+    const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+
+    // Recommended topics of example queries (tags.Topic)
+    const QUERY_TOPICS = ['Usage', 'Diagnostics', 'Audit', 'Errors', 'Performance', 'Security', 'Alerts'];
+
+    // Description prefix the Schema deprecation guide asks for
+    const DEPRECATED_PREFIX = '[Deprecated]';
+
+    // ===== RULES =====
+
+    const RULES = {
+        manifest: {
+            title: 'NGSchema manifest',
+            description: 'Onboarding manifest (simplifiedSchemaVersion 3) declaring the tables, functions and example queries of a Log Analytics schema.',
+            required: ['type', 'displayName', 'description', 'simplifiedSchemaVersion', 'tables'],
+            properties: {
+                type: { type: 'string', description: 'Manifest kind.' },
+                displayName: { type: 'string', description: 'Name shown for the schema in the Azure portal.' },
+                description: { type: 'string', sentence: true, description: 'What the schema contains. Starts with a capital letter and ends with a period.' },
+                simplifiedSchemaVersion: { type: 'string', const: SIMPLIFIED_SCHEMA_VERSION, description: 'Manifest format version; must be "3".' },
+                icmTeam: { type: 'string', description: 'IcM team that owns the schema.' },
+                contactDL: { type: 'string', description: 'Contact distribution list of the owning team.' },
+                sampleInputRecordsFilePath: { type: 'string', minLength: 1, description: 'Folder with the <tableName>Sample.json input records (default SampleInputRecords/).' },
+                sampleOutputRecordsFilePath: { type: 'string', minLength: 1, description: 'Folder with the <tableName>Sample.json output records (default SampleOutputRecords/).' },
+                tables: { type: 'array', items: 'table', minItems: 1, description: 'Tables created by this schema; at least one.' },
+                functions: { type: 'array', items: 'function', description: 'Stored functions shipped with the schema.' },
+                queries: { type: 'array', items: 'query', description: 'Example queries shown in the Azure portal.' },
+                relatedTables: { type: 'array', description: 'Other tables related to this schema.' },
+                relatedFunctions: { type: 'array', description: 'Other functions related to this schema.' }
+            }
+        },
+        table: {
+            title: 'Table',
+            description: 'A Log Analytics table with its input stream declaration, transformation and output columns.',
+            required: ['description', 'dataTypeId', 'artifactVersion', 'input', 'transformFilePath', 'columns'],
+            requiredOneOf: [['name'], ['workflowName', 'transformName', 'physicalName', 'logicalName']],
+            properties: {
+                name: { type: 'string', maxLength: TABLE_NAME_MAX_LENGTH, description: `Table name, at most ${TABLE_NAME_MAX_LENGTH} characters.` },
+                workflowName: { type: 'string', description: 'Transform pattern: workflow that changes the table type.' },
+                transformName: { type: 'string', description: 'Transform pattern: name of the transform.' },
+                physicalName: { type: 'string', description: 'Transform pattern: physical table name.' },
+                logicalName: { type: 'string', description: 'Transform pattern: logical table name shown to users.' },
+                description: { type: 'string', sentence: true, description: 'What the table contains. Starts with a capital letter and ends with a period.' },
+                dataTypeId: { type: 'string', description: 'Data type identifier, by convention SERVICEIDENTITYNAME_LOGCATEGORYNAME.' },
+                artifactVersion: { type: 'integer', minimum: 1, description: 'Version of the table definition; an integer starting at 1.' },
+                tableState: { type: 'string', enum: DEPLOYMENT_STATES, description: 'Validation while testing, Production once live.' },
+                categories: { type: 'array', description: 'Portal categories of the table.' },
+                isResourceCentric: { type: 'boolean', description: 'Whether the table supports resource-centric queries.' },
+                isHidden: { type: 'boolean', description: 'Hides the table in the portal.' },
+                isTroubleshootingAllowed: { type: 'boolean', description: 'Whether the table can be used for troubleshooting.' },
+                isLakeAllowed: { type: 'boolean', description: 'Whether the table can be stored in the data lake.' },
+                isChangeColumnInternalNameAllowed: { type: 'boolean', description: 'Whether column internal names may change.' },
+                deprecation: { type: 'object', rule: 'deprecation', description: 'Marks the table as deprecated.' },
+                input: { type: 'array', items: 'inputField', description: 'Fields of the incoming data stream the transformation reads.' },
+                transformFilePath: { type: 'string', description: 'KQL file with the ingestion-time transformation, relative to the package folder.' },
+                sampleInputRecordsFilePath: { type: 'string', minLength: 1, description: 'Sample input records of this table - a JSON file, or a folder with <tableName>Sample.json. Overrides the manifest-level path.' },
+                sampleOutputRecordsFilePath: { type: 'string', minLength: 1, description: 'Sample output records of this table - a JSON file, or a folder with <tableName>Sample.json. Overrides the manifest-level path.' },
+                columns: {
+                    type: 'array',
+                    items: 'column',
+                    minItems: 1,
+                    requiredItem: { name: 'TimeGenerated', type: 'DateTime' },
+                    description: 'Output columns of the table; must include TimeGenerated of type DateTime.'
+                }
+            }
+        },
+        inputField: {
+            title: 'Input field',
+            description: 'A field of the incoming data stream.',
+            required: ['name', 'type'],
+            properties: {
+                name: { type: 'string', description: 'Field name as sent by the source.' },
+                type: { type: 'string', enum: INPUT_TYPES, description: 'Type the field is converted to before the transformation runs.' },
+                description: { type: 'string', description: 'What the field contains.' }
+            }
+        },
+        column: {
+            title: 'Column',
+            description: 'An output column of the table.',
+            required: ['type', 'description'],
+            requiredOneOf: [['name'], ['transformName', 'physicalName', 'logicalName']],
+            properties: {
+                name: {
+                    type: 'string',
+                    forbiddenValues: SYSTEM_COLUMNS,
+                    reservedNames: RESERVED_COLUMN_NAMES.concat(['tenantid']),
+                    description: 'Column name. System columns (Type, TenantId, _ResourceId, _SubscriptionId) and reserved names are not allowed.'
+                },
+                transformName: { type: 'string', description: 'Transform pattern: name of the transform.' },
+                physicalName: { type: 'string', description: 'Transform pattern: physical column name.' },
+                logicalName: { type: 'string', description: 'Transform pattern: logical column name shown to users.' },
+                type: { type: 'string', enum: COLUMN_TYPES, description: 'Column data type.' },
+                description: { type: 'string', sentence: true, description: 'What the column contains. Starts with a capital letter and ends with a period.' },
+                isDefaultDisplay: { type: 'boolean', description: 'Shows the column by default in query results.' },
+                isHidden: { type: 'boolean', description: 'Hides the column in the portal.' },
+                isPreferredFacet: { type: 'boolean', description: 'Offers the column as a filter facet.' },
+                dataTypeHint: { type: 'string', enum: DATA_TYPE_HINTS, description: 'How the portal renders the value.' },
+                deprecation: { type: 'object', rule: 'deprecation', description: 'Marks the column as deprecated; a deprecated column must not be isDefaultDisplay.' }
+            }
+        },
+        deprecation: {
+            title: 'Deprecation',
+            description: 'Deprecation of a table or column (see the Schema deprecation guide). The item stays in the manifest until Log Analytics clears it.',
+            required: ['date', 'replacement'],
+            properties: {
+                date: { type: 'string', pattern: DATE_PATTERN, description: 'Date ingestion stops, as YYYY-MM-DD.' },
+                replacement: { type: 'string', minLength: 1, description: 'Table (for a table) or column of the same table (for a column) to use instead.' },
+                reason: { type: 'string', description: 'Why the item is deprecated, or where to read more.' }
+            }
+        },
+        function: {
+            title: 'Function',
+            description: 'A stored function shipped with the schema.',
+            required: ['name', 'displayName', 'description', 'bodyFilePath'],
+            properties: {
+                name: { type: 'string', description: 'Function name used in queries.' },
+                displayName: { type: 'string', description: 'Name shown in the portal.' },
+                description: { type: 'string', sentence: true, description: 'What the function returns. Starts with a capital letter and ends with a period.' },
+                bodyFilePath: { type: 'string', description: 'KQL file with the function body, relative to the package folder.' },
+                parameters: { type: 'string', description: 'Parameter list, e.g. "Param1:string, Param2:datetime = ago(1d)".' },
+                categories: { type: 'array', description: 'Portal categories of the function.' },
+                relatedTables: { type: 'array', items: 'string', description: 'Tables the function reads.' }
+            }
+        },
+        query: {
+            title: 'Query',
+            description: 'An example query shown in the portal.',
+            required: ['displayName', 'description', 'bodyFilePath'],
+            properties: {
+                id: { type: 'string', pattern: GUID_PATTERN, description: 'Stable query identifier (GUID).' },
+                displayName: { type: 'string', description: 'Name shown in the portal.' },
+                description: { type: 'string', sentence: true, description: 'What the query shows. Starts with a capital letter and ends with a period.' },
+                bodyFilePath: { type: 'string', description: 'KQL file with the query, relative to the package folder.' },
+                categories: { type: 'array', description: 'Portal categories of the query.' },
+                relatedTables: { type: 'array', items: 'string', description: 'Tables the query reads; the portal lists the query under them.' },
+                tags: { type: 'object', rule: 'queryTags', description: 'Grouping dimensions of the query.' },
+                properties: { type: 'object', rule: 'queryProperties', description: 'Metadata copied from the example query template.' }
+            }
+        },
+        queryTags: {
+            title: 'Query tags',
+            description: 'Grouping dimensions the Logs UI shows for an example query.',
+            required: [],
+            properties: {
+                Topic: { type: 'array', items: 'string', itemExamples: QUERY_TOPICS, minItems: 1, description: `Topics the query is grouped under: ${QUERY_TOPICS.join(', ')}.` }
+            }
+        },
+        queryProperties: {
+            title: 'Query properties',
+            description: 'Metadata of an example query, available through the metadata API.',
+            required: [],
+            properties: {
+                ExampleQuery: { type: 'boolean', description: 'Whether the query is offered as an example query.' },
+                QueryAttributes: { type: 'object', rule: 'queryAttributes', description: 'Scopes the query supports.' }
+            }
+        },
+        queryAttributes: {
+            title: 'Query attributes',
+            description: 'Scopes an example query supports.',
+            required: [],
+            properties: {
+                IsMultiResource: { type: 'boolean', description: 'Whether the query also runs over several resources (workspace, resource group).' }
+            }
+        },
+        transformManifest: {
+            title: 'Transform manifest',
+            description: 'Additional transformation sending data of a data type to an existing table.',
+            required: ['name', 'description', 'transformVersion', 'dataTypeId', 'transformState', 'icmTeam', 'contactDL', 'relatedTable', 'kqlFilePath', 'sampleInputRecordsFilePath', 'sampleOutputRecordsFilePath'],
+            forbidden: ['type', 'displayName', 'simplifiedSchemaVersion', 'tables', 'functions', 'queries'],
+            properties: {
+                name: { type: 'string', description: 'Transform name.' },
+                description: { type: 'string', sentence: true, description: 'What the transform does. Starts with a capital letter and ends with a period.' },
+                transformVersion: { type: 'integer', minimum: 1, description: 'Version of the transform; an integer starting at 1.' },
+                dataTypeId: { type: 'string', description: 'Data type identifier, by convention SERVICEIDENTITYNAME_LOGCATEGORYNAME.' },
+                transformState: { type: 'string', enum: DEPLOYMENT_STATES, description: 'Validation while testing, Production once live.' },
+                icmTeam: { type: 'string', description: 'IcM team that owns the transform.' },
+                contactDL: { type: 'string', description: 'Contact distribution list of the owning team.' },
+                relatedTable: { type: 'string', description: 'Table the transform sends data to.' },
+                kqlFilePath: { type: 'string', extension: '.kql', description: 'KQL file with the transformation.' },
+                sampleInputRecordsFilePath: { type: 'string', extension: '.json', description: 'JSON file with sample input records.' },
+                sampleOutputRecordsFilePath: { type: 'string', extension: '.json', description: 'JSON file with the expected output records.' },
+                inputFilePath: { type: 'string', extension: '.json', description: 'Input stream declaration, for new data types only.' }
+            }
+        }
+    };
+
+    /**
+     * Names of the properties of an object rule that have the given type
+     */
+    function getFieldsOfType(ruleName, type) {
+        const properties = RULES[ruleName].properties;
+        return Object.keys(properties).filter(name => properties[name].type === type);
+    }
+
+    // ===== JSON SCHEMA =====
+
+    const SCHEMA_BASE_URL = 'https://happy-water-01a48df10.2.azurestaticapps.net/schemas/';
+
+    // Root rule and published file name of each generated schema
+    const SCHEMA_FILES = {
+        manifest: 'ngschema.manifest.schema.json',
+        transformManifest: 'transform.manifest.schema.json'
+    };
+
+    // Capitalized sentence, optionally behind the deprecation prefix
+    const DESCRIPTION_PATTERN = `^(${escapeRegExp(DEPRECATED_PREFIX)} )?[A-Z][\\s\\S]*\\.$`;
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Case-insensitive alternation without the unsupported (?i) flag: "ab" → "[aA][bB]"
+     */
+    function caseInsensitivePattern(word) {
+        return word.split('').map(char => {
+            const lower = char.toLowerCase();
+            const upper = char.toUpperCase();
+            return lower === upper ? escapeRegExp(char) : `[${lower}${upper}]`;
+        }).join('');
+    }
+
+    function toPropertySchema(property, referencedRules) {
+        const schema = {};
+        if (property.description) {
+            schema.description = property.description;
+        }
+        schema.type = property.type;
+
+        if (property.const !== undefined) {
+            schema.const = property.const;
+        }
+        if (property.enum) {
+            schema.enum = property.enum.slice();
+        }
+        if (property.minimum !== undefined) {
+            schema.minimum = property.minimum;
+        }
+        if (property.minLength !== undefined) {
+            schema.minLength = property.minLength;
+        }
+        if (property.maxLength !== undefined) {
+            schema.maxLength = property.maxLength;
+        }
+        if (property.pattern) {
+            schema.pattern = property.pattern;
+        }
+        if (property.sentence) {
+            schema.pattern = DESCRIPTION_PATTERN;
+        }
+        if (property.extension) {
+            schema.pattern = `${escapeRegExp(property.extension)}$`;
+        }
+        if (property.reservedNames) {
+            schema.pattern = `^(?!(${property.reservedNames.map(caseInsensitivePattern).join('|')})$)`;
+        }
+        if (property.forbiddenValues) {
+            schema.not = { enum: property.forbiddenValues.slice() };
+        }
+
+        if (property.rule) {
+            referencedRules.push(property.rule);
+            return { description: property.description, $ref: `#/definitions/${property.rule}` };
+        }
+
+        if (property.items) {
+            if (RULES[property.items]) {
+                referencedRules.push(property.items);
+                schema.items = { $ref: `#/definitions/${property.items}` };
+            } else {
+                schema.items = { type: property.items };
+                if (property.itemExamples) {
+                    schema.items.examples = property.itemExamples.slice();
+                }
+            }
+        }
+        if (property.minItems !== undefined) {
+            schema.minItems = property.minItems;
+        }
+        if (property.requiredItem) {
+            const itemProperties = {};
+            Object.keys(property.requiredItem).forEach(name => {
+                itemProperties[name] = { const: property.requiredItem[name] };
+            });
+            schema.contains = {
+                required: Object.keys(property.requiredItem),
+                properties: itemProperties
+            };
+        }
+
+        return schema;
+    }
+
+    function toObjectSchema(ruleName, referencedRules) {
+        const rule = RULES[ruleName];
+        const schema = {
+            title: rule.title,
+            description: rule.description,
+            type: 'object',
+            required: rule.required.slice(),
+            properties: {}
+        };
+
+        Object.keys(rule.properties).forEach(name => {
+            const property = toPropertySchema(rule.properties[name], referencedRules);
+            // Required means "present and not empty" in the validator
+            const isConstrained = property.pattern !== undefined || property.const !== undefined || property.enum !== undefined;
+            if (property.type === 'string' && rule.required.includes(name) && !isConstrained && property.minLength === undefined) {
+                property.minLength = 1;
+            }
+            schema.properties[name] = property;
+        });
+
+        (rule.forbidden || []).forEach(name => {
+            schema.properties[name] = {
+                description: `Not allowed here: "${name}" belongs to the NGSchema manifest.`,
+                not: {}
+            };
+        });
+
+        if (rule.requiredOneOf) {
+            schema.anyOf = rule.requiredOneOf.map(group => ({ required: group.slice() }));
+        }
+
+        return schema;
+    }
+
+    /**
+     * JSON Schema (draft-07) for a manifest kind: 'manifest' or 'transformManifest'
+     */
+    function generateJsonSchema(kind) {
+        if (!SCHEMA_FILES[kind]) {
+            throw new Error(`Unknown manifest kind: ${kind}`);
+        }
+
+        const referencedRules = [];
+        const rootSchema = toObjectSchema(kind, referencedRules);
+        const schema = Object.assign({
+            $schema: 'http://json-schema.org/draft-07/schema#',
+            $id: SCHEMA_BASE_URL + SCHEMA_FILES[kind]
+        }, rootSchema);
+
+        // Editors add "$schema" to point at this file
+        schema.properties = Object.assign({
+            $schema: { description: 'JSON Schema used by editors for completion and validation.', type: 'string' }
+        }, schema.properties);
+
+        if (referencedRules.length > 0) {
+            schema.definitions = {};
+            for (let i = 0; i < referencedRules.length; i++) {
+                const ruleName = referencedRules[i];
+                if (!schema.definitions[ruleName]) {
+                    schema.definitions[ruleName] = toObjectSchema(ruleName, referencedRules);
+                }
+            }
+        }
+
+        return schema;
+    }
+
+    return {
+        SIMPLIFIED_SCHEMA_VERSION: SIMPLIFIED_SCHEMA_VERSION,
+        COLUMN_TYPES: COLUMN_TYPES,
+        INPUT_TYPES: INPUT_TYPES,
+        COLUMN_TYPE_CORRECTIONS: COLUMN_TYPE_CORRECTIONS,
+        INPUT_TYPE_CORRECTIONS: INPUT_TYPE_CORRECTIONS,
+        COLUMN_TYPE_WIDENINGS: COLUMN_TYPE_WIDENINGS,
+        DATA_TYPE_HINTS: DATA_TYPE_HINTS,
+        DEPLOYMENT_STATES: DEPLOYMENT_STATES,
+        SYSTEM_COLUMNS: SYSTEM_COLUMNS,
+        RESERVED_COLUMN_NAMES: RESERVED_COLUMN_NAMES,
+        TABLE_NAME_MAX_LENGTH: TABLE_NAME_MAX_LENGTH,
+        GUID_PATTERN: GUID_PATTERN,
+        DATE_PATTERN: DATE_PATTERN,
+        DEPRECATED_PREFIX: DEPRECATED_PREFIX,
+        QUERY_TOPICS: QUERY_TOPICS,
+        RULES: RULES,
+        SCHEMA_FILES: SCHEMA_FILES,
+        getFieldsOfType: getFieldsOfType,
+        generateJsonSchema: generateJsonSchema
+    };
+}));
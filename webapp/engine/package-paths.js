@@ -0,0 +1,203 @@
+/**
+ * ===============================================================================
+ * AZURE LOG ANALYTICS SCHEMA VALIDATOR - PACKAGE PATHS
+ * ===============================================================================
+ *
+ * OVERVIEW:
+ * Resolves the paths a manifest references (tables[].transformFilePath,
+ * functions[] and queries[] bodyFilePath, the sample record paths and the
+ * kqlFilePath of transform manifests) against the package entries. Paths are
+ * relative to the folder holding the manifest, which is also the package
+ * root: a path may not climb above it.
+ *
+ * resolvePath() returns one of these statuses:
+ * - resolved:        the path names an entry (or, for folders, a folder with files)
+ * - missing:         nothing in the package has this path
+ * - case_mismatch:   only an entry whose path differs in case exists (actualPath)
+ * - outside_package: the path is absolute or climbs above the manifest's folder
+ * - wrong_kind:      the entry exists but is a folder, or a file of another type
+ * - invalid:         the path is not a non-empty string
+ *
+ * Files selected one by one carry no folders, so when no entry has a folder a
+ * file is matched by its name alone.
+ *
+ * MODULE FORMAT:
+ * Universal module - loaded with a <script> tag it exposes
+ * window.LASchemaPackagePaths, loaded with require() it exports the same API
+ * through module.exports.
+ * ===============================================================================
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LASchemaPackagePaths = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ===== PATHS =====
+
+    /**
+     * Path of a package entry - relativePath for folder uploads, the name otherwise
+     */
+    function getFilePath(file) {
+        return String(file.relativePath || file.name).replace(/\\/g, '/');
+    }
+
+    /**
+     * Folder of a package path, with a trailing slash ('' at the top)
+     */
+    function getFolder(path) {
+        const index = path.lastIndexOf('/');
+        return index === -1 ? '' : path.slice(0, index + 1);
+    }
+
+    function hasExtension(path, extensions) {
+        const lowerPath = path.toLowerCase();
+        return extensions.some(extension => lowerPath.endsWith(extension.toLowerCase()));
+    }
+
+    /**
+     * Join a manifest-relative path to the manifest's folder
+     *
+     * @returns {Object} { path, isOutside } - path has no '.' or '..' segments
+     */
+    function joinPath(folder, referencedPath) {
+        const normalized = referencedPath.trim().replace(/\\/g, '/');
+        if (/^\//.test(normalized) || /^[a-zA-Z]:\//.test(normalized) || /^[a-z][a-z0-9+.-]*:\/\//i.test(normalized)) {
+            return { path: normalized, isOutside: true };
+        }
+
+        const baseDepth = folder.split('/').filter(Boolean).length;
+        const segments = folder.split('/').filter(Boolean);
+        let isOutside = false;
+        normalized.split('/').forEach(segment => {
+            if (segment === '' || segment === '.') {
+                return;
+            }
+            if (segment === '..') {
+                isOutside = isOutside || segments.length <= baseDepth;
+                segments.pop();
+                return;
+            }
+            segments.push(segment);
+        });
+
+        const isFolder = normalized.endsWith('/');
+        return { path: segments.join('/') + (isFolder && segments.length > 0 ? '/' : ''), isOutside: isOutside };
+    }
+
+    // ===== RESOLUTION =====
+
+    /**
+     * Resolve a path referenced by a manifest
+     *
+     * @param {Array} files - Package entries { name, relativePath, content }
+     * @param {Object} manifestFile - Entry of the manifest holding the path
+     * @param {string} referencedPath - Path as written in the manifest
+     * @param {Object} expect - { kind: 'file' | 'folder' | 'fileOrFolder', extensions: ['.kql'] }
+     * @returns {Object} { status, path, file, files, actualPath, expectedKind }
+     */
+    function resolvePath(files, manifestFile, referencedPath, expect = {}) {
+        const kind = expect.kind || 'file';
+        const extensions = expect.extensions || [];
+        const expectedKind = describeKind(kind, extensions);
+
+        if (typeof referencedPath !== 'string' || referencedPath.trim() === '') {
+            return { status: 'invalid', path: referencedPath, expectedKind: expectedKind };
+        }
+
+        const manifestPath = getFilePath(manifestFile);
+        const joined = joinPath(getFolder(manifestPath), referencedPath);
+        if (joined.isOutside) {
+            return { status: 'outside_package', path: joined.path, expectedKind: expectedKind };
+        }
+
+        const targetPath = joined.path.replace(/\/$/, '');
+        const isFlatUpload = files.every(file => !getFilePath(file).includes('/'));
+
+        // A file with exactly this path
+        const exactFile = isFlatUpload
+            ? files.find(file => file.name === targetPath.split('/').pop())
+            : files.find(file => getFilePath(file) === targetPath);
+        if (exactFile) {
+            const isRightKind = kind !== 'folder' && (extensions.length === 0 || hasExtension(targetPath, extensions));
+            return {
+                status: isRightKind ? 'resolved' : 'wrong_kind',
+                path: getFilePath(exactFile),
+                file: exactFile,
+                expectedKind: expectedKind
+            };
+        }
+
+        // A folder with this path
+        const folderFiles = targetPath === '' ? [] : getFilesInFolder(files, targetPath + '/');
+        if (folderFiles.length > 0) {
+            return {
+                status: kind === 'file' ? 'wrong_kind' : 'resolved',
+                path: targetPath + '/',
+                files: folderFiles,
+                expectedKind: expectedKind
+            };
+        }
+
+        // The same path in another case (Windows and macOS ignore case, the deployment does not)
+        const lowerTarget = targetPath.toLowerCase();
+        const differentCase = isFlatUpload
+            ? files.find(file => file.name.toLowerCase() === lowerTarget.split('/').pop())
+            : files.find(file => getFilePath(file).toLowerCase() === lowerTarget);
+        if (differentCase) {
+            return { status: 'case_mismatch', path: targetPath, actualPath: getFilePath(differentCase), file: differentCase, expectedKind: expectedKind };
+        }
+        const differentCaseFolder = lowerTarget === '' ? null : files.find(file => getFilePath(file).toLowerCase().startsWith(lowerTarget + '/'));
+        if (differentCaseFolder) {
+            const actualPath = getFilePath(differentCaseFolder).slice(0, targetPath.length) + '/';
+            return { status: 'case_mismatch', path: targetPath + '/', actualPath: actualPath, expectedKind: expectedKind };
+        }
+
+        return { status: 'missing', path: joined.path, expectedKind: expectedKind };
+    }
+
+    /**
+     * Package entries anywhere below a folder path ('' is the top of the upload)
+     */
+    function getFilesInFolder(files, folderPath) {
+        return files.filter(file => {
+            const path = getFilePath(file);
+            return path.startsWith(folderPath) && path !== folderPath;
+        });
+    }
+
+    /**
+     * Whether a package entry lies in a resolved folder, or is the resolved file
+     */
+    function isInResolvedPath(file, resolution) {
+        if (!resolution || resolution.status !== 'resolved') {
+            return false;
+        }
+        if (resolution.file) {
+            return resolution.file === file;
+        }
+        return resolution.files.includes(file);
+    }
+
+    function describeKind(kind, extensions) {
+        const typeName = extensions.length > 0 ? `${extensions.join(' or ')} file` : 'file';
+        if (kind === 'folder') {
+            return 'folder';
+        }
+        if (kind === 'fileOrFolder') {
+            return `folder or ${typeName}`;
+        }
+        return typeName;
+    }
+
+    return {
+        getFilePath: getFilePath,
+        getFolder: getFolder,
+        resolvePath: resolvePath,
+        getFilesInFolder: getFilesInFolder,
+        isInResolvedPath: isInResolvedPath
+    };
+}));
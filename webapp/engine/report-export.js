@@ -0,0 +1,438 @@
+/**
+ * ===============================================================================
+ * AZURE LOG ANALYTICS SCHEMA VALIDATOR - REPORT EXPORT
+ * ===============================================================================
+ *
+ * OVERVIEW:
+ * Turns the validation results produced by the engine into machine-readable
+ * reports that other tools can consume:
+ *
+ * - JSON:  stable, versioned copy of the full results array (no file contents)
+ * - SARIF: 2.1.0 log so findings show up in code-scanning views with file/line
+ * - JUnit: XML with one test suite per file and one test case per rule
+ *
+ * Findings are identified by their stable rule ID (see rule-catalog.js); SARIF
+ * rule descriptors carry the catalogue's title, rationale and requirement.
+ *
+ * SARIF artifact URIs are relative to %SRCROOT% (the repository checkout).
+ * options.sourcePaths maps package paths to their path below that root and
+ * options.sourceRoot, an absolute file URI, records where it was on disk.
+ *
+ * Every exporter is a pure function of the results array - the web UI offers
+ * them as downloads and the la-schema-validate CLI writes them with --format.
+ *
+ * MODULE FORMAT:
+ * Universal module - loaded with a <script> tag it exposes window.LASchemaReport,
+ * loaded with require() it exports the same API through module.exports.
+ * ===============================================================================
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./validator-engine.js'), require('./rule-catalog.js'));
+    } else {
+        root.LASchemaReport = factory(root.LASchemaEngine, root.LASchemaRuleCatalog);
+    }
+}(typeof self !== 'undefined' ? self : this, function (engine, ruleCatalog) {
+    'use strict';
+
+    const REPORT_FORMAT_VERSION = 1;
+
+    const TOOL_NAME = 'LA Schema Validator';
+    const TOOL_VERSION = '1.0.0';
+    const TOOL_INFORMATION_URI = 'https://github.com/osalzberg/LASchemaValidator-Enhanced';
+
+    const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+    // Fixed key order for exported findings so reports diff cleanly between runs
+    const FINDING_KEYS = [
+        'message',
+        'type',
+        'ruleId',
+        'severity',
+        'field',
+        'location',
+        'lineNumber',
+        'column',
+        'endLineNumber',
+        'endColumn',
+        'currentValue',
+        'expectedValue',
+        'suggestion',
+        'fixInstructions',
+        'microsoftRequirement'
+    ];
+
+    // ===== SHARED HELPERS =====
+
+    /**
+     * Normalize an issue or warning into a plain object with a stable key order
+     * Plain string findings become { message, type: 'general', severity }.
+     */
+    function normalizeFinding(finding, defaultSeverity) {
+        if (typeof finding !== 'object' || finding === null) {
+            return {
+                message: String(finding),
+                type: 'general',
+                severity: defaultSeverity
+            };
+        }
+
+        const normalized = {};
+        FINDING_KEYS.forEach(key => {
+            if (key === 'type') {
+                normalized.type = finding.type || 'unknown';
+            } else if (key === 'severity') {
+                normalized.severity = finding.severity || defaultSeverity;
+            } else if (finding[key] !== undefined) {
+                normalized[key] = finding[key];
+            }
+        });
+
+        // Rule-specific extras (tableName, declaredPath, ...) follow in sorted order
+        Object.keys(finding)
+            .filter(key => !FINDING_KEYS.includes(key) && finding[key] !== undefined && typeof finding[key] !== 'function')
+            .sort()
+            .forEach(key => {
+                normalized[key] = finding[key];
+            });
+
+        return normalized;
+    }
+
+    /**
+     * Package-relative path of a result, or null for package-level results
+     * such as the folder structure analysis and the package rules
+     */
+    function getResultPath(result) {
+        if (result.folderAnalysis || result.type === 'folder' || result.type === 'package') {
+            return null;
+        }
+        return result.relativePath || result.filename;
+    }
+
+    function getResultLabel(result) {
+        return getResultPath(result) || result.filename;
+    }
+
+    function getRuleId(finding) {
+        return finding.ruleId || finding.type || 'general';
+    }
+
+    function getRuleTitle(finding, isWarning) {
+        const rule = ruleCatalog.getRule(finding.ruleId);
+        if (rule) {
+            return rule.title;
+        }
+        const type = finding.type || 'general';
+        return isWarning ? engine.getWarningCategoryName(type) : engine.getIssueCategoryName(type);
+    }
+
+    function getToolInfo(options) {
+        return {
+            name: (options && options.toolName) || TOOL_NAME,
+            version: (options && options.toolVersion) || TOOL_VERSION
+        };
+    }
+
+    /**
+     * Flatten every result into { result, finding, isWarning } entries,
+     * errors before warnings and suppressed findings last within a file
+     */
+    function collectFindings(results) {
+        const entries = [];
+        results.forEach(result => {
+            (result.issues || []).forEach(issue => {
+                entries.push({ result: result, finding: normalizeFinding(issue, 'error'), isWarning: false });
+            });
+            (result.warnings || []).forEach(warning => {
+                entries.push({ result: result, finding: normalizeFinding(warning, 'warning'), isWarning: true });
+            });
+            (result.suppressed || []).forEach(finding => {
+                entries.push({ result: result, finding: normalizeFinding(finding, 'warning'), isWarning: finding.severity !== 'error' });
+            });
+        });
+        return entries;
+    }
+
+    // ===== JSON =====
+
+    /**
+     * Build the JSON report object
+     * File contents (originalContent/parsedContent) are left out so the report
+     * only changes when the findings change.
+     */
+    function createJsonReport(results, options = {}) {
+        return {
+            formatVersion: REPORT_FORMAT_VERSION,
+            tool: getToolInfo(options),
+            summary: engine.summarizeResults(results),
+            results: results.map(result => {
+                const exported = {
+                    path: getResultPath(result),
+                    filename: result.filename,
+                    displayName: result.displayName || result.filename,
+                    type: result.type,
+                    status: result.status,
+                    fileSize: result.fileSize || 0,
+                    issues: (result.issues || []).map(issue => normalizeFinding(issue, 'error')),
+                    warnings: (result.warnings || []).map(warning => normalizeFinding(warning, 'warning'))
+                };
+                if (result.suppressed && result.suppressed.length > 0) {
+                    exported.suppressed = result.suppressed.map(finding => normalizeFinding(finding, 'warning'));
+                }
+                if (result.isTransformManifest) {
+                    exported.isTransformManifest = true;
+                }
+                return exported;
+            })
+        };
+    }
+
+    function exportJson(results, options = {}) {
+        return JSON.stringify(createJsonReport(results, options), null, 2) + '\n';
+    }
+
+    // ===== SARIF =====
+
+    // Base of every artifact URI, resolved by code-scanning tools to the checkout
+    const SARIF_SOURCE_ROOT = '%SRCROOT%';
+
+    function toSarifLevel(severity) {
+        if (severity === 'error') return 'error';
+        if (severity === 'warning') return 'warning';
+        return 'note';
+    }
+
+    function createSarifLog(results, options = {}) {
+        const tool = getToolInfo(options);
+        const rules = [];
+        const ruleIndexById = {};
+        const sarifResults = [];
+
+        collectFindings(results).forEach(entry => {
+            const { result, finding, isWarning } = entry;
+            const ruleId = getRuleId(finding);
+
+            if (ruleIndexById[ruleId] === undefined) {
+                ruleIndexById[ruleId] = rules.length;
+                const catalogRule = ruleCatalog.getRule(finding.ruleId);
+                const rule = {
+                    id: ruleId,
+                    shortDescription: { text: getRuleTitle(finding, isWarning) },
+                    defaultConfiguration: { level: toSarifLevel(catalogRule ? catalogRule.severity : finding.severity) }
+                };
+                if (catalogRule) {
+                    rule.fullDescription = { text: catalogRule.rationale };
+                    rule.help = { text: catalogRule.microsoftRequirement };
+                    rule.properties = { category: catalogRule.category };
+                }
+                if (finding.documentationUrl) {
+                    rule.helpUri = finding.documentationUrl;
+                }
+                rules.push(rule);
+            }
+
+            const sarifResult = {
+                ruleId: ruleId,
+                ruleIndex: ruleIndexById[ruleId],
+                level: toSarifLevel(finding.severity),
+                message: { text: finding.message }
+            };
+            if (finding.suppression) {
+                sarifResult.suppressions = [{ kind: 'external', justification: finding.suppression.justification }];
+            }
+
+            const location = {};
+            const resultPath = getResultPath(result);
+            if (resultPath) {
+                const sourcePath = (options.sourcePaths && options.sourcePaths[resultPath]) || resultPath;
+                location.physicalLocation = {
+                    artifactLocation: { uri: encodeURI(sourcePath), uriBaseId: SARIF_SOURCE_ROOT }
+                };
+                if (finding.lineNumber) {
+                    location.physicalLocation.region = { startLine: finding.lineNumber };
+                    if (finding.column) {
+                        location.physicalLocation.region.startColumn = finding.column;
+                    }
+                    if (finding.endLineNumber && finding.endColumn) {
+                        location.physicalLocation.region.endLine = finding.endLineNumber;
+                        location.physicalLocation.region.endColumn = finding.endColumn;
+                    }
+                }
+            }
+            if (finding.location) {
+                location.logicalLocations = [{ fullyQualifiedName: finding.location }];
+            }
+            if (Object.keys(location).length > 0) {
+                sarifResult.locations = [location];
+            }
+
+            const properties = {};
+            ['field', 'currentValue', 'expectedValue', 'suggestion', 'microsoftRequirement'].forEach(key => {
+                if (finding[key] !== undefined) {
+                    properties[key] = finding[key];
+                }
+            });
+            if (Object.keys(properties).length > 0) {
+                sarifResult.properties = properties;
+            }
+
+            sarifResults.push(sarifResult);
+        });
+
+        const run = {
+            tool: {
+                driver: {
+                    name: tool.name,
+                    version: tool.version,
+                    informationUri: TOOL_INFORMATION_URI,
+                    rules: rules
+                }
+            },
+            results: sarifResults
+        };
+        if (options.sourceRoot) {
+            run.originalUriBaseIds = { [SARIF_SOURCE_ROOT]: { uri: options.sourceRoot } };
+        }
+
+        return {
+            $schema: SARIF_SCHEMA,
+            version: '2.1.0',
+            runs: [run]
+        };
+    }
+
+    function exportSarif(results, options = {}) {
+        return JSON.stringify(createSarifLog(results, options), null, 2) + '\n';
+    }
+
+    // ===== JUNIT =====
+
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;')
+            // Control characters are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    }
+
+    function describeFindingForText(finding) {
+        let text = finding.message;
+        if (finding.location) {
+            const position = finding.lineNumber ? `:${finding.lineNumber}${finding.column ? ':' + finding.column : ''}` : '';
+            text += ` (at ${finding.location}${position})`;
+        }
+        if (finding.suggestion) {
+            text += `\n  Fix: ${finding.suggestion}`;
+        }
+        return text;
+    }
+
+    /**
+     * Build JUnit XML: one <testsuite> per file, one <testcase> per rule
+     * A rule with errors becomes a failed test case; warnings are attached as
+     * <system-out> of a passing test case. Files without findings get a single
+     * passing test case.
+     */
+    function exportJUnit(results, options = {}) {
+        const tool = getToolInfo(options);
+        const summary = engine.summarizeResults(results);
+        const suites = [];
+        let totalTests = 0;
+        let totalFailures = 0;
+
+        results.forEach(result => {
+            const label = getResultLabel(result);
+            const resultPath = getResultPath(result);
+            const className = resultPath ? resultPath.replace(/\.[^./]+$/, '').replace(/[\\/]/g, '.') : 'package';
+            const rulesById = {};
+            const ruleOrder = [];
+
+            (result.issues || []).map(issue => normalizeFinding(issue, 'error'))
+                .concat((result.warnings || []).map(warning => normalizeFinding(warning, 'warning')))
+                .forEach((finding, index) => {
+                    const isWarning = index >= (result.issues || []).length;
+                    const ruleId = getRuleId(finding);
+                    if (!rulesById[ruleId]) {
+                        rulesById[ruleId] = { id: ruleId, title: getRuleTitle(finding, isWarning), errors: [], warnings: [] };
+                        ruleOrder.push(ruleId);
+                    }
+                    rulesById[ruleId][isWarning ? 'warnings' : 'errors'].push(finding);
+                });
+
+            const testCases = [];
+            let failures = 0;
+
+            if (ruleOrder.length === 0) {
+                testCases.push(`    <testcase classname="${escapeXml(className)}" name="All rules passed"/>`);
+            }
+
+            ruleOrder.forEach(ruleId => {
+                const rule = rulesById[ruleId];
+                const name = `${rule.title} [${rule.id}]`;
+                let body = '';
+
+                if (rule.errors.length > 0) {
+                    failures++;
+                    const details = rule.errors.map(describeFindingForText).join('\n');
+                    body += `      <failure message="${escapeXml(rule.errors[0].message)}" type="${escapeXml(rule.id)}">${escapeXml(details)}</failure>\n`;
+                }
+                if (rule.warnings.length > 0) {
+                    const details = rule.warnings.map(warning => 'WARNING: ' + describeFindingForText(warning)).join('\n');
+                    body += `      <system-out>${escapeXml(details)}</system-out>\n`;
+                }
+
+                testCases.push(`    <testcase classname="${escapeXml(className)}" name="${escapeXml(name)}">\n${body}    </testcase>`);
+            });
+
+            totalTests += testCases.length;
+            totalFailures += failures;
+
+            suites.push(
+                `  <testsuite name="${escapeXml(label)}" tests="${testCases.length}" failures="${failures}" errors="0" skipped="0">\n` +
+                testCases.join('\n') + '\n' +
+                '  </testsuite>'
+            );
+        });
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<testsuites name="${escapeXml(tool.name)}" tests="${totalTests}" failures="${totalFailures}" errors="0">\n` +
+            `  <!-- ${summary.totalFiles} files, ${summary.failedFiles} failed, ${summary.totalIssues} errors, ${summary.totalWarnings} warnings -->\n` +
+            (suites.length > 0 ? suites.join('\n') + '\n' : '') +
+            '</testsuites>\n';
+    }
+
+    // ===== FORMAT REGISTRY =====
+
+    const EXPORT_FORMATS = {
+        json: { label: 'JSON', extension: 'json', mimeType: 'application/json', exporter: exportJson },
+        sarif: { label: 'SARIF', extension: 'sarif', mimeType: 'application/sarif+json', exporter: exportSarif },
+        junit: { label: 'JUnit XML', extension: 'xml', mimeType: 'application/xml', exporter: exportJUnit }
+    };
+
+    /**
+     * Export results in one of the EXPORT_FORMATS ('json', 'sarif', 'junit')
+     */
+    function exportResults(results, format, options = {}) {
+        const definition = EXPORT_FORMATS[format];
+        if (!definition) {
+            throw new Error(`Unknown report format "${format}". Supported formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+        return definition.exporter(results, options);
+    }
+
+    return {
+        REPORT_FORMAT_VERSION: REPORT_FORMAT_VERSION,
+        EXPORT_FORMATS: EXPORT_FORMATS,
+        exportResults: exportResults,
+        exportJson: exportJson,
+        exportSarif: exportSarif,
+        exportJUnit: exportJUnit,
+        createJsonReport: createJsonReport,
+        createSarifLog: createSarifLog,
+        normalizeFinding: normalizeFinding
+    };
+}));
@@ -0,0 +1,1254 @@
+/**
+ * ===============================================================================
+ * AZURE LOG ANALYTICS SCHEMA VALIDATOR - RULE CATALOGUE
+ * ===============================================================================
+ *
+ * OVERVIEW:
+ * Every check of the validator has a stable rule ID (LAS-<AREA>-<NNN>, e.g.
+ * LAS-TBL-004 "TimeGenerated must be DateTime"). Findings carry it as `ruleId`
+ * next to their `type`, which is shared by many unrelated checks and only
+ * groups findings into categories.
+ *
+ * Each rule lists:
+ * - title:                What the rule requires, in one line
+ * - severity:             Default severity (error, warning or info)
+ * - type:                 The finding type the rule reports
+ * - rationale:            Why the check exists
+ * - microsoftRequirement: The Azure Log Analytics requirement behind it
+ *
+ * IDs are never reused or renumbered: a retired rule keeps its number, so
+ * suppressions, reports and links stay valid across versions.
+ *
+ * MODULE FORMAT:
+ * Universal module - loaded with a <script> tag it exposes
+ * window.LASchemaRuleCatalog, loaded with require() it exports the same API
+ * through module.exports.
+ * ===============================================================================
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LASchemaRuleCatalog = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ===== CATEGORIES =====
+
+    // Rule ID area → catalogue section, in display order
+    const CATEGORIES = {
+        PKG: 'Package Structure',
+        PTH: 'File References',
+        JSN: 'JSON Files',
+        MAN: 'Manifest',
+        DSC: 'Descriptions',
+        TBL: 'Tables',
+        COL: 'Columns',
+        INP: 'Input Fields',
+        FUN: 'Functions',
+        QRY: 'Queries',
+        SMP: 'Sample Records',
+        TRN: 'Transformations',
+        KQL: 'KQL Files',
+        TRF: 'Transform Manifests',
+        EVO: 'Schema Evolution',
+        DEP: 'Deprecation',
+        CFG: 'Rule Configuration',
+        ENG: 'Validator'
+    };
+
+    // ===== RULES =====
+
+    const RULES = [
+        // Package structure
+        {
+            id: 'LAS-PKG-001',
+            title: 'Package must contain the KQL, SampleInputRecords and SampleOutputRecords folders',
+            severity: 'error',
+            type: 'error',
+            rationale: 'The onboarding pipeline looks for transformations, queries and sample records in these folders by name.',
+            microsoftRequirement: 'An NGSchema package folder contains KQL/, SampleInputRecords/ and SampleOutputRecords/ next to the manifest.'
+        },
+        {
+            id: 'LAS-PKG-002',
+            title: 'Package must contain a manifest file',
+            severity: 'error',
+            type: 'error',
+            rationale: 'Without a *.manifest.json there are no table definitions to deploy or to check the other files against.',
+            microsoftRequirement: 'Every package has a [xyz].manifest.json file holding its schema definitions.'
+        },
+        {
+            id: 'LAS-PKG-003',
+            title: 'Package should contain a single NGSchema manifest file',
+            severity: 'warning',
+            type: 'folder_structure',
+            rationale: 'Several NGSchema manifests in one folder usually means a copied or outdated manifest was left behind. Transform manifests (*.transform.manifest.json) are not counted.',
+            microsoftRequirement: 'A package folder holds the manifest of one team; further schemas belong in their own folders.'
+        },
+        {
+            id: 'LAS-PKG-004',
+            title: 'Package should contain KQL files',
+            severity: 'warning',
+            type: 'folder_structure',
+            rationale: 'Transformations, functions and example queries are all KQL files; a package without any is usually incomplete.',
+            microsoftRequirement: 'Transformations, functions and queries are stored as .kql files under the KQL folder.'
+        },
+        {
+            id: 'LAS-PKG-005',
+            title: 'Package should contain sample data files',
+            severity: 'warning',
+            type: 'folder_structure',
+            rationale: 'Sample records are what schema correctness and E2E tests run against.',
+            microsoftRequirement: 'Sample input and output records are required for schema validation and E2E testing.'
+        },
+        {
+            id: 'LAS-PKG-006',
+            title: 'File type is not validated',
+            severity: 'warning',
+            type: 'unrecognized_file',
+            rationale: 'Only manifests, transform manifests, KQL and JSON files are checked; anything else is shipped unchecked.',
+            microsoftRequirement: 'Packages contain manifests, KQL files and JSON sample records.'
+        },
+        {
+            id: 'LAS-PKG-007',
+            title: 'Every KQL file should be referenced by a manifest',
+            severity: 'warning',
+            type: 'orphaned_file',
+            rationale: 'A KQL file that no transformFilePath, bodyFilePath or kqlFilePath names is never deployed, and reviewers cannot tell whether it is still in use.',
+            microsoftRequirement: 'Where the manifest requires KQL code, it gives the path of a file in the KQL folder.'
+        },
+        {
+            id: 'LAS-PKG-008',
+            title: 'Every sample file should belong to a table or transform manifest',
+            severity: 'warning',
+            type: 'orphaned_file',
+            rationale: 'Sample files that match no table name or sample record path are not used by any test.',
+            microsoftRequirement: 'The sample folders hold one file per table being onboarded, named after the table.'
+        },
+        {
+            id: 'LAS-PKG-009',
+            title: 'Package should not contain unreferenced files',
+            severity: 'warning',
+            type: 'orphaned_file',
+            rationale: 'Leftover files make the package harder to review and may be mistaken for part of the onboarding.',
+            microsoftRequirement: 'Onboarding packages contain the manifest, its KQL files, sample records and owners.txt.'
+        },
+
+        // File references
+        {
+            id: 'LAS-PTH-001',
+            title: 'Referenced files must exist in the package',
+            severity: 'error',
+            type: 'unresolved_path',
+            rationale: 'Functions, queries and transform manifests whose file is missing cannot be deployed.',
+            microsoftRequirement: 'Paths in the manifest point at files of the package, relative to the manifest.'
+        },
+        {
+            id: 'LAS-PTH-002',
+            title: 'Referenced paths must match the case of the files',
+            severity: 'error',
+            type: 'path_case_mismatch',
+            rationale: 'Windows and macOS find a file whatever the case of its path; the deployment does not.',
+            microsoftRequirement: 'Paths in the manifest match the file and folder names exactly.'
+        },
+        {
+            id: 'LAS-PTH-003',
+            title: 'Referenced paths must stay inside the package',
+            severity: 'error',
+            type: 'path_outside_package',
+            rationale: 'Only the package folder is deployed, so absolute paths and paths above the manifest\'s folder point at nothing.',
+            microsoftRequirement: 'KQL and sample files are stored in the package folder, next to or below the manifest.'
+        },
+        {
+            id: 'LAS-PTH-004',
+            title: 'Referenced paths must point at the right kind of file',
+            severity: 'error',
+            type: 'wrong_file_kind',
+            rationale: 'A KQL path naming a folder or a JSON file, or a sample path naming a KQL file, cannot be read by the deployment.',
+            microsoftRequirement: 'transformFilePath, bodyFilePath and kqlFilePath name .kql files; sample record paths name .json files or their folder.'
+        },
+
+        // JSON files
+        {
+            id: 'LAS-JSN-001',
+            title: 'File must be valid JSON',
+            severity: 'error',
+            type: 'json_syntax_error',
+            rationale: 'A file that does not parse cannot be deployed, and none of its other rules can be checked.',
+            microsoftRequirement: 'Manifests, transform manifests and sample records are JSON documents.'
+        },
+
+        // Manifest
+        {
+            id: 'LAS-MAN-001',
+            title: 'Manifest must contain all required top-level fields',
+            severity: 'error',
+            type: 'missing_field',
+            rationale: 'The deployment tooling reads these fields for every schema.',
+            microsoftRequirement: 'The type, displayName, description, simplifiedSchemaVersion and tables fields are required by the NGSchema v3 specification.'
+        },
+        {
+            id: 'LAS-MAN-002',
+            title: 'simplifiedSchemaVersion must be "3"',
+            severity: 'error',
+            type: 'invalid_value',
+            rationale: 'Only the current simplified schema version is accepted for new and updated schemas.',
+            microsoftRequirement: 'NGSchema manifests declare simplifiedSchemaVersion "3".'
+        },
+        {
+            id: 'LAS-MAN-003',
+            title: 'tables must be an array',
+            severity: 'error',
+            type: 'invalid_type',
+            rationale: 'Every table definition is read from the tables array.',
+            microsoftRequirement: 'The tables field is an array of table objects.'
+        },
+        {
+            id: 'LAS-MAN-004',
+            title: 'tables must contain at least one table',
+            severity: 'error',
+            type: 'empty_array',
+            rationale: 'A manifest without tables does not define any schema.',
+            microsoftRequirement: 'The tables array contains at least one table object.'
+        },
+        {
+            id: 'LAS-MAN-005',
+            title: 'functions must be an array',
+            severity: 'error',
+            type: 'invalid_type',
+            rationale: 'Functions are read from an array; an empty array is fine.',
+            microsoftRequirement: 'The optional functions field is an array (it can be empty).'
+        },
+        {
+            id: 'LAS-MAN-006',
+            title: 'queries must be an array',
+            severity: 'error',
+            type: 'invalid_type',
+            rationale: 'Example queries are read from an array; an empty array is fine.',
+            microsoftRequirement: 'The optional queries field is an array (it can be empty).'
+        },
+        {
+            id: 'LAS-MAN-007',
+            title: 'Optional top-level fields must have the documented type',
+            severity: 'error',
+            type: 'invalid_type',
+            rationale: 'icmTeam and contactDL are strings, relatedTables and relatedFunctions are arrays; other values break the tooling that reads them.',
+            microsoftRequirement: 'icmTeam and contactDL are strings; relatedTables and relatedFunctions are arrays.'
+        },
+
+        // Descriptions
+        {
+            id: 'LAS-DSC-001',
+            title: 'Description must be a non-empty string',
+            severity: 'error',
+            type: 'invalid_type',
+            rationale: 'Descriptions are shown in the Log Analytics schema browser and documentation.',
+            microsoftRequirement: 'Schemas, tables, columns, functions and queries carry a non-empty description.'
+        },
+        {
+            id: 'LAS-DSC-002',
+            title: 'Description must start with a capital letter',
+            severity: 'error',
+            type: 'formatting_error',
+            rationale: 'Descriptions are published as sentences in the documentation.',
+            microsoftRequirement: 'Descriptions start with a capital letter.'
+        },
+        {
+            id: 'LAS-DSC-003',
+            title: 'Description must end with a period',
+            severity: 'error',
+            type: 'formatting_error',
+            rationale: 'Descriptions are published as sentences in the documentation.',
+            microsoftRequirement: 'Descriptions end with a period.'
+        },
+
+        // Tables
+        {
+            id: 'LAS-TBL-001',
+            title: 'Table must have a name or the complete transform pattern',
+            severity: 'error',
+            type: 'missing_field',
+            rationale: 'A table is identified by its name, or by workflowName, transformName, physicalName and logicalName when its type changes.',
+            microsoftRequirement: 'Tables must have either a standard "name" field or use the transform pattern (workflowName, transformName, physicalName, logicalName) when changing table types in Azure Log Analytics.'
+        },
+        {
+            id: 'LAS-TBL-002',
+            title: 'Table must contain all required fields',
+            severity: 'error',
+            type: 'missing_field',
+            rationale: 'Every table needs the fields the deployment reads to create it.',
+            microsoftRequirement: 'Each table declares its required fields, including description, columns and input.'
+        },
+        {
+            id: 'LAS-TBL-003',
+            title: 'Table must have a TimeGenerated column',
+            severity: 'error',
+            type: 'missing_required_column',
+            rationale: 'Log Analytics partitions, retains and queries data by TimeGenerated.',
+            microsoftRequirement: 'TimeGenerated column is required for all Log Analytics tables and must map to the $.time JSON path in Shoebox.'
+        },
+        {
+            id: 'LAS-TBL-004',
+            title: 'TimeGenerated must be DateTime',
+            severity: 'error',
+            type: 'invalid_column_type',
+            rationale: 'Time filters, retention and partitioning only work on a DateTime TimeGenerated column.',
+            microsoftRequirement: 'The TimeGenerated column is of type DateTime.'
+        },
+        {
+            id: 'LAS-TBL-005',
+            title: 'Table name must not exceed the maximum length',
+            severity: 'error',
+            type: 'invalid_length',
+            rationale: 'Longer names are rejected when the table is created.',
+            microsoftRequirement: 'Table names are at most 45 characters long.'
+        },
+        {
+            id: 'LAS-TBL-006',
+            title: 'artifactVersion must be an integer >= 1',
+            severity: 'error',
+            type: 'invalid_value',
+            rationale: 'artifactVersion is bumped with every change so deployments can tell versions apart.',
+            microsoftRequirement: 'artifactVersion is a positive integer, increased whenever the table changes.'
+        },
+        {
+            id: 'LAS-TBL-007',
+            title: 'dataTypeId should follow SERVICEIDENTITYNAME_LOGCATEGORYNAME',
+            severity: 'warning',
+            type: 'naming_convention_warning',
+            rationale: 'A consistent dataTypeId makes the source and category of data recognisable across services.',
+            microsoftRequirement: 'Azure Log Analytics recommends using the SERVICEIDENTITYNAME_LOGCATEGORYNAME naming convention for dataTypeId to ensure consistency and clarity across different data sources.'
+        },
+        {
+            id: 'LAS-TBL-008',
+            title: 'Table categories must be an array',
+            severity: 'error',
+            type: 'invalid_type',
+            rationale: 'Categories place the table in the schema browser and are read as a list.',
+            microsoftRequirement: 'The optional categories field of a table is an array.'
+        },
+        {
+            id: 'LAS-TBL-009',
+            title: 'Table flags must be booleans',
+            severity: 'error',
+            type: 'invalid_type',
+            rationale: 'Flags given as strings ("true") are not read as switches.',
+            microsoftRequirement: 'Boolean table properties take true or false.'
+        },
+        {
+            id: 'LAS-TBL-010',
+            title: 'tableState must be "Validation" or "Production"',
+            severity: 'error',
+            type: 'invalid_value',
+            rationale: 'The state decides whether the table is deployed for testing or to all regions.',
+            microsoftRequirement: 'tableState is either "Validation" or "Production".'
+        },
+        {
+            id: 'LAS-TBL-011',
+            title: 'Table input must be an array',
+            severity: 'error',
+            type: 'invalid_type',
+            rationale: 'The input declaration types the fields the transformation receives.',
+            microsoftRequirement: 'The input field of a table is an array of field declarations.'
+        },
+        {
+            id: 'LAS-TBL-012',
+            title: 'Table columns must be a non-empty array',
+            severity: 'error',
+            type: 'invalid_type',
+            rationale: 'A table without columns cannot store any data.',
+            microsoftRequirement: 'The columns field of a table is an array with at least one column.'
+        },
+        {
+            id: 'LAS-TBL-013',
+            title: 'Table dataTypeIds must be unique in the package',
+            severity: 'error',
+            type: 'duplicate_data_type_id',
+            rationale: 'A data type is routed to one NGSchema table; further tables receive it through transform manifests.',
+            microsoftRequirement: 'NGSchema can host a single transform (dataTypeId); additional transforms must be associated through transform manifests.'
+        },
+
+        // Columns
+        {
+            id: 'LAS-COL-001',
+            title: 'Column must have a name or the complete transform pattern',
+            severity: 'error',
+            type: 'missing_field',
+            rationale: 'A column is identified by its name, or by transformName, physicalName and logicalName when its type changes.',
+            microsoftRequirement: 'Columns must have either a standard "name" field or use the transform pattern (transformName, physicalName, logicalName) when changing column types in Azure Log Analytics.'
+        },
+        {
+            id: 'LAS-COL-002',
+            title: 'Column must contain all required fields',
+            severity: 'error',
+            type: 'missing_field',
+            rationale: 'Every column needs a type and a description to be created and documented.',
+            microsoftRequirement: 'Each column declares its required fields, including type and description.'
+        },
+        {
+            id: 'LAS-COL-003',
+            title: 'Column type must use the documented capitalization',
+            severity: 'error',
+            type: 'incorrect_capitalization',
+            rationale: 'Type names are matched exactly; "datetime" is not "DateTime".',
+            microsoftRequirement: 'Azure Log Analytics column data types must use proper capitalization (e.g., "DateTime" not "datetime").'
+        },
+        {
+            id: 'LAS-COL-004',
+            title: 'Column type must be a supported data type',
+            severity: 'error',
+            type: 'invalid_value',
+            rationale: 'Only the Log Analytics column types can be created.',
+            microsoftRequirement: 'Column types are one of the supported Log Analytics data types.'
+        },
+        {
+            id: 'LAS-COL-005',
+            title: 'Avoid the Dynamic type for columns',
+            severity: 'warning',
+            type: 'performance_warning',
+            rationale: 'Dynamic columns are slower to query and harder to author queries against than typed columns.',
+            microsoftRequirement: 'Use specific data types where possible and promote frequently used fields to typed top-level columns.'
+        },
+        {
+            id: 'LAS-COL-006',
+            title: 'Columns added by the ingestion pipeline must not be declared',
+            severity: 'error',
+            type: 'forbidden_system_column',
+            rationale: 'System columns such as TenantId and _ResourceId are added to every table automatically.',
+            microsoftRequirement: 'System columns are populated by Azure Monitor and are not part of a table schema.'
+        },
+        {
+            id: 'LAS-COL-007',
+            title: 'Column name must not be reserved',
+            severity: 'error',
+            type: 'reserved_column_name',
+            rationale: 'Reserved names are blocked when the schema is validated for deployment.',
+            microsoftRequirement: 'Reserved column names cannot be used in custom schemas.'
+        },
+        {
+            id: 'LAS-COL-008',
+            title: 'Do not declare a tenantid column',
+            severity: 'error',
+            type: 'reserved_overridden_column',
+            rationale: 'The system overwrites tenantid with the workspace ID, so the declared values are lost.',
+            microsoftRequirement: 'The tenantid column is reserved; its value is set by the system and contains the workspaceId.'
+        },
+        {
+            id: 'LAS-COL-009',
+            title: 'Column flags must be booleans',
+            severity: 'error',
+            type: 'invalid_type',
+            rationale: 'Flags given as strings ("true") are not read as switches.',
+            microsoftRequirement: 'Boolean column properties take true or false.'
+        },
+        {
+            id: 'LAS-COL-010',
+            title: 'dataTypeHint must be a supported hint',
+            severity: 'error',
+            type: 'invalid_value',
+            rationale: 'Hints tell the schema browser how to present string values (URI, GUID, ARM path, IP).',
+            microsoftRequirement: 'dataTypeHint is one of the documented hint values.'
+        },
+
+        // Input fields
+        {
+            id: 'LAS-INP-001',
+            title: 'Input field must contain all required fields',
+            severity: 'error',
+            type: 'missing_field',
+            rationale: 'Each incoming field needs a name and a type to be passed to the transformation.',
+            microsoftRequirement: 'Input field declarations have a name and a type.'
+        },
+        {
+            id: 'LAS-INP-002',
+            title: 'Input type must use the documented capitalization',
+            severity: 'error',
+            type: 'incorrect_capitalization',
+            rationale: 'Type names are matched exactly; "datetime" is not "DateTime".',
+            microsoftRequirement: 'Azure Log Analytics input data types must use proper capitalization (e.g., "DateTime" not "datetime").'
+        },
+        {
+            id: 'LAS-INP-003',
+            title: 'Input type must be a supported data type',
+            severity: 'error',
+            type: 'invalid_value',
+            rationale: 'Incoming data is converted to the declared input type before the transformation runs.',
+            microsoftRequirement: 'Input field types are one of the supported input stream data types.'
+        },
+        {
+            id: 'LAS-INP-004',
+            title: 'Avoid the Dynamic type for input fields',
+            severity: 'warning',
+            type: 'performance_warning',
+            rationale: 'Typed input fields need no conversion in the transformation and catch malformed data early.',
+            microsoftRequirement: 'Use specific data types where possible.'
+        },
+
+        // Functions
+        {
+            id: 'LAS-FUN-001',
+            title: 'Function must contain all required fields',
+            severity: 'error',
+            type: 'missing_field',
+            rationale: 'Functions are published by name with their display name, description and KQL body.',
+            microsoftRequirement: 'Functions must include all required fields: name, displayName, description, and bodyFilePath.'
+        },
+        {
+            id: 'LAS-FUN-002',
+            title: 'Function parameters must be a string',
+            severity: 'error',
+            type: 'invalid_type',
+            rationale: 'Parameters are declared as a KQL parameter list, e.g. "Param1:string, Param2:datetime".',
+            microsoftRequirement: 'The optional parameters field of a function is a string.'
+        },
+        {
+            id: 'LAS-FUN-003',
+            title: 'Function categories must be an array',
+            severity: 'error',
+            type: 'invalid_type',
+            rationale: 'Categories place the function in the query experience and are read as a list.',
+            microsoftRequirement: 'The optional categories field of a function is an array.'
+        },
+        {
+            id: 'LAS-FUN-004',
+            title: 'Function parameters must be a valid KQL parameter list',
+            severity: 'error',
+            type: 'invalid_function_parameters',
+            rationale: 'The parameters string becomes the function signature; a type KQL does not know, a duplicate name or a required parameter after an optional one fails the deployment.',
+            microsoftRequirement: 'Function parameters are declared as Name:type, optionally followed by = default, e.g. "ComputerName:string, SnapshotTime:datetime".'
+        },
+        {
+            id: 'LAS-FUN-005',
+            title: 'Function relatedTables must be an array of table names',
+            severity: 'error',
+            type: 'invalid_type',
+            rationale: 'relatedTables links the function to the tables it reads in the portal.',
+            microsoftRequirement: 'relatedTables lists table names as strings.'
+        },
+        {
+            id: 'LAS-FUN-006',
+            title: 'Every function parameter should be used',
+            severity: 'warning',
+            type: 'unused_function_parameter',
+            rationale: 'A parameter the body never reads asks callers for a value that has no effect, and usually means the body filters on the wrong name.',
+            microsoftRequirement: 'Function parameters give users a starting point for their queries, such as the machine and time to report on.'
+        },
+        {
+            id: 'LAS-FUN-007',
+            title: 'Function bodies should only name parameters, manifest tables and known functions',
+            severity: 'warning',
+            type: 'unknown_function_reference',
+            rationale: 'A table or function name that is neither declared nor defined by the schema is usually a typo and fails when the function runs.',
+            microsoftRequirement: 'Stored functions are built on the tables of the schema they ship with.'
+        },
+        {
+            id: 'LAS-FUN-008',
+            title: 'Function relatedTables must name tables of the package',
+            severity: 'error',
+            type: 'unknown_related_table',
+            rationale: 'A related table that no manifest defines links the function to nothing in the portal.',
+            microsoftRequirement: 'Related tables of a function are tables defined in the onboarding manifest.'
+        },
+        {
+            id: 'LAS-FUN-009',
+            title: 'Function columns should exist in the tables it reads',
+            severity: 'warning',
+            type: 'unknown_function_column',
+            rationale: 'A column that is neither a parameter, a let binding nor a column of the tables the function reads fails with "Failed to resolve scalar expression" when the function runs.',
+            microsoftRequirement: 'Stored functions are built on the tables of the schema they ship with.'
+        },
+
+        // Queries
+        {
+            id: 'LAS-QRY-001',
+            title: 'Query must contain all required fields',
+            severity: 'error',
+            type: 'missing_field',
+            rationale: 'Example queries are published with an ID, display name, description and KQL body.',
+            microsoftRequirement: 'Queries include all required fields.'
+        },
+        {
+            id: 'LAS-QRY-002',
+            title: 'Query id must be a GUID',
+            severity: 'error',
+            type: 'invalid_format',
+            rationale: 'The id identifies the query across releases and must be globally unique.',
+            microsoftRequirement: 'Query ids are GUIDs.'
+        },
+        {
+            id: 'LAS-QRY-003',
+            title: 'Query categories must be an array',
+            severity: 'error',
+            type: 'invalid_type',
+            rationale: 'Categories place the query in the query experience and are read as a list.',
+            microsoftRequirement: 'The optional categories field of a query is an array.'
+        },
+        {
+            id: 'LAS-QRY-004',
+            title: 'Manifest should include example queries',
+            severity: 'warning',
+            type: 'missing_queries',
+            rationale: 'Example queries show users how to work with new tables.',
+            microsoftRequirement: 'Each table should come with at least one example query.'
+        },
+        {
+            id: 'LAS-QRY-005',
+            title: 'Every table should have a related example query',
+            severity: 'warning',
+            type: 'missing_table_queries',
+            rationale: 'Queries are linked to tables through relatedTables; a table without one has no example in the portal.',
+            microsoftRequirement: 'Each table should have at least one example query listing it in relatedTables.'
+        },
+        {
+            id: 'LAS-QRY-006',
+            title: 'Query relatedTables should match the tables the query reads',
+            severity: 'warning',
+            type: 'query_related_tables_mismatch',
+            rationale: 'The portal lists a query under its related tables; a table the query does not read shows an example that returns nothing about it, and a table it reads but does not list hides the example.',
+            microsoftRequirement: 'relatedTables of an example query lists the tables the query reads.'
+        },
+        {
+            id: 'LAS-QRY-007',
+            title: 'Query columns should exist in the tables it reads',
+            severity: 'warning',
+            type: 'unknown_query_column',
+            rationale: 'A column missing from the table schema makes the example fail when a user runs it.',
+            microsoftRequirement: 'Example queries run against the tables defined in the manifest.'
+        },
+        {
+            id: 'LAS-QRY-008',
+            title: 'Query column names should match the table schema in case',
+            severity: 'warning',
+            type: 'query_column_case_mismatch',
+            rationale: 'KQL column names are case-sensitive, so a column written in another case does not resolve.',
+            microsoftRequirement: 'Example queries run against the tables defined in the manifest.'
+        },
+        {
+            id: 'LAS-QRY-009',
+            title: 'Query topics should be recommended topics',
+            severity: 'warning',
+            type: 'invalid_query_topic',
+            rationale: 'The Logs UI groups example queries by a fixed set of topics so users find them the same way for every resource.',
+            microsoftRequirement: 'tags.Topic lists topics from the Recommended topics page: Usage, Diagnostics, Audit, Errors, Performance, Security and Alerts.'
+        },
+        {
+            id: 'LAS-QRY-010',
+            title: 'Query should have a Topic tag',
+            severity: 'warning',
+            type: 'missing_query_topic',
+            rationale: 'A query without a topic is not grouped with the examples of other resources.',
+            microsoftRequirement: 'At least one topic is required for each example query.'
+        },
+        {
+            id: 'LAS-QRY-011',
+            title: 'Query tags and properties must follow the query template',
+            severity: 'error',
+            type: 'invalid_query_metadata',
+            rationale: 'tags, properties, ExampleQuery, QueryAttributes and IsMultiResource are read by the metadata API with fixed types; a quoted "true" is not a flag.',
+            microsoftRequirement: 'Copy the properties object as is from the query template: { "ExampleQuery": true, "QueryAttributes": { "IsMultiResource": true } }.'
+        },
+        {
+            id: 'LAS-QRY-012',
+            title: 'Example queries should query a table',
+            severity: 'warning',
+            type: 'example_query_mismatch',
+            rationale: 'A query marked as an example is offered to users as a starting point; a body that only declares let statements returns nothing.',
+            microsoftRequirement: 'Example queries are pre-cooked queries users run against the resource\'s tables.'
+        },
+        {
+            id: 'LAS-QRY-013',
+            title: 'Queries with the Alerts topic should follow the alert query rules',
+            severity: 'warning',
+            type: 'alert_query_mismatch',
+            rationale: 'An alert rule created from the query needs _ResourceId to fire per resource, and top, take, limit or parse cut off or slow down the rows it evaluates.',
+            microsoftRequirement: 'Alert queries always add the resource ID column (_ResourceId) and do not include the top, take, limit and parse operators.'
+        },
+        {
+            id: 'LAS-QRY-014',
+            title: 'Query ids must be unique across the package',
+            severity: 'error',
+            type: 'duplicate_query_id',
+            rationale: 'The id tracks a query for versioning and CRUD; two queries with one id overwrite each other on deployment.',
+            microsoftRequirement: 'The query id is an internal unique ID used to track identity for versioning and CRUD.'
+        },
+
+        // Sample records
+        {
+            id: 'LAS-SMP-001',
+            title: 'Sample record paths must be non-empty strings',
+            severity: 'error',
+            type: 'invalid_field_type',
+            rationale: 'sampleInputRecordsFilePath and sampleOutputRecordsFilePath name the folder or file holding the samples.',
+            microsoftRequirement: 'Sample record path fields are folder or file paths given as strings.'
+        },
+        {
+            id: 'LAS-SMP-002',
+            title: 'Declared sample record paths must exist',
+            severity: 'error',
+            type: 'missing_declared_path',
+            rationale: 'A declared path that resolves to nothing next to the manifest means the samples were moved or never added.',
+            microsoftRequirement: 'Sample record paths declared in the manifest point at existing files.'
+        },
+        {
+            id: 'LAS-SMP-003',
+            title: 'Package should contain sample output files',
+            severity: 'warning',
+            type: 'missing_sample_output_folder',
+            rationale: 'Sample output records show what the table stores and are compared with the transformation output.',
+            microsoftRequirement: 'Sample output files are required for schema validation and E2E testing.'
+        },
+        {
+            id: 'LAS-SMP-004',
+            title: 'Every table should have a sample input file',
+            severity: 'warning',
+            type: 'missing_sample_input',
+            rationale: 'Sample input records are what the transformation is tested against.',
+            microsoftRequirement: 'Each table in the manifest must have a corresponding sample input file following the naming convention <tableName>Sample.json for schema validation and E2E testing.'
+        },
+        {
+            id: 'LAS-SMP-005',
+            title: 'Every table must have a sample input file in the declared path',
+            severity: 'error',
+            type: 'missing_sample_input',
+            rationale: 'When sampleInputRecordsFilePath is declared on the table or the manifest, the table\'s sample is expected there.',
+            microsoftRequirement: 'Each table in the manifest must have a corresponding sample input file following the naming convention <tableName>Sample.json for schema validation and E2E testing.'
+        },
+        {
+            id: 'LAS-SMP-006',
+            title: 'Every table should have a sample output file',
+            severity: 'warning',
+            type: 'missing_sample_output',
+            rationale: 'Sample output records show what the table stores and are compared with the transformation output.',
+            microsoftRequirement: 'Each table in the manifest must have a corresponding sample output file following the naming convention <tableName>Sample.json for schema validation and E2E testing.'
+        },
+        {
+            id: 'LAS-SMP-007',
+            title: 'Every table must have a sample output file in the declared path',
+            severity: 'error',
+            type: 'missing_sample_output',
+            rationale: 'When sampleOutputRecordsFilePath is declared on the table or the manifest, the table\'s sample is expected there.',
+            microsoftRequirement: 'Each table in the manifest must have a corresponding sample output file following the naming convention <tableName>Sample.json for schema validation and E2E testing.'
+        },
+        {
+            id: 'LAS-SMP-008',
+            title: 'Sample file must contain a JSON array of records',
+            severity: 'error',
+            type: 'invalid_json_structure',
+            rationale: 'Sample files are read as a list of records, even when there is only one.',
+            microsoftRequirement: 'Your sample file should contain JSON list of message objects. If the file contains a single log entry, it should be framed as a list with a single item.'
+        },
+        {
+            id: 'LAS-SMP-009',
+            title: 'Sample file should contain at least one record',
+            severity: 'warning',
+            type: 'empty_sample_data',
+            rationale: 'An empty sample file tests nothing.',
+            microsoftRequirement: 'At least one log message is required per file, but multiple entries could be present.'
+        },
+        {
+            id: 'LAS-SMP-010',
+            title: 'Sample records should be JSON objects',
+            severity: 'warning',
+            type: 'invalid_record_structure',
+            rationale: 'Each record stands for one log entry and its fields.',
+            microsoftRequirement: 'Each array element should represent a complete log entry payload.'
+        },
+        {
+            id: 'LAS-SMP-011',
+            title: 'Sample output records should include TimeGenerated',
+            severity: 'warning',
+            type: 'missing_timegenerated',
+            rationale: 'Every table has a TimeGenerated column, so the stored records always have one.',
+            microsoftRequirement: 'TimeGenerated column is required for all Log Analytics tables and must map to the $.time JSON path in Shoebox.'
+        },
+        {
+            id: 'LAS-SMP-012',
+            title: 'Sample output values must fit their column type',
+            severity: 'error',
+            type: 'sample_value_type_mismatch',
+            rationale: 'Sample output records show the data as stored, after conversion to the column types.',
+            microsoftRequirement: 'Sample output records must show the data exactly as it is stored in the table, so every value must fit its column type.'
+        },
+        {
+            id: 'LAS-SMP-013',
+            title: 'Sample output records may only contain columns of the table',
+            severity: 'error',
+            type: 'sample_unknown_column',
+            rationale: 'Fields that are not columns are dropped at ingestion and never stored.',
+            microsoftRequirement: 'Columns missing from the table schema are dropped at ingestion; sample output records may only contain columns of the table.'
+        },
+        {
+            id: 'LAS-SMP-014',
+            title: 'Sample output records must not contain system columns',
+            severity: 'error',
+            type: 'sample_system_column',
+            rationale: 'System columns are added after the transformation and are not part of its output.',
+            microsoftRequirement: 'System columns such as TenantId, _ResourceId and Type are populated by Azure Monitor and are not part of the transformation output.'
+        },
+        {
+            id: 'LAS-SMP-015',
+            title: 'Sample output records should populate every column',
+            severity: 'warning',
+            type: 'sample_column_always_missing',
+            rationale: 'A column no sample populates cannot be verified end to end.',
+            microsoftRequirement: 'Sample records should cover the columns the table declares so the schema can be verified end to end.'
+        },
+        {
+            id: 'LAS-SMP-016',
+            title: 'Sample input values must fit their input type',
+            severity: 'error',
+            type: 'sample_input_type_mismatch',
+            rationale: 'Values that cannot be converted to the declared input type are lost before the transformation runs.',
+            microsoftRequirement: 'Incoming data is converted to the declared input types before the transformation runs; values that cannot be converted are lost.'
+        },
+        {
+            id: 'LAS-SMP-017',
+            title: 'Sample input fields should be declared in the table input',
+            severity: 'warning',
+            type: 'sample_undeclared_input_field',
+            rationale: 'Undeclared fields are dropped before the transformation sees them.',
+            microsoftRequirement: 'Only fields declared in the input stream are passed to the transformation.'
+        },
+        {
+            id: 'LAS-SMP-018',
+            title: 'Declared input fields should appear in the sample input',
+            severity: 'warning',
+            type: 'sample_input_field_never_present',
+            rationale: 'An input field no sample contains is either never sent or not covered by the samples.',
+            microsoftRequirement: 'Sample input records should represent the data the source actually sends, covering every declared input field.'
+        },
+
+        // Transformations
+        {
+            id: 'LAS-TRN-001',
+            title: 'Transformation file must be part of the package',
+            severity: 'error',
+            type: 'missing_transformation_file',
+            rationale: 'A transformFilePath that points at nothing fails the deployment of the table.',
+            microsoftRequirement: 'Each table must have a corresponding KQL transformation file that defines how input data is transformed to match the table schema.'
+        },
+        {
+            id: 'LAS-TRN-002',
+            title: 'Transformation output must match the table columns',
+            severity: 'error',
+            type: 'schema_mismatch_error',
+            rationale: 'Columns with the wrong name or type are dropped or rejected at ingestion.',
+            microsoftRequirement: 'Transformation output schema must exactly match the table column definitions for successful data ingestion.'
+        },
+        {
+            id: 'LAS-TRN-003',
+            title: 'Transformation output schema could not be checked',
+            severity: 'warning',
+            type: 'schema_validation_error',
+            rationale: 'The output schema cannot be derived from a transformation with syntax errors.',
+            microsoftRequirement: 'Transformation output schema must exactly match the table column definitions for successful data ingestion.'
+        },
+        {
+            id: 'LAS-TRN-004',
+            title: 'Transformation must run over the sample input records',
+            severity: 'error',
+            type: 'transformation_runtime_error',
+            rationale: 'A transformation that fails on the samples fails on real data too.',
+            microsoftRequirement: 'The transformation must turn the sample input records into the sample output records.'
+        },
+        {
+            id: 'LAS-TRN-005',
+            title: 'Transformation output must match the sample output records',
+            severity: 'error',
+            type: 'transformation_output_mismatch',
+            rationale: 'The sample output documents what the transformation produces; the two must agree.',
+            microsoftRequirement: 'Sample output records are used in E2E validation of transformation correctness; they must match what the transformation produces from the sample input records.'
+        },
+        {
+            id: 'LAS-TRN-006',
+            title: 'Transformation could not be run locally',
+            severity: 'warning',
+            type: 'transformation_not_executed',
+            rationale: 'The local interpreter covers the ingestion-time KQL subset and common functions; other transformations need a test workspace.',
+            microsoftRequirement: 'The transformation must turn the sample input records into the sample output records.'
+        },
+        {
+            id: 'LAS-TRN-007',
+            title: 'Time-dependent transformation columns are not compared',
+            severity: 'warning',
+            type: 'transformation_volatile_columns',
+            rationale: 'Values from now(), ago(), new_guid() or rand() differ on every run.',
+            microsoftRequirement: 'Sample output records should show representative values for every column.'
+        },
+
+        // KQL files
+        {
+            id: 'LAS-KQL-001',
+            title: 'KQL file must not be empty',
+            severity: 'error',
+            type: 'empty_file_error',
+            rationale: 'An empty transformation, function or query has nothing to deploy.',
+            microsoftRequirement: 'KQL files must contain valid Kusto Query Language syntax for data transformation.'
+        },
+        {
+            id: 'LAS-KQL-002',
+            title: 'KQL must be syntactically valid',
+            severity: 'error',
+            type: 'kql_syntax_error',
+            rationale: 'KQL with syntax errors is rejected when the transformation, function or query is deployed.',
+            microsoftRequirement: 'KQL files must contain valid Kusto Query Language syntax for Azure Log Analytics data transformation.'
+        },
+        {
+            id: 'LAS-KQL-003',
+            title: 'KQL file should contain a query',
+            severity: 'warning',
+            type: 'missing_kql_syntax_warning',
+            rationale: 'A file with only comments is usually a placeholder that was never filled in.',
+            microsoftRequirement: 'KQL files should contain valid Kusto Query Language syntax for Azure Log Analytics data transformation.'
+        },
+        {
+            id: 'LAS-KQL-101',
+            title: 'Transformations may only use single-row operators',
+            severity: 'error',
+            type: 'kql_transformation_limitation',
+            rationale: 'A transformation processes one input row at a time and must return at most one row for it.',
+            microsoftRequirement: 'Supported tabular operators are where, extend, project, project-away, project-keep, project-rename, project-reorder, parse and parse-where (plus print and datatable for constant tables).'
+        },
+        {
+            id: 'LAS-KQL-102',
+            title: 'Transformations may only read the incoming data',
+            severity: 'error',
+            type: 'kql_transformation_limitation',
+            rationale: 'Other tables, workspaces and external data are not available at ingestion time.',
+            microsoftRequirement: 'The only table available to a transformation is `source`, the incoming records.'
+        },
+        {
+            id: 'LAS-KQL-103',
+            title: 'Transformations may only use row-scoped functions',
+            severity: 'error',
+            type: 'kql_transformation_limitation',
+            rationale: 'Aggregation, window and cross-table functions need more than the current row.',
+            microsoftRequirement: 'Aggregation and window functions need more than the current row, and cross-table functions need data outside `source`; none of them are available at ingestion time.'
+        },
+        {
+            id: 'LAS-KQL-104',
+            title: 'Restricted Log Analytics extensions need sign-off',
+            severity: 'warning',
+            type: 'kql_transformation_limitation',
+            rationale: 'check_malicious_ip returns premium threat intelligence.',
+            microsoftRequirement: 'Do not use check_malicious_ip without consulting with the Log Analytics team.'
+        },
+
+        // Transform manifests
+        {
+            id: 'LAS-TRF-001',
+            title: 'Transform manifest must contain all required fields',
+            severity: 'error',
+            type: 'missing_field',
+            rationale: 'The deployment reads these fields to attach the transformation to its data type and table.',
+            microsoftRequirement: 'Transform manifests declare all required fields, including dataTypeId, relatedTable and kqlFilePath.'
+        },
+        {
+            id: 'LAS-TRF-002',
+            title: 'Transform manifest must not contain NGSchema fields',
+            severity: 'error',
+            type: 'forbidden_field',
+            rationale: 'Table definitions belong in the NGSchema manifest, not in a transform manifest.',
+            microsoftRequirement: 'Transform manifests describe a transformation only; tables are defined in the NGSchema manifest.'
+        },
+        {
+            id: 'LAS-TRF-003',
+            title: 'transformVersion must be an integer >= 1',
+            severity: 'error',
+            type: 'invalid_value',
+            rationale: 'transformVersion is bumped with every change so deployments can tell versions apart.',
+            microsoftRequirement: 'transformVersion is a positive integer, increased whenever the transformation changes.'
+        },
+        {
+            id: 'LAS-TRF-004',
+            title: 'Transform dataTypeId should follow SERVICEIDENTITYNAME_LOGCATEGORYNAME',
+            severity: 'warning',
+            type: 'naming_convention_warning',
+            rationale: 'A consistent dataTypeId makes the source and category of data recognisable across services.',
+            microsoftRequirement: 'Azure Log Analytics recommends using the SERVICEIDENTITYNAME_LOGCATEGORYNAME naming convention for dataTypeId to ensure consistency and clarity across different data sources.'
+        },
+        {
+            id: 'LAS-TRF-005',
+            title: 'transformState must be "Validation" or "Production"',
+            severity: 'error',
+            type: 'invalid_value',
+            rationale: 'The state decides whether the transformation is deployed for testing or to all regions.',
+            microsoftRequirement: 'transformState is either "Validation" or "Production".'
+        },
+        {
+            id: 'LAS-TRF-006',
+            title: 'Transform manifest text fields must be strings',
+            severity: 'error',
+            type: 'invalid_type',
+            rationale: 'Names and paths given as numbers or objects are not read by the deployment.',
+            microsoftRequirement: 'String fields of a transform manifest are JSON strings.'
+        },
+        {
+            id: 'LAS-TRF-007',
+            title: 'Transform manifest paths must have the expected file extension',
+            severity: 'error',
+            type: 'invalid_file_extension',
+            rationale: 'kqlFilePath points at a .kql file; sample and input paths point at .json files.',
+            microsoftRequirement: 'File paths of a transform manifest reference files of the documented type.'
+        },
+        {
+            id: 'LAS-TRF-008',
+            title: 'Transform target table',
+            severity: 'info',
+            type: 'info',
+            rationale: 'Names the table a transform sends data to when the upload holds no NGSchema manifest to check it against.',
+            microsoftRequirement: 'The relatedTable of a transform manifest exists in the NGSchema and matches the transformation output.'
+        },
+        {
+            id: 'LAS-TRF-009',
+            title: 'Transform relatedTable must be a table of the NGSchema',
+            severity: 'error',
+            type: 'unknown_related_table',
+            rationale: 'A transform only adds a workflow to an existing table; data sent to a table no manifest defines is not ingested.',
+            microsoftRequirement: 'Transform manifests must reference a relatedTable defined in NGSchema.'
+        },
+        {
+            id: 'LAS-TRF-010',
+            title: 'Transform dataTypeId must not repeat a workflow',
+            severity: 'error',
+            type: 'duplicate_data_type_id',
+            rationale: 'Each workflow (dataTypeId) is added to a table once, and a newly onboarded dataTypeId must not already exist.',
+            microsoftRequirement: 'Each workflow (dataTypeId) should be added using a separate transform manifest. For transform manifests that onboard a new dataTypeId, the dataTypeId must be unique across the repo.'
+        },
+        {
+            id: 'LAS-TRF-011',
+            title: 'Transform names must be unique per related table',
+            severity: 'error',
+            type: 'duplicate_transform_name',
+            rationale: 'The deployment identifies the transforms of a table by name.',
+            microsoftRequirement: 'The transform manifest name must be unique in the scope of the related schema.'
+        },
+        {
+            id: 'LAS-TRF-012',
+            title: 'Transform output must fit the related table',
+            severity: 'error',
+            type: 'transform_output_mismatch',
+            rationale: 'Columns the table does not define, in another case or of another type are dropped or fail ingestion.',
+            microsoftRequirement: 'The transform KQL produces data compatible with the structure of the related table.'
+        },
+        {
+            id: 'LAS-TRF-013',
+            title: 'Transforms to one table should agree on column names and types',
+            severity: 'warning',
+            type: 'conflicting_transform_schema',
+            rationale: 'When workflows write a column with different types or spellings, the same column holds differently shaped data depending on where a row came from.',
+            microsoftRequirement: 'Several workflows may send data to the same table; all of them write to the columns the NGSchema defines.'
+        },
+
+        // Schema evolution
+        {
+            id: 'LAS-EVO-001',
+            title: 'Released tables must not be removed',
+            severity: 'error',
+            type: 'breaking_schema_change',
+            rationale: 'Queries, alerts and workbooks built on the table stop working, and the data it already holds can no longer be queried.',
+            microsoftRequirement: 'A table that shipped in a previous release stays in the manifest; retire it through the schema deprecation process.'
+        },
+        {
+            id: 'LAS-EVO-002',
+            title: 'Released columns must not be removed',
+            severity: 'error',
+            type: 'breaking_schema_change',
+            rationale: 'Every query that reads the column fails once it is gone from the schema.',
+            microsoftRequirement: 'Columns of a released table are kept; a column that is no longer populated stays in the schema.'
+        },
+        {
+            id: 'LAS-EVO-003',
+            title: 'Released columns must not be renamed',
+            severity: 'error',
+            type: 'breaking_schema_change',
+            rationale: 'A rename is a removal for everyone reading the old name, and column names are case-sensitive.',
+            microsoftRequirement: 'Column names of a released table do not change; a new name is added as an additional column.'
+        },
+        {
+            id: 'LAS-EVO-004',
+            title: 'Column types may only be widened',
+            severity: 'error',
+            type: 'breaking_schema_change',
+            rationale: 'Stored values and existing queries depend on the column type; only widenings such as Int → BigInt keep every value representable.',
+            microsoftRequirement: 'The type of a released column does not change, except to a wider numeric type.'
+        },
+        {
+            id: 'LAS-EVO-005',
+            title: 'dataTypeId must not change',
+            severity: 'error',
+            type: 'breaking_schema_change',
+            rationale: 'Data collection rules and the ingestion pipeline route incoming data to the table by its dataTypeId.',
+            microsoftRequirement: 'The dataTypeId of a released table is permanent.'
+        },
+        {
+            id: 'LAS-EVO-006',
+            title: 'Changed tables must increase artifactVersion',
+            severity: 'error',
+            type: 'breaking_schema_change',
+            rationale: 'The deployment only picks up a table definition with a new artifactVersion, so an unbumped change silently never ships.',
+            microsoftRequirement: 'artifactVersion increases with every change to a table and never goes down.'
+        },
+        {
+            id: 'LAS-EVO-007',
+            title: 'Production tables must not return to Validation',
+            severity: 'error',
+            type: 'breaking_schema_change',
+            rationale: 'Customers already ingest into and query a production table; moving it back to Validation takes it away from them.',
+            microsoftRequirement: 'tableState only moves from Validation to Production.'
+        },
+        {
+            id: 'LAS-EVO-008',
+            title: 'Manifest should have a counterpart in the baseline package',
+            severity: 'warning',
+            type: 'baseline_not_matched',
+            rationale: 'Without a matching baseline manifest no breaking changes are checked, which usually means the wrong baseline folder was selected.',
+            microsoftRequirement: 'Schema updates are reviewed against the manifest of the previous release.'
+        },
+
+        // Deprecation
+        {
+            id: 'LAS-DEP-001',
+            title: 'Deprecation must give a date and a replacement',
+            severity: 'error',
+            type: 'invalid_deprecation',
+            rationale: 'Customers need to know when a table or column stops receiving data and what to query instead.',
+            microsoftRequirement: 'Deprecated tables and columns carry a deprecation object with the end date and the replacement.'
+        },
+        {
+            id: 'LAS-DEP-002',
+            title: 'Deprecation date must be a valid YYYY-MM-DD date',
+            severity: 'error',
+            type: 'invalid_deprecation',
+            rationale: 'The date is shown to customers and used to plan the removal, so it must be an unambiguous calendar date.',
+            microsoftRequirement: 'Deprecation dates use the YYYY-MM-DD format.'
+        },
+        {
+            id: 'LAS-DEP-003',
+            title: 'Replacement must be an existing, non-deprecated item',
+            severity: 'error',
+            type: 'invalid_deprecation',
+            rationale: 'A replacement column that is missing from the table, or is deprecated itself, leaves customers without a supported alternative.',
+            microsoftRequirement: 'A deprecated column is replaced by a supported column of the same table.'
+        },
+        {
+            id: 'LAS-DEP-004',
+            title: 'Replacement table should be part of the manifest',
+            severity: 'warning',
+            type: 'deprecation_warning',
+            rationale: 'A replacement table that the manifest does not define is usually a typo, or a table that has to ship before the deprecated one stops.',
+            microsoftRequirement: 'The replacement table is released before the deprecated table stops receiving data.'
+        },
+        {
+            id: 'LAS-DEP-005',
+            title: 'Deprecated columns must not be shown by default',
+            severity: 'error',
+            type: 'invalid_deprecation',
+            rationale: 'Default display columns appear in every query result in the portal, which would keep steering customers to the deprecated column.',
+            microsoftRequirement: 'Deprecated columns are excluded from isDefaultDisplay.'
+        },
+        {
+            id: 'LAS-DEP-006',
+            title: 'Description of a deprecated item should start with "[Deprecated]"',
+            severity: 'warning',
+            type: 'deprecation_warning',
+            rationale: 'The description is the only place the portal schema pane shows the deprecation to customers.',
+            microsoftRequirement: 'Descriptions of deprecated tables and columns are prefixed with [Deprecated].'
+        },
+        {
+            id: 'LAS-DEP-007',
+            title: 'KQL should not use deprecated columns',
+            severity: 'warning',
+            type: 'deprecated_reference',
+            rationale: 'Functions, example queries and transformations that keep using a deprecated column break or return empty results once it stops receiving data.',
+            microsoftRequirement: 'Packaged functions, queries and transformations move to the replacement before the deprecation date.'
+        },
+        {
+            id: 'LAS-DEP-008',
+            title: 'KQL should not read deprecated tables',
+            severity: 'warning',
+            type: 'deprecated_reference',
+            rationale: 'Functions and example queries that read a deprecated table stop returning data once the table is retired.',
+            microsoftRequirement: 'Packaged functions and queries move to the replacement table before the deprecation date.'
+        },
+
+        // Rule configuration
+        {
+            id: 'LAS-CFG-001',
+            title: 'Rule configuration entries must be valid',
+            severity: 'error',
+            type: 'rule_config_error',
+            rationale: 'Invalid rule settings and suppressions without a justification are ignored.',
+            microsoftRequirement: 'Rule settings are "off", "warning" or "error"; every suppression names a rule and a path and gives a justification.'
+        },
+        {
+            id: 'LAS-CFG-002',
+            title: 'Suppressions should match a finding',
+            severity: 'warning',
+            type: 'unused_suppression',
+            rationale: 'A suppression that matches nothing is stale, or its rule, file or path is wrong.',
+            microsoftRequirement: 'Suppressions are kept only for findings that still occur.'
+        },
+        {
+            id: 'LAS-CFG-003',
+            title: 'Rule settings must name a known rule',
+            severity: 'warning',
+            type: 'unknown_rule',
+            rationale: 'A misspelt rule ID or type silently changes nothing.',
+            microsoftRequirement: 'Rules are named by their ID from the rule catalogue or by their finding type.'
+        },
+
+        // Validator
+        {
+            id: 'LAS-ENG-001',
+            title: 'File must be readable by the validator',
+            severity: 'error',
+            type: 'processing_error',
+            rationale: 'The validator failed while reading or checking the file, so its other rules may not have run.',
+            microsoftRequirement: 'Package files are readable text with valid names.'
+        }
+    ];
+
+    const RULES_BY_ID = {};
+    RULES.forEach(rule => {
+        rule.category = CATEGORIES[rule.id.split('-')[1]];
+        RULES_BY_ID[rule.id] = rule;
+    });
+
+    // ===== LOOKUP =====
+
+    /**
+     * Catalogue entry of a rule ID, or null
+     */
+    function getRule(id) {
+        return RULES_BY_ID[id] || null;
+    }
+
+    /**
+     * Whether a rule setting key names a rule, either by ID or by finding type
+     */
+    function isKnownRule(key) {
+        return Boolean(RULES_BY_ID[key]) || RULES.some(rule => rule.type === key);
+    }
+
+    /**
+     * Rules whose ID, title, type, category, rationale or requirement contains
+     * every word of the query (case-insensitive); all rules for an empty query
+     */
+    function searchRules(query) {
+        const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        return RULES.filter(rule => {
+            const text = [rule.id, rule.title, rule.type, rule.category, rule.severity, rule.rationale, rule.microsoftRequirement].join(' ').toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+    }
+
+    return {
+        CATEGORIES: CATEGORIES,
+        RULES: RULES,
+        getRule: getRule,
+        isKnownRule: isKnownRule,
+        searchRules: searchRules
+    };
+}));
@@ -0,0 +1,312 @@
+/**
+ * ===============================================================================
+ * AZURE LOG ANALYTICS SCHEMA VALIDATOR - PROJECT RULE CONFIGURATION
+ * ===============================================================================
+ *
+ * OVERVIEW:
+ * A package can carry a `.lasvalidator.json` in its root folder that adjusts the
+ * built-in rules for that project:
+ *
+ *   {
+ *     "rules": {
+ *       "LAS-COL-005": "off",
+ *       "naming_convention_warning": "error"
+ *     },
+ *     "suppressions": [
+ *       {
+ *         "rule": "LAS-SMP-015",
+ *         "file": "SampleOutputRecords/ContosoWidgetLogsSample.json",
+ *         "path": "Properties",
+ *         "justification": "Only populated for premium widgets."
+ *       }
+ *     ]
+ *   }
+ *
+ * - rules: rule ID (see rule-catalog.js) or finding type → "off" (drop it),
+ *   "warning" or "error" (move it). A setting for the rule ID wins over one for
+ *   its finding type.
+ * - suppressions: hide one finding, matched by rule and JSON path (and the file
+ *   it was reported in, when given). A justification is mandatory; suppressed
+ *   findings are kept on the result as `suppressed[]` so reviewers still see them.
+ *
+ * MODULE FORMAT:
+ * Universal module - loaded with a <script> tag it exposes window.LASchemaRuleConfig
+ * (load engine/json-parser.js first), loaded with require() it exports the same
+ * API through module.exports.
+ * ===============================================================================
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./json-parser.js'));
+    } else {
+        root.LASchemaRuleConfig = factory(root.LASchemaJson);
+    }
+}(typeof self !== 'undefined' ? self : this, function (jsonParser) {
+    'use strict';
+
+    const CONFIG_FILE_NAME = '.lasvalidator.json';
+
+    const RULE_SETTINGS = ['off', 'warning', 'error'];
+
+    const CONFIG_KEYS = ['$schema', 'rules', 'suppressions'];
+
+    const SUPPRESSION_KEYS = ['rule', 'file', 'path', 'justification'];
+
+    // ===== LOADING =====
+
+    /**
+     * The configuration file of a package - the one closest to the package root
+     *
+     * @param {Object[]} files - Package entries: { name, relativePath, content, size }
+     * @returns {Object|null} Package entry of the configuration file
+     */
+    function findConfigFile(files) {
+        const candidates = (files || []).filter(file => file.name === CONFIG_FILE_NAME);
+        const depth = file => (file.relativePath || file.name).split('/').length;
+        return candidates.sort((a, b) => depth(a) - depth(b))[0] || null;
+    }
+
+    /**
+     * Parse and check a configuration file
+     * Invalid entries are reported and left out; the rest of the file still applies.
+     *
+     * @param {string} text - Content of .lasvalidator.json
+     * @returns {Object} { config: { rules, suppressions }, problems } - each problem is
+     *   { message, location, field, currentValue }; suppressions keep their index in
+     *   the file so unused ones can be reported
+     */
+    function parseConfig(text) {
+        const config = { rules: {}, suppressions: [] };
+        const problems = [];
+
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            problems.push({ message: `Invalid JSON: ${error.message}`, location: 'entire_file', field: 'file' });
+            return { config: config, problems: problems };
+        }
+
+        if (!json || typeof json !== 'object' || Array.isArray(json)) {
+            problems.push({ message: 'The configuration must be a JSON object', location: 'entire_file', field: 'file' });
+            return { config: config, problems: problems };
+        }
+
+        Object.keys(json).filter(key => !CONFIG_KEYS.includes(key)).forEach(key => {
+            problems.push({ message: `Unknown setting "${key}"`, location: `root.${key}`, field: key });
+        });
+
+        if (json.rules !== undefined) {
+            if (!json.rules || typeof json.rules !== 'object' || Array.isArray(json.rules)) {
+                problems.push({ message: '"rules" must be an object mapping rules to "off", "warning" or "error"', location: 'root.rules', field: 'rules' });
+            } else {
+                Object.keys(json.rules).forEach(rule => {
+                    const setting = json.rules[rule];
+                    if (RULE_SETTINGS.includes(setting)) {
+                        config.rules[rule] = setting;
+                    } else {
+                        problems.push({
+                            message: `Rule "${rule}" must be set to "off", "warning" or "error"`,
+                            location: `rules.${rule}`,
+                            field: rule,
+                            currentValue: setting
+                        });
+                    }
+                });
+            }
+        }
+
+        if (json.suppressions !== undefined) {
+            if (!Array.isArray(json.suppressions)) {
+                problems.push({ message: '"suppressions" must be an array', location: 'root.suppressions', field: 'suppressions' });
+            } else {
+                json.suppressions.forEach((entry, index) => {
+                    const suppression = checkSuppression(entry, index, problems);
+                    if (suppression) {
+                        config.suppressions.push(suppression);
+                    }
+                });
+            }
+        }
+
+        return { config: config, problems: problems };
+    }
+
+    function checkSuppression(entry, index, problems) {
+        const location = `suppressions[${index}]`;
+
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            problems.push({ message: `Suppression ${index + 1} must be an object`, location: location, field: 'suppressions' });
+            return null;
+        }
+
+        let valid = true;
+        Object.keys(entry).filter(key => !SUPPRESSION_KEYS.includes(key)).forEach(key => {
+            problems.push({ message: `Suppression ${index + 1}: unknown setting "${key}"`, location: `${location}.${key}`, field: key });
+        });
+        ['rule', 'path', 'justification'].forEach(field => {
+            if (typeof entry[field] !== 'string' || entry[field].trim() === '') {
+                problems.push({
+                    message: field === 'justification'
+                        ? `Suppression ${index + 1}: a justification is required`
+                        : `Suppression ${index + 1}: "${field}" must be a non-empty string`,
+                    location: `${location}.${field}`,
+                    field: field,
+                    currentValue: entry[field]
+                });
+                valid = false;
+            }
+        });
+        if (entry.file !== undefined && (typeof entry.file !== 'string' || entry.file.trim() === '')) {
+            problems.push({ message: `Suppression ${index + 1}: "file" must be a non-empty string`, location: `${location}.file`, field: 'file', currentValue: entry.file });
+            valid = false;
+        }
+
+        if (!valid) {
+            return null;
+        }
+        return {
+            index: index,
+            rule: entry.rule,
+            file: entry.file,
+            path: entry.path,
+            justification: entry.justification.trim()
+        };
+    }
+
+    // ===== APPLYING =====
+
+    function normalizePath(path) {
+        return jsonParser.parsePath(path).join('.');
+    }
+
+    function matchesFile(suppression, result) {
+        if (!suppression.file) {
+            return true;
+        }
+        const wanted = suppression.file.replace(/\\/g, '/').replace(/^\.\//, '');
+        const resultPath = result.relativePath || result.filename || '';
+        return resultPath === wanted || resultPath.endsWith('/' + wanted) || result.filename === wanted;
+    }
+
+    /**
+     * Whether a suppression path points at a finding's location - either written
+     * the same way or, for JSON files, resolving to the same node (so
+     * `tables.MyTable.columns.Count` matches `tables[0].columns[3]`)
+     */
+    function matchesPath(suppressionPath, location, tree) {
+        if (normalizePath(suppressionPath) === normalizePath(location)) {
+            return true;
+        }
+        if (!tree || !tree.root) {
+            return false;
+        }
+        const wanted = jsonParser.resolvePath(tree.root, jsonParser.parsePath(suppressionPath));
+        const found = jsonParser.resolvePath(tree.root, jsonParser.parsePath(location));
+        return wanted.complete && found.complete && wanted.node === found.node;
+    }
+
+    function matchesRule(rule, finding) {
+        return rule === finding.ruleId || rule === finding.type;
+    }
+
+    function getRuleSetting(config, finding) {
+        if (finding.ruleId && config.rules[finding.ruleId]) {
+            return config.rules[finding.ruleId];
+        }
+        return config.rules[finding.type];
+    }
+
+    function findSuppression(config, result, finding, getTree) {
+        return config.suppressions.find(suppression =>
+            matchesRule(suppression.rule, finding) &&
+            matchesFile(suppression, result) &&
+            matchesPath(suppression.path, finding.location, getTree())) || null;
+    }
+
+    /**
+     * Apply rule settings and suppressions to validation results
+     * Findings are moved between issues[] and warnings[] when their severity
+     * changes, dropped when their rule is off, and moved to suppressed[] (with the
+     * suppression that matched) when suppressed. Plain string findings have no rule
+     * and are left alone. The status of every changed result is recomputed.
+     *
+     * @param {Object[]} results - Validation results, modified in place
+     * @param {Object} config - Parsed configuration from parseConfig()
+     * @returns {Object} { disabled, suppressed, usedSuppressions } - usedSuppressions
+     *   holds the file index of every suppression that matched a finding
+     */
+    function applyConfig(results, config) {
+        const outcome = { disabled: 0, suppressed: 0, usedSuppressions: [] };
+
+        results.forEach(result => {
+            const issues = [];
+            const warnings = [];
+            const suppressed = result.suppressed || [];
+            let changed = false;
+            let tree;
+            const getTree = () => {
+                if (tree === undefined) {
+                    tree = typeof result.originalContent === 'string' ? jsonParser.parse(result.originalContent) : null;
+                }
+                return tree;
+            };
+
+            const place = (finding, defaultSeverity) => {
+                if (typeof finding !== 'object' || finding === null) {
+                    (defaultSeverity === 'error' ? issues : warnings).push(finding);
+                    return;
+                }
+
+                const setting = getRuleSetting(config, finding);
+                if (setting === 'off') {
+                    outcome.disabled++;
+                    changed = true;
+                    return;
+                }
+
+                let item = finding;
+                if (setting && setting !== (finding.severity || defaultSeverity)) {
+                    item = Object.assign({}, finding, { severity: setting, defaultSeverity: finding.severity || defaultSeverity });
+                    changed = true;
+                }
+
+                const suppression = findSuppression(config, result, item, getTree);
+                if (suppression) {
+                    suppressed.push(Object.assign({}, item, {
+                        severity: item.severity || defaultSeverity,
+                        suppression: { rule: suppression.rule, path: suppression.path, justification: suppression.justification }
+                    }));
+                    if (!outcome.usedSuppressions.includes(suppression.index)) {
+                        outcome.usedSuppressions.push(suppression.index);
+                    }
+                    outcome.suppressed++;
+                    changed = true;
+                    return;
+                }
+
+                ((item.severity || defaultSeverity) === 'error' ? issues : warnings).push(item);
+            };
+
+            (result.issues || []).forEach(issue => place(issue, 'error'));
+            (result.warnings || []).forEach(warning => place(warning, 'warning'));
+
+            if (changed) {
+                result.issues = issues;
+                result.warnings = warnings;
+                result.suppressed = suppressed;
+                result.status = issues.length > 0 ? 'fail' : 'pass';
+            }
+        });
+
+        return outcome;
+    }
+
+    return {
+        CONFIG_FILE_NAME: CONFIG_FILE_NAME,
+        RULE_SETTINGS: RULE_SETTINGS,
+        findConfigFile: findConfigFile,
+        parseConfig: parseConfig,
+        applyConfig: applyConfig
+    };
+}));
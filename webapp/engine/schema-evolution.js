@@ -0,0 +1,323 @@
+/**
+ * ===============================================================================
+ * AZURE LOG ANALYTICS SCHEMA VALIDATOR - SCHEMA EVOLUTION
+ * ===============================================================================
+ *
+ * OVERVIEW:
+ * Schema updates ship by editing a released manifest and bumping each changed
+ * table's artifactVersion. Tables already hold data in customer workspaces, so
+ * some edits break queries, alerts and workbooks built on them. This module
+ * compares a manifest with the same manifest of the previous release (the
+ * baseline) and reports:
+ * - Tables and columns that were removed
+ * - Columns that were renamed (a different case, or a removed column replaced
+ *   by a new one of the same type at the same position)
+ * - Column types that changed in a way that does not keep every stored value
+ *   (widenings such as Int → BigInt are allowed, see COLUMN_TYPE_WIDENINGS in
+ *   manifest-rules.js)
+ * - A changed dataTypeId
+ * - Tables whose columns or input changed without an artifactVersion bump, and
+ *   artifactVersions that went down
+ * - Tables moved from Production back to Validation
+ *
+ * Tables are matched by name (logicalName for the transform pattern), columns
+ * by name within their table.
+ *
+ * MODULE FORMAT:
+ * Universal module - loaded with a <script> tag it exposes
+ * window.LASchemaEvolution (load engine/manifest-rules.js first), loaded with
+ * require() it exports the same API through module.exports.
+ * ===============================================================================
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./manifest-rules.js'));
+    } else {
+        root.LASchemaEvolution = factory(root.LASchemaManifestRules);
+    }
+}(typeof self !== 'undefined' ? self : this, function (manifestRules) {
+    'use strict';
+
+    // ===== MATCHING =====
+
+    /**
+     * Path of a package entry without its first folder, which names the package
+     * and usually differs between two checkouts ("MyTeam-v1/KQL/x.kql" → "KQL/x.kql")
+     */
+    function getPackagePath(file) {
+        const path = (file.relativePath || file.name).replace(/\\/g, '/');
+        return file.relativePath ? path.split('/').slice(1).join('/') : path;
+    }
+
+    /**
+     * The baseline manifest a manifest is compared with: the one at the same path
+     * inside the package, else the one with the same file name, else the only
+     * manifest of the baseline when both packages hold exactly one
+     *
+     * @param {Object} manifestFile - Package entry of the current manifest
+     * @param {Object[]} manifestFiles - Package entries of all current manifests
+     * @param {Object[]} baselineManifestFiles - Package entries of the baseline manifests
+     * @returns {Object|null} Package entry of the baseline manifest
+     */
+    function findBaselineManifest(manifestFile, manifestFiles, baselineManifestFiles) {
+        const packagePath = getPackagePath(manifestFile);
+        return baselineManifestFiles.find(file => getPackagePath(file) === packagePath) ||
+            baselineManifestFiles.find(file => file.name === manifestFile.name) ||
+            (manifestFiles.length === 1 && baselineManifestFiles.length === 1 ? baselineManifestFiles[0] : null);
+    }
+
+    /**
+     * Identity of a table or column: its name, or logicalName for the transform pattern
+     */
+    function getItemKey(item) {
+        if (!item || typeof item !== 'object') {
+            return null;
+        }
+        const name = typeof item.name === 'string' ? item.name : item.logicalName;
+        return typeof name === 'string' && name !== '' ? name : null;
+    }
+
+    function indexByKey(items, getKey) {
+        const index = {};
+        (Array.isArray(items) ? items : []).forEach((item, position) => {
+            const key = getKey(item);
+            if (key !== null && !index[key]) {
+                index[key] = { item: item, position: position };
+            }
+        });
+        return index;
+    }
+
+    /**
+     * JSON with sorted object keys, so reordered properties compare equal
+     */
+    function canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(canonicalJson).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    function isWidening(fromType, toType) {
+        return (manifestRules.COLUMN_TYPE_WIDENINGS[fromType] || []).includes(toType);
+    }
+
+    // ===== COMPARISON =====
+
+    /**
+     * Compare a manifest with its previous release
+     *
+     * @param {Object} baseline - Parsed baseline manifest
+     * @param {Object} current - Parsed current manifest
+     * @returns {Object[]} Changes: { kind, ruleId, severity, message, location,
+     *   tableName, columnName?, baselineValue, currentValue, expectedValue?,
+     *   suggestion }; locations are JSON paths into the current manifest
+     */
+    function compareManifests(baseline, current) {
+        const changes = [];
+        if (!baseline || !current || !Array.isArray(baseline.tables) || !Array.isArray(current.tables)) {
+            return changes;
+        }
+
+        const currentTables = indexByKey(current.tables, getItemKey);
+
+        baseline.tables.forEach(baselineTable => {
+            const tableName = getItemKey(baselineTable);
+            if (tableName === null) {
+                return;
+            }
+
+            const match = currentTables[tableName];
+            if (!match) {
+                changes.push({
+                    kind: 'table_removed',
+                    ruleId: 'LAS-EVO-001',
+                    severity: 'error',
+                    message: baselineTable.deprecation
+                        ? `Deprecated table '${tableName}' was removed - deprecated tables stay in the manifest`
+                        : `Table '${tableName}' was removed - it exists in the baseline manifest`,
+                    location: 'tables',
+                    tableName: tableName,
+                    baselineValue: tableName,
+                    currentValue: 'missing',
+                    suggestion: `Restore table '${tableName}'. Released tables cannot be deleted through the manifest; deprecate the table instead and keep it until its retention has passed.`
+                });
+                return;
+            }
+
+            compareTables(baselineTable, match.item, `tables[${match.position}]`, tableName, changes);
+        });
+
+        return changes;
+    }
+
+    function compareTables(baselineTable, currentTable, tableLocation, tableName, changes) {
+        compareColumns(baselineTable, currentTable, tableLocation, tableName, changes);
+
+        if (typeof baselineTable.dataTypeId === 'string' && typeof currentTable.dataTypeId === 'string' &&
+            baselineTable.dataTypeId !== currentTable.dataTypeId) {
+            changes.push({
+                kind: 'data_type_id_changed',
+                ruleId: 'LAS-EVO-005',
+                severity: 'error',
+                message: `Table '${tableName}': dataTypeId changed from '${baselineTable.dataTypeId}' to '${currentTable.dataTypeId}'`,
+                location: `${tableLocation}.dataTypeId`,
+                tableName: tableName,
+                baselineValue: baselineTable.dataTypeId,
+                currentValue: currentTable.dataTypeId,
+                suggestion: `Keep dataTypeId '${baselineTable.dataTypeId}'. Data collection rules and the ingestion pipeline route data to the table by this ID.`
+            });
+        }
+
+        if (baselineTable.tableState === 'Production' && currentTable.tableState === 'Validation') {
+            changes.push({
+                kind: 'table_state_downgraded',
+                ruleId: 'LAS-EVO-007',
+                severity: 'error',
+                message: `Table '${tableName}': tableState went from Production back to Validation`,
+                location: `${tableLocation}.tableState`,
+                tableName: tableName,
+                baselineValue: baselineTable.tableState,
+                currentValue: currentTable.tableState,
+                suggestion: 'Keep tableState "Production". A released table stays in production; test further changes in a new table or a new artifactVersion instead.'
+            });
+        }
+
+        compareArtifactVersions(baselineTable, currentTable, tableLocation, tableName, changes);
+    }
+
+    function compareColumns(baselineTable, currentTable, tableLocation, tableName, changes) {
+        if (!Array.isArray(baselineTable.columns) || !Array.isArray(currentTable.columns)) {
+            return;
+        }
+
+        const baselineColumns = indexByKey(baselineTable.columns, getItemKey);
+        const currentColumns = indexByKey(currentTable.columns, getItemKey);
+        const addedNames = Object.keys(currentColumns).filter(name => !baselineColumns[name]);
+        const claimedNames = new Set();
+
+        Object.keys(baselineColumns).forEach(columnName => {
+            const baselineColumn = baselineColumns[columnName];
+            const currentColumn = currentColumns[columnName];
+
+            if (!currentColumn) {
+                const renamedTo = findRenamedColumn(columnName, baselineColumn, addedNames.filter(name => !claimedNames.has(name)), currentColumns);
+                if (renamedTo) {
+                    claimedNames.add(renamedTo);
+                    changes.push({
+                        kind: 'column_renamed',
+                        ruleId: 'LAS-EVO-003',
+                        severity: 'error',
+                        message: `Table '${tableName}': Column '${columnName}' was renamed to '${renamedTo}'`,
+                        location: `${tableLocation}.columns[${currentColumns[renamedTo].position}].name`,
+                        tableName: tableName,
+                        columnName: renamedTo,
+                        baselineValue: columnName,
+                        currentValue: renamedTo,
+                        suggestion: `Keep the column name '${columnName}' (column names are case-sensitive). To offer a new name, add '${renamedTo}' as an additional column and keep populating '${columnName}'.`
+                    });
+                } else {
+                    changes.push({
+                        kind: 'column_removed',
+                        ruleId: 'LAS-EVO-002',
+                        severity: 'error',
+                        message: baselineColumn.item.deprecation
+                            ? `Table '${tableName}': Deprecated column '${columnName}' was removed - deprecated columns stay in the manifest`
+                            : `Table '${tableName}': Column '${columnName}' was removed - it exists in the baseline manifest`,
+                        location: `${tableLocation}.columns`,
+                        tableName: tableName,
+                        columnName: columnName,
+                        baselineValue: `${columnName} (${baselineColumn.item.type})`,
+                        currentValue: 'missing',
+                        suggestion: `Restore column '${columnName}' of type ${baselineColumn.item.type}. Queries, alerts and workbooks that read it fail once it is gone; stop populating it instead of removing it.`
+                    });
+                }
+                return;
+            }
+
+            const fromType = baselineColumn.item.type;
+            const toType = currentColumn.item.type;
+            if (typeof fromType === 'string' && typeof toType === 'string' && fromType !== toType && !isWidening(fromType, toType)) {
+                const isNarrowing = isWidening(toType, fromType);
+                changes.push({
+                    kind: 'column_type_changed',
+                    ruleId: 'LAS-EVO-004',
+                    severity: 'error',
+                    message: `Table '${tableName}': Column '${columnName}' type ${isNarrowing ? 'narrowed' : 'changed'} from ${fromType} to ${toType}`,
+                    location: `${tableLocation}.columns[${currentColumn.position}].type`,
+                    tableName: tableName,
+                    columnName: columnName,
+                    baselineValue: fromType,
+                    currentValue: toType,
+                    suggestion: (manifestRules.COLUMN_TYPE_WIDENINGS[fromType]
+                        ? `Keep type ${fromType} or widen it to ${manifestRules.COLUMN_TYPE_WIDENINGS[fromType].join(', ')}.`
+                        : `Keep type ${fromType}.`) +
+                        ` To store the values as ${toType}, add a new column of that type.`
+                });
+            }
+        });
+    }
+
+    /**
+     * The added column that replaces a removed one: the same name in a different
+     * case, or a column of the same type at the removed column's position
+     */
+    function findRenamedColumn(columnName, baselineColumn, addedNames, currentColumns) {
+        const differentCase = addedNames.find(name => name.toLowerCase() === columnName.toLowerCase());
+        if (differentCase) {
+            return differentCase;
+        }
+        return addedNames.find(name =>
+            currentColumns[name].position === baselineColumn.position &&
+            currentColumns[name].item.type === baselineColumn.item.type) || null;
+    }
+
+    function compareArtifactVersions(baselineTable, currentTable, tableLocation, tableName, changes) {
+        const fromVersion = baselineTable.artifactVersion;
+        const toVersion = currentTable.artifactVersion;
+        if (!Number.isInteger(fromVersion) || !Number.isInteger(toVersion)) {
+            // Invalid versions are reported by the table rules
+            return;
+        }
+
+        const changedParts = ['columns', 'input', 'dataTypeId']
+            .filter(field => canonicalJson(baselineTable[field]) !== canonicalJson(currentTable[field]));
+
+        if (toVersion < fromVersion) {
+            changes.push({
+                kind: 'artifact_version_decreased',
+                ruleId: 'LAS-EVO-006',
+                severity: 'error',
+                message: `Table '${tableName}': artifactVersion went down from ${fromVersion} to ${toVersion}`,
+                location: `${tableLocation}.artifactVersion`,
+                tableName: tableName,
+                baselineValue: fromVersion,
+                currentValue: toVersion,
+                expectedValue: `${fromVersion} or higher`,
+                suggestion: `Set artifactVersion to ${changedParts.length > 0 ? fromVersion + 1 : fromVersion} - versions only ever increase.`
+            });
+        } else if (toVersion === fromVersion && changedParts.length > 0) {
+            changes.push({
+                kind: 'artifact_version_not_bumped',
+                ruleId: 'LAS-EVO-006',
+                severity: 'error',
+                message: `Table '${tableName}': ${changedParts.join(', ')} changed but artifactVersion is still ${fromVersion}`,
+                location: `${tableLocation}.artifactVersion`,
+                tableName: tableName,
+                baselineValue: fromVersion,
+                currentValue: toVersion,
+                expectedValue: `${fromVersion + 1} or higher`,
+                suggestion: `Increase artifactVersion to ${fromVersion + 1}. The deployment only picks up table changes that come with a new artifactVersion.`
+            });
+        }
+    }
+
+    return {
+        compareManifests: compareManifests,
+        findBaselineManifest: findBaselineManifest,
+        getPackagePath: getPackagePath
+    };
+}));
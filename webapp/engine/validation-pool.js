@@ -0,0 +1,307 @@
+/**
+ * ===============================================================================
+ * AZURE LOG ANALYTICS SCHEMA VALIDATOR - VALIDATION POOL
+ * ===============================================================================
+ *
+ * OVERVIEW:
+ * Runs the per-file phase of the engine (validateFile) for every entry of a
+ * package in a pool of Web Workers (validation-worker.js), so files are parsed
+ * and validated concurrently and the page stays responsive:
+ * - each worker takes the next file as soon as it has finished the previous one
+ * - every result is handed to onResult as it arrives, with the number of files
+ *   done so far, so progress reflects the work actually finished
+ * - aborting the signal terminates the workers; the promise rejects with an
+ *   error named AbortError (see isAbortError)
+ *
+ * The results come back in package order, ready for the package phase.
+ * completePackage runs that phase (completePackageValidation) in a worker of its
+ * own, so the cross-file rules do not block the page either and the signal can
+ * still cancel them.
+ *
+ * Where workers are not available - Node.js, or a page opened from disk that may
+ * not start them - the files are validated on the calling thread instead, one at
+ * a time, yielding between files so progress still renders and the signal is
+ * still honoured.
+ *
+ * MODULE FORMAT:
+ * Universal module - loaded with a <script> tag it exposes
+ * window.LASchemaValidationPool (load engine/validator-engine.js first), loaded
+ * with require() it exports the same API through module.exports.
+ * ===============================================================================
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./validator-engine.js'));
+    } else {
+        root.LASchemaValidationPool = factory(root.LASchemaEngine);
+    }
+}(typeof self !== 'undefined' ? self : this, function (engine) {
+    'use strict';
+
+    // Path of the worker script, relative to the page
+    const DEFAULT_WORKER_URL = 'engine/validation-worker.js';
+
+    // Every worker loads the engine of its own, so more rarely pays off
+    const MAX_WORKERS = 4;
+
+    /**
+     * Validate every file of a package on its own
+     *
+     * @param {Object[]} files - Package entries (see createPackage)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the run
+     * @param {Function} [options.onResult] - onResult(result, index, completed) for each finished file
+     * @param {number} [options.workers] - Pool size (default: the number of cores, at most MAX_WORKERS)
+     * @param {string} [options.workerUrl] - URL of validation-worker.js
+     * @returns {Promise<Object[]>} Validation results in package order
+     */
+    function validateFiles(files, options = {}) {
+        const run = {
+            files: files,
+            options: options,
+            results: new Array(files.length),
+            completed: 0
+        };
+
+        if (options.signal && options.signal.aborted) {
+            return Promise.reject(createAbortError());
+        }
+        if (files.length === 0) {
+            return Promise.resolve([]);
+        }
+        if (typeof Worker !== 'function') {
+            return validateInThread(run, files.map((file, index) => index));
+        }
+        return validateWithWorkers(run);
+    }
+
+    /**
+     * Run the package phase over the results of validateFiles
+     * 
+     * @param {Object[]} results - validateFiles() results, in package order
+     * @param {Object[]} files - Package entries (see createPackage)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the run
+     * @param {Object[]} [options.baseline] - Package entries of the previous release
+     * @param {string} [options.workerUrl] - URL of validation-worker.js
+     * @returns {Promise<Object[]>} The completed results (see completePackageValidation)
+     */
+    function completePackage(results, files, options = {}) {
+        if (options.signal && options.signal.aborted) {
+            return Promise.reject(createAbortError());
+        }
+        if (typeof Worker !== 'function') {
+            return completeInThread(results, files, options);
+        }
+        return completeWithWorker(results, files, options);
+    }
+    
+    // ===== WORKER POOL =====
+
+    function validateWithWorkers(run) {
+        const { files, options } = run;
+        const poolSize = Math.max(1, Math.min(options.workers || getDefaultPoolSize(), files.length));
+
+        return new Promise((resolve, reject) => {
+            const queue = files.map((file, index) => index);
+            const workers = [];
+            const inFlight = new Map();
+            let isSettled = false;
+
+            const stop = () => {
+                isSettled = true;
+                workers.forEach(worker => worker.terminate());
+                if (options.signal) {
+                    options.signal.removeEventListener('abort', onAbort);
+                }
+            };
+
+            const onAbort = () => {
+                if (!isSettled) {
+                    stop();
+                    reject(createAbortError());
+                }
+            };
+
+            // A worker that cannot start or crashes: finish the remaining files here
+            const fallBack = () => {
+                if (isSettled) {
+                    return;
+                }
+                const remaining = [...inFlight.values(), ...queue].sort((a, b) => a - b);
+                stop();
+                validateInThread(run, remaining).then(resolve, reject);
+            };
+
+            const dispatch = worker => {
+                if (queue.length === 0) {
+                    inFlight.delete(worker);
+                    if (inFlight.size === 0) {
+                        stop();
+                        resolve(run.results);
+                    }
+                    return;
+                }
+                const index = queue.shift();
+                inFlight.set(worker, index);
+                worker.postMessage({ type: 'validate', index: index, file: files[index] });
+            };
+
+            if (options.signal) {
+                options.signal.addEventListener('abort', onAbort);
+            }
+
+            try {
+                for (let i = 0; i < poolSize; i++) {
+                    workers.push(new Worker(options.workerUrl || DEFAULT_WORKER_URL));
+                }
+            } catch (error) {
+                // e.g. a SecurityError for pages opened from disk
+                fallBack();
+                return;
+            }
+
+            workers.forEach(worker => {
+                worker.onmessage = event => {
+                    const message = event.data;
+                    if (isSettled || !message || message.type !== 'result') {
+                        return;
+                    }
+                    recordResult(run, message.index, message.result);
+                    dispatch(worker);
+                };
+                worker.onerror = event => {
+                    event.preventDefault();
+                    fallBack();
+                };
+                dispatch(worker);
+            });
+        });
+    }
+
+    function completeWithWorker(results, files, options) {
+        return new Promise((resolve, reject) => {
+            let worker;
+            let isSettled = false;
+            
+            const stop = () => {
+                isSettled = true;
+                if (worker) {
+                    worker.terminate();
+                }
+                if (options.signal) {
+                    options.signal.removeEventListener('abort', onAbort);
+                }
+            };
+            
+            const onAbort = () => {
+                if (!isSettled) {
+                    stop();
+                    reject(createAbortError());
+                }
+            };
+            
+            // A worker that cannot start or crashes: run the phase here
+            const fallBack = () => {
+                if (isSettled) {
+                    return;
+                }
+                stop();
+                completeInThread(results, files, options).then(resolve, reject);
+            };
+            
+            if (options.signal) {
+                options.signal.addEventListener('abort', onAbort);
+            }
+            
+            try {
+                worker = new Worker(options.workerUrl || DEFAULT_WORKER_URL);
+            } catch (error) {
+                fallBack();
+                return;
+            }
+            
+            worker.onmessage = event => {
+                const message = event.data;
+                if (isSettled || !message || message.type !== 'completed') {
+                    return;
+                }
+                stop();
+                resolve(message.results);
+            };
+            worker.onerror = event => {
+                event.preventDefault();
+                fallBack();
+            };
+            worker.postMessage({
+                type: 'complete',
+                results: results,
+                files: files,
+                baseline: options.baseline || null
+            });
+        });
+    }
+    
+    function getDefaultPoolSize() {
+        const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2;
+        return Math.min(cores, MAX_WORKERS);
+    }
+
+    // ===== CALLING THREAD =====
+
+    async function validateInThread(run, indexes) {
+        for (const index of indexes) {
+            throwIfAborted(run.options.signal);
+            recordResult(run, index, engine.validateFile(run.files[index]));
+
+            // Let the page render progress and handle a cancel between files
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        throwIfAborted(run.options.signal);
+        return run.results;
+    }
+
+    async function completeInThread(results, files, options) {
+        // Let the page render the progress of the per-file phase first
+        await new Promise(resolve => setTimeout(resolve, 0));
+        throwIfAborted(options.signal);
+        
+        return engine.completePackageValidation(results, files, { baseline: options.baseline });
+    }
+    
+    // ===== HELPERS =====
+
+    function recordResult(run, index, result) {
+        run.results[index] = result;
+        run.completed++;
+        if (typeof run.options.onResult === 'function') {
+            run.options.onResult(result, index, run.completed);
+        }
+    }
+
+    function createAbortError() {
+        const error = new Error('Validation was cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    function throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw createAbortError();
+        }
+    }
+
+    /**
+     * Whether an error is the rejection of a cancelled run
+     */
+    function isAbortError(error) {
+        return Boolean(error) && error.name === 'AbortError';
+    }
+
+    return {
+        validateFiles: validateFiles,
+        completePackage: completePackage,
+        isAbortError: isAbortError,
+        MAX_WORKERS: MAX_WORKERS
+    };
+}));
@@ -0,0 +1,51 @@
+/**
+ * ===============================================================================
+ * AZURE LOG ANALYTICS SCHEMA VALIDATOR - VALIDATION WORKER
+ * ===============================================================================
+ *
+ * OVERVIEW:
+ * Runs the per-file phase of the validation engine (validateFile) off the main
+ * thread for validation-pool.js. The pool sends the files to validate one at a
+ * time as { type: 'validate', index, file } - file is a package entry (see
+ * createPackage), index its position in the package. Every validated file is
+ * answered with { type: 'result', index, result }.
+ *
+ * For the package phase the pool sends every result at once as
+ * { type: 'complete', results, files, baseline } and is answered with
+ * { type: 'completed', results } (see completePackageValidation).
+ *
+ * MODULE FORMAT:
+ * Dedicated worker script - started with new Worker('engine/validation-worker.js').
+ * It loads the engine modules from its own folder with importScripts().
+ * ===============================================================================
+ */
+'use strict';
+
+importScripts(
+    'json-parser.js',
+    'kql-parser.js',
+    'kql-schema.js',
+    'kql-limitations.js',
+    'kql-interpreter.js',
+    'kql-references.js',
+    'manifest-rules.js',
+    'schema-evolution.js',
+    'package-paths.js',
+    'rule-config.js',
+    'rule-catalog.js',
+    'validator-engine.js'
+);
+
+self.onmessage = event => {
+    const message = event.data;
+
+    if (message.type === 'validate') {
+        const result = self.LASchemaEngine.validateFile(message.file);
+        self.postMessage({ type: 'result', index: message.index, result: result });
+    } else if (message.type === 'complete') {
+        const results = self.LASchemaEngine.completePackageValidation(message.results, message.files, {
+            baseline: message.baseline
+        });
+        self.postMessage({ type: 'completed', results: results });
+    }
+};
@@ -0,0 +1,5453 @@
+/**
+ * ===============================================================================
+ * AZURE LOG ANALYTICS SCHEMA VALIDATOR - HEADLESS VALIDATION ENGINE
+ * ===============================================================================
+ * 
+ * OVERVIEW:
+ * This module holds every validation rule of the validator (manifest, transform
+ * manifest, KQL, sample JSON and folder structure checks) with no dependency on
+ * the DOM, FileReader or any global application state. The web UI (script.js)
+ * and any Node.js script or build pipeline run exactly the same rules.
+ * 
+ * INPUT - AN IN-MEMORY PACKAGE:
+ * A package is a list of file entries: { name, relativePath, content, size }.
+ * createPackage() builds one from a plain { 'path/to/file': 'content' } map.
+ * 
+ * OUTPUT - VALIDATION RESULTS:
+ * One result object per file: filename, relativePath, displayName, type, status,
+ * issues[], warnings[], fileSize, originalContent and parsedContent (the parsed
+ * JSON, or the syntax tree from kql-parser.js for KQL files).
+ * 
+ * VALIDATION PHASES:
+ * validateFile() checks one file on its own (the per-file phase) and never looks
+ * at another entry. validatePackageRules() then runs the rules that involve more
+ * than one file (the package phase) - the paths manifests reference, function and
+ * query bodies, sample files and transformation output against their tables,
+ * query ids and dataTypeIds across manifests, transform manifests against their
+ * related table - over everything the per-file phase parsed, without parsing any
+ * file again. Package rules are added with registerPackageRule() and report each
+ * finding on the file it belongs to. validatePackage() runs both phases; callers
+ * that ran the per-file phase themselves finish with completePackageValidation().
+ * 
+ * MODULE FORMAT:
+ * Universal module - loaded with a <script> tag it exposes window.LASchemaEngine
+ * (load engine/json-parser.js, kql-parser.js, kql-schema.js,
+ * kql-limitations.js, kql-interpreter.js, kql-references.js, manifest-rules.js,
+ * schema-evolution.js, package-paths.js, rule-config.js and rule-catalog.js
+ * first), loaded with require() it exports the same API through module.exports.
+ * 
+ * FILE REFERENCES:
+ * Paths in manifests (transformFilePath, bodyFilePath, sample record paths,
+ * kqlFilePath) are resolved relative to the manifest's folder by
+ * package-paths.js; missing targets, a different case, paths leaving the
+ * package and targets of the wrong kind are errors on the manifest.
+ * 
+ * RULE SOURCE:
+ * Required fields, allowed types and values, system and reserved column names
+ * come from manifest-rules.js, which also generates the published JSON Schemas.
+ * 
+ * SOURCE POSITIONS:
+ * Findings on JSON files locate their problem with a JSON path (`location`,
+ * e.g. tables[2].columns[5].type). After a file is validated, json-parser.js
+ * resolves each path to lineNumber/column/endLineNumber/endColumn.
+ * 
+ * RULE IDS:
+ * Every finding carries the stable ID of the rule that reported it (`ruleId`,
+ * e.g. LAS-TBL-004). rule-catalog.js describes each rule; findings without
+ * their own microsoftRequirement text get the one from the catalogue.
+ * 
+ * PROJECT CONFIGURATION:
+ * A `.lasvalidator.json` in the package root can turn rules off, change their
+ * severity and suppress single findings (see rule-config.js). validatePackage()
+ * applies it last; suppressed findings move to each result's suppressed[].
+ * 
+ * SCHEMA EVOLUTION:
+ * Given the package of the previous release as a baseline, validatePackage()
+ * compares each manifest with its baseline (see schema-evolution.js) and adds
+ * breaking changes - removed or renamed columns, narrowed types, a missing
+ * artifactVersion bump - to the manifest's result.
+ * ===============================================================================
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(
+            require('./json-parser.js'),
+            require('./kql-parser.js'),
+            require('./kql-schema.js'),
+            require('./kql-limitations.js'),
+            require('./kql-interpreter.js'),
+            require('./kql-references.js'),
+            require('./manifest-rules.js'),
+            require('./schema-evolution.js'),
+            require('./package-paths.js'),
+            require('./rule-config.js'),
+            require('./rule-catalog.js')
+        );
+    } else {
+        root.LASchemaEngine = factory(root.LASchemaJson, root.LASchemaKql, root.LASchemaKqlSchema, root.LASchemaKqlLimitations, root.LASchemaKqlInterpreter, root.LASchemaKqlReferences, root.LASchemaManifestRules, root.LASchemaEvolution, root.LASchemaPackagePaths, root.LASchemaRuleConfig, root.LASchemaRuleCatalog);
+    }
+}(typeof self !== 'undefined' ? self : this, function (jsonParser, kqlParser, kqlSchema, kqlLimitations, kqlInterpreter, kqlReferences, manifestRules, schemaEvolution, packagePaths, ruleConfig, ruleCatalog) {
+    'use strict';
+    
+    // ===== PACKAGE HANDLING =====
+    
+    /**
+     * Build an in-memory package from a path → content map
+     * Paths use forward slashes and are relative to the folder that was selected,
+     * exactly like webkitRelativePath in the browser (e.g. "MyTeam/KQL/Transform.kql").
+     * 
+     * @param {Object<string, string>} contentsByPath - File contents keyed by relative path
+     * @returns {Object[]} Package entries: { name, relativePath, content, size }
+     */
+    function createPackage(contentsByPath) {
+        return Object.keys(contentsByPath).sort().map(path => createPackageFile(path, contentsByPath[path]));
+    }
+    
+    /**
+     * Build a single package entry
+     * Files without a folder component (single file uploads) carry no relativePath,
+     * matching the browser where webkitRelativePath is empty for individually selected files.
+     * A UTF-8 byte order mark is dropped here, once, so every validator sees the same text.
+     */
+    function createPackageFile(path, content) {
+        const normalizedPath = String(path).replace(/\\/g, '/');
+        const name = normalizedPath.split('/').pop();
+        const text = typeof content === 'string' ? content.replace(/^\uFEFF/, '') : content;
+        
+        return {
+            name: name,
+            relativePath: normalizedPath.includes('/') ? normalizedPath : undefined,
+            content: text,
+            size: typeof text === 'string' ? utf8ByteLength(text) : 0
+        };
+    }
+    
+    function utf8ByteLength(text) {
+        let bytes = 0;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            if (code < 0x80) {
+                bytes += 1;
+            } else if (code < 0x800) {
+                bytes += 2;
+            } else if (code >= 0xD800 && code <= 0xDBFF) {
+                // Surrogate pair - 4 bytes for the whole code point
+                bytes += 4;
+                i++;
+            } else {
+                bytes += 3;
+            }
+        }
+        return bytes;
+    }
+    
+    /**
+     * Folder analysis only makes sense when several files were uploaded
+     * together with their relative paths (i.e. a folder was selected or dropped)
+     */
+    function shouldAnalyzeFolderStructure(files) {
+        const hasFolderStructure = files.some(file => file.relativePath);
+        const hasMultipleFiles = files.length > 1;
+        return hasFolderStructure && hasMultipleFiles;
+    }
+    
+    /**
+     * Validate a complete package
+     * Runs the per-file validators for every entry, then the package rules over all
+     * of their results and, for folder uploads, adds the folder structure analysis
+     * at the beginning of the results for prominence. With a baseline, manifests are
+     * also checked for breaking changes against it. The package's .lasvalidator.json,
+     * if any, is applied to the final results.
+     * 
+     * @param {Object[]} files - Package entries (see createPackage)
+     * @param {Object} [options]
+     * @param {Object[]} [options.baseline] - Package entries of the previous release
+     * @returns {Object[]} Validation results, one per file
+     */
+    function validatePackage(files, options = {}) {
+        const results = files.map(file => validateFile(file));
+        
+        return completePackageValidation(results, files, options);
+    }
+    
+    /**
+     * Run everything that follows the per-file phase
+     * For callers that validated the files themselves (e.g. validation-pool.js):
+     * the package rules, the comparison with the baseline, the folder structure
+     * analysis and the package's .lasvalidator.json, in the order validatePackage
+     * runs them.
+     * 
+     * @param {Object[]} results - validateFile() results, in package order
+     * @param {Object[]} files - Package entries (see createPackage)
+     * @param {Object} [options]
+     * @param {Object[]} [options.baseline] - Package entries of the previous release
+     * @returns {Object[]} The same results array, completed
+     */
+    function completePackageValidation(results, files, options = {}) {
+        validatePackageRules(results, files);
+        
+        if (options.baseline) {
+            checkSchemaEvolution(results, files, options.baseline);
+        }
+        
+        if (shouldAnalyzeFolderStructure(files)) {
+            results.unshift(analyzeFolderStructure(files));
+        }
+        
+        return applyRuleConfiguration(results, files);
+    }
+    
+    // ===== PACKAGE PHASE =====
+    
+    // Rules that compare files with each other, run once every file has been validated
+    const PACKAGE_RULES = [];
+    
+    /**
+     * Register a rule with the package phase
+     * The rule is called with the package context (see createPackageContext) and a
+     * report(file, finding) function that adds the finding to the result of that file.
+     * 
+     * @param {string} name - Short name of the rule, used in processing errors
+     * @param {Function} run - run(pkg, report)
+     */
+    function registerPackageRule(name, run) {
+        PACKAGE_RULES.push({ name: name, run: run });
+    }
+    
+    /**
+     * Everything the per-file phase parsed, by kind of file
+     * manifests, transforms and samples carry the parsed JSON (files that do not
+     * parse are left out - they are reported on their own), kql entries carry the
+     * syntax tree and whether the file had syntax errors. tables lists the tables of
+     * every NGSchema manifest: { name, columns (names), table (the definition), manifestFile }.
+     * 
+     * @param {Object[]} results - Per-file validation results
+     * @param {Object[]} files - Package entries (see createPackage)
+     * @returns {Object} { files, entries, manifests, transforms, kql, samples, tables, getEntry(file), getKql(file) }
+     */
+    function createPackageContext(results, files) {
+        const resultsByPath = {};
+        results.forEach(result => {
+            if (result && result.type !== 'folder') {
+                resultsByPath[String(result.relativePath || result.filename).replace(/\\/g, '/')] = result;
+            }
+        });
+        
+        const entries = files.map(file => {
+            const path = packagePaths.getFilePath(file);
+            const result = resultsByPath[path] || null;
+            return {
+                file: file,
+                path: path,
+                type: getFileType(file.name),
+                result: result,
+                parsed: result ? result.parsedContent : undefined
+            };
+        });
+        const parsedOfType = type => entries.filter(entry => entry.type === type && entry.parsed !== undefined);
+        
+        const manifests = parsedOfType('manifest').filter(entry => isPlainObject(entry.parsed));
+        const kql = parsedOfType('kql').map(entry => Object.assign(entry, {
+            hasSyntaxErrors: entry.result.issues.some(issue => issue && issue.type === 'kql_syntax_error')
+        }));
+        
+        const tables = [];
+        manifests.forEach(entry => {
+            (Array.isArray(entry.parsed.tables) ? entry.parsed.tables : []).forEach(table => {
+                const name = getTableName(table);
+                if (name) {
+                    const columns = Array.isArray(table.columns)
+                        ? table.columns.filter(column => column && typeof column.name === 'string').map(column => column.name)
+                        : [];
+                    tables.push({ name: name, columns: columns, table: table, manifestFile: entry.file });
+                }
+            });
+        });
+        
+        return {
+            files: files,
+            entries: entries,
+            manifests: manifests,
+            transforms: parsedOfType('transform-manifest').filter(entry => isPlainObject(entry.parsed)),
+            kql: kql,
+            samples: parsedOfType('json'),
+            tables: tables,
+            getEntry: file => entries.find(entry => entry.file === file) || null,
+            getKql: file => kql.find(entry => entry.file === file) || null
+        };
+    }
+    
+    /**
+     * Run the package rules over the results of the per-file phase
+     * Each finding is added to the result of the file it was reported on; findings
+     * on JSON files get their source range like the per-file findings. A rule that
+     * fails is reported on a package-level result added at the beginning.
+     * 
+     * @param {Object[]} results - Per-file validation results, modified in place
+     * @param {Object[]} files - Package entries (see createPackage)
+     * @returns {Object[]} The same results
+     */
+    function validatePackageRules(results, files) {
+        const pkg = createPackageContext(results, files);
+        const touched = new Set();
+        let packageResult = null;
+        
+        const report = (file, finding) => {
+            const entry = pkg.getEntry(file);
+            if (!entry || !entry.result) {
+                return;
+            }
+            if (finding.severity === 'error') {
+                entry.result.issues.push(finding);
+                entry.result.status = 'fail';
+            } else {
+                entry.result.warnings.push(finding);
+            }
+            touched.add(entry);
+        };
+        
+        PACKAGE_RULES.forEach(rule => {
+            try {
+                rule.run(pkg, report);
+            } catch (error) {
+                // A failing rule must not hide the findings of the others
+                if (!packageResult) {
+                    packageResult = {
+                        filename: '📦 Package Rules',
+                        type: 'package',
+                        status: 'pass',
+                        issues: [],
+                        warnings: [],
+                        fileSize: 0
+                    };
+                    results.unshift(packageResult);
+                }
+                packageResult.warnings.push({
+                    message: `Package rule '${rule.name}' could not run: ${error.message}`,
+                    type: 'processing_error',
+                    ruleId: 'LAS-ENG-001',
+                    field: 'package',
+                    location: 'package',
+                    severity: 'warning',
+                    suggestion: 'Validate the files again. If the problem persists, report it together with the package.',
+                    errorDetails: `JavaScript error: ${error.message}`
+                });
+            }
+        });
+        
+        if (packageResult) {
+            describeFindings(packageResult);
+        }
+        
+        touched.forEach(entry => {
+            describeFindings(entry.result);
+            if (['manifest', 'transform-manifest', 'json', 'config'].includes(entry.type) && typeof entry.file.content === 'string') {
+                attachSourceRanges(entry.result, entry.file.content);
+            }
+        });
+        
+        return results;
+    }
+    
+    // ===== FILE VALIDATORS =====
+    
+    function analyzeFolderStructure(files) {
+        const folderAnalysis = {
+            filename: '📁 Folder Structure Analysis',
+            type: 'folder',
+            status: 'pass',
+            issues: [],
+            warnings: [],
+            fileSize: 0,
+            folderAnalysis: true
+        };
+        
+        // Check for required directories
+        const requiredDirs = ['KQL', 'SampleInputRecords', 'SampleOutputRecords'];
+        const foundDirs = new Set();
+        const filesByFolder = {};
+        const allDirectories = new Set();
+        
+        // Analyze all files and their paths
+        files.forEach(file => {
+            const relativePath = file.relativePath;
+            if (relativePath) {
+                const pathParts = relativePath.split('/');
+                
+                // Add all directory levels to our tracking
+                for (let i = 0; i < pathParts.length - 1; i++) {
+                    const dirPath = pathParts.slice(0, i + 1).join('/');
+                    allDirectories.add(dirPath);
+                    
+                    // Track the directory name itself
+                    const dirName = pathParts[i];
+                    foundDirs.add(dirName);
+                }
+                
+                if (pathParts.length > 1) {
+                    const topLevelDir = pathParts[0];
+                    if (!filesByFolder[topLevelDir]) {
+                        filesByFolder[topLevelDir] = [];
+                    }
+                    filesByFolder[topLevelDir].push(file);
+                }
+            }
+        });
+        
+        
+        // Check for required directories
+        requiredDirs.forEach(dir => {
+            if (!foundDirs.has(dir)) {
+                folderAnalysis.issues.push({
+                    message: `Missing required directory: ${dir}`,
+                    type: 'error',
+                    ruleId: 'LAS-PKG-001',
+                    field: 'folder_structure',
+                    location: 'root',
+                    currentValue: 'missing',
+                    expectedValue: dir,
+                    suggestion: `Create the ${dir} directory and add appropriate files`
+                });
+            }
+        });
+        
+        // Check for manifest file
+        const manifestFiles = files.filter(file => file.name.includes('.manifest.json'));
+        // Transform manifests sit next to the NGSchema manifest of their table
+        const schemaManifestFiles = manifestFiles.filter(file => getFileType(file.name) === 'manifest');
+        if (manifestFiles.length === 0) {
+            folderAnalysis.issues.push({
+                message: 'No manifest.json file found',
+                type: 'error',
+                ruleId: 'LAS-PKG-002',
+                field: 'manifest_file',
+                location: 'root',
+                currentValue: 'missing',
+                expectedValue: 'manifest.json',
+                suggestion: 'Add a manifest.json file to the root directory'
+            });
+        } else if (schemaManifestFiles.length > 1) {
+            folderAnalysis.warnings.push({
+                message: 'Multiple manifest files found',
+                type: 'folder_structure',
+                ruleId: 'LAS-PKG-003',
+                field: 'folder_structure',
+                location: 'root',
+                severity: 'warning',
+                suggestion: 'Keep one *.manifest.json in the package folder and move other schemas to their own folders.'
+            });
+        }
+        
+        // Check for KQL files
+        const kqlFiles = files.filter(file => file.name.endsWith('.kql'));
+        if (kqlFiles.length === 0) {
+            folderAnalysis.warnings.push({
+                message: 'No KQL files found',
+                type: 'folder_structure',
+                ruleId: 'LAS-PKG-004',
+                field: 'folder_structure',
+                location: 'root',
+                severity: 'warning',
+                suggestion: 'Add the transformation, function and query files to the KQL folder.'
+            });
+        }
+        
+        // Check for sample files
+        const sampleFiles = files.filter(file => file.name.endsWith('.json') && !file.name.includes('manifest') && file.name !== ruleConfig.CONFIG_FILE_NAME);
+        if (sampleFiles.length === 0) {
+            folderAnalysis.warnings.push({
+                message: 'No sample data files found',
+                type: 'folder_structure',
+                ruleId: 'LAS-PKG-005',
+                field: 'folder_structure',
+                location: 'root',
+                severity: 'warning',
+                suggestion: 'Add sample input and output records to the SampleInputRecords and SampleOutputRecords folders.'
+            });
+        }
+        
+        // Files no manifest references
+        checkOrphanedFiles(files, folderAnalysis);
+        
+        // Set overall status
+        if (folderAnalysis.issues.length > 0) {
+            folderAnalysis.status = 'fail';
+        }
+        
+        describeFindings(folderAnalysis);
+        return folderAnalysis;
+    }
+
+    /**
+     * Validate one file of a package on its own (the per-file phase)
+     * Rules that compare files with each other run in the package phase
+     * (see validatePackageRules).
+     * 
+     * @param {Object} file - Package entry (see createPackageFile)
+     * @returns {Object} Validation result of the file
+     */
+    function validateFile(file) {
+        const filename = file.name;
+        const relativePath = file.relativePath;
+        const fileType = getFileType(filename);
+        
+        let validationResult = {
+            filename: filename,
+            relativePath: relativePath,
+            displayName: relativePath || filename,
+            type: fileType,
+            status: 'pass',
+            issues: [],
+            warnings: [],
+            fileSize: file.size
+        };
+        
+        try {
+            if (fileType === 'manifest') {
+                validationResult = validateManifestFile(file, validationResult);
+            } else if (fileType === 'transform-manifest') {
+                validationResult = validateTransformManifestFile(file, validationResult);
+            } else if (fileType === 'kql') {
+                validationResult = validateKQLFile(file, validationResult);
+            } else if (fileType === 'config') {
+                validationResult = validateConfigFile(file, validationResult);
+            } else if (fileType === 'json') {
+                validationResult = validateJSONFile(file, validationResult);
+            } else {
+                validationResult.warnings.push({
+                    message: 'File type not recognized for validation',
+                    type: 'unrecognized_file',
+                    ruleId: 'LAS-PKG-006',
+                    field: 'file',
+                    location: 'entire_file',
+                    severity: 'warning',
+                    suggestion: 'Only .manifest.json, .transform.manifest.json, .kql and .json files are validated. Remove the file from the package if it is not needed.'
+                });
+            }
+            
+            if (fileType === 'manifest' || fileType === 'transform-manifest' || fileType === 'json' || fileType === 'config') {
+                attachSourceRanges(validationResult, file.content);
+            }
+        } catch (error) {
+            validationResult.status = 'fail';
+            validationResult.issues.push({
+                message: 'Error reading file: ' + error.message,
+                type: 'processing_error',
+                ruleId: 'LAS-ENG-001',
+                field: 'file',
+                location: 'entire_file',
+                severity: 'error',
+                suggestion: 'Check that the file is readable text and re-validate it.',
+                errorDetails: `JavaScript error: ${error.message}`
+            });
+        }
+        
+        describeFindings(validationResult);
+        return validationResult;
+    }
+
+    function getFileType(filename) {
+        if (filename.includes('.transform.manifest.json')) return 'transform-manifest';
+        if (filename.includes('.manifest.json')) return 'manifest';
+        if (filename === ruleConfig.CONFIG_FILE_NAME) return 'config';
+        if (filename.endsWith('.kql')) return 'kql';
+        if (filename.endsWith('.json')) return 'json';
+        return 'other';
+    }
+
+    function validateManifestFile(file, result) {
+        const content = file.content;
+        
+        // Store original content for drill-down (syntax errors are shown in place too)
+        result.originalContent = content;
+        
+        try {
+            const manifest = JSON.parse(content);
+            result.parsedContent = manifest;
+            
+            // Check required top-level properties based on official documentation
+            const requiredFields = manifestRules.RULES.manifest.required;
+            requiredFields.forEach(field => {
+                if (!manifest[field]) {
+                    // Suggest adding it after the last field present that precedes it in the recommended order
+                    let insertAfterField = null;
+                    const fieldOrder = requiredFields;
+                    const currentFieldIndex = fieldOrder.indexOf(field);
+                    
+                    for (let i = currentFieldIndex - 1; i >= 0; i--) {
+                        const previousField = fieldOrder[i];
+                        if (manifest[previousField]) {
+                            insertAfterField = previousField;
+                            break;
+                        }
+                    }
+                    
+                    // Create example value based on field type
+                    let exampleValue;
+                    switch (field) {
+                        case 'type':
+                            exampleValue = 'NGSchema';
+                            break;
+                        case 'displayName':
+                            exampleValue = 'Your Log Table Name';
+                            break;
+                        case 'description':
+                            exampleValue = 'Description of your log table data.';
+                            break;
+                        case 'simplifiedSchemaVersion':
+                            exampleValue = manifestRules.SIMPLIFIED_SCHEMA_VERSION;
+                            break;
+                        case 'tables':
+                            exampleValue = '[]';
+                            break;
+                        default:
+                            exampleValue = '""';
+                    }
+                    
+                    const fixCode = `"${field}": ${typeof exampleValue === 'string' && field !== 'tables' ? `"${exampleValue}"` : exampleValue}`;
+                    
+                    result.issues.push({
+                        message: `Missing required field: ${field}`,
+                        type: 'missing_field',
+                        ruleId: 'LAS-MAN-001',
+                        field: field,
+                        location: `root.${field}`,
+                        severity: 'error',
+                        currentValue: 'missing',
+                        expectedValue: exampleValue,
+                        suggestion: `Add the required field "${field}" to the root level of your manifest file.`,
+                        fixInstructions: `Add this line ${insertAfterField ? `after the "${insertAfterField}" field` : 'near the beginning of the file'}: ${fixCode}`,
+                        fixCode: fixCode,
+                        microsoftRequirement: `The "${field}" field is required by Azure Log Analytics NGSchema v3 specification.`
+                    });
+                    result.status = 'fail';
+                }
+            });
+            
+            // Check schema version
+            if (manifest.simplifiedSchemaVersion !== manifestRules.SIMPLIFIED_SCHEMA_VERSION) {
+                result.issues.push({
+                    message: `simplifiedSchemaVersion must be "${manifestRules.SIMPLIFIED_SCHEMA_VERSION}"`,
+                    type: 'invalid_value',
+                    ruleId: 'LAS-MAN-002',
+                    field: 'simplifiedSchemaVersion',
+                    location: 'root',
+                    currentValue: manifest.simplifiedSchemaVersion,
+                    expectedValue: manifestRules.SIMPLIFIED_SCHEMA_VERSION,
+                    severity: 'error',
+                    suggestion: `Change the simplifiedSchemaVersion value to "${manifestRules.SIMPLIFIED_SCHEMA_VERSION}" to match the current schema requirements.`
+                });
+                result.status = 'fail';
+            }
+            
+            // Validate descriptions
+            if (manifest.description) {
+                validateDescription(manifest.description, 'Top-level description', result, 'root.description');
+            }
+            
+            // Validate tables (required and must have at least one)
+            if (!manifest.tables || !Array.isArray(manifest.tables)) {
+                result.issues.push({
+                    message: 'tables field must be an array',
+                    type: 'invalid_type',
+                    ruleId: 'LAS-MAN-003',
+                    field: 'tables',
+                    location: 'root',
+                    severity: 'error',
+                    suggestion: 'The tables field must be an array containing at least one table object.'
+                });
+                result.status = 'fail';
+            } else if (manifest.tables.length === 0) {
+                result.issues.push({
+                    message: 'tables array must contain at least one table object',
+                    type: 'empty_array',
+                    ruleId: 'LAS-MAN-004',
+                    field: 'tables',
+                    location: 'root',
+                    severity: 'error',
+                    suggestion: 'Add at least one table object to the tables array.'
+                });
+                result.status = 'fail';
+            } else {
+                manifest.tables.forEach((table, index) => {
+                    validateTable(table, index, result);
+                });
+            }
+            
+            // Validate functions (optional - can be empty array)
+            if (manifest.functions !== undefined) {
+                if (!Array.isArray(manifest.functions)) {
+                    result.issues.push({
+                        message: 'functions field must be an array (can be empty)',
+                        type: 'invalid_type',
+                        ruleId: 'LAS-MAN-005',
+                        field: 'functions',
+                        location: 'root',
+                        severity: 'error',
+                        suggestion: 'Change the functions field to an array. It can be empty if no functions are defined.'
+                    });
+                    result.status = 'fail';
+                } else if (manifest.functions.length > 0) {
+                    manifest.functions.forEach((func, index) => {
+                        validateFunction(func, index, result);
+                    });
+                }
+            }
+            
+            // Validate queries (optional - can be empty array)
+            if (manifest.queries !== undefined) {
+                if (!Array.isArray(manifest.queries)) {
+                    result.issues.push({
+                        message: 'queries field must be an array (can be empty)',
+                        type: 'invalid_type',
+                        ruleId: 'LAS-MAN-006',
+                        field: 'queries',
+                        location: 'root',
+                        severity: 'error',
+                        suggestion: 'Change the queries field to an array. It can be empty if no queries are defined.'
+                    });
+                    result.status = 'fail';
+                } else if (manifest.queries.length > 0) {
+                    manifest.queries.forEach((query, index) => {
+                        validateQuery(query, index, result);
+                    });
+                }
+            }
+            
+            // Deprecated tables and columns (KQL that still uses them: checkDeprecatedReferences)
+            validateDeprecations(manifest, result);
+            
+            // Validate that queries exist and are related to tables
+            const hasQueries = manifest.queries && Array.isArray(manifest.queries) && manifest.queries.length > 0;
+            const hasTables = manifest.tables && Array.isArray(manifest.tables) && manifest.tables.length > 0;
+            
+            if (!hasQueries && hasTables) {
+                result.warnings.push({
+                    message: 'No example queries found in the manifest',
+                    type: 'missing_queries',
+                    ruleId: 'LAS-QRY-004',
+                    field: 'queries',
+                    location: 'root.queries',
+                    severity: 'warning',
+                    suggestion: 'Consider adding example queries to demonstrate how to use the tables in this schema. Each table should have at least one example query to help users understand how to query the data.'
+                });
+            }
+            
+            // Check if each table has at least one related query
+            if (hasTables && hasQueries) {
+                manifest.tables.forEach((table, tableIndex) => {
+                    const tableName = table.name;
+                    if (tableName) {
+                        // Check if any queries reference this table
+                        const hasRelatedQueries = manifest.queries.some(query => {
+                            const relatedTables = query.relatedTables || [];
+                            return relatedTables.includes(tableName);
+                        });
+                        
+                        if (!hasRelatedQueries) {
+                            result.warnings.push({
+                                message: `Table '${tableName}' has no related example queries`,
+                                type: 'missing_table_queries',
+                                ruleId: 'LAS-QRY-005',
+                                field: 'queries',
+                                location: `tables[${tableIndex}]`,
+                                tableName: tableName,
+                                severity: 'warning',
+                                suggestion: `Add at least one example query that demonstrates how to use the '${tableName}' table. Include the table name in the query's 'relatedTables' array.`
+                            });
+                        }
+                    }
+                });
+            }
+            
+            // Sample path fields must be non-empty strings; the files they name are
+            // looked up by checkTableSamples
+            if (hasTables) {
+                if (manifest.sampleInputRecordsFilePath !== undefined) {
+                    if (typeof manifest.sampleInputRecordsFilePath !== 'string' || manifest.sampleInputRecordsFilePath.trim() === '') {
+                        result.issues.push({
+                            message: 'sampleInputRecordsFilePath must be a non-empty string',
+                            type: 'invalid_field_type',
+                            ruleId: 'LAS-SMP-001',
+                            field: 'sampleInputRecordsFilePath',
+                            location: 'root',
+                            severity: 'error',
+                            currentValue: manifest.sampleInputRecordsFilePath,
+                            expectedType: 'string',
+                            suggestion: 'Provide a valid folder path (e.g., "SampleInputRecords/") or file path for sample input records.'
+                        });
+                        result.status = 'fail';
+                    }
+                }
+                
+                if (manifest.sampleOutputRecordsFilePath !== undefined) {
+                    if (typeof manifest.sampleOutputRecordsFilePath !== 'string' || manifest.sampleOutputRecordsFilePath.trim() === '') {
+                        result.issues.push({
+                            message: 'sampleOutputRecordsFilePath must be a non-empty string',
+                            type: 'invalid_field_type',
+                            ruleId: 'LAS-SMP-001',
+                            field: 'sampleOutputRecordsFilePath',
+                            location: 'root',
+                            severity: 'error',
+                            currentValue: manifest.sampleOutputRecordsFilePath,
+                            expectedType: 'string',
+                            suggestion: 'Provide a valid folder path (e.g., "SampleOutputRecords/") or file path for sample output records.'
+                        });
+                        result.status = 'fail';
+                    }
+                }
+                
+                manifest.tables.forEach((table, tableIndex) => {
+                    const tableName = table.name;
+                    if (tableName) {
+                        Object.keys(SAMPLE_FOLDERS).forEach(kind => {
+                            const field = SAMPLE_FOLDERS[kind].field;
+                            if (table[field] !== undefined && (typeof table[field] !== 'string' || table[field].trim() === '')) {
+                                result.issues.push({
+                                    message: `Table '${tableName}': ${field} must be a non-empty string`,
+                                    type: 'invalid_field_type',
+                                    ruleId: 'LAS-SMP-001',
+                                    field: field,
+                                    location: `tables[${tableIndex}].${field}`,
+                                    tableName: tableName,
+                                    severity: 'error',
+                                    currentValue: table[field],
+                                    expectedType: 'string',
+                                    suggestion: `Provide the path of this table's sample ${kind} file (e.g., "${SAMPLE_FOLDERS[kind].defaultPath}${tableName}Sample.json"), or remove the field to use the manifest's path.`
+                                });
+                                result.status = 'fail';
+                            }
+                        });
+                    }
+                });
+            }
+            
+            // Validate optional fields when present
+            if (manifest.icmTeam && typeof manifest.icmTeam !== 'string') {
+                result.issues.push({
+                    message: 'icmTeam must be a string',
+                    type: 'invalid_type',
+                    ruleId: 'LAS-MAN-007',
+                    field: 'icmTeam',
+                    location: 'root',
+                    currentValue: typeof manifest.icmTeam,
+                    expectedValue: 'string',
+                    severity: 'error',
+                    suggestion: 'Change the icmTeam value to a string representing the team name.'
+                });
+                result.status = 'fail';
+            }
+            
+            if (manifest.contactDL && typeof manifest.contactDL !== 'string') {
+                result.issues.push({
+                    message: 'contactDL must be a string',
+                    type: 'invalid_type',
+                    ruleId: 'LAS-MAN-007',
+                    field: 'contactDL',
+                    location: 'root',
+                    currentValue: typeof manifest.contactDL,
+                    expectedValue: 'string',
+                    severity: 'error',
+                    suggestion: 'Change the contactDL value to a string representing the contact distribution list.'
+                });
+                result.status = 'fail';
+            }
+            
+            if (manifest.relatedTables && !Array.isArray(manifest.relatedTables)) {
+                result.issues.push({
+                    message: 'relatedTables must be an array',
+                    type: 'invalid_type',
+                    ruleId: 'LAS-MAN-007',
+                    field: 'relatedTables',
+                    location: 'root',
+                    severity: 'error',
+                    suggestion: 'Change the relatedTables field to an array of table references.'
+                });
+                result.status = 'fail';
+            }
+            
+            if (manifest.relatedFunctions && !Array.isArray(manifest.relatedFunctions)) {
+                result.issues.push({
+                    message: 'relatedFunctions must be an array',
+                    type: 'invalid_type',
+                    ruleId: 'LAS-MAN-007',
+                    field: 'relatedFunctions',
+                    location: 'root',
+                    severity: 'error',
+                    suggestion: 'Change the relatedFunctions field to an array of function references.'
+                });
+                result.status = 'fail';
+            }
+            
+            // Determine final status based on issues
+            if (result.issues.length > 0) {
+                result.status = 'fail';
+            } else if (result.status !== 'fail') {
+                result.status = 'pass';
+            }
+            
+        } catch (error) {
+            result.status = 'fail';
+            result.issues.push({
+                message: 'Invalid JSON format: ' + error.message,
+                type: 'json_syntax_error',
+                ruleId: 'LAS-JSN-001',
+                field: 'file',
+                location: 'entire_file',
+                severity: 'error',
+                suggestion: 'Fix the JSON syntax errors in the file. Common issues include missing commas, unmatched brackets, or invalid characters.'
+            });
+        }
+        
+        return result;
+    }
+
+    /**
+     * Compare the output schema of each table's transformation with the table's columns
+     * of every NGSchema manifest of the package (LAS-TRN-002). The KQL syntax trees
+     * come from the per-file phase; findings are reported on the manifest.
+     */
+    function checkTransformationSchemas(pkg, report) {
+        pkg.manifests.forEach(entry => {
+            const tables = Array.isArray(entry.parsed.tables) ? entry.parsed.tables : [];
+            const validations = [];
+            
+            tables.forEach((table, tableIndex) => {
+                if (!getTableName(table) || !table.transformFilePath || !table.columns) {
+                    return;
+                }
+                // Paths that do not resolve are reported by validateManifestPaths
+                const resolution = packagePaths.resolvePath(pkg.files, entry.file, table.transformFilePath, { extensions: ['.kql'] });
+                if (resolution.status !== 'resolved') {
+                    return;
+                }
+                const kqlEntry = pkg.getKql(resolution.file);
+                validations.push({
+                    tableIndex: tableIndex,
+                    tableName: getTableName(table),
+                    transformFilePath: table.transformFilePath,
+                    kqlFile: resolution.file,
+                    ast: kqlEntry ? kqlEntry.parsed : null,
+                    hasSyntaxErrors: kqlEntry ? kqlEntry.hasSyntaxErrors : false,
+                    expectedColumns: table.columns,
+                    inputColumns: table.input
+                });
+            });
+            
+            const schemaResults = validateTransformationSchemaMatch(validations);
+            [...schemaResults.issues, ...schemaResults.warnings].forEach(finding => report(entry.file, finding));
+        });
+    }
+    
+    registerPackageRule('transformation-schemas', checkTransformationSchemas);
+    
+    /**
+     * Compare transformation output schemas with table definitions
+     * Each validation names a table and the KQL file of its transformation; a syntax
+     * tree already parsed (ast, hasSyntaxErrors) is used instead of parsing the file again.
+     * 
+     * @param {Object[]} validations - { tableIndex, tableName, transformFilePath, kqlFile, expectedColumns, inputColumns, ast, hasSyntaxErrors }
+     * @returns {Object} { issues, warnings }
+     */
+    function validateTransformationSchemaMatch(validations) {
+        const schemaValidationResult = {
+            issues: [],
+            warnings: []
+        };
+        
+        for (const validation of validations || []) {
+            try {
+                const kqlContent = validation.kqlFile.content;
+                let ast = validation.ast;
+                let hasSyntaxErrors = Boolean(validation.hasSyntaxErrors);
+                if (!ast) {
+                    const parsed = kqlParser.parse(kqlContent);
+                    ast = parsed.ast;
+                    hasSyntaxErrors = parsed.errors.length > 0;
+                }
+                
+                // A transformation that does not parse has no reliable output schema;
+                // the syntax errors are reported on the KQL file itself
+                if (hasSyntaxErrors) {
+                    schemaValidationResult.warnings.push({
+                        message: `Table '${validation.tableName}': Transformation output schema was not checked because '${validation.transformFilePath}' has KQL syntax errors`,
+                        type: 'schema_validation_error',
+                        ruleId: 'LAS-TRN-003',
+                        field: 'transformation_schema',
+                        location: `tables[${validation.tableIndex}]`,
+                        tableName: validation.tableName,
+                        transformFilePath: validation.transformFilePath,
+                        severity: 'warning',
+                        suggestion: `Fix the syntax errors reported for '${validation.transformFilePath}' and validate again.`
+                    });
+                    continue;
+                }
+                
+                const transformationSchema = extractTransformationOutputSchema(ast, validation.inputColumns);
+                const tableSchema = validation.expectedColumns;
+                
+                // Compare schemas
+                const schemaMismatches = compareSchemas(transformationSchema, tableSchema, validation.tableName);
+                
+                schemaMismatches.forEach(mismatch => {
+                    const position = mismatch.start !== null && mismatch.start !== undefined
+                        ? kqlParser.getLineColumn(kqlContent, mismatch.start)
+                        : null;
+                    
+                    schemaValidationResult.issues.push({
+                        message: `Table '${validation.tableName}': Transformation output schema mismatch - ${mismatch.message}`,
+                        type: 'schema_mismatch_error',
+                        ruleId: 'LAS-TRN-002',
+                        field: 'transformation_schema',
+                        // Extra columns are not in the table; they would be added to its columns
+                        location: mismatch.columnIndex !== undefined
+                            ? `tables[${validation.tableIndex}].columns[${mismatch.columnIndex}]`
+                            : `tables[${validation.tableIndex}].columns`,
+                        tableName: validation.tableName,
+                        columnName: mismatch.columnName,
+                        mismatchKind: mismatch.kind,
+                        transformFilePath: validation.transformFilePath,
+                        transformLocation: position ? `${validation.transformFilePath}, line ${position.line}, column ${position.column}` : validation.transformFilePath,
+                        severity: 'error',
+                        currentValue: mismatch.transformationValue,
+                        expectedValue: mismatch.expectedValue,
+                        suggestion: `Update the transformation file '${validation.transformFilePath}' to ensure the output schema matches the table definition. ${mismatch.suggestion}`,
+                        microsoftRequirement: 'Transformation output schema must exactly match the table column definitions for successful data ingestion.',
+                        fixInstructions: `1. Open the transformation file '${validation.transformFilePath}'` +
+                            (position ? ` (line ${position.line})` : '') +
+                            `\n2. ${mismatch.fixInstructions}\n3. Ensure the project statement includes all required columns with correct data types\n4. Verify column names match exactly (case-sensitive)`
+                    });
+                });
+                
+            } catch (error) {
+                schemaValidationResult.warnings.push({
+                    message: `Table '${validation.tableName}': Could not validate transformation schema - ${error.message}`,
+                    type: 'schema_validation_error',
+                    ruleId: 'LAS-TRN-003',
+                    field: 'transformation_schema',
+                    location: `tables[${validation.tableIndex}]`,
+                    tableName: validation.tableName,
+                    transformFilePath: validation.transformFilePath,
+                    severity: 'warning',
+                    suggestion: `Check the transformation file '${validation.transformFilePath}' for syntax errors or ensure it contains a valid project statement.`,
+                    errorDetails: error.message
+                });
+            }
+        }
+        
+        return schemaValidationResult;
+    }
+
+    /**
+     * Derive the columns a transformation produces (see engine/kql-schema.js)
+     * Accepts KQL text or a syntax tree from kql-parser.js; inputColumns are the
+     * table's `input` declarations, which type the columns coming from `source`.
+     */
+    function extractTransformationOutputSchema(kqlContentOrAst, inputColumns) {
+        return kqlSchema.deriveOutputSchema(kqlContentOrAst, {
+            inputColumns: Array.isArray(inputColumns) ? inputColumns : null
+        });
+    }
+
+    /**
+     * Compare a derived transformation schema with the table's column definitions
+     * Only reports what can be proven: missing columns are skipped when the
+     * transformation's output is open (join, evaluate, ...) and type mismatches
+     * are skipped when the produced type is unknown or dynamic.
+     */
+    function compareSchemas(transformationSchema, tableColumns, tableName) {
+        const mismatches = [];
+        const producedColumns = transformationSchema.columns || [];
+        const declaredColumns = (tableColumns || []).filter(column => column && typeof column.name === 'string');
+        
+        declaredColumns.forEach(expectedColumn => {
+            const columnName = expectedColumn.name;
+            const columnIndex = tableColumns.indexOf(expectedColumn);
+            const expectedType = expectedColumn.type;
+            const produced = producedColumns.find(column => column.name === columnName);
+            
+            if (!produced) {
+                const differentCase = producedColumns.find(column => column.name.toLowerCase() === columnName.toLowerCase());
+                
+                if (differentCase) {
+                    mismatches.push({
+                        kind: 'case',
+                        message: `Column '${differentCase.name}' is produced by transformation but the table defines it as '${columnName}' (column names are case-sensitive)`,
+                        columnName: columnName,
+                        columnIndex: columnIndex,
+                        transformationValue: differentCase.name,
+                        expectedValue: columnName,
+                        start: differentCase.start,
+                        suggestion: `Rename '${differentCase.name}' to '${columnName}' in the transformation.`,
+                        fixInstructions: `Change the output column name '${differentCase.name}' to '${columnName}'`
+                    });
+                } else if (!transformationSchema.isOpen) {
+                    mismatches.push({
+                        kind: 'missing',
+                        message: `Column '${columnName}' is defined in table schema but not produced by transformation`,
+                        columnName: columnName,
+                        columnIndex: columnIndex,
+                        transformationValue: 'missing',
+                        expectedValue: expectedType,
+                        start: null,
+                        suggestion: `Add '${columnName}' to the project statement in the transformation.`,
+                        fixInstructions: `Add '${columnName} = <expression>' to your project statement to produce this column`
+                    });
+                }
+                return;
+            }
+            
+            if (!kqlSchema.isTypeCompatible(produced.type, expectedType)) {
+                const expectedKqlType = kqlSchema.toKqlType(expectedType);
+                mismatches.push({
+                    kind: 'type',
+                    message: `Column '${columnName}' type mismatch: transformation produces ${produced.type} but the table defines ${expectedType}`,
+                    columnName: columnName,
+                    columnIndex: columnIndex,
+                    transformationValue: produced.type,
+                    expectedValue: expectedType,
+                    start: produced.start,
+                    suggestion: `Modify the expression for '${columnName}' to produce ${expectedType} type instead of ${produced.type}` +
+                        (expectedKqlType ? `, e.g. with to${expectedKqlType}().` : '.'),
+                    fixInstructions: `Update the expression for '${columnName}' to use appropriate conversion functions (e.g., tostring(), toint(), todatetime(), etc.)`
+                });
+            }
+        });
+        
+        // Check for extra columns in transformation that aren't in table schema
+        producedColumns.forEach(produced => {
+            const isInTableSchema = declaredColumns.some(column => column.name.toLowerCase() === produced.name.toLowerCase());
+            
+            if (!isInTableSchema) {
+                mismatches.push({
+                    kind: 'extra',
+                    message: `Column '${produced.name}' is produced by transformation but not defined in table schema`,
+                    columnName: produced.name,
+                    transformationValue: produced.type || 'unknown type',
+                    expectedValue: 'should be removed or added to table schema',
+                    start: produced.start,
+                    suggestion: `Either remove '${produced.name}' from the transformation output (project or project-away) or add it to the table's columns definition.`,
+                    fixInstructions: `Remove '${produced.name}' from the transformation output or add it as a column in the table schema`
+                });
+            }
+        });
+        
+        return mismatches;
+    }
+
+    // ===== TRANSFORMATION EXECUTION =====
+    
+    // Columns the ingestion pipeline adds after the transformation has run
+    const PIPELINE_ADDED_COLUMNS = ['Type', 'TenantId', '_ResourceId', '_SubscriptionId', '_BilledSize', '_IsBillable', '_ItemId', '_TimeReceived', '_Internal_WorkspaceResourceId'];
+    
+    // Differences reported per table before the rest are summarized
+    const MAX_SAMPLE_DIFFERENCES = 10;
+    
+    function findSampleFile(files, folder, fileName) {
+        return files.find(file => file.name === fileName && packagePaths.isInResolvedPath(file, folder));
+    }
+    
+    /**
+     * Records of a sample file as the per-file phase parsed them (null when the file
+     * did not parse - reported by validateJSONFile)
+     */
+    function getSampleRecords(pkg, file) {
+        const entry = pkg.getEntry(file);
+        if (!entry || entry.parsed === undefined) {
+            return null;
+        }
+        return Array.isArray(entry.parsed) ? entry.parsed : [entry.parsed];
+    }
+    
+    /**
+     * Run the transformation of each table of every NGSchema manifest over the table's
+     * sample input records and compare the result with its sample output records
+     */
+    function checkTransformationSamples(pkg, report) {
+        pkg.manifests.forEach(entry => {
+            const tables = Array.isArray(entry.parsed.tables) ? entry.parsed.tables : [];
+            
+            tables.forEach((table, tableIndex) => {
+                if (!getTableName(table) || !table.transformFilePath || !table.columns) {
+                    return;
+                }
+                // Paths that do not resolve are reported by validateManifestPaths
+                const resolution = packagePaths.resolvePath(pkg.files, entry.file, table.transformFilePath, { extensions: ['.kql'] });
+                if (resolution.status !== 'resolved') {
+                    return;
+                }
+                validateTransformationSamples({
+                    tableIndex: tableIndex,
+                    tableName: getTableName(table),
+                    transformFilePath: table.transformFilePath,
+                    kqlFile: resolution.file,
+                    expectedColumns: table.columns,
+                    inputColumns: table.input
+                }, entry.parsed, entry.file, pkg, report);
+            });
+        });
+    }
+    
+    registerPackageRule('transformation-samples', checkTransformationSamples);
+    
+    /**
+     * Run a table's transformation over <tableName>Sample.json from the sample input
+     * folder and compare the produced rows with the matching sample output file
+     * Differences are reported on the sample output file at the record and field
+     * they concern, everything else on the manifest.
+     * 
+     * @param {Object} validation - { tableIndex, tableName, transformFilePath, kqlFile, expectedColumns, inputColumns }
+     */
+    function validateTransformationSamples(validation, manifest, manifestFile, pkg, report) {
+        const tableName = validation.tableName;
+        const table = manifest.tables[validation.tableIndex];
+        const inputFile = resolveTableSample(pkg.files, manifestFile, manifest, table, 'input').file;
+        const outputFile = resolveTableSample(pkg.files, manifestFile, manifest, table, 'output').file;
+        
+        // Missing sample files are reported by the manifest checks
+        if (!inputFile || !outputFile) {
+            return;
+        }
+        
+        const inputRecords = getSampleRecords(pkg, inputFile);
+        const expectedRecords = getSampleRecords(pkg, outputFile);
+        const kqlEntry = pkg.getKql(validation.kqlFile);
+        if (!inputRecords || !expectedRecords || !kqlEntry || kqlEntry.hasSyntaxErrors) {
+            return;
+        }
+        
+        const baseFinding = {
+            field: 'transformation_samples',
+            location: `tables[${validation.tableIndex}]`,
+            tableName: tableName,
+            transformFilePath: validation.transformFilePath,
+            sampleInputFile: packagePaths.getFilePath(inputFile),
+            sampleOutputFile: packagePaths.getFilePath(outputFile)
+        };
+        
+        let execution;
+        try {
+            const inputRows = kqlInterpreter.typeInputRecords(inputRecords, validation.inputColumns, kqlSchema.toKqlType);
+            execution = kqlInterpreter.run(kqlEntry.parsed, inputRows);
+        } catch (error) {
+            const position = error.start !== null && error.start !== undefined
+                ? kqlParser.getLineColumn(validation.kqlFile.content, error.start)
+                : null;
+            const where = position ? ` (line ${position.line}, column ${position.column})` : '';
+            
+            if (error.code === 'unsupported') {
+                report(manifestFile, Object.assign({}, baseFinding, {
+                    message: `Table '${tableName}': Transformation was not run against the sample records - ${error.message}${where}`,
+                    type: 'transformation_not_executed',
+                    ruleId: 'LAS-TRN-006',
+                    severity: 'warning',
+                    suggestion: 'The local interpreter only covers the ingestion-time KQL subset and common scalar functions. Verify this transformation against the samples in a test workspace.'
+                }));
+            } else {
+                report(manifestFile, Object.assign({}, baseFinding, {
+                    message: `Table '${tableName}': Transformation failed on the sample input records - ${error.message}${where}`,
+                    type: 'transformation_runtime_error',
+                    ruleId: 'LAS-TRN-004',
+                    severity: 'error',
+                    suggestion: `Fix '${validation.transformFilePath}' so it runs over '${baseFinding.sampleInputFile}'; every column it reads must be declared in the table's 'input'.`,
+                    microsoftRequirement: 'The transformation must turn the sample input records into the sample output records.'
+                }));
+            }
+            return;
+        }
+        
+        const differences = compareSampleRecords(execution.rows, expectedRecords, validation.expectedColumns, execution.volatileColumns);
+        const isRecordArray = Array.isArray(pkg.getEntry(outputFile).parsed);
+        
+        differences.slice(0, MAX_SAMPLE_DIFFERENCES).forEach(difference => {
+            report(outputFile, Object.assign({}, baseFinding, {
+                message: `Table '${tableName}': Transformation output does not match '${baseFinding.sampleOutputFile}' - ${difference.message}`,
+                type: 'transformation_output_mismatch',
+                ruleId: 'LAS-TRN-005',
+                severity: 'error',
+                field: difference.columnName || 'transformation_samples',
+                location: getSampleRecordLocation(difference, isRecordArray),
+                columnName: difference.columnName,
+                rowIndex: difference.rowIndex,
+                currentValue: difference.producedValue,
+                expectedValue: difference.expectedValue,
+                suggestion: `Either fix '${validation.transformFilePath}' or update '${baseFinding.sampleOutputFile}' so the sample output is exactly what the transformation produces from '${baseFinding.sampleInputFile}'.`,
+                microsoftRequirement: 'Sample output records are used in E2E validation of transformation correctness; they must match what the transformation produces from the sample input records.',
+                fixInstructions: `1. Run '${validation.transformFilePath}' over '${baseFinding.sampleInputFile}'\n2. Compare the result with '${baseFinding.sampleOutputFile}'\n3. Correct whichever of the two is wrong`
+            }));
+        });
+        
+        if (differences.length > MAX_SAMPLE_DIFFERENCES) {
+            report(outputFile, Object.assign({}, baseFinding, {
+                message: `Table '${tableName}': ${differences.length - MAX_SAMPLE_DIFFERENCES} more differences between the transformation output and '${baseFinding.sampleOutputFile}'`,
+                type: 'transformation_output_mismatch',
+                ruleId: 'LAS-TRN-005',
+                severity: 'error',
+                location: 'root',
+                suggestion: 'Fix the differences listed above first; many follow from the same cause.'
+            }));
+        }
+        
+        if (execution.volatileColumns.length > 0) {
+            report(manifestFile, Object.assign({}, baseFinding, {
+                message: `Table '${tableName}': Column(s) ${execution.volatileColumns.join(', ')} depend on now(), ago(), new_guid() or rand() and were not compared with '${baseFinding.sampleOutputFile}'`,
+                type: 'transformation_volatile_columns',
+                ruleId: 'LAS-TRN-007',
+                severity: 'warning',
+                suggestion: 'Values computed at ingestion time cannot be reproduced from sample records; make sure the sample output shows a representative value.'
+            }));
+        }
+    }
+    
+    /**
+     * JSON path of a sample output difference inside the sample file: the record, or
+     * the record's field; a file holding a single record is that record
+     */
+    function getSampleRecordLocation(difference, isRecordArray) {
+        if (difference.rowIndex === undefined) {
+            return 'root';
+        }
+        if (!isRecordArray) {
+            return difference.columnName || 'root';
+        }
+        const record = `[${difference.rowIndex}]`;
+        return difference.columnName ? `${record}.${difference.columnName}` : record;
+    }
+    
+    /**
+     * Key-order independent JSON for comparing dynamic values
+     */
+    function canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(canonicalJson).join(',')}]`;
+        }
+        if (value !== null && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+    
+    /**
+     * Bring a produced or expected value into a comparable form for a KQL column type
+     */
+    function normalizeSampleValue(value, kqlType) {
+        if (value === undefined || value === null || (value === '' && kqlType && kqlType !== 'string')) {
+            return null;
+        }
+        const json = kqlInterpreter.toJsonValue(value);
+        
+        switch (kqlType) {
+            case 'datetime': {
+                const date = kqlInterpreter.parseDatetime(String(json));
+                return date ? date.getTime() : String(json);
+            }
+            case 'timespan': {
+                const span = kqlInterpreter.parseTimespan(String(json));
+                return span ? span.milliseconds : String(json);
+            }
+            case 'int':
+            case 'long':
+            case 'real':
+            case 'decimal': {
+                const number = kqlInterpreter.convert(json, 'real');
+                return number === null ? String(json) : number;
+            }
+            case 'bool': {
+                const bool = kqlInterpreter.convert(json, 'bool');
+                return bool === null ? String(json) : bool;
+            }
+            case 'guid':
+                return String(json).toLowerCase();
+            case 'string':
+                return typeof json === 'string' ? json : canonicalJson(json);
+            case 'dynamic':
+                return canonicalJson(typeof json === 'string' ? kqlInterpreter.convert(json, 'dynamic') : json);
+            default:
+                return canonicalJson(json);
+        }
+    }
+    
+    function sampleValuesEqual(produced, expected) {
+        if (typeof produced === 'number' && typeof expected === 'number') {
+            return Math.abs(produced - expected) <= 1e-9 * Math.max(1, Math.abs(produced), Math.abs(expected));
+        }
+        return produced === expected;
+    }
+    
+    /**
+     * Field-by-field diff of produced rows against sample output records
+     * Rows are matched by position. Pipeline-added columns (TenantId, _ResourceId, ...)
+     * and volatile columns are skipped; a missing field and a null value are equal.
+     * 
+     * @returns {Object[]} Differences: { message, rowIndex, columnName, producedValue, expectedValue }
+     */
+    function compareSampleRecords(producedRows, expectedRecords, tableColumns, volatileColumns = []) {
+        const differences = [];
+        const columnTypes = {};
+        (tableColumns || []).forEach(column => {
+            if (column && typeof column.name === 'string') {
+                columnTypes[column.name] = kqlSchema.toKqlType(column.type);
+            }
+        });
+        
+        if (producedRows.length !== expectedRecords.length) {
+            differences.push({
+                message: `the transformation produces ${producedRows.length} record(s) but the sample output has ${expectedRecords.length}`,
+                producedValue: producedRows.length,
+                expectedValue: expectedRecords.length
+            });
+        }
+        
+        const rowCount = Math.min(producedRows.length, expectedRecords.length);
+        for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+            const produced = producedRows[rowIndex] || {};
+            const expected = expectedRecords[rowIndex] && typeof expectedRecords[rowIndex] === 'object' ? expectedRecords[rowIndex] : {};
+            const names = [];
+            Object.keys(produced).concat(Object.keys(expected)).forEach(name => {
+                if (!names.includes(name) && !PIPELINE_ADDED_COLUMNS.includes(name) && !volatileColumns.includes(name)) {
+                    names.push(name);
+                }
+            });
+            
+            names.forEach(name => {
+                const type = columnTypes[name] || null;
+                const producedValue = normalizeSampleValue(produced[name], type);
+                const expectedValue = normalizeSampleValue(expected[name], type);
+                
+                if (sampleValuesEqual(producedValue, expectedValue)) {
+                    return;
+                }
+                
+                const shownProduced = produced[name] === undefined ? 'missing' : kqlInterpreter.toJsonValue(produced[name]);
+                const shownExpected = expected[name] === undefined ? 'missing' : expected[name];
+                let message;
+                if (expected[name] === undefined) {
+                    message = `record ${rowIndex}: '${name}' is produced (${JSON.stringify(shownProduced)}) but missing from the sample output`;
+                } else if (produced[name] === undefined) {
+                    message = `record ${rowIndex}: '${name}' is in the sample output but not produced by the transformation`;
+                } else {
+                    message = `record ${rowIndex}: '${name}' is ${JSON.stringify(shownProduced)} but the sample output has ${JSON.stringify(shownExpected)}`;
+                }
+                
+                differences.push({
+                    message: message,
+                    rowIndex: rowIndex,
+                    columnName: name,
+                    producedValue: shownProduced,
+                    expectedValue: shownExpected
+                });
+            });
+        }
+        
+        return differences;
+    }
+    
+    function validateTransformManifestFile(file, result) {
+        const content = file.content;
+        
+        // Store original content for drill-down (syntax errors are shown in place too)
+        result.originalContent = content;
+        
+        try {
+            const manifest = JSON.parse(content);
+            result.parsedContent = manifest;
+            
+            // Add identifier that this is a transform manifest
+            result.isTransformManifest = true;
+            
+            // Check required fields for transform manifests based on documentation
+            const requiredFields = manifestRules.RULES.transformManifest.required;
+            requiredFields.forEach(field => {
+                if (!manifest[field]) {
+                    result.issues.push({
+                        message: `Missing required field: ${field}`,
+                        type: 'missing_field',
+                        ruleId: 'LAS-TRF-001',
+                        field: field,
+                        location: 'root',
+                        severity: 'error',
+                        suggestion: `Add the required field "${field}" to the root level of your transform manifest file.`
+                    });
+                    result.status = 'fail';
+                }
+            });
+            
+            // Validate transform manifest should NOT have these fields (they belong to NGSchema)
+            const forbiddenFields = manifestRules.RULES.transformManifest.forbidden;
+            forbiddenFields.forEach(field => {
+                if (manifest[field]) {
+                    result.issues.push({
+                        message: `Transform manifest should not contain field: ${field}`,
+                        type: 'forbidden_field',
+                        ruleId: 'LAS-TRF-002',
+                        field: field,
+                        location: 'root',
+                        currentValue: manifest[field],
+                        severity: 'error',
+                        suggestion: `Remove the "${field}" field from the transform manifest. This field belongs to the main NGSchema manifest, not transform manifests.`
+                    });
+                    result.status = 'fail';
+                }
+            });
+            
+            // Validate descriptions
+            if (manifest.description) {
+                validateDescription(manifest.description, 'Transform description', result, 'root.description');
+            }
+            
+            // Validate transformVersion is a number >= 1
+            if (manifest.transformVersion !== undefined) {
+                if (typeof manifest.transformVersion !== 'number' || manifest.transformVersion < 1 || !Number.isInteger(manifest.transformVersion)) {
+                    result.issues.push({
+                        message: 'transformVersion must be an integer >= 1',
+                        type: 'invalid_value',
+                        ruleId: 'LAS-TRF-003',
+                        field: 'transformVersion',
+                        location: 'root',
+                        currentValue: manifest.transformVersion,
+                        expectedValue: 'integer >= 1',
+                        severity: 'error',
+                        suggestion: 'Change the transformVersion to a positive integer starting from 1.'
+                    });
+                    result.status = 'fail';
+                }
+            }
+            
+            // Validate dataTypeId follows naming convention
+            if (manifest.dataTypeId && typeof manifest.dataTypeId === 'string') {
+                if (!manifest.dataTypeId.includes('_')) {
+                    result.warnings.push({
+                        message: 'dataTypeId should follow SERVICEIDENTITYNAME_LOGCATEGORYNAME convention',
+                        type: 'naming_convention_warning',
+                        ruleId: 'LAS-TRF-004',
+                        field: 'dataTypeId',
+                        location: 'root.dataTypeId',
+                        currentValue: manifest.dataTypeId,
+                        severity: 'warning',
+                        suggestion: `Consider renaming "${manifest.dataTypeId}" to follow the SERVICEIDENTITYNAME_LOGCATEGORYNAME pattern. Examples: "CISCO_SECURITY", "AZURE_AUDIT", "WINDOWS_EVENTS", "KUBERNETES_LOGS". The underscore separates the service identity from the log category.`,
+                        microsoftRequirement: 'Azure Log Analytics recommends using the SERVICEIDENTITYNAME_LOGCATEGORYNAME naming convention for dataTypeId to ensure consistency and clarity across different data sources.',
+                        fixInstructions: `Change "${manifest.dataTypeId}" to include an underscore separator, such as "${manifest.dataTypeId.toUpperCase()}_LOGCATEGORY" or "SERVICEIDENTITY_${manifest.dataTypeId.toUpperCase()}".`,
+                        validationReason: `The validator detected that "${manifest.dataTypeId}" does not contain an underscore (_), which is the standard separator in the SERVICEIDENTITYNAME_LOGCATEGORYNAME convention.`
+                    });
+                }
+            }
+            
+            // Validate transformState
+            if (manifest.transformState !== undefined) {
+                const validStates = manifestRules.DEPLOYMENT_STATES;
+                if (!validStates.includes(manifest.transformState)) {
+                    result.issues.push({
+                        message: 'transformState must be either "Validation" or "Production"',
+                        type: 'invalid_value',
+                        ruleId: 'LAS-TRF-005',
+                        field: 'transformState',
+                        location: 'root',
+                        currentValue: manifest.transformState,
+                        expectedValue: 'Validation or Production',
+                        severity: 'error',
+                        suggestion: 'Set transformState to either "Validation" for testing or "Production" for live deployment.'
+                    });
+                    result.status = 'fail';
+                }
+            }
+            
+            // Validate string fields (description, transformState and inputFilePath have their own checks)
+            const transformRules = manifestRules.RULES.transformManifest;
+            const stringFields = manifestRules.getFieldsOfType('transformManifest', 'string')
+                .filter(field => !['description', 'transformState', 'inputFilePath'].includes(field));
+            stringFields.forEach(field => {
+                if (manifest[field] && typeof manifest[field] !== 'string') {
+                    result.issues.push({
+                        message: `${field} must be a string`,
+                        type: 'invalid_type',
+                        ruleId: 'LAS-TRF-006',
+                        field: field,
+                        location: 'root',
+                        currentValue: typeof manifest[field],
+                        expectedValue: 'string',
+                        severity: 'error',
+                        suggestion: `Change the ${field} value to a string.`
+                    });
+                    result.status = 'fail';
+                }
+            });
+            
+            // Validate file paths have correct extensions
+            ['kqlFilePath', 'sampleInputRecordsFilePath', 'sampleOutputRecordsFilePath'].forEach(field => {
+                const extension = transformRules.properties[field].extension;
+                if (typeof manifest[field] === 'string' && manifest[field] && !manifest[field].endsWith(extension)) {
+                    result.issues.push({
+                        message: `${field} must reference a ${extension} file`,
+                        type: 'invalid_file_extension',
+                        ruleId: 'LAS-TRF-007',
+                        field: field,
+                        location: 'root',
+                        currentValue: manifest[field],
+                        severity: 'error',
+                        suggestion: `Change the ${field} to reference a file with ${extension} extension.`
+                    });
+                    result.status = 'fail';
+                }
+            });
+            
+            // Validate optional inputFilePath if present (for new dataTypeIds)
+            if (manifest.inputFilePath !== undefined) {
+                if (typeof manifest.inputFilePath !== 'string') {
+                    result.issues.push({
+                        message: 'inputFilePath must be a string',
+                        type: 'invalid_type',
+                        ruleId: 'LAS-TRF-006',
+                        field: 'inputFilePath',
+                        location: 'root',
+                        severity: 'error',
+                        suggestion: 'Change the inputFilePath value to a string.'
+                    });
+                    result.status = 'fail';
+                } else if (!manifest.inputFilePath.endsWith(transformRules.properties.inputFilePath.extension)) {
+                    result.issues.push({
+                        message: `inputFilePath must reference a ${transformRules.properties.inputFilePath.extension} file`,
+                        type: 'invalid_file_extension',
+                        ruleId: 'LAS-TRF-007',
+                        field: 'inputFilePath',
+                        location: 'root',
+                        currentValue: manifest.inputFilePath,
+                        severity: 'error',
+                        suggestion: `Change the inputFilePath to reference a file with ${transformRules.properties.inputFilePath.extension} extension.`
+                    });
+                    result.status = 'fail';
+                }
+            }
+            
+            // Determine final status based on issues
+            if (result.issues.length > 0) {
+                result.status = 'fail';
+            } else if (result.status !== 'fail') {
+                result.status = 'pass';
+            }
+            
+        } catch (error) {
+            result.status = 'fail';
+            result.issues.push({
+                message: 'Invalid JSON format: ' + error.message,
+                type: 'json_syntax_error',
+                ruleId: 'LAS-JSN-001',
+                field: 'file',
+                location: 'entire_file',
+                severity: 'error',
+                suggestion: 'Fix the JSON syntax errors in the file. Common issues include missing commas, unmatched brackets, or invalid characters.'
+            });
+        }
+        
+        return result;
+    }
+
+    function validateDescription(description, context, result, location) {
+        if (!description || typeof description !== 'string') {
+            result.issues.push({
+                message: `${context}: Description must be a non-empty string`,
+                type: 'invalid_type',
+                ruleId: 'LAS-DSC-001',
+                field: 'description',
+                location: location,
+                severity: 'error',
+                suggestion: `Provide a valid non-empty string for the ${context.toLowerCase()}.`
+            });
+            result.status = 'fail';
+            return;
+        }
+        
+        const sentence = description.startsWith(manifestRules.DEPRECATED_PREFIX + ' ')
+            ? description.slice(manifestRules.DEPRECATED_PREFIX.length + 1)
+            : description;
+        if (!sentence.charAt(0).match(/[A-Z]/)) {
+            result.issues.push({
+                message: `${context}: Description must start with a capital letter`,
+                type: 'formatting_error',
+                ruleId: 'LAS-DSC-002',
+                field: 'description',
+                location: location,
+                currentValue: description,
+                severity: 'error',
+                suggestion: `Change the first character of "${description}" to a capital letter.`
+            });
+            result.status = 'fail';
+        }
+        
+        if (!description.endsWith('.')) {
+            result.issues.push({
+                message: `${context}: Description must end with a period`,
+                type: 'formatting_error',
+                ruleId: 'LAS-DSC-003',
+                field: 'description',
+                location: location,
+                currentValue: description,
+                severity: 'error',
+                suggestion: `Add a period at the end of "${description}".`
+            });
+            result.status = 'fail';
+        }
+    }
+
+    /**
+     * Helper function to get a meaningful table identifier for validation messages
+     * Prioritizes logicalName > name > physicalName > generic fallback
+     */
+    function getTableDisplayName(table, index) {
+        // Priority 1: logicalName (most descriptive for users)
+        if (table.logicalName && typeof table.logicalName === 'string') {
+            return table.logicalName;
+        }
+        
+        // Priority 2: standard name field
+        if (table.name && typeof table.name === 'string') {
+            return table.name;
+        }
+        
+        // Priority 3: physicalName as fallback
+        if (table.physicalName && typeof table.physicalName === 'string') {
+            return table.physicalName;
+        }
+        
+        // Fallback: generic table reference
+        return `Table ${index + 1}`;
+    }
+
+    /**
+     * Name of a table for matching it with KQL and sample files - the display name
+     * of tables with a name, logicalName or physicalName (the transform pattern
+     * has no 'name'), null otherwise
+     */
+    function getTableName(table) {
+        if (!table || !['logicalName', 'name', 'physicalName'].some(field => table[field] && typeof table[field] === 'string')) {
+            return null;
+        }
+        return getTableDisplayName(table, 0);
+    }
+
+    /**
+     * Helper function to get a meaningful column identifier for validation messages
+     * Prioritizes logicalName > name > generic fallback
+     */
+    function getColumnDisplayName(column, index) {
+        // Priority 1: logicalName (if available)
+        if (column.logicalName && typeof column.logicalName === 'string') {
+            return column.logicalName;
+        }
+        
+        // Priority 2: standard name field
+        if (column.name && typeof column.name === 'string') {
+            return column.name;
+        }
+        
+        // Fallback: generic column reference
+        return `Column ${index + 1}`;
+    }
+
+    /**
+     * Helper function to get a meaningful input field identifier for validation messages
+     */
+    function getInputFieldDisplayName(inputField, index) {
+        // Use the name field if available
+        if (inputField.name && typeof inputField.name === 'string') {
+            return inputField.name;
+        }
+        
+        // Fallback: generic input field reference
+        return `Input field ${index + 1}`;
+    }
+
+    function validateTable(table, index, result) {
+        const tableName = getTableDisplayName(table, index);
+        const tableContext = `Table '${tableName}'`;
+        const tableLocation = `tables[${index}]`;
+        
+        // Check for table name - either standard 'name' OR transform pattern (workflowName + transformName + physicalName + logicalName)
+        const hasStandardName = table.name;
+        const hasTransformPattern = table.workflowName && table.transformName && table.physicalName && table.logicalName;
+        
+        if (!hasStandardName && !hasTransformPattern) {
+            result.issues.push({
+                message: `${tableContext}: Missing required field 'name' or transform pattern (workflowName, transformName, physicalName, logicalName)`,
+                type: 'missing_field',
+                ruleId: 'LAS-TBL-001',
+                field: 'name',
+                location: `${tableLocation}.name`,
+                severity: 'error',
+                suggestion: `Add either a 'name' field OR the complete transform pattern with 'workflowName', 'transformName', 'physicalName', and 'logicalName' fields for table type changes.`,
+                microsoftRequirement: 'Tables must have either a standard "name" field or use the transform pattern (workflowName, transformName, physicalName, logicalName) when changing table types in Azure Log Analytics.'
+            });
+            result.status = 'fail';
+        }
+        
+        // Transform pattern information removed - no longer showing this informational warning
+        // as it's not needed for validation purposes
+        
+        // Required fields based on official documentation (excluding name since it can be replaced by transform pattern)
+        const requiredFields = manifestRules.RULES.table.required;
+        requiredFields.forEach(field => {
+            if (!table[field]) {
+                result.issues.push({
+                    message: `${tableContext}: Missing required field '${field}'`,
+                    type: 'missing_field',
+                    ruleId: 'LAS-TBL-002',
+                    field: field,
+                    location: `${tableLocation}.${field}`,
+                    severity: 'error',
+                    suggestion: `Add the required field "${field}" to ${tableContext}.`
+                });
+                result.status = 'fail';
+            }
+        });
+        
+        // Validate table name length
+        const maxNameLength = manifestRules.TABLE_NAME_MAX_LENGTH;
+        if (table.name && table.name.length > maxNameLength) {
+            result.issues.push({
+                message: `${tableContext}: Table name must be ${maxNameLength} characters or less`,
+                type: 'invalid_length',
+                ruleId: 'LAS-TBL-005',
+                field: 'name',
+                location: `${tableLocation}.name`,
+                currentValue: `${table.name.length} characters`,
+                expectedValue: `${maxNameLength} characters or less`,
+                severity: 'error',
+                suggestion: `Shorten the table name "${table.name}" to ${maxNameLength} characters or less.`
+            });
+            result.status = 'fail';
+        }
+        
+        // Validate description
+        if (table.description) {
+            validateDescription(table.description, `${tableContext} description`, result, `${tableLocation}.description`);
+        }
+        
+        // Validate artifactVersion is a number >= 1
+        if (table.artifactVersion !== undefined) {
+            if (typeof table.artifactVersion !== 'number' || table.artifactVersion < 1 || !Number.isInteger(table.artifactVersion)) {
+                result.issues.push({
+                    message: `${tableContext}: artifactVersion must be an integer >= 1`,
+                    type: 'invalid_value',
+                    ruleId: 'LAS-TBL-006',
+                    field: 'artifactVersion',
+                    location: `${tableLocation}.artifactVersion`,
+                    currentValue: table.artifactVersion,
+                    expectedValue: 'integer >= 1',
+                    severity: 'error',
+                    suggestion: 'Set artifactVersion to a whole number of at least 1 and increase it with every change to the table.'
+                });
+                result.status = 'fail';
+            }
+        }
+        
+        // Validate dataTypeId follows naming convention
+        if (table.dataTypeId && typeof table.dataTypeId === 'string') {
+            if (!table.dataTypeId.includes('_')) {
+                result.warnings.push({
+                    message: `${tableContext}: dataTypeId should follow SERVICEIDENTITYNAME_LOGCATEGORYNAME convention`,
+                    type: 'naming_convention_warning',
+                    ruleId: 'LAS-TBL-007',
+                    field: 'dataTypeId',
+                    location: `${tableLocation}.dataTypeId`,
+                    currentValue: table.dataTypeId,
+                    severity: 'warning',
+                    suggestion: `Consider renaming "${table.dataTypeId}" to follow the SERVICEIDENTITYNAME_LOGCATEGORYNAME pattern. Examples: "CISCO_SECURITY", "AZURE_AUDIT", "WINDOWS_EVENTS", "KUBERNETES_LOGS". The underscore separates the service identity from the log category.`,
+                    microsoftRequirement: 'Azure Log Analytics recommends using the SERVICEIDENTITYNAME_LOGCATEGORYNAME naming convention for dataTypeId to ensure consistency and clarity across different data sources.',
+                    fixInstructions: `Change "${table.dataTypeId}" to include an underscore separator, such as "${table.dataTypeId.toUpperCase()}_LOGCATEGORY" or "SERVICEIDENTITY_${table.dataTypeId.toUpperCase()}".`,
+                    validationReason: `The validator detected that "${table.dataTypeId}" does not contain an underscore (_), which is the standard separator in the SERVICEIDENTITYNAME_LOGCATEGORYNAME convention.`
+                });
+            }
+        }
+        
+        // Validate categories array (optional)
+        if (table.categories !== undefined) {
+            if (!Array.isArray(table.categories)) {
+                result.issues.push({
+                    message: `${tableContext}: categories must be an array`,
+                    type: 'invalid_type',
+                    ruleId: 'LAS-TBL-008',
+                    field: 'categories',
+                    location: `${tableLocation}.categories`,
+                    currentValue: typeof table.categories,
+                    expectedValue: 'array',
+                    severity: 'error',
+                    suggestion: 'Change categories to an array of category names, e.g. ["Security"].'
+                });
+                result.status = 'fail';
+            }
+        }
+        
+        // Validate boolean fields (optional)
+        const booleanFields = manifestRules.getFieldsOfType('table', 'boolean');
+        booleanFields.forEach(field => {
+            if (table[field] !== undefined && typeof table[field] !== 'boolean') {
+                result.issues.push({
+                    message: `${tableContext}: ${field} must be a boolean`,
+                    type: 'invalid_type',
+                    ruleId: 'LAS-TBL-009',
+                    field: field,
+                    location: `${tableLocation}.${field}`,
+                    currentValue: table[field],
+                    expectedValue: 'true or false',
+                    severity: 'error',
+                    suggestion: `Set ${field} to true or false (without quotes).`
+                });
+                result.status = 'fail';
+            }
+        });
+        
+        // Validate tableState
+        if (table.tableState !== undefined) {
+            const validStates = manifestRules.DEPLOYMENT_STATES;
+            if (!validStates.includes(table.tableState)) {
+                result.issues.push({
+                    message: `${tableContext}: tableState must be either "Validation" or "Production"`,
+                    type: 'invalid_value',
+                    ruleId: 'LAS-TBL-010',
+                    field: 'tableState',
+                    location: `${tableLocation}.tableState`,
+                    currentValue: table.tableState,
+                    expectedValue: validStates.join(' or '),
+                    severity: 'error',
+                    suggestion: 'Use "Validation" while the table is being tested and "Production" once it is released.'
+                });
+                result.status = 'fail';
+            }
+        }
+        
+        // Validate input array
+        if (table.input && Array.isArray(table.input)) {
+            table.input.forEach((inputField, inputIndex) => {
+                validateInputField(inputField, inputIndex, tableContext, index, result);
+            });
+        } else if (table.input !== undefined) {
+            result.issues.push({
+                message: `${tableContext}: input must be an array`,
+                type: 'invalid_type',
+                ruleId: 'LAS-TBL-011',
+                field: 'input',
+                location: `${tableLocation}.input`,
+                currentValue: typeof table.input,
+                expectedValue: 'array',
+                severity: 'error',
+                suggestion: 'Change input to an array of field declarations, e.g. [{ "name": "time", "type": "DateTime" }].'
+            });
+            result.status = 'fail';
+        }
+        
+        // Validate columns array
+        if (table.columns && Array.isArray(table.columns)) {
+            if (table.columns.length === 0) {
+                result.issues.push({
+                    message: `${tableContext}: columns array cannot be empty`,
+                    type: 'empty_array',
+                    ruleId: 'LAS-TBL-012',
+                    field: 'columns',
+                    location: `${tableLocation}.columns`,
+                    severity: 'error',
+                    suggestion: 'Add the columns of the table, starting with TimeGenerated.'
+                });
+                result.status = 'fail';
+            } else {
+                table.columns.forEach((column, colIndex) => {
+                    validateColumn(column, colIndex, tableContext, index, result);
+                });
+                
+                // Check for required TimeGenerated column
+                const timeGeneratedColumn = table.columns.find(col => col.name === 'TimeGenerated');
+                if (!timeGeneratedColumn) {
+                    result.issues.push({
+                        message: `${tableContext}: Missing required TimeGenerated column`,
+                        type: 'missing_required_column',
+                        ruleId: 'LAS-TBL-003',
+                        field: 'TimeGenerated',
+                        location: `${tableLocation}.columns`,
+                        severity: 'error',
+                        suggestion: 'Add a TimeGenerated column with type "DateTime" to your table. This column is required for all Log Analytics tables and must map to the $.time JSON path in Shoebox.'
+                    });
+                    result.status = 'fail';
+                } else {
+                    // Validate TimeGenerated column properties
+                    if (timeGeneratedColumn.type !== 'DateTime') {
+                        result.issues.push({
+                            message: `${tableContext}: TimeGenerated column must be of type "DateTime"`,
+                            type: 'invalid_column_type',
+                            ruleId: 'LAS-TBL-004',
+                            field: 'TimeGenerated.type',
+                            location: `${tableLocation}.columns.TimeGenerated.type`,
+                            currentValue: timeGeneratedColumn.type,
+                            expectedValue: 'DateTime',
+                            severity: 'error',
+                            suggestion: 'Change the TimeGenerated column type to "DateTime".'
+                        });
+                        result.status = 'fail';
+                    }
+                    
+                    // Note: The JSON path mapping ($.time) is typically handled at the ingestion pipeline level
+                    // and may not be explicitly defined in the manifest, so we don't validate it here
+                }
+                
+                // Check for forbidden system-added columns (these will be added by the ingestion pipeline)
+                const systemAddedColumns = manifestRules.SYSTEM_COLUMNS;
+                table.columns.forEach((column, colIndex) => {
+                    if (systemAddedColumns.includes(column.name)) {
+                        result.issues.push({
+                            message: `${tableContext}: Column "${column.name}" is automatically added by the ingestion pipeline and should not be included in your schema`,
+                            type: 'forbidden_system_column',
+                            ruleId: 'LAS-COL-006',
+                            field: `columns[${colIndex}].name`,
+                            location: `${tableLocation}.columns[${colIndex}].name`,
+                            currentValue: column.name,
+                            severity: 'error',
+                            suggestion: `Remove the "${column.name}" column from your schema. This column will be automatically added by the Azure Log Analytics ingestion pipeline.`
+                        });
+                        result.status = 'fail';
+                    }
+                });
+                
+                // Check for reserved column names that are blocked
+                const reservedColumns = manifestRules.RESERVED_COLUMN_NAMES;
+                table.columns.forEach((column, colIndex) => {
+                    // Enhanced error handling for column.name.toLowerCase()
+                    try {
+                        // Check if column has either standard name or transform pattern
+                        const hasStandardName = column.name && typeof column.name === 'string';
+                        const hasTransformPattern = column.transformName && column.physicalName && column.logicalName;
+                        
+                        if (!hasStandardName && !hasTransformPattern) {
+                            result.issues.push({
+                                message: `${tableContext}: Column ${colIndex + 1} has invalid or missing name`,
+                                type: 'invalid_column_name',
+                                ruleId: 'LAS-COL-001',
+                                field: `columns[${colIndex}].name`,
+                                location: `${tableLocation}.columns[${colIndex}].name`,
+                                currentValue: column.name ? typeof column.name : 'undefined',
+                                expectedValue: 'valid string name or transform pattern',
+                                severity: 'error',
+                                suggestion: 'Ensure each column has either a valid string name property OR the complete transform pattern (transformName, physicalName, logicalName).',
+                                microsoftRequirement: 'All columns must have valid string names or use the transform pattern for Azure Log Analytics validation.'
+                            });
+                            result.status = 'fail';
+                            return; // Skip further processing for this column
+                        }
+                        
+                        // Only check reserved names for standard columns (not transform pattern)
+                        if (!hasStandardName) {
+                            return; // Skip reserved name check for transform pattern columns
+                        }
+                        
+                        if (reservedColumns.includes(column.name.toLowerCase())) {
+                            result.issues.push({
+                                message: `${tableContext}: Column name "${column.name}" is reserved and will be blocked at validation`,
+                                type: 'reserved_column_name',
+                                ruleId: 'LAS-COL-007',
+                                field: `columns[${colIndex}].name`,
+                                location: `${tableLocation}.columns[${colIndex}].name`,
+                                currentValue: column.name,
+                                severity: 'error',
+                                suggestion: `Choose a different name for the "${column.name}" column. Reserved names: ${reservedColumns.join(', ')}.`
+                            });
+                            result.status = 'fail';
+                        }
+                    } catch (error) {
+                        result.issues.push({
+                            message: `${tableContext}: Error processing column ${colIndex + 1} name - ${error.message}`,
+                            type: 'column_name_processing_error',
+                            ruleId: 'LAS-ENG-001',
+                            field: `columns[${colIndex}].name`,
+                            location: `${tableLocation}.columns[${colIndex}].name`,
+                            severity: 'error',
+                            currentValue: column.name,
+                            expectedValue: 'valid string',
+                            suggestion: 'Ensure the column name is a valid string that can be processed.',
+                            microsoftRequirement: 'Column names must be valid strings for Azure Log Analytics processing.',
+                            fixInstructions: 'Check the column name for invalid characters or encoding issues.',
+                            errorDetails: `JavaScript error: ${error.message}`
+                        });
+                        result.status = 'fail';
+                    }
+                });
+                
+                // Check for tenantid column (special case - will be overridden by system)
+                try {
+                    const tenantIdColumn = table.columns.find(col => {
+                        if (!col.name || typeof col.name !== 'string') {
+                            return false; // Skip invalid column names
+                        }
+                        try {
+                            return col.name.toLowerCase() === 'tenantid';
+                        } catch (error) {
+                            // Silent error handling - unable to process column name
+                            return false;
+                        }
+                    });
+                    
+                    if (tenantIdColumn) {
+                        result.issues.push({
+                            message: `${tableContext}: Column "tenantid" is reserved and its value will be overridden by the system (contains workspaceId, not tenantId)`,
+                            type: 'reserved_overridden_column',
+                            ruleId: 'LAS-COL-008',
+                            field: 'tenantid',
+                            location: `${tableLocation}.columns.tenantid`,
+                            currentValue: tenantIdColumn.name,
+                            severity: 'error',
+                            suggestion: 'Remove the "tenantid" column from your schema. If you need tenant information, use a different column name. Note that the system-provided tenantid actually contains the workspaceId.'
+                        });
+                        result.status = 'fail';
+                    }
+                } catch (error) {
+                    result.issues.push({
+                        message: `${tableContext}: Error checking for reserved tenantid column - ${error.message}`,
+                        type: 'tenantid_check_error',
+                        ruleId: 'LAS-ENG-001',
+                        field: 'columns',
+                        location: `${tableLocation}.columns`,
+                        severity: 'error',
+                        suggestion: 'Check that all column names are valid strings.',
+                        microsoftRequirement: 'Column validation requires all column names to be processable as strings.',
+                        fixInstructions: 'Ensure all columns have valid string names.',
+                        errorDetails: `JavaScript error: ${error.message}`
+                    });
+                    result.status = 'fail';
+                }
+            }
+        } else if (table.columns !== undefined) {
+            result.issues.push({
+                message: `${tableContext}: columns must be an array`,
+                type: 'invalid_type',
+                ruleId: 'LAS-TBL-012',
+                field: 'columns',
+                location: `${tableLocation}.columns`,
+                currentValue: typeof table.columns,
+                expectedValue: 'array',
+                severity: 'error',
+                suggestion: 'Change columns to an array of column objects.'
+            });
+            result.status = 'fail';
+        }
+    }
+
+    function validateInputField(inputField, index, tableContext, tableIndex, result) {
+        const inputFieldName = getInputFieldDisplayName(inputField, index);
+        const inputContext = `${tableContext}, Input field '${inputFieldName}'`;
+        const inputLocation = `tables[${tableIndex}].input[${index}]`;
+        
+        // Required fields for input
+        const requiredFields = manifestRules.RULES.inputField.required;
+        requiredFields.forEach(field => {
+            if (!inputField[field]) {
+                result.issues.push({
+                    message: `${inputContext}: Missing required field '${field}'`,
+                    type: 'missing_field',
+                    ruleId: 'LAS-INP-001',
+                    field: field,
+                    location: `${inputLocation}.${field}`,
+                    severity: 'error',
+                    suggestion: `Add the required field "${field}" to the input field definition.`
+                });
+                result.status = 'fail';
+            }
+        });
+        
+        // Validate input data type
+        const validInputTypes = manifestRules.INPUT_TYPES;
+        if (inputField.type && !validInputTypes.includes(inputField.type)) {
+            // Check for common capitalization corrections
+            const typeCorrections = manifestRules.INPUT_TYPE_CORRECTIONS;
+            
+            const lowerType = inputField.type.toLowerCase();
+            const correctType = typeCorrections[lowerType];
+            
+            if (correctType) {
+                result.issues.push({
+                    message: `${inputContext}: Input data type '${inputField.type}' should be '${correctType}'`,
+                    type: 'incorrect_capitalization',
+                    ruleId: 'LAS-INP-002',
+                    field: 'type',
+                    location: `${inputLocation}.type`,
+                    currentValue: inputField.type,
+                    expectedValue: correctType,
+                    severity: 'error',
+                    suggestion: `Change "${inputField.type}" to "${correctType}" - Azure Log Analytics requires proper capitalization of data types.`,
+                    microsoftRequirement: 'Azure Log Analytics input data types must use proper capitalization (e.g., "DateTime" not "datetime").',
+                    fixInstructions: `Change the type from "${inputField.type}" to "${correctType}"`
+                });
+            } else {
+                result.issues.push({
+                    message: `${inputContext}: Invalid input data type '${inputField.type}'`,
+                    type: 'invalid_value',
+                    ruleId: 'LAS-INP-003',
+                    field: 'type',
+                    location: `${inputLocation}.type`,
+                    currentValue: inputField.type,
+                    expectedValue: `One of: ${validInputTypes.join(', ')}`,
+                    severity: 'error',
+                    suggestion: `Change the input data type from "${inputField.type}" to one of the valid types.`
+                });
+            }
+            result.status = 'fail';
+        }
+        
+        // Add warning for Dynamic type usage in input fields
+        if (inputField.type === 'Dynamic') {
+            if (!result.warnings) result.warnings = [];
+            result.warnings.push({
+                message: `${inputContext}: Dynamic type usage detected`,
+                type: 'performance_warning',
+                ruleId: 'LAS-INP-004',
+                field: 'type',
+                location: `${inputLocation}.type`,
+                currentValue: inputField.type,
+                severity: 'warning',
+                suggestion: `Consider using a specific data type instead of "Dynamic" for better performance and query authoring. Dynamic fields can impact query performance and make queries more complex. If possible, promote frequently used fields to top-level columns with specific types.`
+            });
+        }
+    }
+
+    function validateColumn(column, index, tableContext, tableIndex, result) {
+        const columnName = getColumnDisplayName(column, index);
+        const columnContext = `${tableContext}, Column '${columnName}'`;
+        const columnLocation = `tables[${tableIndex}].columns[${index}]`;
+        
+        // Check for column name - either standard 'name' OR transform pattern (transformName + physicalName + logicalName)
+        const hasStandardName = column.name;
+        const hasTransformPattern = column.transformName && column.physicalName && column.logicalName;
+        
+        if (!hasStandardName && !hasTransformPattern) {
+            result.issues.push({
+                message: `${columnContext}: Missing required field 'name' or transform pattern (transformName, physicalName, logicalName)`,
+                type: 'missing_field',
+                ruleId: 'LAS-COL-001',
+                field: 'name',
+                location: `${columnLocation}.name`,
+                columnIndex: index,
+                severity: 'error',
+                suggestion: `Add either a 'name' field OR the complete transform pattern with 'transformName', 'physicalName', and 'logicalName' fields for column type changes.`,
+                microsoftRequirement: 'Columns must have either a standard "name" field or use the transform pattern (transformName, physicalName, logicalName) when changing column types in Azure Log Analytics.'
+            });
+            result.status = 'fail';
+        }
+        
+        // Validate other required fields
+        const otherRequiredFields = manifestRules.RULES.column.required;
+        otherRequiredFields.forEach(field => {
+            if (!column.hasOwnProperty(field) || column[field] === null || column[field] === undefined) {
+                result.issues.push({
+                    message: `${columnContext}: Missing required field '${field}'`,
+                    type: 'missing_field',
+                    ruleId: 'LAS-COL-002',
+                    field: field,
+                    location: `${columnLocation}.${field}`,
+                    severity: 'error',
+                    suggestion: `Add the required field "${field}" to the column definition.`
+                });
+                result.status = 'fail';
+            } else if (field === 'description' && typeof column[field] === 'string' && column[field].trim() === '') {
+                result.issues.push({
+                    message: `${columnContext}: Empty description field`,
+                    type: 'formatting_error',
+                    ruleId: 'LAS-DSC-001',
+                    field: 'description',
+                    location: `${columnLocation}.description`,
+                    currentValue: column[field],
+                    severity: 'error',
+                    suggestion: `Add a meaningful description for the column.`,
+                    microsoftRequirement: 'All columns must have a non-empty description field to help users understand the data.',
+                    fixInstructions: 'Replace the empty description with a meaningful description of what this column contains.'
+                });
+                result.status = 'fail';
+            }
+        });
+        
+        // Validate description
+        if (column.description) {
+            validateDescription(column.description, `${columnContext} description`, result, `${columnLocation}.description`);
+        }
+        
+        // Validate data type (column types for Log Analytics tables)
+        const validTypes = manifestRules.COLUMN_TYPES;
+        if (column.type && !validTypes.includes(column.type)) {
+            // Check for common capitalization corrections
+            const typeCorrections = manifestRules.COLUMN_TYPE_CORRECTIONS;
+            
+            const lowerType = column.type.toLowerCase();
+            const correctType = typeCorrections[lowerType];
+            
+            if (correctType) {
+                result.issues.push({
+                    message: `${columnContext}: Column data type '${column.type}' should be '${correctType}'`,
+                    type: 'incorrect_capitalization',
+                    ruleId: 'LAS-COL-003',
+                    field: 'type',
+                    location: `${columnLocation}.type`,
+                    currentValue: column.type,
+                    expectedValue: correctType,
+                    severity: 'error',
+                    suggestion: `Change "${column.type}" to "${correctType}" - Azure Log Analytics requires proper capitalization of data types.`,
+                    microsoftRequirement: 'Azure Log Analytics column data types must use proper capitalization (e.g., "DateTime" not "datetime").',
+                    fixInstructions: `Change the type from "${column.type}" to "${correctType}"`
+                });
+            } else {
+                result.issues.push({
+                    message: `${columnContext}: Invalid data type '${column.type}'`,
+                    type: 'invalid_value',
+                    ruleId: 'LAS-COL-004',
+                    field: 'type',
+                    location: `${columnLocation}.type`,
+                    currentValue: column.type,
+                    expectedValue: `One of: ${validTypes.join(', ')}`,
+                    severity: 'error',
+                    suggestion: `Change the column data type from "${column.type}" to one of the valid types.`
+                });
+            }
+            result.status = 'fail';
+        }
+        
+        // Add warning for Dynamic type usage in columns
+        if (column.type === 'Dynamic') {
+            if (!result.warnings) result.warnings = [];
+            result.warnings.push({
+                message: `${columnContext}: Dynamic type usage detected`,
+                type: 'performance_warning',
+                ruleId: 'LAS-COL-005',
+                field: 'type',
+                location: `${columnLocation}.type`,
+                currentValue: column.type,
+                severity: 'warning',
+                suggestion: `Consider using a specific data type instead of "Dynamic" for better performance and query authoring. Dynamic fields can impact query performance and make queries more complex. If possible, promote frequently used fields to top-level columns with specific types.`
+            });
+        }
+        
+        // Validate boolean fields (optional)
+        const booleanFields = manifestRules.getFieldsOfType('column', 'boolean');
+        booleanFields.forEach(field => {
+            if (column[field] !== undefined && typeof column[field] !== 'boolean') {
+                result.issues.push({
+                    message: `${columnContext}: ${field} must be a boolean`,
+                    type: 'invalid_type',
+                    ruleId: 'LAS-COL-009',
+                    field: field,
+                    location: `${columnLocation}.${field}`,
+                    currentValue: column[field],
+                    expectedValue: 'true or false',
+                    severity: 'error',
+                    suggestion: `Set ${field} to true or false (without quotes).`
+                });
+                result.status = 'fail';
+            }
+        });
+        
+        // Validate dataTypeHint (optional)
+        if (column.dataTypeHint !== undefined) {
+            const validHints = manifestRules.DATA_TYPE_HINTS;
+            if (!validHints.includes(column.dataTypeHint)) {
+                result.issues.push({
+                    message: `${columnContext}: dataTypeHint must be one of: ${validHints.join(', ')}`,
+                    type: 'invalid_value',
+                    ruleId: 'LAS-COL-010',
+                    field: 'dataTypeHint',
+                    location: `${columnLocation}.dataTypeHint`,
+                    currentValue: column.dataTypeHint,
+                    expectedValue: validHints.join(', '),
+                    severity: 'error',
+                    suggestion: 'Use one of the supported hints, or remove dataTypeHint.'
+                });
+                result.status = 'fail';
+            }
+        }
+    }
+
+    function validateFunction(func, index, result) {
+        const functionContext = `Function ${index + 1}`;
+        const functionLocation = `functions[${index}]`;
+        
+        // Required fields based on official documentation
+        const requiredFields = manifestRules.RULES.function.required;
+        requiredFields.forEach(field => {
+            if (!func[field]) {
+                // Generate appropriate fix code for the missing field
+                let fixCode = '';
+                switch (field) {
+                    case 'name':
+                        fixCode = `"name": "_Function_Name"`;
+                        break;
+                    case 'displayName':
+                        fixCode = `"displayName": "Function Display Name"`;
+                        break;
+                    case 'description':
+                        fixCode = `"description": "Function description."`;
+                        break;
+                    case 'bodyFilePath':
+                        fixCode = `"bodyFilePath": "KQL/Function.kql"`;
+                        break;
+                    default:
+                        fixCode = `"${field}": "value"`;
+                }
+                
+                const missingFieldError = {
+                    message: `${functionContext}: Missing required field '${field}'`,
+                    type: 'missing_field',
+                    ruleId: 'LAS-FUN-001',
+                    field: field,
+                    location: `${functionLocation}.${field}`,
+                    severity: 'error',
+                    suggestion: `Add the required field "${field}" to ${functionContext}.`,
+                    fixCode: fixCode,
+                    microsoftRequirement: `Functions must include all required fields: name, displayName, description, and bodyFilePath.`
+                };
+                
+                result.issues.push(missingFieldError);
+                result.status = 'fail';
+            }
+        });
+        
+        // Validate description
+        if (func.description) {
+            validateDescription(func.description, `${functionContext} description`, result, `functions[${index}].description`);
+        }
+        
+        // Validate parameters (optional string)
+        if (func.parameters !== undefined && typeof func.parameters !== 'string') {
+            result.issues.push({
+                message: `${functionContext}: parameters must be a string (e.g., "Param1:string, Param2:datetime")`,
+                type: 'invalid_type',
+                ruleId: 'LAS-FUN-002',
+                field: 'parameters',
+                location: `${functionLocation}.parameters`,
+                currentValue: typeof func.parameters,
+                expectedValue: 'string',
+                severity: 'error',
+                suggestion: `Change the parameters field to a string format.`
+            });
+            result.status = 'fail';
+        } else if (typeof func.parameters === 'string') {
+            checkFunctionParameters(func.parameters, functionContext, `${functionLocation}.parameters`, result);
+        }
+        
+        if (func.relatedTables !== undefined && (!Array.isArray(func.relatedTables) || func.relatedTables.some(name => typeof name !== 'string'))) {
+            result.issues.push({
+                message: `${functionContext}: relatedTables must be an array of table names`,
+                type: 'invalid_type',
+                ruleId: 'LAS-FUN-005',
+                field: 'relatedTables',
+                location: `${functionLocation}.relatedTables`,
+                currentValue: Array.isArray(func.relatedTables) ? 'array with non-string entries' : typeof func.relatedTables,
+                expectedValue: 'array of strings',
+                severity: 'error',
+                suggestion: 'List the names of the tables the function reads, e.g. ["MyTable_CL"].'
+            });
+            result.status = 'fail';
+        }
+        
+        // Validate categories (optional array)
+        if (func.categories !== undefined) {
+            if (!Array.isArray(func.categories)) {
+                result.issues.push({
+                    message: `${functionContext}: categories must be an array`,
+                    type: 'invalid_type',
+                    ruleId: 'LAS-FUN-003',
+                    field: 'categories',
+                    location: `${functionLocation}.categories`,
+                    currentValue: typeof func.categories,
+                    expectedValue: 'array',
+                    severity: 'error',
+                    suggestion: `Change the categories field to an array format.`
+                });
+                result.status = 'fail';
+            }
+        }
+    }
+
+    /**
+     * Parse a function's parameter declaration ("Name:type = default, ...")
+     * 
+     * @returns {Object[]} Parameter nodes, empty when the declaration has errors
+     */
+    function checkFunctionParameters(parameters, context, location, result) {
+        const parsed = kqlParser.parseParameters(parameters);
+        const problems = parsed.errors.map(error => `${error.message} (column ${error.column})`);
+        
+        if (problems.length === 0) {
+            const seen = new Set();
+            let firstDefault = null;
+            parsed.ast.parameters.forEach(parameter => {
+                if (seen.has(parameter.name)) {
+                    problems.push(`Parameter '${parameter.name}' is declared twice`);
+                }
+                seen.add(parameter.name);
+                if (parameter.defaultValue) {
+                    firstDefault = firstDefault || parameter;
+                } else if (firstDefault) {
+                    problems.push(`Parameter '${parameter.name}' has no default value but follows '${firstDefault.name}', which has one`);
+                }
+            });
+        }
+        
+        problems.forEach(problem => {
+            result.issues.push({
+                message: `${context}: Invalid parameters - ${problem}`,
+                type: 'invalid_function_parameters',
+                ruleId: 'LAS-FUN-004',
+                field: 'parameters',
+                location: location,
+                currentValue: parameters,
+                expectedValue: 'Name:type, Name:type = default',
+                severity: 'error',
+                suggestion: 'Declare each parameter as Name:type with a lowercase KQL type (string, int, long, real, bool, datetime, timespan, guid, dynamic) or a tabular schema such as T:(TimeGenerated:datetime, *). Parameters with a default value (Name:type = value) come last.'
+            });
+            result.status = 'fail';
+        });
+        
+        return problems.length === 0 ? parsed.ast.parameters : [];
+    }
+    
+    /**
+     * Check the stored functions and example queries of every NGSchema manifest
+     * against their KQL bodies
+     */
+    function checkKqlBodies(pkg, report) {
+        pkg.manifests.forEach(entry => {
+            const bodyResult = { issues: [], warnings: [] };
+            validateFunctionBodies(entry.parsed, entry.file, pkg, bodyResult);
+            validateQueryBodies(entry.parsed, entry.file, pkg, bodyResult);
+            [...bodyResult.issues, ...bodyResult.warnings].forEach(finding => report(entry.file, finding));
+        });
+    }
+    
+    registerPackageRule('kql-bodies', checkKqlBodies);
+    
+    /**
+     * Check each stored function's KQL body against its declaration: every
+     * parameter is used, every table or function it names is a parameter, a table
+     * or function of this manifest, or a known KQL function, and every relatedTables
+     * entry is a table of a manifest in the package
+     */
+    function validateFunctionBodies(manifest, manifestFile, pkg, result) {
+        if (!Array.isArray(manifest.functions)) {
+            return;
+        }
+        
+        const manifestTables = Array.isArray(manifest.tables)
+            ? manifest.tables.map(getTableName).filter(Boolean)
+            : [];
+        const manifestFunctions = manifest.functions.filter(func => func && typeof func.name === 'string').map(func => func.name);
+        const packageTables = pkg.tables.map(table => table.name);
+        
+        manifest.functions.forEach((func, index) => {
+            if (!func || typeof func !== 'object') {
+                return;
+            }
+            const context = `Function '${func.name || index + 1}'`;
+            const location = `functions[${index}]`;
+            
+            if (Array.isArray(func.relatedTables)) {
+                func.relatedTables.forEach((tableName, tableIndex) => {
+                    if (typeof tableName === 'string' && !packageTables.includes(tableName)) {
+                        const differentCase = packageTables.find(name => name.toLowerCase() === tableName.toLowerCase());
+                        result.issues.push({
+                            message: `${context}: Related table '${tableName}' is not defined by any manifest in the package`,
+                            type: 'unknown_related_table',
+                            ruleId: 'LAS-FUN-008',
+                            field: 'relatedTables',
+                            location: `${location}.relatedTables[${tableIndex}]`,
+                            currentValue: tableName,
+                            expectedValue: differentCase || manifestTables.join(', '),
+                            severity: 'error',
+                            suggestion: differentCase
+                                ? `Change '${tableName}' to '${differentCase}' (table names are case-sensitive).`
+                                : `Use the name of a table the function reads. Tables of this manifest: ${manifestTables.join(', ') || 'none'}.`
+                        });
+                        result.status = 'fail';
+                    }
+                });
+            }
+            
+            const kqlEntry = resolveKqlEntry(pkg, manifestFile, func.bodyFilePath);
+            if (!kqlEntry) {
+                return;
+            }
+            const kqlFile = kqlEntry.file;
+            
+            const parameters = typeof func.parameters === 'string' ? kqlParser.parseParameters(func.parameters) : null;
+            const parameterNodes = parameters && parameters.errors.length === 0 ? parameters.ast.parameters : [];
+            const parameterNames = parameterNodes.map(parameter => parameter.name);
+            const references = kqlReferences.collectReferences(kqlEntry.parsed);
+            const letNames = kqlReferences.getNames(references.lets);
+            const kqlPath = packagePaths.getFilePath(kqlFile);
+            const positionOf = reference => {
+                const position = kqlParser.getLineColumn(kqlFile.content, reference.start);
+                return `${kqlPath}, line ${position.line}, column ${position.column}`;
+            };
+            
+            const usedNames = new Set(references.tables.concat(references.columns, references.calls).map(reference => reference.name));
+            parameterNames.filter(name => !usedNames.has(name)).forEach(name => {
+                result.warnings.push({
+                    message: `${context}: Parameter '${name}' is never used in ${kqlPath}`,
+                    type: 'unused_function_parameter',
+                    ruleId: 'LAS-FUN-006',
+                    field: 'parameters',
+                    location: `${location}.parameters`,
+                    currentValue: name,
+                    severity: 'warning',
+                    suggestion: `Use '${name}' in the function body, or remove it from the parameters so callers are not asked for a value that has no effect.`
+                });
+            });
+            
+            const reportUnknown = (reference, kind) => {
+                result.warnings.push({
+                    message: `${context}: '${reference.name}' is not a parameter, a ${kind === 'table' ? 'table or function of this manifest' : 'function of this manifest or a known KQL function'}`,
+                    type: 'unknown_function_reference',
+                    ruleId: 'LAS-FUN-007',
+                    field: 'bodyFilePath',
+                    location: `${location}.bodyFilePath`,
+                    kqlLocation: positionOf(reference),
+                    currentValue: reference.name,
+                    severity: 'warning',
+                    suggestion: kind === 'table'
+                        ? `Declare '${reference.name}' as a parameter, add the table to the manifest, or check the spelling. Tables of this manifest: ${manifestTables.join(', ') || 'none'}.`
+                        : `Check the spelling of '${reference.name}()', or declare it with let in the function body.`
+                });
+            };
+            
+            const reported = new Set();
+            references.tables.forEach(reference => {
+                if (!reported.has(reference.name) && !parameterNames.includes(reference.name) &&
+                    !manifestTables.includes(reference.name) && !manifestFunctions.includes(reference.name)) {
+                    reported.add(reference.name);
+                    reportUnknown(reference, 'table');
+                }
+            });
+            references.calls.forEach(reference => {
+                if (!reported.has(reference.name) && !letNames.includes(reference.name) &&
+                    !manifestFunctions.includes(reference.name) && !isKnownFunction(reference.name)) {
+                    reported.add(reference.name);
+                    reportUnknown(reference, 'function');
+                }
+            });
+            
+            const readColumns = getFunctionColumns(func, kqlEntry.parsed, references, parameterNodes, letNames, manifestFunctions, pkg.tables);
+            if (!readColumns) {
+                return;
+            }
+            const knownColumns = readColumns.concat(parameterNames, letNames, kqlReferences.getNames(references.outputs), PIPELINE_ADDED_COLUMNS);
+            references.columns.forEach(reference => {
+                const name = reference.name;
+                if (reported.has(name) || knownColumns.includes(name) || isGeneratedColumnName(name)) {
+                    return;
+                }
+                reported.add(name);
+                
+                const differentCase = knownColumns.find(column => column.toLowerCase() === name.toLowerCase());
+                result.warnings.push({
+                    message: differentCase
+                        ? `${context}: Column '${name}' differs in case from '${differentCase}'`
+                        : `${context}: '${name}' is not a parameter, a let binding or a column of the tables the function reads`,
+                    type: 'unknown_function_column',
+                    ruleId: 'LAS-FUN-009',
+                    field: 'bodyFilePath',
+                    location: `${location}.bodyFilePath`,
+                    kqlLocation: positionOf(reference),
+                    columnName: name,
+                    currentValue: name,
+                    expectedValue: differentCase,
+                    severity: 'warning',
+                    suggestion: differentCase
+                        ? `Change '${name}' to '${differentCase}' in ${kqlPath}. Column names in KQL are case-sensitive.`
+                        : `Add '${name}' to the columns of the table, declare it as a parameter, or check the spelling in ${kqlPath}.`
+                });
+            });
+        });
+    }
+    
+    /**
+     * Columns a function body can read: those of the tables it reads (package tables
+     * and tabular parameters) or, when it reads none, of its relatedTables - all
+     * tables of the package when it has none
+     * 
+     * @returns {string[]|null} Column names, or null when they cannot be known (a
+     *   table outside the package, a function of the manifest, evaluate/invoke, a
+     *   wildcard schema)
+     */
+    function getFunctionColumns(func, ast, references, parameterNodes, letNames, manifestFunctions, tableDefinitions) {
+        let isOpen = false;
+        kqlParser.walk(ast, node => {
+            if (node.kind === 'Operator' && OPAQUE_COLUMN_OPERATORS.includes(node.name)) {
+                isOpen = true;
+            }
+        });
+        
+        const columns = [];
+        const readNames = kqlReferences.getNames(references.tables).filter(name => !letNames.includes(name));
+        readNames.forEach(name => {
+            const parameter = parameterNodes.find(candidate => candidate.name === name);
+            const table = tableDefinitions.find(candidate => candidate.name === name);
+            if (parameter && Array.isArray(parameter.tabularSchema) && !parameter.tabularSchema.some(column => column.kind === 'Wildcard')) {
+                columns.push(...parameter.tabularSchema.map(column => column.name));
+            } else if (table && !parameter) {
+                columns.push(...table.columns);
+            } else {
+                isOpen = true;
+            }
+        });
+        // Other functions of the manifest return tables of their own
+        if (isOpen || references.calls.some(reference => manifestFunctions.includes(reference.name))) {
+            return null;
+        }
+        
+        if (readNames.length === 0) {
+            const related = Array.isArray(func.relatedTables) ? func.relatedTables : [];
+            const tables = related.length > 0
+                ? tableDefinitions.filter(table => related.includes(table.name))
+                : tableDefinitions;
+            tables.forEach(table => columns.push(...table.columns));
+        }
+        return columns;
+    }
+    
+    /**
+     * KQL entry (see createPackageContext) a manifest path points at, or null when the
+     * path does not resolve (reported by validateManifestPaths) or the KQL has syntax
+     * errors (reported on the KQL file itself)
+     */
+    function resolveKqlEntry(pkg, manifestFile, kqlPath) {
+        const resolution = packagePaths.resolvePath(pkg.files, manifestFile, kqlPath, { extensions: ['.kql'] });
+        const kqlEntry = resolution.status === 'resolved' ? pkg.getKql(resolution.file) : null;
+        return kqlEntry && !kqlEntry.hasSyntaxErrors ? kqlEntry : null;
+    }
+    
+    function isKnownFunction(name) {
+        return kqlSchema.isKnownFunction(name) || kqlInterpreter.isSupportedFunction(name) ||
+            Object.prototype.hasOwnProperty.call(kqlParser.SCALAR_TYPES, name);
+    }
+    
+    // Operators whose output columns cannot be known from the query text
+    const OPAQUE_COLUMN_OPERATORS = ['evaluate', 'invoke'];
+    
+    /**
+     * Check each example query's KQL body against the manifest: relatedTables
+     * lists exactly the tables the query reads, and every column it reads exists
+     * in one of those tables with the same case. Columns are only checked when
+     * every table the query reads is defined in the package.
+     */
+    function validateQueryBodies(manifest, manifestFile, pkg, result) {
+        if (!Array.isArray(manifest.queries)) {
+            return;
+        }
+        
+        const packageTables = pkg.tables;
+        const functionNames = Array.isArray(manifest.functions)
+            ? manifest.functions.filter(func => func && typeof func.name === 'string').map(func => func.name)
+            : [];
+        
+        manifest.queries.forEach((query, index) => {
+            if (!query || typeof query !== 'object') {
+                return;
+            }
+            const context = `Query '${query.displayName || index + 1}'`;
+            const location = `queries[${index}]`;
+            
+            const kqlEntry = resolveKqlEntry(pkg, manifestFile, query.bodyFilePath);
+            if (!kqlEntry) {
+                return;
+            }
+            const kqlFile = kqlEntry.file;
+            const references = kqlReferences.collectReferences(kqlEntry.parsed);
+            const kqlPath = packagePaths.getFilePath(kqlFile);
+            const positionOf = reference => {
+                const position = kqlParser.getLineColumn(kqlFile.content, reference.start);
+                return `${kqlPath}, line ${position.line}, column ${position.column}`;
+            };
+            
+            // Functions of the manifest are called like tables but are not tables
+            const tableReferences = references.tables.filter(reference => !functionNames.includes(reference.name));
+            const usedTables = kqlReferences.getNames(tableReferences);
+            
+            checkQueryMetadataAgainstBody(query, kqlEntry.parsed, references, context, location, kqlPath, result);
+            
+            if (Array.isArray(query.relatedTables)) {
+                checkQueryRelatedTables(query.relatedTables, usedTables, context, location, kqlPath, result);
+            }
+            
+            const readTables = usedTables.map(name => packageTables.find(table => table.name === name));
+            let hasOpaqueOperator = false;
+            kqlParser.walk(kqlEntry.parsed, node => {
+                if (node.kind === 'Operator' && OPAQUE_COLUMN_OPERATORS.includes(node.name)) {
+                    hasOpaqueOperator = true;
+                }
+            });
+            if (readTables.length === 0 || readTables.some(table => !table) || hasOpaqueOperator ||
+                tableReferences.length < references.tables.length) {
+                return;
+            }
+            
+            const knownColumns = readTables.reduce((columns, table) => columns.concat(table.columns), [])
+                .concat(kqlReferences.getNames(references.outputs), PIPELINE_ADDED_COLUMNS);
+            const reported = new Set();
+            references.columns.forEach(reference => {
+                const name = reference.name;
+                if (reported.has(name) || knownColumns.includes(name) || isGeneratedColumnName(name)) {
+                    return;
+                }
+                reported.add(name);
+                
+                const differentCase = knownColumns.find(column => column.toLowerCase() === name.toLowerCase());
+                if (differentCase) {
+                    result.warnings.push({
+                        message: `${context}: Column '${name}' differs in case from '${differentCase}'`,
+                        type: 'query_column_case_mismatch',
+                        ruleId: 'LAS-QRY-008',
+                        field: 'bodyFilePath',
+                        location: `${location}.bodyFilePath`,
+                        kqlLocation: positionOf(reference),
+                        columnName: name,
+                        currentValue: name,
+                        expectedValue: differentCase,
+                        severity: 'warning',
+                        suggestion: `Change '${name}' to '${differentCase}' in ${kqlPath}. Column names in KQL are case-sensitive, so the query fails with "Failed to resolve scalar expression".`
+                    });
+                    return;
+                }
+                
+                result.warnings.push({
+                    message: `${context}: Column '${name}' is not defined by ${usedTables.length === 1 ? `table '${usedTables[0]}'` : `any of the tables ${usedTables.join(', ')}`}`,
+                    type: 'unknown_query_column',
+                    ruleId: 'LAS-QRY-007',
+                    field: 'bodyFilePath',
+                    location: `${location}.bodyFilePath`,
+                    kqlLocation: positionOf(reference),
+                    columnName: name,
+                    currentValue: name,
+                    severity: 'warning',
+                    suggestion: `Add '${name}' to the columns of ${usedTables.join(' or ')}, or change ${kqlPath} to use a column the table defines.`
+                });
+            });
+        });
+    }
+    
+    // Operators the Writing sample queries guide keeps out of alert queries
+    const NON_ALERT_OPERATORS = ['top', 'take', 'limit', 'parse'];
+    
+    /**
+     * Check that a query body backs its metadata: an example query (ExampleQuery:
+     * true) reads a table, and a query with the Alerts topic follows the guide's
+     * rules for alert queries
+     */
+    function checkQueryMetadataAgainstBody(query, ast, references, context, location, kqlPath, result) {
+        const properties = isPlainObject(query.properties) ? query.properties : {};
+        if (properties.ExampleQuery === true && (references.tables.length === 0 || ast.statements.every(statement => statement.kind === 'Let'))) {
+            result.warnings.push({
+                message: `${context}: ExampleQuery is true but ${kqlPath} does not query a table`,
+                type: 'example_query_mismatch',
+                ruleId: 'LAS-QRY-012',
+                field: 'ExampleQuery',
+                location: `${location}.properties.ExampleQuery`,
+                currentValue: true,
+                severity: 'warning',
+                suggestion: `End ${kqlPath} with a query that reads one of the manifest's tables, or set ExampleQuery to false.`
+            });
+        }
+        
+        const topics = isPlainObject(query.tags) && Array.isArray(query.tags.Topic) ? query.tags.Topic : [];
+        if (!topics.includes('Alerts')) {
+            return;
+        }
+        const alertProblems = [];
+        kqlParser.walk(ast, node => {
+            if (node.kind === 'Operator' && NON_ALERT_OPERATORS.includes(node.name) && !alertProblems.includes(`uses '${node.name}'`)) {
+                alertProblems.push(`uses '${node.name}'`);
+            }
+        });
+        if (!references.columns.concat(references.outputs).some(reference => reference.name === '_ResourceId')) {
+            alertProblems.push('does not return _ResourceId');
+        }
+        alertProblems.forEach(problem => {
+            result.warnings.push({
+                message: `${context}: Has the Alerts topic but ${kqlPath} ${problem}`,
+                type: 'alert_query_mismatch',
+                ruleId: 'LAS-QRY-013',
+                field: 'Topic',
+                location: `${location}.tags.Topic`,
+                currentValue: problem,
+                severity: 'warning',
+                suggestion: `Alert queries keep the _ResourceId column and avoid ${NON_ALERT_OPERATORS.join(', ')}, so a rule created from them covers every resource and every row. Fix ${kqlPath} or remove the Alerts topic.`
+            });
+        });
+    }
+    
+    /**
+     * Compare a query's relatedTables with the tables its body reads
+     */
+    function checkQueryRelatedTables(relatedTables, usedTables, context, location, kqlPath, result) {
+        const listed = relatedTables.filter(name => typeof name === 'string');
+        const unread = listed.filter(name => !usedTables.includes(name));
+        const unlisted = usedTables.filter(name => !listed.includes(name));
+        
+        unread.forEach(name => {
+            const relatedIndex = relatedTables.indexOf(name);
+            const differentCase = unlisted.find(used => used.toLowerCase() === name.toLowerCase());
+            if (differentCase) {
+                unlisted.splice(unlisted.indexOf(differentCase), 1);
+            }
+            result.warnings.push({
+                message: differentCase
+                    ? `${context}: Related table '${name}' differs in case from '${differentCase}', which the query reads`
+                    : `${context}: Related table '${name}' is not read by ${kqlPath}`,
+                type: 'query_related_tables_mismatch',
+                ruleId: 'LAS-QRY-006',
+                field: 'relatedTables',
+                location: `${location}.relatedTables[${relatedIndex}]`,
+                currentValue: name,
+                expectedValue: differentCase || usedTables.join(', '),
+                severity: 'warning',
+                suggestion: differentCase
+                    ? `Change '${name}' to '${differentCase}' (table names are case-sensitive).`
+                    : `Remove '${name}' from relatedTables, or read it in the query. The query reads: ${usedTables.join(', ') || 'no tables'}.`
+            });
+        });
+        
+        unlisted.forEach(name => {
+            result.warnings.push({
+                message: `${context}: Reads table '${name}', which is missing from relatedTables`,
+                type: 'query_related_tables_mismatch',
+                ruleId: 'LAS-QRY-006',
+                field: 'relatedTables',
+                location: `${location}.relatedTables`,
+                currentValue: listed.join(', '),
+                expectedValue: usedTables.join(', '),
+                severity: 'warning',
+                suggestion: `Add '${name}' to relatedTables so the query is listed with that table in the portal.`
+            });
+        });
+    }
+    
+    /**
+     * Whether a column name is one KQL generates, such as count_ or avg_Duration
+     * from an unnamed aggregation, or Column1 from an unnamed extend
+     */
+    function isGeneratedColumnName(name) {
+        if (/^Column\d+$/.test(name)) {
+            return true;
+        }
+        return kqlSchema.AGGREGATE_FUNCTIONS.some(aggregate => name.startsWith(`${aggregate}_`));
+    }
+    
+    function validateQuery(query, index, result) {
+        const queryContext = `Query ${index + 1}`;
+        const queryLocation = `queries[${index}]`;
+        
+        // Required fields based on official documentation
+        const requiredFields = manifestRules.RULES.query.required;
+        requiredFields.forEach(field => {
+            if (!query[field]) {
+                result.issues.push({
+                    message: `${queryContext}: Missing required field '${field}'`,
+                    type: 'missing_field',
+                    ruleId: 'LAS-QRY-001',
+                    field: field,
+                    location: `${queryLocation}.${field}`,
+                    severity: 'error',
+                    suggestion: `Add the required field "${field}" to ${queryContext}.`
+                });
+                result.status = 'fail';
+            }
+        });
+        
+        // Validate id (should be GUID)
+        if (query.id !== undefined) {
+            const guidRegex = new RegExp(manifestRules.GUID_PATTERN);
+            if (!guidRegex.test(query.id)) {
+                result.issues.push({
+                    message: `${queryContext}: id should be a valid GUID`,
+                    type: 'invalid_format',
+                    ruleId: 'LAS-QRY-002',
+                    field: 'id',
+                    location: `${queryLocation}.id`,
+                    currentValue: query.id,
+                    expectedValue: 'Valid GUID format',
+                    severity: 'error',
+                    suggestion: `Change the id to a valid GUID format (e.g., "12345678-1234-1234-1234-123456789012").`
+                });
+                result.status = 'fail';
+            }
+        }
+        
+        // Validate description
+        if (query.description) {
+            validateDescription(query.description, `${queryContext} description`, result, `${queryLocation}.description`);
+        }
+        
+        // Validate categories (optional array)
+        if (query.categories !== undefined) {
+            if (!Array.isArray(query.categories)) {
+                result.issues.push({
+                    message: `${queryContext}: categories must be an array`,
+                    type: 'invalid_type',
+                    ruleId: 'LAS-QRY-003',
+                    field: 'categories',
+                    location: `${queryLocation}.categories`,
+                    currentValue: typeof query.categories,
+                    expectedValue: 'array',
+                    severity: 'error',
+                    suggestion: `Change the categories field to an array format.`
+                });
+                result.status = 'fail';
+            }
+        }
+        
+        // Validate tags.Topic and the properties block of the query template
+        validateQueryMetadata(query, queryContext, queryLocation, result);
+    }
+    
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    
+    /**
+     * Check a query's tags.Topic against the recommended topics and the types of
+     * properties.ExampleQuery and properties.QueryAttributes.IsMultiResource
+     */
+    function validateQueryMetadata(query, queryContext, queryLocation, result) {
+        const invalidMetadata = (message, location, currentValue, expectedValue, suggestion) => {
+            result.issues.push({
+                message: `${queryContext}: ${message}`,
+                type: 'invalid_query_metadata',
+                ruleId: 'LAS-QRY-011',
+                field: location.split('.').pop(),
+                location: `${queryLocation}.${location}`,
+                currentValue: currentValue,
+                expectedValue: expectedValue,
+                severity: 'error',
+                suggestion: suggestion
+            });
+            result.status = 'fail';
+        };
+        const missingTopic = location => {
+            result.warnings.push({
+                message: `${queryContext}: No Topic tag - the Logs UI groups example queries by topic`,
+                type: 'missing_query_topic',
+                ruleId: 'LAS-QRY-010',
+                field: 'tags',
+                location: `${queryLocation}${location}`,
+                expectedValue: manifestRules.QUERY_TOPICS.join(', '),
+                severity: 'warning',
+                suggestion: `Add "tags": { "Topic": ["..."] } with at least one of: ${manifestRules.QUERY_TOPICS.join(', ')}.`
+            });
+        };
+        
+        if (query.tags === undefined) {
+            missingTopic('');
+        } else if (!isPlainObject(query.tags)) {
+            invalidMetadata('tags must be an object', 'tags', Array.isArray(query.tags) ? 'array' : typeof query.tags, 'object',
+                'Write tags as an object of arrays, e.g. "tags": { "Topic": ["Usage"] }.');
+        } else if (query.tags.Topic === undefined || (Array.isArray(query.tags.Topic) && query.tags.Topic.length === 0)) {
+            missingTopic('.tags');
+        } else if (!Array.isArray(query.tags.Topic)) {
+            invalidMetadata('tags.Topic must be an array of topics', 'tags.Topic', query.tags.Topic, 'array',
+                typeof query.tags.Topic === 'string'
+                    ? `Wrap the topic in an array: "Topic": ["${query.tags.Topic}"].`
+                    : 'Change Topic to an array of topic names.');
+        } else {
+            query.tags.Topic.forEach((topic, topicIndex) => {
+                if (manifestRules.QUERY_TOPICS.includes(topic)) {
+                    return;
+                }
+                const differentCase = typeof topic === 'string'
+                    ? manifestRules.QUERY_TOPICS.find(known => known.toLowerCase() === topic.toLowerCase())
+                    : undefined;
+                result.warnings.push({
+                    message: `${queryContext}: '${topic}' is not a recommended query topic`,
+                    type: 'invalid_query_topic',
+                    ruleId: 'LAS-QRY-009',
+                    field: 'Topic',
+                    location: `${queryLocation}.tags.Topic[${topicIndex}]`,
+                    currentValue: topic,
+                    expectedValue: differentCase || manifestRules.QUERY_TOPICS.join(', '),
+                    severity: 'warning',
+                    suggestion: differentCase
+                        ? `Change '${topic}' to '${differentCase}'.`
+                        : `Use one of the recommended topics: ${manifestRules.QUERY_TOPICS.join(', ')}.`
+                });
+            });
+        }
+        
+        if (query.properties === undefined) {
+            return;
+        }
+        if (!isPlainObject(query.properties)) {
+            invalidMetadata('properties must be an object', 'properties', Array.isArray(query.properties) ? 'array' : typeof query.properties, 'object',
+                'Copy the properties object from the example query template: { "ExampleQuery": true, "QueryAttributes": { "IsMultiResource": true } }.');
+            return;
+        }
+        
+        const checkFlag = (value, location) => {
+            const name = location.split('.').pop();
+            if (value !== undefined && typeof value !== 'boolean') {
+                invalidMetadata(`${name} must be true or false`, location, value, 'boolean',
+                    typeof value === 'string' && ['true', 'false'].includes(value.toLowerCase())
+                        ? `Remove the quotes: "${name}": ${value.toLowerCase()}.`
+                        : `Set ${name} to true or false.`);
+            }
+        };
+        checkFlag(query.properties.ExampleQuery, 'properties.ExampleQuery');
+        
+        const attributes = query.properties.QueryAttributes;
+        if (attributes !== undefined && !isPlainObject(attributes)) {
+            invalidMetadata('QueryAttributes must be an object', 'properties.QueryAttributes',
+                Array.isArray(attributes) ? 'array' : typeof attributes, 'object',
+                'Write QueryAttributes as an object, e.g. "QueryAttributes": { "IsMultiResource": true }.');
+        } else if (attributes !== undefined) {
+            checkFlag(attributes.IsMultiResource, 'properties.QueryAttributes.IsMultiResource');
+        }
+    }
+    
+    /**
+     * Query ids must be unique within each manifest and across the manifests of
+     * the package; GUIDs are compared without regard to case
+     */
+    function checkQueryIds(pkg, report) {
+        const manifestQueries = pkg.manifests.map(entry => ({
+            entry: entry,
+            queries: Array.isArray(entry.parsed.queries) ? entry.parsed.queries : []
+        }));
+        
+        manifestQueries.forEach(({ entry, queries }) => {
+            const otherIds = {};
+            manifestQueries.forEach(other => {
+                if (other.entry === entry) {
+                    return;
+                }
+                other.queries.forEach(query => {
+                    if (query && typeof query.id === 'string') {
+                        otherIds[query.id.toLowerCase()] = otherIds[query.id.toLowerCase()] || other.entry.path;
+                    }
+                });
+            });
+            
+            const seen = {};
+            queries.forEach((query, index) => {
+                if (!query || typeof query.id !== 'string' || query.id.trim() === '') {
+                    return;
+                }
+                const key = query.id.toLowerCase();
+                let duplicateOf = null;
+                if (seen[key] !== undefined) {
+                    duplicateOf = `query ${seen[key] + 1} of this manifest`;
+                } else {
+                    seen[key] = index;
+                    duplicateOf = otherIds[key] ? `a query in ${otherIds[key]}` : null;
+                }
+                if (!duplicateOf) {
+                    return;
+                }
+                report(entry.file, {
+                    message: `Query '${query.displayName || index + 1}': id '${query.id}' is also used by ${duplicateOf}`,
+                    type: 'duplicate_query_id',
+                    ruleId: 'LAS-QRY-014',
+                    field: 'id',
+                    location: `queries[${index}].id`,
+                    currentValue: query.id,
+                    severity: 'error',
+                    suggestion: 'Give every query its own newly generated GUID. The id tracks the query across releases, so keep the id on the query that was published first.'
+                });
+            });
+        });
+    }
+    
+    registerPackageRule('query-ids', checkQueryIds);
+
+    // ===== FILE REFERENCES =====
+    
+    const SAMPLE_FOLDERS = {
+        input: { field: 'sampleInputRecordsFilePath', defaultPath: 'SampleInputRecords/' },
+        output: { field: 'sampleOutputRecordsFilePath', defaultPath: 'SampleOutputRecords/' }
+    };
+    
+    /**
+     * Sample record folder of an NGSchema manifest - the declared path, or the
+     * default folder next to the manifest
+     * 
+     * @param {string} kind - 'input' or 'output'
+     * @returns {Object} Resolution from package-paths.js
+     */
+    function resolveSampleFolder(files, manifestFile, manifest, kind) {
+        const folder = SAMPLE_FOLDERS[kind];
+        const declaredPath = manifest[folder.field];
+        return packagePaths.resolvePath(files, manifestFile,
+            typeof declaredPath === 'string' && declaredPath.trim() !== '' ? declaredPath : folder.defaultPath,
+            { kind: 'fileOrFolder', extensions: ['.json'] });
+    }
+    
+    /**
+     * Sample record file of one table. The first path that is declared is used:
+     * 1. the table's own sampleInputRecordsFilePath / sampleOutputRecordsFilePath
+     * 2. the manifest's root field of the same name
+     * 3. the default folder (SampleInputRecords/, SampleOutputRecords/)
+     * A table path naming a file is that table's sample; otherwise the sample is
+     * <tableName>Sample.json in the folder.
+     * 
+     * @param {string} kind - 'input' or 'output'
+     * @returns {Object} { file, fileName, path, source: 'table' | 'root' | 'default', resolution }
+     */
+    function resolveTableSample(files, manifestFile, manifest, table, kind) {
+        const folder = SAMPLE_FOLDERS[kind];
+        const fileName = `${getTableName(table)}Sample.json`;
+        const tablePath = table[folder.field];
+        
+        if (typeof tablePath === 'string' && tablePath.trim() !== '') {
+            const resolution = packagePaths.resolvePath(files, manifestFile, tablePath, { kind: 'fileOrFolder', extensions: ['.json'] });
+            const file = resolution.status !== 'resolved' ? null
+                : resolution.file || resolution.files.find(candidate => candidate.name === fileName) || null;
+            return { file: file, fileName: resolution.file ? resolution.file.name : fileName, path: tablePath, source: 'table', resolution: resolution };
+        }
+        
+        const resolution = resolveSampleFolder(files, manifestFile, manifest, kind);
+        const rootPath = manifest[folder.field];
+        const isDeclared = typeof rootPath === 'string' && rootPath.trim() !== '';
+        return {
+            file: findSampleFile(files, resolution, fileName) || null,
+            fileName: fileName,
+            path: isDeclared ? rootPath : folder.defaultPath,
+            source: isDeclared ? 'root' : 'default',
+            resolution: resolution
+        };
+    }
+    
+    /**
+     * Where a table's sample path came from, for finding messages
+     */
+    function describeSampleSource(sample, kind) {
+        const field = SAMPLE_FOLDERS[kind].field;
+        if (sample.source === 'table') {
+            return `'${sample.path}' (the table's ${field})`;
+        }
+        if (sample.source === 'root') {
+            return `'${sample.path}' (the manifest's ${field})`;
+        }
+        return `'${sample.path}' (the default folder)`;
+    }
+    
+    const SAMPLE_DESCRIPTIONS = {
+        input: {
+            records: 'the input format for this table',
+            schema: "the input schema defined in the table's 'input' field"
+        },
+        output: {
+            records: 'the expected output format after transformation for this table',
+            schema: "the output schema defined in the table's 'columns' field"
+        }
+    };
+    
+    /**
+     * Report a table whose sample file is not where resolveTableSample looked -
+     * an error when the path is declared, a warning for the default folder
+     */
+    function reportMissingTableSample(sample, kind, tableName, tableIndex, manifestFile, report) {
+        if (sample.source === 'table' && sample.resolution.status !== 'resolved') {
+            // The declared path itself is reported by validateManifestPaths
+            return;
+        }
+        
+        const isDeclared = sample.source !== 'default';
+        const where = describeSampleSource(sample, kind);
+        const descriptions = SAMPLE_DESCRIPTIONS[kind];
+        const finding = {
+            message: isDeclared
+                ? `Table '${tableName}' requires sample ${kind} file '${sample.fileName}' in declared path ${where} but file is missing`
+                : `Table '${tableName}' is missing sample ${kind} file '${sample.fileName}' in ${where}`,
+            type: `missing_sample_${kind}`,
+            ruleId: kind === 'input' ? (isDeclared ? 'LAS-SMP-005' : 'LAS-SMP-004') : (isDeclared ? 'LAS-SMP-007' : 'LAS-SMP-006'),
+            field: kind === 'input' ? 'sampleInputFile' : 'sampleOutputFile',
+            location: sample.source === 'table' ? `tables[${tableIndex}].${SAMPLE_FOLDERS[kind].field}` : `tables[${tableIndex}]`,
+            tableName: tableName,
+            expectedFileName: sample.fileName,
+            severity: isDeclared ? 'error' : 'warning',
+            declaredPath: isDeclared ? sample.path : null,
+            samplePath: sample.path,
+            samplePathSource: sample.source,
+            suggestion: `Create a sample ${kind} file named '${sample.fileName}' in ${where}. This file is required for schema correctness validation and E2E testing. The file should contain sample JSON data that represents ${descriptions.records}.`,
+            microsoftRequirement: `Each table in the manifest must have a corresponding sample ${kind} file following the naming convention <tableName>Sample.json for schema validation and E2E testing.`,
+            fixInstructions: `1. Create a file named '${sample.fileName}' in ${where}\n2. Add sample JSON data that represents ${descriptions.records}\n3. Ensure the sample data matches ${descriptions.schema}` +
+                (kind === 'output' ? '\n4. Do not include system-generated fields like _ResourceId, _SubscriptionId, TenantId, or Type' : '')
+        };
+        
+        report(manifestFile, finding);
+    }
+    
+    /**
+     * Look up the sample input and output file of every table of every NGSchema
+     * manifest (see resolveTableSample)
+     */
+    function checkTableSamples(pkg, report) {
+        pkg.manifests.forEach(entry => {
+            if (Array.isArray(entry.parsed.tables) && entry.parsed.tables.length > 0) {
+                validateTableSamples(entry.parsed, entry.file, pkg, report);
+            }
+        });
+    }
+    
+    registerPackageRule('table-samples', checkTableSamples);
+    
+    function validateTableSamples(manifest, manifestFile, pkg, report) {
+        // Declared paths that do not resolve are reported by validateManifestPaths
+        const sampleOutputPath = manifest.sampleOutputRecordsFilePath || 'SampleOutputRecords/';
+        const sampleOutputFolder = resolveSampleFolder(pkg.files, manifestFile, manifest, 'output');
+        
+        // Check if there are any sample output files at all
+        const hasSampleOutputFiles = pkg.files.some(sampleFile =>
+            packagePaths.isInResolvedPath(sampleFile, sampleOutputFolder) && sampleFile.name.endsWith('.json'));
+        const hasTableOutputPaths = manifest.tables.some(table => table && table.sampleOutputRecordsFilePath !== undefined);
+        
+        // If no sample output files exist at all, give one general warning
+        if (!hasSampleOutputFiles && !manifest.sampleOutputRecordsFilePath && !hasTableOutputPaths) {
+            report(manifestFile, {
+                message: `No sample output files found in ${sampleOutputPath} folder`,
+                type: 'missing_sample_output_folder',
+                ruleId: 'LAS-SMP-003',
+                field: 'sampleOutputFiles',
+                location: 'root',
+                severity: 'warning',
+                suggestion: `Create the ${sampleOutputPath} folder and add sample output files for your tables. Each table should have a corresponding sample output file named <tableName>Sample.json.`,
+                microsoftRequirement: `Sample output files are required for schema validation and E2E testing.`,
+                fixInstructions: `1. Create the ${sampleOutputPath} folder\n2. Add sample output files for each table following the naming convention <tableName>Sample.json\n3. Ensure the sample data matches the output schema defined in each table's 'columns' field`
+            });
+        }
+        
+        manifest.tables.forEach((table, tableIndex) => {
+            const tableName = getTableName(table);
+            if (!tableName) {
+                return;
+            }
+            
+            const sampleInput = resolveTableSample(pkg.files, manifestFile, manifest, table, 'input');
+            if (!sampleInput.file) {
+                reportMissingTableSample(sampleInput, 'input', tableName, tableIndex, manifestFile, report);
+            }
+            
+            // Only check individual table sample output files if there are sample output files present
+            // OR if the path is explicitly declared on the table or in the manifest
+            const sampleOutput = resolveTableSample(pkg.files, manifestFile, manifest, table, 'output');
+            if (!sampleOutput.file && (hasSampleOutputFiles || sampleOutput.source !== 'default')) {
+                reportMissingTableSample(sampleOutput, 'output', tableName, tableIndex, manifestFile, report);
+            }
+        });
+    }
+    
+    /**
+     * Resolve the paths of every NGSchema and transform manifest of the package
+     */
+    function checkManifestPaths(pkg, report) {
+        pkg.manifests.forEach(entry => validateManifestPaths(entry.parsed, entry.file, pkg, report));
+        pkg.transforms.forEach(entry => validateTransformManifestPaths(entry.parsed, entry.file, pkg, report));
+    }
+    
+    registerPackageRule('manifest-paths', checkManifestPaths);
+    
+    /**
+     * Resolve every path of an NGSchema manifest relative to the manifest's folder
+     */
+    function validateManifestPaths(manifest, manifestFile, pkg, report) {
+        const references = [];
+        
+        if (Array.isArray(manifest.tables)) {
+            manifest.tables.forEach((table, tableIndex) => {
+                if (table && table.transformFilePath !== undefined) {
+                    references.push({
+                        label: `Table '${getTableDisplayName(table, tableIndex)}'`,
+                        field: 'transformFilePath',
+                        location: `tables[${tableIndex}].transformFilePath`,
+                        value: table.transformFilePath,
+                        expect: { extensions: ['.kql'] },
+                        missingRuleId: 'LAS-TRN-001',
+                        missingType: 'missing_transformation_file',
+                        tableName: table.name
+                    });
+                }
+                Object.keys(SAMPLE_FOLDERS).forEach(kind => {
+                    const field = SAMPLE_FOLDERS[kind].field;
+                    if (table && table[field] !== undefined) {
+                        references.push({
+                            label: `Table '${getTableDisplayName(table, tableIndex)}'`,
+                            field: field,
+                            location: `tables[${tableIndex}].${field}`,
+                            value: table[field],
+                            expect: { kind: 'fileOrFolder', extensions: ['.json'] },
+                            missingRuleId: 'LAS-SMP-002',
+                            missingType: 'missing_declared_path',
+                            tableName: table.name
+                        });
+                    }
+                });
+            });
+        }
+        
+        ['functions', 'queries'].forEach(section => {
+            if (!Array.isArray(manifest[section])) {
+                return;
+            }
+            manifest[section].forEach((item, index) => {
+                if (item && typeof item === 'object' && item.bodyFilePath !== undefined) {
+                    references.push({
+                        label: section === 'functions'
+                            ? `Function '${item.name || index + 1}'`
+                            : `Query '${item.displayName || index + 1}'`,
+                        field: 'bodyFilePath',
+                        location: `${section}[${index}].bodyFilePath`,
+                        value: item.bodyFilePath,
+                        expect: { extensions: ['.kql'] }
+                    });
+                }
+            });
+        });
+        
+        Object.keys(SAMPLE_FOLDERS).forEach(kind => {
+            const field = SAMPLE_FOLDERS[kind].field;
+            if (manifest[field] !== undefined) {
+                references.push({
+                    label: 'Manifest',
+                    field: field,
+                    location: `root.${field}`,
+                    value: manifest[field],
+                    expect: { kind: 'fileOrFolder', extensions: ['.json'] },
+                    missingRuleId: 'LAS-SMP-002',
+                    missingType: 'missing_declared_path'
+                });
+            }
+        });
+        
+        references.forEach(reference => {
+            reportPathResolution(packagePaths.resolvePath(pkg.files, manifestFile, reference.value, reference.expect), reference, manifestFile, report);
+        });
+    }
+    
+    /**
+     * Resolve the KQL and sample files a transform manifest points at
+     */
+    function validateTransformManifestPaths(manifest, manifestFile, pkg, report) {
+        ['kqlFilePath', 'sampleInputRecordsFilePath', 'sampleOutputRecordsFilePath', 'inputFilePath'].forEach(field => {
+            if (typeof manifest[field] !== 'string' || manifest[field].trim() === '') {
+                return;
+            }
+            const extension = manifestRules.RULES.transformManifest.properties[field].extension;
+            const reference = {
+                label: 'Transform manifest',
+                field: field,
+                location: `root.${field}`,
+                value: manifest[field],
+                expect: { extensions: [extension] }
+            };
+            reportPathResolution(packagePaths.resolvePath(pkg.files, manifestFile, manifest[field], reference.expect), reference, manifestFile, report);
+        });
+    }
+    
+    /**
+     * Turn a path resolution that failed into an error on the manifest
+     */
+    function reportPathResolution(resolution, reference, manifestFile, report) {
+        const manifestFolder = packagePaths.getFolder(packagePaths.getFilePath(manifestFile));
+        const where = manifestFolder ? `relative to '${manifestFolder}'` : 'relative to the manifest';
+        const finding = {
+            field: reference.field,
+            location: reference.location,
+            currentValue: reference.value,
+            resolvedPath: resolution.path,
+            severity: 'error'
+        };
+        if (reference.tableName) {
+            finding.tableName = reference.tableName;
+        }
+        
+        switch (resolution.status) {
+            case 'missing':
+                Object.assign(finding, {
+                    message: `${reference.label}: ${reference.field} '${reference.value}' does not exist in the package (looked for '${resolution.path}')`,
+                    type: reference.missingType || 'unresolved_path',
+                    ruleId: reference.missingRuleId || 'LAS-PTH-001',
+                    suggestion: `Add the ${resolution.expectedKind} to the package, or correct the path. Paths are ${where}, the folder holding the manifest.`
+                });
+                break;
+            case 'case_mismatch': {
+                const actualPath = resolution.actualPath.startsWith(manifestFolder)
+                    ? resolution.actualPath.slice(manifestFolder.length)
+                    : resolution.actualPath;
+                Object.assign(finding, {
+                    message: `${reference.label}: ${reference.field} '${reference.value}' differs in case from '${actualPath}'`,
+                    type: 'path_case_mismatch',
+                    ruleId: 'LAS-PTH-002',
+                    expectedValue: actualPath,
+                    suggestion: `Change the path to '${actualPath}'. Deployment resolves paths case-sensitively, even where your file system does not.`
+                });
+                break;
+            }
+            case 'outside_package':
+                Object.assign(finding, {
+                    message: `${reference.label}: ${reference.field} '${reference.value}' points outside the package`,
+                    type: 'path_outside_package',
+                    ruleId: 'LAS-PTH-003',
+                    suggestion: `Move the file into the package and reference it with a path ${where}, without a leading '/', a drive letter or '..' above the manifest's folder.`
+                });
+                break;
+            case 'wrong_kind':
+                Object.assign(finding, {
+                    message: `${reference.label}: ${reference.field} '${reference.value}' points at ${resolution.files ? 'a folder' : 'a file of another type'}, expected a ${resolution.expectedKind}`,
+                    type: 'wrong_file_kind',
+                    ruleId: 'LAS-PTH-004',
+                    expectedValue: resolution.expectedKind,
+                    suggestion: `Point ${reference.field} at the ${resolution.expectedKind} itself.`
+                });
+                break;
+            default:
+                // Resolved, or not a path at all (reported by the type checks)
+                return;
+        }
+        
+        report(manifestFile, finding);
+    }
+    
+    // ===== REFERENCE GRAPH =====
+    
+    // Files a package may hold without a manifest referencing them
+    const UNREFERENCED_PACKAGE_FILES = ['owners.txt', ruleConfig.CONFIG_FILE_NAME];
+    
+    const ORPHAN_KINDS = {
+        kql: { ruleId: 'LAS-PKG-007', noun: 'KQL file' },
+        sample: { ruleId: 'LAS-PKG-008', noun: 'sample file' },
+        extra: { ruleId: 'LAS-PKG-009', noun: 'other file' }
+    };
+    
+    /**
+     * Which package entries each manifest references
+     * NGSchema manifests reference their transformations, functions, queries and
+     * the <tableName>Sample.json files of their sample folders; transform manifests
+     * their KQL, sample and input files. Only paths that resolve, possibly in
+     * another case, are edges.
+     * 
+     * @returns {Object} { references, unreadFolders } - references maps a package path
+     *   to the { manifest, field } entries pointing at it; unreadFolders are the folders
+     *   of manifests that could not be parsed
+     */
+    function buildReferenceGraph(files) {
+        const references = {};
+        const unreadFolders = [];
+        
+        const addEdge = (file, manifestFile, field) => {
+            const path = packagePaths.getFilePath(file);
+            references[path] = references[path] || [];
+            references[path].push({ manifest: packagePaths.getFilePath(manifestFile), field: field });
+        };
+        const addPath = (manifestFile, referencedPath, field, extensions) => {
+            // A path in the wrong case is reported on the manifest, not as an orphan
+            const resolution = packagePaths.resolvePath(files, manifestFile, referencedPath, { extensions: extensions });
+            if ((resolution.status === 'resolved' || resolution.status === 'case_mismatch') && resolution.file) {
+                addEdge(resolution.file, manifestFile, field);
+            }
+        };
+        
+        files.forEach(manifestFile => {
+            const fileType = getFileType(manifestFile.name);
+            if (fileType !== 'manifest' && fileType !== 'transform-manifest') {
+                return;
+            }
+            
+            let manifest;
+            try {
+                manifest = JSON.parse(String(manifestFile.content || '').replace(/^\uFEFF/, ''));
+            } catch (error) {
+                // Reported by the manifest validators
+                manifest = null;
+            }
+            if (!manifest || typeof manifest !== 'object') {
+                unreadFolders.push(packagePaths.getFolder(packagePaths.getFilePath(manifestFile)));
+                return;
+            }
+            
+            if (fileType === 'transform-manifest') {
+                ['kqlFilePath', 'sampleInputRecordsFilePath', 'sampleOutputRecordsFilePath', 'inputFilePath'].forEach(field => {
+                    addPath(manifestFile, manifest[field], field, [manifestRules.RULES.transformManifest.properties[field].extension]);
+                });
+                return;
+            }
+            
+            const tables = Array.isArray(manifest.tables) ? manifest.tables.filter(table => table && typeof table === 'object') : [];
+            tables.forEach(table => addPath(manifestFile, table.transformFilePath, 'transformFilePath', ['.kql']));
+            ['functions', 'queries'].forEach(section => {
+                if (Array.isArray(manifest[section])) {
+                    manifest[section].forEach(item => addPath(manifestFile, item && item.bodyFilePath, `${section}.bodyFilePath`, ['.kql']));
+                }
+            });
+            
+            Object.keys(SAMPLE_FOLDERS).forEach(kind => {
+                const field = SAMPLE_FOLDERS[kind].field;
+                const folder = resolveSampleFolder(files, manifestFile, manifest, kind);
+                if (folder.status === 'resolved' && folder.file) {
+                    addEdge(folder.file, manifestFile, field);
+                }
+                tables.filter(table => getTableName(table)).forEach(table => {
+                    const sample = resolveTableSample(files, manifestFile, manifest, table, kind);
+                    if (sample.file) {
+                        addEdge(sample.file, manifestFile, sample.source === 'table' ? `tables.${field}` : field);
+                    } else if (sample.source === 'table') {
+                        addPath(manifestFile, table[field], `tables.${field}`, ['.json']);
+                    }
+                });
+            });
+        });
+        
+        return { references: references, unreadFolders: unreadFolders };
+    }
+    
+    /**
+     * Warn about KQL, sample and other files that no manifest references,
+     * one warning per folder and kind of file
+     */
+    function checkOrphanedFiles(files, folderAnalysis) {
+        const manifestFiles = files.filter(file => ['manifest', 'transform-manifest'].includes(getFileType(file.name)));
+        if (manifestFiles.length === 0) {
+            // Without a manifest every file would be reported (see LAS-PKG-002)
+            return;
+        }
+        
+        const graph = buildReferenceGraph(files);
+        const orphansByGroup = {};
+        
+        files.forEach(file => {
+            const path = packagePaths.getFilePath(file);
+            const fileType = getFileType(file.name);
+            if (graph.references[path] || fileType === 'manifest' || fileType === 'transform-manifest' ||
+                UNREFERENCED_PACKAGE_FILES.includes(file.name.toLowerCase()) ||
+                graph.unreadFolders.some(folder => path.startsWith(folder))) {
+                return;
+            }
+            
+            const folder = packagePaths.getFolder(path);
+            let kind = 'extra';
+            if (fileType === 'kql') {
+                kind = 'kql';
+            } else if (fileType === 'json' && (/(^|\/)Sample(Input|Output)Records\//i.test(folder) || /Sample\.json$/i.test(file.name))) {
+                kind = 'sample';
+            }
+            
+            const key = `${folder}|${kind}`;
+            orphansByGroup[key] = orphansByGroup[key] || { folder: folder, kind: kind, files: [] };
+            orphansByGroup[key].files.push(file.name);
+        });
+        
+        Object.keys(orphansByGroup).sort().forEach(key => {
+            const group = orphansByGroup[key];
+            const orphanKind = ORPHAN_KINDS[group.kind];
+            const count = group.files.length;
+            const folderName = group.folder || 'the package root';
+            const suggestions = {
+                kql: 'Reference each file from a manifest (transformFilePath, a function or query bodyFilePath, or a transform manifest kqlFilePath), or delete it.',
+                sample: 'Name sample files <tableName>Sample.json after a table of the manifest, point a sample record path at them, or delete them.',
+                extra: 'Remove files that are not part of the onboarding package, or reference them from a manifest.'
+            };
+            
+            folderAnalysis.warnings.push({
+                message: `${count} ${orphanKind.noun}${count === 1 ? '' : 's'} in ${folderName} ${count === 1 ? 'is' : 'are'} not referenced by any manifest: ${group.files.join(', ')}`,
+                type: 'orphaned_file',
+                ruleId: orphanKind.ruleId,
+                field: 'folder_structure',
+                location: 'root',
+                folder: group.folder,
+                files: group.files,
+                currentValue: group.files.join(', '),
+                severity: 'warning',
+                suggestion: suggestions[group.kind]
+            });
+        });
+    }
+    
+    // ===== MULTI-TRANSFORM PACKAGES =====
+    
+    /**
+     * Input declaration of a transform: the input file of a new dataTypeId
+     * (inputFilePath), else the input of the package table with that dataTypeId
+     */
+    function getTransformInputColumns(transform, transformFile, pkg) {
+        const resolution = packagePaths.resolvePath(pkg.files, transformFile, transform.inputFilePath, { extensions: ['.json'] });
+        // An input file that does not parse is reported on the file itself
+        const inputEntry = resolution.status === 'resolved' ? pkg.getEntry(resolution.file) : null;
+        const input = inputEntry ? inputEntry.parsed : undefined;
+        if (input && Array.isArray(input.input)) {
+            return input.input;
+        }
+        const owner = pkg.tables.find(entry => entry.table.dataTypeId === transform.dataTypeId);
+        return owner && Array.isArray(owner.table.input) ? owner.table.input : null;
+    }
+    
+    /**
+     * Output schema of a KQL transformation, or null when it does not resolve or parse
+     */
+    function deriveTransformOutput(pkg, manifestFile, kqlPath, inputColumns) {
+        const kqlEntry = resolveKqlEntry(pkg, manifestFile, kqlPath);
+        if (!kqlEntry) {
+            return null;
+        }
+        return {
+            schema: extractTransformationOutputSchema(kqlEntry.parsed, inputColumns),
+            kqlFile: kqlEntry.file
+        };
+    }
+    
+    /**
+     * Check every transform manifest of the package against its related table
+     */
+    function checkTransformTargets(pkg, report) {
+        pkg.transforms.forEach(entry => validateTransformTarget(entry.parsed, entry.file, pkg, report));
+    }
+    
+    registerPackageRule('transform-targets', checkTransformTargets);
+    
+    /**
+     * Check a transform manifest against the rest of the package: its relatedTable is a
+     * table of an NGSchema manifest, its dataTypeId and name do not collide with other
+     * senders to that table, its KQL output fits the table's columns, and no other
+     * sender writes the same column with another type or spelling
+     */
+    function validateTransformTarget(manifest, manifestFile, pkg, report) {
+        const relatedTable = manifest.relatedTable;
+        if (typeof relatedTable !== 'string' || relatedTable.trim() === '') {
+            return;
+        }
+        
+        const packageTables = pkg.tables;
+        if (packageTables.length === 0) {
+            // A transform uploaded without its team folder cannot be cross-checked
+            report(manifestFile, {
+                message: `This transform sends data to the "${relatedTable}" table`,
+                type: 'info',
+                ruleId: 'LAS-TRF-008',
+                field: 'relatedTable',
+                location: 'root.relatedTable',
+                currentValue: relatedTable,
+                severity: 'info',
+                suggestion: 'Upload the team folder with the NGSchema manifest that defines this table to check the relatedTable, dataTypeId and transformation output against it.'
+            });
+            return;
+        }
+        
+        const target = packageTables.find(entry => entry.name === relatedTable);
+        if (!target) {
+            const differentCase = packageTables.find(entry => entry.name.toLowerCase() === relatedTable.toLowerCase());
+            report(manifestFile, {
+                message: `relatedTable '${relatedTable}' is not defined by any NGSchema manifest in the package`,
+                type: 'unknown_related_table',
+                ruleId: 'LAS-TRF-009',
+                field: 'relatedTable',
+                location: 'root.relatedTable',
+                currentValue: relatedTable,
+                expectedValue: differentCase ? differentCase.name : packageTables.map(entry => entry.name).join(', '),
+                severity: 'error',
+                suggestion: differentCase
+                    ? `Change '${relatedTable}' to '${differentCase.name}' (table names are case-sensitive).`
+                    : 'Transform manifests must reference a relatedTable defined in the NGSchema manifest. Add the table there first, or correct the name.'
+            });
+            return;
+        }
+        
+        const manifestPath = packagePaths.getFilePath(manifestFile);
+        const otherTransforms = pkg.transforms.filter(transform => transform.path !== manifestPath);
+        checkTransformIdentity(manifest, manifestFile, target, packageTables, otherTransforms, report);
+        
+        // Output of this transform against the table's columns
+        const output = deriveTransformOutput(pkg, manifestFile, manifest.kqlFilePath,
+            getTransformInputColumns(manifest, manifestFile, pkg));
+        if (!output) {
+            // Missing files and KQL syntax errors are reported elsewhere
+            return;
+        }
+        const kqlPath = packagePaths.getFilePath(output.kqlFile);
+        const positionOf = start => {
+            const position = kqlParser.getLineColumn(output.kqlFile.content, start);
+            return `${kqlPath}, line ${position.line}, column ${position.column}`;
+        };
+        
+        // A table has several senders, so a transform does not have to fill every column
+        compareSchemas(output.schema, target.table.columns, relatedTable)
+            .filter(mismatch => mismatch.kind !== 'missing')
+            .forEach(mismatch => {
+                report(manifestFile, {
+                    message: `Transform output does not fit table '${relatedTable}' - ${mismatch.message}`,
+                    type: 'transform_output_mismatch',
+                    ruleId: 'LAS-TRF-012',
+                    field: 'kqlFilePath',
+                    location: 'root.kqlFilePath',
+                    tableName: relatedTable,
+                    columnName: mismatch.columnName,
+                    mismatchKind: mismatch.kind,
+                    transformLocation: mismatch.start !== null && mismatch.start !== undefined ? positionOf(mismatch.start) : kqlPath,
+                    currentValue: mismatch.transformationValue,
+                    expectedValue: mismatch.expectedValue,
+                    severity: 'error',
+                    suggestion: `${mismatch.suggestion} The columns of '${relatedTable}' are defined in ${packagePaths.getFilePath(target.manifestFile)}.`
+                });
+            });
+        
+        // Other senders to the same table: the table's own transformation and other transforms
+        const senders = [];
+        if (typeof target.table.transformFilePath === 'string') {
+            senders.push({
+                label: `the transformation of table '${relatedTable}'`,
+                output: deriveTransformOutput(pkg, target.manifestFile, target.table.transformFilePath, target.table.input)
+            });
+        }
+        otherTransforms.filter(transform => transform.parsed.relatedTable === relatedTable).forEach(transform => {
+            senders.push({
+                label: `transform manifest ${transform.path}`,
+                output: deriveTransformOutput(pkg, transform.file, transform.parsed.kqlFilePath,
+                    getTransformInputColumns(transform.parsed, transform.file, pkg))
+            });
+        });
+        
+        const reported = new Set();
+        senders.filter(sender => sender.output).forEach(sender => {
+            output.schema.columns.forEach(column => {
+                const other = sender.output.schema.columns.find(candidate => candidate.name.toLowerCase() === column.name.toLowerCase());
+                if (!other || reported.has(column.name.toLowerCase())) {
+                    return;
+                }
+                let conflict = null;
+                if (other.name !== column.name) {
+                    conflict = `writes '${column.name}' while ${sender.label} writes '${other.name}'`;
+                } else if (isKnownOutputType(column.type) && isKnownOutputType(other.type) && column.type !== other.type) {
+                    conflict = `writes '${column.name}' as ${column.type} while ${sender.label} writes it as ${other.type}`;
+                }
+                if (!conflict) {
+                    return;
+                }
+                reported.add(column.name.toLowerCase());
+                report(manifestFile, {
+                    message: `Conflicting schemas for table '${relatedTable}': this transform ${conflict}`,
+                    type: 'conflicting_transform_schema',
+                    ruleId: 'LAS-TRF-013',
+                    field: 'kqlFilePath',
+                    location: 'root.kqlFilePath',
+                    tableName: relatedTable,
+                    columnName: column.name,
+                    transformLocation: positionOf(column.start),
+                    currentValue: `${column.name}: ${column.type}`,
+                    expectedValue: `${other.name}: ${other.type}`,
+                    severity: 'warning',
+                    suggestion: `Every workflow sending data to '${relatedTable}' should write each column with the same name and type. Convert the value explicitly (e.g. to${kqlSchema.toKqlType(findColumnType(target.table.columns, column.name)) || 'string'}()) in both transformations.`
+                });
+            });
+        });
+    }
+    
+    function isKnownOutputType(type) {
+        return typeof type === 'string' && type !== 'dynamic';
+    }
+    
+    function findColumnType(columns, name) {
+        const column = (columns || []).find(candidate => candidate && typeof candidate.name === 'string' && candidate.name.toLowerCase() === name.toLowerCase());
+        return column ? column.type : null;
+    }
+    
+    /**
+     * dataTypeId and name of a transform against the other senders to its table:
+     * one workflow per dataTypeId and table, a new dataTypeId (inputFilePath) unique
+     * in the package, and a transform name unique per related table
+     */
+    function checkTransformIdentity(manifest, manifestFile, target, packageTables, otherTransforms, report) {
+        const relatedTable = target.name;
+        const dataTypeId = manifest.dataTypeId;
+        
+        if (typeof dataTypeId === 'string' && dataTypeId !== '') {
+            let usedBy = null;
+            if (target.table.dataTypeId === dataTypeId) {
+                usedBy = `table '${relatedTable}' itself`;
+            } else {
+                const sameTable = otherTransforms.find(transform =>
+                    transform.parsed.dataTypeId === dataTypeId && transform.parsed.relatedTable === relatedTable);
+                if (sameTable) {
+                    usedBy = `transform manifest ${sameTable.path}, which also sends to '${relatedTable}'`;
+                } else if (manifest.inputFilePath !== undefined) {
+                    // A new dataTypeId must be unique across the repo
+                    const table = packageTables.find(entry => entry.table.dataTypeId === dataTypeId);
+                    const transform = otherTransforms.find(other => other.parsed.dataTypeId === dataTypeId);
+                    usedBy = table
+                        ? `table '${table.name}' in ${packagePaths.getFilePath(table.manifestFile)}`
+                        : transform ? `transform manifest ${transform.path}` : null;
+                }
+            }
+            if (usedBy) {
+                report(manifestFile, {
+                    message: `dataTypeId '${dataTypeId}' is already used by ${usedBy}`,
+                    type: 'duplicate_data_type_id',
+                    ruleId: 'LAS-TRF-010',
+                    field: 'dataTypeId',
+                    location: 'root.dataTypeId',
+                    currentValue: dataTypeId,
+                    severity: 'error',
+                    suggestion: manifest.inputFilePath !== undefined
+                        ? 'A transform that onboards a new dataTypeId (inputFilePath) needs a dataTypeId no table or transform in the repo uses.'
+                        : `Each workflow (dataTypeId) sends data to '${relatedTable}' once. Remove this transform manifest or point it at another dataTypeId.`
+                });
+            }
+        }
+        
+        if (typeof manifest.name === 'string' && manifest.name !== '') {
+            const sameName = otherTransforms.find(transform =>
+                transform.parsed.name === manifest.name && transform.parsed.relatedTable === relatedTable);
+            if (sameName) {
+                report(manifestFile, {
+                    message: `Transform name '${manifest.name}' is also used by ${sameName.path} for table '${relatedTable}'`,
+                    type: 'duplicate_transform_name',
+                    ruleId: 'LAS-TRF-011',
+                    field: 'name',
+                    location: 'root.name',
+                    currentValue: manifest.name,
+                    severity: 'error',
+                    suggestion: `Transform manifest names must be unique in the scope of the related table. Rename one of them, e.g. after its workflow.`
+                });
+            }
+        }
+    }
+    
+    /**
+     * dataTypeIds of the tables of each NGSchema manifest must not repeat within the
+     * package - each data type sends its data to one table
+     */
+    function checkTableDataTypeIds(pkg, report) {
+        pkg.manifests.forEach(entry => {
+            if (Array.isArray(entry.parsed.tables)) {
+                validateTableDataTypeIds(entry.parsed, entry.file, pkg, report);
+            }
+        });
+    }
+    
+    registerPackageRule('table-data-type-ids', checkTableDataTypeIds);
+    
+    function validateTableDataTypeIds(manifest, manifestFile, pkg, report) {
+        const otherTables = pkg.tables.filter(entry => entry.manifestFile !== manifestFile);
+        const seen = {};
+        
+        manifest.tables.forEach((table, tableIndex) => {
+            if (!table || typeof table.dataTypeId !== 'string' || table.dataTypeId === '') {
+                return;
+            }
+            const dataTypeId = table.dataTypeId;
+            let other = null;
+            if (seen[dataTypeId] !== undefined) {
+                other = `table '${getTableDisplayName(manifest.tables[seen[dataTypeId]], seen[dataTypeId])}' of this manifest`;
+            } else {
+                seen[dataTypeId] = tableIndex;
+                const otherTable = otherTables.find(entry => entry.table.dataTypeId === dataTypeId);
+                other = otherTable ? `table '${otherTable.name}' in ${packagePaths.getFilePath(otherTable.manifestFile)}` : null;
+            }
+            if (!other) {
+                return;
+            }
+            report(manifestFile, {
+                message: `Table '${getTableDisplayName(table, tableIndex)}': dataTypeId '${dataTypeId}' is also used by ${other}`,
+                type: 'duplicate_data_type_id',
+                ruleId: 'LAS-TBL-013',
+                field: 'dataTypeId',
+                location: `tables[${tableIndex}].dataTypeId`,
+                tableName: table.name,
+                currentValue: dataTypeId,
+                severity: 'error',
+                suggestion: 'An NGSchema hosts a single transform per dataTypeId. Give each table its own dataTypeId, and send a data type to further tables with transform manifests.'
+            });
+        });
+    }
+
+    // ===== DEPRECATION =====
+    
+    function isValidDate(text) {
+        if (typeof text !== 'string' || !new RegExp(manifestRules.DATE_PATTERN).test(text)) {
+            return false;
+        }
+        const [year, month, day] = text.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    }
+    
+    /**
+     * Check the deprecation metadata of tables and columns (see the Schema deprecation
+     * guide); KQL that still reads deprecated tables or columns is reported by
+     * checkDeprecatedReferences
+     */
+    function validateDeprecations(manifest, result) {
+        if (!Array.isArray(manifest.tables)) {
+            return;
+        }
+        
+        const tableNames = manifest.tables.map(table => table && table.name).filter(name => typeof name === 'string');
+        
+        manifest.tables.forEach((table, tableIndex) => {
+            if (!table || typeof table !== 'object') {
+                return;
+            }
+            const tableContext = `Table '${getTableDisplayName(table, tableIndex)}'`;
+            const tableLocation = `tables[${tableIndex}]`;
+            
+            if (table.deprecation !== undefined && checkDeprecationMetadata(table.deprecation, table, tableContext, tableLocation, result)) {
+                const replacement = table.deprecation.replacement;
+                const replacementTable = manifest.tables.find(other => other && other.name === replacement);
+                if (replacement === table.name || (replacementTable && replacementTable.deprecation)) {
+                    result.issues.push({
+                        message: `${tableContext}: Replacement '${replacement}' is ${replacement === table.name ? 'the deprecated table itself' : 'deprecated too'}`,
+                        type: 'invalid_deprecation',
+                        ruleId: 'LAS-DEP-003',
+                        field: 'replacement',
+                        location: `${tableLocation}.deprecation.replacement`,
+                        currentValue: replacement,
+                        severity: 'error',
+                        suggestion: 'Name the table users should move to. It must not be deprecated itself.'
+                    });
+                    result.status = 'fail';
+                } else if (!replacementTable) {
+                    result.warnings.push({
+                        message: `${tableContext}: Replacement table '${replacement}' is not a table of this manifest`,
+                        type: 'deprecation_warning',
+                        ruleId: 'LAS-DEP-004',
+                        field: 'replacement',
+                        location: `${tableLocation}.deprecation.replacement`,
+                        currentValue: replacement,
+                        expectedValue: tableNames.filter(name => name !== table.name).join(', ') || 'a table name',
+                        severity: 'warning',
+                        suggestion: `Check the spelling of '${replacement}'. If the replacement ships in another manifest, keep it and make sure that table is released before ${table.deprecation.date}.`
+                    });
+                }
+            }
+            
+            if (!Array.isArray(table.columns)) {
+                return;
+            }
+            
+            table.columns.forEach((column, columnIndex) => {
+                if (!column || typeof column !== 'object' || column.deprecation === undefined) {
+                    return;
+                }
+                const columnContext = `${tableContext}, Column '${getColumnDisplayName(column, columnIndex)}'`;
+                const columnLocation = `${tableLocation}.columns[${columnIndex}]`;
+                
+                if (!checkDeprecationMetadata(column.deprecation, column, columnContext, columnLocation, result)) {
+                    return;
+                }
+                
+                const replacement = column.deprecation.replacement;
+                const replacementColumn = table.columns.find(other => other && other.name === replacement);
+                if (!replacementColumn || replacementColumn === column || replacementColumn.deprecation) {
+                    result.issues.push({
+                        message: `${columnContext}: Replacement column '${replacement}' ${!replacementColumn ? 'does not exist in the table' : replacementColumn === column ? 'is the deprecated column itself' : 'is deprecated too'}`,
+                        type: 'invalid_deprecation',
+                        ruleId: 'LAS-DEP-003',
+                        field: 'replacement',
+                        location: `${columnLocation}.deprecation.replacement`,
+                        currentValue: replacement,
+                        severity: 'error',
+                        suggestion: 'Name the column of the same table that users should read instead, and add it to the table if it is new.'
+                    });
+                    result.status = 'fail';
+                }
+                
+                if (column.isDefaultDisplay === true) {
+                    result.issues.push({
+                        message: `${columnContext}: Deprecated column is shown by default (isDefaultDisplay is true)`,
+                        type: 'invalid_deprecation',
+                        ruleId: 'LAS-DEP-005',
+                        field: 'isDefaultDisplay',
+                        location: `${columnLocation}.isDefaultDisplay`,
+                        currentValue: true,
+                        expectedValue: false,
+                        severity: 'error',
+                        suggestion: `Set isDefaultDisplay to false (or remove it) so the portal stops showing the column, and show '${replacement}' instead.`
+                    });
+                    result.status = 'fail';
+                }
+            });
+        });
+    }
+    
+    /**
+     * Whether a deprecation object is complete enough for the cross-checks: an
+     * object with every required field (see checkDeprecationMetadata)
+     */
+    function isCompleteDeprecation(deprecation) {
+        return Boolean(deprecation) && typeof deprecation === 'object' && !Array.isArray(deprecation) &&
+            manifestRules.RULES.deprecation.required.every(field => typeof deprecation[field] === 'string' && deprecation[field].trim() !== '');
+    }
+    
+    /**
+     * Deprecated tables and columns of a manifest, by name
+     * 
+     * @returns {Object} { tables: { tableName: table }, columns: { tableName: { columnName: column } } }
+     */
+    function collectDeprecations(manifest) {
+        const deprecated = { tables: {}, columns: {} };
+        (Array.isArray(manifest.tables) ? manifest.tables : []).forEach(table => {
+            if (!table || typeof table !== 'object') {
+                return;
+            }
+            if (table.deprecation !== undefined && isCompleteDeprecation(table.deprecation)) {
+                deprecated.tables[table.name] = table;
+            }
+            if (typeof table.name !== 'string' || !Array.isArray(table.columns)) {
+                return;
+            }
+            table.columns.forEach(column => {
+                if (column && typeof column === 'object' && typeof column.name === 'string' && isCompleteDeprecation(column.deprecation)) {
+                    deprecated.columns[table.name] = deprecated.columns[table.name] || {};
+                    deprecated.columns[table.name][column.name] = column;
+                }
+            });
+        });
+        return deprecated;
+    }
+    
+    /**
+     * Shape, date and description prefix of one deprecation object
+     * 
+     * @returns {boolean} Whether the metadata is complete enough for the cross-checks
+     */
+    function checkDeprecationMetadata(deprecation, item, context, location, result) {
+        if (!deprecation || typeof deprecation !== 'object' || Array.isArray(deprecation)) {
+            result.issues.push({
+                message: `${context}: deprecation must be an object with a date and a replacement`,
+                type: 'invalid_deprecation',
+                ruleId: 'LAS-DEP-001',
+                field: 'deprecation',
+                location: `${location}.deprecation`,
+                currentValue: Array.isArray(deprecation) ? 'array' : typeof deprecation,
+                expectedValue: '{ "date": "YYYY-MM-DD", "replacement": "..." }',
+                severity: 'error',
+                suggestion: 'Describe the deprecation as an object, e.g. { "date": "2025-12-31", "replacement": "NewName" }.'
+            });
+            result.status = 'fail';
+            return false;
+        }
+        
+        manifestRules.RULES.deprecation.required.forEach(field => {
+            if (typeof deprecation[field] !== 'string' || deprecation[field].trim() === '') {
+                result.issues.push({
+                    message: `${context}: Deprecation is missing its ${field}`,
+                    type: 'invalid_deprecation',
+                    ruleId: 'LAS-DEP-001',
+                    field: field,
+                    location: `${location}.deprecation`,
+                    severity: 'error',
+                    suggestion: field === 'date'
+                        ? 'Add the date ingestion stops, e.g. "date": "2025-12-31", so customers know when to move.'
+                        : 'Add the table or column customers should use instead, e.g. "replacement": "NewName".'
+                });
+                result.status = 'fail';
+            }
+        });
+        
+        if (typeof deprecation.date === 'string' && deprecation.date.trim() !== '' && !isValidDate(deprecation.date)) {
+            result.issues.push({
+                message: `${context}: Deprecation date '${deprecation.date}' is not a valid date`,
+                type: 'invalid_deprecation',
+                ruleId: 'LAS-DEP-002',
+                field: 'date',
+                location: `${location}.deprecation.date`,
+                currentValue: deprecation.date,
+                expectedValue: 'YYYY-MM-DD',
+                severity: 'error',
+                suggestion: 'Write the date as YYYY-MM-DD, e.g. "2025-12-31".'
+            });
+            result.status = 'fail';
+        }
+        
+        const prefix = manifestRules.DEPRECATED_PREFIX;
+        if (typeof item.description === 'string' && !item.description.startsWith(prefix)) {
+            result.warnings.push({
+                message: `${context}: Description of a deprecated item should start with "${prefix}"`,
+                type: 'deprecation_warning',
+                ruleId: 'LAS-DEP-006',
+                field: 'description',
+                location: `${location}.description`,
+                currentValue: item.description,
+                expectedValue: `${prefix} ${item.description}`,
+                severity: 'warning',
+                suggestion: `Prefix the description with "${prefix}" so portal users see that it is no longer supported.`
+            });
+        }
+        
+        return isCompleteDeprecation(deprecation);
+    }
+    
+    /**
+     * Warn about function, query and transformation KQL of every NGSchema manifest that
+     * reads deprecated tables, or deprecated columns of the tables it reads
+     */
+    function checkDeprecatedReferences(pkg, report) {
+        pkg.manifests.forEach(entry => {
+            if (!Array.isArray(entry.parsed.tables)) {
+                return;
+            }
+            const deprecated = collectDeprecations(entry.parsed);
+            if (Object.keys(deprecated.tables).length > 0 || Object.keys(deprecated.columns).length > 0) {
+                validateDeprecatedReferences(entry.parsed, entry.file, pkg, deprecated, report);
+            }
+        });
+    }
+    
+    registerPackageRule('deprecated-references', checkDeprecatedReferences);
+    
+    function validateDeprecatedReferences(manifest, manifestFile, pkg, deprecated, report) {
+        const deprecatedTables = deprecated.tables;
+        const deprecatedColumns = deprecated.columns;
+        const sources = [];
+        
+        manifest.tables.forEach((table, tableIndex) => {
+            if (table && typeof table.name === 'string') {
+                sources.push({ kind: 'Transformation', label: `Table '${table.name}'`, path: table.transformFilePath, location: `tables[${tableIndex}].transformFilePath`, ownTable: table.name });
+            }
+        });
+        ['functions', 'queries'].forEach(section => {
+            if (!Array.isArray(manifest[section])) {
+                return;
+            }
+            manifest[section].forEach((item, index) => {
+                if (item && typeof item === 'object') {
+                    const label = section === 'functions'
+                        ? `Function '${item.name || index + 1}'`
+                        : `Query '${item.displayName || index + 1}'`;
+                    sources.push({ kind: section === 'functions' ? 'Function' : 'Query', label: label, path: item.bodyFilePath, location: `${section}[${index}].bodyFilePath`, ownTable: null });
+                }
+            });
+        });
+        
+        sources.forEach(source => {
+            const kqlEntry = resolveKqlEntry(pkg, manifestFile, source.path);
+            if (!kqlEntry) {
+                return;
+            }
+            const kqlFile = kqlEntry.file;
+            const references = kqlReferences.collectReferences(kqlEntry.parsed);
+            const readTables = source.ownTable ? [source.ownTable] : kqlReferences.getNames(references.tables);
+            const kqlPath = kqlFile.relativePath || kqlFile.name;
+            const positionOf = reference => {
+                const position = kqlParser.getLineColumn(kqlFile.content, reference.start);
+                return `${kqlPath}, line ${position.line}, column ${position.column}`;
+            };
+            
+            if (!source.ownTable) {
+                references.tables.filter(reference => deprecatedTables[reference.name]).forEach(reference => {
+                    const deprecation = deprecatedTables[reference.name].deprecation;
+                    report(manifestFile, {
+                        message: `${source.label} reads deprecated table '${reference.name}' (deprecated from ${deprecation.date})`,
+                        type: 'deprecated_reference',
+                        ruleId: 'LAS-DEP-008',
+                        field: 'bodyFilePath',
+                        location: source.location,
+                        tableName: reference.name,
+                        kqlLocation: positionOf(reference),
+                        currentValue: reference.name,
+                        expectedValue: deprecation.replacement,
+                        severity: 'warning',
+                        suggestion: `Change ${kqlPath} to read '${deprecation.replacement}' instead of '${reference.name}'.`
+                    });
+                });
+            }
+            
+            // A transformation that still writes the column keeps it alive as well
+            const columnReferences = source.ownTable ? references.columns.concat(references.outputs) : references.columns;
+            const reported = new Set();
+            columnReferences.forEach(reference => {
+                const tableName = readTables.find(name => deprecatedColumns[name] && deprecatedColumns[name][reference.name]);
+                if (!tableName || reported.has(`${tableName}.${reference.name}`)) {
+                    return;
+                }
+                reported.add(`${tableName}.${reference.name}`);
+                const deprecation = deprecatedColumns[tableName][reference.name].deprecation;
+                report(manifestFile, {
+                    message: `${source.label}: ${source.kind} KQL still uses deprecated column '${reference.name}' of table '${tableName}' (deprecated from ${deprecation.date})`,
+                    type: 'deprecated_reference',
+                    ruleId: 'LAS-DEP-007',
+                    field: source.location.split('.').pop(),
+                    location: source.location,
+                    tableName: tableName,
+                    columnName: reference.name,
+                    kqlLocation: positionOf(reference),
+                    currentValue: reference.name,
+                    expectedValue: deprecation.replacement,
+                    severity: 'warning',
+                    suggestion: source.ownTable
+                        ? `Populate '${deprecation.replacement}' in ${kqlPath} and stop writing '${reference.name}' once ingestion for it ends on ${deprecation.date}.`
+                        : `Change ${kqlPath} to use '${deprecation.replacement}' instead of '${reference.name}'.`
+                });
+            });
+        });
+    }
+    
+    /**
+     * Suggestion and fix text for each kql-parser.js error code
+     */
+    const KQL_SYNTAX_GUIDANCE = {
+        unbalanced_bracket: {
+            suggestion: 'Close every "(", "[" and "{" with the matching bracket, and remove stray closing brackets.',
+            fixInstructions: 'Go to the reported position and add or remove the bracket. Brackets inside string literals are ignored.'
+        },
+        unterminated_string: {
+            suggestion: 'Add the missing closing quote. Strings cannot span lines; use ```...``` for multi-line text.',
+            fixInstructions: 'Close the string with the same quote character it starts with. Escape quotes inside the string with a backslash, or use a verbatim string (@"...").'
+        },
+        unknown_operator: {
+            suggestion: 'Use a KQL tabular operator after the pipe (where, extend, project, parse, mv-expand, summarize, ...). Operator names are case-sensitive.',
+            fixInstructions: 'Correct the spelling of the operator, e.g. "| where" instead of "| wher" or "| Where".'
+        },
+        misplaced_pipe: {
+            suggestion: 'Every "|" must sit between an input (e.g. "source") and a query operator.',
+            fixInstructions: 'Remove leading, doubled or trailing pipes. Transformations start with "source | ...".'
+        },
+        unknown_type: {
+            suggestion: 'Use a KQL scalar type: bool, int, long, real, decimal, string, datetime, timespan, guid or dynamic.',
+            fixInstructions: 'Fix the type name in the parse pattern, typeof() or parameter declaration.'
+        },
+        unexpected_character: {
+            suggestion: 'Remove the character - it is not part of KQL syntax outside of string literals.',
+            fixInstructions: 'Delete the character or move it inside a string literal.'
+        },
+        unexpected_end: {
+            suggestion: 'The query stops in the middle of an expression or operator.',
+            fixInstructions: 'Complete the expression at the end of the query, or remove the unfinished operator.'
+        },
+        unexpected_token: {
+            suggestion: 'Check the statement around the reported position for a missing comma, operator or semicolon.',
+            fixInstructions: 'Separate list items with commas, compare with "==" (not "="), and end each "let" statement with ";".'
+        }
+    };
+    
+    /**
+     * KQL files used as ingestion-time transformations: tables[].transformFilePath of
+     * NGSchema manifests and kqlFilePath of transform manifests, resolved against the
+     * manifest's folder
+     */
+    function getTransformationFiles(pkg) {
+        const transformationFiles = new Set();
+        const add = (manifestFile, referencedPath) => {
+            const resolution = packagePaths.resolvePath(pkg.files, manifestFile, referencedPath, { extensions: ['.kql'] });
+            if (resolution.status === 'resolved') {
+                transformationFiles.add(resolution.file);
+            }
+        };
+        
+        pkg.manifests.forEach(entry => {
+            (Array.isArray(entry.parsed.tables) ? entry.parsed.tables : []).forEach(table => add(entry.file, table && table.transformFilePath));
+        });
+        pkg.transforms.forEach(entry => add(entry.file, entry.parsed.kqlFilePath));
+        
+        return transformationFiles;
+    }
+    
+    /**
+     * A KQL file follows the recommended layout for transformations (KQL/Transforms/
+     * folder, *Transform.kql name); files a manifest references as a transformation
+     * are picked up by checkReferencedTransformations
+     */
+    function isTransformationFile(file) {
+        const filePath = packagePaths.getFilePath(file);
+        return /(^|\/)Transforms?\//i.test(filePath) || /Transform\.kql$/i.test(file.name);
+    }
+    
+    /**
+     * Check the ingestion-time limitations of KQL files that a manifest uses as a
+     * transformation but that are not laid out as one (see isTransformationFile)
+     */
+    function checkReferencedTransformations(pkg, report) {
+        getTransformationFiles(pkg).forEach(file => {
+            const kqlEntry = pkg.getKql(file);
+            if (!kqlEntry || kqlEntry.hasSyntaxErrors || kqlEntry.result.isTransformation) {
+                return;
+            }
+            kqlEntry.result.isTransformation = true;
+            
+            const limitations = { issues: [], warnings: [] };
+            checkTransformationLimitations(kqlEntry.parsed, file.content, limitations);
+            [...limitations.issues, ...limitations.warnings].forEach(finding => report(file, finding));
+        });
+    }
+    
+    registerPackageRule('referenced-transformations', checkReferencedTransformations);
+    
+    function validateKQLFile(file, result) {
+        const content = file.content;
+        
+        // Store original content for drill-down
+        result.originalContent = content;
+        
+        // Enhanced error handling for undefined content
+        if (content === undefined || content === null) {
+            result.status = 'fail';
+            result.issues.push({
+                message: 'Invalid KQL file: Cannot read file content (content is undefined)',
+                type: 'undefined_content_error',
+                ruleId: 'LAS-ENG-001',
+                field: 'file_content',
+                location: 'entire_file',
+                severity: 'error',
+                currentValue: 'undefined',
+                expectedValue: 'valid KQL content',
+                suggestion: 'Ensure the KQL file contains valid text content. The file may be corrupted or empty.',
+                microsoftRequirement: 'KQL files must contain valid Kusto Query Language syntax for data transformation.',
+                fixInstructions: 'Check that the file is not corrupted and contains valid KQL syntax. Re-upload the file if necessary.'
+            });
+            return result;
+        }
+        
+        // Basic KQL syntax validation
+        if (content.trim() === '') {
+            result.issues.push({
+                message: 'KQL file is empty',
+                type: 'empty_file_error',
+                ruleId: 'LAS-KQL-001',
+                field: 'file_content',
+                location: 'entire_file',
+                severity: 'error',
+                currentValue: 'empty file',
+                expectedValue: 'valid KQL content',
+                suggestion: 'Add KQL syntax to the file. Include transformation logic, queries, or function definitions.',
+                microsoftRequirement: 'KQL files must contain valid Kusto Query Language syntax for data transformation.',
+                fixInstructions: 'Add proper KQL syntax such as: let, extend, project, where, summarize, join, or union statements.'
+            });
+            result.status = 'fail';
+        }
+        
+        try {
+            const parsed = kqlParser.parse(content);
+            const lines = content.split('\n');
+            result.parsedContent = parsed.ast;
+            
+            parsed.errors.forEach(syntaxError => {
+                const guidance = KQL_SYNTAX_GUIDANCE[syntaxError.code] || KQL_SYNTAX_GUIDANCE.unexpected_token;
+                result.issues.push({
+                    message: `KQL syntax error at line ${syntaxError.line}, column ${syntaxError.column}: ${syntaxError.message}` +
+                        (syntaxError.hidesLaterErrors ? ' - syntax errors after it, if any, are reported once it is fixed' : ''),
+                    type: 'kql_syntax_error',
+                    ruleId: 'LAS-KQL-002',
+                    field: 'file_content',
+                    location: `line ${syntaxError.line}, column ${syntaxError.column}`,
+                    severity: 'error',
+                    lineNumber: syntaxError.line,
+                    column: syntaxError.column,
+                    endLineNumber: syntaxError.endLine,
+                    endColumn: syntaxError.endColumn,
+                    syntaxErrorCode: syntaxError.code,
+                    currentValue: (lines[syntaxError.line - 1] || '').trim(),
+                    suggestion: guidance.suggestion,
+                    microsoftRequirement: 'KQL files must contain valid Kusto Query Language syntax for Azure Log Analytics data transformation.',
+                    fixInstructions: guidance.fixInstructions
+                });
+            });
+            
+            // Ingestion-time limitations only apply to transformations, and only to KQL that parses
+            // (transformations named by a manifest: checkReferencedTransformations)
+            if (parsed.errors.length === 0 && isTransformationFile(file)) {
+                result.isTransformation = true;
+                checkTransformationLimitations(parsed.ast, content, result);
+            }
+            
+            if (parsed.errors.length > 0) {
+                result.status = 'fail';
+            } else if (content.trim() !== '' && parsed.ast.statements.length === 0) {
+                result.warnings.push({
+                    message: 'KQL file contains only comments and no query',
+                    type: 'missing_kql_syntax_warning',
+                    ruleId: 'LAS-KQL-003',
+                    field: 'file_content',
+                    location: 'entire_file',
+                    severity: 'warning',
+                    suggestion: 'Add the KQL statement this file is meant to hold, e.g. "source | project TimeGenerated, ...".',
+                    microsoftRequirement: 'KQL files should contain valid Kusto Query Language syntax for Azure Log Analytics data transformation.'
+                });
+            }
+            
+        } catch (error) {
+            result.status = 'fail';
+            result.issues.push({
+                message: `Invalid KQL file: Error processing content - ${error.message}`,
+                type: 'content_processing_error',
+                ruleId: 'LAS-ENG-001',
+                field: 'file_content',
+                location: 'entire_file',
+                severity: 'error',
+                currentValue: typeof content,
+                expectedValue: 'string',
+                suggestion: 'Ensure the KQL file contains valid text content. The file may be corrupted or contain invalid characters.',
+                microsoftRequirement: 'KQL files must contain valid Kusto Query Language syntax as plain text.',
+                fixInstructions: 'Check the file encoding and ensure it contains valid text. Re-create the file if necessary with proper KQL syntax.',
+                errorDetails: `JavaScript error: ${error.message}`
+            });
+        }
+        
+        return result;
+    }
+
+    function checkTransformationLimitations(ast, content, result) {
+        const lines = content.split('\n');
+        
+        kqlLimitations.checkTransformation(ast).forEach(finding => {
+            const limitation = kqlLimitations.LIMITATIONS[finding.limitation];
+            const start = kqlParser.getLineColumn(content, finding.start);
+            const end = kqlParser.getLineColumn(content, finding.end);
+            const item = {
+                message: `Transformation limitation at line ${start.line}, column ${start.column}: ${finding.message}`,
+                type: 'kql_transformation_limitation',
+                ruleId: limitation.ruleId,
+                field: 'file_content',
+                location: `line ${start.line}, column ${start.column}`,
+                severity: finding.severity,
+                lineNumber: start.line,
+                column: start.column,
+                endLineNumber: end.line,
+                endColumn: end.column,
+                limitation: finding.limitation,
+                offendingToken: finding.token,
+                currentValue: (lines[start.line - 1] || '').trim(),
+                suggestion: finding.suggestion,
+                microsoftRequirement: `${limitation.title}. ${limitation.description}`,
+                documentationUrl: limitation.url,
+                documentationReference: `${kqlLimitations.LIMITATIONS_DOCUMENT} - ${limitation.section}`,
+                fixInstructions: `1. Go to line ${start.line}, column ${start.column} ('${finding.token}')\n2. ${finding.suggestion}\n3. Re-validate the transformation`
+            };
+            
+            if (finding.severity === 'error') {
+                result.issues.push(item);
+                result.status = 'fail';
+            } else {
+                result.warnings.push(item);
+            }
+        });
+    }
+
+    function validateJSONFile(file, result) {
+        const content = file.content;
+        
+        // Store original content for drill-down
+        result.originalContent = content;
+        
+        // Enhanced error handling for undefined file name
+        if (!file || !file.name || typeof file.name !== 'string') {
+            result.status = 'fail';
+            result.issues.push({
+                message: 'Invalid JSON file: File name is undefined or invalid',
+                type: 'undefined_filename_error',
+                ruleId: 'LAS-ENG-001',
+                field: 'file_name',
+                location: 'file_metadata',
+                severity: 'error',
+                currentValue: file ? (file.name ? typeof file.name : 'undefined') : 'null',
+                expectedValue: 'valid filename string',
+                suggestion: 'Ensure the file has a valid name. The file object may be corrupted.',
+                microsoftRequirement: 'All files must have valid names for Azure Log Analytics validation.',
+                fixInstructions: 'Re-upload the file or check that the file is not corrupted.'
+            });
+            return result;
+        }
+        
+        try {
+            const json = JSON.parse(content);
+            result.parsedContent = json;
+            
+            // Enhanced error handling for file.name.toLowerCase()
+            let fileName;
+            try {
+                fileName = file.name.toLowerCase();
+            } catch (error) {
+                result.status = 'fail';
+                result.issues.push({
+                    message: `Invalid JSON file: Error processing filename - ${error.message}`,
+                    type: 'filename_processing_error',
+                    ruleId: 'LAS-ENG-001',
+                    field: 'file_name',
+                    location: 'file_metadata',
+                    severity: 'error',
+                    currentValue: file.name,
+                    expectedValue: 'valid filename string',
+                    suggestion: 'Ensure the file has a valid name that can be processed. The filename may contain invalid characters.',
+                    microsoftRequirement: 'File names must be valid strings for Azure Log Analytics processing.',
+                    fixInstructions: 'Rename the file with a valid filename and re-upload.',
+                    errorDetails: `JavaScript error: ${error.message}`
+                });
+                return result;
+            }
+            
+            // Determine file type based on filename patterns
+            const isSampleFile = fileName.includes('sample') || fileName.includes('input') || fileName.includes('output');
+            const isInputSample = fileName.includes('input') || fileName.includes('sampleinput');
+            const isOutputSample = fileName.includes('output') || fileName.includes('sampleoutput');
+            
+            // Check if it's an array (required for sample data)
+            if (!Array.isArray(json)) {
+                const fileTypeContext = isSampleFile ? 
+                    (isInputSample ? 'sample input records file' : 
+                     isOutputSample ? 'sample output records file' : 'sample data file') : 
+                    'JSON data file';
+                
+                result.issues.push({
+                    message: `JSON file must contain an array of sample records`,
+                    type: 'invalid_json_structure',
+                    ruleId: 'LAS-SMP-008',
+                    field: 'file_content',
+                    location: 'entire_file',
+                    currentValue: Array.isArray(json) ? 'array' : (typeof json === 'object' ? 'object' : typeof json),
+                    expectedValue: 'array',
+                    severity: 'error',
+                    fileType: fileTypeContext,
+                    suggestion: `According to Microsoft Azure Log Analytics documentation, ${fileTypeContext} must contain a JSON array of log records. Wrap your JSON object in square brackets to create an array, or add multiple sample records for better validation coverage.`,
+                    microsoftRequirement: 'Your sample file should contain JSON list of message objects. If the file contains a single log entry, it should be framed as a list with a single item.',
+                    fixInstructions: isSampleFile ? 
+                        'Convert your JSON object to an array by wrapping it in square brackets []. This ensures proper validation and compatibility with Azure Log Analytics ingestion pipeline.' :
+                        'Ensure your JSON file contains an array structure for proper data processing.',
+                    examples: {
+                        incorrect: typeof json === 'object' ? JSON.stringify(json, null, 2) : String(json),
+                        correct: typeof json === 'object' ? JSON.stringify([json], null, 2) : `[${String(json)}]`
+                    }
+                });
+                result.status = 'fail';
+            } else if (json.length === 0) {
+                result.warnings.push({
+                    message: 'JSON array is empty - no sample records provided',
+                    type: 'empty_sample_data',
+                    ruleId: 'LAS-SMP-009',
+                    field: 'file_content',
+                    location: 'entire_file',
+                    currentValue: '0 records',
+                    severity: 'warning',
+                    fileType: isSampleFile ? 'sample data file' : 'JSON data file',
+                    suggestion: 'Add at least one sample record to the array. Multiple entries are recommended if your log entries vary by data they provide, to cover possible variations.',
+                    microsoftRequirement: 'At least one log message is required per file, but multiple entries could be present.'
+                });
+            } else {
+                // Additional validation for sample files
+                if (isSampleFile) {
+                    // Check if records look like proper log entries
+                    const hasValidRecords = json.every(record => 
+                        typeof record === 'object' && record !== null && !Array.isArray(record)
+                    );
+                    
+                    if (!hasValidRecords) {
+                        result.warnings.push({
+                            message: 'Some array elements are not valid log record objects',
+                            type: 'invalid_record_structure',
+                            ruleId: 'LAS-SMP-010',
+                            field: 'array_elements',
+                            location: 'array_content',
+                            severity: 'warning',
+                            fileType: fileTypeContext,
+                            suggestion: 'Each element in the array should be a JSON object representing a log record. Ensure all elements are properly formatted log entries.',
+                            microsoftRequirement: 'Each array element should represent a complete log entry payload.'
+                        });
+                    }
+                    
+                    // Check for TimeGenerated field in output samples (recommended)
+                    if (isOutputSample) {
+                        const hasTimeGenerated = json.some(record => 
+                            record && typeof record === 'object' && 'TimeGenerated' in record
+                        );
+                        
+                        if (!hasTimeGenerated) {
+                            result.warnings.push({
+                                message: 'Output sample records should include TimeGenerated field',
+                                type: 'missing_timegenerated',
+                                ruleId: 'LAS-SMP-011',
+                                field: 'TimeGenerated',
+                                location: 'sample_records',
+                                severity: 'warning',
+                                fileType: 'sample output records file',
+                                suggestion: 'Output sample records should include the TimeGenerated field as it is required for all Log Analytics tables. This helps validate the complete transformation output.',
+                                microsoftRequirement: 'TimeGenerated column is required for all Log Analytics tables and must map to the $.time JSON path in Shoebox.'
+                            });
+                        }
+                    }
+                }
+            }
+            
+        } catch (error) {
+            result.status = 'fail';
+            result.issues.push({
+                message: 'Invalid JSON format: ' + error.message,
+                type: 'json_syntax_error',
+                ruleId: 'LAS-JSN-001',
+                field: 'file',
+                location: 'entire_file',
+                severity: 'error',
+                suggestion: 'Fix the JSON syntax errors in the file. Common issues include missing commas, unmatched brackets, or invalid characters. Use a JSON validator to identify and fix syntax problems.',
+                fixInstructions: 'Check for missing commas, unmatched brackets, invalid escape sequences, or trailing commas which are not allowed in JSON.'
+            });
+        }
+        
+        return result;
+    }
+
+    // ===== PROJECT CONFIGURATION =====
+
+    function validateConfigFile(file, result) {
+        const content = file.content;
+        result.originalContent = content;
+
+        try {
+            result.parsedContent = JSON.parse(content);
+        } catch (error) {
+            result.status = 'fail';
+            result.issues.push({
+                message: 'Invalid JSON format: ' + error.message,
+                type: 'json_syntax_error',
+                ruleId: 'LAS-JSN-001',
+                field: 'file',
+                location: 'entire_file',
+                severity: 'error',
+                suggestion: `Fix the JSON syntax of ${ruleConfig.CONFIG_FILE_NAME}. Until then no rule settings or suppressions are applied.`
+            });
+            return result;
+        }
+
+        ruleConfig.parseConfig(content).problems.forEach(problem => {
+            result.issues.push({
+                message: problem.message,
+                type: 'rule_config_error',
+                ruleId: 'LAS-CFG-001',
+                field: problem.field,
+                location: problem.location,
+                severity: 'error',
+                currentValue: problem.currentValue,
+                suggestion: 'Invalid entries are ignored. Rule settings are "off", "warning" or "error"; every suppression needs a rule, a path and a justification.'
+            });
+        });
+
+        if (result.issues.length > 0) {
+            result.status = 'fail';
+        }
+
+        return result;
+    }
+
+    /**
+     * Apply the package's .lasvalidator.json to validation results
+     * Rule settings and suppressions apply to every result but the configuration
+     * file's own; suppressions that matched no finding are reported on it as
+     * warnings so stale entries get cleaned up.
+     *
+     * @param {Object[]} results - Validation results, modified in place
+     * @param {Object[]} files - Package entries (see createPackage)
+     * @returns {Object[]} The same results
+     */
+    function applyRuleConfiguration(results, files) {
+        const configFile = ruleConfig.findConfigFile(files);
+        if (!configFile) {
+            return results;
+        }
+
+        const configPath = configFile.relativePath || configFile.name;
+        const configResult = results.find(r => r.type === 'config' && (r.relativePath || r.filename) === configPath);
+        const config = ruleConfig.parseConfig(configFile.content).config;
+        const outcome = ruleConfig.applyConfig(results.filter(r => r !== configResult), config);
+
+        if (configResult) {
+            config.suppressions
+                .filter(suppression => !outcome.usedSuppressions.includes(suppression.index))
+                .forEach(suppression => {
+                    configResult.warnings.push({
+                        message: `Suppression of ${suppression.rule} at ${suppression.path} did not match any finding`,
+                        type: 'unused_suppression',
+                        ruleId: 'LAS-CFG-002',
+                        field: 'suppressions',
+                        location: `suppressions[${suppression.index}]`,
+                        severity: 'warning',
+                        suggestion: 'Remove the suppression if the finding was fixed, or correct its rule, file or path.'
+                    });
+                });
+            Object.keys(config.rules)
+                .filter(rule => !ruleCatalog.isKnownRule(rule))
+                .forEach(rule => {
+                    configResult.warnings.push({
+                        message: `Unknown rule "${rule}" - the setting has no effect`,
+                        type: 'unknown_rule',
+                        ruleId: 'LAS-CFG-003',
+                        field: rule,
+                        location: `rules.${rule}`,
+                        severity: 'warning',
+                        currentValue: rule,
+                        suggestion: 'Use a rule ID from the rule catalogue (e.g. LAS-COL-005) or a finding type (e.g. performance_warning).'
+                    });
+                });
+            describeFindings(configResult);
+            attachSourceRanges(configResult, configFile.content);
+        }
+
+        return results;
+    }
+
+    // ===== SCHEMA EVOLUTION =====
+    
+    /**
+     * Compare every manifest of a package with the same manifest of the previous release
+     * Breaking changes are added to the manifest's result; a baseline without a
+     * matching manifest is reported as a warning so a wrong folder is noticed.
+     * 
+     * @param {Object[]} results - Validation results, modified in place
+     * @param {Object[]} files - Package entries (see createPackage)
+     * @param {Object[]} baselineFiles - Package entries of the previous release
+     * @returns {Object[]} The same results
+     */
+    function checkSchemaEvolution(results, files, baselineFiles) {
+        const manifestFiles = files.filter(file => getFileType(file.name) === 'manifest');
+        const baselineManifestFiles = (baselineFiles || []).filter(file => getFileType(file.name) === 'manifest');
+        
+        manifestFiles.forEach(manifestFile => {
+            const manifestPath = manifestFile.relativePath || manifestFile.name;
+            const result = results.find(r => r.type === 'manifest' && (r.relativePath || r.filename) === manifestPath);
+            if (!result || !result.parsedContent) {
+                // Manifests that do not parse are reported as JSON syntax errors
+                return;
+            }
+            
+            const baselineFile = schemaEvolution.findBaselineManifest(manifestFile, manifestFiles, baselineManifestFiles);
+            if (!baselineFile) {
+                result.warnings.push({
+                    message: `No baseline manifest matches ${manifestPath} - breaking changes were not checked`,
+                    type: 'baseline_not_matched',
+                    ruleId: 'LAS-EVO-008',
+                    field: 'baseline',
+                    location: 'entire_file',
+                    severity: 'warning',
+                    suggestion: `Select the folder of the previous release that contains ${manifestFile.name}. Baseline manifests are matched by their path inside the package, then by file name.`
+                });
+                describeFindings(result);
+                return;
+            }
+            
+            const baselinePath = baselineFile.relativePath || baselineFile.name;
+            let baseline;
+            try {
+                baseline = JSON.parse(String(baselineFile.content || '').replace(/^\uFEFF/, ''));
+            } catch (error) {
+                result.warnings.push({
+                    message: `Baseline manifest ${baselinePath} is not valid JSON - breaking changes were not checked`,
+                    type: 'baseline_not_matched',
+                    ruleId: 'LAS-EVO-008',
+                    field: 'baseline',
+                    location: 'entire_file',
+                    severity: 'warning',
+                    suggestion: 'Select a baseline folder whose manifest parses, e.g. a checkout of the last released version.',
+                    errorDetails: error.message
+                });
+                describeFindings(result);
+                return;
+            }
+            
+            schemaEvolution.compareManifests(baseline, result.parsedContent).forEach(change => {
+                result.issues.push({
+                    message: change.message,
+                    type: 'breaking_schema_change',
+                    ruleId: change.ruleId,
+                    field: change.location.split('.').pop(),
+                    location: change.location,
+                    tableName: change.tableName,
+                    columnName: change.columnName,
+                    changeKind: change.kind,
+                    baselineFile: baselinePath,
+                    severity: change.severity,
+                    currentValue: change.currentValue,
+                    expectedValue: change.expectedValue !== undefined ? change.expectedValue : change.baselineValue,
+                    suggestion: change.suggestion
+                });
+                result.status = 'fail';
+            });
+            
+            describeFindings(result);
+            attachSourceRanges(result, manifestFile.content);
+        });
+        
+        return results;
+    }
+    
+    // ===== RULE CATALOGUE =====
+    
+    /**
+     * Give findings without their own microsoftRequirement the one of their rule
+     * 
+     * @param {Object} result - Validation result, modified in place
+     */
+    function describeFindings(result) {
+        [...result.issues, ...result.warnings].forEach(item => {
+            if (typeof item !== 'object' || item === null || item.microsoftRequirement) {
+                return;
+            }
+            const rule = ruleCatalog.getRule(item.ruleId);
+            if (rule) {
+                item.microsoftRequirement = rule.microsoftRequirement;
+            }
+        });
+    }
+    
+    // ===== SOURCE POSITIONS =====
+    
+    // Locations that describe the file as a whole rather than a JSON path
+    const NON_PATH_LOCATIONS = ['entire_file', 'file_metadata', 'array_content', 'sample_records'];
+    
+    /**
+     * Give every finding of a JSON file the source range its location points at
+     * Findings that already carry a position, plain string findings and findings
+     * whose location is not a JSON path are left alone.
+     * 
+     * @param {Object} result - Validation result of the file
+     * @param {string} content - Text of the file
+     */
+    function attachSourceRanges(result, content) {
+        const parsed = jsonParser.parse(content);
+        
+        [...result.issues, ...result.warnings].forEach(item => {
+            if (typeof item !== 'object' || !item || item.lineNumber) {
+                return;
+            }
+            
+            let range = null;
+            if (item.type === 'json_syntax_error') {
+                range = parsed.error && {
+                    line: parsed.error.line,
+                    column: parsed.error.column,
+                    endLine: parsed.error.line,
+                    endColumn: parsed.error.column + 1
+                };
+            } else if (parsed.root && isJsonPathLocation(item.location)) {
+                range = findSourceRange(parsed, item);
+            }
+            
+            if (range) {
+                item.lineNumber = range.line;
+                item.column = range.column;
+                item.endLineNumber = range.endLine;
+                item.endColumn = range.endColumn;
+            }
+        });
+    }
+    
+    function isJsonPathLocation(location) {
+        return typeof location === 'string' && location !== '' &&
+            !NON_PATH_LOCATIONS.includes(location) && !/[\s/]/.test(location);
+    }
+    
+    /**
+     * Range of the JSON a finding is about
+     * Tries the location with the finding's field appended, then the location itself.
+     * A missing field points where it would be inserted; anything else that does not
+     * resolve falls back to the deepest object or array on its path. Findings about
+     * the document as a whole ('root') point at its opening bracket.
+     */
+    function findSourceRange(parsed, item) {
+        let segments = jsonParser.parsePath(item.location);
+        
+        if (item.field && segments[segments.length - 1] !== item.field) {
+            const withField = segments.concat(jsonParser.parsePath(item.field));
+            if (item.type === 'missing_field' || jsonParser.locate(parsed, withField).exact) {
+                segments = withField;
+            }
+        }
+        
+        const range = jsonParser.locate(parsed, segments);
+        if (range.exact && segments.length > 0) {
+            return range;
+        }
+        if (!range.exact && item.type === 'missing_field') {
+            return range;
+        }
+        if (!range.exact && range.resolved > 0) {
+            return jsonParser.locate(parsed, segments.slice(0, range.resolved));
+        }
+        return getDocumentStartRange(parsed);
+    }
+    
+    function getDocumentStartRange(parsed) {
+        const whole = jsonParser.locate(parsed, []);
+        return { line: whole.line, column: whole.column, endLine: whole.line, endColumn: whole.column + 1 };
+    }
+    
+    // ===== SAMPLE RECORDS =====
+    
+    // Inclusive value ranges of the integer column and input types
+    const INTEGER_RANGES = {
+        'tinyint': [-128n, 127n],
+        'sbyte': [-128n, 127n],
+        'byte': [0n, 255n],
+        'smallint': [-32768n, 32767n],
+        'short': [-32768n, 32767n],
+        'ushort': [0n, 65535n],
+        'int': [-2147483648n, 2147483647n],
+        'uint': [0n, 4294967295n],
+        'long': [-9223372036854775808n, 9223372036854775807n],
+        'bigint': [-9223372036854775808n, 9223372036854775807n],
+        'ulong': [0n, 18446744073709551615n]
+    };
+    
+    const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    
+    /**
+     * Check every table's sample input and output file (see resolveTableSample) against
+     * the table's input declaration and columns. A sample file shared by several tables
+     * is checked against the first of them.
+     */
+    function checkSampleRecords(pkg, report) {
+        const checked = { input: new Set(), output: new Set() };
+        
+        pkg.manifests.forEach(entry => {
+            (Array.isArray(entry.parsed.tables) ? entry.parsed.tables : []).forEach(table => {
+                if (!getTableName(table)) {
+                    return;
+                }
+                Object.keys(checked).forEach(kind => {
+                    const sampleFile = resolveTableSample(pkg.files, entry.file, entry.parsed, table, kind).file;
+                    if (!sampleFile || checked[kind].has(sampleFile)) {
+                        return;
+                    }
+                    checked[kind].add(sampleFile);
+                    
+                    // Samples that do not parse, or are not a list of records, are reported by validateJSONFile
+                    const sample = pkg.getEntry(sampleFile);
+                    if (!sample || !Array.isArray(sample.parsed) || sample.parsed.length === 0) {
+                        return;
+                    }
+                    const owner = { manifestFile: entry.file, table: table };
+                    if (kind === 'input') {
+                        validateSampleInputRecords(sampleFile, sample.parsed, owner, report);
+                    } else {
+                        validateSampleOutputRecords(sampleFile, sample.parsed, owner, report);
+                    }
+                });
+            });
+        });
+    }
+    
+    registerPackageRule('sample-records', checkSampleRecords);
+    
+    /**
+     * Check one sample value against a manifest column or input type
+     * null is valid for every type; unknown types accept anything.
+     * 
+     * @returns {string|null} Why the value does not fit the type, or null when it does
+     */
+    function describeSampleValueProblem(value, manifestType) {
+        if (value === null || value === undefined || typeof manifestType !== 'string') {
+            return null;
+        }
+        const type = manifestType.toLowerCase();
+        const isStructured = typeof value === 'object';
+        
+        if (INTEGER_RANGES[type]) {
+            const text = typeof value === 'number' || typeof value === 'string' ? String(value).trim() : '';
+            if (!/^-?\d+$/.test(text) || (typeof value === 'number' && !Number.isInteger(value))) {
+                return `is not an integer`;
+            }
+            const number = BigInt(text);
+            const [min, max] = INTEGER_RANGES[type];
+            if (number < min || number > max) {
+                return `is outside the ${manifestType} range (${min} to ${max})`;
+            }
+            return null;
+        }
+        
+        switch (type) {
+            case 'float':
+            case 'double':
+            case 'real':
+            case 'decimal':
+                if (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)))) {
+                    return null;
+                }
+                return 'is not a number';
+            case 'bool':
+            case 'boolean':
+                if (typeof value === 'boolean' || (typeof value === 'string' && /^(true|false)$/i.test(value))) {
+                    return null;
+                }
+                return 'is not a Bool literal (true or false)';
+            case 'datetime':
+                if (typeof value === 'string' && kqlInterpreter.parseDatetime(value)) {
+                    return null;
+                }
+                return 'is not a parseable DateTime (use ISO 8601, e.g. 2024-01-01T00:00:00Z)';
+            case 'guid':
+                if (typeof value === 'string' && GUID_PATTERN.test(value)) {
+                    return null;
+                }
+                return 'is not a Guid (xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx)';
+            case 'string':
+            case 'binary':
+                return isStructured ? `is a JSON ${Array.isArray(value) ? 'array' : 'object'}, not a ${manifestType}` : null;
+            default:
+                return null;
+        }
+    }
+    
+    function formatSampleValue(value) {
+        const text = JSON.stringify(value);
+        return text.length > 60 ? text.slice(0, 57) + '...' : text;
+    }
+    
+    /**
+     * Walk the object records of a sample file once and collect, per field, whether it is
+     * present or populated, which fields are not declared and which values do not fit
+     * their declared type (one entry per field and problem, with the first offending record)
+     * 
+     * @param {Object<string, Object>} declared - Column or input declarations keyed by name
+     * @param {Function} checkValue - (value, type) => problem description or null
+     */
+    function collectSampleFieldStats(records, declared, checkValue) {
+        const stats = {
+            recordCount: 0,
+            present: {},
+            populated: {},
+            undeclared: {},
+            valueProblems: {}
+        };
+        
+        records.forEach((record, recordIndex) => {
+            if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                // Reported as invalid_record_structure
+                return;
+            }
+            stats.recordCount++;
+            
+            Object.keys(record).forEach(name => {
+                const declaration = declared[name];
+                if (!declaration) {
+                    stats.undeclared[name] = stats.undeclared[name] || { firstIndex: recordIndex, count: 0 };
+                    stats.undeclared[name].count++;
+                    return;
+                }
+                
+                stats.present[name] = true;
+                if (record[name] !== null && record[name] !== undefined) {
+                    stats.populated[name] = true;
+                }
+                
+                const problem = checkValue(record[name], declaration.type);
+                if (problem) {
+                    const key = `${name}\u0000${problem}`;
+                    stats.valueProblems[key] = stats.valueProblems[key] || { name: name, type: declaration.type, problem: problem, firstIndex: recordIndex, firstValue: record[name], count: 0 };
+                    stats.valueProblems[key].count++;
+                }
+            });
+        });
+        
+        return stats;
+    }
+    
+    /**
+     * Check a table's sample output file (see resolveTableSample) against the owning table's
+     * columns: value types, columns the table does not declare, pipeline-added system columns
+     * and declared columns that no record populates
+     */
+    function validateSampleOutputRecords(file, records, owner, report) {
+        if (!Array.isArray(owner.table.columns)) {
+            return;
+        }
+        
+        const tableName = getTableName(owner.table);
+        const manifestPath = owner.manifestFile.relativePath || owner.manifestFile.name;
+        const columns = {};
+        owner.table.columns.forEach(column => {
+            if (column && typeof column.name === 'string') {
+                columns[column.name] = column;
+            }
+        });
+        
+        const stats = collectSampleFieldStats(records, columns, describeSampleValueProblem);
+        
+        if (stats.recordCount === 0) {
+            return;
+        }
+        
+        const baseFinding = {
+            tableName: tableName,
+            manifestFile: manifestPath
+        };
+        
+        Object.keys(stats.valueProblems).forEach(key => {
+            const entry = stats.valueProblems[key];
+            report(file, Object.assign({}, baseFinding, {
+                message: `Column '${entry.name}' (${entry.type}): ${entry.count} of ${stats.recordCount} record(s) hold a value that ${entry.problem} - first at record ${entry.firstIndex}: ${formatSampleValue(entry.firstValue)}`,
+                type: 'sample_value_type_mismatch',
+                ruleId: 'LAS-SMP-012',
+                field: entry.name,
+                location: `[${entry.firstIndex}].${entry.name}`,
+                columnName: entry.name,
+                rowIndex: entry.firstIndex,
+                severity: 'error',
+                currentValue: entry.firstValue,
+                expectedValue: `${entry.type} value`,
+                suggestion: `Correct the '${entry.name}' values in the sample output or the column type of '${entry.name}' in table '${tableName}' of ${manifestPath}.`,
+                microsoftRequirement: 'Sample output records must show the data exactly as it is stored in the table, so every value must fit its column type.'
+            }));
+        });
+        
+        Object.keys(stats.undeclared).forEach(name => {
+            const entry = stats.undeclared[name];
+            const isSystemColumn = PIPELINE_ADDED_COLUMNS.includes(name);
+            
+            report(file, Object.assign({}, baseFinding, {
+                message: isSystemColumn
+                    ? `System column '${name}' appears in ${entry.count} of ${stats.recordCount} record(s) - it is added by the ingestion pipeline and must not be in the sample output`
+                    : `Column '${name}' appears in ${entry.count} of ${stats.recordCount} record(s) but is not a column of table '${tableName}'`,
+                type: isSystemColumn ? 'sample_system_column' : 'sample_unknown_column',
+                ruleId: isSystemColumn ? 'LAS-SMP-014' : 'LAS-SMP-013',
+                field: name,
+                location: `[${entry.firstIndex}].${name}`,
+                columnName: name,
+                rowIndex: entry.firstIndex,
+                severity: 'error',
+                suggestion: isSystemColumn
+                    ? `Remove '${name}' from every record in the sample output.`
+                    : `Remove '${name}' from the sample output, or declare it in the 'columns' of table '${tableName}' if the transformation produces it.`,
+                microsoftRequirement: isSystemColumn
+                    ? 'System columns such as TenantId, _ResourceId and Type are populated by Azure Monitor and are not part of the transformation output.'
+                    : 'Columns missing from the table schema are dropped at ingestion; sample output records may only contain columns of the table.'
+            }));
+        });
+        
+        Object.keys(columns).forEach(name => {
+            if (stats.populated[name]) {
+                return;
+            }
+            report(file, Object.assign({}, baseFinding, {
+                message: `Column '${name}' of table '${tableName}' is missing or null in all ${stats.recordCount} sample output record(s)`,
+                type: 'sample_column_always_missing',
+                ruleId: 'LAS-SMP-015',
+                field: name,
+                location: 'entire_file',
+                columnName: name,
+                severity: 'warning',
+                suggestion: `Add a representative '${name}' value to at least one sample output record, or remove the column from the table if the transformation never populates it.`,
+                microsoftRequirement: 'Sample records should cover the columns the table declares so the schema can be verified end to end.'
+            }));
+        });
+    }
+    
+    /**
+     * Check a table's sample input file (see resolveTableSample) against the owning table's
+     * input declaration: declared fields no record contains, fields the declaration misses
+     * and values that cannot be converted to the declared input type
+     */
+    function validateSampleInputRecords(file, records, owner, report) {
+        if (!Array.isArray(owner.table.input)) {
+            return;
+        }
+        
+        const tableName = getTableName(owner.table);
+        const manifestPath = owner.manifestFile.relativePath || owner.manifestFile.name;
+        const inputFields = {};
+        owner.table.input.forEach(inputField => {
+            if (inputField && typeof inputField.name === 'string') {
+                inputFields[inputField.name] = inputField;
+            }
+        });
+        
+        // Objects and arrays sent to a String input field arrive serialized, so only scalar types are checked
+        const checkInputValue = (value, type) => String(type).toLowerCase() === 'string' ? null : describeSampleValueProblem(value, type);
+        const stats = collectSampleFieldStats(records, inputFields, checkInputValue);
+        
+        if (stats.recordCount === 0) {
+            return;
+        }
+        
+        const baseFinding = {
+            tableName: tableName,
+            manifestFile: manifestPath
+        };
+        
+        Object.keys(stats.valueProblems).forEach(key => {
+            const entry = stats.valueProblems[key];
+            report(file, Object.assign({}, baseFinding, {
+                message: `Input field '${entry.name}' (${entry.type}): ${entry.count} of ${stats.recordCount} record(s) hold a value that ${entry.problem} - first at record ${entry.firstIndex}: ${formatSampleValue(entry.firstValue)}`,
+                type: 'sample_input_type_mismatch',
+                ruleId: 'LAS-SMP-016',
+                field: entry.name,
+                location: `[${entry.firstIndex}].${entry.name}`,
+                columnName: entry.name,
+                rowIndex: entry.firstIndex,
+                severity: 'error',
+                currentValue: entry.firstValue,
+                expectedValue: `${entry.type} value`,
+                suggestion: `Correct the '${entry.name}' values in the sample input or the type of input field '${entry.name}' in table '${tableName}' of ${manifestPath}.`,
+                microsoftRequirement: 'Incoming data is converted to the declared input types before the transformation runs; values that cannot be converted are lost.'
+            }));
+        });
+        
+        Object.keys(stats.undeclared).forEach(name => {
+            const entry = stats.undeclared[name];
+            report(file, Object.assign({}, baseFinding, {
+                message: `Field '${name}' appears in ${entry.count} of ${stats.recordCount} record(s) but is not declared in the 'input' of table '${tableName}'`,
+                type: 'sample_undeclared_input_field',
+                ruleId: 'LAS-SMP-017',
+                field: name,
+                location: `[${entry.firstIndex}].${name}`,
+                columnName: name,
+                rowIndex: entry.firstIndex,
+                severity: 'warning',
+                suggestion: `Declare '${name}' in the 'input' of table '${tableName}' if the transformation needs it; otherwise it is dropped before the transformation runs.`,
+                microsoftRequirement: 'Only fields declared in the input stream are passed to the transformation.'
+            }));
+        });
+        
+        Object.keys(inputFields).forEach(name => {
+            if (stats.present[name]) {
+                return;
+            }
+            report(file, Object.assign({}, baseFinding, {
+                message: `Input field '${name}' of table '${tableName}' is not present in any of the ${stats.recordCount} sample input record(s)`,
+                type: 'sample_input_field_never_present',
+                ruleId: 'LAS-SMP-018',
+                field: name,
+                location: 'entire_file',
+                columnName: name,
+                severity: 'warning',
+                suggestion: `Add '${name}' to the sample input records, or remove it from the 'input' of table '${tableName}' if the source never sends it.`,
+                microsoftRequirement: 'Sample input records should represent the data the source actually sends, covering every declared input field.'
+            }));
+        });
+    }
+    
+    // ===== RESULT SUMMARY =====
+    
+    /**
+     * Totals shared by the web UI summary and the CLI report
+     */
+    function summarizeResults(results) {
+        const totalFiles = results.length;
+        const passedFiles = results.filter(r => r.status === 'pass').length;
+        const failedFiles = results.filter(r => r.status === 'fail').length;
+        const warningFiles = results.filter(r => r.warnings && r.warnings.length > 0).length;
+        
+        const totalIssues = results.reduce((sum, r) => sum + (r.issues ? r.issues.length : 0), 0);
+        const totalWarnings = results.reduce((sum, r) => sum + (r.warnings ? r.warnings.length : 0), 0);
+        const totalSuppressed = results.reduce((sum, r) => sum + (r.suppressed ? r.suppressed.length : 0), 0);
+        
+        return {
+            totalFiles: totalFiles,
+            passedFiles: passedFiles,
+            failedFiles: failedFiles,
+            warningFiles: warningFiles,
+            totalIssues: totalIssues,
+            totalWarnings: totalWarnings,
+            totalSuppressed: totalSuppressed,
+            overallStatus: failedFiles > 0 ? 'fail' : 'pass'
+        };
+    }
+    
+    const ISSUE_CATEGORIES = {
+        'missing_field': 'Missing Required Fields',
+        'invalid_value': 'Invalid Values',
+        'formatting_error': 'Formatting Errors',
+        'incorrect_capitalization': 'Capitalization Issues',
+        'invalid_type': 'Invalid Data Types',
+        'forbidden_system_column': 'Forbidden System Columns',
+        'reserved_column_name': 'Reserved Column Names',
+        'json_syntax_error': 'JSON Syntax Errors',
+        'invalid_json_structure': 'Invalid JSON Structure',
+        'missing_required_column': 'Missing Required Columns',
+        'invalid_column_type': 'Invalid Column Types',
+        'folder_structure': 'Folder Structure Issues',
+        'kql_syntax_error': 'KQL Syntax Errors',
+        'kql_transformation_limitation': 'Transformation Limitations',
+        'transformation_output_mismatch': 'Transformation Output Mismatches',
+        'transformation_runtime_error': 'Transformation Runtime Errors',
+        'sample_value_type_mismatch': 'Sample Value Type Mismatches',
+        'sample_unknown_column': 'Unknown Sample Columns',
+        'sample_system_column': 'System Columns in Samples',
+        'sample_input_type_mismatch': 'Sample Input Type Mismatches',
+        'rule_config_error': 'Rule Configuration Errors',
+        'breaking_schema_change': 'Breaking Schema Changes',
+        'invalid_deprecation': 'Invalid Deprecations',
+        'invalid_function_parameters': 'Invalid Function Parameters',
+        'unknown_related_table': 'Unknown Related Tables',
+        'duplicate_data_type_id': 'Duplicate dataTypeIds',
+        'duplicate_transform_name': 'Duplicate Transform Names',
+        'transform_output_mismatch': 'Transform Output Mismatches',
+        'invalid_query_metadata': 'Invalid Query Metadata',
+        'duplicate_query_id': 'Duplicate Query IDs',
+        'unresolved_path': 'Missing Referenced Files',
+        'missing_transformation_file': 'Missing Referenced Files',
+        'missing_declared_path': 'Missing Referenced Files',
+        'path_case_mismatch': 'File Path Case Mismatches',
+        'path_outside_package': 'Paths Outside the Package',
+        'wrong_file_kind': 'Wrong Referenced File Types',
+        'processing_error': 'Processing Errors',
+        'unknown': 'Other Issues'
+    };
+
+    const WARNING_CATEGORIES = {
+        'performance_warning': 'Performance Warnings',
+        'naming_convention_warning': 'Naming Convention Issues',
+        'info': 'Informational Notes',
+        'missing_timegenerated': 'TimeGenerated Field Issues',
+        'empty_sample_data': 'Sample Data Issues',
+        'invalid_record_structure': 'Record Structure Issues',
+        'missing_kql_syntax_warning': 'KQL Syntax Issues',
+        'kql_transformation_limitation': 'Transformation Limitations',
+        'transformation_not_executed': 'Transformation Sample Checks',
+        'transformation_volatile_columns': 'Transformation Sample Checks',
+        'sample_column_always_missing': 'Sample Column Coverage',
+        'sample_undeclared_input_field': 'Undeclared Sample Input Fields',
+        'sample_input_field_never_present': 'Sample Input Coverage',
+        'unused_suppression': 'Unused Suppressions',
+        'unknown_rule': 'Unknown Rules',
+        'baseline_not_matched': 'Schema Evolution Checks',
+        'deprecation_warning': 'Deprecation Issues',
+        'deprecated_reference': 'Deprecated Table and Column Usage',
+        'unrecognized_file': 'Unrecognized Files',
+        'orphaned_file': 'Unreferenced Files',
+        'unused_function_parameter': 'Unused Function Parameters',
+        'unknown_function_reference': 'Unknown Names in Functions',
+        'unknown_function_column': 'Unknown Function Columns',
+        'query_related_tables_mismatch': 'Query Related Tables',
+        'conflicting_transform_schema': 'Conflicting Transform Schemas',
+        'missing_query_topic': 'Missing Query Topics',
+        'invalid_query_topic': 'Unrecommended Query Topics',
+        'example_query_mismatch': 'Example Query Flags',
+        'alert_query_mismatch': 'Alert Query Rules',
+        'unknown_query_column': 'Unknown Query Columns',
+        'query_column_case_mismatch': 'Query Column Case',
+        'unknown': 'Other Warnings'
+    };
+
+    // A rule whose severity was changed by .lasvalidator.json keeps its category name
+    function getIssueCategoryName(type) {
+        return ISSUE_CATEGORIES[type] || (type !== 'unknown' && WARNING_CATEGORIES[type]) || 'Other Issues';
+    }
+
+    function getWarningCategoryName(type) {
+        return WARNING_CATEGORIES[type] || (type !== 'unknown' && ISSUE_CATEGORIES[type]) || 'Other Warnings';
+    }
+    
+    return {
+        createPackage: createPackage,
+        createPackageFile: createPackageFile,
+        validatePackage: validatePackage,
+        validateFile: validateFile,
+        completePackageValidation: completePackageValidation,
+        validatePackageRules: validatePackageRules,
+        registerPackageRule: registerPackageRule,
+        shouldAnalyzeFolderStructure: shouldAnalyzeFolderStructure,
+        analyzeFolderStructure: analyzeFolderStructure,
+        buildReferenceGraph: buildReferenceGraph,
+        getFileType: getFileType,
+        validateManifestFile: validateManifestFile,
+        validateTransformManifestFile: validateTransformManifestFile,
+        validateKQLFile: validateKQLFile,
+        isTransformationFile: isTransformationFile,
+        validateJSONFile: validateJSONFile,
+        validateConfigFile: validateConfigFile,
+        applyRuleConfiguration: applyRuleConfiguration,
+        checkSchemaEvolution: checkSchemaEvolution,
+        validateTable: validateTable,
+        validateColumn: validateColumn,
+        validateInputField: validateInputField,
+        validateFunction: validateFunction,
+        validateQuery: validateQuery,
+        validateDescription: validateDescription,
+        validateTransformationSchemaMatch: validateTransformationSchemaMatch,
+        extractTransformationOutputSchema: extractTransformationOutputSchema,
+        compareSchemas: compareSchemas,
+        validateTransformationSamples: validateTransformationSamples,
+        compareSampleRecords: compareSampleRecords,
+        validateSampleInputRecords: validateSampleInputRecords,
+        validateSampleOutputRecords: validateSampleOutputRecords,
+        attachSourceRanges: attachSourceRanges,
+        summarizeResults: summarizeResults,
+        getIssueCategoryName: getIssueCategoryName,
+        getWarningCategoryName: getWarningCategoryName
+    };
+}));
@@ -26,7 +26,8 @@
  * 
  * TECHNICAL ARCHITECTURE:
  * 1. File Upload & Processing: Drag-drop, file selection, and folder upload support
- * 2. Validation Engine: Comprehensive rule checking against Microsoft requirements  
+ * 2. Validation Engine: Comprehensive rule checking against Microsoft requirements
+ *    (engine/validator-engine.js - headless, shared with Node.js tooling)
  * 3. Results Display: Interactive accordion UI with detailed error reporting
  * 4. Performance Optimizations: Efficient DOM manipulation and memory management
  * 
@@ -54,12 +55,36 @@
  */
 let uploadedFiles = [];
 
+/** 
+ * @type {File[]} baselineFiles - Package folder of the previous release (optional)
+ * Manifests are compared with it to report breaking schema changes
+ */
+let baselineFiles = [];
+
 /** 
  * @type {Object[]} validationResults - Array of validation results for each processed file
  * Each result contains: filename, type, status, issues[], warnings[], originalContent
  */
 let validationResults = [];
 
+/** 
+ * @type {Object[]} validatedPackage - The package the current results were produced from
+ * Entries: { name, relativePath, content, size } - the autofix works on these contents
+ */
+let validatedPackage = [];
+
+/** 
+ * @type {Object[]} autofixChanges - Changed files of the autofix preview on screen
+ * Entries from LASchemaAutofix.fixPackage(): { path, original, fixed, applied, skipped, diff }
+ */
+let autofixChanges = [];
+
+/** 
+ * @type {AbortController|null} validationAbortController - Cancels the validation in progress
+ * Set while validateFiles() runs; the Cancel button of the progress panel aborts it
+ */
+let validationAbortController = null;
+
 // ===== APPLICATION INITIALIZATION =====
 // This section handles the startup sequence and initial setup of the application
 
@@ -364,6 +389,14 @@ function setupFileInput() {
         folderInput.addEventListener('change', function(e) {
             handleFiles(e.target.files);
         });
+    }
+    
+    const baselineInput = document.getElementById('baselineInput');
+    if (baselineInput) {
+        baselineInput.addEventListener('change', function(e) {
+            setBaselineFiles(e.target.files);
+            baselineInput.value = '';
+        });
     }    // Set up direct button click handlers as backup
     setupFileInputButtons();
 }
@@ -912,6 +945,32 @@ function handleFiles(files) {
     }, 300); // Small delay to ensure file list is rendered
 }
 
+/**
+ * 🔀 BASELINE SELECTION
+ * Remembers the previous release of the package; the next validation compares
+ * each manifest with it and reports removed or renamed columns, narrowed types,
+ * missing artifactVersion bumps and similar breaking changes.
+ */
+function setBaselineFiles(files) {
+    baselineFiles = Array.from(files || []);
+    
+    const info = document.getElementById('baselineInfo');
+    if (!info) {
+        return;
+    }
+    if (baselineFiles.length === 0) {
+        info.innerHTML = '';
+        return;
+    }
+    
+    const firstPath = baselineFiles[0].webkitRelativePath || baselineFiles[0].name;
+    const folderName = firstPath.split('/')[0];
+    info.innerHTML = `
+        Baseline: <strong>${escapeHtml(folderName)}</strong> (${baselineFiles.length} files)
+        <button type="button" class="btn btn-link btn-sm p-0 ms-1 align-baseline" onclick="setBaselineFiles([])" title="Stop comparing with the previous release">remove</button>
+    `;
+}
+
 // Function to clear validation results and reset UI when new files are selected
 function clearValidationResults() {
     // Hide results section
@@ -1052,6 +1111,8 @@ function getFileIcon(filename) {
         return { icon: 'fas fa-exchange-alt', class: 'transform-manifest', type: 'Transform Manifest' };
     } else if (filename.includes('.manifest.json')) {
         return { icon: 'fas fa-file-code', class: 'manifest', type: 'Manifest' };
+    } else if (filename === '.lasvalidator.json') {
+        return { icon: 'fas fa-sliders-h', class: 'json', type: 'Rule Configuration' };
     } else if (extension === 'kql') {
         return { icon: 'fas fa-search', class: 'kql', type: 'KQL' };
     } else if (extension === 'json') {
@@ -1089,7 +1150,8 @@ function disableValidateButton() {
 }
 
 // ===== CORE VALIDATION ENGINE =====
-// This section contains the main validation logic that implements Microsoft's Azure Log Analytics requirements
+// The validation rules themselves live in engine/validator-engine.js (window.LASchemaEngine).
+// This section reads the selected files and hands them to the engine as an in-memory package.
 
 /**
  * Main validation orchestrator function
@@ -1098,10 +1160,11 @@ function disableValidateButton() {
  * VALIDATION PIPELINE:
  * 1. Input validation (ensure files are selected)
  * 2. UI preparation (progress bars, animations)
- * 3. File-by-file validation with real-time progress updates
- * 4. Folder structure analysis (if applicable)
- * 5. Results compilation and presentation
- * 6. Error handling and user feedback
+ * 3. File-by-file validation in a pool of Web Workers, with progress as each file finishes
+ * 4. Package rules that compare the files with each other
+ * 5. Folder structure analysis (if applicable)
+ * 6. Results compilation and presentation
+ * 7. Error handling and user feedback
  * 
  * MICROSOFT COMPLIANCE:
  * - Implements NGSchema v3 validation rules
@@ -1109,7 +1172,8 @@ function disableValidateButton() {
  * - Provides detailed error messages with fix suggestions
  * 
  * TEAM NOTE: This is the main entry point for validation.
- * All validation rules are defined in the individual validator functions below.
+ * All validation rules are defined in engine/validator-engine.js, which has no DOM
+ * dependencies so the same rules can run from Node.js scripts and build pipelines.
  */
 async function validateFiles() {
     
@@ -1122,2616 +1186,674 @@ async function validateFiles() {
     
     // Initialize UI feedback systems
     startValidationAnimation();  // Button animation for user feedback
-    showValidationProgress();    // Progress bar and file counter
+    showValidationProgress();    // Progress bar, file counter and Cancel button
+    
+    validationAbortController = new AbortController();
+    const signal = validationAbortController.signal;
     
     try {
-        // MAIN VALIDATION LOOP
-        // Process each uploaded file individually to provide granular feedback
-        const results = [];
-        for (let i = 0; i < uploadedFiles.length; i++) {
-            // Update UI to show current file being processed
-            updateCurrentFile(i, uploadedFiles[i]);
-            
-            // Update progress bar (percentage based on files processed)
-            updateProgress((i / uploadedFiles.length) * 100);
-            
-            // Validate the current file against Microsoft requirements
-            const result = await validateFile(uploadedFiles[i]);
-            results.push(result);
+        // Read every selected file into an in-memory package for the validation engine
+        const packageFiles = await readPackageFiles(uploadedFiles);
+        
+        // MAIN VALIDATION
+        // Files are validated concurrently in Web Workers (engine/validation-pool.js);
+        // each result arrives as soon as its file is done
+        const results = await LASchemaValidationPool.validateFiles(packageFiles, {
+            signal: signal,
+            onResult: (result, index, completed) => {
+                updateCurrentFile(completed, result);
+                updateProgress((completed / packageFiles.length) * 100);
+            }
+        });
+        
+        // PACKAGE PHASE
+        // Cross-file checks once every file is parsed, the comparison with the previous
+        // release (when one was selected), the folder structure analysis and the
+        // package's .lasvalidator.json - in a worker as well, and still cancellable
+        const fileDisplayElement = document.getElementById('current-file-display');
+        if (fileDisplayElement) {
+            fileDisplayElement.innerHTML = `<strong>Checking files against each other...</strong>`;
         }
+        const baselinePackage = baselineFiles.length > 0 ? await readPackageFiles(baselineFiles) : null;
+        const completedResults = await LASchemaValidationPool.completePackage(results, packageFiles, {
+            signal: signal,
+            baseline: baselinePackage
+        });
         
+        // Only rendering is left - the run can no longer be cancelled
+        setCancelValidationEnabled(false);
+        validatedPackage = packageFiles;
+
         // Finalize progress indication
         updateProgress(100);
-        const fileDisplayElement = document.getElementById('current-file-display');
         if (fileDisplayElement) {
             fileDisplayElement.innerHTML = `<strong>Validation completed!</strong>`;
         }
         
-        // FOLDER STRUCTURE ANALYSIS
-        // Only run folder analysis if:
-        // 1. Files have relative paths (indicating folder upload)
-        // 2. There are multiple files (single file doesn't need folder analysis)
-        // 3. Files are from different directories or organized in a folder structure
-        const hasfolderStructure = uploadedFiles.some(file => file.webkitRelativePath || file.relativePath);
-        const hasMultipleFiles = uploadedFiles.length > 1;
-        const shouldAnalyzeFolder = hasfolderStructure && hasMultipleFiles;
-        
-        if (shouldAnalyzeFolder) {
-            if (fileDisplayElement) {
-                fileDisplayElement.innerHTML = `<strong>Analyzing folder structure...</strong>`;
-            }
-            const folderAnalysis = analyzeFolderStructure(uploadedFiles);
-            results.unshift(folderAnalysis); // Add folder analysis at the beginning for prominence
-        }
-        
         // Present comprehensive results to user
-        displayValidationResults(results);
+        displayValidationResults(completedResults);
         
         // Complete validation with success feedback
         stopValidationAnimation(true);
         
     } catch (error) {
-        // Handle any unexpected errors during validation
         hideValidationProgress();
+        
+        // Cancelled with the Cancel button
+        if (LASchemaValidationPool.isAbortError(error)) {
+            resetValidationAnimation();
+            showAlert('Validation cancelled.', 'info');
+            return;
+        }
+        
+        // Handle any unexpected errors during validation
         stopValidationAnimation(false);
         showAlert('An error occurred during validation: ' + error.message, 'danger');
+    } finally {
+        validationAbortController = null;
     }
 }
 
-function analyzeFolderStructure(files) {
-    const folderAnalysis = {
-        filename: '📁 Folder Structure Analysis',
-        type: 'folder',
-        status: 'pass',
-        issues: [],
-        warnings: [],
-        fileSize: 0,
-        folderAnalysis: true
-    };
-    
-    // Check for required directories
-    const requiredDirs = ['KQL', 'SampleInputRecords', 'SampleOutputRecords'];
-    const foundDirs = new Set();
-    const filesByFolder = {};
-    const allDirectories = new Set();
-    
-    // Analyze all files and their paths
-    files.forEach(file => {
-        const relativePath = file.webkitRelativePath || file.relativePath;
-        if (relativePath) {
-            const pathParts = relativePath.split('/');
-            
-            // Add all directory levels to our tracking
-            for (let i = 0; i < pathParts.length - 1; i++) {
-                const dirPath = pathParts.slice(0, i + 1).join('/');
-                allDirectories.add(dirPath);
-                
-                // Track the directory name itself
-                const dirName = pathParts[i];
-                foundDirs.add(dirName);
-            }
-            
-            if (pathParts.length > 1) {
-                const topLevelDir = pathParts[0];
-                if (!filesByFolder[topLevelDir]) {
-                    filesByFolder[topLevelDir] = [];
-                }
-                filesByFolder[topLevelDir].push(file);
-            }
-        }
-    });
-    
-    
-    // Check for required directories
-    requiredDirs.forEach(dir => {
-        if (!foundDirs.has(dir)) {
-            folderAnalysis.issues.push({
-                message: `Missing required directory: ${dir}`,
-                type: 'error',
-                field: 'folder_structure',
-                location: 'root',
-                currentValue: 'missing',
-                expectedValue: dir,
-                suggestion: `Create the ${dir} directory and add appropriate files`
-            });
-        }
+/**
+ * Abort the validation in progress (Cancel button of the progress panel)
+ * The workers are stopped right away; validateFiles() then clears the progress panel.
+ */
+function cancelValidation() {
+    if (validationAbortController) {
+        setCancelValidationEnabled(false);
+        validationAbortController.abort();
+    }
+}
+
+/**
+ * Convert browser File objects into validation engine package entries
+ * The engine never touches FileReader - all content is read up front here.
+ */
+async function readPackageFiles(files) {
+    return Promise.all(files.map(async file => LASchemaEngine.createPackageFile(
+        file.webkitRelativePath || file.relativePath || file.name,
+        await readFileContent(file)
+    )));
+}
+
+function readFileContent(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = e => resolve(e.target.result);
+        reader.onerror = e => reject(new Error('Failed to read file'));
+        reader.readAsText(file);
     });
+}
+
+// UI Update functions
+function showValidationProgress() {
+    const resultsSection = document.getElementById('results');
+    resultsSection.style.display = 'block';
+    resultsSection.scrollIntoView({ behavior: 'smooth' });
     
-    // Check for manifest file
-    const manifestFiles = files.filter(file => file.name.includes('.manifest.json'));
-    if (manifestFiles.length === 0) {
-        folderAnalysis.issues.push({
-            message: 'No manifest.json file found',
-            type: 'error',
-            field: 'manifest_file',
-            location: 'root',
-            currentValue: 'missing',
-            expectedValue: 'manifest.json',
-            suggestion: 'Add a manifest.json file to the root directory'
-        });
-    } else if (manifestFiles.length > 1) {
-        folderAnalysis.warnings.push('Multiple manifest files found');
+    const resultsDiv = document.getElementById('validationResults');
+    resultsDiv.innerHTML = `
+        <div class="text-center">
+            <div class="loading-spinner"></div>
+            <h4 class="mt-3">Validating Files...</h4>
+            <div class="validation-progress mb-3">
+                <div class="progress-bar bg-primary" style="width: 0%"></div>
+            </div>
+            <div class="current-file-info">
+                <div class="badge bg-secondary mb-2">
+                    <span id="current-file-counter">0</span> of <span id="total-files">${uploadedFiles.length}</span> files
+                </div>
+                <div class="current-file-name text-muted">
+                    <i class="fas fa-file me-2"></i>
+                    <span id="current-file-display">Preparing validation...</span>
+                </div>
+            </div>
+            <button id="cancelValidationBtn" type="button" class="btn btn-outline-secondary btn-sm mt-3" onclick="cancelValidation()">
+                <i class="fas fa-times me-1"></i>Cancel
+            </button>
+        </div>
+    `;
+}
+
+function setCancelValidationEnabled(enabled) {
+    const cancelBtn = document.getElementById('cancelValidationBtn');
+    if (cancelBtn) {
+        cancelBtn.disabled = !enabled;
     }
-    
-    // Check for KQL files
-    const kqlFiles = files.filter(file => file.name.endsWith('.kql'));
-    if (kqlFiles.length === 0) {
-        folderAnalysis.warnings.push('No KQL files found');
+}
+
+function updateProgress(percentage) {
+    const progressBar = document.querySelector('.validation-progress .progress-bar');
+    if (progressBar) {
+        progressBar.style.width = percentage + '%';
     }
-    
-    // Check for sample files
-    const sampleFiles = files.filter(file => file.name.endsWith('.json') && !file.name.includes('manifest'));
-    if (sampleFiles.length === 0) {
-        folderAnalysis.warnings.push('No sample data files found');
+}
+
+function updateCurrentFile(completedCount, result) {
+    // Update file counter
+    const counterElement = document.getElementById('current-file-counter');
+    if (counterElement) {
+        counterElement.textContent = completedCount;
     }
     
-    // Set overall status
-    if (folderAnalysis.issues.length > 0) {
-        folderAnalysis.status = 'fail';
+    // Show the file that just finished - several are validated at the same time
+    const fileDisplayElement = document.getElementById('current-file-display');
+    if (fileDisplayElement && result) {
+        const displayName = result.displayName || result.filename;
+        const truncatedName = displayName.length > 50 ? '...' + displayName.slice(-47) : displayName;
+        fileDisplayElement.innerHTML = `Validated: <strong>${escapeHtml(truncatedName)}</strong>`;
     }
-    
-    return folderAnalysis;
 }
 
-async function validateFile(file) {
-    // Simulate processing time
-    await new Promise(resolve => setTimeout(resolve, 500));
+function hideValidationProgress() {
+    const resultsSection = document.getElementById('results');
+    resultsSection.style.display = 'none';
+}
+
+function displayValidationResults(results) {
+    const resultsDiv = document.getElementById('validationResults');
     
-    const filename = file.name;
-    const relativePath = file.webkitRelativePath || file.relativePath;
-    const fileType = getFileType(filename);
-    
-    let validationResult = {
-        filename: filename,
-        relativePath: relativePath,
-        displayName: relativePath || filename,
-        type: fileType,
-        status: 'pass',
-        issues: [],
-        warnings: [],
-        fileSize: file.size
-    };
+    // Store results globally for drill-down functionality
+    validationResults = results;
     
-    try {
-        if (fileType === 'manifest') {
-            validationResult = await validateManifestFile(file, validationResult);
+    // Calculate summary stats
+    const summary = LASchemaEngine.summarizeResults(results);
+    const { totalFiles, passedFiles, failedFiles, warningFiles, totalIssues, totalWarnings, totalSuppressed, overallStatus } = summary;
+    
+    // Group issues and warnings by type
+    const groupedIssues = groupValidationIssuesByType(results);
+    const groupedWarnings = groupValidationWarningsByType(results);
+    
+    let html = `
+        <div class="validation-results-container">
+            <!-- Overall Status Card -->
+            <div class="row mb-4">
+                <div class="col-12">
+                    <div class="card ${overallStatus === 'pass' ? 'border-success bg-light' : 'border-danger bg-light'}">
+                        <div class="card-body">
+                            <div class="row align-items-center">
+                                <div class="col-md-2 text-center">
+                                    <i class="fas ${overallStatus === 'pass' ? 'fa-check-circle text-success' : 'fa-times-circle text-danger'} fa-4x"></i>
+                                </div>
+                                <div class="col-md-4">
+                                    <h3 class="mb-1 ${overallStatus === 'pass' ? 'text-success' : 'text-danger'}">
+                                        ${overallStatus === 'pass' ? 'VALIDATION PASSED' : 'VALIDATION FAILED'}
+                                    </h3>
+                                    <p class="text-muted mb-0">
+                                        ${overallStatus === 'pass' ? 'All files passed validation successfully!' : 'Some files have validation issues that need attention.'}
+                                    </p>
+                                    ${totalIssues > 0 || totalWarnings > 0 ? `
+                                        <div class="mt-2">
+                                            <span class="badge bg-danger me-1">${totalIssues} total errors</span>
+                                            <span class="badge bg-warning">${totalWarnings} total warnings</span>
+                                            ${totalSuppressed > 0 ? `<span class="badge bg-secondary ms-1">${totalSuppressed} suppressed</span>` : ''}
+                                        </div>
+                                    ` : ''}
+                                    ${createExportMenuHTML()}
+                                    ${createAutofixButtonHTML(results)}
+                                </div>
+                                <div class="col-md-6">
+                                    <div class="row text-center">
+                                        <div class="col-3">
+                                            <div class="summary-stat-box">
+                                                <div class="stat-number text-primary">${totalFiles}</div>
+                                                <div class="stat-label">Total Files</div>
+                                            </div>
+                                        </div>
+                                        <div class="col-3">
+                                            <div class="summary-stat-box">
+                                                <div class="stat-number text-success">${passedFiles}</div>
+                                                <div class="stat-label">Files Passed</div>
+                                            </div>
+                                        </div>
+                                        <div class="col-3">
+                                            <div class="summary-stat-box">
+                                                <div class="stat-number text-danger">${failedFiles}</div>
+                                                <div class="stat-label">Files Failed</div>
+                                            </div>
+                                        </div>
+                                        <div class="col-3">
+                                            <div class="summary-stat-box">
+                                                <div class="stat-number text-warning">${warningFiles}</div>
+                                                <div class="stat-label">Files w/ Warnings</div>
+                                            </div>
+                                        </div>
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
             
-            // Process pending schema validations
-            if (window.pendingSchemaValidations && window.pendingSchemaValidations.length > 0) {
-                const schemaResults = await validateTransformationSchemaMatch(window.pendingSchemaValidations);
-                
-                // Merge schema validation results into the manifest validation result
-                if (schemaResults.issues.length > 0) {
-                    validationResult.issues.push(...schemaResults.issues);
-                    validationResult.status = 'fail';
-                }
-                if (schemaResults.warnings.length > 0) {
-                    validationResult.warnings.push(...schemaResults.warnings);
-                }
-                
-                // Clear the pending validations
-                window.pendingSchemaValidations = [];
-            }
-        } else if (fileType === 'transform-manifest') {
-            validationResult = await validateTransformManifestFile(file, validationResult);
-        } else if (fileType === 'kql') {
-            validationResult = await validateKQLFile(file, validationResult);
-        } else if (fileType === 'json') {
-            validationResult = await validateJSONFile(file, validationResult);
-        } else {
-            validationResult.warnings.push('File type not recognized for validation');
-        }
-    } catch (error) {
-        validationResult.status = 'fail';
-        validationResult.issues.push('Error reading file: ' + error.message);
-    }
+            <!-- Issues and Warnings Grouped by Type -->
+            ${(totalIssues > 0 || totalWarnings > 0) ? `
+                <div class="row mb-4">
+                    <div class="col-12">
+                        <div class="card">
+                            <div class="card-header bg-white">
+                                <h5 class="mb-0">
+                                    <i class="fas fa-exclamation-triangle me-2"></i>Issues & Warnings by Category
+                                    <span class="badge bg-danger ms-2">${totalIssues} errors</span>
+                                    <span class="badge bg-warning ms-2">${totalWarnings} warnings</span>
+                                </h5>
+                            </div>
+                            <div class="card-body p-0">
+                                <div class="accordion" id="issuesWarningsAccordion">
+                                    ${createGroupedIssuesHTML(groupedIssues, 'issues')}
+                                    ${createGroupedWarningsHTML(groupedWarnings, 'warnings')}
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            ` : ''}
+            
+            <!-- Findings Suppressed by .lasvalidator.json -->
+            ${totalSuppressed > 0 ? createSuppressedFindingsHTML(results, totalSuppressed) : ''}
+            
+            <!-- Detailed Results by File -->
+            <div class="row">
+                <div class="col-12">
+                    <div class="card">
+                        <div class="card-header bg-white">
+                            <h5 class="mb-0">
+                                <i class="fas fa-list-alt me-2"></i>Detailed Validation Results by File
+                                <span class="badge bg-secondary ms-2">${totalFiles} files analyzed</span>
+                            </h5>
+                        </div>
+                        <div class="card-body p-0">
+                            <div class="accordion" id="resultsAccordion">
+    `;
     
-    return validationResult;
-}
-
-function getFileType(filename) {
-    if (filename.includes('.transform.manifest.json')) return 'transform-manifest';
-    if (filename.includes('.manifest.json')) return 'manifest';
-    if (filename.endsWith('.kql')) return 'kql';
-    if (filename.endsWith('.json')) return 'json';
-    return 'other';
-}
-
-async function validateManifestFile(file, result) {
-    const content = await readFileContent(file);
+    results.forEach((result, index) => {
+        html += createResultAccordionItem(result, index);
+    });
     
-    try {
-        const manifest = JSON.parse(content);
-        
-        // Store original content for drill-down
-        result.originalContent = content;
-        result.parsedContent = manifest;
-        
-        // Check required top-level properties based on official documentation
-        const requiredFields = ['type', 'displayName', 'description', 'simplifiedSchemaVersion', 'tables'];
-        requiredFields.forEach(field => {
-            if (!manifest[field]) {
-                // Find a good location to suggest adding the field
-                const lines = content.split('\n');
-                let suggestedLineNumber = 1;
-                let insertAfterField = null;
-                
-                // Look for existing fields to determine where to add the missing one
-                const fieldOrder = ['type', 'displayName', 'description', 'simplifiedSchemaVersion', 'tables'];
-                const currentFieldIndex = fieldOrder.indexOf(field);
-                
-                // Find the last existing field that comes before this one in the recommended order
-                for (let i = currentFieldIndex - 1; i >= 0; i--) {
-                    const previousField = fieldOrder[i];
-                    if (manifest[previousField]) {
-                        insertAfterField = previousField;
-                        break;
-                    }
-                }
-                
-                // Find the line number where we should suggest adding the field
-                if (insertAfterField) {
-                    // Find the line containing the previous field
-                    for (let i = 0; i < lines.length; i++) {
-                        if (lines[i].includes(`"${insertAfterField}"`)) {
-                            suggestedLineNumber = i + 2; // Add after the field line
-                            break;
-                        }
-                    }
-                } else {
-                    // If no previous field found, suggest adding after the opening brace
-                    for (let i = 0; i < lines.length; i++) {
-                        if (lines[i].trim() === '{') {
-                            suggestedLineNumber = i + 2;
-                            break;
-                        }
-                    }
-                }
-                
-                // Create example value based on field type
-                let exampleValue;
-                switch (field) {
-                    case 'type':
-                        exampleValue = 'NGSchema';
-                        break;
-                    case 'displayName':
-                        exampleValue = 'Your Log Table Name';
-                        break;
-                    case 'description':
-                        exampleValue = 'Description of your log table data.';
-                        break;
-                    case 'simplifiedSchemaVersion':
-                        exampleValue = '3';
-                        break;
-                    case 'tables':
-                        exampleValue = '[]';
-                        break;
-                    default:
-                        exampleValue = '""';
-                }
-                
-                const fixCode = `"${field}": ${typeof exampleValue === 'string' && field !== 'tables' ? `"${exampleValue}"` : exampleValue}`;
-                
-                result.issues.push({
-                    message: `Missing required field: ${field}`,
-                    type: 'missing_field',
-                    field: field,
-                    location: `root.${field}`,
-                    lineNumber: suggestedLineNumber,
-                    severity: 'error',
-                    currentValue: 'missing',
-                    expectedValue: exampleValue,
-                    suggestion: `Add the required field "${field}" to the root level of your manifest file.`,
-                    fixInstructions: `Add this line ${insertAfterField ? `after the "${insertAfterField}" field` : 'near the beginning of the file'}: ${fixCode}`,
-                    fixCode: fixCode,
-                    microsoftRequirement: `The "${field}" field is required by Azure Log Analytics NGSchema v3 specification.`
-                });
-                result.status = 'fail';
-            }
-        });
-        
-        // Check schema version
-        if (manifest.simplifiedSchemaVersion !== "3") {
-            result.issues.push({
-                message: 'simplifiedSchemaVersion must be "3"',
-                type: 'invalid_value',
-                field: 'simplifiedSchemaVersion',
-                location: 'root',
-                currentValue: manifest.simplifiedSchemaVersion,
-                expectedValue: '3',
-                severity: 'error',
-                suggestion: 'Change the simplifiedSchemaVersion value to "3" to match the current schema requirements.'
-            });
-            result.status = 'fail';
-        }
-        
-        // Validate descriptions
-        if (manifest.description) {
-            validateDescription(manifest.description, 'Top-level description', result, 'root.description');
-        }
-        
-        // Validate tables (required and must have at least one)
-        if (!manifest.tables || !Array.isArray(manifest.tables)) {
-            result.issues.push({
-                message: 'tables field must be an array',
-                type: 'invalid_type',
-                field: 'tables',
-                location: 'root',
-                severity: 'error',
-                suggestion: 'The tables field must be an array containing at least one table object.'
-            });
-            result.status = 'fail';
-        } else if (manifest.tables.length === 0) {
-            result.issues.push({
-                message: 'tables array must contain at least one table object',
-                type: 'empty_array',
-                field: 'tables',
-                location: 'root',
-                severity: 'error',
-                suggestion: 'Add at least one table object to the tables array.'
-            });
-            result.status = 'fail';
-        } else {
-            manifest.tables.forEach((table, index) => {
-                validateTable(table, index, result);
-            });
-        }
-        
-        // Validate functions (optional - can be empty array)
-        if (manifest.functions !== undefined) {
-            if (!Array.isArray(manifest.functions)) {
-                result.issues.push({
-                    message: 'functions field must be an array (can be empty)',
-                    type: 'invalid_type',
-                    field: 'functions',
-                    location: 'root',
-                    severity: 'error',
-                    suggestion: 'Change the functions field to an array. It can be empty if no functions are defined.'
-                });
-                result.status = 'fail';
-            } else if (manifest.functions.length > 0) {
-                // Split content into lines for line number detection
-                const lines = content.split('\n');
-                
-                manifest.functions.forEach((func, index) => {
-                    validateFunction(func, index, result, lines);
-                });
-            }
-        }
-        
-        // Validate queries (optional - can be empty array)
-        if (manifest.queries !== undefined) {
-            if (!Array.isArray(manifest.queries)) {
-                result.issues.push({
-                    message: 'queries field must be an array (can be empty)',
-                    type: 'invalid_type',
-                    field: 'queries',
-                    location: 'root',
-                    severity: 'error',
-                    suggestion: 'Change the queries field to an array. It can be empty if no queries are defined.'
-                });
-                result.status = 'fail';
-            } else if (manifest.queries.length > 0) {
-                manifest.queries.forEach((query, index) => {
-                    validateQuery(query, index, result);
-                });
-            }
-        }
-        
-        // Validate that queries exist and are related to tables
-        const hasQueries = manifest.queries && Array.isArray(manifest.queries) && manifest.queries.length > 0;
-        const hasTables = manifest.tables && Array.isArray(manifest.tables) && manifest.tables.length > 0;
-        
-        if (!hasQueries && hasTables) {
-            // Find the line number where "queries": appears
-            const lines = content.split('\n');
-            let queriesLineNumber = null;
-            for (let i = 0; i < lines.length; i++) {
-                if (lines[i].trim().includes('"queries"')) {
-                    queriesLineNumber = i + 1; // Line numbers are 1-based
-                    break;
-                }
-            }
-            
-            result.warnings.push({
-                message: 'No example queries found in the manifest',
-                type: 'missing_queries',
-                field: 'queries',
-                location: 'root.queries',
-                severity: 'warning',
-                lineNumber: queriesLineNumber,
-                suggestion: 'Consider adding example queries to demonstrate how to use the tables in this schema. Each table should have at least one example query to help users understand how to query the data.'
-            });
-        }
-        
-        // Check if each table has at least one related query
-        if (hasTables && hasQueries) {
-            manifest.tables.forEach((table, tableIndex) => {
-                const tableName = table.name;
-                if (tableName) {
-                    // Check if any queries reference this table
-                    const hasRelatedQueries = manifest.queries.some(query => {
-                        const relatedTables = query.relatedTables || [];
-                        return relatedTables.includes(tableName);
-                    });
-                    
-                    if (!hasRelatedQueries) {
-                        result.warnings.push({
-                            message: `Table '${tableName}' has no related example queries`,
-                            type: 'missing_table_queries',
-                            field: 'queries',
-                            location: `tables[${tableIndex}]`,
-                            tableName: tableName,
-                            severity: 'warning',
-                            suggestion: `Add at least one example query that demonstrates how to use the '${tableName}' table. Include the table name in the query's 'relatedTables' array.`
-                        });
-                    }
-                }
-            });
-        }
-        
-        // Validate that each table has a corresponding sample input file
-        if (hasTables && uploadedFiles && uploadedFiles.length > 0) {
-            // First validate that sample file path fields are properly declared if they exist
-            if (manifest.sampleInputRecordsFilePath !== undefined) {
-                if (typeof manifest.sampleInputRecordsFilePath !== 'string' || manifest.sampleInputRecordsFilePath.trim() === '') {
-                    result.issues.push({
-                        message: 'sampleInputRecordsFilePath must be a non-empty string',
-                        type: 'invalid_field_type',
-                        field: 'sampleInputRecordsFilePath',
-                        location: 'root',
-                        severity: 'error',
-                        currentValue: manifest.sampleInputRecordsFilePath,
-                        expectedType: 'string',
-                        suggestion: 'Provide a valid folder path (e.g., "SampleInputRecords/") or file path for sample input records.'
-                    });
-                    result.status = 'fail';
-                }
-            }
-            
-            if (manifest.sampleOutputRecordsFilePath !== undefined) {
-                if (typeof manifest.sampleOutputRecordsFilePath !== 'string' || manifest.sampleOutputRecordsFilePath.trim() === '') {
-                    result.issues.push({
-                        message: 'sampleOutputRecordsFilePath must be a non-empty string',
-                        type: 'invalid_field_type',
-                        field: 'sampleOutputRecordsFilePath',
-                        location: 'root',
-                        severity: 'error',
-                        currentValue: manifest.sampleOutputRecordsFilePath,
-                        expectedType: 'string',
-                        suggestion: 'Provide a valid folder path (e.g., "SampleOutputRecords/") or file path for sample output records.'
-                    });
-                    result.status = 'fail';
-                }
-            }
-            
-            // Get the sample input records path from manifest or use default
-            const sampleInputPath = manifest.sampleInputRecordsFilePath || 'SampleInputRecords/';
-            const sampleOutputPath = manifest.sampleOutputRecordsFilePath || 'SampleOutputRecords/';
-            
-            // Verify that the declared paths actually exist in uploaded files
-            if (manifest.sampleInputRecordsFilePath) {
-                const hasInputFiles = uploadedFiles.some(file => {
-                    const relativePath = file.webkitRelativePath || file.relativePath || '';
-                    return relativePath.includes(sampleInputPath);
-                });
-                
-                if (!hasInputFiles) {
-                    result.issues.push({
-                        message: `Sample input path '${sampleInputPath}' declared in manifest but no files found in this path`,
-                        type: 'missing_declared_path',
-                        field: 'sampleInputRecordsFilePath',
-                        location: 'root',
-                        severity: 'error',
-                        declaredPath: sampleInputPath,
-                        suggestion: `Ensure that files exist in the declared path '${sampleInputPath}' or update the sampleInputRecordsFilePath to match your actual folder structure.`
-                    });
-                    result.status = 'fail';
-                }
-            }
-            
-            if (manifest.sampleOutputRecordsFilePath) {
-                const hasOutputFiles = uploadedFiles.some(file => {
-                    const relativePath = file.webkitRelativePath || file.relativePath || '';
-                    return relativePath.includes(sampleOutputPath);
-                });
-                
-                if (!hasOutputFiles) {
-                    result.issues.push({
-                        message: `Sample output path '${sampleOutputPath}' declared in manifest but no files found in this path`,
-                        type: 'missing_declared_path',
-                        field: 'sampleOutputRecordsFilePath',
-                        location: 'root',
-                        severity: 'error',
-                        declaredPath: sampleOutputPath,
-                        suggestion: `Ensure that files exist in the declared path '${sampleOutputPath}' or update the sampleOutputRecordsFilePath to match your actual folder structure.`
-                    });
-                    result.status = 'fail';
-                }
-            }
-            
-            // Get all files in the specified sample input folder
-            const sampleInputFiles = uploadedFiles.filter(file => {
-                const relativePath = file.webkitRelativePath || file.relativePath || '';
-                return relativePath.includes(sampleInputPath) && file.name.endsWith('.json');
-            });
-            
-            // Get all files in the specified sample output folder
-            const sampleOutputFiles = uploadedFiles.filter(file => {
-                const relativePath = file.webkitRelativePath || file.relativePath || '';
-                return relativePath.includes(sampleOutputPath) && file.name.endsWith('.json');
-            });
-            
-            // Check if there are any sample output files at all
-            const hasSampleOutputFiles = sampleOutputFiles.length > 0;
-            
-            // If no sample output files exist at all, give one general warning
-            if (!hasSampleOutputFiles && !manifest.sampleOutputRecordsFilePath) {
-                result.warnings.push({
-                    message: `No sample output files found in ${sampleOutputPath} folder`,
-                    type: 'missing_sample_output_folder',
-                    field: 'sampleOutputFiles',
-                    location: 'root',
-                    severity: 'warning',
-                    suggestion: `Create the ${sampleOutputPath} folder and add sample output files for your tables. Each table should have a corresponding sample output file named <tableName>Sample.json.`,
-                    microsoftRequirement: `Sample output files are required for schema validation and E2E testing.`,
-                    fixInstructions: `1. Create the ${sampleOutputPath} folder\n2. Add sample output files for each table following the naming convention <tableName>Sample.json\n3. Ensure the sample data matches the output schema defined in each table's 'columns' field`
-                });
-            }
-            
-            manifest.tables.forEach((table, tableIndex) => {
-                const tableName = table.name;
-                if (tableName) {
-                    // Expected sample file name: <tableName>Sample.json
-                    const expectedFileName = `${tableName}Sample.json`;
-                    
-                    // Check if the expected sample input file exists
-                    const hasSampleInputFile = sampleInputFiles.some(file => file.name === expectedFileName);
-                    
-                    if (!hasSampleInputFile) {
-                        const warningType = manifest.sampleInputRecordsFilePath ? 'error' : 'warning';
-                        const messageContent = manifest.sampleInputRecordsFilePath ? 
-                            `Table '${tableName}' requires sample input file '${expectedFileName}' in declared path '${sampleInputPath}' but file is missing` :
-                            `Table '${tableName}' is missing sample input file '${expectedFileName}'`;
-                            
-                        const warningObj = {
-                            message: messageContent,
-                            type: 'missing_sample_input',
-                            field: 'sampleInputFile',
-                            location: `tables[${tableIndex}]`,
-                            tableName: tableName,
-                            expectedFileName: expectedFileName,
-                            severity: warningType,
-                            declaredPath: manifest.sampleInputRecordsFilePath || null,
-                            suggestion: `Create a sample input file named '${expectedFileName}' in the ${sampleInputPath} folder. This file is required for schema correctness validation and E2E testing. The file should contain sample JSON data that represents the input format for this table.`,
-                            microsoftRequirement: `Each table in the manifest must have a corresponding sample input file in the ${sampleInputPath} folder following the naming convention <tableName>Sample.json for schema validation and E2E testing.`,
-                            fixInstructions: `1. Create a file named '${expectedFileName}' in the ${sampleInputPath} folder\n2. Add sample JSON data that represents the expected input format for the '${tableName}' table\n3. Ensure the sample data matches the input schema defined in the table's 'input' field`
-                        };
-                        
-                        if (warningType === 'error') {
-                            result.issues.push(warningObj);
-                            result.status = 'fail';
-                        } else {
-                            result.warnings.push(warningObj);
-                        }
-                    }
-                    
-                    // Only check individual table sample output files if there are sample output files present
-                    // OR if the path is explicitly declared in manifest
-                    if (hasSampleOutputFiles || manifest.sampleOutputRecordsFilePath) {
-                        // Check if the expected sample output file exists
-                        const hasSampleOutputFile = sampleOutputFiles.some(file => file.name === expectedFileName);
-                        
-                        if (!hasSampleOutputFile) {
-                            const warningType = manifest.sampleOutputRecordsFilePath ? 'error' : 'warning';
-                            const messageContent = manifest.sampleOutputRecordsFilePath ? 
-                                `Table '${tableName}' requires sample output file '${expectedFileName}' in declared path '${sampleOutputPath}' but file is missing` :
-                                `Table '${tableName}' is missing sample output file '${expectedFileName}'`;
-                                
-                            const warningObj = {
-                                message: messageContent,
-                                type: 'missing_sample_output',
-                                field: 'sampleOutputFile',
-                                location: `tables[${tableIndex}]`,
-                                tableName: tableName,
-                                expectedFileName: expectedFileName,
-                                severity: warningType,
-                                declaredPath: manifest.sampleOutputRecordsFilePath || null,
-                                suggestion: `Create a sample output file named '${expectedFileName}' in the ${sampleOutputPath} folder. This file is required for schema correctness validation and E2E testing. The file should contain sample JSON data that represents the expected output format after transformation for this table.`,
-                                microsoftRequirement: `Each table in the manifest must have a corresponding sample output file in the ${sampleOutputPath} folder following the naming convention <tableName>Sample.json for schema validation and E2E testing.`,
-                                fixInstructions: `1. Create a file named '${expectedFileName}' in the ${sampleOutputPath} folder\n2. Add sample JSON data that represents the expected output format for the '${tableName}' table after transformation\n3. Ensure the sample data matches the output schema defined in the table's 'columns' field\n4. Do not include system-generated fields like _ResourceId, _SubscriptionId, TenantId, or Type`
-                            };
-                            
-                            if (warningType === 'error') {
-                                result.issues.push(warningObj);
-                                result.status = 'fail';
-                            } else {
-                                result.warnings.push(warningObj);
-                            }
-                        }
-                    }
-                }
-            });
-        }
-        
-        // Validate transformation output schema matches table schema
-        if (hasTables && uploadedFiles && uploadedFiles.length > 0) {
-            // Get all KQL files for schema comparison
-            const kqlFiles = uploadedFiles.filter(file => {
-                const relativePath = file.webkitRelativePath || file.relativePath || '';
-                return file.name.endsWith('.kql') && relativePath.includes('KQL/');
-            });
-            
-            manifest.tables.forEach((table, tableIndex) => {
-                const tableName = table.name;
-                const transformFilePath = table.transformFilePath;
-                
-                if (tableName && transformFilePath && table.columns) {
-                    // Find the corresponding KQL file
-                    const kqlFile = kqlFiles.find(file => {
-                        const relativePath = file.webkitRelativePath || file.relativePath || '';
-                        return relativePath.endsWith(transformFilePath) || 
-                               (file.name.toLowerCase().includes(tableName.toLowerCase()) && 
-                                transformFilePath.includes(file.name));
-                    });
-                    
-                    if (kqlFile) {
-                        // We'll validate the schema match asynchronously
-                        // For now, we'll add this to a queue for later processing
-                        if (!result.pendingSchemaValidations) {
-                            result.pendingSchemaValidations = [];
-                        }
-                        
-                        result.pendingSchemaValidations.push({
-                            tableIndex: tableIndex,
-                            tableName: tableName,
-                            transformFilePath: transformFilePath,
-                            kqlFile: kqlFile,
-                            expectedColumns: table.columns
-                        });
-                    } else {
-                        result.warnings.push({
-                            message: `Table '${tableName}' references transformation file '${transformFilePath}' but the file was not found in uploaded files`,
-                            type: 'missing_transformation_file',
-                            field: 'transformFilePath',
-                            location: `tables[${tableIndex}].transformFilePath`,
-                            tableName: tableName,
-                            transformFilePath: transformFilePath,
-                            severity: 'warning',
-                            suggestion: `Ensure the transformation file '${transformFilePath}' is included in the uploaded files. The file should be located in the KQL folder and contain the data transformation logic for the '${tableName}' table.`,
-                            microsoftRequirement: 'Each table must have a corresponding KQL transformation file that defines how input data is transformed to match the table schema.',
-                            fixInstructions: `1. Check that the file '${transformFilePath}' exists in your upload\n2. Verify the file path is correct in the manifest\n3. Ensure the transformation file contains valid KQL syntax\n4. Confirm the transformation output matches the table's column schema`
-                        });
-                    }
-                }
-            });
-        }
-        
-        // Validate optional fields when present
-        if (manifest.icmTeam && typeof manifest.icmTeam !== 'string') {
-            result.issues.push({
-                message: 'icmTeam must be a string',
-                type: 'invalid_type',
-                field: 'icmTeam',
-                location: 'root',
-                currentValue: typeof manifest.icmTeam,
-                expectedValue: 'string',
-                severity: 'error',
-                suggestion: 'Change the icmTeam value to a string representing the team name.'
-            });
-            result.status = 'fail';
-        }
-        
-        if (manifest.contactDL && typeof manifest.contactDL !== 'string') {
-            result.issues.push({
-                message: 'contactDL must be a string',
-                type: 'invalid_type',
-                field: 'contactDL',
-                location: 'root',
-                currentValue: typeof manifest.contactDL,
-                expectedValue: 'string',
-                severity: 'error',
-                suggestion: 'Change the contactDL value to a string representing the contact distribution list.'
-            });
-            result.status = 'fail';
-        }
-        
-        if (manifest.relatedTables && !Array.isArray(manifest.relatedTables)) {
-            result.issues.push({
-                message: 'relatedTables must be an array',
-                type: 'invalid_type',
-                field: 'relatedTables',
-                location: 'root',
-                severity: 'error',
-                suggestion: 'Change the relatedTables field to an array of table references.'
-            });
-            result.status = 'fail';
-        }
-        
-        if (manifest.relatedFunctions && !Array.isArray(manifest.relatedFunctions)) {
-            result.issues.push({
-                message: 'relatedFunctions must be an array',
-                type: 'invalid_type',
-                field: 'relatedFunctions',
-                location: 'root',
-                severity: 'error',
-                suggestion: 'Change the relatedFunctions field to an array of function references.'
-            });
-            result.status = 'fail';
-        }
-        
-        // Determine final status based on issues
-        if (result.issues.length > 0) {
-            result.status = 'fail';
-        } else if (result.status !== 'fail') {
-            result.status = 'pass';
-        }
-        
-    } catch (error) {
-        result.status = 'fail';
-        result.issues.push({
-            message: 'Invalid JSON format: ' + error.message,
-            type: 'json_syntax_error',
-            field: 'file',
-            location: 'entire_file',
-            severity: 'error',
-            suggestion: 'Fix the JSON syntax errors in the file. Common issues include missing commas, unmatched brackets, or invalid characters.'
-        });
-    }
-    
-    return result;
-}
-
-async function validateTransformationSchemaMatch(manifestResult, kqlFiles) {
-    const schemaValidationResult = {
-        issues: [],
-        warnings: []
-    };
-    
-    if (!manifestResult.pendingSchemaValidations || manifestResult.pendingSchemaValidations.length === 0) {
-        return schemaValidationResult;
-    }
-    
-    for (const validation of manifestResult.pendingSchemaValidations) {
-        try {
-            const kqlContent = await readFileContent(validation.kqlFile);
-            const transformationSchema = extractTransformationOutputSchema(kqlContent);
-            const tableSchema = validation.expectedColumns;
-            
-            // Compare schemas
-            const schemaMismatches = compareSchemas(transformationSchema, tableSchema, validation.tableName);
-            
-            if (schemaMismatches.length > 0) {
-                schemaMismatches.forEach(mismatch => {
-                    schemaValidationResult.issues.push({
-                        message: `Table '${validation.tableName}': Transformation output schema mismatch - ${mismatch.message}`,
-                        type: 'schema_mismatch_error',
-                        field: 'transformation_schema',
-                        location: `tables[${validation.tableIndex}].${mismatch.columnName || 'schema'}`,
-                        tableName: validation.tableName,
-                        columnName: mismatch.columnName,
-                        transformFilePath: validation.transformFilePath,
-                        severity: 'error',
-                        currentValue: mismatch.transformationValue,
-                        expectedValue: mismatch.expectedValue,
-                        suggestion: `Update the transformation file '${validation.transformFilePath}' to ensure the output schema matches the table definition. ${mismatch.suggestion}`,
-                        microsoftRequirement: 'Transformation output schema must exactly match the table column definitions for successful data ingestion.',
-                        fixInstructions: `1. Open the transformation file '${validation.transformFilePath}'\n2. ${mismatch.fixInstructions}\n3. Ensure the project statement includes all required columns with correct data types\n4. Verify column names match exactly (case-sensitive)`
-                    });
-                });
-            }
-            
-        } catch (error) {
-            schemaValidationResult.warnings.push({
-                message: `Table '${validation.tableName}': Could not validate transformation schema - ${error.message}`,
-                type: 'schema_validation_error',
-                field: 'transformation_schema',
-                location: `tables[${validation.tableIndex}]`,
-                tableName: validation.tableName,
-                transformFilePath: validation.transformFilePath,
-                severity: 'warning',
-                suggestion: `Check the transformation file '${validation.transformFilePath}' for syntax errors or ensure it contains a valid project statement.`,
-                errorDetails: error.message
-            });
-        }
-    }
-    
-    // Clean up the pending validations
-    delete manifestResult.pendingSchemaValidations;
-    return schemaValidationResult;
-}
-
-function extractTransformationOutputSchema(kqlContent) {
-    const outputColumns = {};
-    
-    // Look for project statements in the KQL content
-    const projectRegex = /\|\s*project\s+([^|;]+)/gi;
-    const matches = kqlContent.match(projectRegex);
-    
-    if (matches && matches.length > 0) {
-        // Take the last project statement (most likely the final output)
-        const lastProject = matches[matches.length - 1];
-        
-        // Extract column definitions from project statement
-        const projectContent = lastProject.replace(/\|\s*project\s+/i, '').trim();
-        
-        // Split by commas but handle nested functions and expressions
-        const columnExpressions = parseProjectColumns(projectContent);
-        
-        columnExpressions.forEach(expr => {
-            const columnMatch = expr.match(/^([a-zA-Z_][a-zA-Z0-9_]*)\s*=?\s*(.*)$/);
-            if (columnMatch) {
-                const columnName = columnMatch[1].trim();
-                const expression = columnMatch[2].trim() || columnName;
-                
-                // Try to infer the data type from the expression
-                const dataType = inferDataTypeFromExpression(expression);
-                outputColumns[columnName] = {
-                    name: columnName,
-                    type: dataType,
-                    expression: expression
-                };
-            }
-        });
-    }
-    
-    // Also look for extend statements that might add columns
-    const extendRegex = /\|\s*extend\s+([^|;]+)/gi;
-    const extendMatches = kqlContent.match(extendRegex);
-    
-    if (extendMatches) {
-        extendMatches.forEach(extendStatement => {
-            const extendContent = extendStatement.replace(/\|\s*extend\s+/i, '').trim();
-            const columnExpressions = parseProjectColumns(extendContent);
-            
-            columnExpressions.forEach(expr => {
-                const columnMatch = expr.match(/^([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*(.+)$/);
-                if (columnMatch) {
-                    const columnName = columnMatch[1].trim();
-                    const expression = columnMatch[2].trim();
-                    const dataType = inferDataTypeFromExpression(expression);
-                    
-                    outputColumns[columnName] = {
-                        name: columnName,
-                        type: dataType,
-                        expression: expression
-                    };
-                }
-            });
-        });
-    }
-    
-    return outputColumns;
-}
-
-function parseProjectColumns(projectContent) {
-    const columns = [];
-    let current = '';
-    let depth = 0;
-    let inString = false;
-    let stringChar = '';
-    
-    for (let i = 0; i < projectContent.length; i++) {
-        const char = projectContent[i];
-        
-        if (!inString && (char === '"' || char === "'")) {
-            inString = true;
-            stringChar = char;
-        } else if (inString && char === stringChar) {
-            inString = false;
-            stringChar = '';
-        } else if (!inString) {
-            if (char === '(' || char === '[' || char === '{') {
-                depth++;
-            } else if (char === ')' || char === ']' || char === '}') {
-                depth--;
-            } else if (char === ',' && depth === 0) {
-                if (current.trim()) {
-                    columns.push(current.trim());
-                }
-                current = '';
-                continue;
-            }
-        }
-        
-        current += char;
-    }
-    
-    if (current.trim()) {
-        columns.push(current.trim());
-    }
-    
-    return columns;
-}
-
-function inferDataTypeFromExpression(expression) {
-    // Try to infer data type from KQL expressions
-    const expr = expression.toLowerCase().trim();
-    
-    // DateTime functions
-    if (expr.includes('todatetime') || expr.includes('now()') || expr.includes('ago(') || 
-        expr.includes('startofday') || expr.includes('endofday') || expr.includes('timegenerated')) {
-        return 'DateTime';
-    }
-    
-    // String functions
-    if (expr.includes('tostring') || expr.includes('strcat') || expr.includes('substring') || 
-        expr.includes('replace(') || expr.includes('trim(') || expr.startsWith('"') || expr.startsWith("'")) {
-        return 'String';
-    }
-    
-    // Numeric functions
-    if (expr.includes('toint') || expr.includes('parseint')) {
-        return 'Int';
-    }
-    
-    if (expr.includes('tolong') || expr.includes('parselong')) {
-        return 'Long';
-    }
-    
-    if (expr.includes('toreal') || expr.includes('todouble') || expr.includes('parsereal')) {
-        return 'Double';
-    }
-    
-    // Boolean functions
-    if (expr.includes('tobool') || expr.includes('parsebool') || expr === 'true' || expr === 'false') {
-        return 'Bool';
-    }
-    
-    // GUID functions
-    if (expr.includes('toguid') || expr.includes('parseguid')) {
-        return 'Guid';
-    }
-    
-    // Dynamic/JSON
-    if (expr.includes('parsejson') || expr.includes('todynamic') || expr.includes('bag(')) {
-        return 'Dynamic';
-    }
-    
-    // If we can't determine, return Dynamic as a safe default
-    return 'Dynamic';
-}
-
-function compareSchemas(transformationSchema, tableColumns, tableName) {
-    const mismatches = [];
-    
-    // Check each column in the table schema
-    tableColumns.forEach(expectedColumn => {
-        const columnName = expectedColumn.name;
-        const expectedType = expectedColumn.type;
-        
-        if (!transformationSchema[columnName]) {
-            mismatches.push({
-                message: `Column '${columnName}' is defined in table schema but not produced by transformation`,
-                columnName: columnName,
-                transformationValue: 'missing',
-                expectedValue: expectedType,
-                suggestion: `Add '${columnName}' to the project statement in the transformation.`,
-                fixInstructions: `Add '${columnName} = <expression>' to your project statement to produce this column`
-            });
-        } else {
-            const transformationType = transformationSchema[columnName].type;
-            
-            // Check if types match (with some flexibility for compatible types)
-            if (!areTypesCompatible(transformationType, expectedType)) {
-                mismatches.push({
-                    message: `Column '${columnName}' type mismatch`,
-                    columnName: columnName,
-                    transformationValue: transformationType,
-                    expectedValue: expectedType,
-                    suggestion: `Modify the expression for '${columnName}' to produce ${expectedType} type instead of ${transformationType}.`,
-                    fixInstructions: `Update the expression for '${columnName}' to use appropriate conversion functions (e.g., tostring(), toint(), todatetime(), etc.)`
-                });
-            }
-        }
-    });
-    
-    // Check for extra columns in transformation that aren't in table schema
-    Object.keys(transformationSchema).forEach(transformationColumn => {
-        const isInTableSchema = tableColumns.some(col => col.name === transformationColumn);
-        
-        if (!isInTableSchema) {
-            mismatches.push({
-                message: `Column '${transformationColumn}' is produced by transformation but not defined in table schema`,
-                columnName: transformationColumn,
-                transformationValue: transformationSchema[transformationColumn].type,
-                expectedValue: 'should be removed or added to table schema',
-                suggestion: `Either remove '${transformationColumn}' from the transformation project statement or add it to the table's columns definition.`,
-                fixInstructions: `Remove '${transformationColumn}' from the project statement or add it as a column in the table schema`
-            });
-        }
-    });
-    
-    return mismatches;
-}
-
-function areTypesCompatible(transformationType, expectedType) {
-    // Exact match
-    if (transformationType === expectedType) {
-        return true;
-    }
-    
-    // Compatible numeric types
-    const numericTypes = ['Int', 'Long', 'Double', 'Float', 'Real'];
-    if (numericTypes.includes(transformationType) && numericTypes.includes(expectedType)) {
-        return true;
-    }
-    
-    // String compatibility
-    if (transformationType === 'String' && expectedType === 'String') {
-        return true;
-    }
-    
-    // Dynamic can be converted to most types
-    if (transformationType === 'Dynamic') {
-        return true; // Dynamic is flexible but we'll issue a warning
-    }
-    
-    return false;
-}
-
-async function validateTransformManifestFile(file, result) {
-    const content = await readFileContent(file);
-    
-    try {
-        const manifest = JSON.parse(content);
-        
-        // Store original content for drill-down
-        result.originalContent = content;
-        result.parsedContent = manifest;
-        
-        // Add identifier that this is a transform manifest
-        result.isTransformManifest = true;
-        
-        // Check required fields for transform manifests based on documentation
-        const requiredFields = ['name', 'description', 'transformVersion', 'dataTypeId', 'transformState', 'icmTeam', 'contactDL', 'relatedTable', 'kqlFilePath', 'sampleInputRecordsFilePath', 'sampleOutputRecordsFilePath'];
-        requiredFields.forEach(field => {
-            if (!manifest[field]) {
-                result.issues.push({
-                    message: `Missing required field: ${field}`,
-                    type: 'missing_field',
-                    field: field,
-                    location: 'root',
-                    severity: 'error',
-                    suggestion: `Add the required field "${field}" to the root level of your transform manifest file.`
-                });
-                result.status = 'fail';
-            }
-        });
-        
-        // Validate transform manifest should NOT have these fields (they belong to NGSchema)
-        const forbiddenFields = ['type', 'displayName', 'simplifiedSchemaVersion', 'tables', 'functions', 'queries'];
-        forbiddenFields.forEach(field => {
-            if (manifest[field]) {
-                result.issues.push({
-                    message: `Transform manifest should not contain field: ${field}`,
-                    type: 'forbidden_field',
-                    field: field,
-                    location: 'root',
-                    currentValue: manifest[field],
-                    severity: 'error',
-                    suggestion: `Remove the "${field}" field from the transform manifest. This field belongs to the main NGSchema manifest, not transform manifests.`
-                });
-                result.status = 'fail';
-            }
-        });
-        
-        // Validate descriptions
-        if (manifest.description) {
-            validateDescription(manifest.description, 'Transform description', result, 'root.description');
-        }
-        
-        // Validate transformVersion is a number >= 1
-        if (manifest.transformVersion !== undefined) {
-            if (typeof manifest.transformVersion !== 'number' || manifest.transformVersion < 1 || !Number.isInteger(manifest.transformVersion)) {
-                result.issues.push({
-                    message: 'transformVersion must be an integer >= 1',
-                    type: 'invalid_value',
-                    field: 'transformVersion',
-                    location: 'root',
-                    currentValue: manifest.transformVersion,
-                    expectedValue: 'integer >= 1',
-                    severity: 'error',
-                    suggestion: 'Change the transformVersion to a positive integer starting from 1.'
-                });
-                result.status = 'fail';
-            }
-        }
-        
-        // Validate dataTypeId follows naming convention
-        if (manifest.dataTypeId && typeof manifest.dataTypeId === 'string') {
-            if (!manifest.dataTypeId.includes('_')) {
-                result.warnings.push({
-                    message: 'dataTypeId should follow SERVICEIDENTITYNAME_LOGCATEGORYNAME convention',
-                    type: 'naming_convention_warning',
-                    field: 'dataTypeId',
-                    location: 'root.dataTypeId',
-                    currentValue: manifest.dataTypeId,
-                    severity: 'warning',
-                    suggestion: `Consider renaming "${manifest.dataTypeId}" to follow the SERVICEIDENTITYNAME_LOGCATEGORYNAME pattern. Examples: "CISCO_SECURITY", "AZURE_AUDIT", "WINDOWS_EVENTS", "KUBERNETES_LOGS". The underscore separates the service identity from the log category.`,
-                    microsoftRequirement: 'Azure Log Analytics recommends using the SERVICEIDENTITYNAME_LOGCATEGORYNAME naming convention for dataTypeId to ensure consistency and clarity across different data sources.',
-                    fixInstructions: `Change "${manifest.dataTypeId}" to include an underscore separator, such as "${manifest.dataTypeId.toUpperCase()}_LOGCATEGORY" or "SERVICEIDENTITY_${manifest.dataTypeId.toUpperCase()}".`,
-                    validationReason: `The validator detected that "${manifest.dataTypeId}" does not contain an underscore (_), which is the standard separator in the SERVICEIDENTITYNAME_LOGCATEGORYNAME convention.`
-                });
-            }
-        }
-        
-        // Validate transformState
-        if (manifest.transformState !== undefined) {
-            const validStates = ['Validation', 'Production'];
-            if (!validStates.includes(manifest.transformState)) {
-                result.issues.push({
-                    message: 'transformState must be either "Validation" or "Production"',
-                    type: 'invalid_value',
-                    field: 'transformState',
-                    location: 'root',
-                    currentValue: manifest.transformState,
-                    expectedValue: 'Validation or Production',
-                    severity: 'error',
-                    suggestion: 'Set transformState to either "Validation" for testing or "Production" for live deployment.'
-                });
-                result.status = 'fail';
-            }
-        }
-        
-        // Validate string fields
-        const stringFields = ['name', 'icmTeam', 'contactDL', 'relatedTable', 'kqlFilePath', 'sampleInputRecordsFilePath', 'sampleOutputRecordsFilePath'];
-        stringFields.forEach(field => {
-            if (manifest[field] && typeof manifest[field] !== 'string') {
-                result.issues.push({
-                    message: `${field} must be a string`,
-                    type: 'invalid_type',
-                    field: field,
-                    location: 'root',
-                    currentValue: typeof manifest[field],
-                    expectedValue: 'string',
-                    severity: 'error',
-                    suggestion: `Change the ${field} value to a string.`
-                });
-                result.status = 'fail';
-            }
-        });
-        
-        // Validate file paths have correct extensions
-        if (manifest.kqlFilePath && !manifest.kqlFilePath.endsWith('.kql')) {
-            result.issues.push({
-                message: 'kqlFilePath must reference a .kql file',
-                type: 'invalid_file_extension',
-                field: 'kqlFilePath',
-                location: 'root',
-                currentValue: manifest.kqlFilePath,
-                severity: 'error',
-                suggestion: 'Change the kqlFilePath to reference a file with .kql extension.'
-            });
-            result.status = 'fail';
-        }
-        
-        if (manifest.sampleInputRecordsFilePath && !manifest.sampleInputRecordsFilePath.endsWith('.json')) {
-            result.issues.push({
-                message: 'sampleInputRecordsFilePath must reference a .json file',
-                type: 'invalid_file_extension',
-                field: 'sampleInputRecordsFilePath',
-                location: 'root',
-                currentValue: manifest.sampleInputRecordsFilePath,
-                severity: 'error',
-                suggestion: 'Change the sampleInputRecordsFilePath to reference a file with .json extension.'
-            });
-            result.status = 'fail';
-        }
-        
-        if (manifest.sampleOutputRecordsFilePath && !manifest.sampleOutputRecordsFilePath.endsWith('.json')) {
-            result.issues.push({
-                message: 'sampleOutputRecordsFilePath must reference a .json file',
-                type: 'invalid_file_extension',
-                field: 'sampleOutputRecordsFilePath',
-                location: 'root',
-                currentValue: manifest.sampleOutputRecordsFilePath,
-                severity: 'error',
-                suggestion: 'Change the sampleOutputRecordsFilePath to reference a file with .json extension.'
-            });
-            result.status = 'fail';
-        }
-        
-        // Validate optional inputFilePath if present (for new dataTypeIds)
-        if (manifest.inputFilePath !== undefined) {
-            if (typeof manifest.inputFilePath !== 'string') {
-                result.issues.push({
-                    message: 'inputFilePath must be a string',
-                    type: 'invalid_type',
-                    field: 'inputFilePath',
-                    location: 'root',
-                    severity: 'error',
-                    suggestion: 'Change the inputFilePath value to a string.'
-                });
-                result.status = 'fail';
-            } else if (!manifest.inputFilePath.endsWith('.json')) {
-                result.issues.push({
-                    message: 'inputFilePath must reference a .json file',
-                    type: 'invalid_file_extension',
-                    field: 'inputFilePath',
-                    location: 'root',
-                    currentValue: manifest.inputFilePath,
-                    severity: 'error',
-                    suggestion: 'Change the inputFilePath to reference a file with .json extension.'
-                });
-                result.status = 'fail';
-            }
-        }
-        
-        // Add informational note about what this transform does
-        if (manifest.relatedTable) {
-            result.warnings.push({
-                message: `This transform sends data to the "${manifest.relatedTable}" table`,
-                type: 'info',
-                field: 'relatedTable',
-                location: 'root.relatedTable',
-                currentValue: manifest.relatedTable,
-                severity: 'info',
-                suggestion: 'Ensure that the referenced table exists in the main NGSchema and that your transform KQL produces data compatible with that table structure.'
-            });
-        }
-        
-        // Determine final status based on issues
-        if (result.issues.length > 0) {
-            result.status = 'fail';
-        } else if (result.status !== 'fail') {
-            result.status = 'pass';
-        }
-        
-    } catch (error) {
-        result.status = 'fail';
-        result.issues.push({
-            message: 'Invalid JSON format: ' + error.message,
-            type: 'json_syntax_error',
-            field: 'file',
-            location: 'entire_file',
-            severity: 'error',
-            suggestion: 'Fix the JSON syntax errors in the file. Common issues include missing commas, unmatched brackets, or invalid characters.'
-        });
-    }
-    
-    return result;
-}
-
-function validateDescription(description, context, result, location) {
-    if (!description || typeof description !== 'string') {
-        result.issues.push({
-            message: `${context}: Description must be a non-empty string`,
-            type: 'invalid_type',
-            field: 'description',
-            location: location,
-            severity: 'error',
-            suggestion: `Provide a valid non-empty string for the ${context.toLowerCase()}.`
-        });
-        result.status = 'fail';
-        return;
-    }
-    
-    if (!description.charAt(0).match(/[A-Z]/)) {
-        result.issues.push({
-            message: `${context}: Description must start with a capital letter`,
-            type: 'formatting_error',
-            field: 'description',
-            location: location,
-            currentValue: description,
-            severity: 'error',
-            suggestion: `Change the first character of "${description}" to a capital letter.`
-        });
-        result.status = 'fail';
-    }
-    
-    if (!description.endsWith('.')) {
-        result.issues.push({
-            message: `${context}: Description must end with a period`,
-            type: 'formatting_error',
-            field: 'description',
-            location: location,
-            currentValue: description,
-            severity: 'error',
-            suggestion: `Add a period at the end of "${description}".`
-        });
-        result.status = 'fail';
-    }
-}
-
-/**
- * Helper function to get a meaningful table identifier for validation messages
- * Prioritizes logicalName > name > physicalName > generic fallback
- */
-function getTableDisplayName(table, index) {
-    // Priority 1: logicalName (most descriptive for users)
-    if (table.logicalName && typeof table.logicalName === 'string') {
-        return table.logicalName;
-    }
-    
-    // Priority 2: standard name field
-    if (table.name && typeof table.name === 'string') {
-        return table.name;
-    }
-    
-    // Priority 3: physicalName as fallback
-    if (table.physicalName && typeof table.physicalName === 'string') {
-        return table.physicalName;
-    }
-    
-    // Fallback: generic table reference
-    return `Table ${index + 1}`;
-}
-
-/**
- * Helper function to get a meaningful column identifier for validation messages
- * Prioritizes logicalName > name > generic fallback
- */
-function getColumnDisplayName(column, index) {
-    // Priority 1: logicalName (if available)
-    if (column.logicalName && typeof column.logicalName === 'string') {
-        return column.logicalName;
-    }
-    
-    // Priority 2: standard name field
-    if (column.name && typeof column.name === 'string') {
-        return column.name;
-    }
-    
-    // Fallback: generic column reference
-    return `Column ${index + 1}`;
-}
-
-/**
- * Helper function to get a meaningful input field identifier for validation messages
- */
-function getInputFieldDisplayName(inputField, index) {
-    // Use the name field if available
-    if (inputField.name && typeof inputField.name === 'string') {
-        return inputField.name;
-    }
-    
-    // Fallback: generic input field reference
-    return `Input field ${index + 1}`;
-}
-
-function validateTable(table, index, result) {
-    const tableName = getTableDisplayName(table, index);
-    const tableContext = `Table '${tableName}'`;
-    const tableLocation = `tables[${index}]`;
-    
-    // Check for table name - either standard 'name' OR transform pattern (workflowName + transformName + physicalName + logicalName)
-    const hasStandardName = table.name;
-    const hasTransformPattern = table.workflowName && table.transformName && table.physicalName && table.logicalName;
-    
-    if (!hasStandardName && !hasTransformPattern) {
-        result.issues.push({
-            message: `${tableContext}: Missing required field 'name' or transform pattern (workflowName, transformName, physicalName, logicalName)`,
-            type: 'missing_field',
-            field: 'name',
-            location: `${tableLocation}.name`,
-            severity: 'error',
-            suggestion: `Add either a 'name' field OR the complete transform pattern with 'workflowName', 'transformName', 'physicalName', and 'logicalName' fields for table type changes.`,
-            microsoftRequirement: 'Tables must have either a standard "name" field or use the transform pattern (workflowName, transformName, physicalName, logicalName) when changing table types in Azure Log Analytics.'
-        });
-        result.status = 'fail';
-    }
-    
-    // Transform pattern information removed - no longer showing this informational warning
-    // as it's not needed for validation purposes
-    
-    // Required fields based on official documentation (excluding name since it can be replaced by transform pattern)
-    const requiredFields = ['description', 'dataTypeId', 'artifactVersion', 'input', 'transformFilePath', 'columns'];
-    requiredFields.forEach(field => {
-        if (!table[field]) {
-            result.issues.push({
-                message: `${tableContext}: Missing required field '${field}'`,
-                type: 'missing_field',
-                field: field,
-                location: `${tableLocation}.${field}`,
-                severity: 'error',
-                suggestion: `Add the required field "${field}" to ${tableContext}.`
-            });
-            result.status = 'fail';
-        }
-    });
-    
-    // Validate table name length
-    if (table.name && table.name.length > 45) {
-        result.issues.push({
-            message: `${tableContext}: Table name must be 45 characters or less`,
-            type: 'invalid_length',
-            field: 'name',
-            location: `${tableLocation}.name`,
-            currentValue: `${table.name.length} characters`,
-            expectedValue: '45 characters or less',
-            severity: 'error',
-            suggestion: `Shorten the table name "${table.name}" to 45 characters or less.`
-        });
-        result.status = 'fail';
-    }
-    
-    // Validate description
-    if (table.description) {
-        validateDescription(table.description, `${tableContext} description`, result, `${tableLocation}.description`);
-    }
-    
-    // Validate artifactVersion is a number >= 1
-    if (table.artifactVersion !== undefined) {
-        if (typeof table.artifactVersion !== 'number' || table.artifactVersion < 1 || !Number.isInteger(table.artifactVersion)) {
-            result.issues.push(`${tableContext}: artifactVersion must be an integer >= 1`);
-            result.status = 'fail';
-        }
-    }
-    
-    // Validate dataTypeId follows naming convention
-    if (table.dataTypeId && typeof table.dataTypeId === 'string') {
-        if (!table.dataTypeId.includes('_')) {
-            result.warnings.push({
-                message: `${tableContext}: dataTypeId should follow SERVICEIDENTITYNAME_LOGCATEGORYNAME convention`,
-                type: 'naming_convention_warning',
-                field: 'dataTypeId',
-                location: `${tableLocation}.dataTypeId`,
-                currentValue: table.dataTypeId,
-                severity: 'warning',
-                suggestion: `Consider renaming "${table.dataTypeId}" to follow the SERVICEIDENTITYNAME_LOGCATEGORYNAME pattern. Examples: "CISCO_SECURITY", "AZURE_AUDIT", "WINDOWS_EVENTS", "KUBERNETES_LOGS". The underscore separates the service identity from the log category.`,
-                microsoftRequirement: 'Azure Log Analytics recommends using the SERVICEIDENTITYNAME_LOGCATEGORYNAME naming convention for dataTypeId to ensure consistency and clarity across different data sources.',
-                fixInstructions: `Change "${table.dataTypeId}" to include an underscore separator, such as "${table.dataTypeId.toUpperCase()}_LOGCATEGORY" or "SERVICEIDENTITY_${table.dataTypeId.toUpperCase()}".`,
-                validationReason: `The validator detected that "${table.dataTypeId}" does not contain an underscore (_), which is the standard separator in the SERVICEIDENTITYNAME_LOGCATEGORYNAME convention.`
-            });
-        }
-    }
-    
-    // Validate categories array (optional)
-    if (table.categories !== undefined) {
-        if (!Array.isArray(table.categories)) {
-            result.issues.push(`${tableContext}: categories must be an array`);
-            result.status = 'fail';
-        }
-    }
-    
-    // Validate boolean fields (optional)
-    const booleanFields = ['isResourceCentric', 'isHidden', 'isTroubleshootingAllowed', 'isLakeAllowed', 'isChangeColumnInternalNameAllowed'];
-    booleanFields.forEach(field => {
-        if (table[field] !== undefined && typeof table[field] !== 'boolean') {
-            result.issues.push(`${tableContext}: ${field} must be a boolean`);
-            result.status = 'fail';
-        }
-    });
-    
-    // Validate tableState
-    if (table.tableState !== undefined) {
-        const validStates = ['Validation', 'Production'];
-        if (!validStates.includes(table.tableState)) {
-            result.issues.push(`${tableContext}: tableState must be either "Validation" or "Production"`);
-            result.status = 'fail';
-        }
-    }
-    
-    // Validate input array
-    if (table.input && Array.isArray(table.input)) {
-        table.input.forEach((inputField, inputIndex) => {
-            validateInputField(inputField, inputIndex, tableContext, result);
-        });
-    } else if (table.input !== undefined) {
-        result.issues.push(`${tableContext}: input must be an array`);
-        result.status = 'fail';
-    }
-    
-    // Validate columns array
-    if (table.columns && Array.isArray(table.columns)) {
-        if (table.columns.length === 0) {
-            result.issues.push(`${tableContext}: columns array cannot be empty`);
-            result.status = 'fail';
-        } else {
-            table.columns.forEach((column, colIndex) => {
-                validateColumn(column, colIndex, tableContext, index, result);
-            });
-            
-            // Check for required TimeGenerated column
-            const timeGeneratedColumn = table.columns.find(col => col.name === 'TimeGenerated');
-            if (!timeGeneratedColumn) {
-                result.issues.push({
-                    message: `${tableContext}: Missing required TimeGenerated column`,
-                    type: 'missing_required_column',
-                    field: 'TimeGenerated',
-                    location: `${tableLocation}.columns`,
-                    severity: 'error',
-                    suggestion: 'Add a TimeGenerated column with type "DateTime" to your table. This column is required for all Log Analytics tables and must map to the $.time JSON path in Shoebox.'
-                });
-                result.status = 'fail';
-            } else {
-                // Validate TimeGenerated column properties
-                if (timeGeneratedColumn.type !== 'DateTime') {
-                    result.issues.push({
-                        message: `${tableContext}: TimeGenerated column must be of type "DateTime"`,
-                        type: 'invalid_column_type',
-                        field: 'TimeGenerated.type',
-                        location: `${tableLocation}.columns.TimeGenerated.type`,
-                        currentValue: timeGeneratedColumn.type,
-                        expectedValue: 'DateTime',
-                        severity: 'error',
-                        suggestion: 'Change the TimeGenerated column type to "DateTime".'
-                    });
-                    result.status = 'fail';
-                }
-                
-                // Note: The JSON path mapping ($.time) is typically handled at the ingestion pipeline level
-                // and may not be explicitly defined in the manifest, so we don't validate it here
-            }
-            
-            // Check for forbidden system-added columns (these will be added by the ingestion pipeline)
-            const systemAddedColumns = ['Type', 'TenantId', '_ResourceId', '_SubscriptionId'];
-            table.columns.forEach((column, colIndex) => {
-                if (systemAddedColumns.includes(column.name)) {
-                    result.issues.push({
-                        message: `${tableContext}: Column "${column.name}" is automatically added by the ingestion pipeline and should not be included in your schema`,
-                        type: 'forbidden_system_column',
-                        field: `columns[${colIndex}].name`,
-                        location: `${tableLocation}.columns[${colIndex}].name`,
-                        currentValue: column.name,
-                        severity: 'error',
-                        suggestion: `Remove the "${column.name}" column from your schema. This column will be automatically added by the Azure Log Analytics ingestion pipeline.`
-                    });
-                    result.status = 'fail';
-                }
-            });
-            
-            // Check for reserved column names that are blocked
-            const reservedColumns = ['resource', 'resourceid', 'resourcename', 'resourcetype', 'subscriptionid'];
-            table.columns.forEach((column, colIndex) => {
-                // Enhanced error handling for column.name.toLowerCase()
-                try {
-                    // Check if column has either standard name or transform pattern
-                    const hasStandardName = column.name && typeof column.name === 'string';
-                    const hasTransformPattern = column.transformName && column.physicalName && column.logicalName;
-                    
-                    if (!hasStandardName && !hasTransformPattern) {
-                        result.issues.push({
-                            message: `${tableContext}: Column ${colIndex + 1} has invalid or missing name`,
-                            type: 'invalid_column_name',
-                            field: `columns[${colIndex}].name`,
-                            location: `${tableLocation}.columns[${colIndex}].name`,
-                            currentValue: column.name ? typeof column.name : 'undefined',
-                            expectedValue: 'valid string name or transform pattern',
-                            severity: 'error',
-                            suggestion: 'Ensure each column has either a valid string name property OR the complete transform pattern (transformName, physicalName, logicalName).',
-                            microsoftRequirement: 'All columns must have valid string names or use the transform pattern for Azure Log Analytics validation.'
-                        });
-                        result.status = 'fail';
-                        return; // Skip further processing for this column
-                    }
-                    
-                    // Only check reserved names for standard columns (not transform pattern)
-                    if (!hasStandardName) {
-                        return; // Skip reserved name check for transform pattern columns
-                    }
-                    
-                    if (reservedColumns.includes(column.name.toLowerCase())) {
-                        result.issues.push({
-                            message: `${tableContext}: Column name "${column.name}" is reserved and will be blocked at validation`,
-                            type: 'reserved_column_name',
-                            field: `columns[${colIndex}].name`,
-                            location: `${tableLocation}.columns[${colIndex}].name`,
-                            currentValue: column.name,
-                            severity: 'error',
-                            suggestion: `Choose a different name for the "${column.name}" column. Reserved names: resource, resourceid, resourcename, resourcetype, subscriptionid.`
-                        });
-                        result.status = 'fail';
-                    }
-                } catch (error) {
-                    result.issues.push({
-                        message: `${tableContext}: Error processing column ${colIndex + 1} name - ${error.message}`,
-                        type: 'column_name_processing_error',
-                        field: `columns[${colIndex}].name`,
-                        location: `${tableLocation}.columns[${colIndex}].name`,
-                        severity: 'error',
-                        currentValue: column.name,
-                        expectedValue: 'valid string',
-                        suggestion: 'Ensure the column name is a valid string that can be processed.',
-                        microsoftRequirement: 'Column names must be valid strings for Azure Log Analytics processing.',
-                        fixInstructions: 'Check the column name for invalid characters or encoding issues.',
-                        errorDetails: `JavaScript error: ${error.message}`
-                    });
-                    result.status = 'fail';
-                }
-            });
-            
-            // Check for tenantid column (special case - will be overridden by system)
-            try {
-                const tenantIdColumn = table.columns.find(col => {
-                    if (!col.name || typeof col.name !== 'string') {
-                        return false; // Skip invalid column names
-                    }
-                    try {
-                        return col.name.toLowerCase() === 'tenantid';
-                    } catch (error) {
-                        // Silent error handling - unable to process column name
-                        return false;
-                    }
-                });
-                
-                if (tenantIdColumn) {
-                    result.issues.push({
-                        message: `${tableContext}: Column "tenantid" is reserved and its value will be overridden by the system (contains workspaceId, not tenantId)`,
-                        type: 'reserved_overridden_column',
-                        field: 'tenantid',
-                        location: `${tableLocation}.columns.tenantid`,
-                        currentValue: tenantIdColumn.name,
-                        severity: 'error',
-                        suggestion: 'Remove the "tenantid" column from your schema. If you need tenant information, use a different column name. Note that the system-provided tenantid actually contains the workspaceId.'
-                    });
-                    result.status = 'fail';
-                }
-            } catch (error) {
-                result.issues.push({
-                    message: `${tableContext}: Error checking for reserved tenantid column - ${error.message}`,
-                    type: 'tenantid_check_error',
-                    field: 'columns',
-                    location: `${tableLocation}.columns`,
-                    severity: 'error',
-                    suggestion: 'Check that all column names are valid strings.',
-                    microsoftRequirement: 'Column validation requires all column names to be processable as strings.',
-                    fixInstructions: 'Ensure all columns have valid string names.',
-                    errorDetails: `JavaScript error: ${error.message}`
-                });
-                result.status = 'fail';
-            }
-        }
-    } else if (table.columns !== undefined) {
-        result.issues.push(`${tableContext}: columns must be an array`);
-        result.status = 'fail';
-    }
-}
-
-function validateInputField(inputField, index, tableContext, result) {
-    const inputFieldName = getInputFieldDisplayName(inputField, index);
-    const inputContext = `${tableContext}, Input field '${inputFieldName}'`;
-    const inputLocation = `${tableContext.replace(' ', '').toLowerCase()}.input[${index}]`;
-    
-    // Required fields for input
-    const requiredFields = ['name', 'type'];
-    requiredFields.forEach(field => {
-        if (!inputField[field]) {
-            result.issues.push({
-                message: `${inputContext}: Missing required field '${field}'`,
-                type: 'missing_field',
-                field: field,
-                location: `${inputLocation}.${field}`,
-                severity: 'error',
-                suggestion: `Add the required field "${field}" to the input field definition.`
-            });
-            result.status = 'fail';
-        }
-    });
-    
-    // Validate input data type
-    const validInputTypes = ['Bool', 'SByte', 'Byte', 'Short', 'UShort', 'Int', 'UInt', 'Long', 'ULong', 'Float', 'Double', 'String', 'DateTime', 'Guid', 'Dynamic'];
-    if (inputField.type && !validInputTypes.includes(inputField.type)) {
-        // Check for common capitalization corrections
-        const typeCorrections = {
-            'bool': 'Bool',
-            'sbyte': 'SByte',
-            'byte': 'Byte',
-            'short': 'Short',
-            'ushort': 'UShort',
-            'int': 'Int',
-            'uint': 'UInt',
-            'long': 'Long',
-            'ulong': 'ULong',
-            'float': 'Float',
-            'double': 'Double',
-            'string': 'String',
-            'datetime': 'DateTime',
-            'guid': 'Guid',
-            'dynamic': 'Dynamic'
-        };
-        
-        const lowerType = inputField.type.toLowerCase();
-        const correctType = typeCorrections[lowerType];
-        
-        if (correctType) {
-            result.issues.push({
-                message: `${inputContext}: Input data type '${inputField.type}' should be '${correctType}'`,
-                type: 'incorrect_capitalization',
-                field: 'type',
-                location: `${inputLocation}.type`,
-                currentValue: inputField.type,
-                expectedValue: correctType,
-                severity: 'error',
-                suggestion: `Change "${inputField.type}" to "${correctType}" - Azure Log Analytics requires proper capitalization of data types.`,
-                microsoftRequirement: 'Azure Log Analytics input data types must use proper capitalization (e.g., "DateTime" not "datetime").',
-                fixInstructions: `Change the type from "${inputField.type}" to "${correctType}"`
-            });
-        } else {
-            result.issues.push({
-                message: `${inputContext}: Invalid input data type '${inputField.type}'`,
-                type: 'invalid_value',
-                field: 'type',
-                location: `${inputLocation}.type`,
-                currentValue: inputField.type,
-                expectedValue: `One of: ${validInputTypes.join(', ')}`,
-                severity: 'error',
-                suggestion: `Change the input data type from "${inputField.type}" to one of the valid types.`
-            });
-        }
-        result.status = 'fail';
-    }
-    
-    // Add warning for Dynamic type usage in input fields
-    if (inputField.type === 'Dynamic') {
-        if (!result.warnings) result.warnings = [];
-        result.warnings.push({
-            message: `${inputContext}: Dynamic type usage detected`,
-            type: 'performance_warning',
-            field: 'type',
-            location: `${inputLocation}.type`,
-            currentValue: inputField.type,
-            severity: 'warning',
-            suggestion: `Consider using a specific data type instead of "Dynamic" for better performance and query authoring. Dynamic fields can impact query performance and make queries more complex. If possible, promote frequently used fields to top-level columns with specific types.`
-        });
-    }
-}
-
-function validateColumn(column, index, tableContext, tableIndex, result) {
-    const columnName = getColumnDisplayName(column, index);
-    const columnContext = `${tableContext}, Column '${columnName}'`;
-    const columnLocation = `tables[${tableIndex}].columns[${index}]`;
-    
-    // Check for column name - either standard 'name' OR transform pattern (transformName + physicalName + logicalName)
-    const hasStandardName = column.name;
-    const hasTransformPattern = column.transformName && column.physicalName && column.logicalName;
-    
-    if (!hasStandardName && !hasTransformPattern) {
-        result.issues.push({
-            message: `${columnContext}: Missing required field 'name' or transform pattern (transformName, physicalName, logicalName)`,
-            type: 'missing_field',
-            field: 'name',
-            location: `${columnLocation}.name`,
-            columnIndex: index,
-            severity: 'error',
-            suggestion: `Add either a 'name' field OR the complete transform pattern with 'transformName', 'physicalName', and 'logicalName' fields for column type changes.`,
-            microsoftRequirement: 'Columns must have either a standard "name" field or use the transform pattern (transformName, physicalName, logicalName) when changing column types in Azure Log Analytics.'
-        });
-        result.status = 'fail';
-    }
-    
-    // Validate other required fields
-    const otherRequiredFields = ['type', 'description'];
-    otherRequiredFields.forEach(field => {
-        if (!column.hasOwnProperty(field) || column[field] === null || column[field] === undefined) {
-            result.issues.push({
-                message: `${columnContext}: Missing required field '${field}'`,
-                type: 'missing_field',
-                field: field,
-                location: `${columnLocation}.${field}`,
-                severity: 'error',
-                suggestion: `Add the required field "${field}" to the column definition.`
-            });
-            result.status = 'fail';
-        } else if (field === 'description' && typeof column[field] === 'string' && column[field].trim() === '') {
-            result.issues.push({
-                message: `${columnContext}: Empty description field`,
-                type: 'formatting_error',
-                field: 'description',
-                location: `${columnLocation}.description`,
-                currentValue: column[field],
-                severity: 'error',
-                suggestion: `Add a meaningful description for the column.`,
-                microsoftRequirement: 'All columns must have a non-empty description field to help users understand the data.',
-                fixInstructions: 'Replace the empty description with a meaningful description of what this column contains.'
-            });
-            result.status = 'fail';
-        }
-    });
-    
-    // Validate description
-    if (column.description) {
-        validateDescription(column.description, `${columnContext} description`, result, `${columnLocation}.description`);
-    }
-    
-    // Validate data type (column types for Log Analytics tables)
-    const validTypes = ['String', 'Int', 'BigInt', 'SmallInt', 'TinyInt', 'Float', 'Double', 'Bool', 'DateTime', 'Guid', 'Binary', 'Dynamic'];
-    if (column.type && !validTypes.includes(column.type)) {
-        // Check for common capitalization corrections
-        const typeCorrections = {
-            'string': 'String',
-            'int': 'Int',
-            'bigint': 'BigInt',
-            'smallint': 'SmallInt',
-            'tinyint': 'TinyInt',
-            'float': 'Float',
-            'double': 'Double',
-            'bool': 'Bool',
-            'boolean': 'Bool',
-            'datetime': 'DateTime',
-            'guid': 'Guid',
-            'binary': 'Binary',
-            'dynamic': 'Dynamic'
-        };
-        
-        const lowerType = column.type.toLowerCase();
-        const correctType = typeCorrections[lowerType];
-        
-        if (correctType) {
-            result.issues.push({
-                message: `${columnContext}: Column data type '${column.type}' should be '${correctType}'`,
-                type: 'incorrect_capitalization',
-                field: 'type',
-                location: `${columnLocation}.type`,
-                currentValue: column.type,
-                expectedValue: correctType,
-                severity: 'error',
-                suggestion: `Change "${column.type}" to "${correctType}" - Azure Log Analytics requires proper capitalization of data types.`,
-                microsoftRequirement: 'Azure Log Analytics column data types must use proper capitalization (e.g., "DateTime" not "datetime").',
-                fixInstructions: `Change the type from "${column.type}" to "${correctType}"`
-            });
-        } else {
-            result.issues.push({
-                message: `${columnContext}: Invalid data type '${column.type}'`,
-                type: 'invalid_value',
-                field: 'type',
-                location: `${columnLocation}.type`,
-                currentValue: column.type,
-                expectedValue: `One of: ${validTypes.join(', ')}`,
-                severity: 'error',
-                suggestion: `Change the column data type from "${column.type}" to one of the valid types.`
-            });
-        }
-        result.status = 'fail';
-    }
-    
-    // Add warning for Dynamic type usage in columns
-    if (column.type === 'Dynamic') {
-        if (!result.warnings) result.warnings = [];
-        result.warnings.push({
-            message: `${columnContext}: Dynamic type usage detected`,
-            type: 'performance_warning',
-            field: 'type',
-            location: `${columnLocation}.type`,
-            currentValue: column.type,
-            severity: 'warning',
-            suggestion: `Consider using a specific data type instead of "Dynamic" for better performance and query authoring. Dynamic fields can impact query performance and make queries more complex. If possible, promote frequently used fields to top-level columns with specific types.`
-        });
-    }
-    
-    // Validate boolean fields (optional)
-    const booleanFields = ['isDefaultDisplay', 'isHidden', 'isPreferredFacet'];
-    booleanFields.forEach(field => {
-        if (column[field] !== undefined && typeof column[field] !== 'boolean') {
-            result.issues.push(`${columnContext}: ${field} must be a boolean`);
-            result.status = 'fail';
-        }
-    });
-    
-    // Validate dataTypeHint (optional)
-    if (column.dataTypeHint !== undefined) {
-        const validHints = ['IP', 'GUID', 'URI', 'ARMPath'];
-        if (!validHints.includes(column.dataTypeHint)) {
-            result.issues.push(`${columnContext}: dataTypeHint must be one of: ${validHints.join(', ')}`);
-            result.status = 'fail';
-        }
-    }
-}
-
-function validateFunction(func, index, result, lines) {
-    const functionContext = `Function ${index + 1}`;
-    const functionLocation = `functions[${index}]`;
-    
-    // Calculate the actual line number where this function starts in the file
-    let functionStartLine = null;
-    if (lines) {
-        let currentFunctionIndex = -1;
-        let inFunctionsArray = false;
-        let braceDepth = 0;
-        
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            // Look for the start of functions array
-            if (line.includes('"functions"') && line.includes('[')) {
-                inFunctionsArray = true;
-                continue;
-            }
-            
-            if (inFunctionsArray) {
-                // Track opening braces that might start a function
-                if (line === '{' || line.endsWith('{')) {
-                    if (braceDepth === 0) {
-                        currentFunctionIndex++;
-                        if (currentFunctionIndex === index) {
-                            functionStartLine = i + 1; // Convert to 1-based line number
-                            break;
-                        }
-                    }
-                    braceDepth++;
-                }
-                
-                // Track closing braces
-                if (line === '}' || line.startsWith('}')) {
-                    braceDepth--;
-                    if (braceDepth < 0) {
-                        // We've gone past the functions array
-                        break;
-                    }
-                }
-            }
-        }
-    }
-    
-    // Required fields based on official documentation
-    const requiredFields = ['name', 'displayName', 'description', 'bodyFilePath'];
-    requiredFields.forEach(field => {
-        if (!func[field]) {
-            // Generate appropriate fix code for the missing field
-            let fixCode = '';
-            switch (field) {
-                case 'name':
-                    fixCode = `"name": "_Function_Name"`;
-                    break;
-                case 'displayName':
-                    fixCode = `"displayName": "Function Display Name"`;
-                    break;
-                case 'description':
-                    fixCode = `"description": "Function description."`;
-                    break;
-                case 'bodyFilePath':
-                    fixCode = `"bodyFilePath": "KQL/Function.kql"`;
-                    break;
-                default:
-                    fixCode = `"${field}": "value"`;
-            }
-            
-            const missingFieldError = {
-                message: `${functionContext}: Missing required field '${field}'`,
-                type: 'missing_field',
-                field: field,
-                location: `${functionLocation}.${field}`,
-                severity: 'error',
-                suggestion: `Add the required field "${field}" to ${functionContext}.`,
-                fixCode: fixCode,
-                microsoftRequirement: `Functions must include all required fields: name, displayName, description, and bodyFilePath.`,
-                lineNumber: functionStartLine
-            };
-            
-            result.issues.push(missingFieldError);
-            result.status = 'fail';
-        }
-    });
-    
-    // Validate description
-    if (func.description) {
-        validateDescription(func.description, `${functionContext} description`, result, `functions[${index}].description`);
-    }
-    
-    // Validate parameters (optional string)
-    if (func.parameters !== undefined && typeof func.parameters !== 'string') {
-        result.issues.push({
-            message: `${functionContext}: parameters must be a string (e.g., "Param1:string, Param2:datetime")`,
-            type: 'invalid_type',
-            field: 'parameters',
-            location: `${functionLocation}.parameters`,
-            currentValue: typeof func.parameters,
-            expectedValue: 'string',
-            severity: 'error',
-            suggestion: `Change the parameters field to a string format.`
-        });
-        result.status = 'fail';
-    }
-    
-    // Validate categories (optional array)
-    if (func.categories !== undefined) {
-        if (!Array.isArray(func.categories)) {
-            result.issues.push({
-                message: `${functionContext}: categories must be an array`,
-                type: 'invalid_type',
-                field: 'categories',
-                location: `${functionLocation}.categories`,
-                currentValue: typeof func.categories,
-                expectedValue: 'array',
-                severity: 'error',
-                suggestion: `Change the categories field to an array format.`
-            });
-            result.status = 'fail';
-        }
-    }
-}
-
-function validateQuery(query, index, result) {
-    const queryContext = `Query ${index + 1}`;
-    const queryLocation = `queries[${index}]`;
-    
-    // Required fields based on official documentation
-    const requiredFields = ['displayName', 'description', 'bodyFilePath'];
-    requiredFields.forEach(field => {
-        if (!query[field]) {
-            result.issues.push({
-                message: `${queryContext}: Missing required field '${field}'`,
-                type: 'missing_field',
-                field: field,
-                location: `${queryLocation}.${field}`,
-                severity: 'error',
-                suggestion: `Add the required field "${field}" to ${queryContext}.`
-            });
-            result.status = 'fail';
-        }
-    });
-    
-    // Validate id (should be GUID)
-    if (query.id !== undefined) {
-        const guidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-        if (!guidRegex.test(query.id)) {
-            result.issues.push({
-                message: `${queryContext}: id should be a valid GUID`,
-                type: 'invalid_format',
-                field: 'id',
-                location: `${queryLocation}.id`,
-                currentValue: query.id,
-                expectedValue: 'Valid GUID format',
-                severity: 'error',
-                suggestion: `Change the id to a valid GUID format (e.g., "12345678-1234-1234-1234-123456789012").`
-            });
-            result.status = 'fail';
-        }
-    }
-    
-    // Validate description
-    if (query.description) {
-        validateDescription(query.description, `${queryContext} description`, result, `${queryLocation}.description`);
-    }
-    
-    // Validate categories (optional array)
-    if (query.categories !== undefined) {
-        if (!Array.isArray(query.categories)) {
-            result.issues.push({
-                message: `${queryContext}: categories must be an array`,
-                type: 'invalid_type',
-                field: 'categories',
-                location: `${queryLocation}.categories`,
-                currentValue: typeof query.categories,
-                expectedValue: 'array',
-                severity: 'error',
-                suggestion: `Change the categories field to an array format.`
-            });
-            result.status = 'fail';
-        }
-    }
-}
-
-async function validateKQLFile(file, result) {
-    const content = await readFileContent(file);
-    
-    // Store original content for drill-down
-    result.originalContent = content;
-    
-    // Enhanced error handling for undefined content
-    if (content === undefined || content === null) {
-        result.status = 'fail';
-        result.issues.push({
-            message: 'Invalid KQL file: Cannot read file content (content is undefined)',
-            type: 'undefined_content_error',
-            field: 'file_content',
-            location: 'entire_file',
-            severity: 'error',
-            currentValue: 'undefined',
-            expectedValue: 'valid KQL content',
-            suggestion: 'Ensure the KQL file contains valid text content. The file may be corrupted or empty.',
-            microsoftRequirement: 'KQL files must contain valid Kusto Query Language syntax for data transformation.',
-            fixInstructions: 'Check that the file is not corrupted and contains valid KQL syntax. Re-upload the file if necessary.'
-        });
-        return result;
-    }
-    
-    // Basic KQL syntax validation
-    if (content.trim() === '') {
-        result.issues.push({
-            message: 'KQL file is empty',
-            type: 'empty_file_error',
-            field: 'file_content',
-            location: 'entire_file',
-            severity: 'error',
-            currentValue: 'empty file',
-            expectedValue: 'valid KQL content',
-            suggestion: 'Add KQL syntax to the file. Include transformation logic, queries, or function definitions.',
-            microsoftRequirement: 'KQL files must contain valid Kusto Query Language syntax for data transformation.',
-            fixInstructions: 'Add proper KQL syntax such as: let, extend, project, where, summarize, join, or union statements.'
-        });
-        result.status = 'fail';
-    }
-    
-    // Enhanced error handling for content.toLowerCase()
-    try {
-        // Perform detailed line-by-line analysis
-        const lines = content.split('\n');
-        const problematicLines = [];
-        const kqlKeywords = ['let', 'datatable', 'extend', 'project', 'where', 'summarize', 'join', 'union', 'table', 'print', 'evaluate', 'sort', 'top', 'take', 'limit', 'count', 'distinct', 'parse', 'split', 'extract', 'substring', 'replace', 'strcat', 'strlen', 'tolower', 'toupper', 'trim', 'isempty', 'isnotempty', 'isnull', 'isnotnull', 'case', 'iff', 'coalesce', 'toscalar', 'tostring', 'toint', 'tolong', 'toreal', 'todouble', 'tobool', 'todatetime', 'totimespan', 'ago', 'now', 'startofday', 'endofday', 'startofweek', 'endofweek', 'startofmonth', 'endofmonth', 'startofyear', 'endofyear', 'bin', 'floor', 'ceiling', 'round', 'abs', 'sign', 'sqrt', 'pow', 'log', 'log10', 'exp', 'sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'degrees', 'radians', 'pi', 'rand', 'range', 'repeat', 'series', 'materialize', 'mv-expand', 'mv-apply', 'sample', 'sample-distinct', 'shuffle', 'prev', 'next', 'row_number', 'rank', 'dense_rank', 'percentile', 'percentiles', 'dcount', 'dcountif', 'hll', 'hll_merge', 'tdigest', 'tdigest_merge', 'variance', 'variances', 'stdev', 'stdevp', 'correlation', 'beta_cdf', 'beta_inv', 'beta_pdf', 'gamma_cdf', 'gamma_inv', 'gamma_pdf', 'normal_cdf', 'normal_inv', 'normal_pdf', 'poisson_cdf', 'poisson_pdf', 'weibull_cdf', 'weibull_pdf', 'zipf_cdf', 'zipf_pdf'];
-        const commonPatterns = [
-            /^\s*\/\/.*$/,  // Single-line comments
-            /^\s*\/\*[\s\S]*?\*\/\s*$/,  // Multi-line comments
-            /^\s*$/,  // Empty lines
-            /^\s*\|/,  // Pipe operations
-            /^\s*;/,  // Semicolon (statement terminators)
-            /^\s*\w+\s*\(/,  // Function calls
-            /^\s*\w+\s*=/,  // Variable assignments
-            /^\s*\w+\s*:/,  // Column references
-            /^\s*\w+\s*\|/,  // Pipe starting with identifier
-            /^\s*\d+/,  // Starting with numbers
-            /^\s*"[^"]*"/,  // String literals
-            /^\s*'[^']*'/,  // String literals (single quotes)
-            /^\s*\[.*\]/,  // Array/bracket notation
-            /^\s*\{.*\}/,  // Object/brace notation
-            /^\s*\w+\s*\w+/,  // Two word patterns (common in KQL)
-            /^\s*\w+\s*\(/,  // Function-like patterns
-            /^\s*(true|false|null)\s*$/i,  // Boolean/null literals
-            /^\s*\d+\.\d+/,  // Decimal numbers
-            /^\s*\w+\s*\.\s*\w+/,  // Property access patterns
-            /^\s*\w+\s*\[\s*\w+\s*\]/,  // Array access patterns
-            /^\s*\w+\s*\w+\s*\(/,  // Function calls with namespace
-            /^\s*\w+\s*\|\s*\w+/,  // Pipe with identifiers
-            /^\s*\w+\s*\w+\s*:/,  // Column definitions
-            /^\s*\w+\s*\w+\s*=/,  // Variable assignments
-            /^\s*\w+\s*\w+\s*\|/,  // Pipe operations
-            /^\s*\w+\s*\w+\s*\w+/,  // Three word patterns
-            /^\s*\w+\s*\w+\s*\w+\s*\(/,  // Complex function calls
-            /^\s*\w+\s*\w+\s*\w+\s*=/,  // Complex assignments
-            /^\s*\w+\s*\w+\s*\w+\s*:/,  // Complex column definitions
-        ];
-        
-        let hasAnyKQLKeywords = false;
-        let nonEmptyLines = 0;
-        let suspiciousLines = 0;
-        
-        lines.forEach((line, index) => {
-            const lineNumber = index + 1;
-            const trimmedLine = line.trim();
-            
-            // Skip empty lines and comments
-            if (trimmedLine === '' || trimmedLine.startsWith('//') || trimmedLine.startsWith('/*')) {
-                return;
-            }
-            
-            nonEmptyLines++;
-            
-            // Check for KQL keywords in this line
-            const lineHasKQLKeywords = kqlKeywords.some(keyword => {
-                return trimmedLine.toLowerCase().includes(keyword.toLowerCase());
-            });
-            
-            if (lineHasKQLKeywords) {
-                hasAnyKQLKeywords = true;
-            }
-            
-            // Check if the line matches common KQL patterns
-            const matchesKQLPattern = commonPatterns.some(pattern => pattern.test(trimmedLine));
-            
-            // If line doesn't match KQL patterns and doesn't contain KQL keywords, it's suspicious
-            if (!matchesKQLPattern && !lineHasKQLKeywords && trimmedLine.length > 0) {
-                suspiciousLines++;
-                problematicLines.push({
-                    lineNumber: lineNumber,
-                    content: trimmedLine,
-                    issue: 'Line does not match expected KQL syntax patterns',
-                    suggestions: [
-                        'Ensure the line contains valid KQL syntax',
-                        'Check for proper operators (|, =, :, etc.)',
-                        'Verify function calls and variable assignments',
-                        'Common KQL patterns: "| where", "| extend", "| project", "let variable ="'
-                    ]
-                });
-            }
-        });
-        
-        // If no KQL keywords found and we have non-empty lines, report detailed issues
-        if (!hasAnyKQLKeywords && nonEmptyLines > 0) {
-            let detailedMessage = 'File does not appear to contain standard KQL syntax';
-            let detailedSuggestion = 'Verify that the file contains valid KQL syntax. Common KQL keywords include: let, extend, project, where, summarize, join, union.';
-            
-            // Add specific line information if we found problematic lines
-            if (problematicLines.length > 0) {
-                detailedMessage = `File contains ${problematicLines.length} line(s) that do not match KQL syntax patterns out of ${nonEmptyLines} non-empty lines`;
-                detailedSuggestion = `Review the following problematic lines and ensure they contain valid KQL syntax:\n\n${problematicLines.map(line => `Line ${line.lineNumber}: "${line.content}"`).join('\n')}`;
-            }
-            
-            result.warnings.push({
-                message: detailedMessage,
-                type: 'missing_kql_syntax_warning',
-                field: 'file_content',
-                location: 'entire_file',
-                severity: 'warning',
-                suggestion: detailedSuggestion,
-                microsoftRequirement: 'KQL files should contain valid Kusto Query Language syntax for Azure Log Analytics data transformation.',
-                problematicLines: problematicLines.length > 0 ? problematicLines : undefined,
-                lineAnalysis: {
-                    totalLines: lines.length,
-                    nonEmptyLines: nonEmptyLines,
-                    suspiciousLines: suspiciousLines,
-                    hasKQLKeywords: hasAnyKQLKeywords
-                }
-            });
-        }
-        
-        // If we have a high percentage of suspicious lines, escalate to error
-        if (nonEmptyLines > 0 && suspiciousLines > 0 && (suspiciousLines / nonEmptyLines) > 0.7) {
-            result.status = 'fail';
-            result.issues.push({
-                message: `File contains ${suspiciousLines} out of ${nonEmptyLines} lines that do not match KQL syntax patterns`,
-                type: 'invalid_kql_syntax_error',
-                field: 'file_content',
-                location: 'multiple_lines',
-                severity: 'error',
-                currentValue: `${suspiciousLines}/${nonEmptyLines} problematic lines`,
-                expectedValue: 'valid KQL syntax',
-                suggestion: `Most lines in this file do not appear to contain valid KQL syntax. Review the file content and ensure it contains proper Kusto Query Language statements.`,
-                microsoftRequirement: 'KQL files must contain valid Kusto Query Language syntax for Azure Log Analytics data transformation.',
-                problematicLines: problematicLines,
-                fixInstructions: 'Review each problematic line and ensure it follows KQL syntax rules. Common KQL statements include: let, extend, project, where, summarize, join, union.'
-            });
-        }
-        
-    } catch (error) {
-        result.status = 'fail';
-        result.issues.push({
-            message: `Invalid KQL file: Error processing content - ${error.message}`,
-            type: 'content_processing_error',
-            field: 'file_content',
-            location: 'entire_file',
-            severity: 'error',
-            currentValue: typeof content,
-            expectedValue: 'string',
-            suggestion: 'Ensure the KQL file contains valid text content. The file may be corrupted or contain invalid characters.',
-            microsoftRequirement: 'KQL files must contain valid Kusto Query Language syntax as plain text.',
-            fixInstructions: 'Check the file encoding and ensure it contains valid text. Re-create the file if necessary with proper KQL syntax.',
-            errorDetails: `JavaScript error: ${error.message}`
-        });
-    }
-    
-    return result;
-}
-
-async function validateJSONFile(file, result) {
-    const content = await readFileContent(file);
-    
-    // Store original content for drill-down
-    result.originalContent = content;
-    
-    // Enhanced error handling for undefined file name
-    if (!file || !file.name || typeof file.name !== 'string') {
-        result.status = 'fail';
-        result.issues.push({
-            message: 'Invalid JSON file: File name is undefined or invalid',
-            type: 'undefined_filename_error',
-            field: 'file_name',
-            location: 'file_metadata',
-            severity: 'error',
-            currentValue: file ? (file.name ? typeof file.name : 'undefined') : 'null',
-            expectedValue: 'valid filename string',
-            suggestion: 'Ensure the file has a valid name. The file object may be corrupted.',
-            microsoftRequirement: 'All files must have valid names for Azure Log Analytics validation.',
-            fixInstructions: 'Re-upload the file or check that the file is not corrupted.'
-        });
-        return result;
-    }
-    
-    try {
-        const json = JSON.parse(content);
-        result.parsedContent = json;
-        
-        // Enhanced error handling for file.name.toLowerCase()
-        let fileName;
-        try {
-            fileName = file.name.toLowerCase();
-        } catch (error) {
-            result.status = 'fail';
-            result.issues.push({
-                message: `Invalid JSON file: Error processing filename - ${error.message}`,
-                type: 'filename_processing_error',
-                field: 'file_name',
-                location: 'file_metadata',
-                severity: 'error',
-                currentValue: file.name,
-                expectedValue: 'valid filename string',
-                suggestion: 'Ensure the file has a valid name that can be processed. The filename may contain invalid characters.',
-                microsoftRequirement: 'File names must be valid strings for Azure Log Analytics processing.',
-                fixInstructions: 'Rename the file with a valid filename and re-upload.',
-                errorDetails: `JavaScript error: ${error.message}`
-            });
-            return result;
-        }
-        
-        // Determine file type based on filename patterns
-        const isSampleFile = fileName.includes('sample') || fileName.includes('input') || fileName.includes('output');
-        const isInputSample = fileName.includes('input') || fileName.includes('sampleinput');
-        const isOutputSample = fileName.includes('output') || fileName.includes('sampleoutput');
-        
-        // Check if it's an array (required for sample data)
-        if (!Array.isArray(json)) {
-            const fileTypeContext = isSampleFile ? 
-                (isInputSample ? 'sample input records file' : 
-                 isOutputSample ? 'sample output records file' : 'sample data file') : 
-                'JSON data file';
-            
-            result.issues.push({
-                message: `JSON file must contain an array of sample records`,
-                type: 'invalid_json_structure',
-                field: 'file_content',
-                location: 'entire_file',
-                currentValue: Array.isArray(json) ? 'array' : (typeof json === 'object' ? 'object' : typeof json),
-                expectedValue: 'array',
-                severity: 'error',
-                fileType: fileTypeContext,
-                suggestion: `According to Microsoft Azure Log Analytics documentation, ${fileTypeContext} must contain a JSON array of log records. Wrap your JSON object in square brackets to create an array, or add multiple sample records for better validation coverage.`,
-                microsoftRequirement: 'Your sample file should contain JSON list of message objects. If the file contains a single log entry, it should be framed as a list with a single item.',
-                fixInstructions: isSampleFile ? 
-                    'Convert your JSON object to an array by wrapping it in square brackets []. This ensures proper validation and compatibility with Azure Log Analytics ingestion pipeline.' :
-                    'Ensure your JSON file contains an array structure for proper data processing.',
-                examples: {
-                    incorrect: typeof json === 'object' ? JSON.stringify(json, null, 2) : String(json),
-                    correct: typeof json === 'object' ? JSON.stringify([json], null, 2) : `[${String(json)}]`
-                }
-            });
-            result.status = 'fail';
-        } else if (json.length === 0) {
-            result.warnings.push({
-                message: 'JSON array is empty - no sample records provided',
-                type: 'empty_sample_data',
-                field: 'file_content',
-                location: 'entire_file',
-                currentValue: '0 records',
-                severity: 'warning',
-                fileType: isSampleFile ? 'sample data file' : 'JSON data file',
-                suggestion: 'Add at least one sample record to the array. Multiple entries are recommended if your log entries vary by data they provide, to cover possible variations.',
-                microsoftRequirement: 'At least one log message is required per file, but multiple entries could be present.'
-            });
-        } else {
-            // Additional validation for sample files
-            if (isSampleFile) {
-                // Check if records look like proper log entries
-                const hasValidRecords = json.every(record => 
-                    typeof record === 'object' && record !== null && !Array.isArray(record)
-                );
-                
-                if (!hasValidRecords) {
-                    result.warnings.push({
-                        message: 'Some array elements are not valid log record objects',
-                        type: 'invalid_record_structure',
-                        field: 'array_elements',
-                        location: 'array_content',
-                        severity: 'warning',
-                        fileType: fileTypeContext,
-                        suggestion: 'Each element in the array should be a JSON object representing a log record. Ensure all elements are properly formatted log entries.',
-                        microsoftRequirement: 'Each array element should represent a complete log entry payload.'
-                    });
-                }
-                
-                // Check for TimeGenerated field in output samples (recommended)
-                if (isOutputSample) {
-                    const hasTimeGenerated = json.some(record => 
-                        record && typeof record === 'object' && 'TimeGenerated' in record
-                    );
-                    
-                    if (!hasTimeGenerated) {
-                        result.warnings.push({
-                            message: 'Output sample records should include TimeGenerated field',
-                            type: 'missing_timegenerated',
-                            field: 'TimeGenerated',
-                            location: 'sample_records',
-                            severity: 'warning',
-                            fileType: 'sample output records file',
-                            suggestion: 'Output sample records should include the TimeGenerated field as it is required for all Log Analytics tables. This helps validate the complete transformation output.',
-                            microsoftRequirement: 'TimeGenerated column is required for all Log Analytics tables and must map to the $.time JSON path in Shoebox.'
-                        });
-                    }
-                }
-            }
-        }
-        
-    } catch (error) {
-        result.status = 'fail';
-        result.issues.push({
-            message: 'Invalid JSON format: ' + error.message,
-            type: 'json_syntax_error',
-            field: 'file',
-            location: 'entire_file',
-            severity: 'error',
-            suggestion: 'Fix the JSON syntax errors in the file. Common issues include missing commas, unmatched brackets, or invalid characters. Use a JSON validator to identify and fix syntax problems.',
-            fixInstructions: 'Check for missing commas, unmatched brackets, invalid escape sequences, or trailing commas which are not allowed in JSON.'
-        });
-    }
+    html += `
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
     
-    return result;
+    resultsDiv.innerHTML = html;
 }
 
-function readFileContent(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = e => resolve(e.target.result);
-        reader.onerror = e => reject(new Error('Failed to read file'));
-        reader.readAsText(file);
+/**
+ * Card listing the findings suppressed by the package's .lasvalidator.json,
+ * each with the justification given for it, so reviewers can check them
+ */
+function createSuppressedFindingsHTML(results, totalSuppressed) {
+    const rows = [];
+    results.forEach(result => {
+        (result.suppressed || []).forEach(finding => {
+            rows.push(`
+                <tr>
+                    <td><code>${escapeHtml(result.displayName || result.filename)}</code></td>
+                    <td>
+                        <span class="badge ${finding.severity === 'error' ? 'bg-danger' : 'bg-warning'} me-1">${finding.severity}</span>
+                        <code>${escapeHtml(finding.ruleId || finding.type)}</code>
+                    </td>
+                    <td>
+                        ${escapeHtml(finding.message)}
+                        <div class="small text-muted">at <code>${escapeHtml(finding.location || '')}</code></div>
+                    </td>
+                    <td>${escapeHtml(finding.suppression.justification)}</td>
+                </tr>
+            `);
+        });
     });
-}
-
-// UI Update functions
-function showValidationProgress() {
-    const resultsSection = document.getElementById('results');
-    resultsSection.style.display = 'block';
-    resultsSection.scrollIntoView({ behavior: 'smooth' });
     
-    const resultsDiv = document.getElementById('validationResults');
-    resultsDiv.innerHTML = `
-        <div class="text-center">
-            <div class="loading-spinner"></div>
-            <h4 class="mt-3">Validating Files...</h4>
-            <div class="validation-progress mb-3">
-                <div class="progress-bar bg-primary" style="width: 0%"></div>
-            </div>
-            <div class="current-file-info">
-                <div class="badge bg-secondary mb-2">
-                    <span id="current-file-counter">0</span> of <span id="total-files">${uploadedFiles.length}</span> files
-                </div>
-                <div class="current-file-name text-muted">
-                    <i class="fas fa-file me-2"></i>
-                    <span id="current-file-display">Preparing validation...</span>
+    return `
+        <div class="row mb-4">
+            <div class="col-12">
+                <div class="card border-secondary">
+                    <div class="card-header bg-white">
+                        <h5 class="mb-0">
+                            <i class="fas fa-eye-slash me-2"></i>Suppressed Findings
+                            <span class="badge bg-secondary ms-2">${totalSuppressed} suppressed</span>
+                        </h5>
+                        <small class="text-muted">Suppressed by .lasvalidator.json - they do not affect the validation status</small>
+                    </div>
+                    <div class="card-body p-0">
+                        <div class="table-responsive">
+                            <table class="table table-sm mb-0">
+                                <thead>
+                                    <tr><th>File</th><th>Rule</th><th>Finding</th><th>Justification</th></tr>
+                                </thead>
+                                <tbody>${rows.join('')}</tbody>
+                            </table>
+                        </div>
+                    </div>
                 </div>
             </div>
         </div>
     `;
 }
 
-function updateProgress(percentage) {
-    const progressBar = document.querySelector('.validation-progress .progress-bar');
-    if (progressBar) {
-        progressBar.style.width = percentage + '%';
-    }
+/**
+ * Export dropdown for the overall status card - one entry per report format
+ */
+function createExportMenuHTML() {
+    const formats = LASchemaReport.EXPORT_FORMATS;
+    
+    return `
+        <div class="dropdown mt-3">
+            <button class="btn btn-outline-secondary btn-sm dropdown-toggle" type="button" data-bs-toggle="dropdown" aria-expanded="false">
+                <i class="fas fa-file-export me-1"></i>Export Report
+            </button>
+            <ul class="dropdown-menu">
+                ${Object.keys(formats).map(format => `
+                    <li>
+                        <a class="dropdown-item" href="#" onclick="exportValidationReport('${format}'); return false;">
+                            ${formats[format].label} <small class="text-muted">(.${formats[format].extension})</small>
+                        </a>
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
 }
 
-function updateCurrentFile(fileIndex, file) {
-    // Update file counter
-    const counterElement = document.getElementById('current-file-counter');
-    if (counterElement) {
-        counterElement.textContent = fileIndex + 1;
+/**
+ * 📤 EXPORT VALIDATION REPORT
+ * 
+ * 🎯 WHAT IT DOES FOR YOUR FRIENDS:
+ * Saves the current validation results as JSON, SARIF or JUnit XML so they can
+ * be attached to a pull request or fed into CI and code-scanning tools.
+ */
+function exportValidationReport(format) {
+    if (!validationResults || validationResults.length === 0) {
+        showAlert('Run a validation before exporting a report.', 'warning');
+        return;
     }
     
-    // Update current file name
-    const fileDisplayElement = document.getElementById('current-file-display');
-    if (fileDisplayElement && file) {
-        const displayName = file.webkitRelativePath || file.relativePath || file.name;
-        const truncatedName = displayName.length > 50 ? '...' + displayName.slice(-47) : displayName;
-        fileDisplayElement.innerHTML = `Scanning: <strong>${truncatedName}</strong>`;
-    }
+    const definition = LASchemaReport.EXPORT_FORMATS[format];
+    const content = LASchemaReport.exportResults(validationResults, format);
+    const blob = new Blob([content], { type: definition.mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `la-schema-validation.${definition.extension}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
 }
 
-function hideValidationProgress() {
-    const resultsSection = document.getElementById('results');
-    resultsSection.style.display = 'none';
+/**
+ * Autofix button for the overall status card - only shown when some finding has a safe fix
+ */
+function createAutofixButtonHTML(results) {
+    const fixableCount = results.reduce((count, result) => count +
+        [...(result.issues || []), ...(result.warnings || [])].filter(item => LASchemaAutofix.getFix(item)).length, 0);
+    
+    if (fixableCount === 0) {
+        return '';
+    }
+    
+    return `
+        <button class="btn btn-outline-success btn-sm mt-2" type="button" onclick="showAutofixPreview()">
+            <i class="fas fa-magic me-1"></i>Fix Automatically <span class="badge bg-success ms-1">${fixableCount}</span>
+        </button>
+    `;
 }
 
-function displayValidationResults(results) {
-    const resultsDiv = document.getElementById('validationResults');
+/**
+ * 🪄 AUTOFIX PREVIEW
+ * 
+ * 🎯 WHAT IT DOES FOR YOUR FRIENDS:
+ * Applies every safe fix (description formatting, type casing, system columns,
+ * schema version, single-record samples) to a copy of the package and shows the
+ * changes as a diff before anything is downloaded. Nothing is written until the
+ * corrected package is downloaded as a zip.
+ * 
+ * @param {Object[]} [results] - Results to fix; defaults to all current results
+ */
+function showAutofixPreview(results) {
+    if (!validationResults || validationResults.length === 0 || validatedPackage.length === 0) {
+        showAlert('Run a validation before applying fixes.', 'warning');
+        return;
+    }
     
-    // Store results globally for drill-down functionality
-    validationResults = results;
+    autofixChanges = LASchemaAutofix.fixPackage(validatedPackage, results || validationResults);
     
-    // Calculate summary stats
-    const totalFiles = results.length;
-    const passedFiles = results.filter(r => r.status === 'pass').length;
-    const failedFiles = results.filter(r => r.status === 'fail').length;
-    const warningFiles = results.filter(r => r.warnings && r.warnings.length > 0).length;
+    if (autofixChanges.length === 0) {
+        showAlert('None of the findings can be fixed automatically.', 'info');
+        return;
+    }
     
-    // Calculate total issues
-    const totalIssues = results.reduce((sum, r) => sum + (r.issues ? r.issues.length : 0), 0);
-    const totalWarnings = results.reduce((sum, r) => sum + (r.warnings ? r.warnings.length : 0), 0);
+    const modalId = 'autofixPreviewModal';
+    const existing = document.getElementById(modalId);
+    if (existing) {
+        existing.remove();
+    }
     
-    const overallStatus = failedFiles > 0 ? 'fail' : 'pass';
+    const modal = document.createElement('div');
+    modal.id = modalId;
+    modal.className = 'modal fade';
+    modal.style.zIndex = '10001'; // Above the file content and fix suggestion modals
     
-    // Group issues and warnings by type
-    const groupedIssues = groupValidationIssuesByType(results);
-    const groupedWarnings = groupValidationWarningsByType(results);
+    const appliedCount = autofixChanges.reduce((count, change) => count + change.applied.length, 0);
     
-    let html = `
-        <div class="validation-results-container">
-            <!-- Overall Status Card -->
-            <div class="row mb-4">
-                <div class="col-12">
-                    <div class="card ${overallStatus === 'pass' ? 'border-success bg-light' : 'border-danger bg-light'}">
-                        <div class="card-body">
-                            <div class="row align-items-center">
-                                <div class="col-md-2 text-center">
-                                    <i class="fas ${overallStatus === 'pass' ? 'fa-check-circle text-success' : 'fa-times-circle text-danger'} fa-4x"></i>
-                                </div>
-                                <div class="col-md-4">
-                                    <h3 class="mb-1 ${overallStatus === 'pass' ? 'text-success' : 'text-danger'}">
-                                        ${overallStatus === 'pass' ? 'VALIDATION PASSED' : 'VALIDATION FAILED'}
-                                    </h3>
-                                    <p class="text-muted mb-0">
-                                        ${overallStatus === 'pass' ? 'All files passed validation successfully!' : 'Some files have validation issues that need attention.'}
-                                    </p>
-                                    ${totalIssues > 0 || totalWarnings > 0 ? `
-                                        <div class="mt-2">
-                                            <span class="badge bg-danger me-1">${totalIssues} total errors</span>
-                                            <span class="badge bg-warning">${totalWarnings} total warnings</span>
-                                        </div>
-                                    ` : ''}
-                                </div>
-                                <div class="col-md-6">
-                                    <div class="row text-center">
-                                        <div class="col-3">
-                                            <div class="summary-stat-box">
-                                                <div class="stat-number text-primary">${totalFiles}</div>
-                                                <div class="stat-label">Total Files</div>
-                                            </div>
-                                        </div>
-                                        <div class="col-3">
-                                            <div class="summary-stat-box">
-                                                <div class="stat-number text-success">${passedFiles}</div>
-                                                <div class="stat-label">Files Passed</div>
-                                            </div>
-                                        </div>
-                                        <div class="col-3">
-                                            <div class="summary-stat-box">
-                                                <div class="stat-number text-danger">${failedFiles}</div>
-                                                <div class="stat-label">Files Failed</div>
-                                            </div>
-                                        </div>
-                                        <div class="col-3">
-                                            <div class="summary-stat-box">
-                                                <div class="stat-number text-warning">${warningFiles}</div>
-                                                <div class="stat-label">Files w/ Warnings</div>
-                                            </div>
-                                        </div>
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
-                    </div>
+    modal.innerHTML = `
+        <div class="modal-dialog modal-xl">
+            <div class="modal-content">
+                <div class="modal-header bg-success text-white">
+                    <h5 class="modal-title">
+                        <i class="fas fa-magic me-2"></i>Autofix Preview
+                    </h5>
+                    <button type="button" class="btn-close btn-close-white" data-bs-dismiss="modal" aria-label="Close"></button>
+                </div>
+                <div class="modal-body">
+                    <p class="text-muted">
+                        ${appliedCount} fix${appliedCount === 1 ? '' : 'es'} in ${autofixChanges.length} file${autofixChanges.length === 1 ? '' : 's'}.
+                        Review the changes below, then download the corrected package.
+                    </p>
+                    ${autofixChanges.map(createAutofixChangeHTML).join('')}
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">
+                        <i class="fas fa-times me-1"></i>Close
+                    </button>
+                    <button type="button" class="btn btn-success" onclick="downloadFixedPackage()">
+                        <i class="fas fa-file-archive me-1"></i>Download Fixed Package (.zip)
+                    </button>
                 </div>
             </div>
-            
-            <!-- Issues and Warnings Grouped by Type -->
-            ${(totalIssues > 0 || totalWarnings > 0) ? `
-                <div class="row mb-4">
-                    <div class="col-12">
-                        <div class="card">
-                            <div class="card-header bg-white">
-                                <h5 class="mb-0">
-                                    <i class="fas fa-exclamation-triangle me-2"></i>Issues & Warnings by Category
-                                    <span class="badge bg-danger ms-2">${totalIssues} errors</span>
-                                    <span class="badge bg-warning ms-2">${totalWarnings} warnings</span>
-                                </h5>
-                            </div>
-                            <div class="card-body p-0">
-                                <div class="accordion" id="issuesWarningsAccordion">
-                                    ${createGroupedIssuesHTML(groupedIssues, 'issues')}
-                                    ${createGroupedWarningsHTML(groupedWarnings, 'warnings')}
-                                </div>
-                            </div>
-                        </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    if (typeof bootstrap !== 'undefined' && bootstrap.Modal) {
+        new bootstrap.Modal(modal).show();
+        modal.addEventListener('hidden.bs.modal', () => modal.remove(), { once: true });
+    } else {
+        showFallbackModal(modal);
+    }
+}
+
+function createAutofixChangeHTML(change) {
+    const titles = [...new Set(change.applied.map(entry => entry.fix.title))];
+    const skippedTitles = [...new Set(change.skipped.map(entry => entry.fix.title))];
+    
+    return `
+        <div class="card mb-3">
+            <div class="card-header bg-white">
+                <i class="fas fa-file-code me-2"></i><strong>${escapeHtml(change.path)}</strong>
+            </div>
+            <div class="card-body">
+                <ul class="small mb-2">
+                    ${titles.map(title => `<li>${escapeHtml(title)}</li>`).join('')}
+                </ul>
+                ${skippedTitles.length > 0 ? `
+                    <div class="alert alert-warning py-2 small">
+                        <strong>Not applied</strong> (the file changed around them or they conflict with another fix):
+                        ${skippedTitles.map(escapeHtml).join('; ')}
                     </div>
+                ` : ''}
+                <pre class="diff-view">${change.diff.split('\n').map(line => {
+                    const lineClass = line.startsWith('@@') ? 'diff-hunk'
+                        : line.startsWith('+++') || line.startsWith('---') ? 'diff-header'
+                        : line.startsWith('+') ? 'diff-added'
+                        : line.startsWith('-') ? 'diff-removed' : '';
+                    return `<div class="diff-line ${lineClass}">${escapeHtml(line) || ' '}</div>`;
+                }).join('')}</pre>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Download the validated package with the previewed fixes applied, as a zip
+ */
+function downloadFixedPackage() {
+    if (autofixChanges.length === 0) {
+        showAlert('There are no fixes to download.', 'warning');
+        return;
+    }
+    
+    const archive = LASchemaAutofix.createZip(LASchemaAutofix.buildFixedPackage(validatedPackage, autofixChanges));
+    const rootFolder = validatedPackage[0].relativePath ? validatedPackage[0].relativePath.split('/')[0] : 'la-schema-package';
+    const blob = new Blob([archive], { type: 'application/zip' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${rootFolder}-fixed.zip`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * 📚 RULE CATALOGUE
+ * 
+ * 🎯 WHAT IT DOES FOR YOUR FRIENDS:
+ * Lists every rule of the validator with its stable ID, default severity,
+ * rationale and the Microsoft requirement behind it. The search box filters by
+ * ID, title, finding type or any word of the description. Opened from an issue
+ * card, the catalogue jumps to and highlights that card's rule.
+ * 
+ * @param {string} [selectedRuleId] - Rule to scroll to and highlight
+ */
+function showRuleCatalog(selectedRuleId) {
+    const modalId = 'ruleCatalogModal';
+    const existing = document.getElementById(modalId);
+    if (existing) {
+        existing.remove();
+    }
+    
+    const modal = document.createElement('div');
+    modal.id = modalId;
+    modal.className = 'modal fade';
+    modal.style.zIndex = '10001'; // Above the file content and fix suggestion modals
+    
+    const categories = Object.keys(LASchemaRuleCatalog.CATEGORIES).map(area => ({
+        name: LASchemaRuleCatalog.CATEGORIES[area],
+        rules: LASchemaRuleCatalog.RULES.filter(rule => rule.id.split('-')[1] === area)
+    })).filter(category => category.rules.length > 0);
+    
+    modal.innerHTML = `
+        <div class="modal-dialog modal-xl modal-dialog-scrollable">
+            <div class="modal-content">
+                <div class="modal-header bg-primary text-white">
+                    <h5 class="modal-title">
+                        <i class="fas fa-list-check me-2"></i>Rule Catalogue
+                    </h5>
+                    <button type="button" class="btn-close btn-close-white" data-bs-dismiss="modal" aria-label="Close"></button>
                 </div>
-            ` : ''}
-            
-            <!-- Detailed Results by File -->
-            <div class="row">
-                <div class="col-12">
-                    <div class="card">
-                        <div class="card-header bg-white">
-                            <h5 class="mb-0">
-                                <i class="fas fa-list-alt me-2"></i>Detailed Validation Results by File
-                                <span class="badge bg-secondary ms-2">${totalFiles} files analyzed</span>
-                            </h5>
+                <div class="modal-body">
+                    <div class="input-group mb-2">
+                        <span class="input-group-text"><i class="fas fa-search"></i></span>
+                        <input type="search" id="ruleCatalogSearch" class="form-control" placeholder="Search by rule ID, title, finding type or requirement" oninput="filterRuleCatalog(this.value)">
+                    </div>
+                    <p class="small text-muted mb-3">
+                        <span id="ruleCatalogCount">${LASchemaRuleCatalog.RULES.length} rules</span>.
+                        Rule IDs and finding types can be turned off, re-graded or suppressed in <code>.lasvalidator.json</code>.
+                    </p>
+                    ${categories.map(category => `
+                        <div class="rule-catalog-category mb-4">
+                            <h6 class="text-primary border-bottom pb-1">${escapeHtml(category.name)}</h6>
+                            ${category.rules.map(rule => createRuleCatalogEntryHTML(rule, rule.id === selectedRuleId)).join('')}
                         </div>
-                        <div class="card-body p-0">
-                            <div class="accordion" id="resultsAccordion">
+                    `).join('')}
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">
+                        <i class="fas fa-times me-1"></i>Close
+                    </button>
+                </div>
+            </div>
+        </div>
     `;
     
-    results.forEach((result, index) => {
-        html += createResultAccordionItem(result, index);
-    });
+    document.body.appendChild(modal);
     
-    html += `
-                            </div>
-                        </div>
-                    </div>
+    const scrollToSelected = () => {
+        const selected = selectedRuleId && document.getElementById(`rule-${selectedRuleId}`);
+        if (selected) {
+            selected.scrollIntoView({ block: 'center' });
+        }
+    };
+    
+    if (typeof bootstrap !== 'undefined' && bootstrap.Modal) {
+        modal.addEventListener('shown.bs.modal', scrollToSelected, { once: true });
+        new bootstrap.Modal(modal).show();
+        modal.addEventListener('hidden.bs.modal', () => modal.remove(), { once: true });
+    } else {
+        showFallbackModal(modal);
+        scrollToSelected();
+    }
+}
+
+function createRuleCatalogEntryHTML(rule, isSelected) {
+    const severityClass = rule.severity === 'error' ? 'bg-danger' : rule.severity === 'warning' ? 'bg-warning text-dark' : 'bg-info text-dark';
+    
+    return `
+        <div id="rule-${escapeHtml(rule.id)}" class="rule-catalog-entry card mb-2${isSelected ? ' rule-catalog-selected' : ''}" data-rule-id="${escapeHtml(rule.id)}">
+            <div class="card-body p-3">
+                <div class="d-flex align-items-center flex-wrap gap-2 mb-1">
+                    <code class="fw-bold">${escapeHtml(rule.id)}</code>
+                    <span class="badge ${severityClass}">${escapeHtml(rule.severity)}</span>
+                    <span class="fw-bold">${escapeHtml(rule.title)}</span>
+                    <small class="text-muted ms-auto">type: <code>${escapeHtml(rule.type)}</code></small>
+                </div>
+                <div class="small mb-1">${escapeHtml(rule.rationale)}</div>
+                <div class="small text-muted">
+                    <i class="fas fa-microsoft me-1"></i>${escapeHtml(rule.microsoftRequirement)}
                 </div>
             </div>
         </div>
     `;
+}
+
+/**
+ * Show only the catalogue entries matching every word of the search text
+ */
+function filterRuleCatalog(query) {
+    const matchingIds = new Set(LASchemaRuleCatalog.searchRules(query).map(rule => rule.id));
+    
+    document.querySelectorAll('#ruleCatalogModal .rule-catalog-category').forEach(category => {
+        let visible = 0;
+        category.querySelectorAll('.rule-catalog-entry').forEach(entry => {
+            const matches = matchingIds.has(entry.dataset.ruleId);
+            entry.style.display = matches ? '' : 'none';
+            visible += matches ? 1 : 0;
+        });
+        category.style.display = visible > 0 ? '' : 'none';
+    });
     
-    resultsDiv.innerHTML = html;
+    const count = document.getElementById('ruleCatalogCount');
+    if (count) {
+        count.textContent = `${matchingIds.size} of ${LASchemaRuleCatalog.RULES.length} rules`;
+    }
 }
 
 function groupValidationIssuesByType(results) {
@@ -3741,7 +1863,7 @@ function groupValidationIssuesByType(results) {
         if (result.issues && result.issues.length > 0) {
             result.issues.forEach((issue, issueIndex) => {
                 const issueType = typeof issue === 'object' ? (issue.type || 'unknown') : 'general';
-                const issueCategory = getIssueCategoryName(issueType);
+                const issueCategory = LASchemaEngine.getIssueCategoryName(issueType);
                 
                 if (!grouped[issueCategory]) {
                     grouped[issueCategory] = {
@@ -3774,7 +1896,7 @@ function groupValidationWarningsByType(results) {
         if (result.warnings && result.warnings.length > 0) {
             result.warnings.forEach((warning, warningIndex) => {
                 const warningType = typeof warning === 'object' ? (warning.type || 'unknown') : 'general';
-                const warningCategory = getWarningCategoryName(warningType);
+                const warningCategory = LASchemaEngine.getWarningCategoryName(warningType);
                 
                 if (!grouped[warningCategory]) {
                     grouped[warningCategory] = {
@@ -3931,6 +2053,7 @@ function createIssueCard(issue, resultIndex, issueIndex, result) {
                         <div class="d-flex align-items-center mb-2">
                             <i class="fas fa-times-circle text-danger me-2"></i>
                             <span class="fw-bold">${issueMessage}</span>
+                            ${createRuleLinkHTML(issue)}
                         </div>
                         ${typeof issue === 'object' ? `
                             <div class="small text-muted mb-2">
@@ -3961,6 +2084,7 @@ function createIssueCard(issue, resultIndex, issueIndex, result) {
                                 </blockquote>
                             </div>
                         ` : ''}
+                        ${createDocumentationLinkHTML(issue)}
                         
                         ${typeof issue === 'object' && issue.fixInstructions ? `
                             <div class="fix-instructions mb-3">
@@ -4057,6 +2181,7 @@ function createWarningCard(warning, resultIndex, warningIndex, result) {
                         <div class="d-flex align-items-center mb-2">
                             <i class="fas fa-exclamation-triangle text-warning me-2"></i>
                             <span class="fw-bold">${warningMessage}</span>
+                            ${createRuleLinkHTML(warning)}
                         </div>
                         ${hasDetails && warningLocation !== 'unknown' ? `
                             <div class="small text-muted mb-2">
@@ -4090,6 +2215,7 @@ function createWarningCard(warning, resultIndex, warningIndex, result) {
                                     </blockquote>
                                 </div>
                             ` : ''}
+                            ${createDocumentationLinkHTML(warning)}
                             
                             ${typeof warning === 'object' && warning.currentValue ? `
                                 <div class="mb-3">
@@ -4286,6 +2412,7 @@ function showFileContent(resultIndex, location) {
                                 <small class="text-muted">
                                     <i class="fas fa-map-marker-alt me-1"></i>
                                     ${issue ? 'Issue' : 'Warning'} location: <code>${escapeHtml(location)}</code>
+                                    ${problemItem && problemItem.lineNumber ? `<span class="ms-1">(line ${problemItem.lineNumber}${problemItem.column ? `, column ${problemItem.column}` : ''})</span>` : ''}
                                 </small>
                                 <div class="btn-group btn-group-sm">
                                     <button type="button" class="btn btn-outline-secondary" onclick="copyFileContentToClipboard('${resultIndex}')">
@@ -4449,6 +2576,12 @@ function showFileContent(resultIndex, location) {
 
 function highlightFileContent(content, location, problemItem) {
     
+    // Syntax errors and transformation limitations carry their exact position from the parsers;
+    // a file that is not valid JSON cannot be shown field by field
+    if (problemItem && ['kql_syntax_error', 'kql_transformation_limitation', 'json_syntax_error'].includes(problemItem.type) && problemItem.lineNumber) {
+        return highlightPositionedContent(content, problemItem);
+    }
+    
     try {
         // Parse the JSON to understand the structure
         const parsed = JSON.parse(content);
@@ -4460,7 +2593,7 @@ function highlightFileContent(content, location, problemItem) {
         const problemClass = isWarning ? 'warning' : 'danger';
         
         // Find the line that contains the problematic field
-        const problemLine = findProblemLine(lines, location, problemItem);
+        const problemLine = findProblemLine(lines, problemItem);
         
         let highlightedContent = '';
         
@@ -4474,7 +2607,11 @@ function highlightFileContent(content, location, problemItem) {
             if (isProblematicLine) {
                 // Special handling for missing fields
                 if (problemLine.isMissingField) {
-                    // Show the missing field insertion point at the current line position
+                    // The finding points right after the last field of the object - show the field to add below that line
+                    highlightedContent += `<div class="code-line" data-line="${lineNumber}">`;
+                    highlightedContent += `<span class="line-number">${lineNumber}</span>`;
+                    highlightedContent += `<span class="line-content">${escapeHtml(line)}</span>`;
+                    highlightedContent += '</div>';
                     highlightedContent += `<div class="code-line missing-field-line error-line" id="problematic-line-${lineNumber}" data-line="${lineNumber}">`;
                     highlightedContent += `<span class="line-number missing-number">+</span>`;
                     highlightedContent += `<span class="line-content missing-content">`;
@@ -4509,6 +2646,14 @@ function highlightFileContent(content, location, problemItem) {
                     highlightedContent += `</span>`;
                     highlightedContent += `</span>`;
                     highlightedContent += '</div>';
+                    
+                    if (problemLine.column) {
+                        const caretWidth = Math.max(1, problemLine.endColumn - problemLine.column);
+                        highlightedContent += `<div class="code-line fix-line">`;
+                        highlightedContent += `<span class="line-number fix-number">^</span>`;
+                        highlightedContent += `<span class="line-content">${' '.repeat(problemLine.column - 1)}${'^'.repeat(caretWidth)}</span>`;
+                        highlightedContent += '</div>';
+                    }
                 }
                 
                 // Add suggested fix or type recommendations in green
@@ -4636,750 +2781,137 @@ function highlightFileContent(content, location, problemItem) {
     }
 }
 
-function findProblemLine(lines, location, problemItem) {
-    
-    if (!problemItem) return null;
-    
-    // Handle missing queries case
-    if (problemItem.type === 'missing_queries') {
-        // Use the line number we calculated during validation if available
-        if (problemItem.lineNumber) {
-            const lineNumber = problemItem.lineNumber;
-            const line = lineNumber <= lines.length ? lines[lineNumber - 1] || '' : '';
-            
-            return { 
-                lineNumber: lineNumber, 
-                line: line,
-                isMissingQueries: true,
-                fieldName: 'queries'
-            };
-        }
-        
-        // Fallback: find the "queries": line
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].trim().includes('"queries"')) {
-                return { 
-                    lineNumber: i + 1, 
-                    line: lines[i],
-                    isMissingQueries: true,
-                    fieldName: 'queries'
-                };
-            }
-        }
-    }
-    
-    // Handle missing field cases
-    if (problemItem.type === 'missing_field') {
-        
-        // Use the line number we calculated during validation if available
-        if (problemItem.lineNumber) {
-            const lineNumber = problemItem.lineNumber;
-            const insertLine = lineNumber <= lines.length ? lines[lineNumber - 1] || '' : '';
-            
-            return { 
-                lineNumber: lineNumber, 
-                line: insertLine,
-                isMissingField: true,
-                fixCode: problemItem.fixCode,
-                fieldName: problemItem.field
-            };
-        }
-        
-        // For function missing fields, find the specific function in the array
-        if (location.includes('functions[')) {
-            const functionIndex = location.match(/functions\[(\d+)\]/)?.[1];
-            if (functionIndex) {
-                // Find the function object at this index
-                let currentFunctionIndex = -1;
-                let functionStartLine = -1;
-                let inFunction = false;
-                let braceDepth = 0;
-                
-                for (let i = 0; i < lines.length; i++) {
-                    const line = lines[i].trim();
-                    
-                    // Look for the start of functions array
-                    if (line.includes('"functions"') && line.includes('[')) {
-                        continue;
-                    }
-                    
-                    // Track opening braces that might start a function
-                    if (line === '{' || line.endsWith('{')) {
-                        if (functionStartLine === -1) {
-                            currentFunctionIndex++;
-                            if (currentFunctionIndex.toString() === functionIndex) {
-                                functionStartLine = i;
-                                inFunction = true;
-                                braceDepth = 1;
-                            }
-                        } else if (inFunction) {
-                            braceDepth++;
-                        }
-                    }
-                    
-                    // Track closing braces
-                    if (line === '}' || line.startsWith('}')) {
-                        if (inFunction) {
-                            braceDepth--;
-                            if (braceDepth === 0) {
-                                // We've found the end of our target function
-                                // Suggest inserting the field just before the closing brace
-                                return {
-                                    lineNumber: i,
-                                    line: lines[i],
-                                    isMissingField: true,
-                                    fixCode: problemItem.fixCode,
-                                    fieldName: problemItem.field
-                                };
-                            }
-                        }
-                    }
-                    
-                    // If we're in the target function, look for existing fields to determine order
-                    if (inFunction && braceDepth === 1) {
-                        const fieldOrder = ['id', 'name', 'displayName', 'parameters', 'description', 'bodyFilePath', 'solutions', 'tags', 'properties'];
-                        const currentFieldIndex = fieldOrder.indexOf(problemItem.field);
-                        
-                        // Look for fields that should come before the missing field
-                        for (let j = currentFieldIndex - 1; j >= 0; j--) {
-                            const previousField = fieldOrder[j];
-                            if (line.includes(`"${previousField}"`) && line.includes(':')) {
-                                // Found a field that should come before our missing field
-                                // Suggest inserting after this line
-                                return {
-                                    lineNumber: i + 1,
-                                    line: i + 1 < lines.length ? lines[i + 1] : '',
-                                    isMissingField: true,
-                                    fixCode: problemItem.fixCode,
-                                    fieldName: problemItem.field
-                                };
-                            }
-                        }
-                    }
-                }
-            }
-        }
-        
-        // Fallback: find a good insertion point for general missing fields
-        const fieldOrder = ['type', 'displayName', 'description', 'simplifiedSchemaVersion', 'tables'];
-        const currentFieldIndex = fieldOrder.indexOf(problemItem.field);
-        
-        // Look for existing fields to determine where to add the missing one
-        for (let i = currentFieldIndex - 1; i >= 0; i--) {
-            const previousField = fieldOrder[i];
-            for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
-                if (lines[lineIndex].includes(`"${previousField}"`)) {
-                    return { 
-                        lineNumber: lineIndex + 1, 
-                        line: lines[lineIndex],
-                        isMissingField: true,
-                        fixCode: problemItem.fixCode,
-                        fieldName: problemItem.field
-                    };
-                }
-            }
-        }
-        
-        // If no previous field found, suggest adding after the opening brace
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].trim() === '{') {
-                return { 
-                    lineNumber: i + 1, 
-                    line: lines[i],
-                    isMissingField: true,
-                    fixCode: problemItem.fixCode,
-                    fieldName: problemItem.field
-                };
-            }
-        }
-    }
-    
-    // Parse the location to understand what we're looking for
-    const locationParts = location.split('.');
-    let searchTerm = '';
-    
-    // Handle table-specific locations (e.g., tables[17].columns[0].description)
-    if (location.includes('tables[') && location.includes('].columns[')) {
-        const tableMatch = location.match(/tables\[(\d+)\]/);
-        const columnMatch = location.match(/columns\[(\d+)\]/);
-        
-        if (tableMatch && columnMatch) {
-            const tableIndex = parseInt(tableMatch[1]);
-            const columnIndex = parseInt(columnMatch[1]);
-            
-            // For specific known cases, use targeted search
-            if (tableIndex === 17 && columnIndex === 0 && location.includes('description')) {
-                
-                // Direct approach: look for line 4547 which should contain the TimeGenerated empty description
-                if (lines.length > 4546) {
-                    const targetLine = lines[4546]; // Line 4547 (0-indexed)
-                    if (targetLine && targetLine.includes('"description"') && targetLine.includes('""')) {
-                        const result = {
-                            lineNumber: 4547,
-                            line: targetLine,
-                            searchTerm: 'TimeGenerated column empty description'
-                        };
-                        return result;
-                    }
-                }
-                
-                // Fallback: search for the very first TimeGenerated column with empty description
-                let foundTimeGenerated = false;
-                for (let i = 0; i < lines.length; i++) {
-                    const line = lines[i].trim();
-                    if (line.includes('"name"') && line.includes('"TimeGenerated"')) {
-                        foundTimeGenerated = true;
-                        // Check the next few lines for empty description
-                        for (let j = i + 1; j < Math.min(i + 10, lines.length); j++) {
-                            const descLine = lines[j].trim();
-                            if (descLine.includes('"description"') && (descLine.includes('""') || descLine === '"description": ""' || descLine === '"description": "",')) {
-                                return {
-                                    lineNumber: j + 1,
-                                    line: lines[j],
-                                    searchTerm: 'TimeGenerated column empty description'
-                                };
-                            }
-                        }
-                        // If we found TimeGenerated but no empty description, stop looking
-                        if (foundTimeGenerated) {
-                            break;
-                        }
-                    }
-                }
-                
-            }
-            
-            // General table/column parsing for other cases
-            const columnResult = findTableAndColumn(lines, tableIndex, columnIndex, problemItem);
-            if (columnResult) {
-                return columnResult;
-            }
-        }
-    }
-    
-    // Only use generic description search if it's NOT a table-specific location
-    else if (location.includes('description')) {
-        // For description errors, we want to find the line with the actual description content
-        
-        // Try to find the exact line containing the problematic description
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            if (line.includes('"description"') && line.includes(':')) {
-                // Check if this line contains the problematic description value
-                if (problemItem && problemItem.currentValue && line.includes(problemItem.currentValue)) {
-                    return { lineNumber: i + 1, line: line };
-                }
-                // If this is a description line but not the right one, keep looking
-                // Value doesn't match exactly, continue searching
-            }
-        }
-        
-        // Fallback: Find any description line (sometimes the value might be on the next line)
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            if (line.includes('"description"')) {
-                return { lineNumber: i + 1, line: line };
-            }
-        }
-        
-        // Last resort: search for the actual problem value anywhere in the file
-        if (problemItem.currentValue) {
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i];
-                if (line.includes(problemItem.currentValue)) {
-                    return { lineNumber: i + 1, line: line };
-                }
-            }
-        }
-        
-        searchTerm = '"description"';
-    } else if (location.includes('simplifiedSchemaVersion')) {
-        searchTerm = '"simplifiedSchemaVersion"';
-    } else if (location.includes('input[]')) {
-        const inputIndex = location.match(/input\[(\d+)\]/)?.[1];
-        if (inputIndex) {
-            searchTerm = '"input"';
-        }
-    } else if (location.includes('columns[')) {
-        // Enhanced column finding logic
-        const colIndex = location.match(/columns\[(\d+)\]/)?.[1];
-        if (colIndex !== undefined) {
-            return findColumnInLines(lines, parseInt(colIndex), problemItem);
-        }
-    } else if (location.includes('type')) {
-        searchTerm = '"type"';
-    } else if (location.includes('name')) {
-        searchTerm = '"name"';
-    } else {
-        // Generic field search
-        const fieldName = locationParts[locationParts.length - 1];
-        searchTerm = `"${fieldName}"`;
-    }
-    
-    // Find the line containing the search term
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        if (line.includes(searchTerm)) {
-            // For more specific matching, check if it's the right context
-            if (problemItem.currentValue && !line.includes(problemItem.currentValue)) {
-                continue; // Keep looking for the exact match
-            }
-            return {
-                lineNumber: i + 1,
-                line: line,
-                searchTerm: searchTerm
-            };
-        }
-    }
-    
-    // If not found, try searching for the current value directly
-    if (problemItem.currentValue) {
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].includes(problemItem.currentValue)) {
-                return {
-                    lineNumber: i + 1,
-                    line: lines[i],
-                    searchTerm: problemItem.currentValue
-                };
-            }
-        }
+/**
+ * Link to the documentation a finding refers to (e.g. the KQL transformation limitations)
+ */
+function createDocumentationLinkHTML(item) {
+    if (typeof item !== 'object' || !item || !item.documentationUrl) {
+        return '';
     }
     
-    return null;
+    return `
+        <div class="small mb-3">
+            <i class="fas fa-book me-1"></i>
+            <a href="${escapeHtml(item.documentationUrl)}" target="_blank" rel="noopener noreferrer">Read the documented limitation</a>
+            ${item.documentationReference ? `<span class="text-muted">(${escapeHtml(item.documentationReference)})</span>` : ''}
+        </div>
+    `;
 }
 
-function findTableAndColumn(lines, tableIndex, columnIndex, problemItem) {
-    try {
-        // Find the specific table by counting through the JSON structure
-        let currentTableIndex = -1;
-        let inTablesArray = false;
-        let braceDepth = 0;
-        
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            // Check if we're entering the tables array
-            if (line.includes('"tables"') && line.includes('[')) {
-                inTablesArray = true;
-                continue;
-            }
-            
-            if (!inTablesArray) continue;
-            
-            // Track brace depth to understand object structure
-            const openBraces = (line.match(/\{/g) || []).length;
-            const closeBraces = (line.match(/\}/g) || []).length;
-            
-            // If we find an opening brace that starts a new object (not nested), we're starting a new table
-            if (openBraces > 0 && braceDepth === 0) {
-                currentTableIndex++;
-                braceDepth = openBraces - closeBraces;
-                
-                // Check if this is the table we're looking for
-                if (currentTableIndex === tableIndex) {
-                    // Now find the column within this table
-                    const columnResult = findColumnInTable(lines, i, columnIndex, problemItem);
-                    if (columnResult) {
-                        return columnResult;
-                    }
-                    break;
-                }
-            } else if (braceDepth > 0) {
-                // Update brace depth while inside a table object
-                braceDepth += openBraces - closeBraces;
-            }
-            
-            // Check if we're leaving the tables array
-            if (line.includes(']') && inTablesArray && braceDepth === 0) {
-                break;
-            }
-        }
-        
-        return null;
-    } catch (error) {
-        console.error('Error in findTableAndColumn:', error);
-        return null;
+/**
+ * Rule ID badge of a finding, opening its entry in the rule catalogue
+ */
+function createRuleLinkHTML(item) {
+    if (typeof item !== 'object' || !item || !item.ruleId) {
+        return '';
     }
+    
+    return `
+        <a href="#" class="badge rule-id-badge ms-2" onclick="showRuleCatalog('${escapeHtml(item.ruleId)}'); return false;" title="Open ${escapeHtml(item.ruleId)} in the rule catalogue">
+            ${escapeHtml(item.ruleId)}
+        </a>
+    `;
 }
 
-function findColumnInTable(lines, tableStartLine, columnIndex, problemItem) {
-    try {
-        let inColumnsArray = false;
-        let currentColumnIndex = -1;
-        let braceDepth = 0;
-        let columnStartLine = -1;
+/**
+ * Render a file with the finding's line highlighted and a caret under the
+ * reported column range (KQL findings and JSON syntax errors)
+ */
+function highlightPositionedContent(content, problemItem) {
+    const lines = content.split('\n');
+    const level = problemItem.severity === 'warning' ? 'warning' : 'error';
+    let highlightedContent = '';
+    
+    lines.forEach((line, index) => {
+        const lineNumber = index + 1;
         
-        // Start searching from the table start line
-        for (let i = tableStartLine; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            // Check if we're entering the columns array within this table
-            if (line.includes('"columns"') && line.includes('[')) {
-                inColumnsArray = true;
-                continue;
-            }
-            
-            if (!inColumnsArray) continue;
-            
-            // Track brace depth to understand object structure
-            const openBraces = (line.match(/\{/g) || []).length;
-            const closeBraces = (line.match(/\}/g) || []).length;
-            
-            // If we find an opening brace that starts a new object (not nested), we're starting a new column
-            if (openBraces > 0 && braceDepth === 0) {
-                currentColumnIndex++;
-                braceDepth = openBraces - closeBraces;
-                columnStartLine = i + 1;
-                
-                // Check if this is the column we're looking for
-                if (currentColumnIndex === columnIndex) {
-                    // Look for the specific field within this column
-                    const fieldName = getFieldNameFromLocation(problemItem.location);
-                    
-                    if (fieldName === 'description') {
-                        // Look for the description field within this column
-                        for (let j = i; j < Math.min(i + 30, lines.length); j++) {
-                            const searchLine = lines[j];
-                            if (searchLine.includes('"description"') && searchLine.includes(':')) {
-                                return {
-                                    lineNumber: j + 1,
-                                    line: lines[j],
-                                    searchTerm: `Table ${Math.floor(currentColumnIndex / 100) + 1}, Column ${columnIndex + 1} description field`
-                                };
-                            }
-                        }
-                    } else if (fieldName === 'name') {
-                        // Look for the name field within this column
-                        for (let j = i; j < Math.min(i + 30, lines.length); j++) {
-                            const searchLine = lines[j];
-                            if (searchLine.includes('"name"') && searchLine.includes(':')) {
-                                return {
-                                    lineNumber: j + 1,
-                                    line: lines[j],
-                                    searchTerm: `Table ${Math.floor(currentColumnIndex / 100) + 1}, Column ${columnIndex + 1} name field`
-                                };
-                            }
-                        }
-                    }
-                    
-                    // If no specific field found, return the column start
-                    return {
-                        lineNumber: columnStartLine,
-                        line: lines[i],
-                        searchTerm: `Table ${Math.floor(currentColumnIndex / 100) + 1}, Column ${columnIndex + 1} start`
-                    };
-                }
-            } else if (braceDepth > 0) {
-                // Update brace depth while inside a column object
-                braceDepth += openBraces - closeBraces;
-            }
+        if (lineNumber === problemItem.lineNumber) {
+            const endColumn = problemItem.endLineNumber === lineNumber ? problemItem.endColumn : line.length + 1;
+            const caretWidth = Math.max(1, endColumn - problemItem.column);
             
-            // Check if we're leaving the columns array
-            if (line.includes(']') && inColumnsArray && braceDepth === 0) {
-                break;
-            }
+            highlightedContent += `<div class="code-line problem-line ${level}-line" id="problematic-line-${lineNumber}" data-line="${lineNumber}">`;
+            highlightedContent += `<span class="line-number ${level}-number">${lineNumber}</span>`;
+            highlightedContent += `<span class="line-content">${escapeHtml(line)}</span>`;
+            highlightedContent += `<span class="problem-indicator ${level}-indicator"><i class="fas fa-${level === 'warning' ? 'exclamation-triangle' : 'times-circle'}"></i> <span class="problem-text">${level.toUpperCase()} - Column ${problemItem.column}</span></span>`;
+            highlightedContent += '</div>';
+            highlightedContent += `<div class="code-line fix-line">`;
+            highlightedContent += `<span class="line-number fix-number">^</span>`;
+            highlightedContent += `<span class="line-content">${' '.repeat(problemItem.column - 1)}${'^'.repeat(caretWidth)}</span>`;
+            highlightedContent += '</div>';
+        } else {
+            highlightedContent += `<div class="code-line" data-line="${lineNumber}">`;
+            highlightedContent += `<span class="line-number">${lineNumber}</span>`;
+            highlightedContent += `<span class="line-content">${escapeHtml(line)}</span>`;
+            highlightedContent += '</div>';
         }
-        
-        return null;
-    } catch (error) {
-        console.error('Error in findColumnInTable:', error);
-        return null;
-    }
-}
-
-function getFieldNameFromLocation(location) {
-    // Extract the field name from location like "tables[17].columns[0].description"
-    const parts = location.split('.');
-    return parts[parts.length - 1];
+    });
+    
+    return `
+        <div class="file-content-viewer">
+            <div class="code-header">
+                ${problemItem.type === 'kql_transformation_limitation'
+                    ? `<span class="badge bg-${problemItem.severity === 'warning' ? 'warning' : 'danger'} me-2"><i class="fas fa-filter"></i> Transformation Limitation</span>`
+                    : '<span class="badge bg-danger me-2"><i class="fas fa-bug"></i> Syntax Error</span>'}
+                <span class="text-muted">${escapeHtml(problemItem.message)}</span>
+            </div>
+            <pre class="code-content">${highlightedContent}</pre>
+            ${problemItem.suggestion ? `
+                <div class="fix-summary">
+                    <strong><i class="fas fa-lightbulb me-1"></i>Suggestion:</strong> ${escapeHtml(problemItem.suggestion)}
+                </div>
+            ` : ''}
+        </div>
+    `;
 }
 
-function findColumnInLines(lines, columnIndex, problemItem) {
-    try {
-        // Special handling for transform pattern columns
-        if (problemItem && problemItem.type === 'info' && problemItem.field === 'transformName') {
-            
-            // Look for transformName field first
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i];
-                if (line.includes('"transformName"') && line.includes(':')) {
-                    return {
-                        lineNumber: i + 1,
-                        line: line,
-                        searchTerm: 'Transform pattern column',
-                        columnIndex: columnIndex
-                    };
-                }
-            }
-        }
-        
-        // Special handling for TenantId column issue - search for the actual TenantId field first
-        if (problemItem && problemItem.type === 'forbidden_system_column' && problemItem.currentValue === 'TenantId') {
-            
-            // First, try to find the exact line with "TenantId" and "name" field
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i];
-                if (line.includes('"name"') && line.includes('"TenantId"')) {
-                    return {
-                        lineNumber: i + 1,
-                        line: line,
-                        searchTerm: 'TenantId column name field',
-                        columnIndex: columnIndex
-                    };
-                }
-            }
-            
-            // Fallback: look for any line containing TenantId
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i];
-                if (line.includes('TenantId')) {
-                    return {
-                        lineNumber: i + 1,
-                        line: line,
-                        searchTerm: 'TenantId reference',
-                        columnIndex: columnIndex
-                    };
-                }
-            }
-        }
-        
-        // Enhanced general column finding logic that correctly tracks column positions
-        let inColumnsArray = false;
-        let currentColumnIndex = -1;
-        let braceDepth = 0;
-        let inColumnObject = false;
-        let columnStartLine = -1;
-        
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            // Check if we're entering the columns array
-            if (line.includes('"columns"') && line.includes('[')) {
-                inColumnsArray = true;
-                continue;
-            }
-            
-            if (!inColumnsArray) continue;
-            
-            // Track brace depth to understand object structure
-            const openBraces = (line.match(/\{/g) || []).length;
-            const closeBraces = (line.match(/\}/g) || []).length;
-            
-            // If we find an opening brace that starts a new object (not nested), we're starting a new column
-            if (openBraces > 0 && braceDepth === 0) {
-                currentColumnIndex++;
-                inColumnObject = true;
-                columnStartLine = i + 1;
-                braceDepth = openBraces - closeBraces;
-                
-                
-                // Check if this is the column we're looking for
-                if (currentColumnIndex === columnIndex) {
-                    
-                    // For transform pattern columns, look for transformName field
-                    if (problemItem && problemItem.field === 'transformName') {
-                        for (let j = i; j < Math.min(i + 20, lines.length); j++) {
-                            const searchLine = lines[j];
-                            if (searchLine.includes('"transformName"') && searchLine.includes(':')) {
-                                return {
-                                    lineNumber: j + 1,
-                                    line: lines[j],
-                                    searchTerm: `Column ${columnIndex + 1} transformName field`,
-                                    columnIndex: columnIndex
-                                };
-                            }
-                        }
-                    }
-                    
-                    // Look for the name field within this column object
-                    let searchStart = i;
-                    let searchEnd = i + 20; // Look ahead up to 20 lines for the name field
-                    
-                    for (let j = searchStart; j < Math.min(searchEnd, lines.length); j++) {
-                        const searchLine = lines[j];
-                        if (searchLine.includes('"name"') && searchLine.includes(':')) {
-                            return {
-                                lineNumber: j + 1,
-                                line: lines[j],
-                                searchTerm: `Column ${columnIndex + 1} name field`,
-                                columnIndex: columnIndex
-                            };
-                        }
-                    }
-                    
-                    // If no name field found, return the column start
-                    return {
-                        lineNumber: columnStartLine,
-                        line: lines[i],
-                        searchTerm: `Column ${columnIndex + 1} start`,
-                        columnIndex: columnIndex
-                    };
-                }
-            } else if (inColumnObject) {
-                // Update brace depth while inside a column object
-                braceDepth += openBraces - closeBraces;
-                
-                // If we've closed all braces for this column, we're done with it
-                if (braceDepth <= 0) {
-                    inColumnObject = false;
-                }
-            }
-            
-            // Check if we're leaving the columns array
-            if (line.includes(']') && inColumnsArray && braceDepth === 0) {
-                break;
-            }
-        }
-        
-        // Fallback: if we can't find the exact column, return the columns array start
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].includes('"columns"')) {
-                return {
-                    lineNumber: i + 1,
-                    line: lines[i],
-                    searchTerm: `Column ${columnIndex + 1} (columns array)`,
-                    columnIndex: columnIndex
-                };
-            }
-        }
-        
-    } catch (error) {
-        console.error('Error in findColumnInLines:', error);
+/**
+ * Line of the file a finding points at
+ * The engine attaches the source range of every finding's JSON path
+ * (engine/json-parser.js), so the line and column come straight from the finding.
+ */
+function findProblemLine(lines, problemItem) {
+    if (!problemItem || !problemItem.lineNumber || problemItem.lineNumber > lines.length) {
+        return null;
     }
     
-    return null;
+    const lineNumber = problemItem.lineNumber;
+    const line = lines[lineNumber - 1];
+    
+    return {
+        lineNumber: lineNumber,
+        line: line,
+        column: problemItem.column,
+        endColumn: problemItem.endLineNumber === lineNumber ? problemItem.endColumn : line.length + 1,
+        isMissingField: problemItem.type === 'missing_field' && Boolean(problemItem.fixCode),
+        isMissingQueries: problemItem.type === 'missing_queries',
+        fixCode: problemItem.fixCode,
+        fieldName: problemItem.field
+    };
 }
 
 function generateFixedLine(originalLine, problemItem, location) {
-    if (!problemItem) return null;
+    if (!problemItem || typeof problemItem === 'string') return null;
     
-    try {
-        let fixedLine = originalLine;
-        
-        // Handle different types of fixes
-        if (problemItem.type === 'formatting_error' && location.includes('description')) {
-            // Fix description capitalization and punctuation
-            const currentValue = problemItem.currentValue;
-            let fixedValue = currentValue;
-            
-            // Capitalize first letter if needed
-            if (!currentValue.charAt(0).match(/[A-Z]/)) {
-                fixedValue = currentValue.charAt(0).toUpperCase() + currentValue.slice(1);
-            }
-            
-            // Add period at the end if needed
-            if (!fixedValue.endsWith('.')) {
-                fixedValue = fixedValue + '.';
-            }
-            
-            // Replace the description value in the line
-            fixedLine = originalLine.replace(`"${currentValue}"`, `"${fixedValue}"`);
-            
-            // Also try without quotes in case the format is different
-            if (fixedLine === originalLine) {
-                fixedLine = originalLine.replace(currentValue, fixedValue);
-            }
-        } else if (problemItem.type === 'incorrect_capitalization') {
-            // Fix capitalization issues for data types like "dynamic" -> "Dynamic"
-            const currentValue = problemItem.currentValue;
-            const expectedValue = problemItem.expectedValue || (currentValue.charAt(0).toUpperCase() + currentValue.slice(1));
-            fixedLine = originalLine.replace(`"${currentValue}"`, `"${expectedValue}"`);
-        } else if (problemItem.type === 'invalid_value') {
-            // Fix invalid values
-            const currentValue = problemItem.currentValue;
-            let fixedValue = '';
-            
-            if (currentValue === 'Guid' && location.includes('columns')) {
-                fixedValue = 'String';
-            } else if (currentValue === 'InvalidType' && location.includes('columns')) {
-                fixedValue = 'String';
-            } else if (location.includes('simplifiedSchemaVersion')) {
-                fixedValue = '3';
-            } else if (currentValue === '2' && location.includes('simplifiedSchemaVersion')) {
-                fixedValue = '3';
-            } else if (currentValue === 'Dynamic' && problemItem.type === 'performance_warning') {
-                // For Dynamic type warnings, suggest String as a common alternative
-                fixedValue = 'String';
-            }
-            
-            if (fixedValue) {
-                fixedLine = originalLine.replace(`"${currentValue}"`, `"${fixedValue}"`);
-            }
-        } else if (problemItem.type === 'performance_warning' && problemItem.currentValue === 'Dynamic') {
-            // For Dynamic type performance warnings, suggest String as default
-            fixedLine = originalLine.replace(`"Dynamic"`, `"String"`);
-        } else if (problemItem.type === 'invalid_length' && location.includes('name')) {
-            // Fix length issues by truncating
-            const currentValue = problemItem.currentValue;
-            if (typeof currentValue === 'string' && currentValue.length > 45) {
-                const fixedValue = currentValue.substring(0, 42) + '...';
-                fixedLine = originalLine.replace(`"${currentValue}"`, `"${fixedValue}"`);
-            }
-        } else if (problemItem.type === 'missing_field') {
-            // For missing fields, suggest adding the field
-            const fieldName = problemItem.field;
-            const suggestedValue = generateFixedValue(problemItem);
-            if (suggestedValue) {
-                // Add the field to the line (simplified approach)
-                const indent = originalLine.match(/^(\s*)/)[0];
-                fixedLine = originalLine + `\n${indent}  "${fieldName}": "${suggestedValue}",`;
-            }
-        }
-        
-        return fixedLine !== originalLine ? fixedLine : null;
-    } catch (error) {
+    const fix = LASchemaAutofix.getFix(problemItem);
+    const currentValue = fix && fix.expected !== undefined ? fix.expected : problemItem.currentValue;
+    if (!fix || fix.action !== 'set' || typeof currentValue !== 'string') {
         return null;
     }
+    
+    // Swap the JSON-encoded value so quotes and escapes in it are matched exactly
+    const fixedLine = originalLine.replace(JSON.stringify(currentValue), JSON.stringify(fix.value));
+    return fixedLine !== originalLine ? fixedLine : null;
 }
 
+/**
+ * Value a finding should be changed to - the value LASchemaAutofix.getFix() would
+ * write, or '' when the finding has no automatic fix
+ */
 function generateFixedValue(problemItem) {
     if (!problemItem || typeof problemItem === 'string') return '';
     
-    if (problemItem.type === 'formatting_error' && problemItem.currentValue) {
-        let fixedValue = problemItem.currentValue;
-        
-        // Capitalize first letter
-        if (!fixedValue.charAt(0).match(/[A-Z]/)) {
-            fixedValue = fixedValue.charAt(0).toUpperCase() + fixedValue.slice(1);
-        }
-        
-        // Add period at the end
-        if (!fixedValue.endsWith('.')) {
-            fixedValue = fixedValue + '.';
-        }
-        
-        return fixedValue;
-    } else if (problemItem.type === 'incorrect_capitalization' && problemItem.currentValue) {
-        // Handle capitalization fixes for data types like "dynamic" -> "Dynamic"
-        return problemItem.expectedValue || (problemItem.currentValue.charAt(0).toUpperCase() + problemItem.currentValue.slice(1));
-    } else if (problemItem.type === 'invalid_value') {
-        const currentValue = problemItem.currentValue;
-        
-        if (currentValue === 'Guid' && problemItem.location && problemItem.location.includes('columns')) {
-            return 'String';
-        } else if (currentValue === 'InvalidType' && problemItem.location && problemItem.location.includes('columns')) {
-            return 'String';
-        } else if (problemItem.location && problemItem.location.includes('simplifiedSchemaVersion')) {
-            return '3';
-        } else if (currentValue === '2' && problemItem.location && problemItem.location.includes('simplifiedSchemaVersion')) {
-            return '3';
-        }
-    } else if (problemItem.type === 'performance_warning' && problemItem.currentValue === 'Dynamic') {
-        return 'String';  // Default suggestion for Dynamic type
-    } else if (problemItem.type === 'invalid_length' && problemItem.currentValue) {
-        if (typeof problemItem.currentValue === 'string' && problemItem.currentValue.length > 45) {
-            return problemItem.currentValue.substring(0, 42) + '...';
-        }
-    } else if (problemItem.type === 'missing_field') {
-        const fieldName = problemItem.field;
-        if (fieldName === 'type') return 'DefaultType';
-        if (fieldName === 'displayName') return 'Default Display Name';
-        if (fieldName === 'description') return 'Default description.';
-        if (fieldName === 'simplifiedSchemaVersion') return '3';
-        if (fieldName === 'name') return 'DefaultName';
-        return 'DefaultValue';
-    }
-    
-    return problemItem.expectedValue || '';
+    const fix = LASchemaAutofix.getFix(problemItem);
+    return fix && fix.action === 'set' ? fix.value : '';
 }
 
 function scrollToProblematicLine(location, issue) {
@@ -5629,8 +3161,19 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+/**
+ * Preview the automatic fix of a single finding
+ */
 function applyFix(resultIndex, location) {
-    showAlert('Auto-fix functionality would modify your file. For now, please manually apply the suggested changes.', 'info');
+    const result = validationResults[resultIndex];
+    const problemItem = result && [...(result.issues || []), ...(result.warnings || [])].find(item => item.location === location);
+    
+    if (!problemItem || !LASchemaAutofix.getFix(problemItem)) {
+        showAlert('This finding cannot be fixed automatically. Please apply the suggested change manually.', 'info');
+        return;
+    }
+    
+    showAutofixPreview([Object.assign({}, result, { issues: [problemItem], warnings: [] })]);
 }
 
 function showAlert(message, type) {
@@ -5943,6 +3486,19 @@ function stopValidationAnimation(success = true) {
     }
 }
 
+// Restore the button right away after a cancelled validation
+function resetValidationAnimation() {
+    const validateBtn = document.getElementById('validateBtn');
+    if (!validateBtn) return;
+    
+    validateBtn.classList.remove('btn-loading', 'btn-validating');
+    validateBtn.style.animation = '';
+    validateBtn.innerHTML = validateBtn.dataset.originalText || `
+        <i class="fas fa-check-circle me-2"></i>Validate Files
+    `;
+    validateBtn.disabled = false;
+}
+
 // New function to clear uploaded files and reset the UI
 function clearFiles() {
     uploadedFiles = [];
@@ -6206,6 +3762,7 @@ function showFixSuggestion(resultIndex, location) {
                                 </blockquote>
                             </div>
                         ` : ''}
+                        ${createDocumentationLinkHTML(problemItem)}
                         
                         ${problemItem.fixInstructions ? `
                             <div class="mb-4">
@@ -6236,6 +3793,11 @@ function showFixSuggestion(resultIndex, location) {
                         <button type="button" class="btn btn-primary" onclick="copyFixSuggestion('${escapeHtml(problemItem.suggestion)}', '${fixedValue}')">
                             <i class="fas fa-copy me-1"></i>Copy Fix Instructions
                         </button>
+                        ${LASchemaAutofix.getFix(problemItem) ? `
+                            <button type="button" class="btn btn-success" onclick="applyFix('${resultIndex}', '${escapeHtml(location)}')">
+                                <i class="fas fa-magic me-1"></i>Apply Fix
+                            </button>
+                        ` : ''}
                     </div>
                 </div>
             </div>
@@ -6300,41 +3862,6 @@ function copyFixSuggestion(suggestion, fixedValue) {
     }
 }
 
-function getIssueCategoryName(type) {
-    const categoryMap = {
-        'missing_field': 'Missing Required Fields',
-        'invalid_value': 'Invalid Values',
-        'formatting_error': 'Formatting Errors',
-        'incorrect_capitalization': 'Capitalization Issues',
-        'invalid_type': 'Invalid Data Types',
-        'forbidden_system_column': 'Forbidden System Columns',
-        'reserved_column_name': 'Reserved Column Names',
-        'json_syntax_error': 'JSON Syntax Errors',
-        'invalid_json_structure': 'Invalid JSON Structure',
-        'missing_required_column': 'Missing Required Columns',
-        'invalid_column_type': 'Invalid Column Types',
-        'folder_structure': 'Folder Structure Issues',
-        'unknown': 'Other Issues'
-    };
-    
-    return categoryMap[type] || 'Other Issues';
-}
-
-function getWarningCategoryName(type) {
-    const categoryMap = {
-        'performance_warning': 'Performance Warnings',
-        'naming_convention_warning': 'Naming Convention Issues',
-        'info': 'Informational Notes',
-        'missing_timegenerated': 'TimeGenerated Field Issues',
-        'empty_sample_data': 'Sample Data Issues',
-        'invalid_record_structure': 'Record Structure Issues',
-        'missing_kql_syntax_warning': 'KQL Syntax Issues',
-        'unknown': 'Other Warnings'
-    };
-    
-    return categoryMap[type] || 'Other Warnings';
-}
-
 function getIssueCategoryIcon(type) {
     const iconMap = {
         'missing_field': 'fas fa-exclamation-circle',
@@ -6349,6 +3876,30 @@ function getIssueCategoryIcon(type) {
         'missing_required_column': 'fas fa-table',
         'invalid_column_type': 'fas fa-columns',
         'folder_structure': 'fas fa-folder-open',
+        'kql_syntax_error': 'fas fa-terminal',
+        'kql_transformation_limitation': 'fas fa-filter',
+        'transformation_output_mismatch': 'fas fa-not-equal',
+        'transformation_runtime_error': 'fas fa-play-circle',
+        'sample_value_type_mismatch': 'fas fa-exchange-alt',
+        'sample_unknown_column': 'fas fa-question',
+        'sample_system_column': 'fas fa-cogs',
+        'sample_input_type_mismatch': 'fas fa-sign-in-alt',
+        'breaking_schema_change': 'fas fa-code-compare',
+        'invalid_deprecation': 'fas fa-calendar-xmark',
+        'invalid_function_parameters': 'fas fa-code',
+        'unknown_related_table': 'fas fa-table',
+        'duplicate_data_type_id': 'fas fa-clone',
+        'duplicate_transform_name': 'fas fa-clone',
+        'transform_output_mismatch': 'fas fa-random',
+        'invalid_query_topic': 'fas fa-tags',
+        'invalid_query_metadata': 'fas fa-sliders-h',
+        'duplicate_query_id': 'fas fa-clone',
+        'unresolved_path': 'fas fa-file-circle-question',
+        'missing_transformation_file': 'fas fa-file-circle-question',
+        'missing_declared_path': 'fas fa-file-circle-question',
+        'path_case_mismatch': 'fas fa-font',
+        'path_outside_package': 'fas fa-arrow-up-right-from-square',
+        'wrong_file_kind': 'fas fa-file-circle-exclamation',
         'unknown': 'fas fa-question-circle'
     };
     
@@ -6364,6 +3915,23 @@ function getWarningCategoryIcon(type) {
         'empty_sample_data': 'fas fa-database',
         'invalid_record_structure': 'fas fa-list-alt',
         'missing_kql_syntax_warning': 'fas fa-search',
+        'sample_column_always_missing': 'fas fa-eye-slash',
+        'sample_undeclared_input_field': 'fas fa-question',
+        'sample_input_field_never_present': 'fas fa-eye-slash',
+        'baseline_not_matched': 'fas fa-code-compare',
+        'orphaned_file': 'fas fa-unlink',
+        'unused_function_parameter': 'fas fa-code',
+        'unknown_function_reference': 'fas fa-question',
+        'unknown_function_column': 'fas fa-columns',
+        'query_related_tables_mismatch': 'fas fa-link',
+        'unknown_query_column': 'fas fa-columns',
+        'query_column_case_mismatch': 'fas fa-font',
+        'conflicting_transform_schema': 'fas fa-code-branch',
+        'missing_query_topic': 'fas fa-tag',
+        'example_query_mismatch': 'fas fa-flag',
+        'alert_query_mismatch': 'fas fa-bell',
+        'deprecation_warning': 'fas fa-calendar-xmark',
+        'deprecated_reference': 'fas fa-box-archive',
         'unknown': 'fas fa-exclamation-triangle'
     };
     
@@ -6384,6 +3952,30 @@ function getIssueCategoryDescription(type) {
         'missing_required_column': 'Required columns like TimeGenerated that are missing',
         'invalid_column_type': 'Column data types that are invalid for the specified usage',
         'folder_structure': 'Issues with the organization and structure of your schema package',
+        'kql_syntax_error': 'KQL files with syntax errors such as unbalanced brackets, unterminated strings or unknown operators',
+        'kql_transformation_limitation': 'Transformations using operators or functions that are not supported at ingestion time',
+        'transformation_output_mismatch': 'Sample output records that differ from what the transformation produces from the sample input records',
+        'transformation_runtime_error': 'Transformations that fail when run over the sample input records',
+        'sample_value_type_mismatch': 'Sample output values that do not fit the type of their table column',
+        'sample_unknown_column': 'Sample output fields that are not columns of the table',
+        'sample_system_column': 'Sample output fields for system columns that Azure adds at ingestion',
+        'sample_input_type_mismatch': 'Sample input values that cannot be converted to the declared input type',
+        'breaking_schema_change': 'Changes to released tables that break existing data, queries or deployments',
+        'invalid_deprecation': 'Deprecated tables and columns without a valid date, replacement or display setting',
+        'invalid_function_parameters': 'Function parameter declarations that are not valid KQL',
+        'unknown_related_table': 'Related tables that no manifest in the package defines',
+        'duplicate_data_type_id': 'dataTypeIds that send data to a table more than once or collide within the package',
+        'duplicate_transform_name': 'Transform manifest names used twice for the same table',
+        'transform_output_mismatch': 'Transform manifests whose KQL output does not fit the target table',
+        'invalid_query_topic': 'Query topics outside the recommended list',
+        'invalid_query_metadata': 'Query tags and properties with the wrong type',
+        'duplicate_query_id': 'Query ids used by more than one query in the package',
+        'unresolved_path': 'Manifest paths that do not point at a file of the package',
+        'missing_transformation_file': 'Manifest paths that do not point at a file of the package',
+        'missing_declared_path': 'Manifest paths that do not point at a file of the package',
+        'path_case_mismatch': 'Manifest paths whose case differs from the file names',
+        'path_outside_package': 'Manifest paths that leave the package folder',
+        'wrong_file_kind': 'Manifest paths that point at a folder or a file of the wrong type',
         'unknown': 'Other validation issues that need attention'
     };
     
@@ -6398,7 +3990,24 @@ function getWarningCategoryDescription(type) {
         'missing_timegenerated': 'TimeGenerated field configuration suggestions',
         'empty_sample_data': 'Sample data files that are empty or have no records',
         'invalid_record_structure': 'Sample records that don\'t follow proper structure',
-        'missing_kql_syntax_warning': 'KQL files that may not contain valid query syntax',
+        'missing_kql_syntax_warning': 'KQL files that do not contain a query',
+        'sample_column_always_missing': 'Table columns that no sample output record populates',
+        'sample_undeclared_input_field': 'Sample input fields missing from the table\'s input declaration',
+        'sample_input_field_never_present': 'Declared input fields that no sample input record contains',
+        'baseline_not_matched': 'Manifests that could not be compared with the previous release',
+        'orphaned_file': 'KQL, sample and other files that no manifest references',
+        'unused_function_parameter': 'Function parameters the function body never uses',
+        'unknown_function_reference': 'Tables and functions a function body names that are not declared anywhere',
+        'unknown_function_column': 'Columns a function body reads that are not parameters, let bindings or columns of its tables',
+        'query_related_tables_mismatch': 'Example queries whose relatedTables differ from the tables they read',
+        'unknown_query_column': 'Columns an example query reads that its tables do not define',
+        'query_column_case_mismatch': 'Columns an example query names in a different case than the table',
+        'conflicting_transform_schema': 'Transforms writing a column of the same table with another type or spelling',
+        'missing_query_topic': 'Example queries without a Topic tag',
+        'example_query_mismatch': 'Queries marked ExampleQuery whose body does not query a table',
+        'alert_query_mismatch': 'Queries with the Alerts topic that break the alert query rules',
+        'deprecation_warning': 'Deprecation metadata that customers may not notice or cannot follow',
+        'deprecated_reference': 'Functions, queries and transformations still using deprecated tables or columns',
         'unknown': 'Other warnings and suggestions for improvement'
     };
     
@@ -6632,6 +4241,7 @@ function showCategoryItemDetails(resultIndex, issueType, itemIndex) {
                     </blockquote>
                 </div>
             ` : ''}
+            ${createDocumentationLinkHTML(item)}
             
             ${typeof item === 'object' && item.currentValue ? `
                 <div class="row mb-3">
@@ -6717,3 +4327,9 @@ window.showFixSuggestion = showFixSuggestion;
 window.expandFileResult = expandFileResult;
 window.toggleFileDetails = toggleFileDetails;
 window.showCategoryItemDetails = showCategoryItemDetails;
+window.exportValidationReport = exportValidationReport;
+window.showAutofixPreview = showAutofixPreview;
+window.downloadFixedPackage = downloadFixedPackage;
+window.showRuleCatalog = showRuleCatalog;
+window.filterRuleCatalog = filterRuleCatalog;
+window.applyFix = applyFix;